@@ -173,13 +173,17 @@ config.policyPath = 'policies';
 config.enableDocumentScopes = true;
 
 /**
- * If true, modifies the root scope of any document to allow access to the document's creator.
- * The scope value added is in the form: "user-{_id}" where "{_id}" is the _id of the user.
+ * If true, authorizes the creator of a document, which is matched against the "createdBy" property of the document,
+ * to perform every action on it. The creator is authorized as an alternative to the document scope and, for actions
+ * with access rules, as an additional access rule (see "routeOptions.accessRules"), so other users are still
+ * authorized as usual.
  * NOTE:
  * - This assumes that your authentication credentials (request.auth.credentials) will contain either
  * a "user" object with a "_id" property, or the user's _id stored in a property defined by "config.userIdKey".
- * - This also assumes that the user creating the document will have "user-{_id}" within their scope.
- * - Requires "config.enableDocumentScopes" to be "true".
+ * - The "createdBy" property is added to the model even if "config.enableCreatedBy" is "false".
+ * - If "config.enableDocumentScopes" is "true", "user-{_id}" is also added to the root scope of the document, and
+ * documents without a "createdBy" property (Ex: created before this version) are authorized through their root
+ * scope. This assumes that the user creating the document will have "user-{_id}" within their scope.
  * - This setting can be individually overwritten by setting the "authorizeDocumentCreator" routeOptions property.
  * default: false
  * @type {boolean}
@@ -187,28 +191,32 @@ config.enableDocumentScopes = true;
 config.authorizeDocumentCreator = false;
 
 /**
- * Same as "authorizeDocumentCreator", but modifies the "readScope" rather than the root scope.
+ * Same as "authorizeDocumentCreator", but only authorizes the creator for the "read" action, and uses the
+ * "readScope" rather than the root scope.
  * default: false
  * @type {boolean}
  */
 config.authorizeDocumentCreatorToRead = false;
 
 /**
- * Same as "authorizeDocumentCreator", but modifies the "updateScope" rather than the root scope.
+ * Same as "authorizeDocumentCreator", but only authorizes the creator for the "update" action, and uses the
+ * "updateScope" rather than the root scope.
  * default: false
  * @type {boolean}
  */
 config.authorizeDocumentCreatorToUpdate = false;
 
 /**
- * Same as "authorizeDocumentCreator", but modifies the "deleteScope" rather than the root scope.
+ * Same as "authorizeDocumentCreator", but only authorizes the creator for the "delete" action, and uses the
+ * "deleteScope" rather than the root scope.
  * default: false
  * @type {boolean}
  */
 config.authorizeDocumentCreatorToDelete = false;
 
 /**
- * Same as "authorizeDocumentCreator", but modifies the "associateScope" rather than the root scope.
+ * Same as "authorizeDocumentCreator", but only authorizes the creator for the "associate" action, and uses the
+ * "associateScope" rather than the root scope.
  * default: false
  * @type {boolean}
  */
@@ -223,9 +231,11 @@ config.userIdKey = "user._id";
 
 /**
  * Determines what action takes place when one or more document scope checks fail for requests dealing with multiple
- * documents (Ex: deleteMany or list). Options are:
+ * documents (Ex: deleteMany). Options are:
  * - true: if one or more documents fail, the request responds with a 403.
- * - false: documents that don't pass are simply removed from the request (Ex: not deleted or not retrieved)
+ * - false: documents that don't pass are simply removed from the request (Ex: not deleted)
+ * NOTE: list endpoints always exclude unauthorized documents from their results. The option applies to getAll
+ * endpoints and to documents embedded through "$embed".
  * default: false
  * @type {boolean}
  */
@@ -250,6 +260,116 @@ config.enableTextSearch = false;
 config.enableSoftDelete = false;
 config.filterDeletedEmbeds = false;
 
+/**
+ * The number of rows created per request by the import endpoint.
+ * default: 100
+ * @type {number}
+ */
+config.importBatchSize = 100;
+
+/**
+ * Batch endpoint options:
+ * - enableBatchEndpoint: generates a "POST /batch" endpoint that executes a list of requests in a single call
+ * (default false)
+ * - batchLimit: the maximum number of requests in a single batch (default 50)
+ * @type {boolean}
+ */
+config.enableBatchEndpoint = false;
+config.batchLimit = 50;
+
+/**
+ * Idempotency options:
+ * - enableIdempotencyKeys: POST requests with an "Idempotency-Key" header store their response, which is replayed
+ * if the request is retried with the same key (default false)
+ * - idempotencyKeyTTL: specifies how long a key is stored. Accepts values in seconds unless specified
+ * (Ex: 60 = 60 seconds, '1m' = 1 minute, or '1d' = 1 day) (default '1d')
+ * @type {boolean}
+ */
+config.enableIdempotencyKeys = false;
+config.idempotencyKeyTTL = '1d';
+
+/**
+ * Webhook options:
+ * - enableWebhooks: adds "webhook" and "webhookDelivery" models. Each active webhook receives a signed POST request
+ * for the lifecycle events that match its "events" filter (default false)
+ * - webhookScope: values added here will be applied to the scope of the webhook and webhookDelivery endpoints.
+ * This should be set when webhooks are enabled, otherwise any authenticated user can register a webhook (default [])
+ * - webhookMaxAttempts: the number of times a delivery is attempted before it fails (default 5)
+ * - webhookRetryDelay: the delay in milliseconds before the first retry, which doubles after each failed attempt
+ * (default 1000)
+ * - webhookTimeout: the time in milliseconds to wait for a response to a delivery (default 10000)
+ * - webhookDeliveryTTL: specifies how long deliveries are logged. Accepts values in seconds unless specified
+ * (Ex: 60 = 60 seconds, '1m' = 1 minute, or '1d' = 1 day) (default '30d')
+ * @type {boolean}
+ */
+config.enableWebhooks = false;
+config.webhookScope = [];
+config.webhookMaxAttempts = 5;
+config.webhookRetryDelay = 1000;
+config.webhookTimeout = 10000;
+config.webhookDeliveryTTL = '30d';
+
+/**
+ * Subscription options:
+ * - enableSubscriptions: adds a "GET /RESOURCE/subscribe" endpoint for each model that streams create, update and
+ * delete notifications as server-sent events (default false)
+ * - subscriptionHeartbeat: the interval in milliseconds at which a comment is sent to keep idle subscriptions open
+ * (default 30000)
+ * @type {boolean}
+ */
+config.enableSubscriptions = false;
+config.subscriptionHeartbeat = 30000;
+
+/**
+ * Cache options:
+ * - cacheStore: the store used for models with "routeOptions.cache" enabled. Must implement "get(key)",
+ * "set(key, value, options)" and "invalidate(tags)", which may return promises. If null, an in-memory store that
+ * keeps the most recently used results is used (default null)
+ * - cacheMaxEntries: the number of results kept by the in-memory store (default 1000)
+ * - cacheTTL: the time in milliseconds that results are cached for, unless set through "routeOptions.cache.ttl"
+ * (default 60000)
+ * NOTE: results are shared by users with the same scope, unless the model has list/find middleware or the query has a
+ * "populateMatch" function, in which case they are cached per user. Results that depend on the user in other ways
+ * shouldn't be cached.
+ * @type {object}
+ */
+config.cacheStore = null;
+config.cacheMaxEntries = 1000;
+config.cacheTTL = 60000;
+
+/**
+ * Rate limit options:
+ * - rateLimit: limits the number of requests each client can make to the generated endpoints. Requests are counted
+ * per user, identified by "config.userIdKey", or per IP address for requests without a user, with a separate count
+ * for each type of endpoint. Can be set to true to use the default options, or to an object with the following
+ * properties, which can be overridden per model through "routeOptions.rateLimit" (default false):
+ *   - limit: the number of requests allowed within a window (default 100)
+ *   - window: the length of a window in milliseconds (default 60000)
+ *   - strategy: either 'fixed', which counts requests within consecutive windows, or 'sliding', which counts
+ *   requests within the last window (default 'fixed')
+ *   - create/read/update/delete/restore/associate: options applied to a single type of endpoint, or false to not
+ *   limit it
+ * - rateLimitStore: the store used to count requests. Must implement "hit(key, options)", which may return a promise.
+ * If null, an in-memory store is used (default null)
+ * @type {boolean|object}
+ */
+config.rateLimit = false;
+config.rateLimitStore = null;
+
+/**
+ * Multi-tenant options:
+ * - multiTenant: adds a "tenantId" property to each model (unless "routeOptions.multiTenant" is false). Documents are
+ * stamped with the tenant of the user that creates them, and requests only read, update, delete, and associate
+ * documents of the same tenant (default false)
+ * - tenantIdKey: the path/key to the tenant id stored in your request.auth.credentials object (default "user.tenantId")
+ * - superTenantScope: users with any of these scope values can access the documents of every tenant
+ * (default ["superTenant"])
+ * @type {boolean}
+ */
+config.multiTenant = false;
+config.tenantIdKey = "user.tenantId";
+config.superTenantScope = ["superTenant"];
+
 /**
  * Validation options:
  * default: true
@@ -268,6 +388,16 @@ config.enableResponseValidation = true;
  */
 config.enableMongooseRunValidators = false;
 
+/**
+ * Transaction options:
+ * - enableTransactions: creates, deletes, and association changes that modify multiple documents are run
+ * within a MongoDB transaction, so that either all or none of the changes are applied. Requires mongoose 5.2+
+ * and a MongoDB replica set. The plugin fails to register if the mongoose instance doesn't support sessions.
+ * default: false
+ * @type {boolean}
+ */
+config.enableTransactions = false;
+
 /**
  * Determines the hapi failAction of each response. Options are:
  * - true: responses that fail validation will return a 500 error.
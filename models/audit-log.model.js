@@ -14,7 +14,7 @@ module.exports = function (mongoose) {
     },
     method: {
       type: Types.String,
-      enum: ["POST", "PUT", "DELETE", "GET", null],
+      enum: ["POST", "PUT", "PATCH", "DELETE", "GET", null],
       allowNull: true,
       default: null
     },
@@ -101,6 +101,7 @@ module.exports = function (mongoose) {
     routeOptions: {
       allowUpdate: false,
       allowDelete: false,
+      multiTenant: false
     }
   };
 
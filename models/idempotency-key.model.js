@@ -0,0 +1,65 @@
+'use strict';
+
+const Config = require('../config');
+
+/**
+ * Generates the schema for the responses stored for requests with an "Idempotency-Key" header. Keys are unique per
+ * user and expire after "config.idempotencyKeyTTL".
+ * @param mongoose
+ * @returns {*}
+ */
+module.exports = function (mongoose) {
+  var modelName = "idempotencyKey";
+  var Types = mongoose.Schema.Types;
+  var Schema = new mongoose.Schema({
+    key: {
+      type: Types.String,
+      required: true
+    },
+    user: {
+      type: Types.String,
+      allowNull: true,
+      default: null
+    },
+    method: {
+      type: Types.String,
+      required: true
+    },
+    endpoint: {
+      type: Types.String,
+      required: true
+    },
+    requestHash: {
+      type: Types.String,
+      required: true
+    },
+    statusCode: {
+      type: Types.Number,
+      allowNull: true,
+      default: null
+    },
+    headers: {
+      type: Types.Object,
+      allowNull: true,
+      default: null
+    },
+    response: {
+      type: Types.String,
+      allowNull: true,
+      default: null
+    },
+    date: {
+      type: Types.Date,
+      default: () => { return Date.now() },
+      expires: Config.idempotencyKeyTTL
+    }
+  }, { collection: modelName });
+
+  Schema.index({ key: 1, user: 1 }, { unique: true });
+
+  Schema.statics = {
+    collectionName: modelName
+  };
+
+  return Schema;
+};
@@ -0,0 +1,50 @@
+'use strict';
+
+/**
+ * Generates the schema for the revisions of a versioned model. Revisions are stored in a "{modelName}_revision"
+ * collection.
+ * @param mongoose
+ * @param modelName: The name of the versioned model.
+ * @returns {*}
+ */
+module.exports = function (mongoose, modelName) {
+  var revisionModelName = modelName + "_revision";
+  var Types = mongoose.Schema.Types;
+  var Schema = new mongoose.Schema({
+    document: {
+      type: Types.ObjectId,
+      required: true
+    },
+    revision: {
+      type: Types.Number,
+      required: true
+    },
+    action: {
+      type: Types.String,
+      enum: ["Create", "Update", "Delete", "Restore", "Add", "Remove", "Revert"],
+      required: true
+    },
+    snapshot: {
+      type: Types.Object,
+      allowNull: true,
+      default: null
+    },
+    user: {
+      type: Types.ObjectId,
+      allowNull: true,
+      default: null
+    },
+    date: {
+      type: Types.Date,
+      default: () => { return Date.now() }
+    }
+  }, { collection: revisionModelName, minimize: false });
+
+  Schema.index({ document: 1, revision: 1 }, { unique: true });
+
+  Schema.statics = {
+    collectionName: revisionModelName
+  };
+
+  return Schema;
+};
@@ -0,0 +1,81 @@
+'use strict';
+
+const Config = require('../config');
+const _ = require('lodash');
+
+/**
+ * Generates the schema for the delivery log of webhooks. Each delivery records the payload sent for an event along
+ * with the result of the latest attempt.
+ * @param mongoose
+ * @returns {*}
+ */
+module.exports = function (mongoose) {
+  var modelName = "webhookDelivery";
+  var Types = mongoose.Schema.Types;
+  var Schema = new mongoose.Schema({
+    webhook: {
+      type: Types.ObjectId,
+      required: true
+    },
+    event: {
+      type: Types.String,
+      required: true
+    },
+    payload: {
+      type: Types.Object,
+      required: true
+    },
+    status: {
+      type: Types.String,
+      enum: ["pending", "succeeded", "failed"],
+      default: "pending"
+    },
+    attempts: {
+      type: Types.Number,
+      default: 0
+    },
+    statusCode: {
+      type: Types.Number,
+      allowNull: true,
+      default: null
+    },
+    responseMessage: {
+      type: Types.String,
+      allowNull: true,
+      default: null
+    },
+    nextAttempt: {
+      type: Types.Date,
+      allowNull: true,
+      default: null
+    },
+    redeliveryOf: {
+      type: Types.ObjectId,
+      allowNull: true,
+      default: null
+    },
+    date: {
+      type: Types.Date,
+      default: () => { return Date.now() },
+      expires: Config.webhookDeliveryTTL
+    }
+  }, { collection: modelName });
+
+  Schema.statics = {
+    collectionName: modelName,
+    routeOptions: {
+      allowCreate: false,
+      allowUpdate: false,
+      allowDelete: false,
+      allowRestore: false
+    }
+  };
+
+  if (!_.isEmpty(Config.webhookScope)) {
+    Schema.statics.routeOptions.routeScope = {
+      rootScope: Config.webhookScope
+    };
+  }
+
+  return Schema;
+};
@@ -0,0 +1,57 @@
+'use strict';
+
+const Config = require('../config');
+const _ = require('lodash');
+
+/**
+ * Generates the schema for webhooks. Each webhook receives a signed POST request for the lifecycle events that match
+ * its "events" filter, Ex: ["user.created", "group.*"]. Webhooks created by users with a tenant only receive the events
+ * of their tenant.
+ * @param mongoose
+ * @returns {*}
+ */
+module.exports = function (mongoose) {
+  var modelName = "webhook";
+  var Types = mongoose.Schema.Types;
+  var Schema = new mongoose.Schema({
+    url: {
+      type: Types.String,
+      stringType: 'uri',
+      required: true,
+      description: "The url that events are delivered to."
+    },
+    secret: {
+      type: Types.String,
+      required: true,
+      exclude: true,
+      description: "The secret used to sign deliveries."
+    },
+    events: {
+      type: [String],
+      default: ["*"],
+      description: "The events delivered to the webhook. Names can end with a wildcard, Ex: \"user.*\"."
+    },
+    isActive: {
+      type: Types.Boolean,
+      default: true
+    },
+    notes: {
+      type: Types.String,
+      allowNull: true,
+      default: null
+    }
+  }, { collection: modelName });
+
+  Schema.statics = {
+    collectionName: modelName,
+    routeOptions: {}
+  };
+
+  if (!_.isEmpty(Config.webhookScope)) {
+    Schema.statics.routeOptions.routeScope = {
+      rootScope: Config.webhookScope
+    };
+  }
+
+  return Schema;
+};
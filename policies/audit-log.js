@@ -88,9 +88,17 @@ internals.logUpdate = function(mongoose, model, Log) {
       const ipAddress = request.info.remoteAddress;
       let userId = _.get(request.auth.credentials, config.userIdKey);
       let documents = [request.params._id];
+      let payload = request.payload;
+      let method = 'PUT';
+
+      if (request.method === 'patch') {
+        method = 'PATCH';
+        //EXPL: log the JSON Patch operations rather than the update payload they were converted to
+        payload = _.get(request.plugins, ['rest-hapi', 'patch', 'operations'], payload);
+      }
 
       return AuditLog.create({
-        method: "PUT",
+        method: method,
         action: "Update",
         endpoint: request.path,
         user: userId || null,
@@ -98,7 +106,7 @@ internals.logUpdate = function(mongoose, model, Log) {
         childCollectionName: null,
         associationType: null,
         documents: documents || null,
-        payload: _.isEmpty(request.payload) ? null : request.payload,
+        payload: _.isEmpty(payload) ? null : payload,
         params: _.isEmpty(request.params) ? null : request.params,
         result: request.response.source || null,
         isError: _.isError(request.response),
@@ -332,11 +340,171 @@ internals.logRemove = function(mongoose, ownerModel, childModel, associationType
 internals.logRemove.applyPoint = 'onPostHandler';
 
 
+/**
+ * Policy to log restore actions.
+ * @param model
+ * @param Log
+ * @returns {logRestoreForModel}
+ */
+internals.logRestore = function(mongoose, model, Log) {
+
+  const logRestoreForModel = function logRestoreForModel(request, reply, next) {
+    try {
+      Log = Log.bind("logRestore");
+      const AuditLog = mongoose.model('auditLog');
+
+      const ipAddress = request.info.remoteAddress;
+      let userId = _.get(request.auth.credentials, config.userIdKey);
+      let documents = request.params._id ? [request.params._id] : request.payload;
+
+      return AuditLog.create({
+        method: "POST",
+        action: "Restore",
+        endpoint: request.path,
+        user: userId || null,
+        collectionName: model.collectionName,
+        childCollectionName: null,
+        associationType: null,
+        documents: documents || null,
+        payload: _.isEmpty(request.payload) ? null : request.payload,
+        params: _.isEmpty(request.params) ? null : request.params,
+        result: request.response.source || null,
+        isError: _.isError(request.response),
+        statusCode: request.response.statusCode || request.response.output.statusCode,
+        responseMessage: request.response.output ? request.response.output.payload.message : null,
+        ipAddress
+      })
+          .then(function (result) {
+            next(null, true);
+          })
+          .catch(function (err) {
+            Log.error('ERROR:', err);
+            next(null, true);
+          })
+    }
+    catch (err) {
+      Log.error("ERROR:", err);
+      return next(null, true);
+    }
+
+  };
+
+  logRestoreForModel.applyPoint = 'onPostHandler';
+  return logRestoreForModel;
+};
+internals.logRestore.applyPoint = 'onPostHandler';
+
+
+internals.logRevert = function(mongoose, model, Log) {
+
+  const logRevertForModel = function logRevertForModel(request, reply, next) {
+    try {
+      Log = Log.bind("logRevert");
+      const AuditLog = mongoose.model('auditLog');
+
+      const ipAddress = request.info.remoteAddress;
+      let userId = _.get(request.auth.credentials, config.userIdKey);
+
+      return AuditLog.create({
+        method: "POST",
+        action: "Revert",
+        endpoint: request.path,
+        user: userId || null,
+        collectionName: model.collectionName,
+        childCollectionName: null,
+        associationType: null,
+        documents: [request.params._id],
+        payload: _.isEmpty(request.payload) ? null : request.payload,
+        params: _.isEmpty(request.params) ? null : request.params,
+        result: request.response.source || null,
+        isError: _.isError(request.response),
+        statusCode: request.response.statusCode || request.response.output.statusCode,
+        responseMessage: request.response.output ? request.response.output.payload.message : null,
+        ipAddress
+      })
+          .then(function (result) {
+            next(null, true);
+          })
+          .catch(function (err) {
+            Log.error('ERROR:', err);
+            next(null, true);
+          })
+    }
+    catch (err) {
+      Log.error("ERROR:", err);
+      return next(null, true);
+    }
+
+  };
+
+  logRevertForModel.applyPoint = 'onPostHandler';
+  return logRevertForModel;
+};
+internals.logRevert.applyPoint = 'onPostHandler';
+
+
+/**
+ * Policy to log share and unshare actions.
+ * @param model
+ * @param Log
+ * @returns {logShareForModel}
+ */
+internals.logShare = function(mongoose, model, Log) {
+
+  const logShareForModel = function logShareForModel(request, reply, next) {
+    try {
+      Log = Log.bind("logShare");
+      const AuditLog = mongoose.model('auditLog');
+
+      const ipAddress = request.info.remoteAddress;
+      let userId = _.get(request.auth.credentials, config.userIdKey);
+
+      return AuditLog.create({
+        method: request.method.toUpperCase(),
+        action: request.method === "delete" ? "Unshare" : "Share",
+        endpoint: request.path,
+        user: userId || null,
+        collectionName: model.collectionName,
+        childCollectionName: null,
+        associationType: null,
+        documents: [request.params._id],
+        payload: _.isEmpty(request.payload) ? null : request.payload,
+        params: _.isEmpty(request.params) ? null : request.params,
+        result: request.response.source || null,
+        isError: _.isError(request.response),
+        statusCode: request.response.statusCode || request.response.output.statusCode,
+        responseMessage: request.response.output ? request.response.output.payload.message : null,
+        ipAddress
+      })
+          .then(function (result) {
+            next(null, true);
+          })
+          .catch(function (err) {
+            Log.error('ERROR:', err);
+            next(null, true);
+          })
+    }
+    catch (err) {
+      Log.error("ERROR:", err);
+      return next(null, true);
+    }
+
+  };
+
+  logShareForModel.applyPoint = 'onPostHandler';
+  return logShareForModel;
+};
+internals.logShare.applyPoint = 'onPostHandler';
+
+
 module.exports = {
   logCreate : internals.logCreate,
   logUpdate : internals.logUpdate,
   logDelete : internals.logDelete,
   logAdd : internals.logAdd,
-  logRemove : internals.logRemove
+  logRemove : internals.logRemove,
+  logRestore : internals.logRestore,
+  logRevert : internals.logRevert,
+  logShare : internals.logShare
 };
 
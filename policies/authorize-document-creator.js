@@ -7,7 +7,8 @@ const config = require('../config');
 const internals = {};
 
 /**
- * Policy to authorize a document's creator to perform any action on the document.
+ * Policy to record a document's creator, who is authorized to perform any action on the document through its
+ * "createdBy" property and, if document scopes are enabled, the document's root scope.
  * @param model
  * @param Log
  * @returns {authorizeDocumentCreatorForModel}
@@ -17,7 +18,7 @@ internals.authorizeDocumentCreator = function(model, Log) {
   const authorizeDocumentCreatorForModel = function authorizeDocumentCreatorForModel(request, reply, next) {
     Log = Log.bind("authorizeDocumentCreator");
 
-    return internals.addScope('root', request, reply, next, Log);
+    return internals.addCreator('root', request, reply, next, Log);
   };
 
   authorizeDocumentCreatorForModel.applyPoint = 'onPreHandler';
@@ -26,7 +27,8 @@ internals.authorizeDocumentCreator = function(model, Log) {
 internals.authorizeDocumentCreator.applyPoint = 'onPreHandler';
 
 /**
- * Policy to authorize a document's creator to perform read actions on the document.
+ * Policy to record a document's creator, who is authorized to perform read actions on the document through its
+ * "createdBy" property and, if document scopes are enabled, the document's "readScope".
  * @param model
  * @param Log
  * @returns {authorizeDocumentCreatorToReadForModel}
@@ -36,7 +38,7 @@ internals.authorizeDocumentCreatorToRead = function(model, Log) {
   const authorizeDocumentCreatorToReadForModel = function authorizeDocumentCreatorToReadForModel(request, reply, next) {
     Log = Log.bind("authorizeDocumentCreatorToRead");
 
-    return internals.addScope('read', request, reply, next, Log);
+    return internals.addCreator('read', request, reply, next, Log);
   };
 
   authorizeDocumentCreatorToReadForModel.applyPoint = 'onPreHandler';
@@ -45,7 +47,8 @@ internals.authorizeDocumentCreatorToRead = function(model, Log) {
 internals.authorizeDocumentCreatorToRead.applyPoint = 'onPreHandler';
 
 /**
- * Policy to authorize a document's creator to perform update actions on the document.
+ * Policy to record a document's creator, who is authorized to perform update actions on the document through its
+ * "createdBy" property and, if document scopes are enabled, the document's "updateScope".
  * @param model
  * @param Log
  * @returns {authorizeDocumentCreatorToUpdateForModel}
@@ -55,7 +58,7 @@ internals.authorizeDocumentCreatorToUpdate = function(model, Log) {
   const authorizeDocumentCreatorToUpdateForModel = function authorizeDocumentCreatorToUpdateForModel(request, reply, next) {
     Log = Log.bind("authorizeDocumentCreatorToUpdate");
 
-    return internals.addScope('update', request, reply, next, Log);
+    return internals.addCreator('update', request, reply, next, Log);
   };
 
   authorizeDocumentCreatorToUpdateForModel.applyPoint = 'onPreHandler';
@@ -64,7 +67,8 @@ internals.authorizeDocumentCreatorToUpdate = function(model, Log) {
 internals.authorizeDocumentCreatorToUpdate.applyPoint = 'onPreHandler';
 
 /**
- * Policy to authorize a document's creator to perform delete actions on the document.
+ * Policy to record a document's creator, who is authorized to perform delete actions on the document through its
+ * "createdBy" property and, if document scopes are enabled, the document's "deleteScope".
  * @param model
  * @param Log
  * @returns {authorizeDocumentCreatorToDeleteForModel}
@@ -74,7 +78,7 @@ internals.authorizeDocumentCreatorToDelete = function(model, Log) {
   const authorizeDocumentCreatorToDeleteForModel = function authorizeDocumentCreatorToDeleteForModel(request, reply, next) {
     Log = Log.bind("authorizeDocumentCreatorToDelete");
 
-    return internals.addScope('delete', request, reply, next, Log);
+    return internals.addCreator('delete', request, reply, next, Log);
   };
 
   authorizeDocumentCreatorToDeleteForModel.applyPoint = 'onPreHandler';
@@ -83,7 +87,8 @@ internals.authorizeDocumentCreatorToDelete = function(model, Log) {
 internals.authorizeDocumentCreatorToDelete.applyPoint = 'onPreHandler';
 
 /**
- * Policy to authorize a document's creator to perform associate actions on the document.
+ * Policy to record a document's creator, who is authorized to perform associate actions on the document through
+ * its "createdBy" property and, if document scopes are enabled, the document's "associateScope".
  * @param model
  * @param Log
  * @returns {authorizeDocumentCreatorToAssociateForModel}
@@ -93,7 +98,7 @@ internals.authorizeDocumentCreatorToAssociate = function(model, Log) {
   const authorizeDocumentCreatorToAssociateForModel = function authorizeDocumentCreatorToAssociateForModel(request, reply, next) {
     Log = Log.bind("authorizeDocumentCreatorToAssociate");
 
-    return internals.addScope('associate', request, reply, next, Log);
+    return internals.addCreator('associate', request, reply, next, Log);
   };
 
   authorizeDocumentCreatorToAssociateForModel.applyPoint = 'onPreHandler';
@@ -102,7 +107,10 @@ internals.authorizeDocumentCreatorToAssociate = function(model, Log) {
 internals.authorizeDocumentCreatorToAssociate.applyPoint = 'onPreHandler';
 
 /**
- * Internal function to add the creating user's _id to a document's relevant action scope.
+ * Internal function to add the creating user's _id to the "createdBy" property of the documents, which the creator
+ * is matched against (see "AccessRuleHelper.getCreatorFilter"). If document scopes
+ * are enabled, "user-{_id}" is also added to the document's relevant action scope so that the document scope
+ * authorizes the creator as well.
  * @param action
  * @param request
  * @param reply
@@ -110,7 +118,7 @@ internals.authorizeDocumentCreatorToAssociate.applyPoint = 'onPreHandler';
  * @param Log
  * @returns {*}
  */
-internals.addScope = function(action, request, reply, next, Log) {
+internals.addCreator = function(action, request, reply, next, Log) {
 
   try {
     let scopeType = "";
@@ -142,23 +150,26 @@ internals.addScope = function(action, request, reply, next, Log) {
       return next(Boom.badRequest(message), false);
     }
 
-    if (_.isArray(request.payload)) {
-      request.payload.forEach(function(document) {
+    const addCreator = function(document) {
+      document.createdBy = userId;
+
+      if (config.enableDocumentScopes) {
         let scope = {};
         scope[scopeType] = [];
 
         document.scope = document.scope || scope;
         document.scope[scopeType] = document.scope[scopeType] || [];
-        document.scope[scopeType].push("user-" + userId)
-      })
+        if (document.scope[scopeType].indexOf("user-" + userId) < 0) {
+          document.scope[scopeType].push("user-" + userId);
+        }
+      }
+    };
+
+    if (_.isArray(request.payload)) {
+      request.payload.forEach(addCreator);
     }
     else {
-      let scope = {};
-      scope[scopeType] = [];
-
-      request.payload.scope = request.payload.scope || scope;
-      request.payload.scope[scopeType] = request.payload.scope[scopeType] || [];
-      request.payload.scope[scopeType].push("user-" + userId)
+      addCreator(request.payload);
     }
 
     return next(null, true);
@@ -167,7 +178,7 @@ internals.addScope = function(action, request, reply, next, Log) {
     Log.error("ERROR:", err);
     return next(Boom.badImplementation(err), false);
   }
-  
+
 };
 
 module.exports = {
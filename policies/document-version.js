@@ -0,0 +1,148 @@
+'use strict';
+
+const Boom = require('boom');
+const _ = require('lodash');
+const extend = require('util')._extend;
+const VersionHelper = require('../utilities/version-helper');
+
+const internals = {};
+
+/**
+ * Policy to reject requests with an "If-Match" header or "$version" query parameter that doesn't match the
+ * current version of the document (or owner document for association requests).
+ * @param model
+ * @param Log
+ * @returns {enforceVersionForModel}
+ */
+internals.enforceVersion = function(model, Log) {
+
+  const enforceVersionForModel = function enforceVersionForModel(request, reply, next) {
+    Log = Log.bind("enforceVersion");
+
+    try {
+      const expectedVersions = VersionHelper.getExpectedVersions(request);
+      const _id = request.params._id || request.params.ownerId;
+
+      if (!expectedVersions || !_id) {
+        return next(null, true);
+      }
+
+      const versionField = VersionHelper.getVersionField(model);
+
+      return model.findOne({ '_id': _id }).select(versionField).lean()
+          .then(function(document) {
+            //EXPL: missing documents are handled by the route handler
+            if (!document) {
+              return next(null, true);
+            }
+
+            if (!VersionHelper.matchesVersion(model, document, expectedVersions)) {
+              return next(Boom.preconditionFailed("The resource has been modified."), false);
+            }
+
+            //EXPL: the verified version is used to make sure the document isn't modified before the request is handled
+            request.plugins['rest-hapi'] = extend(request.plugins['rest-hapi'] || {}, {
+              version: _.get(document, versionField)
+            });
+
+            return next(null, true);
+          })
+          .catch(function(error) {
+            Log.error("ERROR:", error);
+            return next(Boom.badImplementation(error), false);
+          });
+    }
+    catch (err) {
+      Log.error("ERROR:", err);
+      return next(Boom.badImplementation(err), false);
+    }
+  };
+
+  enforceVersionForModel.applyPoint = 'onPreHandler';
+  return enforceVersionForModel;
+};
+internals.enforceVersion.applyPoint = 'onPreHandler';
+
+
+/**
+ * Policy to add an "ETag" header with the document version to find and update responses, and with a hash of the
+ * document versions to list responses.
+ * @param model
+ * @param Log
+ * @returns {addVersionHeaderForModel}
+ */
+internals.addVersionHeader = function(model, Log) {
+
+  const addVersionHeaderForModel = function addVersionHeaderForModel(request, reply, next) {
+    Log = Log.bind("addVersionHeader");
+
+    try {
+      const response = request.response;
+      const plugins = request.plugins['rest-hapi'] || {};
+
+      if (response.isBoom || response.statusCode !== 200 || !_.isObject(response.source) || plugins.exportStream) {
+        return next(null, true);
+      }
+
+      const versionField = VersionHelper.getVersionField(model);
+      let documents = [];
+
+      if (request.params._id) {
+        documents = [response.source];
+      }
+      else if (_.isArray(response.source.docs)) {
+        documents = response.source.docs;
+      }
+      else {
+        return next(null, true);
+      }
+
+      let promise = {};
+
+      //EXPL: the version field isn't always readable (Ex: "__v"), in which case it is queried separately
+      if (documents.every(function(document) { return _.has(document, versionField); })) {
+        promise = Promise.resolve(documents);
+      }
+      else {
+        promise = model.find({ '_id': { $in: _.map(documents, '_id') } }).select(versionField).lean();
+      }
+
+      return promise
+          .then(function(versions) {
+            if (request.params._id) {
+              const version = VersionHelper.getVersion(model, versions[0]);
+              if (version !== null) {
+                response.etag(version);
+              }
+            }
+            else {
+              const versionMap = _.keyBy(versions, function(document) { return document._id.toString(); });
+              documents = documents.map(function(document) {
+                return versionMap[document._id.toString()] || document;
+              });
+              response.etag(VersionHelper.getListVersion(model, documents), { weak: true });
+            }
+
+            return next(null, true);
+          })
+          .catch(function(error) {
+            Log.error("ERROR:", error);
+            return next(null, true);
+          });
+    }
+    catch (err) {
+      Log.error("ERROR:", err);
+      return next(null, true);
+    }
+  };
+
+  addVersionHeaderForModel.applyPoint = 'onPostHandler';
+  return addVersionHeaderForModel;
+};
+internals.addVersionHeader.applyPoint = 'onPostHandler';
+
+
+module.exports = {
+  enforceVersion : internals.enforceVersion,
+  addVersionHeader : internals.addVersionHeader
+};
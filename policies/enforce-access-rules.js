@@ -0,0 +1,104 @@
+'use strict';
+
+const Boom = require('boom');
+const _ = require('lodash');
+const AccessRuleHelper = require('../utilities/access-rule-helper');
+
+const internals = {};
+
+/**
+ * Policy to reject requests for documents that the "routeOptions.accessRules" of a model don't allow the user to
+ * perform the action on. Lists are filtered by the rules as they are queried, so only requests for specific
+ * documents are verified here.
+ * @param model
+ * @param Log
+ * @returns {enforceAccessRulesForModel}
+ */
+internals.enforceAccessRules = function(model, Log) {
+
+  const enforceAccessRulesForModel = function enforceAccessRulesForModel(request, reply, next) {
+    Log = Log.bind("enforceAccessRules");
+
+    try {
+      let action = "";
+      let ids = [];
+
+      //SHARE AUTHORIZATION
+      if (request.params._id && request.route && request.route.path.indexOf('/{_id}/scope') >= 0) {
+        action = request.method === "get" ? 'read' : request.params.action;
+        ids = [request.params._id];
+      }
+      //UPDATE AUTHORIZATION
+      else if (request.params._id && (request.method === "put" || request.method === "patch")) {
+        action = 'update';
+        ids = [request.params._id];
+      }
+      //ASSOCIATE AUTHORIZATION
+      else if (request.params.ownerId) {
+        action = request.method === "get" ? 'read' : 'associate';
+        ids = [request.params.ownerId];
+      }
+      //DELETE AUTHORIZATION
+      else if (request.method === "delete") {
+        action = 'delete';
+        ids = request.params._id ? [request.params._id] : request.payload.map(function(item) {
+          return _.isObject(item) ? item._id : item;
+        });
+      }
+      //RESTORE AUTHORIZATION
+      else if (request.method === "post" && request.route && _.endsWith(request.route.path, '/restore')) {
+        //EXPL: restoring a document requires the same access as deleting it
+        action = 'delete';
+        ids = request.params._id ? [request.params._id] : request.payload;
+      }
+      //REVISION AUTHORIZATION
+      else if (request.params._id && request.route && request.route.path.indexOf('/{_id}/revisions') >= 0) {
+        action = request.method === "get" ? 'read' : 'update';
+        ids = [request.params._id];
+      }
+      //READ AUTHORIZATION
+      else if (request.method === "get" && request.params._id) {
+        action = 'read';
+        ids = [request.params._id];
+      }
+      else {
+        return next(null, true);
+      }
+
+      if (!AccessRuleHelper.getFilter(model, action, request)) {
+        return next(null, true);
+      }
+
+      //EXPL: documents that don't exist are left to the handler
+      return model.find({ '_id': { $in: ids } }).lean()
+          .then(function(documents) {
+            const authorized = documents.every(function(document) {
+              return AccessRuleHelper.isAuthorized(model, action, document, request);
+            });
+
+            if (!authorized) {
+              return next(Boom.forbidden("The access rules of the resource don't allow this action."), false);
+            }
+
+            return next(null, true);
+          })
+          .catch(function(error) {
+            Log.error("ERROR:", error);
+            return next(Boom.badImplementation(error), false);
+          });
+    }
+    catch (err) {
+      Log.error("ERROR:", err);
+      return next(Boom.badImplementation(err), false);
+    }
+  };
+
+  enforceAccessRulesForModel.applyPoint = 'onPreHandler';
+  return enforceAccessRulesForModel;
+};
+internals.enforceAccessRules.applyPoint = 'onPreHandler';
+
+
+module.exports = {
+  enforceAccessRules : internals.enforceAccessRules
+};
@@ -3,13 +3,13 @@
 const Boom = require('boom');
 const _ = require('lodash');
 const config = require('../config');
+const authHelper = require('../utilities/auth-helper');
+const AccessRuleHelper = require('../utilities/access-rule-helper');
+const ExportHelper = require('../utilities/export-helper');
+const QueryHelper = require('../utilities/query-helper');
 
 const internals = {};
 
-//TODO: enforce scopes for embedded docs
-//TODO: update get query to filter based on scopes in pre rather than "commenting out" unauthorized docs
-//TODO (cont): in post. This should make authorization "transparent" and work with pagination
-
 internals.enforceDocumentScopePre = function(model, Log) {
 
   const enforceDocumentScopePreForModel = function enforceDocumentScopePreForModel(request, reply, next) {
@@ -20,9 +20,35 @@ internals.enforceDocumentScopePre = function(model, Log) {
 
       let action = "";
       let ids = [];
+      let isRevoke = false;
+
+      //LIST AUTHORIZATION
+      if (request.method === "get" && !request.params._id && request.query &&
+          !(request.params.ownerId && internals.isVerifiedAfterQuery(request))) {
+        //EXPL: unauthorized docs are filtered out of the query itself so that pagination, "$count", exports, aggregates,
+        //subscriptions, and association "getAll" results only ever include authorized docs
+        internals.addScopeFilter(model, request, 'read', userScope, Log);
+      }
+
+      //EMBED AUTHORIZATION
+      if (request.method === "get" && request.query && request.query.$embed && !internals.isVerifiedAfterQuery(request)) {
+        //EXPL: embedded docs are filtered out as they are populated, at every level of the "$embed" paths
+        QueryHelper.addPopulateMatch(request.query, function(embeddedModel) {
+          const scopeQuery = internals.createScopeQuery('read', userScope, Log);
+          return AccessRuleHelper.addCreatorFilter(embeddedModel, 'read', scopeQuery, request);
+        });
+      }
 
+      //SHARE AUTHORIZATION
+      if (request.params._id && request.route && request.route.path.indexOf('/{_id}/scope') >= 0) {
+        //EXPL: users can only share the actions they are allowed to perform on the document
+        action = request.method === "get" ? 'read' : request.params.action;
+        ids = [request.params._id];
+        //EXPL: revoking an action from others also requires update access to the document
+        isRevoke = request.method === "delete";
+      }
       //UPDATE AUTHORIZATION
-      if (request.params._id && request.method === "put") {
+      else if (request.params._id && (request.method === "put" || request.method === "patch")) {
         action = 'update';
         ids = [request.params._id];
       }
@@ -44,15 +70,46 @@ internals.enforceDocumentScopePre = function(model, Log) {
         }
         else {
           ids = request.payload.map(function(item) {
-            return item._id;
+            return _.isObject(item) ? item._id : item;
           });
         }
       }
+      //RESTORE AUTHORIZATION
+      else if (request.method === "post" && request.route && _.endsWith(request.route.path, '/restore')) {
+        //EXPL: restoring a document requires the same document scope as deleting it
+        action = 'delete';
+        ids = request.params._id ? [request.params._id] : request.payload;
+      }
+      //REVISION AUTHORIZATION
+      else if (request.params._id && request.route && request.route.path.indexOf('/{_id}/revisions') >= 0) {
+        //EXPL: revisions are verified against the current document, since their snapshots may have a different scope
+        action = request.method === "get" ? 'read' : 'update';
+        ids = [request.params._id];
+      }
       else {
         return next(null, true);
       }
 
-      return internals.verifyScopeById(model, ids, action, userScope, Log)
+      const verify = function(ids, action) {
+        //EXPL: the creator of a document is authorized regardless of its document scope
+        if (!AccessRuleHelper.getCreatorFilter(model, action, request)) {
+          return internals.verifyScopeById(model, ids, action, userScope, Log);
+        }
+
+        return internals.removeCreatedIds(model, ids, action, request)
+            .then(function(ids) {
+              return _.isEmpty(ids) ? { authorized: true, unauthorizedDocs: [] } :
+                  internals.verifyScopeById(model, ids, action, userScope, Log);
+            });
+      };
+
+      return verify(ids, action)
+          .then(function(result) {
+            if (result.authorized && isRevoke && action !== 'update') {
+              return verify(ids, 'update');
+            }
+            return result;
+          })
           .then(function(result) {
             if (result.authorized) {
               return next(null, true);
@@ -63,7 +120,7 @@ internals.enforceDocumentScopePre = function(model, Log) {
                 return document._id.toString();
               });
               request.payload = request.payload.filter(function(item) {
-                return unauthorizedIds.indexOf(item._id) < 0;
+                return unauthorizedIds.indexOf(_.isObject(item) ? item._id : item) < 0;
               });
               return next(null, true);
             }
@@ -103,44 +160,40 @@ internals.enforceDocumentScopePost = function(model, Log) {
 
       //READ AUTHORIZATION
       if (request.method === "get") {
+        let documents = [];
         //EXPL: the request is for a "find" endpoint
         if (request.params._id) {
-          result = internals.verifyScope([request.response.source], "read", userScope, Log);
+          documents = [request.response.source];
         }
-        //EXPL: the request is for a "list" endpoint
-        else {
-          //EXPL: Only verify scope if docs are included in the response, otherwise return as authorized.
-          //Ex: If '$count' query parameter is used
-          if (request.response.source.docs) {
-            result = internals.verifyScope(request.response.source.docs, "read", userScope, Log);
-          }
-          else {
-            result = { authorized: true };
-          }
+        //EXPL: the docs of "list" endpoints are filtered by scope in "enforceDocumentScopePre" unless the request
+        //is rejected for any unauthorized docs
+        else if (internals.isVerifiedAfterQuery(request) && request.response.source &&
+            _.isArray(request.response.source.docs)) {
+          documents = request.response.source.docs;
         }
 
-        if (result.authorized) {
-          return next(null, true);
+        let embeddedDocs = [];
+        if (internals.isVerifiedAfterQuery(request) && request.query && request.query.$embed) {
+          embeddedDocs = internals.getEmbeddedDocs(documents);
         }
-        else if (request.params._id || config.enableDocumentScopeFail) {
-          return next(Boom.forbidden("Insufficient document scope."), false);
+
+        //EXPL: the creator of a document is authorized regardless of its document scope
+        documents = documents.filter(function(document) {
+          return !AccessRuleHelper.isCreator(model, 'read', document, request);
+        }).concat(embeddedDocs);
+
+        if (_.isEmpty(documents)) {
+          return next(null, true);
         }
-        else {
-          let unauthorizedIds = result.unauthorizedDocs.map(function(document) {
-            return document._id.toString();
-          });
-          //EXPL: replace unauthorized docs with an error
-          request.response.source.docs = request.response.source.docs.map(function(document) {
-            if (unauthorizedIds.indexOf(document._id.toString()) < 0) {
-              return document;
-            }
-            else {
-              return { "error": "Insufficient document scope." }
-            }
-          });
 
+        result = internals.verifyScope(documents, "read", userScope, Log);
+
+        if (result.authorized) {
           return next(null, true);
         }
+        else {
+          return next(Boom.forbidden("Insufficient document scope."), false);
+        }
       }
 
       return next(null, true);
@@ -170,6 +223,33 @@ internals.verifyScopeById = function(model, documentIds, action, userScope, Log)
       })
 };
 
+/**
+ * Removes the ids of the documents that the creator of the request is authorized for through the
+ * "authorizeDocumentCreator" options.
+ * @param model: A mongoose model.
+ * @param documentIds: A list of document ids.
+ * @param action: The action, Ex: "update".
+ * @param request: The Hapi request object.
+ * @returns {object}: A promise for the remaining ids.
+ */
+internals.removeCreatedIds = function(model, documentIds, action, request) {
+  const query = _.assign({
+    _id: {
+      $in: documentIds
+    }
+  }, AccessRuleHelper.getCreatorFilter(model, action, request));
+
+  return model.find(query, '_id')
+      .then(function(documents) {
+        const createdIds = documents.map(function(document) {
+          return document._id.toString();
+        });
+        return documentIds.filter(function(_id) {
+          return createdIds.indexOf(_id.toString()) < 0;
+        });
+      });
+};
+
 internals.verifyScope = function(documents, action, userScope, Log) {
   let authorized = true;
   let unauthorizedDocs = [];
@@ -244,6 +324,78 @@ internals.verifyScope = function(documents, action, userScope, Log) {
   return { authorized: authorized, unauthorizedDocs: unauthorizedDocs };
 };
 
+/**
+ * Checks if the docs of a read request are verified after the query rather than filtered. With
+ * "config.enableDocumentScopeFail" enabled, requests with JSON responses are rejected if any of their docs are
+ * unauthorized. Exports and subscriptions can't be verified after the query, so their docs are always filtered.
+ * @param request: The Hapi request object.
+ * @returns {boolean}
+ */
+internals.isVerifiedAfterQuery = function(request) {
+  return !!config.enableDocumentScopeFail && !ExportHelper.getExportFormat(request.query || {}, request.headers) &&
+      !(request.route && _.endsWith(request.route.path, '/subscribe'));
+};
+
+/**
+ * Collects the embedded docs of a list of documents, at any depth, that have a document scope.
+ * @param documents: A list of lean documents.
+ * @returns {Array}: The embedded docs.
+ */
+internals.getEmbeddedDocs = function(documents) {
+  let embeddedDocs = [];
+
+  const collect = function(value, depth) {
+    if (_.isArray(value)) {
+      value.forEach(function(item) {
+        collect(item, depth);
+      });
+    }
+    else if (_.isPlainObject(value)) {
+      if (depth > 0 && _.isPlainObject(value.scope)) {
+        embeddedDocs.push(value);
+      }
+      for (let key in value) {
+        if (key !== 'scope') {
+          collect(value[key], depth + 1);
+        }
+      }
+    }
+  };
+
+  collect(documents, 0);
+  return embeddedDocs;
+};
+
+/**
+ * Adds a scope query to the "$where" parameter of the request so that only authorized documents are returned, along
+ * with the documents the user is authorized for as their creator.
+ * @param model: A mongoose model.
+ * @param request: The Hapi request object.
+ * @param action: The action scope to combine with the document root scope, Ex: "read".
+ * @param userScope: The scope of the user.
+ * @param Log: A logging object.
+ */
+internals.addScopeFilter = function(model, request, action, userScope, Log) {
+  let where = request.query.$where || {};
+  if (typeof where === 'string') {
+    where = JSON.parse(where);
+  }
+  const scopeQuery = AccessRuleHelper.addCreatorFilter(model, action, internals.createScopeQuery(action, userScope, Log), request);
+  request.query.$where = _.isEmpty(where) ? scopeQuery : { $and: [where, scopeQuery] };
+};
+
+/**
+ * Creates a mongo query that matches the documents the user scope is authorized for. The query mirrors the
+ * logic of "compareScopes".
+ * @param action: The action scope to combine with the document root scope, Ex: "read".
+ * @param userScope: The scope of the user.
+ * @param Log: A logging object.
+ * @returns {object}: A mongo query.
+ */
+internals.createScopeQuery = function(action, userScope, Log) {
+  return authHelper.createDocumentScopeQuery(action, userScope, Log);
+};
+
 internals.compareScopes = function(userScope, documentScope, Log) {
   userScope = userScope || [];
   let fobiddenScope = [];
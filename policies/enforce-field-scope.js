@@ -0,0 +1,306 @@
+'use strict';
+
+const Boom = require('boom');
+const _ = require('lodash');
+const FieldScopeHelper = require('../utilities/field-scope-helper');
+const QueryHelper = require('../utilities/query-helper');
+
+const internals = {};
+
+//EXPL: query parameters that list fields of the model
+internals.fieldListParameters = ['$sort', '$searchFields', '$groupBy', '$countBy', '$sum', '$avg', '$min', '$max'];
+
+//EXPL: "$where" operators whose conditions list fields of the model
+internals.logicalOperators = ['$and', '$or', '$nor'];
+
+/**
+ * Policy to reject requests that write fields the user doesn't have the "writeScope" for, or that query fields
+ * the user doesn't have the "readScope" for.
+ * @param model
+ * @param Log
+ * @returns {enforceFieldScopePreForModel}
+ */
+internals.enforceFieldScopePre = function(model, Log) {
+
+  const enforceFieldScopePreForModel = function enforceFieldScopePreForModel(request, reply, next) {
+    Log = Log.bind("enforceFieldScopePre");
+
+    try {
+      let writtenFields = [];
+      let readFields = [];
+
+      //WRITE AUTHORIZATION
+      if (request.method === "post" || request.method === "put" || request.method === "patch") {
+        writtenFields = internals.getPayloadFields(request);
+      }
+
+      if (request.method === "patch") {
+        //EXPL: "test" operations reveal whether a field has a value
+        readFields = internals.getPatchTestFields(request);
+      }
+      //QUERY AUTHORIZATION
+      else if (request.method === "get" && request.query) {
+        readFields = internals.getQueryFields(model, request.query);
+      }
+
+      const unwritableFields = _.intersection(writtenFields, FieldScopeHelper.getUnauthorizedFields(model, "write", request));
+      if (!_.isEmpty(unwritableFields)) {
+        return next(Boom.forbidden("Insufficient scope to write the fields: " + unwritableFields.join(", ") + "."), false);
+      }
+
+      const unreadableFields = FieldScopeHelper.getUnauthorizedFields(model, "read", request);
+      const queriedFields = internals.getUnreadablePaths(model, readFields, request);
+      if (!_.isEmpty(queriedFields)) {
+        return next(Boom.forbidden("Insufficient scope to query the fields: " + queriedFields.join(", ") + "."), false);
+      }
+
+      //EXPL: "$term" searches every queryable string field by default, so the search is limited to the readable ones
+      if (request.method === "get" && request.query && request.query.$term && !request.query.$searchFields &&
+          !_.isEmpty(unreadableFields)) {
+        const stringFields = QueryHelper.getStringFields(model, Log);
+        const searchFields = QueryHelper.getQueryableFields(model, Log).filter(function(fieldName) {
+          return stringFields.indexOf(fieldName) > -1;
+        });
+        const readableSearchFields = _.difference(searchFields, unreadableFields);
+
+        if (readableSearchFields.length < searchFields.length) {
+          if (_.isEmpty(readableSearchFields)) {
+            return next(Boom.forbidden("Insufficient scope to query the fields: " + searchFields.join(", ") + "."), false);
+          }
+          request.query.$searchFields = readableSearchFields;
+        }
+      }
+
+      return next(null, true);
+    }
+    catch (err) {
+      Log.error("ERROR:", err);
+      return next(Boom.badImplementation(err), false);
+    }
+  };
+
+  enforceFieldScopePreForModel.applyPoint = 'onPreHandler';
+  return enforceFieldScopePreForModel;
+};
+internals.enforceFieldScopePre.applyPoint = 'onPreHandler';
+
+
+/**
+ * Policy to remove the fields the user doesn't have the "readScope" for from the response, including the fields of
+ * embedded documents.
+ * @param model
+ * @param Log
+ * @returns {enforceFieldScopePostForModel}
+ */
+internals.enforceFieldScopePost = function(model, Log) {
+
+  const enforceFieldScopePostForModel = function enforceFieldScopePostForModel(request, reply, next) {
+    Log = Log.bind("enforceFieldScopePost");
+
+    try {
+      const response = request.response;
+
+      if (_.isError(response) || response.isBoom || (!_.isPlainObject(response.source) && !_.isArray(response.source))) {
+        return next(null, true);
+      }
+
+      const filterDocument = function(document) {
+        return FieldScopeHelper.filterDocument(model, document, request);
+      };
+
+      let source = response.source;
+
+      //EXPL: the source is replaced rather than modified so that cached results stay intact
+      if (_.isArray(source)) {
+        source = source.map(filterDocument);
+      }
+      else if (_.isArray(source.docs)) {
+        source = _.assign({}, source, { docs: source.docs.map(filterDocument) });
+      }
+      //EXPL: the request is for a "findRevision" endpoint
+      else if (request.method === "get" && request.params.revision !== undefined) {
+        const unreadableFields = FieldScopeHelper.getUnauthorizedFields(model, "read", request);
+        source = _.assign({}, source, { snapshot: filterDocument(source.snapshot) });
+        if (_.isArray(source.diff)) {
+          source.diff = source.diff.filter(function(difference) {
+            return unreadableFields.indexOf(difference.field) < 0;
+          });
+        }
+      }
+      else {
+        source = filterDocument(source);
+      }
+
+      response.source = source;
+
+      return next(null, true);
+    }
+    catch (err) {
+      Log.error("ERROR:", err);
+      return next(Boom.badImplementation(err), false);
+    }
+  };
+
+  enforceFieldScopePostForModel.applyPoint = 'onPostHandler';
+  return enforceFieldScopePostForModel;
+};
+internals.enforceFieldScopePost.applyPoint = 'onPostHandler';
+
+
+/**
+ * Get the fields written by a create, update, or patch request.
+ * @param request
+ * @returns {Array}
+ */
+internals.getPayloadFields = function(request) {
+  const payloads = [].concat(request.payload || []);
+  let fields = [];
+
+  payloads.forEach(function(payload) {
+    if (_.isPlainObject(payload)) {
+      fields = fields.concat(Object.keys(payload));
+    }
+  });
+
+  //EXPL: patch requests can also remove fields
+  const patch = request.plugins && request.plugins['rest-hapi'] ? request.plugins['rest-hapi'].patch : null;
+  if (request.method === "patch" && patch) {
+    fields = fields.concat(patch.unset || []);
+  }
+
+  return _.uniq(fields);
+};
+
+/**
+ * Get the fields compared by the "test" operations of a patch request.
+ * @param request
+ * @returns {Array}
+ */
+internals.getPatchTestFields = function(request) {
+  const patch = request.plugins && request.plugins['rest-hapi'] ? request.plugins['rest-hapi'].patch : null;
+  const operations = patch ? patch.operations || [] : [];
+
+  return _.uniq(operations
+      .filter(function(operation) {
+        return operation.op === "test";
+      })
+      .map(function(operation) {
+        return operation.path.split("/")[1];
+      }));
+};
+
+/**
+ * Get the field paths that are used to filter, sort, search, or aggregate the results of a query, including the
+ * fields of the "$where" conditions.
+ * @param model
+ * @param query
+ * @returns {Array}
+ */
+internals.getQueryFields = function(model, query) {
+  let fields = Object.keys(query)
+      .filter(function(key) {
+        return key[0] !== '$';
+      })
+      .map(function(key) {
+        //EXPL: remove the operator of field queries, Ex: "salary[$gt]"
+        return key.replace(/\[\$[a-zA-Z]+\]$/, "");
+      });
+
+  internals.fieldListParameters.forEach(function(parameter) {
+    let fieldList = query[parameter] || [];
+    if (!_.isArray(fieldList)) {
+      fieldList = fieldList.toString().split(",");
+    }
+    fields = fields.concat(fieldList.map(function(fieldName) {
+      return fieldName.replace(/^-/, "");
+    }));
+  });
+
+  let where = query.$where;
+  if (typeof where === 'string') {
+    try {
+      where = JSON.parse(where);
+    }
+    catch (err) {
+      //EXPL: the query handler rejects invalid "$where" conditions
+      where = null;
+    }
+  }
+  fields = fields.concat(internals.getWhereFields(model, where));
+
+  return _.uniq(fields);
+};
+
+/**
+ * Get the field paths of "$where" conditions, including the conditions nested in logical operators.
+ * @param model
+ * @param conditions
+ * @returns {Array}
+ */
+internals.getWhereFields = function(model, conditions) {
+  let fields = [];
+
+  if (_.isArray(conditions)) {
+    conditions.forEach(function(condition) {
+      fields = fields.concat(internals.getWhereFields(model, condition));
+    });
+    return fields;
+  }
+
+  if (!_.isPlainObject(conditions)) {
+    return fields;
+  }
+
+  Object.keys(conditions).forEach(function(key) {
+    if (internals.logicalOperators.indexOf(key) > -1) {
+      fields = fields.concat(internals.getWhereFields(model, conditions[key]));
+    }
+    //EXPL: other operators (Ex: "$expr" or "$text") can compare any field, so every field is treated as queried
+    else if (key[0] === '$') {
+      fields = fields.concat(Object.keys(model.schema ? model.schema.tree : {}));
+    }
+    else {
+      fields.push(key);
+    }
+  });
+
+  return fields;
+};
+
+/**
+ * Get the field paths the user isn't allowed to read. Paths through associations (Ex: "role.name") are checked
+ * against the "readScope" of the fields of the associated model.
+ * @param model
+ * @param fieldPaths
+ * @param request
+ * @returns {Array}
+ */
+internals.getUnreadablePaths = function(model, fieldPaths, request) {
+  const unreadableFields = FieldScopeHelper.getUnauthorizedFields(model, "read", request);
+  const associations = model.routeOptions ? model.routeOptions.associations : null;
+  let unreadablePaths = [];
+
+  fieldPaths.forEach(function(fieldPath) {
+    const separatorIndex = fieldPath.indexOf(".");
+    const fieldName = separatorIndex < 0 ? fieldPath : fieldPath.substr(0, separatorIndex);
+    const association = associations ? associations[fieldName] : null;
+    const associatedModel = association && association.include ? association.include.model : null;
+
+    if (unreadableFields.indexOf(fieldName) > -1) {
+      unreadablePaths.push(fieldName);
+    }
+    else if (associatedModel && separatorIndex > -1) {
+      unreadablePaths = unreadablePaths.concat(internals.getUnreadablePaths(associatedModel, [fieldPath.substr(separatorIndex + 1)], request)
+          .map(function(associatedPath) {
+            return fieldName + "." + associatedPath;
+          }));
+    }
+  });
+
+  return _.uniq(unreadablePaths);
+};
+
+module.exports = {
+  enforceFieldScopePre : internals.enforceFieldScopePre,
+  enforceFieldScopePost : internals.enforceFieldScopePost
+};
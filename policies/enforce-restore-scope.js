@@ -0,0 +1,64 @@
+'use strict';
+
+const Boom = require('boom');
+const authHelper = require('../utilities/auth-helper');
+
+const internals = {};
+
+/**
+ * Policy to only allow users with the restore scope of a model to list its soft deleted documents through the
+ * "$includeDeleted" and "$onlyDeleted" query parameters, or an "isDeleted" query.
+ * @param model
+ * @param Log
+ * @returns {enforceRestoreScopeForModel}
+ */
+internals.enforceRestoreScope = function(model, Log) {
+
+  const enforceRestoreScopeForModel = function enforceRestoreScopeForModel(request, reply, next) {
+    Log = Log.bind("enforceRestoreScope");
+
+    try {
+      if (!request.query || (!request.query.$includeDeleted && !request.query.$onlyDeleted &&
+          !internals.queriesDeleted(request.query))) {
+        return next(null, true);
+      }
+
+      const userScope = request.auth.credentials ? request.auth.credentials.scope : [];
+      const restoreScope = authHelper.generateScopeForEndpoint(model, 'restore', Log);
+
+      if (authHelper.hasScope(userScope, restoreScope, Log)) {
+        return next(null, true);
+      }
+
+      return next(Boom.forbidden("Insufficient scope to list deleted documents."), false);
+    }
+    catch (err) {
+      Log.error("ERROR:", err);
+      return next(Boom.badImplementation(err), false);
+    }
+  };
+
+  enforceRestoreScopeForModel.applyPoint = 'onPreHandler';
+  return enforceRestoreScopeForModel;
+};
+internals.enforceRestoreScope.applyPoint = 'onPreHandler';
+
+/**
+ * Check if a query includes an "isDeleted" query (Ex: "isDeleted=true" or "isDeleted[$ne]=false") that can match soft
+ * deleted documents.
+ * @param query: The request query.
+ * @returns {boolean}
+ */
+internals.queriesDeleted = function(query) {
+  return Object.keys(query).some(function(key) {
+    if (key.replace(/\[\$[a-zA-Z]+\]$/, "") !== 'isDeleted') {
+      return false;
+    }
+    return !(key === 'isDeleted' && (query[key] === false || query[key] === 'false'));
+  });
+};
+
+
+module.exports = {
+  enforceRestoreScope : internals.enforceRestoreScope
+};
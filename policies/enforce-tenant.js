@@ -0,0 +1,98 @@
+'use strict';
+
+const Boom = require('boom');
+const _ = require('lodash');
+const TenantHelper = require('../utilities/tenant-helper');
+
+const internals = {};
+
+/**
+ * Policy to only allow users with a tenant, or with the "config.superTenantScope", to access the documents of a
+ * model when "config.multiTenant" is enabled.
+ * @param model
+ * @param Log
+ * @returns {enforceTenantForModel}
+ */
+internals.enforceTenant = function(model, Log) {
+
+  const enforceTenantForModel = function enforceTenantForModel(request, reply, next) {
+    Log = Log.bind("enforceTenant");
+
+    try {
+      if (TenantHelper.isSuperTenant(request) || TenantHelper.getTenantId(request) !== null) {
+        return next(null, true);
+      }
+
+      return next(Boom.forbidden("A tenant is required to access this resource."), false);
+    }
+    catch (err) {
+      Log.error("ERROR:", err);
+      return next(Boom.badImplementation(err), false);
+    }
+  };
+
+  enforceTenantForModel.applyPoint = 'onPreHandler';
+  return enforceTenantForModel;
+};
+internals.enforceTenant.applyPoint = 'onPreHandler';
+
+
+/**
+ * Policy to reject requests that add documents of another tenant to an association.
+ * @param childModel
+ * @param Log
+ * @returns {enforceTenantAssociationForModel}
+ */
+internals.enforceTenantAssociation = function(childModel, Log) {
+
+  const enforceTenantAssociationForModel = function enforceTenantAssociationForModel(request, reply, next) {
+    Log = Log.bind("enforceTenantAssociation");
+
+    try {
+      if (!TenantHelper.getFilter(childModel, request)) {
+        return next(null, true);
+      }
+
+      let childIds = [];
+      if (request.params.childId) {
+        childIds = [request.params.childId];
+      }
+      else {
+        childIds = (request.payload || []).map(function(item) {
+          return _.isObject(item) && item.childId ? item.childId : item;
+        });
+      }
+
+      return childModel.find({ '_id': { $in: childIds } }).select('tenantId').lean()
+          .then(function(children) {
+            const authorized = children.every(function(child) {
+              return TenantHelper.isAuthorized(childModel, child, request);
+            });
+
+            if (!authorized) {
+              return next(Boom.forbidden("Documents of another tenant can't be associated."), false);
+            }
+
+            return next(null, true);
+          })
+          .catch(function(error) {
+            Log.error("ERROR:", error);
+            return next(Boom.badImplementation(error), false);
+          });
+    }
+    catch (err) {
+      Log.error("ERROR:", err);
+      return next(Boom.badImplementation(err), false);
+    }
+  };
+
+  enforceTenantAssociationForModel.applyPoint = 'onPreHandler';
+  return enforceTenantAssociationForModel;
+};
+internals.enforceTenantAssociation.applyPoint = 'onPreHandler';
+
+
+module.exports = {
+  enforceTenant : internals.enforceTenant,
+  enforceTenantAssociation : internals.enforceTenantAssociation
+};
@@ -0,0 +1,196 @@
+'use strict';
+
+const Boom = require('boom');
+const _ = require('lodash');
+const extend = require('util')._extend;
+const IdempotencyHelper = require('../utilities/idempotency-helper');
+
+const internals = {};
+
+/**
+ * Policy to reserve the "Idempotency-Key" of a request, or to replay the stored response if the key has already
+ * been used for the same request.
+ * @param mongoose
+ * @param Log
+ * @returns {enforceIdempotencyForRoute}
+ */
+internals.enforceIdempotency = function(mongoose, Log) {
+
+  const enforceIdempotencyForRoute = function enforceIdempotencyForRoute(request, reply, next) {
+    Log = Log.bind("enforceIdempotency");
+
+    try {
+      const key = IdempotencyHelper.getKey(request);
+
+      if (!key) {
+        return next(null, true);
+      }
+
+      const IdempotencyKey = IdempotencyHelper.getIdempotencyModel(mongoose);
+      const user = IdempotencyHelper.getUser(request);
+      const requestHash = IdempotencyHelper.getRequestHash(request);
+
+      //EXPL: the unique index on the key and user prevents two requests from reserving the same key
+      return IdempotencyKey.create({
+        key: key,
+        user: user,
+        method: request.method.toUpperCase(),
+        endpoint: request.path,
+        requestHash: requestHash
+      })
+          .then(function(record) {
+            request.plugins['rest-hapi'] = extend(request.plugins['rest-hapi'] || {}, {
+              idempotencyKey: record._id
+            });
+
+            return next(null, true);
+          })
+          .catch(function(error) {
+            if (error.code !== 11000) {
+              throw error;
+            }
+
+            return IdempotencyKey.findOne({ key: key, user: user }).lean()
+                .then(function(record) {
+                  //EXPL: the key expired after the duplicate key error
+                  if (!record) {
+                    return next(null, true);
+                  }
+
+                  if (record.requestHash !== requestHash) {
+                    return next(Boom.badData("The Idempotency-Key has already been used for a different request."), false);
+                  }
+
+                  if (!record.statusCode) {
+                    return next(Boom.conflict("A request with the same Idempotency-Key is still being processed."), false);
+                  }
+
+                  const response = reply(record.response === null ? null : JSON.parse(record.response))
+                      .code(record.statusCode);
+                  _.forEach(record.headers, function(value, name) {
+                    response.header(name, value);
+                  });
+                  response.header('Idempotent-Replayed', 'true');
+                  response.takeover();
+
+                  //EXPL: the stored response has been sent, so the remaining policies and the handler are skipped
+                  return next(null, false);
+                });
+          })
+          .catch(function(error) {
+            Log.error("ERROR:", error);
+            return next(Boom.badImplementation(error), false);
+          });
+    }
+    catch (err) {
+      Log.error("ERROR:", err);
+      return next(Boom.badImplementation(err), false);
+    }
+  };
+
+  enforceIdempotencyForRoute.applyPoint = 'onPreHandler';
+  return enforceIdempotencyForRoute;
+};
+internals.enforceIdempotency.applyPoint = 'onPreHandler';
+
+
+/**
+ * Policy to store the response of a request with an "Idempotency-Key" so that it can be replayed. Server errors
+ * aren't stored, which allows the request to be retried with the same key.
+ * @param mongoose
+ * @param Log
+ * @returns {saveIdempotentResponseForRoute}
+ */
+internals.saveIdempotentResponse = function(mongoose, Log) {
+
+  const saveIdempotentResponseForRoute = function saveIdempotentResponseForRoute(request, reply, next) {
+    Log = Log.bind("saveIdempotentResponse");
+
+    try {
+      const recordId = request.plugins['rest-hapi'] ? request.plugins['rest-hapi'].idempotencyKey : null;
+
+      if (!recordId) {
+        return next(null, true);
+      }
+
+      const IdempotencyKey = IdempotencyHelper.getIdempotencyModel(mongoose);
+      const response = IdempotencyHelper.serializeResponse(request.response);
+
+      let promise = {};
+      if (response.statusCode >= 500) {
+        promise = IdempotencyKey.findByIdAndRemove(recordId);
+      }
+      else {
+        promise = IdempotencyKey.findByIdAndUpdate(recordId, response);
+      }
+
+      return promise
+          .then(function() {
+            delete request.plugins['rest-hapi'].idempotencyKey;
+            return next(null, true);
+          })
+          .catch(function(error) {
+            Log.error("ERROR:", error);
+            return next(null, true);
+          });
+    }
+    catch (err) {
+      Log.error("ERROR:", err);
+      return next(null, true);
+    }
+  };
+
+  saveIdempotentResponseForRoute.applyPoint = 'onPostHandler';
+  return saveIdempotentResponseForRoute;
+};
+internals.saveIdempotentResponse.applyPoint = 'onPostHandler';
+
+
+/**
+ * Policy to release the "Idempotency-Key" of a request if its response wasn't stored, Ex: a later policy rejected
+ * the request before the handler ran. Otherwise retries would be rejected until the key expires.
+ * @param mongoose
+ * @param Log
+ * @returns {releaseIdempotencyKeyForRoute}
+ */
+internals.releaseIdempotencyKey = function(mongoose, Log) {
+
+  const releaseIdempotencyKeyForRoute = function releaseIdempotencyKeyForRoute(request, reply, next) {
+    Log = Log.bind("releaseIdempotencyKey");
+
+    try {
+      const recordId = request.plugins['rest-hapi'] ? request.plugins['rest-hapi'].idempotencyKey : null;
+
+      if (!recordId) {
+        return next(null, true);
+      }
+
+      const IdempotencyKey = IdempotencyHelper.getIdempotencyModel(mongoose);
+
+      return IdempotencyKey.findByIdAndRemove(recordId)
+          .then(function() {
+            delete request.plugins['rest-hapi'].idempotencyKey;
+            return next(null, true);
+          })
+          .catch(function(error) {
+            Log.error("ERROR:", error);
+            return next(null, true);
+          });
+    }
+    catch (err) {
+      Log.error("ERROR:", err);
+      return next(null, true);
+    }
+  };
+
+  releaseIdempotencyKeyForRoute.applyPoint = 'onPreResponse';
+  return releaseIdempotencyKeyForRoute;
+};
+internals.releaseIdempotencyKey.applyPoint = 'onPreResponse';
+
+
+module.exports = {
+  enforceIdempotency : internals.enforceIdempotency,
+  saveIdempotentResponse : internals.saveIdempotentResponse,
+  releaseIdempotencyKey : internals.releaseIdempotencyKey
+};
@@ -0,0 +1,106 @@
+'use strict';
+
+const Boom = require('boom');
+const _ = require('lodash');
+const extend = require('util')._extend;
+const RateLimitHelper = require('../utilities/rate-limit-helper');
+
+const internals = {};
+
+/**
+ * Policy to count a request against the rate limit of its endpoint, and to reject it with a 429 once the limit has
+ * been reached. Requests are counted before their payload is validated.
+ * @param model
+ * @param type: The type of endpoint: "create", "read", "update", "delete", or "associate".
+ * @param Log
+ * @returns {enforceRateLimitForModel}
+ */
+internals.enforceRateLimit = function(model, type, Log) {
+
+  const enforceRateLimitForModel = function enforceRateLimitForModel(request, reply, next) {
+    Log = Log.bind("enforceRateLimit");
+
+    try {
+      return RateLimitHelper.hit(model, type, request)
+          .then(function(rateLimit) {
+            if (!rateLimit) {
+              return next(null, true);
+            }
+
+            request.plugins['rest-hapi'] = extend(request.plugins['rest-hapi'] || {}, {
+              rateLimit: rateLimit
+            });
+
+            if (rateLimit.exceeded) {
+              return next(Boom.tooManyRequests("Rate limit exceeded."), false);
+            }
+
+            return next(null, true);
+          })
+          .catch(function(error) {
+            //EXPL: requests are allowed if the store can't be reached
+            Log.error("ERROR:", error);
+            return next(null, true);
+          });
+    }
+    catch (err) {
+      Log.error("ERROR:", err);
+      return next(null, true);
+    }
+  };
+
+  enforceRateLimitForModel.applyPoint = 'onPostAuth';
+  return enforceRateLimitForModel;
+};
+internals.enforceRateLimit.applyPoint = 'onPostAuth';
+
+
+/**
+ * Policy to add the "X-RateLimit-*" headers, and a "Retry-After" header once the limit has been reached, to the
+ * response of a rate limited request.
+ * @param model
+ * @param Log
+ * @returns {addRateLimitHeadersForModel}
+ */
+internals.addRateLimitHeaders = function(model, Log) {
+
+  const addRateLimitHeadersForModel = function addRateLimitHeadersForModel(request, reply, next) {
+    Log = Log.bind("addRateLimitHeaders");
+
+    try {
+      const rateLimit = request.plugins['rest-hapi'] ? request.plugins['rest-hapi'].rateLimit : null;
+
+      if (!rateLimit) {
+        return next(null, true);
+      }
+
+      const response = request.response;
+      const headers = RateLimitHelper.getHeaders(rateLimit);
+
+      if (response.isBoom) {
+        _.assign(response.output.headers, headers);
+      }
+      else {
+        _.forEach(headers, function(value, name) {
+          response.header(name, value.toString());
+        });
+      }
+
+      return next(null, true);
+    }
+    catch (err) {
+      Log.error("ERROR:", err);
+      return next(null, true);
+    }
+  };
+
+  addRateLimitHeadersForModel.applyPoint = 'onPreResponse';
+  return addRateLimitHeadersForModel;
+};
+internals.addRateLimitHeaders.applyPoint = 'onPreResponse';
+
+
+module.exports = {
+  enforceRateLimit : internals.enforceRateLimit,
+  addRateLimitHeaders : internals.addRateLimitHeaders
+};
@@ -16,6 +16,9 @@ const _ = require('lodash'),
     joiHelper = require('./utilities/joi-mongoose-helper'),
     testHelper = require('./utilities/test-helper'),
     errorHelper = require('./utilities/error-helper'),
+    transactionHelper = require('./utilities/transaction-helper'),
+    eventHelper = require('./utilities/event-helper'),
+    webhookHelper = require('./utilities/webhook-helper'),
     modelGenerator = require('./utilities/model-generator'),
     apiGenerator = require('./utilities/api-generator'),
     defaultConfig = require('./config');
@@ -33,11 +36,21 @@ module.exports = {
     update: handlerHelper.update,
     deleteOne: handlerHelper.deleteOne,
     deleteMany: handlerHelper.deleteMany,
+    restoreOne: handlerHelper.restoreOne,
+    restoreMany: handlerHelper.restoreMany,
     addOne: handlerHelper.addOne,
     removeOne: handlerHelper.removeOne,
     addMany: handlerHelper.addMany,
     removeMany: handlerHelper.removeMany,
     getAll: handlerHelper.getAll,
+    aggregate: handlerHelper.aggregate,
+    listRevisions: handlerHelper.listRevisions,
+    findRevision: handlerHelper.findRevision,
+    revert: handlerHelper.revert,
+    findScope: handlerHelper.findScope,
+    addScope: handlerHelper.addScope,
+    removeScope: handlerHelper.removeScope,
+    events: eventHelper.events,
     logger: {},
     getLogger: getLogger,
     logUtil: logUtil,
@@ -64,7 +77,18 @@ function register(server, options, next) {
         return reply.continue();
     });
 
-    let mongoose = require('./components/mongoose-init')(options.mongoose, logger, config);
+    //EXPL: use the bundled mongoose instance if one isn't provided
+    let mongooseInstance = options.mongoose || require('mongoose');
+
+    //EXPL: transactions rely on mongoose sessions, so fail early rather than rejecting every request that needs one
+    if (config.enableTransactions && !transactionHelper.isSupported(mongooseInstance)) {
+        let error = new Error("Transactions require mongoose 5.2 or higher and a MongoDB replica set. " +
+            "Upgrade mongoose or disable 'enableTransactions'.");
+        logger.error(error.message);
+        return next(error);
+    }
+
+    let mongoose = require('./components/mongoose-init')(mongooseInstance, logger, config);
 
     logUtil.logActionStart(logger, "Initializing Server");
 
@@ -172,6 +196,15 @@ function register(server, options, next) {
                 restHelper.generateRoutes(server, model, {models: models})
             }
 
+            if (config.enableBatchEndpoint) {
+                restHelper.generateBatchEndpoint(server, {models: models}, logger);
+            }
+
+            if (config.enableWebhooks) {
+                restHelper.generateRedeliverEndpoint(server, models.webhookDelivery, {models: models}, logger);
+                webhookHelper.subscribe(mongoose, logger.bind("webhook"));
+            }
+
             return apiGenerator(server, mongoose, logger, config)
         })
         .then(function() {
@@ -0,0 +1,312 @@
+'use strict';
+
+const test = require('blue-tape');
+const mongoose = require('mongoose');
+const config = require('../config');
+
+const AccessRuleHelper = require('../utilities/access-rule-helper');
+
+const projectModel = {
+  modelName: "project",
+  routeOptions: {
+    accessRules: {
+      root: [{ $scope: ['Admin'] }],
+      read: [
+        { isPublic: true },
+        { team: { $in: { $credentials: 'user.teams' } } }
+      ],
+      update: [
+        { owner: { $credentials: 'user._id' } },
+        { $scope: ['Manager'], department: { $credentials: 'user.department' } }
+      ]
+    }
+  }
+};
+
+const userRequest = function(user, scope) {
+  return { auth: { credentials: { scope: scope || ['User'], user: user } }, params: {} };
+};
+
+test('access-rule-helper exists and has expected members', function (t) {
+  //<editor-fold desc="Arrange">
+  t.plan(10);
+  //</editor-fold>
+
+  //<editor-fold desc="Assert">
+  t.ok(AccessRuleHelper, "access-rule-helper exists.");
+  t.ok(AccessRuleHelper.getCreatorActions, "access-rule-helper.getCreatorActions exists.");
+  t.ok(AccessRuleHelper.getRules, "access-rule-helper.getRules exists.");
+  t.ok(AccessRuleHelper.getCreatorFilter, "access-rule-helper.getCreatorFilter exists.");
+  t.ok(AccessRuleHelper.addCreatorFilter, "access-rule-helper.addCreatorFilter exists.");
+  t.ok(AccessRuleHelper.isCreator, "access-rule-helper.isCreator exists.");
+  t.ok(AccessRuleHelper.isEnabled, "access-rule-helper.isEnabled exists.");
+  t.ok(AccessRuleHelper.getFilter, "access-rule-helper.getFilter exists.");
+  t.ok(AccessRuleHelper.isAuthorized, "access-rule-helper.isAuthorized exists.");
+  t.ok(AccessRuleHelper.addFilter, "access-rule-helper.addFilter exists.");
+  //</editor-fold>
+});
+
+test('access-rule-helper.getRules', function (t) {
+  t.test('access-rule-helper.getRules combines the root rules, action rules, and document creator rule.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(5);
+
+    const creatorModel = {
+      modelName: "note",
+      routeOptions: {
+        authorizeDocumentCreatorToRead: true,
+        accessRules: { read: [{ isPublic: true }] }
+      }
+    };
+    const creatorOnlyModel = { modelName: "note", routeOptions: { authorizeDocumentCreatorToRead: true } };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let readRules = AccessRuleHelper.getRules(projectModel, "read");
+    let deleteRules = AccessRuleHelper.getRules(projectModel, "delete");
+    let creatorReadRules = AccessRuleHelper.getRules(creatorModel, "read");
+    let creatorUpdateRules = AccessRuleHelper.getRules(creatorModel, "update");
+    let creatorOnlyRules = AccessRuleHelper.getRules(creatorOnlyModel, "read");
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEqual(readRules, [{ $scope: ['Admin'] }].concat(projectModel.routeOptions.accessRules.read), "root and action rules returned");
+    t.deepEqual(deleteRules, [{ $scope: ['Admin'] }], "root rules apply to every action");
+    t.deepEqual(creatorReadRules, [
+      { isPublic: true },
+      { createdBy: { $credentials: config.userIdKey } },
+      { createdBy: null, 'scope.readScope': { $in: { $credentials: 'scope' } } }
+    ], "creator rules added");
+    t.deepEqual(creatorUpdateRules, [], "creator rule only added to its action");
+    t.deepEqual(creatorOnlyRules, [], "creator rules not added to actions without rules");
+    //</editor-fold>
+  });
+
+  t.test('access-rule-helper.getRules authorizes the creators of documents without a "createdBy" through their document scope.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(5);
+
+    const enableDocumentScopes = config.enableDocumentScopes;
+    const creatorModel = {
+      modelName: "note",
+      routeOptions: {
+        authorizeDocumentCreator: true,
+        accessRules: { update: [{ isPublic: true }] }
+      }
+    };
+    const request = userRequest({ _id: "U1" }, ['User', 'user-U1']);
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let legacy = AccessRuleHelper.isAuthorized(creatorModel, "update", { _id: "A", scope: { rootScope: ['user-U1'] } }, request);
+    let otherCreator = AccessRuleHelper.isAuthorized(creatorModel, "update", { _id: "A", scope: { rootScope: ['user-U2'] } }, request);
+    let recorded = AccessRuleHelper.isAuthorized(creatorModel, "update", { _id: "A", createdBy: "U2", scope: { rootScope: ['user-U1'] } }, request);
+    let created = AccessRuleHelper.isAuthorized(creatorModel, "update", { _id: "A", createdBy: "U1" }, request);
+
+    config.enableDocumentScopes = false;
+    let documentScopesDisabled = AccessRuleHelper.isAuthorized(creatorModel, "update", { _id: "A", scope: { rootScope: ['user-U1'] } }, request);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.equals(legacy, true, "creator authorized through the document scope");
+    t.equals(otherCreator, false, "other users not authorized");
+    t.equals(recorded, false, "document scope ignored once the creator is recorded");
+    t.equals(created, true, "creator authorized through \"createdBy\"");
+    t.equals(documentScopesDisabled, false, "document scope ignored if document scopes are disabled");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    config.enableDocumentScopes = enableDocumentScopes;
+    //</editor-fold>
+  });
+
+  t.test('access-rule-helper.getCreatorActions uses the routeOptions before the config.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(2);
+
+    const authorizeDocumentCreator = config.authorizeDocumentCreator;
+    config.authorizeDocumentCreator = true;
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let configActions = AccessRuleHelper.getCreatorActions({ routeOptions: {} });
+    let routeActions = AccessRuleHelper.getCreatorActions({ routeOptions: { authorizeDocumentCreator: false } });
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEqual(configActions, ['root'], "config option used");
+    t.deepEqual(routeActions, [], "routeOptions property used");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    config.authorizeDocumentCreator = authorizeDocumentCreator;
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('access-rule-helper.getCreatorFilter', function (t) {
+  t.test('access-rule-helper.getCreatorFilter authorizes the creator as an alternative to the document scope.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(7);
+
+    const creatorModel = { modelName: "note", routeOptions: { authorizeDocumentCreatorToRead: true, documentScope: { readScope: ['Admin'] } } };
+    const creatorRequest = userRequest({ _id: "U1" });
+    const adminRequest = userRequest({ _id: "U2" }, ['Admin']);
+    const scopeQuery = { 'scope.readScope': { $in: ['User'] } };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let readFilter = AccessRuleHelper.getCreatorFilter(creatorModel, "read", creatorRequest);
+    let updateFilter = AccessRuleHelper.getCreatorFilter(creatorModel, "update", creatorRequest);
+    let noUserFilter = AccessRuleHelper.getCreatorFilter(creatorModel, "read", userRequest({}));
+    let readQuery = AccessRuleHelper.addCreatorFilter(creatorModel, "read", scopeQuery, creatorRequest);
+    let updateQuery = AccessRuleHelper.addCreatorFilter(creatorModel, "update", scopeQuery, creatorRequest);
+    let creator = AccessRuleHelper.isCreator(creatorModel, "read", { _id: "A", createdBy: "U1" }, creatorRequest);
+    let otherUser = AccessRuleHelper.isCreator(creatorModel, "read", { _id: "A", createdBy: "U1" }, adminRequest);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEqual(readFilter, { createdBy: "U1" }, "creator conditions returned");
+    t.equals(updateFilter, null, "no conditions for other actions");
+    t.equals(noUserFilter, null, "no conditions without a user _id");
+    t.deepEqual(readQuery, { $or: [scopeQuery, { createdBy: "U1" }] }, "creator conditions added as an alternative");
+    t.equals(updateQuery, scopeQuery, "scope query unchanged for other actions");
+    t.equals(creator, true, "creator matched");
+    t.equals(otherUser, false, "other users not matched");
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('access-rule-helper.getFilter', function (t) {
+  t.test('access-rule-helper.getFilter compiles the rules into mongo conditions.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(3);
+
+    const request = userRequest({ _id: "U1", teams: ["T1", "T2"], department: "D1" }, ['User', 'Manager']);
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let readFilter = AccessRuleHelper.getFilter(projectModel, "read", request);
+    let updateFilter = AccessRuleHelper.getFilter(projectModel, "update", request);
+    let deleteFilter = AccessRuleHelper.getFilter(projectModel, "delete", request);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEqual(readFilter, { $or: [{ isPublic: true }, { team: { $in: ["T1", "T2"] } }] }, "references replaced with credentials");
+    t.deepEqual(updateFilter, { $or: [{ owner: "U1" }, { department: "D1" }] }, "rules with a matching scope included");
+    t.deepEqual(deleteFilter, { _id: { $in: [] } }, "no documents match when no rules apply");
+    //</editor-fold>
+  });
+
+  t.test('access-rule-helper.getFilter skips rules that can\'t apply to the user.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(4);
+
+    const paramModel = { modelName: "task", routeOptions: { accessRules: { read: [{ project: { $params: 'ownerId' } }] } } };
+    let paramRequest = userRequest({ _id: "U1" });
+    paramRequest.params = { ownerId: "P1" };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let missingCredentials = AccessRuleHelper.getFilter(projectModel, "update", userRequest({ _id: "U1" }, ['Manager']));
+    let admin = AccessRuleHelper.getFilter(projectModel, "delete", userRequest({ _id: "U1" }, ['Admin']));
+    let params = AccessRuleHelper.getFilter(paramModel, "read", paramRequest);
+    let wrapper = AccessRuleHelper.getFilter(projectModel, "delete", { query: {} });
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEqual(missingCredentials, { owner: "U1" }, "rules referencing missing credentials skipped");
+    t.equals(admin, null, "rules with only a scope match every document");
+    t.deepEqual(params, { project: "P1" }, "references replaced with params");
+    t.equals(wrapper, null, "wrapper calls aren't restricted");
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('access-rule-helper.isAuthorized', function (t) {
+  t.test('access-rule-helper.isAuthorized checks documents against the compiled rules.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(6);
+
+    const ownerId = mongoose.Types.ObjectId();
+    const request = userRequest({ _id: ownerId.toString(), teams: ["T1"] });
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let owner = AccessRuleHelper.isAuthorized(projectModel, "update", { _id: "A", owner: ownerId }, request);
+    let notOwner = AccessRuleHelper.isAuthorized(projectModel, "update", { _id: "A", owner: mongoose.Types.ObjectId() }, request);
+    let team = AccessRuleHelper.isAuthorized(projectModel, "read", { _id: "A", team: "T1" }, request);
+    let teamList = AccessRuleHelper.isAuthorized(projectModel, "read", { _id: "A", team: ["T3", "T1"] }, request);
+    let isPublic = AccessRuleHelper.isAuthorized(projectModel, "read", { _id: "A", isPublic: true }, request);
+    let other = AccessRuleHelper.isAuthorized(projectModel, "read", { _id: "A", team: "T2" }, request);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.equals(owner, true, "ObjectIds compared with credentials");
+    t.equals(notOwner, false, "other owners not authorized");
+    t.equals(team, true, "$in operator matched");
+    t.equals(teamList, true, "array fields matched by their items");
+    t.equals(isPublic, true, "equality matched");
+    t.equals(other, false, "documents matching no rules not authorized");
+    //</editor-fold>
+  });
+
+  t.test('access-rule-helper.isAuthorized supports comparison and logical operators.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(4);
+
+    const model = { modelName: "budget", routeOptions: { accessRules: { read: [
+      { $and: [{ amount: { $lte: 100 } }, { status: { $nin: ["archived"] } }] },
+      { $nor: [{ 'review.required': true }], approvedAt: { $exists: true, $gt: new Date(2000, 0, 1) } }
+    ] } } };
+    const request = userRequest({ _id: "U1" });
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let small = AccessRuleHelper.isAuthorized(model, "read", { amount: 50, status: "open" }, request);
+    let archived = AccessRuleHelper.isAuthorized(model, "read", { amount: 50, status: "archived" }, request);
+    let approved = AccessRuleHelper.isAuthorized(model, "read", { amount: 500, approvedAt: new Date(2001, 0, 1), review: { required: false } }, request);
+    let reviewed = AccessRuleHelper.isAuthorized(model, "read", { amount: 500, approvedAt: new Date(2001, 0, 1), review: { required: true } }, request);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.equals(small, true, "$and and $lte matched");
+    t.equals(archived, false, "$nin matched");
+    t.equals(approved, true, "$exists, $gt, and nested fields matched");
+    t.equals(reviewed, false, "$nor matched");
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('access-rule-helper.addFilter', function (t) {
+  t.test('access-rule-helper.addFilter adds the read conditions to the query.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(3);
+
+    const request = userRequest({ _id: "U1", teams: ["T1"] });
+    let query = { $where: JSON.stringify({ name: "test" }), $embed: "tasks" };
+    let wrapperQuery = {};
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    AccessRuleHelper.addFilter(projectModel, query, request);
+    AccessRuleHelper.addFilter(projectModel, wrapperQuery, { query: wrapperQuery });
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEqual(query.$where, { $and: [{ name: "test" }, { $or: [{ isPublic: true }, { team: { $in: ["T1"] } }] }] }, "conditions added");
+    t.deepEqual(query.populateMatch(projectModel), { $or: [{ isPublic: true }, { team: { $in: ["T1"] } }] }, "embedded documents filtered");
+    t.deepEqual(wrapperQuery, {}, "wrapper queries unchanged");
+    //</editor-fold>
+  });
+
+  t.end();
+});
@@ -0,0 +1,110 @@
+'use strict';
+
+const test = require('tape');
+const sinon = require('sinon');
+const logging = require('loggin');
+const config = require('../config');
+
+let Log = logging.getLogger("tests");
+Log.logLevel = "FATAL";
+Log = Log.bind("authorize-document-creator");
+
+const model = { modelName: "note", routeOptions: {} };
+
+const userRequest = function(payload, credentials) {
+  return { auth: { credentials: credentials || { scope: ['User'], user: { _id: "U1" } } }, payload: payload };
+};
+
+test('authorize-document-creator exists and has expected members', function (t) {
+  //<editor-fold desc="Arrange">
+  let authorizeDocumentCreator = require('../policies/authorize-document-creator');
+
+  t.plan(6);
+  //</editor-fold>
+
+  //<editor-fold desc="Assert">
+  t.ok(authorizeDocumentCreator, "authorize-document-creator exists.");
+  t.ok(authorizeDocumentCreator.authorizeDocumentCreator, "authorize-document-creator.authorizeDocumentCreator exists.");
+  t.ok(authorizeDocumentCreator.authorizeDocumentCreatorToRead, "authorize-document-creator.authorizeDocumentCreatorToRead exists.");
+  t.ok(authorizeDocumentCreator.authorizeDocumentCreatorToUpdate, "authorize-document-creator.authorizeDocumentCreatorToUpdate exists.");
+  t.ok(authorizeDocumentCreator.authorizeDocumentCreatorToDelete, "authorize-document-creator.authorizeDocumentCreatorToDelete exists.");
+  t.ok(authorizeDocumentCreator.authorizeDocumentCreatorToAssociate, "authorize-document-creator.authorizeDocumentCreatorToAssociate exists.");
+  //</editor-fold>
+});
+
+test('authorize-document-creator policies', function (t) {
+  t.test('authorize-document-creator policies record the creator and add it to their own document scope.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(4);
+
+    let authorizeDocumentCreator = require('../policies/authorize-document-creator');
+    let next = sinon.spy();
+    let document = { name: "test", scope: { readScope: ['User'] } };
+    let documents = [{ name: "a" }, { name: "b" }];
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    authorizeDocumentCreator.authorizeDocumentCreatorToRead(model, Log)(userRequest(document), sinon.spy(), next);
+    authorizeDocumentCreator.authorizeDocumentCreatorToUpdate(model, Log)(userRequest(document), sinon.spy(), next);
+    authorizeDocumentCreator.authorizeDocumentCreator(model, Log)(userRequest(documents), sinon.spy(), next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEqual(document, {
+      name: "test", createdBy: "U1", scope: { readScope: ['User', 'user-U1'], updateScope: ['user-U1'] }
+    }, "creator added to each action scope");
+    t.deepEqual(documents, [
+      { name: "a", createdBy: "U1", scope: { rootScope: ['user-U1'] } },
+      { name: "b", createdBy: "U1", scope: { rootScope: ['user-U1'] } }
+    ], "creator added to every document");
+    t.equals(next.callCount, 3, "next called for each request");
+    t.ok(next.alwaysCalledWithExactly(null, true), "requests allowed");
+    //</editor-fold>
+  });
+
+  t.test('authorize-document-creator policies only record the creator if document scopes are disabled.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(2);
+
+    let authorizeDocumentCreator = require('../policies/authorize-document-creator');
+    let next = sinon.spy();
+    let document = { name: "test" };
+
+    const enableDocumentScopes = config.enableDocumentScopes;
+    config.enableDocumentScopes = false;
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    authorizeDocumentCreator.authorizeDocumentCreatorToDelete(model, Log)(userRequest(document), sinon.spy(), next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEqual(document, { name: "test", createdBy: "U1" }, "document scope not modified");
+    t.ok(next.calledWithExactly(null, true), "request allowed");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    config.enableDocumentScopes = enableDocumentScopes;
+    //</editor-fold>
+  });
+
+  t.test('authorize-document-creator policies reject requests without a user _id.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(2);
+
+    let authorizeDocumentCreator = require('../policies/authorize-document-creator');
+    let next = sinon.spy();
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    authorizeDocumentCreator.authorizeDocumentCreatorToAssociate(model, Log)(userRequest({ name: "test" }, { scope: ['User'] }), sinon.spy(), next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.equals(next.getCall(0).args[0].output.statusCode, 400, "bad request error returned");
+    t.equals(next.getCall(0).args[1], false, "request not allowed");
+    //</editor-fold>
+  });
+
+  t.end();
+});
@@ -0,0 +1,204 @@
+'use strict';
+
+var test = require('blue-tape');
+var sinon = require('sinon');
+var Q = require('q');
+var logging = require('loggin');
+var Log = logging.getLogger("tests");
+Log.logLevel = "ERROR";
+Log = Log.bind("batch-helper");
+
+test('batch-helper exists and has expected members', function (t) {
+  //<editor-fold desc="Arrange">
+  var batchHelper = require('../utilities/batch-helper');
+
+  t.plan(4);
+  //</editor-fold>
+
+  //<editor-fold desc="Assert">
+  t.ok(batchHelper, "batch-helper exists.");
+  t.ok(batchHelper.resolveReferences, "batch-helper.resolveReferences exists.");
+  t.ok(batchHelper.executeBatch, "batch-helper.executeBatch exists.");
+  t.ok(batchHelper.executeOperation, "batch-helper.executeOperation exists.");
+  //</editor-fold>
+});
+
+test('batch-helper.resolveReferences', function (t) {
+
+  t.test('batch-helper.resolveReferences replaces references within strings, arrays, and objects.', function (t) {
+    //<editor-fold desc="Arrange">
+    var batchHelper = require('../utilities/batch-helper');
+
+    t.plan(1);
+
+    var results = [
+      { statusCode: 201, result: { _id: "user1", email: "test@user.com" } },
+      { statusCode: 200, result: { docs: [{ _id: "role1" }], tags: ["a", "b"] } }
+    ];
+
+    var value = {
+      user: "{{0._id}}",
+      path: "/user/{{ 0._id }}/role/{{1.docs.0._id}}",
+      tags: "{{1.tags}}",
+      list: ["{{0.email}}", 5],
+      nested: { text: "tags: {{1.tags}}" }
+    };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var resolved = batchHelper.resolveReferences(value, results);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEqual(resolved, {
+      user: "user1",
+      path: "/user/user1/role/role1",
+      tags: ["a", "b"],
+      list: ["test@user.com", 5],
+      nested: { text: 'tags: ["a","b"]' }
+    }, "references resolved");
+    //</editor-fold>
+  });
+
+  t.test('batch-helper.resolveReferences throws an error for references to failed or missing results.', function (t) {
+    //<editor-fold desc="Arrange">
+    var batchHelper = require('../utilities/batch-helper');
+
+    t.plan(3);
+
+    var results = [
+      { statusCode: 201, result: { _id: "user1" } },
+      { statusCode: 404, result: { message: "Not Found" } }
+    ];
+    //</editor-fold>
+
+    //<editor-fold desc="Act/Assert">
+    t.throws(function () { batchHelper.resolveReferences("{{1.message}}", results) }, /hasn't succeeded/, "failed result");
+    t.throws(function () { batchHelper.resolveReferences("{{2._id}}", results) }, /hasn't succeeded/, "missing result");
+    t.throws(function () { batchHelper.resolveReferences("{{0.email}}", results) }, /doesn't exist/, "missing value");
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('batch-helper.executeBatch', function (t) {
+
+  t.test('batch-helper.executeBatch injects each operation with the credentials of the batch request.', function (t) {
+    //<editor-fold desc="Arrange">
+    var batchHelper = require('../utilities/batch-helper');
+
+    var inject = sinon.spy(function (options) {
+      return Q.when({ statusCode: 201, payload: JSON.stringify({ _id: "user1" }) });
+    });
+
+    var request = {
+      path: '/batch',
+      headers: { authorization: "Bearer token", 'content-type': "application/json" },
+      auth: { credentials: { scope: ['root'] }, artifacts: { token: "token" } },
+      info: { remoteAddress: "10.0.0.1" },
+      connection: { inject: inject }
+    };
+
+    var operations = [
+      { method: "post", path: "/user", payload: { email: "test@user.com" } },
+      { method: "GET", path: "/user/{{0._id}}", query: { $select: ["email", "title"], $where: { age: 5 } } }
+    ];
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var promise = batchHelper.executeBatch(request, operations, false, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise.then(function (results) {
+      t.deepEqual(results, [
+        { statusCode: 201, result: { _id: "user1" } },
+        { statusCode: 201, result: { _id: "user1" } }
+      ], "results returned");
+      t.deepEqual(inject.args[0][0], {
+        method: "POST",
+        url: "/user",
+        payload: { email: "test@user.com" },
+        headers: { authorization: "Bearer token" },
+        credentials: { scope: ['root'] },
+        artifacts: { token: "token" },
+        remoteAddress: "10.0.0.1"
+      }, "first operation injected");
+      t.equals(inject.args[1][0].method, "GET", "method normalized");
+      t.equals(inject.args[1][0].url,
+          "/user/user1?%24select=email&%24select=title&%24where=%7B%22age%22%3A5%7D", "references and query applied");
+    });
+    //</editor-fold>
+  });
+
+  t.test('batch-helper.executeBatch continues after errors by default.', function (t) {
+    //<editor-fold desc="Arrange">
+    var batchHelper = require('../utilities/batch-helper');
+
+    var inject = sinon.spy(function (options) {
+      return Q.when({ statusCode: 404, payload: JSON.stringify({ message: "Not Found" }) });
+    });
+
+    var request = { path: '/batch', headers: {}, auth: {}, connection: { inject: inject } };
+
+    var operations = [
+      { method: "GET", path: "/user/1" },
+      { method: "GET", path: "/user/{{0._id}}" },
+      { method: "POST", path: "/batch", payload: [] },
+      { method: "GET", path: "/role" }
+    ];
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var promise = batchHelper.executeBatch(request, operations, false, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise.then(function (results) {
+      t.equals(results.length, 4, "all operations executed");
+      t.equals(results[1].statusCode, 400, "invalid reference rejected");
+      t.equals(results[1].result.message, "Operation 0 can't be referenced since it hasn't succeeded.", "reference message");
+      t.equals(results[2].result.message, "Batch requests can't be nested.", "nested batch rejected");
+      t.equals(inject.callCount, 2, "only valid operations injected");
+    });
+    //</editor-fold>
+  });
+
+  t.test('batch-helper.executeBatch stops after the first error if stopOnError is set.', function (t) {
+    //<editor-fold desc="Arrange">
+    var batchHelper = require('../utilities/batch-helper');
+
+    var inject = sinon.spy(function (options) {
+      if (options.url === "/user/1") {
+        return Q.when({ statusCode: 404, payload: JSON.stringify({ message: "Not Found" }) });
+      }
+      return Q.when({ statusCode: 204, payload: "" });
+    });
+
+    var request = { path: '/batch', headers: {}, auth: {}, connection: { inject: inject } };
+
+    var operations = [
+      { method: "DELETE", path: "/role/1" },
+      { method: "GET", path: "/user/1" },
+      { method: "GET", path: "/role" }
+    ];
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var promise = batchHelper.executeBatch(request, operations, true, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise.then(function (results) {
+      t.deepEqual(results, [
+        { statusCode: 204, result: null },
+        { statusCode: 404, result: { message: "Not Found" } }
+      ], "results returned until the error");
+      t.equals(inject.callCount, 2, "remaining operations skipped");
+    });
+    //</editor-fold>
+  });
+
+  t.end();
+});
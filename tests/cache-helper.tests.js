@@ -0,0 +1,369 @@
+'use strict';
+
+const test = require('blue-tape');
+const sinon = require('sinon');
+const logging = require('loggin');
+const Q = require('q');
+
+let Log = logging.getLogger("tests");
+Log.logLevel = "ERROR";
+Log = Log.bind("cache-helper");
+
+const CacheHelper = require('../utilities/cache-helper');
+const config = require('../config');
+
+const roleModel = { modelName: "role", routeOptions: { cache: true } };
+const userModel = {
+  modelName: "user",
+  routeOptions: {
+    cache: { ttl: 1000 },
+    associations: {
+      title: { type: "MANY_ONE", include: { model: { modelName: "title" } } },
+      roles: { type: "MANY_MANY", include: { model: roleModel, through: { modelName: "user_role" } } }
+    }
+  }
+};
+
+test('cache-helper exists and has expected members', function (t) {
+  //<editor-fold desc="Arrange">
+  t.plan(12);
+  //</editor-fold>
+
+  //<editor-fold desc="Assert">
+  t.ok(CacheHelper, "cache-helper exists.");
+  t.ok(CacheHelper.createMemoryStore, "cache-helper.createMemoryStore exists.");
+  t.ok(CacheHelper.getStore, "cache-helper.getStore exists.");
+  t.ok(CacheHelper.isEnabled, "cache-helper.isEnabled exists.");
+  t.ok(CacheHelper.getTTL, "cache-helper.getTTL exists.");
+  t.ok(CacheHelper.getTags, "cache-helper.getTags exists.");
+  t.ok(CacheHelper.getKey, "cache-helper.getKey exists.");
+  t.ok(CacheHelper.fetch, "cache-helper.fetch exists.");
+  t.ok(CacheHelper.invalidate, "cache-helper.invalidate exists.");
+  t.ok(CacheHelper.flush, "cache-helper.flush exists.");
+  t.ok(CacheHelper.discard, "cache-helper.discard exists.");
+  t.equals(CacheHelper.getTTL(userModel), 1000, "ttl read from routeOptions.cache");
+  //</editor-fold>
+});
+
+test('cache-helper.createMemoryStore', function (t) {
+  t.test('cache-helper.createMemoryStore removes the least recently used entries.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(3);
+
+    let store = CacheHelper.createMemoryStore(2);
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    store.set("a", "A", {});
+    store.set("b", "B", {});
+    store.get("a");
+    store.set("c", "C", {});
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.equals(store.get("a"), "A", "recently used entry kept");
+    t.equals(store.get("b"), undefined, "least recently used entry removed");
+    t.equals(store.get("c"), "C", "new entry kept");
+    //</editor-fold>
+  });
+
+  t.test('cache-helper.createMemoryStore expires entries.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(2);
+
+    let clock = sinon.useFakeTimers(Date.now());
+    let store = CacheHelper.createMemoryStore(10);
+    store.set("a", "A", { ttl: 1000 });
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let before = store.get("a");
+    clock.tick(1000);
+    let after = store.get("a");
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.equals(before, "A", "entry returned before it expires");
+    t.equals(after, undefined, "entry expired");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    clock.restore();
+    //</editor-fold>
+  });
+
+  t.test('cache-helper.createMemoryStore invalidates entries by tag.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(3);
+
+    let store = CacheHelper.createMemoryStore(10);
+    store.set("users", "USERS", { tags: ["user", "role"] });
+    store.set("roles", "ROLES", { tags: ["role"] });
+    store.set("titles", "TITLES", { tags: ["title"] });
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    store.invalidate(["role"]);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.equals(store.get("users"), undefined, "entry depending on a related model removed");
+    t.equals(store.get("roles"), undefined, "entry of the model removed");
+    t.equals(store.get("titles"), "TITLES", "other entries kept");
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('cache-helper.getTags', function (t) {
+  t.test('cache-helper.getTags includes the models reached through $embed and association queries.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(3);
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let plain = CacheHelper.getTags(userModel, { email: "test@user.com" });
+    let embedded = CacheHelper.getTags(userModel, { $embed: ["roles.permissions"] });
+    let associationQuery = CacheHelper.getTags(userModel, { "title.name": "Admin" });
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEqual(plain, ["user"], "model tag");
+    t.deepEqual(embedded, ["user", "role", "user_role"], "embedded model and linking model tags");
+    t.deepEqual(associationQuery, ["user", "title"], "association query model tag");
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('cache-helper.getKey', function (t) {
+  t.test('cache-helper.getKey normalizes the query and includes the user scope.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(3);
+
+    let request = function(query, scope) {
+      return { query: query, auth: { credentials: { scope: scope } } };
+    };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let key = CacheHelper.getKey(roleModel, "list", null, request({ name: "Admin", $sort: "name" }, ["User", "Admin"]));
+    let reordered = CacheHelper.getKey(roleModel, "list", null, request({ $sort: "name", name: "Admin" }, ["Admin", "User"]));
+    let otherScope = CacheHelper.getKey(roleModel, "list", null, request({ name: "Admin", $sort: "name" }, ["User"]));
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.equals(key, reordered, "equivalent requests share a key");
+    t.notEquals(key, otherScope, "scope included in the key");
+    t.equals(key.indexOf("rest-hapi:role:list:"), 0, "key prefixed by model and type");
+    //</editor-fold>
+  });
+
+  t.test('cache-helper.getKey includes the user _id if the result can depend on the user.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(5);
+
+    const hookModel = { modelName: "note", routeOptions: { cache: true, list: { post: function() {} } } };
+    let request = function(userId, query) {
+      return { query: query || {}, auth: { credentials: { scope: ["User"], user: userId ? { _id: userId } : undefined } } };
+    };
+    const populateMatch = function() { return null; };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let hookKey = CacheHelper.getKey(hookModel, "list", null, request("U1"));
+    let otherUserHookKey = CacheHelper.getKey(hookModel, "list", null, request("U2"));
+    let findKey = CacheHelper.getKey(hookModel, "find", "A", request("U1"));
+    let otherUserFindKey = CacheHelper.getKey(hookModel, "find", "A", request("U2"));
+    let populateMatchKey = CacheHelper.getKey(roleModel, "list", null, request("U1", { populateMatch: populateMatch }));
+    let otherUserPopulateMatchKey = CacheHelper.getKey(roleModel, "list", null, request("U2", { populateMatch: populateMatch }));
+    let noUserKey = CacheHelper.getKey(hookModel, "list", null, request(null));
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.notEquals(hookKey, otherUserHookKey, "user included for models with middleware");
+    t.equals(findKey, otherUserFindKey, "user not included for requests without middleware");
+    t.notEquals(populateMatchKey, otherUserPopulateMatchKey, "user included for queries with functions");
+    t.equals(noUserKey, null, "no key without a user _id");
+    t.ok(hookKey, "key returned");
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('cache-helper.fetch', function (t) {
+  t.test('cache-helper.fetch caches results until the model is invalidated.', function (t) {
+    //<editor-fold desc="Arrange">
+    let store = CacheHelper.createMemoryStore(10);
+    config.cacheStore = store;
+    let getResult = sinon.spy(function() {
+      return Q.when({ docs: [{ _id: "TEST" }] });
+    });
+    let request = { query: {} };
+    let results = [];
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let promise = CacheHelper.fetch(roleModel, "list", null, request, getResult, Log)
+        .then(function(result) {
+          results.push(result);
+          return CacheHelper.fetch(roleModel, "list", null, request, getResult, Log);
+        })
+        .then(function(result) {
+          results.push(result);
+          CacheHelper.invalidate(roleModel, {}, Log);
+          return CacheHelper.fetch(roleModel, "list", null, request, getResult, Log);
+        });
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise.then(function() {
+      t.deepEqual(results[0], { docs: [{ _id: "TEST" }] }, "result returned");
+      t.deepEqual(results[1], { docs: [{ _id: "TEST" }] }, "cached result returned");
+      t.equals(getResult.callCount, 2, "result only queried again after invalidation");
+    })
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+        .finally(function() {
+          config.cacheStore = null;
+        });
+    //</editor-fold>
+  });
+
+  t.test('cache-helper.fetch doesn\'t cache results read before a write.', function (t) {
+    //<editor-fold desc="Arrange">
+    let store = CacheHelper.createMemoryStore(10);
+    config.cacheStore = store;
+    let setSpy = sinon.spy(store, 'set');
+    let request = { query: { $embed: "roles" } };
+    let getResult = function() {
+      //EXPL: a related model is written while the result is being read
+      CacheHelper.invalidate(roleModel, {}, Log);
+      return Q.when({ docs: [] });
+    };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let promise = CacheHelper.fetch(userModel, "list", null, request, getResult, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise.then(function(result) {
+      t.deepEqual(result, { docs: [] }, "result returned");
+      t.notOk(setSpy.called, "result not cached");
+    })
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+        .finally(function() {
+          config.cacheStore = null;
+        });
+    //</editor-fold>
+  });
+
+  t.test('cache-helper.fetch doesn\'t cache user specific results without a user _id.', function (t) {
+    //<editor-fold desc="Arrange">
+    let store = CacheHelper.createMemoryStore(10);
+    config.cacheStore = store;
+    let setSpy = sinon.spy(store, 'set');
+    const hookModel = { modelName: "note", routeOptions: { cache: true, list: { pre: function() {} } } };
+    let request = { query: {}, auth: { credentials: { scope: ["User"] } } };
+    let getResult = sinon.spy(function() {
+      return Q.when({ docs: [] });
+    });
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let promise = CacheHelper.fetch(hookModel, "list", null, request, getResult, Log)
+        .then(function() {
+          return CacheHelper.fetch(hookModel, "list", null, request, getResult, Log);
+        });
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise.then(function(result) {
+      t.deepEqual(result, { docs: [] }, "result returned");
+      t.equals(getResult.callCount, 2, "result queried each time");
+      t.notOk(setSpy.called, "result not cached");
+    })
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+        .finally(function() {
+          config.cacheStore = null;
+        });
+    //</editor-fold>
+  });
+
+  t.test('cache-helper.fetch falls back to the database when the store fails.', function (t) {
+    //<editor-fold desc="Arrange">
+    config.cacheStore = {
+      get: function() { return Q.reject(new Error("store error")) },
+      set: function() { throw new Error("store error") },
+      invalidate: function() {}
+    };
+    let logStub = sinon.stub(Log, 'error').callsFake(function () {});
+    let getResult = sinon.spy(function() {
+      return Q.when({ docs: [] });
+    });
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let promise = CacheHelper.fetch(roleModel, "find", "TEST", { query: {} }, getResult, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise.then(function(result) {
+      t.deepEqual(result, { docs: [] }, "result returned");
+      t.ok(getResult.calledOnce, "result queried");
+      t.equals(logStub.callCount, 2, "store errors logged");
+    })
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+        .finally(function() {
+          config.cacheStore = null;
+          logStub.restore();
+        });
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('cache-helper.invalidate', function (t) {
+  t.test('cache-helper.invalidate invalidates models written within a transaction again after it\'s committed.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(3);
+
+    let store = { invalidate: sinon.spy() };
+    config.cacheStore = store;
+    let committed = {};
+    let aborted = {};
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    CacheHelper.invalidate([roleModel, userModel, null], { mongooseSession: committed }, Log);
+    CacheHelper.invalidate(roleModel, { mongooseSession: aborted }, Log);
+    CacheHelper.discard(aborted);
+    CacheHelper.flush(aborted, Log);
+    CacheHelper.flush(committed, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.equals(store.invalidate.callCount, 3, "models invalidated after each write and after the commit");
+    t.deepEqual(store.invalidate.args[0][0], ["role", "user"], "written models invalidated");
+    t.deepEqual(store.invalidate.args[2][0], ["role", "user"], "committed models invalidated");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    config.cacheStore = null;
+    //</editor-fold>
+  });
+
+  t.end();
+});
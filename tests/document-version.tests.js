@@ -0,0 +1,214 @@
+'use strict';
+
+const test = require('blue-tape');
+const sinon = require('sinon');
+const logging = require('loggin');
+const Q = require('q');
+
+let Log = logging.getLogger("tests");
+Log.logLevel = "ERROR";
+Log = Log.bind("document-version");
+
+const createModel = function(document) {
+  return {
+    routeOptions: { concurrencyControl: true },
+    schema: { options: {} },
+    findOne: sinon.spy(function() {
+      return {
+        select: function() {
+          return {
+            lean: function() {
+              return Q.when(document);
+            }
+          };
+        }
+      };
+    }),
+    find: sinon.spy(function() {
+      return {
+        select: function() {
+          return {
+            lean: function() {
+              return Q.when([document]);
+            }
+          };
+        }
+      };
+    })
+  };
+};
+
+test('document-version exists and has expected members', function (t) {
+  //<editor-fold desc="Arrange">
+  let documentVersion = require('../policies/document-version');
+
+  t.plan(3);
+  //</editor-fold>
+
+  //<editor-fold desc="Assert">
+  t.ok(documentVersion, "document-version exists.");
+  t.ok(documentVersion.enforceVersion, "document-version.enforceVersion exists.");
+  t.ok(documentVersion.addVersionHeader, "document-version.addVersionHeader exists.");
+  //</editor-fold>
+});
+
+test('document-version.enforceVersionForModel', function (t) {
+  t.test('document-version.enforceVersionForModel returns authorized if no version is expected.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(2);
+
+    let documentVersion = require('../policies/document-version');
+    let model = createModel({ _id: "mock _id", __v: 3 });
+    let enforceVersionForModel = documentVersion.enforceVersion(model, Log);
+    let reply = sinon.spy();
+    let next = sinon.spy();
+
+    let request = { headers: {}, query: {}, params: { _id: "mock _id" }, plugins: {} };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    enforceVersionForModel(request, reply, next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.ok(next.calledWithExactly(null, true), "next called with correct args");
+    t.notOk(model.findOne.called, "document not queried");
+    //</editor-fold>
+  });
+
+  t.test('document-version.enforceVersionForModel stores the version if it matches.', function (t) {
+    //<editor-fold desc="Arrange">
+    let documentVersion = require('../policies/document-version');
+    let model = createModel({ _id: "mock _id", __v: 3 });
+    let enforceVersionForModel = documentVersion.enforceVersion(model, Log);
+    let reply = sinon.spy();
+    let next = sinon.spy();
+
+    let request = { headers: { 'if-match': '"3"' }, query: {}, params: { ownerId: "mock _id" }, plugins: {} };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let promise = enforceVersionForModel(request, reply, next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise
+        .then(function() {
+          t.ok(model.findOne.calledWithExactly({ '_id': "mock _id" }), "document queried");
+          t.ok(next.calledWithExactly(null, true), "next called with correct args");
+          t.equals(request.plugins['rest-hapi'].version, 3, "version stored");
+        });
+    //</editor-fold>
+  });
+
+  t.test('document-version.enforceVersionForModel returns a precondition failed error if the version doesn\'t match.', function (t) {
+    //<editor-fold desc="Arrange">
+    let documentVersion = require('../policies/document-version');
+    let model = createModel({ _id: "mock _id", __v: 3 });
+    let enforceVersionForModel = documentVersion.enforceVersion(model, Log);
+    let reply = sinon.spy();
+    let next = sinon.spy();
+
+    let request = { headers: {}, query: { $version: "2" }, params: { _id: "mock _id" }, plugins: {} };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let promise = enforceVersionForModel(request, reply, next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise
+        .then(function() {
+          t.equals(next.args[0][0].output.statusCode, 412, "precondition failed error returned");
+          t.equals(next.args[0][1], false, "request not authorized");
+        });
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('document-version.addVersionHeaderForModel', function (t) {
+  t.test('document-version.addVersionHeaderForModel adds an ETag for a document.', function (t) {
+    //<editor-fold desc="Arrange">
+    let documentVersion = require('../policies/document-version');
+    let model = createModel({ _id: "mock _id", __v: 3 });
+    let addVersionHeaderForModel = documentVersion.addVersionHeader(model, Log);
+    let reply = sinon.spy();
+    let next = sinon.spy();
+
+    let request = {
+      params: { _id: "mock _id" },
+      plugins: {},
+      response: { statusCode: 200, source: { _id: "mock _id" }, etag: sinon.spy() }
+    };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let promise = addVersionHeaderForModel(request, reply, next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise
+        .then(function() {
+          t.ok(model.find.calledWithExactly({ '_id': { $in: ["mock _id"] } }), "versions queried");
+          t.ok(request.response.etag.calledWithExactly("3"), "ETag added");
+          t.ok(next.calledWithExactly(null, true), "next called with correct args");
+        });
+    //</editor-fold>
+  });
+
+  t.test('document-version.addVersionHeaderForModel adds a weak ETag for a list.', function (t) {
+    //<editor-fold desc="Arrange">
+    let documentVersion = require('../policies/document-version');
+    let model = createModel({ _id: "mock _id", __v: 3 });
+    let addVersionHeaderForModel = documentVersion.addVersionHeader(model, Log);
+    let reply = sinon.spy();
+    let next = sinon.spy();
+
+    let request = {
+      params: {},
+      plugins: {},
+      response: { statusCode: 200, source: { docs: [{ _id: "mock _id", __v: 3 }] }, etag: sinon.spy() }
+    };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let promise = addVersionHeaderForModel(request, reply, next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise
+        .then(function() {
+          t.notOk(model.find.called, "versions not queried");
+          t.ok(request.response.etag.calledWith(sinon.match.string, { weak: true }), "weak ETag added");
+          t.ok(next.calledWithExactly(null, true), "next called with correct args");
+        });
+    //</editor-fold>
+  });
+
+  t.test('document-version.addVersionHeaderForModel ignores error responses.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(2);
+
+    let documentVersion = require('../policies/document-version');
+    let model = createModel({ _id: "mock _id", __v: 3 });
+    let addVersionHeaderForModel = documentVersion.addVersionHeader(model, Log);
+    let reply = sinon.spy();
+    let next = sinon.spy();
+
+    let request = { params: { _id: "mock _id" }, plugins: {}, response: { isBoom: true } };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    addVersionHeaderForModel(request, reply, next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.ok(next.calledWithExactly(null, true), "next called with correct args");
+    t.notOk(model.find.called, "versions not queried");
+    //</editor-fold>
+  });
+
+  t.end();
+});
@@ -0,0 +1,126 @@
+'use strict';
+
+const test = require('blue-tape');
+const sinon = require('sinon');
+const Q = require('q');
+const logging = require('loggin');
+
+let Log = logging.getLogger("tests");
+Log.logLevel = "ERROR";
+Log = Log.bind("enforce-access-rules");
+
+const enforceAccessRules = require('../policies/enforce-access-rules');
+
+const projectModel = function(documents) {
+  return {
+    modelName: "project",
+    routeOptions: {
+      accessRules: {
+        root: [{ $scope: ['Admin'] }],
+        read: [{ isPublic: true }],
+        update: [{ owner: { $credentials: 'user._id' } }],
+        delete: [{ owner: { $credentials: 'user._id' } }],
+        associate: [{ owner: { $credentials: 'user._id' } }]
+      }
+    },
+    find: sinon.spy(function() {
+      return { lean: function() { return Q.when(documents); } };
+    })
+  };
+};
+
+const userRequest = function(extra) {
+  return Object.assign({
+    auth: { credentials: { scope: ['User'], user: { _id: "U1" } } },
+    method: "get",
+    params: {},
+    query: {},
+    payload: null,
+    route: { path: "/project/{_id}" }
+  }, extra);
+};
+
+test('enforce-access-rules exists and has expected members', function (t) {
+  //<editor-fold desc="Arrange">
+  t.plan(2);
+  //</editor-fold>
+
+  //<editor-fold desc="Assert">
+  t.ok(enforceAccessRules, "enforce-access-rules exists.");
+  t.ok(enforceAccessRules.enforceAccessRules, "enforce-access-rules.enforceAccessRules exists.");
+  //</editor-fold>
+});
+
+test('enforce-access-rules.enforceAccessRulesForModel', function (t) {
+  t.test('enforce-access-rules.enforceAccessRulesForModel rejects requests for documents the rules don\'t allow.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(4);
+
+    let model = projectModel([{ _id: "A", owner: "U2" }]);
+    let enforceAccessRulesForModel = enforceAccessRules.enforceAccessRules(model, Log);
+    let next = sinon.spy();
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let promise = enforceAccessRulesForModel(userRequest({ method: "put", params: { _id: "A" } }), sinon.spy(), next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise.then(function() {
+      t.ok(model.find.calledWithExactly({ '_id': { $in: ["A"] } }), "documents queried");
+      t.equals(next.getCall(0).args[0].output.statusCode, 403, "forbidden error returned");
+      t.equals(next.getCall(0).args[0].output.payload.message, "The access rules of the resource don't allow this action.", "error message returned");
+      t.equals(next.getCall(0).args[1], false, "request not allowed");
+    });
+    //</editor-fold>
+  });
+
+  t.test('enforce-access-rules.enforceAccessRulesForModel allows requests for documents the rules allow.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(2);
+
+    let model = projectModel([{ _id: "A", owner: "U1" }, { _id: "B", owner: "U1" }]);
+    let enforceAccessRulesForModel = enforceAccessRules.enforceAccessRules(model, Log);
+    let next = sinon.spy();
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let promise = enforceAccessRulesForModel(userRequest({
+      method: "post", params: { ownerId: "A" }, payload: [{ childId: "C" }], route: { path: "/project/{ownerId}/task" }
+    }), sinon.spy(), next);
+    let deleteManyPromise = enforceAccessRules.enforceAccessRules(model, Log)(userRequest({
+      method: "delete", payload: ["A", { _id: "B" }], route: { path: "/project" }
+    }), sinon.spy(), next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return Q.all([promise, deleteManyPromise]).then(function() {
+      t.ok(next.alwaysCalledWithExactly(null, true), "requests allowed");
+      t.ok(model.find.calledWithExactly({ '_id': { $in: ["A", "B"] } }), "payload ids queried");
+    });
+    //</editor-fold>
+  });
+
+  t.test('enforce-access-rules.enforceAccessRulesForModel skips requests that aren\'t restricted.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(2);
+
+    let model = projectModel([]);
+    let next = sinon.spy();
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    enforceAccessRules.enforceAccessRules(model, Log)(userRequest({ route: { path: "/project" } }), sinon.spy(), next);
+    enforceAccessRules.enforceAccessRules(model, Log)(userRequest({
+      auth: { credentials: { scope: ['Admin'] } }, method: "put", params: { _id: "A" }
+    }), sinon.spy(), next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.ok(next.alwaysCalledWithExactly(null, true), "requests allowed");
+    t.ok(model.find.notCalled, "documents not queried");
+    //</editor-fold>
+  });
+
+  t.end();
+});
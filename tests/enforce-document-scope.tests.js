@@ -256,6 +256,39 @@ test('enforce-document-scope.compareScopes', function (t) {
   t.end();
 });
 
+test('enforce-document-scope.createScopeQuery', function (t) {
+  t.test('enforce-document-scope.createScopeQuery creates a query that mirrors compareScopes.', sinon.test(function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(5);
+
+    let enforceDocumentScope = rewire('../policies/enforce-document-scope');
+    let createScopeQuery = enforceDocumentScope.__get__("internals.createScopeQuery");
+
+    let userScope = ['user', 'admin'];
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let query = createScopeQuery("read", userScope, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEqual(query.$or[0], { 'scope.rootScope.0': { $exists: false }, 'scope.readScope.0': { $exists: false } },
+        "documents with no applicable scope matched");
+    t.deepEqual(query.$or[1].$and[0], { 'scope.rootScope': { $nin: ['!user', '!admin'] } }, "forbidden root scope excluded");
+    t.deepEqual(query.$or[1].$and[3].$nor[0]['scope.readScope'].$elemMatch.$nin, ['+user', '+admin'],
+        "unsatisfied required action scope excluded");
+    t.ok(query.$or[1].$and[3].$nor[0]['scope.readScope'].$elemMatch.$regex.test('+required'), "required values matched");
+    t.deepEqual(query.$or[1].$and[4], { $or: [{ 'scope.rootScope': { $in: userScope } }, { 'scope.readScope': { $in: userScope } }] },
+        "general scope required");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    //</editor-fold>
+  }));
+
+  t.end();
+});
+
 test('enforce-document-scope.verifyScope', function (t) {
   t.test('enforce-document-scope.verifyScope calls compareScope with correct read scope.', sinon.test(function (t) {
     //<editor-fold desc="Arrange">
@@ -720,9 +753,9 @@ test('enforce-document-scope.enforceDocumentScopePostForModel', function (t) {
     //</editor-fold>
   }));
 
-  t.test('enforce-document-scope.enforceDocumentScopePostForModel calls verifyScope if request method is get and "_id" is not in request params (a "list" endpoint).', sinon.test(function (t) {
+  t.test('enforce-document-scope.enforceDocumentScopePostForModel does not call verifyScope if "_id" is not in request params (a "list" endpoint).', sinon.test(function (t) {
     //<editor-fold desc="Arrange">
-    t.plan(1);
+    t.plan(2);
 
     let enforceDocumentScope = rewire('../policies/enforce-document-scope');
     let verifyScope = this.spy(function() {
@@ -761,7 +794,8 @@ test('enforce-document-scope.enforceDocumentScopePostForModel', function (t) {
     //</editor-fold>
 
     //<editor-fold desc="Assert">
-    t.deepEqual(verifyScope.args[0], [docs, "read", userScope, mockLog], "verifyScope called with correct args");
+    t.notOk(verifyScope.called, "verifyScope not called");
+    t.deepEqual(next.args[0], [null, true], "next called with correct args");
     //</editor-fold>
 
     //<editor-fold desc="Restore">
@@ -791,17 +825,12 @@ test('enforce-document-scope.enforceDocumentScopePostForModel', function (t) {
       },
       method: "get",
       params: {
+        _id: "mock _id"
       },
       response: {
-        source: {
-          docs: ["mock docs"]
-        }
+        source: "mock doc"
       }
     };
-
-    const userScope = request.auth.credentials.scope;
-
-    const docs = request.response.source.docs;
     //</editor-fold>
 
     //<editor-fold desc="Act">
@@ -890,17 +919,12 @@ test('enforce-document-scope.enforceDocumentScopePostForModel', function (t) {
       },
       method: "get",
       params: {
+        _id: "mock _id"
       },
       response: {
-        source: {
-          docs: ["mock docs"]
-        }
+        source: "mock doc"
       }
     };
-
-    const userScope = request.auth.credentials.scope;
-
-    const docs = request.response.source.docs;
     //</editor-fold>
 
     //<editor-fold desc="Act">
@@ -915,49 +939,92 @@ test('enforce-document-scope.enforceDocumentScopePostForModel', function (t) {
     //</editor-fold>
   }));
 
-  t.test('enforce-document-scope.enforceDocumentScopePostForModel replaces unauthorized docs for "list" requests that fail if "config.enableDocumentScopeFail" is false.', sinon.test(function (t) {
+  t.test('enforce-document-scope.enforceDocumentScopePostForModel returns forbidden error for unauthorized embedded docs if "config.enableDocumentScopeFail" is true.', sinon.test(function (t) {
     //<editor-fold desc="Arrange">
     t.plan(2);
 
     let enforceDocumentScope = rewire('../policies/enforce-document-scope');
-    let verifyScope = this.spy(function() {
-      return { authorized: false, unauthorizedDocs: [{ _id: "failed doc" }] }
-    });
-    enforceDocumentScope.__set__("internals.verifyScope", verifyScope);
-    enforceDocumentScope.__set__("config.enableDocumentScopeFail", false);
+    enforceDocumentScope.__set__("config.enableDocumentScopeFail", true);
     let model = {};
     let enforceDocumentScopePostForModel = enforceDocumentScope.enforceDocumentScopePost(model, Log);
     let reply = this.spy();
     let next = this.spy();
-    let mockLog = Log.bind("enforceDocumentScopePost");
 
-    let request = {
-      auth: {
-        credentials: {
-          scope: ['mock user scope']
-        }
-      },
-      method: "get",
-      params: {
-      },
-      response: {
-        source: {
-          docs: [{ _id: "failed doc" }, { _id: "authorized doc" }]
+    let request = function(params, source) {
+      return {
+        auth: {
+          credentials: {
+            scope: ['User']
+          }
+        },
+        method: "get",
+        params: params,
+        query: {
+          $embed: "groups.permissions"
+        },
+        response: {
+          source: source
         }
-      }
+      };
     };
+    let unauthorizedGroups = [{ group: { _id: "group1", scope: { readScope: ['Admin'] } } }];
+    let nestedUnauthorizedGroups = [{ group: { _id: "group1", permissions: [{ _id: "permission1", scope: { rootScope: ['Admin'] } }] } }];
+    //</editor-fold>
 
-    const userScope = request.auth.credentials.scope;
+    //<editor-fold desc="Act">
+    enforceDocumentScopePostForModel(request({ _id: "user1" }, { _id: "user1", groups: unauthorizedGroups }), reply, next);
+    enforceDocumentScopePostForModel(request({}, { docs: [{ _id: "user1", groups: nestedUnauthorizedGroups }] }), reply, next);
+    //</editor-fold>
 
+    //<editor-fold desc="Assert">
+    t.deepEqual(next.args[0], [Boom.forbidden("Insufficient document scope."), false], "find request rejected");
+    t.deepEqual(next.args[1], [Boom.forbidden("Insufficient document scope."), false], "list request rejected for nested embeds");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    //</editor-fold>
+  }));
+
+  t.test('enforce-document-scope.enforceDocumentScopePostForModel returns forbidden error for unauthorized getAll docs if "config.enableDocumentScopeFail" is true.', sinon.test(function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(2);
+
+    let enforceDocumentScope = rewire('../policies/enforce-document-scope');
+    enforceDocumentScope.__set__("config.enableDocumentScopeFail", true);
+    let model = {};
+    let enforceDocumentScopePostForModel = enforceDocumentScope.enforceDocumentScopePost(model, Log);
+    let reply = this.spy();
+    let next = this.spy();
+
+    let request = function(docs) {
+      return {
+        auth: {
+          credentials: {
+            scope: ['User']
+          }
+        },
+        method: "get",
+        params: {
+          ownerId: "user1"
+        },
+        query: {},
+        response: {
+          source: {
+            docs: docs
+          }
+        }
+      };
+    };
     //</editor-fold>
 
     //<editor-fold desc="Act">
-    let result = enforceDocumentScopePostForModel(request, reply, next);
+    enforceDocumentScopePostForModel(request([{ _id: "group1", scope: { readScope: ['Admin'] } }]), reply, next);
+    enforceDocumentScopePostForModel(request([{ _id: "group2", scope: { readScope: ['User'] } }]), reply, next);
     //</editor-fold>
 
     //<editor-fold desc="Assert">
-    t.deepEqual(request.response.source.docs, [{ "error": "Insufficient document scope." }, { _id: "authorized doc" }], "unauthorized docs replaced");
-    t.deepEqual(next.args[0], [null, true], "next called with correct args");
+    t.deepEqual(next.args[0], [Boom.forbidden("Insufficient document scope."), false], "request rejected");
+    t.deepEqual(next.args[1], [null, true], "request allowed");
     //</editor-fold>
 
     //<editor-fold desc="Restore">
@@ -1047,6 +1114,167 @@ test('enforce-document-scope.enforceDocumentScopePreForModel', function (t) {
     //</editor-fold>
   }));
 
+  t.test('enforce-document-scope.enforceDocumentScopePreForModel calls verifyScopeById with "update" action for PATCH requests.', sinon.test(function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(1);
+
+    let enforceDocumentScope = rewire('../policies/enforce-document-scope');
+    let verifyScopeById = this.spy(function() {
+      return Q.when({ authorized: true })
+    });
+    enforceDocumentScope.__set__("internals.verifyScopeById", verifyScopeById);
+    let model = {};
+    let enforceDocumentScopePreForModel = enforceDocumentScope.enforceDocumentScopePre(model, Log);
+    let reply = this.spy();
+    let next = this.spy();
+    let mockLog = Log.bind("enforceDocumentScopePre");
+
+    let request = {
+      auth: {
+        credentials: {
+          scope: ['mock user scope']
+        }
+      },
+      method: "patch",
+      params: {
+        _id: "mock _id"
+      }
+    };
+
+    const userScope = request.auth.credentials.scope;
+
+    const ids = [request.params._id];
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let result = enforceDocumentScopePreForModel(request, reply, next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEqual(verifyScopeById.args[0], [model, ids, "update", userScope, mockLog], "verifyScopeById called with correct args");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    //</editor-fold>
+  }));
+
+  t.test('enforce-document-scope.enforceDocumentScopePreForModel calls verifyScopeById with the shared action for share requests.', sinon.test(function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(2);
+
+    let enforceDocumentScope = rewire('../policies/enforce-document-scope');
+    let verifyScopeById = this.spy(function() {
+      return Q.when({ authorized: true })
+    });
+    enforceDocumentScope.__set__("internals.verifyScopeById", verifyScopeById);
+    let model = {};
+    let enforceDocumentScopePreForModel = enforceDocumentScope.enforceDocumentScopePre(model, Log);
+    let reply = this.spy();
+    let next = this.spy();
+    let mockLog = Log.bind("enforceDocumentScopePre");
+
+    let findRequest = {
+      auth: {
+        credentials: {
+          scope: ['mock user scope']
+        }
+      },
+      method: "get",
+      params: {
+        _id: "mock _id"
+      },
+      query: {},
+      route: { path: "/user/{_id}/scope" }
+    };
+    let removeRequest = {
+      auth: {
+        credentials: {
+          scope: ['mock user scope']
+        }
+      },
+      method: "delete",
+      params: {
+        _id: "mock _id",
+        action: "associate",
+        scopeValue: "User"
+      },
+      route: { path: "/user/{_id}/scope/{action}/{scopeValue}" }
+    };
+
+    const userScope = findRequest.auth.credentials.scope;
+
+    const ids = [findRequest.params._id];
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    enforceDocumentScopePreForModel(findRequest, reply, next);
+    enforceDocumentScope.enforceDocumentScopePre(model, Log)(removeRequest, reply, next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEqual(verifyScopeById.args[0], [model, ids, "read", userScope, mockLog], "verifyScopeById called with \"read\" action");
+    t.deepEqual(verifyScopeById.args[1], [model, ids, "associate", userScope, mockLog], "verifyScopeById called with the shared action");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    //</editor-fold>
+  }));
+
+  t.test('enforce-document-scope.enforceDocumentScopePreForModel requires update access to revoke an action.', sinon.test(function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(3);
+
+    let deferred = Q.defer();
+    let enforceDocumentScope = rewire('../policies/enforce-document-scope');
+    let verifyScopeById = this.spy(function(model, ids, action) {
+      return Q.when({ authorized: action !== "update" })
+    });
+    enforceDocumentScope.__set__("internals.verifyScopeById", verifyScopeById);
+    let model = {};
+    let enforceDocumentScopePreForModel = enforceDocumentScope.enforceDocumentScopePre(model, Log);
+    let reply = this.spy();
+    let next = this.spy(function() {
+      deferred.resolve();
+    });
+    let mockLog = Log.bind("enforceDocumentScopePre");
+
+    let request = {
+      auth: {
+        credentials: {
+          scope: ['mock user scope']
+        }
+      },
+      method: "delete",
+      params: {
+        _id: "mock _id",
+        action: "read",
+        scopeValue: "User"
+      },
+      route: { path: "/user/{_id}/scope/{action}/{scopeValue}" }
+    };
+
+    const userScope = request.auth.credentials.scope;
+
+    const ids = [request.params._id];
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    enforceDocumentScopePreForModel(request, reply, next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    deferred.promise
+        .then(function() {
+          t.deepEqual(verifyScopeById.args[0], [model, ids, "read", userScope, mockLog], "verifyScopeById called with the revoked action");
+          t.deepEqual(verifyScopeById.args[1], [model, ids, "update", userScope, mockLog], "verifyScopeById called with \"update\" action");
+          t.deepEqual(next.args[0], [Boom.forbidden("Insufficient document scope."), false], "next called with correct args");
+        });
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    //</editor-fold>
+  }));
+
   t.test('enforce-document-scope.enforceDocumentScopePreForModel calls verifyScopeById with "read" action if relevant.', sinon.test(function (t) {
     //<editor-fold desc="Arrange">
     t.plan(1);
@@ -1477,5 +1705,438 @@ test('enforce-document-scope.enforceDocumentScopePreForModel', function (t) {
     //</editor-fold>
   }));
 
+  t.test('enforce-document-scope.enforceDocumentScopePreForModel adds a scope query to "$where" for list requests.', sinon.test(function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(4);
+
+    let enforceDocumentScope = rewire('../policies/enforce-document-scope');
+    let verifyScopeById = this.spy(function() { throw "ERROR" });
+    let scopeQuery = { scope: "mock scope query" };
+    let createScopeQuery = this.spy(function() { return scopeQuery });
+    enforceDocumentScope.__set__("internals.verifyScopeById", verifyScopeById);
+    enforceDocumentScope.__set__("internals.createScopeQuery", createScopeQuery);
+    let model = {};
+    let enforceDocumentScopePreForModel = enforceDocumentScope.enforceDocumentScopePre(model, Log);
+    let reply = this.spy();
+    let next = this.spy();
+
+    let request = {
+      auth: {
+        credentials: {
+          scope: ['mock user scope']
+        }
+      },
+      method: "get",
+      route: {
+        path: "/user"
+      },
+      params: {},
+      query: {
+        $where: { title: "test" },
+        $limit: 10,
+        $count: true
+      }
+    };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    enforceDocumentScopePreForModel(request, reply, next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.ok(createScopeQuery.calledWith("read", ['mock user scope']), "createScopeQuery called with correct args");
+    t.deepEqual(request.query, { $where: { $and: [{ title: "test" }, scopeQuery] }, $limit: 10, $count: true }, "scope query added to $where");
+    t.notOk(verifyScopeById.called, "verifyScopeById not called");
+    t.ok(next.calledWithExactly(null, true), "next called with correct args");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    //</editor-fold>
+  }));
+
+  t.test('enforce-document-scope.enforceDocumentScopePreForModel adds a scope query to "$where" and verifies the owner for getAll requests.', sinon.test(function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(3);
+
+    let enforceDocumentScope = rewire('../policies/enforce-document-scope');
+    let verifyScopeById = this.spy(function() {
+      return Q.when({ authorized: true })
+    });
+    let scopeQuery = { scope: "mock scope query" };
+    let createScopeQuery = this.spy(function() { return scopeQuery });
+    enforceDocumentScope.__set__("internals.verifyScopeById", verifyScopeById);
+    enforceDocumentScope.__set__("internals.createScopeQuery", createScopeQuery);
+    let model = {};
+    let enforceDocumentScopePreForModel = enforceDocumentScope.enforceDocumentScopePre(model, Log);
+    let reply = this.spy();
+    let next = this.spy();
+    let mockLog = Log.bind("enforceDocumentScopePre");
+
+    let request = {
+      auth: {
+        credentials: {
+          scope: ['mock user scope']
+        }
+      },
+      method: "get",
+      route: {
+        path: "/user/{ownerId}/group"
+      },
+      params: {
+        ownerId: "mock _id"
+      },
+      query: {}
+    };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let promise = enforceDocumentScopePreForModel(request, reply, next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise.then(function() {
+      t.deepEqual(request.query.$where, scopeQuery, "scope query added to $where for the child docs");
+      t.deepEqual(verifyScopeById.args[0], [model, ["mock _id"], "read", ['mock user scope'], mockLog], "owner verified");
+      t.ok(next.calledWithExactly(null, true), "next called with correct args");
+    });
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    //</editor-fold>
+  }));
+
+  t.test('enforce-document-scope.enforceDocumentScopePreForModel adds a scope query to "$where" for aggregate requests.', sinon.test(function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(3);
+
+    let enforceDocumentScope = rewire('../policies/enforce-document-scope');
+    let verifyScopeById = this.spy(function() { throw "ERROR" });
+    let scopeQuery = { scope: "mock scope query" };
+    let createScopeQuery = this.spy(function() { return scopeQuery });
+    enforceDocumentScope.__set__("internals.verifyScopeById", verifyScopeById);
+    enforceDocumentScope.__set__("internals.createScopeQuery", createScopeQuery);
+    let model = {};
+    let enforceDocumentScopePreForModel = enforceDocumentScope.enforceDocumentScopePre(model, Log);
+    let reply = this.spy();
+    let next = this.spy();
+
+    let request = {
+      auth: {
+        credentials: {
+          scope: ['mock user scope']
+        }
+      },
+      method: "get",
+      route: {
+        path: "/user/aggregate"
+      },
+      params: {},
+      query: {
+        $where: '{"title":"test"}'
+      }
+    };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    enforceDocumentScopePreForModel(request, reply, next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.ok(createScopeQuery.calledWith("read", ['mock user scope']), "createScopeQuery called with correct args");
+    t.deepEqual(request.query.$where, { $and: [{ title: "test" }, scopeQuery] }, "scope query added to $where");
+    t.ok(next.calledWithExactly(null, true), "next called with correct args");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    //</editor-fold>
+  }));
+
+  t.test('enforce-document-scope.enforceDocumentScopePreForModel adds a scope query to "$where" for subscribe requests.', sinon.test(function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(3);
+
+    let enforceDocumentScope = rewire('../policies/enforce-document-scope');
+    let verifyScopeById = this.spy(function() { throw "ERROR" });
+    let scopeQuery = { scope: "mock scope query" };
+    let createScopeQuery = this.spy(function() { return scopeQuery });
+    enforceDocumentScope.__set__("internals.verifyScopeById", verifyScopeById);
+    enforceDocumentScope.__set__("internals.createScopeQuery", createScopeQuery);
+    let model = {};
+    let enforceDocumentScopePreForModel = enforceDocumentScope.enforceDocumentScopePre(model, Log);
+    let reply = this.spy();
+    let next = this.spy();
+
+    let request = {
+      auth: {
+        credentials: {
+          scope: ['mock user scope']
+        }
+      },
+      method: "get",
+      route: {
+        path: "/user/subscribe"
+      },
+      params: {},
+      query: {}
+    };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    enforceDocumentScopePreForModel(request, reply, next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.ok(createScopeQuery.calledWith("read", ['mock user scope']), "createScopeQuery called with correct args");
+    t.deepEqual(request.query.$where, scopeQuery, "scope query added to $where");
+    t.ok(next.calledWithExactly(null, true), "next called with correct args");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    //</editor-fold>
+  }));
+
+  t.test('enforce-document-scope.enforceDocumentScopePreForModel adds a scope query to "$where" for export requests.', sinon.test(function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(3);
+
+    let enforceDocumentScope = rewire('../policies/enforce-document-scope');
+    let verifyScopeById = this.spy(function() { throw "ERROR" });
+    let scopeQuery = { scope: "mock scope query" };
+    let createScopeQuery = this.spy(function() { return scopeQuery });
+    enforceDocumentScope.__set__("internals.verifyScopeById", verifyScopeById);
+    enforceDocumentScope.__set__("internals.createScopeQuery", createScopeQuery);
+    let model = {};
+    let enforceDocumentScopePreForModel = enforceDocumentScope.enforceDocumentScopePre(model, Log);
+    let reply = this.spy();
+    let next = this.spy();
+
+    let request = {
+      auth: {
+        credentials: {
+          scope: ['mock user scope']
+        }
+      },
+      method: "get",
+      route: {
+        path: "/user"
+      },
+      headers: {
+        accept: "text/csv"
+      },
+      params: {},
+      query: {}
+    };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    enforceDocumentScopePreForModel(request, reply, next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.ok(createScopeQuery.calledWith("read", ['mock user scope']), "createScopeQuery called with correct args");
+    t.deepEqual(request.query.$where, scopeQuery, "scope query added to $where");
+    t.ok(next.calledWithExactly(null, true), "next called with correct args");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    //</editor-fold>
+  }));
+
+  t.test('enforce-document-scope.enforceDocumentScopePreForModel filters embedded docs by scope.', sinon.test(function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(3);
+
+    let enforceDocumentScope = rewire('../policies/enforce-document-scope');
+    let verifyScopeById = this.spy(function() { throw "ERROR" });
+    let scopeQuery = { scope: "mock scope query" };
+    let createScopeQuery = this.spy(function() { return scopeQuery });
+    enforceDocumentScope.__set__("internals.verifyScopeById", verifyScopeById);
+    enforceDocumentScope.__set__("internals.createScopeQuery", createScopeQuery);
+    enforceDocumentScope.__set__("config.enableDocumentScopeFail", false);
+    let model = {};
+    let enforceDocumentScopePreForModel = enforceDocumentScope.enforceDocumentScopePre(model, Log);
+    let reply = this.spy();
+    let next = this.spy();
+
+    let request = {
+      auth: {
+        credentials: {
+          scope: ['mock user scope']
+        }
+      },
+      method: "get",
+      route: {
+        path: "/user/{_id}"
+      },
+      params: {
+        _id: "mock _id"
+      },
+      query: {
+        $embed: "groups.permissions"
+      }
+    };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    enforceDocumentScopePreForModel(request, reply, next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEqual(request.query.populateMatch({ modelName: "group" }), scopeQuery, "scope query used for embedded docs");
+    t.ok(createScopeQuery.calledWith("read", ['mock user scope']), "createScopeQuery called with correct args");
+    t.ok(next.calledWithExactly(null, true), "next called with correct args");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    //</editor-fold>
+  }));
+
+  t.test('enforce-document-scope.enforceDocumentScopePreForModel doesn\'t filter embedded or getAll docs if "config.enableDocumentScopeFail" is true.', sinon.test(function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(3);
+
+    let enforceDocumentScope = rewire('../policies/enforce-document-scope');
+    let verifyScopeById = this.spy(function() {
+      return Q.when({ authorized: true })
+    });
+    enforceDocumentScope.__set__("internals.verifyScopeById", verifyScopeById);
+    enforceDocumentScope.__set__("config.enableDocumentScopeFail", true);
+    let model = {};
+    let enforceDocumentScopePreForModel = enforceDocumentScope.enforceDocumentScopePre(model, Log);
+    let reply = this.spy();
+    let next = this.spy();
+
+    let request = {
+      auth: {
+        credentials: {
+          scope: ['mock user scope']
+        }
+      },
+      method: "get",
+      route: {
+        path: "/user/{ownerId}/group"
+      },
+      params: {
+        ownerId: "mock _id"
+      },
+      query: {
+        $embed: "permissions"
+      }
+    };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let promise = enforceDocumentScopePreForModel(request, reply, next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise.then(function() {
+      t.deepEqual(request.query, { $embed: "permissions" }, "query unchanged");
+      t.ok(verifyScopeById.called, "owner verified");
+      t.ok(next.calledWithExactly(null, true), "next called with correct args");
+    });
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    //</editor-fold>
+  }));
+
   t.end();
-});
\ No newline at end of file
+});
+test('enforce-document-scope authorizes document creators', function (t) {
+  //EXPL: an in-memory stand-in for a model that authorizes document creators
+  const createModel = function(documents) {
+    return {
+      modelName: "note",
+      routeOptions: {
+        authorizeDocumentCreatorToRead: true,
+        authorizeDocumentCreatorToUpdate: true,
+        documentScope: { readScope: ['Admin'], updateScope: ['Admin'] }
+      },
+      find: sinon.spy(function(query) {
+        return Q.when(documents.filter(function(document) {
+          return query._id.$in.indexOf(document._id) >= 0 && (!query.createdBy || document.createdBy === query.createdBy);
+        }));
+      })
+    };
+  };
+
+  const createRequest = function(userId, scope, method, source) {
+    return {
+      auth: { credentials: { scope: scope, user: { _id: userId } } },
+      method: method,
+      params: { _id: "A" },
+      query: {},
+      response: { source: source }
+    };
+  };
+
+  t.test('enforce-document-scope authorizes users with a matching document scope for documents created by others.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(3);
+
+    let enforceDocumentScope = require('../policies/enforce-document-scope');
+    const document = { _id: "A", createdBy: "bbb", scope: { readScope: ['Admin', 'user-bbb'], updateScope: ['Admin', 'user-bbb'] } };
+    const model = createModel([document]);
+    let readNext = sinon.spy();
+    let deferred = Q.defer();
+    let updateNext = sinon.spy(function() {
+      deferred.resolve();
+    });
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    enforceDocumentScope.enforceDocumentScopePost(model, Log)(createRequest("aaa", ['Admin'], "get", document), {}, readNext);
+    enforceDocumentScope.enforceDocumentScopePre(model, Log)(createRequest("aaa", ['Admin'], "put"), {}, updateNext);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.notOk(require('../utilities/access-rule-helper').isEnabled(model), "creator rules aren't required");
+    t.deepEqual(readNext.args[0], [null, true], "read authorized");
+    deferred.promise
+        .then(function() {
+          t.deepEqual(updateNext.args[0], [null, true], "update authorized");
+        });
+    //</editor-fold>
+  });
+
+  t.test('enforce-document-scope authorizes creators regardless of the document scope.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(4);
+
+    let enforceDocumentScope = require('../policies/enforce-document-scope');
+    const document = { _id: "A", createdBy: "aaa", scope: { readScope: ['Admin'], updateScope: ['Admin'] } };
+    const model = createModel([document]);
+    let readNext = sinon.spy();
+    let creatorDeferred = Q.defer();
+    let creatorNext = sinon.spy(function() {
+      creatorDeferred.resolve();
+    });
+    let otherDeferred = Q.defer();
+    let otherNext = sinon.spy(function() {
+      otherDeferred.resolve();
+    });
+    let listRequest = createRequest("aaa", ['User'], "get");
+    delete listRequest.params._id;
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    enforceDocumentScope.enforceDocumentScopePost(model, Log)(createRequest("aaa", ['User'], "get", document), {}, readNext);
+    enforceDocumentScope.enforceDocumentScopePre(model, Log)(listRequest, {}, sinon.spy());
+    enforceDocumentScope.enforceDocumentScopePre(model, Log)(createRequest("aaa", ['User'], "put"), {}, creatorNext);
+    enforceDocumentScope.enforceDocumentScopePre(model, Log)(createRequest("ccc", ['User'], "put"), {}, otherNext);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEqual(readNext.args[0], [null, true], "read authorized");
+    t.deepEqual(listRequest.query.$where.$or[1], { createdBy: "aaa" }, "created documents listed");
+    Q.all([creatorDeferred.promise, otherDeferred.promise])
+        .then(function() {
+          t.deepEqual(creatorNext.args[0], [null, true], "creator update authorized");
+          t.deepEqual(otherNext.args[0], [Boom.forbidden("Insufficient document scope."), false], "other users not authorized");
+        });
+    //</editor-fold>
+  });
+
+  t.end();
+});
@@ -0,0 +1,329 @@
+'use strict';
+
+const test = require('blue-tape');
+const sinon = require('sinon');
+const mongoose = require('mongoose');
+const Types = mongoose.Schema.Types;
+const logging = require('loggin');
+
+let Log = logging.getLogger("tests");
+Log.logLevel = "ERROR";
+Log = Log.bind("enforce-field-scope");
+
+const enforceFieldScope = require('../policies/enforce-field-scope');
+
+const userModel = {
+  modelName: "user",
+  schema: { tree: {
+    email: { type: String },
+    salary: { type: Number, readScope: ['Admin'] },
+    role: { type: String, writeScope: ['SuperAdmin'] }
+  } },
+  routeOptions: {}
+};
+
+const userRequest = function(extra) {
+  return Object.assign({
+    auth: { credentials: { scope: ['User'] } },
+    method: "get",
+    params: {},
+    query: {},
+    payload: null,
+    plugins: {}
+  }, extra);
+};
+
+test('enforce-field-scope exists and has expected members', function (t) {
+  //<editor-fold desc="Arrange">
+  t.plan(3);
+  //</editor-fold>
+
+  //<editor-fold desc="Assert">
+  t.ok(enforceFieldScope, "enforce-field-scope exists.");
+  t.ok(enforceFieldScope.enforceFieldScopePre, "enforce-field-scope.enforceFieldScopePre exists.");
+  t.ok(enforceFieldScope.enforceFieldScopePost, "enforce-field-scope.enforceFieldScopePost exists.");
+  //</editor-fold>
+});
+
+test('enforce-field-scope.enforceFieldScopePreForModel', function (t) {
+  t.test('enforce-field-scope.enforceFieldScopePreForModel rejects payloads with unwritable fields.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(5);
+
+    let enforceFieldScopePreForModel = enforceFieldScope.enforceFieldScopePre(userModel, Log);
+    let next = sinon.spy();
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    enforceFieldScopePreForModel(userRequest({ method: "post", payload: [{ email: "a" }, { email: "b", role: "Admin" }] }), sinon.spy(), next);
+    enforceFieldScopePreForModel(userRequest({ method: "put", params: { _id: "A" }, payload: { email: "a" } }), sinon.spy(), next);
+    enforceFieldScopePreForModel(userRequest({
+      auth: { credentials: { scope: ['SuperAdmin'] } }, method: "post", payload: { role: "Admin" }
+    }), sinon.spy(), next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.equals(next.getCall(0).args[0].output.statusCode, 403, "forbidden error returned");
+    t.equals(next.getCall(0).args[0].output.payload.message, "Insufficient scope to write the fields: role.", "unwritable fields listed");
+    t.equals(next.getCall(0).args[1], false, "request not allowed");
+    t.ok(next.getCall(1).calledWithExactly(null, true), "payloads without unwritable fields allowed");
+    t.ok(next.getCall(2).calledWithExactly(null, true), "users with the scope allowed");
+    //</editor-fold>
+  });
+
+  t.test('enforce-field-scope.enforceFieldScopePreForModel checks the fields removed or tested by patch requests.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(3);
+
+    let enforceFieldScopePreForModel = enforceFieldScope.enforceFieldScopePre(userModel, Log);
+    let next = sinon.spy();
+    let patch = function(operations, unset) {
+      return { 'rest-hapi': { patch: { operations: operations, unset: unset } } };
+    };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    enforceFieldScopePreForModel(userRequest({
+      method: "patch", params: { _id: "A" }, payload: {}, plugins: patch([{ op: "remove", path: "/role" }], ['role'])
+    }), sinon.spy(), next);
+    enforceFieldScopePreForModel(userRequest({
+      method: "patch", params: { _id: "A" }, payload: {}, plugins: patch([{ op: "test", path: "/salary", value: 100 }], [])
+    }), sinon.spy(), next);
+    enforceFieldScopePreForModel(userRequest({
+      method: "patch", params: { _id: "A" }, payload: { email: "a" }, plugins: patch([{ op: "replace", path: "/email", value: "a" }], [])
+    }), sinon.spy(), next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.equals(next.getCall(0).args[0].output.payload.message, "Insufficient scope to write the fields: role.", "removed fields checked");
+    t.equals(next.getCall(1).args[0].output.payload.message, "Insufficient scope to query the fields: salary.", "tested fields checked");
+    t.ok(next.getCall(2).calledWithExactly(null, true), "patches of writable fields allowed");
+    //</editor-fold>
+  });
+
+  t.test('enforce-field-scope.enforceFieldScopePreForModel rejects queries on unreadable fields.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(4);
+
+    let enforceFieldScopePreForModel = enforceFieldScope.enforceFieldScopePre(userModel, Log);
+    let next = sinon.spy();
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    enforceFieldScopePreForModel(userRequest({ query: { salary: 100 } }), sinon.spy(), next);
+    enforceFieldScopePreForModel(userRequest({ query: { $sort: ['email', '-salary'] } }), sinon.spy(), next);
+    enforceFieldScopePreForModel(userRequest({ query: { $groupBy: "email,salary" } }), sinon.spy(), next);
+    enforceFieldScopePreForModel(userRequest({ query: { email: "a", $sort: "-email", $select: ['salary'] } }), sinon.spy(), next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.equals(next.getCall(0).args[0].output.payload.message, "Insufficient scope to query the fields: salary.", "filters checked");
+    t.equals(next.getCall(1).args[0].output.statusCode, 403, "sorts checked");
+    t.equals(next.getCall(2).args[0].output.statusCode, 403, "aggregates checked");
+    t.ok(next.getCall(3).calledWithExactly(null, true), "queries of readable fields allowed");
+    //</editor-fold>
+  });
+
+  t.test('enforce-field-scope.enforceFieldScopePreForModel rejects field queries with operators on unreadable fields.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(3);
+
+    let enforceFieldScopePreForModel = enforceFieldScope.enforceFieldScopePre(userModel, Log);
+    let next = sinon.spy();
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    enforceFieldScopePreForModel(userRequest({ query: { 'salary[$gt]': 100 } }), sinon.spy(), next);
+    enforceFieldScopePreForModel(userRequest({ query: { 'salary[$exists]': true, 'email[$ne]': "a" } }), sinon.spy(), next);
+    enforceFieldScopePreForModel(userRequest({ query: { 'email[$regex]': "a" } }), sinon.spy(), next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.equals(next.getCall(0).args[0].output.payload.message, "Insufficient scope to query the fields: salary.", "operator removed from the field name");
+    t.equals(next.getCall(1).args[0].output.statusCode, 403, "every operator query checked");
+    t.ok(next.getCall(2).calledWithExactly(null, true), "operator queries of readable fields allowed");
+    //</editor-fold>
+  });
+
+  t.test('enforce-field-scope.enforceFieldScopePreForModel rejects "$where" conditions on unreadable fields.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(5);
+
+    let enforceFieldScopePreForModel = enforceFieldScope.enforceFieldScopePre(userModel, Log);
+    let next = sinon.spy();
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    enforceFieldScopePreForModel(userRequest({ query: { $where: JSON.stringify({ salary: { $gt: 100 } }) } }), sinon.spy(), next);
+    enforceFieldScopePreForModel(userRequest({
+      query: { $where: { $and: [{ email: "a" }, { $or: [{ email: "b" }, { $nor: [{ salary: 100 }] }] }] } }
+    }), sinon.spy(), next);
+    enforceFieldScopePreForModel(userRequest({
+      query: { $where: JSON.stringify({ $expr: { $gt: ["$salary", 100] } }) }
+    }), sinon.spy(), next);
+    enforceFieldScopePreForModel(userRequest({
+      query: { $where: JSON.stringify({ $or: [{ email: "a" }, { email: { $in: ["b"] } }] }) }
+    }), sinon.spy(), next);
+    enforceFieldScopePreForModel(userRequest({
+      auth: { credentials: { scope: ['Admin'] } }, query: { $where: JSON.stringify({ $expr: { $gt: ["$salary", 100] } }) }
+    }), sinon.spy(), next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.equals(next.getCall(0).args[0].output.payload.message, "Insufficient scope to query the fields: salary.", "parsed conditions checked");
+    t.equals(next.getCall(1).args[0].output.payload.message, "Insufficient scope to query the fields: salary.", "nested logical operators checked");
+    t.equals(next.getCall(2).args[0].output.statusCode, 403, "operators that can compare any field checked");
+    t.ok(next.getCall(3).calledWithExactly(null, true), "conditions on readable fields allowed");
+    t.ok(next.getCall(4).calledWithExactly(null, true), "users with the scope allowed");
+    //</editor-fold>
+  });
+
+  t.test('enforce-field-scope.enforceFieldScopePreForModel rejects queries on unreadable fields of associated models.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(4);
+
+    const roleModel = {
+      modelName: "role",
+      schema: { tree: { name: { type: String }, secret: { type: String, readScope: ['Admin'] } } },
+      routeOptions: {}
+    };
+    const model = {
+      modelName: "user",
+      schema: { tree: { email: { type: String }, role: { type: Types.ObjectId } } },
+      routeOptions: { associations: { role: { type: "MANY_ONE", model: "role", include: { model: roleModel } } } }
+    };
+
+    let enforceFieldScopePreForModel = enforceFieldScope.enforceFieldScopePre(model, Log);
+    let next = sinon.spy();
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    enforceFieldScopePreForModel(userRequest({ query: { 'role.secret': "a" } }), sinon.spy(), next);
+    enforceFieldScopePreForModel(userRequest({ query: { 'role.secret[$ne]': "a" } }), sinon.spy(), next);
+    enforceFieldScopePreForModel(userRequest({ query: { $where: JSON.stringify({ $or: [{ 'role.secret': "a" }] }) } }), sinon.spy(), next);
+    enforceFieldScopePreForModel(userRequest({ query: { 'role.name': "a" } }), sinon.spy(), next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.equals(next.getCall(0).args[0].output.payload.message, "Insufficient scope to query the fields: role.secret.", "associated fields checked");
+    t.equals(next.getCall(1).args[0].output.statusCode, 403, "associated field queries with operators checked");
+    t.equals(next.getCall(2).args[0].output.statusCode, 403, "associated fields in \"$where\" conditions checked");
+    t.ok(next.getCall(3).calledWithExactly(null, true), "readable associated fields allowed");
+    //</editor-fold>
+  });
+
+  t.test('enforce-field-scope.enforceFieldScopePreForModel limits "$term" searches to readable fields.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(3);
+
+    let userSchema = new mongoose.Schema({
+      email: { type: Types.String },
+      notes: { type: Types.String, readScope: ['Admin'] },
+      salary: { type: Types.Number, readScope: ['Admin'] }
+    });
+    userSchema.statics = { routeOptions: {} };
+    let model = mongoose.model("user", userSchema);
+
+    let enforceFieldScopePreForModel = enforceFieldScope.enforceFieldScopePre(model, Log);
+    let next = sinon.spy();
+    let request = userRequest({ query: { $term: "test" } });
+    let searchFieldsRequest = userRequest({ query: { $term: "test", $searchFields: ['email'] } });
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    enforceFieldScopePreForModel(request, sinon.spy(), next);
+    enforceFieldScopePreForModel(searchFieldsRequest, sinon.spy(), next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEqual(request.query.$searchFields, ['email'], "unreadable fields not searched");
+    t.deepEqual(searchFieldsRequest.query.$searchFields, ['email'], "search fields unchanged");
+    t.ok(next.alwaysCalledWithExactly(null, true), "requests allowed");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    delete mongoose.models.user;
+    delete mongoose.modelSchemas.user;
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('enforce-field-scope.enforceFieldScopePostForModel', function (t) {
+  t.test('enforce-field-scope.enforceFieldScopePostForModel removes unreadable fields from the response.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(5);
+
+    let enforceFieldScopePostForModel = enforceFieldScope.enforceFieldScopePost(userModel, Log);
+    let next = sinon.spy();
+    let docs = [{ _id: "A", email: "a", salary: 100 }];
+    let listRequest = userRequest({ response: { source: { docs: docs, items: { total: 1 } } } });
+    let findRequest = userRequest({ params: { _id: "A" }, response: { source: { _id: "A", email: "a", salary: 100 } } });
+    let createRequest = userRequest({ method: "post", response: { source: [{ _id: "A", salary: 100 }] } });
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    enforceFieldScopePostForModel(listRequest, sinon.spy(), next);
+    enforceFieldScopePostForModel(findRequest, sinon.spy(), next);
+    enforceFieldScopePostForModel(createRequest, sinon.spy(), next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEqual(listRequest.response.source, { docs: [{ _id: "A", email: "a" }], items: { total: 1 } }, "list docs filtered");
+    t.deepEqual(findRequest.response.source, { _id: "A", email: "a" }, "found doc filtered");
+    t.deepEqual(createRequest.response.source, [{ _id: "A" }], "created docs filtered");
+    t.equals(docs[0].salary, 100, "original docs unchanged");
+    t.ok(next.alwaysCalledWithExactly(null, true), "requests allowed");
+    //</editor-fold>
+  });
+
+  t.test('enforce-field-scope.enforceFieldScopePostForModel removes unreadable fields from revisions.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(2);
+
+    let enforceFieldScopePostForModel = enforceFieldScope.enforceFieldScopePost(userModel, Log);
+    let next = sinon.spy();
+    let request = userRequest({
+      params: { _id: "A", revision: 1 },
+      response: { source: {
+        revision: 1,
+        snapshot: { _id: "A", email: "a", salary: 100 },
+        diff: [{ field: "email", revision: "a", current: "b" }, { field: "salary", revision: 100, current: 200 }]
+      } }
+    });
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    enforceFieldScopePostForModel(request, sinon.spy(), next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEqual(request.response.source, {
+      revision: 1,
+      snapshot: { _id: "A", email: "a" },
+      diff: [{ field: "email", revision: "a", current: "b" }]
+    }, "snapshot and diff filtered");
+    t.ok(next.calledWithExactly(null, true), "request allowed");
+    //</editor-fold>
+  });
+
+  t.test('enforce-field-scope.enforceFieldScopePostForModel ignores errors.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(1);
+
+    let enforceFieldScopePostForModel = enforceFieldScope.enforceFieldScopePost(userModel, Log);
+    let next = sinon.spy();
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    enforceFieldScopePostForModel(userRequest({ response: new Error("error") }), sinon.spy(), next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.ok(next.calledWithExactly(null, true), "request allowed");
+    //</editor-fold>
+  });
+
+  t.end();
+});
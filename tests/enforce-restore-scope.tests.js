@@ -0,0 +1,121 @@
+'use strict';
+
+const test = require('tape');
+const sinon = require('sinon');
+const logging = require('loggin');
+
+let Log = logging.getLogger("tests");
+Log.logLevel = "ERROR";
+Log = Log.bind("enforce-restore-scope");
+
+const model = {
+  modelName: "user",
+  routeOptions: {
+    routeScope: {
+      restoreScope: ["restore", "restoreUser", "!-restore", "!-restoreUser"]
+    }
+  }
+};
+
+test('enforce-restore-scope exists and has expected members', function (t) {
+  //<editor-fold desc="Arrange">
+  let enforceRestoreScope = require('../policies/enforce-restore-scope');
+
+  t.plan(2);
+  //</editor-fold>
+
+  //<editor-fold desc="Assert">
+  t.ok(enforceRestoreScope, "enforce-restore-scope exists.");
+  t.ok(enforceRestoreScope.enforceRestoreScope, "enforce-restore-scope.enforceRestoreScope exists.");
+  //</editor-fold>
+});
+
+test('enforce-restore-scope.enforceRestoreScopeForModel', function (t) {
+  t.test('enforce-restore-scope.enforceRestoreScopeForModel returns authorized if deleted documents aren\'t requested.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(1);
+
+    let enforceRestoreScope = require('../policies/enforce-restore-scope');
+    let enforceRestoreScopeForModel = enforceRestoreScope.enforceRestoreScope(model, Log);
+    let reply = sinon.spy();
+    let next = sinon.spy();
+
+    let request = { query: {}, auth: { credentials: { scope: ["User"] } } };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    enforceRestoreScopeForModel(request, reply, next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.ok(next.calledWithExactly(null, true), "next called with correct args");
+    //</editor-fold>
+  });
+
+  t.test('enforce-restore-scope.enforceRestoreScopeForModel returns a forbidden error if the user lacks the restore scope.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(2);
+
+    let enforceRestoreScope = require('../policies/enforce-restore-scope');
+    let enforceRestoreScopeForModel = enforceRestoreScope.enforceRestoreScope(model, Log);
+    let reply = sinon.spy();
+    let next = sinon.spy();
+
+    let request = { query: { $onlyDeleted: true }, auth: { credentials: { scope: ["User", "deleteUser"] } } };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    enforceRestoreScopeForModel(request, reply, next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.equals(next.args[0][0].output.statusCode, 403, "forbidden error returned");
+    t.equals(next.args[0][1], false, "request not authorized");
+    //</editor-fold>
+  });
+
+  t.test('enforce-restore-scope.enforceRestoreScopeForModel returns authorized if the user has the restore scope.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(1);
+
+    let enforceRestoreScope = require('../policies/enforce-restore-scope');
+    let enforceRestoreScopeForModel = enforceRestoreScope.enforceRestoreScope(model, Log);
+    let reply = sinon.spy();
+    let next = sinon.spy();
+
+    let request = { query: { $includeDeleted: true }, auth: { credentials: { scope: ["User", "restoreUser"] } } };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    enforceRestoreScopeForModel(request, reply, next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.ok(next.calledWithExactly(null, true), "next called with correct args");
+    //</editor-fold>
+  });
+
+  t.test('enforce-restore-scope.enforceRestoreScopeForModel treats "isDeleted" queries as requests for deleted documents.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(3);
+
+    let enforceRestoreScope = require('../policies/enforce-restore-scope');
+    let next = sinon.spy();
+    let credentials = { scope: ["User"] };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    enforceRestoreScope.enforceRestoreScope(model, Log)({ query: { isDeleted: "true" }, auth: { credentials: credentials } }, sinon.spy(), next);
+    enforceRestoreScope.enforceRestoreScope(model, Log)({ query: { 'isDeleted[$ne]': "false" }, auth: { credentials: credentials } }, sinon.spy(), next);
+    enforceRestoreScope.enforceRestoreScope(model, Log)({ query: { isDeleted: "false" }, auth: { credentials: credentials } }, sinon.spy(), next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.equals(next.args[0][0].output.statusCode, 403, "isDeleted query requires the restore scope");
+    t.equals(next.args[1][0].output.statusCode, 403, "isDeleted operator query requires the restore scope");
+    t.ok(next.getCall(2).calledWithExactly(null, true), "queries that exclude deleted documents allowed");
+    //</editor-fold>
+  });
+
+  t.end();
+});
@@ -0,0 +1,143 @@
+'use strict';
+
+const test = require('blue-tape');
+const sinon = require('sinon');
+const logging = require('loggin');
+const Q = require('q');
+
+let Log = logging.getLogger("tests");
+Log.logLevel = "ERROR";
+Log = Log.bind("enforce-tenant");
+
+const config = require('../config');
+const enforceTenant = require('../policies/enforce-tenant');
+
+const tenantRequest = function(extra) {
+  return Object.assign({
+    auth: { credentials: { scope: ['User'], user: { tenantId: "TENANT" } } },
+    params: {},
+    payload: null
+  }, extra);
+};
+
+test('enforce-tenant exists and has expected members', function (t) {
+  //<editor-fold desc="Arrange">
+  t.plan(3);
+  //</editor-fold>
+
+  //<editor-fold desc="Assert">
+  t.ok(enforceTenant, "enforce-tenant exists.");
+  t.ok(enforceTenant.enforceTenant, "enforce-tenant.enforceTenant exists.");
+  t.ok(enforceTenant.enforceTenantAssociation, "enforce-tenant.enforceTenantAssociation exists.");
+  //</editor-fold>
+});
+
+test('enforce-tenant.enforceTenantForModel', function (t) {
+  t.test('enforce-tenant.enforceTenantForModel only allows users with a tenant or the super tenant scope.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(4);
+
+    let enforceTenantForModel = enforceTenant.enforceTenant({ routeOptions: {} }, Log);
+    let next = sinon.spy();
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    enforceTenantForModel(tenantRequest(), sinon.spy(), next);
+    enforceTenantForModel(tenantRequest({ auth: { credentials: { scope: ['superTenant'] } } }), sinon.spy(), next);
+    enforceTenantForModel(tenantRequest({ auth: { credentials: { scope: ['User'], user: {} } } }), sinon.spy(), next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.ok(next.getCall(0).calledWithExactly(null, true), "users with a tenant allowed");
+    t.ok(next.getCall(1).calledWithExactly(null, true), "super tenants allowed");
+    t.equals(next.getCall(2).args[0].output.statusCode, 403, "users without a tenant forbidden");
+    t.equals(next.getCall(2).args[1], false, "request not allowed");
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('enforce-tenant.enforceTenantAssociationForModel', function (t) {
+  t.test('enforce-tenant.enforceTenantAssociationForModel rejects children of another tenant.', function (t) {
+    //<editor-fold desc="Arrange">
+    config.multiTenant = true;
+
+    let query = { select: sinon.stub().returnsThis(), lean: sinon.spy(function() {
+      return Q.when([{ _id: "A", tenantId: "TENANT" }, { _id: "B", tenantId: "OTHER" }]);
+    }) };
+    let childModel = { routeOptions: {}, find: sinon.spy(function() { return query }) };
+    let enforceTenantAssociationForModel = enforceTenant.enforceTenantAssociation(childModel, Log);
+    let next = sinon.spy();
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let promise = enforceTenantAssociationForModel(tenantRequest({ payload: ["A", { childId: "B" }] }), sinon.spy(), next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise.then(function() {
+      t.deepEqual(childModel.find.args[0][0], { '_id': { $in: ["A", "B"] } }, "children queried");
+      t.equals(next.args[0][0].output.statusCode, 403, "forbidden error returned");
+      t.equals(next.args[0][1], false, "request not allowed");
+    })
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+        .finally(function() {
+          config.multiTenant = false;
+        });
+    //</editor-fold>
+  });
+
+  t.test('enforce-tenant.enforceTenantAssociationForModel allows children of the same tenant.', function (t) {
+    //<editor-fold desc="Arrange">
+    config.multiTenant = true;
+
+    let query = { select: sinon.stub().returnsThis(), lean: sinon.spy(function() {
+      return Q.when([{ _id: "A", tenantId: "TENANT" }]);
+    }) };
+    let childModel = { routeOptions: {}, find: sinon.spy(function() { return query }) };
+    let enforceTenantAssociationForModel = enforceTenant.enforceTenantAssociation(childModel, Log);
+    let next = sinon.spy();
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let promise = enforceTenantAssociationForModel(tenantRequest({ params: { childId: "A" } }), sinon.spy(), next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise.then(function() {
+      t.deepEqual(childModel.find.args[0][0], { '_id': { $in: ["A"] } }, "child queried");
+      t.ok(next.calledWithExactly(null, true), "request allowed");
+    })
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+        .finally(function() {
+          config.multiTenant = false;
+        });
+    //</editor-fold>
+  });
+
+  t.test('enforce-tenant.enforceTenantAssociationForModel skips the check if the model isn\'t multi-tenant.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(2);
+
+    let childModel = { routeOptions: {}, find: sinon.spy() };
+    let enforceTenantAssociationForModel = enforceTenant.enforceTenantAssociation(childModel, Log);
+    let next = sinon.spy();
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    enforceTenantAssociationForModel(tenantRequest({ params: { childId: "A" } }), sinon.spy(), next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.notOk(childModel.find.called, "children not queried");
+    t.ok(next.calledWithExactly(null, true), "request allowed");
+    //</editor-fold>
+  });
+
+  t.end();
+});
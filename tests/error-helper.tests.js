@@ -201,6 +201,31 @@ test('handle-error.formatResponse', function (t) {
     //</editor-fold>
   });
 
+  t.test('handle-error.formatResponse handles a FORBIDDEN error', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(2);
+
+    var Log = logger.bind("error-helper");
+    var errorHelper = require('../utilities/error-helper');
+
+    var message = "An error occurred";
+    var errorType = errorHelper.types.FORBIDDEN;
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var response = errorHelper.formatResponse({ message: message, type: errorType }, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.ok(response instanceof Error, "returned an error");
+    t.deepEqual(
+      response.output.payload,
+      { statusCode: 403, error: "Forbidden", message: message },
+      "returned a FORBIDDEN error response"
+    );
+    //</editor-fold>
+  });
+
   t.test('handle-error.formatResponse handles an error with an unknown type', function (t) {
     //<editor-fold desc="Arrange">
     t.plan(2);
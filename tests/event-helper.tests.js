@@ -0,0 +1,143 @@
+'use strict';
+
+var test = require('tape');
+var sinon = require('sinon');
+var logging = require('loggin');
+var Log = logging.getLogger("tests");
+Log.logLevel = "ERROR";
+Log = Log.bind("event-helper");
+
+var eventHelper = require('../utilities/event-helper');
+
+test('event-helper exists and has expected members', function (t) {
+  //<editor-fold desc="Arrange">
+  t.plan(8);
+  //</editor-fold>
+
+  //<editor-fold desc="Assert">
+  t.ok(eventHelper, "event-helper exists.");
+  t.ok(eventHelper.events, "event-helper.events exists.");
+  t.ok(eventHelper.ALL_EVENTS, "event-helper.ALL_EVENTS exists.");
+  t.ok(eventHelper.getEventName, "event-helper.getEventName exists.");
+  t.ok(eventHelper.hasListeners, "event-helper.hasListeners exists.");
+  t.ok(eventHelper.emit, "event-helper.emit exists.");
+  t.ok(eventHelper.flush, "event-helper.flush exists.");
+  t.ok(eventHelper.discard, "event-helper.discard exists.");
+  //</editor-fold>
+});
+
+test('event-helper.emit', function (t) {
+
+  t.test('event-helper.emit emits a typed event with the model name and credentials.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(4);
+
+    var model = { modelName: "user" };
+    var credentials = { user: { _id: "USER" } };
+    var listener = sinon.spy();
+    eventHelper.events.on("user.groups.added", listener);
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var hasListeners = eventHelper.hasListeners(model, "groups.added");
+    eventHelper.emit(model, "groups.added", { document: { _id: "TEST" }, childIds: ["GROUP"] }, { auth: { credentials: credentials } }, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.ok(hasListeners, "listener found");
+    t.notOk(eventHelper.hasListeners(model, "deleted"), "no listener found for other events");
+    t.ok(listener.calledOnce, "event emitted");
+    t.deepEqual(listener.args[0][0], {
+      event: "user.groups.added",
+      model: "user",
+      credentials: credentials,
+      document: { _id: "TEST" },
+      childIds: ["GROUP"]
+    }, "event data correct");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    eventHelper.events.removeListener("user.groups.added", listener);
+    //</editor-fold>
+  });
+
+  t.test('event-helper.emit passes every event to "*" listeners.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(3);
+
+    var listener = sinon.spy();
+    eventHelper.events.on(eventHelper.ALL_EVENTS, listener);
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var hasListeners = eventHelper.hasListeners({ modelName: "group" }, "updated");
+    eventHelper.emit({ modelName: "group" }, "updated", { document: { _id: "TEST" } }, {}, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.ok(hasListeners, "listener found");
+    t.ok(listener.calledOnce, "event emitted");
+    t.equals(listener.args[0][0].event, "group.updated", "event name included");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    eventHelper.events.removeListener(eventHelper.ALL_EVENTS, listener);
+    //</editor-fold>
+  });
+
+  t.test('event-helper.emit logs errors thrown by listeners.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(1);
+
+    var logStub = sinon.stub(Log, 'error').callsFake(function () {});
+    var listener = function () { throw new Error("listener error") };
+    eventHelper.events.on("user.deleted", listener);
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    eventHelper.emit({ modelName: "user" }, "deleted", { document: { _id: "TEST" } }, {}, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.ok(logStub.calledOnce, "error logged");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    eventHelper.events.removeListener("user.deleted", listener);
+    logStub.restore();
+    //</editor-fold>
+  });
+
+  t.test('event-helper.emit holds the events of a transaction until it is committed.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(3);
+
+    var model = { modelName: "user" };
+    var committed = {};
+    var aborted = {};
+    var listener = sinon.spy();
+    eventHelper.events.on("user.created", listener);
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    eventHelper.emit(model, "created", { document: { _id: "TEST1" } }, { mongooseSession: committed }, Log);
+    eventHelper.emit(model, "created", { document: { _id: "TEST2" } }, { mongooseSession: aborted }, Log);
+    var calledBeforeCommit = listener.called;
+    eventHelper.flush(committed);
+    eventHelper.discard(aborted);
+    eventHelper.flush(aborted);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.notOk(calledBeforeCommit, "events held");
+    t.ok(listener.calledOnce, "only the committed event emitted");
+    t.deepEqual(listener.args[0][0].document, { _id: "TEST1" }, "committed event emitted");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    eventHelper.events.removeListener("user.created", listener);
+    //</editor-fold>
+  });
+
+  t.end();
+});
@@ -0,0 +1,362 @@
+'use strict';
+
+var test = require('tape');
+var _ = require('lodash');
+var sinon = require('sinon');
+var Stream = require('stream');
+var mongoose = require('mongoose');
+var Types = mongoose.Schema.Types;
+var logging = require('loggin');
+var Log = logging.getLogger("tests");
+Log.logLevel = "ERROR";
+Log = Log.bind("export-helper");
+
+test('export-helper exists and has expected members', function (t) {
+  //<editor-fold desc="Arrange">
+  var exportHelper = require('../utilities/export-helper');
+
+  t.plan(6);
+  //</editor-fold>
+
+  //<editor-fold desc="Assert">
+  t.ok(exportHelper, "export-helper exists.");
+  t.ok(exportHelper.contentTypes, "export-helper.contentTypes exists.");
+  t.ok(exportHelper.getExportFormat, "export-helper.getExportFormat exists.");
+  t.ok(exportHelper.getExportFields, "export-helper.getExportFields exists.");
+  t.ok(exportHelper.getColumns, "export-helper.getColumns exists.");
+  t.ok(exportHelper.createExportStream, "export-helper.createExportStream exists.");
+  //</editor-fold>
+});
+
+test('export-helper.getExportFormat', function (t) {
+
+  t.test('export-helper.getExportFormat uses the "$format" query parameter before the "Accept" header.', function (t) {
+    //<editor-fold desc="Arrange">
+    var exportHelper = require('../utilities/export-helper');
+
+    t.plan(3);
+
+    var headers = { accept: 'application/x-ndjson' };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var csvResult = exportHelper.getExportFormat({ $format: "csv" }, headers);
+    var jsonResult = exportHelper.getExportFormat({ $format: "json" }, headers);
+    var headerResult = exportHelper.getExportFormat({}, headers);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.equals(csvResult, "csv", "csv format returned");
+    t.equals(jsonResult, null, "json format returns null");
+    t.equals(headerResult, "ndjson", "ndjson format returned");
+    //</editor-fold>
+  });
+
+  t.test('export-helper.getExportFormat matches the first supported type in the "Accept" header.', function (t) {
+    //<editor-fold desc="Arrange">
+    var exportHelper = require('../utilities/export-helper');
+
+    t.plan(3);
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var csvResult = exportHelper.getExportFormat({}, { accept: 'text/html, Text/CSV;q=0.9, application/x-ndjson' });
+    var jsonResult = exportHelper.getExportFormat({}, { accept: 'application/json, */*' });
+    var noHeaderResult = exportHelper.getExportFormat({});
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.equals(csvResult, "csv", "csv format returned");
+    t.equals(jsonResult, null, "json returns null");
+    t.equals(noHeaderResult, null, "missing headers return null");
+    //</editor-fold>
+  });
+
+  t.test('export-helper.getExportFormat returns null for "$count" queries.', function (t) {
+    //<editor-fold desc="Arrange">
+    var exportHelper = require('../utilities/export-helper');
+
+    t.plan(1);
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var result = exportHelper.getExportFormat({ $count: true, $format: "csv" }, { accept: 'text/csv' });
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.equals(result, null, "null returned");
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('export-helper.getColumns', function (t) {
+
+  t.test('export-helper.getColumns doesn\'t return fields with "exclude" set to true or "allowOnRead" set to false.', function (t) {
+    //<editor-fold desc="Arrange">
+    var exportHelper = require('../utilities/export-helper');
+
+    t.plan(1);
+
+    var userSchema = new mongoose.Schema({
+      email: {
+        type: Types.String
+      },
+      password: {
+        type: Types.String,
+        exclude: true
+      },
+      pin: {
+        type: Types.String,
+        allowOnRead: false
+      }
+    });
+    userSchema.statics = {routeOptions: {}};
+    var userModel = mongoose.model("user", userSchema);
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var result = exportHelper.getColumns(userModel, { $select: ["email", "pin"] }, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEquals(result, ["email"], "columns correct");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    delete mongoose.models.user;
+    delete mongoose.modelSchemas.user;
+    //</editor-fold>
+  });
+
+  t.test('export-helper.getColumns replaces embedded associations with dotted columns.', function (t) {
+    //<editor-fold desc="Arrange">
+    var exportHelper = require('../utilities/export-helper');
+
+    t.plan(1);
+
+    var permissionSchema = new mongoose.Schema({
+      name: {
+        type: Types.String
+      }
+    });
+    permissionSchema.statics = {routeOptions: {}};
+    var permissionModel = mongoose.model("permission", permissionSchema);
+
+    var roleSchema = new mongoose.Schema({
+      name: {
+        type: Types.String
+      },
+      secret: {
+        type: Types.String,
+        allowOnRead: false
+      }
+    });
+    roleSchema.statics = {
+      routeOptions: {
+        associations: {
+          permissions: {
+            type: "MANY_MANY",
+            model: "permission",
+            include: { model: permissionModel, as: "permissions" }
+          }
+        }
+      }
+    };
+    var roleModel = mongoose.model("role", roleSchema);
+
+    var userSchema = new mongoose.Schema({
+      email: {
+        type: Types.String
+      },
+      role: {
+        type: Types.ObjectId
+      }
+    });
+    userSchema.statics = {
+      routeOptions: {
+        associations: {
+          role: {
+            type: "MANY_ONE",
+            model: "role",
+            include: { model: roleModel, as: "role" }
+          }
+        }
+      }
+    };
+    var userModel = mongoose.model("user", userSchema);
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var result = exportHelper.getColumns(userModel, { $embed: "role.permissions" }, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEquals(result, ["email", "_id", "role.name", "role._id", "role.permissions.permission.name",
+      "role.permissions.permission._id"], "columns correct");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    delete mongoose.models.user;
+    delete mongoose.modelSchemas.user;
+    delete mongoose.models.role;
+    delete mongoose.modelSchemas.role;
+    delete mongoose.models.permission;
+    delete mongoose.modelSchemas.permission;
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('export-helper.createExportStream', function (t) {
+
+  var readStream = function (stream) {
+    return new Promise(function (resolve, reject) {
+      var output = "";
+      stream.on('data', function (chunk) {
+        output = output + chunk.toString();
+      });
+      stream.on('end', function () {
+        resolve(output);
+      });
+      stream.on('error', reject);
+    });
+  };
+
+  var createMongooseQuery = function (docs) {
+    return {
+      cursor: sinon.spy(function () {
+        return new Stream.Readable({
+          objectMode: true,
+          read: function () {
+            this.push(docs.length > 0 ? docs.shift() : null);
+          }
+        });
+      })
+    };
+  };
+
+  t.test('export-helper.createExportStream streams escaped CSV rows with a header row.', function (t) {
+    //<editor-fold desc="Arrange">
+    var exportHelper = require('../utilities/export-helper');
+
+    t.plan(2);
+
+    var userSchema = new mongoose.Schema({
+      email: {
+        type: Types.String
+      },
+      created: {
+        type: Types.Date
+      }
+    });
+    userSchema.statics = {routeOptions: {}};
+    var userModel = mongoose.model("user", userSchema);
+
+    var docs = [
+      { email: 'a,"b"@test.com', created: new Date(0), role: { name: "Admin" } },
+      { email: "c@test.com", tags: ["x", "y"] }
+    ];
+    var mongooseQuery = createMongooseQuery(docs);
+    var formatDocument = sinon.spy(function (document) {
+      return document;
+    });
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var stream = exportHelper.createExportStream(userModel, mongooseQuery, "csv", ["email", "created", "role.name", "tags"], formatDocument, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    readStream(stream)
+        .then(function (output) {
+          t.equals(output, 'email,created,role.name,tags\r\n' +
+              '"a,""b""@test.com",1970-01-01T00:00:00.000Z,Admin,\r\n' +
+              'c@test.com,,,"[""x"",""y""]"\r\n', "output correct");
+          t.equals(formatDocument.callCount, 2, "formatDocument called for each document");
+        })
+        //</editor-fold>
+
+        //<editor-fold desc="Restore">
+        .then(function () {
+          delete mongoose.models.user;
+          delete mongoose.modelSchemas.user;
+        });
+    //</editor-fold>
+  });
+
+  t.test('export-helper.createExportStream streams NDJSON without fields that have "allowOnRead" set to false.', function (t) {
+    //<editor-fold desc="Arrange">
+    var exportHelper = require('../utilities/export-helper');
+
+    t.plan(1);
+
+    var roleSchema = new mongoose.Schema({
+      name: {
+        type: Types.String
+      },
+      secret: {
+        type: Types.String,
+        allowOnRead: false
+      }
+    });
+    roleSchema.statics = {routeOptions: {}};
+    var roleModel = mongoose.model("role", roleSchema);
+
+    var userSchema = new mongoose.Schema({
+      email: {
+        type: Types.String
+      },
+      pin: {
+        type: Types.String,
+        allowOnRead: false
+      },
+      role: {
+        type: Types.ObjectId
+      }
+    });
+    userSchema.statics = {
+      routeOptions: {
+        associations: {
+          role: {
+            type: "MANY_ONE",
+            model: "role",
+            include: { model: roleModel, as: "role" }
+          }
+        }
+      }
+    };
+    var userModel = mongoose.model("user", userSchema);
+
+    var docs = [
+      { email: "a@test.com", pin: "1234", role: { name: "Admin", secret: "test" } },
+      { email: "b@test.com" }
+    ];
+    var mongooseQuery = createMongooseQuery(docs);
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var stream = exportHelper.createExportStream(userModel, mongooseQuery, "ndjson", [], _.identity, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    readStream(stream)
+        .then(function (output) {
+          t.equals(output, '{"email":"a@test.com","role":{"name":"Admin"}}\n{"email":"b@test.com"}\n', "output correct");
+        })
+        //</editor-fold>
+
+        //<editor-fold desc="Restore">
+        .then(function () {
+          delete mongoose.models.user;
+          delete mongoose.modelSchemas.user;
+          delete mongoose.models.role;
+          delete mongoose.modelSchemas.role;
+        });
+    //</editor-fold>
+  });
+
+  t.end();
+});
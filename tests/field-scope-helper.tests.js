@@ -0,0 +1,168 @@
+'use strict';
+
+const test = require('blue-tape');
+
+const FieldScopeHelper = require('../utilities/field-scope-helper');
+
+const roleModel = {
+  modelName: "role",
+  schema: { tree: { name: { type: String }, permissions: { type: String, readScope: ['Admin'] } } },
+  routeOptions: {}
+};
+const groupModel = {
+  modelName: "group",
+  schema: { tree: { name: { type: String }, budget: { type: Number, readScope: ['Admin'] } } },
+  routeOptions: {}
+};
+const userModel = {
+  modelName: "user",
+  schema: { tree: {
+    email: { type: String },
+    salary: { type: Number, readScope: ['Admin'] },
+    role: { type: String, writeScope: ['SuperAdmin'] },
+    scope: { rootScope: { type: [String] }, readScope: { type: [String] } }
+  } },
+  routeOptions: { associations: {
+    title: { type: "MANY_ONE", model: "role", include: { model: roleModel } },
+    groups: { type: "MANY_MANY", model: "group", include: { model: groupModel } }
+  } }
+};
+
+const userRequest = { auth: { credentials: { scope: ['User'] } } };
+const adminRequest = { auth: { credentials: { scope: ['User', 'Admin'] } } };
+
+test('field-scope-helper exists and has expected members', function (t) {
+  //<editor-fold desc="Arrange">
+  t.plan(6);
+  //</editor-fold>
+
+  //<editor-fold desc="Assert">
+  t.ok(FieldScopeHelper, "field-scope-helper exists.");
+  t.ok(FieldScopeHelper.getFieldScope, "field-scope-helper.getFieldScope exists.");
+  t.ok(FieldScopeHelper.hasFieldScopes, "field-scope-helper.hasFieldScopes exists.");
+  t.ok(FieldScopeHelper.isEnabled, "field-scope-helper.isEnabled exists.");
+  t.ok(FieldScopeHelper.getUnauthorizedFields, "field-scope-helper.getUnauthorizedFields exists.");
+  t.ok(FieldScopeHelper.filterDocument, "field-scope-helper.filterDocument exists.");
+  //</editor-fold>
+});
+
+test('field-scope-helper.getFieldScope', function (t) {
+  t.test('field-scope-helper.getFieldScope returns the scope of a field.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(4);
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let readScope = FieldScopeHelper.getFieldScope(userModel.schema.tree.salary, "read");
+    let writeScope = FieldScopeHelper.getFieldScope({ type: String, writeScope: 'SuperAdmin' }, "write");
+    let noScope = FieldScopeHelper.getFieldScope(userModel.schema.tree.salary, "write");
+    let subField = FieldScopeHelper.getFieldScope(userModel.schema.tree.scope, "read");
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEqual(readScope, ['Admin'], "read scope returned");
+    t.deepEqual(writeScope, ['SuperAdmin'], "string scopes returned as a list");
+    t.equals(noScope, null, "unrestricted fields return null");
+    t.equals(subField, null, "sub-fields with the same name ignored");
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('field-scope-helper.isEnabled', function (t) {
+  t.test('field-scope-helper.isEnabled checks the model and its associated models.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(3);
+
+    const teamModel = { modelName: "team", schema: { tree: { name: { type: String } } }, routeOptions: {} };
+    const ownerModel = { modelName: "owner", schema: { tree: { name: { type: String } } }, routeOptions: {
+      associations: { members: { type: "ONE_MANY", model: "user", include: { model: userModel } } }
+    } };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let enabled = FieldScopeHelper.isEnabled(userModel);
+    let associated = FieldScopeHelper.isEnabled(ownerModel);
+    let disabled = FieldScopeHelper.isEnabled(teamModel);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.equals(enabled, true, "models with restricted fields enabled");
+    t.equals(associated, true, "models associated with restricted fields enabled");
+    t.equals(disabled, false, "models without restricted fields disabled");
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('field-scope-helper.getUnauthorizedFields', function (t) {
+  t.test('field-scope-helper.getUnauthorizedFields returns the fields the user can\'t access.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(5);
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let unreadable = FieldScopeHelper.getUnauthorizedFields(userModel, "read", userRequest);
+    let unwritable = FieldScopeHelper.getUnauthorizedFields(userModel, "write", adminRequest);
+    let admin = FieldScopeHelper.getUnauthorizedFields(userModel, "read", adminRequest);
+    let anonymous = FieldScopeHelper.getUnauthorizedFields(userModel, "read", { auth: { credentials: null } });
+    let wrapper = FieldScopeHelper.getUnauthorizedFields(userModel, "read", { query: {} });
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEqual(unreadable, ['salary'], "unreadable fields returned");
+    t.deepEqual(unwritable, ['role'], "unwritable fields returned");
+    t.deepEqual(admin, [], "users with the scope can read the fields");
+    t.deepEqual(anonymous, ['salary'], "users without credentials can't read the fields");
+    t.deepEqual(wrapper, [], "wrapper calls can access every field");
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('field-scope-helper.filterDocument', function (t) {
+  t.test('field-scope-helper.filterDocument removes unreadable fields at every level.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(5);
+
+    const document = {
+      _id: "A",
+      email: "test@email.com",
+      salary: 100,
+      title: { _id: "B", name: "Manager", permissions: "all" },
+      groups: [
+        { _id: "C", group: { _id: "D", name: "Sales", budget: 1000 } },
+        { _id: "E", name: "Support", budget: 10 },
+        "F"
+      ]
+    };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let result = FieldScopeHelper.filterDocument(userModel, document, userRequest);
+    let adminResult = FieldScopeHelper.filterDocument(userModel, document, adminRequest);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEqual(result, {
+      _id: "A",
+      email: "test@email.com",
+      title: { _id: "B", name: "Manager" },
+      groups: [
+        { _id: "C", group: { _id: "D", name: "Sales" } },
+        { _id: "E", name: "Support" },
+        "F"
+      ]
+    }, "unreadable fields removed");
+    t.deepEqual(adminResult, document, "users with the scope can read every field");
+    t.equals(document.salary, 100, "original document unchanged");
+    t.equals(document.title.permissions, "all", "original embedded document unchanged");
+    t.equals(document.groups[0].group.budget, 1000, "original linked document unchanged");
+    //</editor-fold>
+  });
+
+  t.end();
+});
@@ -22,7 +22,7 @@ test('handler-helper exists and has expected members', function (t) {
   var Log = logger.bind("handler-helper");
   var handlerHelper = require('../utilities/handler-helper');
 
-  t.plan(21);
+  t.plan(39);
   //</editor-fold>
 
   //<editor-fold desc="Assert">
@@ -47,6 +47,24 @@ test('handler-helper exists and has expected members', function (t) {
   t.ok(handlerHelper.removeOneHandler, "handler-helper.removeOneHandler exists.");
   t.ok(handlerHelper.addManyHandler, "handler-helper.addManyHandler exists.");
   t.ok(handlerHelper.getAllHandler, "handler-helper.getAllHandler exists.");
+  t.ok(handlerHelper.aggregate, "handler-helper.aggregate exists.");
+  t.ok(handlerHelper.aggregateHandler, "handler-helper.aggregateHandler exists.");
+  t.ok(handlerHelper.listRevisions, "handler-helper.listRevisions exists.");
+  t.ok(handlerHelper.listRevisionsHandler, "handler-helper.listRevisionsHandler exists.");
+  t.ok(handlerHelper.findRevision, "handler-helper.findRevision exists.");
+  t.ok(handlerHelper.findRevisionHandler, "handler-helper.findRevisionHandler exists.");
+  t.ok(handlerHelper.revert, "handler-helper.revert exists.");
+  t.ok(handlerHelper.revertHandler, "handler-helper.revertHandler exists.");
+  t.ok(handlerHelper.restoreOne, "handler-helper.restoreOne exists.");
+  t.ok(handlerHelper.restoreOneHandler, "handler-helper.restoreOneHandler exists.");
+  t.ok(handlerHelper.restoreMany, "handler-helper.restoreMany exists.");
+  t.ok(handlerHelper.restoreManyHandler, "handler-helper.restoreManyHandler exists.");
+  t.ok(handlerHelper.findScope, "handler-helper.findScope exists.");
+  t.ok(handlerHelper.findScopeHandler, "handler-helper.findScopeHandler exists.");
+  t.ok(handlerHelper.addScope, "handler-helper.addScope exists.");
+  t.ok(handlerHelper.addScopeHandler, "handler-helper.addScopeHandler exists.");
+  t.ok(handlerHelper.removeScope, "handler-helper.removeScope exists.");
+  t.ok(handlerHelper.removeScopeHandler, "handler-helper.removeScopeHandler exists.");
   //</editor-fold>
 });
 
@@ -145,6 +163,59 @@ test('handler-helper.listHandler', function (t) {
         });
       })
 
+      //handler-helper.listHandler excludes soft deleted documents unless requested
+      .then(function () {
+        return t.test('handler-helper.listHandler excludes soft deleted documents unless requested', function (t) {
+          //<editor-fold desc="Arrange">
+          var sandbox = sinon.sandbox.create();
+          var Log = logger.bind("handler-helper");
+          var server = sandbox.spy();
+          var queryHelperStub = sandbox.stub(require('../utilities/query-helper'));
+          var errorHelperStub = sandbox.stub(require('../utilities/error-helper'));
+          var handlerHelper = proxyquire('../utilities/handler-helper', {
+            './query-helper': queryHelperStub,
+            './error-helper': errorHelperStub,
+            '../config': { enableSoftDelete: true }
+          });
+          sandbox.stub(Log, 'error').callsFake(function(){});
+
+          var userSchema = new mongoose.Schema({});
+
+          var userModel = mongoose.model("user", userSchema);
+
+          userModel.find = sandbox.spy(function () {
+            return "TEST"
+          });
+          //</editor-fold>
+
+          //<editor-fold desc="Act">
+          var promises = [
+            handlerHelper.listHandler(userModel, { query: {} }, Log),
+            handlerHelper.listHandler(userModel, { query: { $onlyDeleted: true } }, Log),
+            handlerHelper.listHandler(userModel, { query: { $includeDeleted: true } }, Log),
+            handlerHelper.listHandler(userModel, { query: { isDeleted: "true" } }, Log)
+          ];
+          //</editor-fold>
+
+          //<editor-fold desc="Assert">
+          return Q.allSettled(promises).then(function () {
+            t.deepEqual(queryHelperStub.createMongooseQuery.args[0][1], { isDeleted: { $ne: true } }, "deleted documents excluded");
+            t.deepEqual(queryHelperStub.createMongooseQuery.args[1][1], { isDeleted: true }, "only deleted documents included");
+            t.deepEqual(queryHelperStub.createMongooseQuery.args[2][1], {}, "deleted documents included");
+            t.deepEqual(queryHelperStub.createMongooseQuery.args[3][1], { isDeleted: "true" }, "explicit isDeleted query kept");
+          })
+          //</editor-fold>
+
+          //<editor-fold desc="Restore">
+              .then(function () {
+                sandbox.restore();
+                delete mongoose.models.user;
+                delete mongoose.modelSchemas.user;
+              });
+          //</editor-fold>
+        });
+      })
+
       //handler-helper.listHandler calls mongooseQuery.count
       .then(function () {
         return t.test('handler-helper.listHandler calls mongooseQuery.count', function (t) {
@@ -623,6 +694,197 @@ test('handler-helper.listHandler', function (t) {
         });
       })
 
+      //handler-helper.listHandler returns cursor pagination data
+      .then(function () {
+        return t.test('handler-helper.listHandler returns cursor pagination data', function (t) {
+          //<editor-fold desc="Arrange">
+          var sandbox = sinon.sandbox.create();
+          var Log = logger.bind("handler-helper");
+
+          var deferred = Q.defer();
+          var result = ["TEST1", "TEST2", "TEST3"];
+          var countSpy = sandbox.spy(function () {
+            return Q.when(12)
+          });
+          var mongooseQuery1 = {count: countSpy};
+          var mongooseQuery2 = {
+            lean: function () {
+              return mongooseQuery1
+            }
+          };
+          var queryHelperStub = sandbox.stub(require('../utilities/query-helper'));
+          queryHelperStub.createMongooseQuery = function () {
+            return mongooseQuery2
+          };
+          deferred.resolve(result);
+          var execSpy = sandbox.spy(function () {
+            return deferred.promise
+          });
+          queryHelperStub.paginate = sandbox.spy(function () {
+            return {exec: execSpy}
+          });
+          var pages = { next: "next", previous: "previous", hasNext: true, hasPrev: true };
+          queryHelperStub.createCursorPages = sandbox.spy(function () {
+            return { docs: ["TEST1", "TEST2"], pages: pages }
+          });
+
+          var errorHelperStub = sandbox.stub(require('../utilities/error-helper'));
+          var handlerHelper = proxyquire('../utilities/handler-helper', {
+            './query-helper': queryHelperStub,
+            './error-helper': errorHelperStub
+          });
+          sandbox.stub(Log, 'error').callsFake(function(){});
+
+          var userSchema = new mongoose.Schema({});
+
+          var userModel = mongoose.model("user", userSchema);
+
+          userModel.find = sandbox.spy();
+
+          var query = {$after: "cursor", $limit: 2};
+          var request = { query: query };
+          //</editor-fold>
+
+          //<editor-fold desc="Act">
+          var promise = handlerHelper.listHandler(userModel, request, Log);
+          //</editor-fold>
+
+          //<editor-fold desc="Assert">
+          return promise.then(function (result) {
+            t.ok(queryHelperStub.createCursorPages.calledWith(sinon.match({$after: "cursor"}), sinon.match.any, ["TEST1", "TEST2", "TEST3"]), "createCursorPages called");
+            t.deepEqual(result.docs, ["TEST1", "TEST2"], "returns trimmed docs");
+            t.deepEqual(result.pages, pages, "returns cursor pages data");
+            t.deepEqual(result.items, {limit: 2, total: 12}, "returns items data");
+          })
+          //</editor-fold>
+
+
+          //<editor-fold desc="Restore">
+              .then(function () {
+                sandbox.restore();
+                delete mongoose.models.user;
+                delete mongoose.modelSchemas.user;
+              });
+          //</editor-fold>
+        });
+      })
+
+      //handler-helper.listHandler resolves association queries before creating the mongoose query
+      .then(function () {
+        return t.test('handler-helper.listHandler resolves association queries before creating the mongoose query', function (t) {
+          //<editor-fold desc="Arrange">
+          var sandbox = sinon.sandbox.create();
+          var Log = logger.bind("handler-helper");
+
+          var queryHelperStub = sandbox.stub(require('../utilities/query-helper'));
+          queryHelperStub.setAssociationFilters = sandbox.spy(function (model, query) {
+            query.$where = { role: { $in: ["roleId"] } };
+            delete query["role.name"];
+            return Q.when(query);
+          });
+          queryHelperStub.createMongooseQuery = sandbox.spy(function () {
+            return { lean: function () { return { exec: function () { return Q.when(3) } } } }
+          });
+          var handlerHelper = proxyquire('../utilities/handler-helper', {
+            './query-helper': queryHelperStub
+          });
+
+          var userSchema = new mongoose.Schema({});
+
+          var userModel = mongoose.model("user", userSchema);
+
+          userModel.count = sandbox.spy();
+
+          var request = { query: { "role.name": "Admin", $count: true } };
+
+          var config = require('../config');
+          var enableSoftDelete = config.enableSoftDelete;
+          config.enableSoftDelete = true;
+          //</editor-fold>
+
+          //<editor-fold desc="Act">
+          var promise = handlerHelper.listHandler(userModel, request, Log);
+          //</editor-fold>
+
+          //<editor-fold desc="Assert">
+          return promise.then(function (result) {
+            var getReadFilter = queryHelperStub.setAssociationFilters.firstCall.args[2];
+            t.ok(queryHelperStub.setAssociationFilters.calledWith(userModel, sinon.match.object, sinon.match.func, Log), "setAssociationFilters called");
+            t.deepEqual(getReadFilter(userModel), { isDeleted: { $ne: true } }, "associated documents filtered like listed documents");
+            t.ok(queryHelperStub.setAssociationFilters.calledBefore(queryHelperStub.createMongooseQuery), "setAssociationFilters called before createMongooseQuery");
+            t.ok(queryHelperStub.createMongooseQuery.calledWith(userModel, sinon.match({ $where: { role: { $in: ["roleId"] } } })), "createMongooseQuery called with resolved query");
+            t.equal(result, 3, "returns count");
+          })
+          //</editor-fold>
+
+          //<editor-fold desc="Restore">
+              .then(function () {
+                config.enableSoftDelete = enableSoftDelete;
+                sandbox.restore();
+                delete mongoose.models.user;
+                delete mongoose.modelSchemas.user;
+              });
+          //</editor-fold>
+        });
+      })
+
+      //handler-helper.listHandler streams exported results
+      .then(function () {
+        return t.test('handler-helper.listHandler streams exported results', function (t) {
+          //<editor-fold desc="Arrange">
+          var sandbox = sinon.sandbox.create();
+          var Log = logger.bind("handler-helper");
+
+          var mongooseQuery = { lean: sandbox.spy(function () { return mongooseQuery }), count: sandbox.spy() };
+          var queryHelperStub = sandbox.stub(require('../utilities/query-helper'));
+          queryHelperStub.createMongooseQuery = sandbox.spy(function () {
+            return mongooseQuery
+          });
+          queryHelperStub.paginate = sandbox.spy(function () {
+            return mongooseQuery
+          });
+          var exportHelperStub = sandbox.stub(require('../utilities/export-helper'));
+          exportHelperStub.getExportFormat.returns("csv");
+          exportHelperStub.getColumns.returns(["email"]);
+          exportHelperStub.createExportStream.returns("TEST");
+          var handlerHelper = proxyquire('../utilities/handler-helper', {
+            './query-helper': queryHelperStub,
+            './export-helper': exportHelperStub
+          });
+
+          var userSchema = new mongoose.Schema({});
+
+          var userModel = mongoose.model("user", userSchema);
+
+          userModel.find = sandbox.spy();
+
+          var request = { query: { $format: "csv", $after: "", $sort: "email" }, headers: {} };
+          //</editor-fold>
+
+          //<editor-fold desc="Act">
+          var promise = handlerHelper.listHandler(userModel, request, Log);
+          //</editor-fold>
+
+          //<editor-fold desc="Assert">
+          return promise.then(function (result) {
+            t.ok(exportHelperStub.getExportFormat.calledWith(sinon.match.object, request.headers), "getExportFormat called");
+            t.ok(queryHelperStub.createMongooseQuery.calledWith(userModel, { $sort: "email" }), "createMongooseQuery called without export or cursor parameters");
+            t.notOk(mongooseQuery.count.called, "count not called");
+            t.ok(exportHelperStub.createExportStream.calledWith(userModel, mongooseQuery, "csv", ["email"], sinon.match.func, Log), "createExportStream called");
+            t.equal(result, "TEST", "returns export stream");
+          })
+          //</editor-fold>
+
+          //<editor-fold desc="Restore">
+              .then(function () {
+                sandbox.restore();
+                delete mongoose.models.user;
+                delete mongoose.modelSchemas.user;
+              });
+          //</editor-fold>
+        });
+      })
+
       //handler-helper.listHandler throws a generic postprocessing error
       .then(function () {
         return t.test('handler-helper.listHandler throws a generic postprocessing error', function (t) {
@@ -991,51 +1253,56 @@ test('handler-helper.listHandler', function (t) {
               });
           //</editor-fold>
         });
-      });
-
-});
-
-test('handler-helper.findHandler', function(t) {
-
-  return Q.when()
+      })
 
-  //handler-helper.findHandler calls model.findOne()
-      .then(function() {
-        return t.test('handler-helper.findHandler calls model.findOne()', function (t) {
+      //handler-helper.listHandler returns cached results for models with routeOptions.cache
+      .then(function () {
+        return t.test('handler-helper.listHandler returns cached results for models with routeOptions.cache', function (t) {
           //<editor-fold desc="Arrange">
           var sandbox = sinon.sandbox.create();
           var Log = logger.bind("handler-helper");
-          var server = sandbox.spy();
           var queryHelperStub = sandbox.stub(require('../utilities/query-helper'));
-          var errorHelperStub = sandbox.stub(require('../utilities/error-helper'));
+          var cacheHelper = require('../utilities/cache-helper');
+          var cacheHelperStub = {
+            isEnabled: cacheHelper.isEnabled,
+            fetch: sandbox.spy(function () {
+              return Q.when({ docs: ["CACHED"] });
+            })
+          };
+
           var handlerHelper = proxyquire('../utilities/handler-helper', {
             './query-helper': queryHelperStub,
-            './error-helper': errorHelperStub
+            './cache-helper': cacheHelperStub
           });
-          sandbox.stub(Log, 'error').callsFake(function(){});
 
           var userSchema = new mongoose.Schema({});
+          userSchema.statics = {
+            routeOptions: {
+              cache: true
+            }
+          };
 
           var userModel = mongoose.model("user", userSchema);
+          userModel.find = sandbox.spy();
 
-          userModel.findOne = sandbox.spy();
-
-          var request = { params: { _id: "TEST" }};
+          var request = { query: { name: "test" } };
           //</editor-fold>
 
           //<editor-fold desc="Act">
-          var promise = handlerHelper.findHandler(userModel, "TEST", request, Log);
+          var promise = handlerHelper.listHandler(userModel, request, Log);
           //</editor-fold>
 
           //<editor-fold desc="Assert">
-          return promise.then(function(){
-            t.ok(userModel.findOne.calledWithExactly({ _id: "TEST" }), "findOne called");
+          return promise.then(function (result) {
+            t.ok(cacheHelperStub.fetch.calledWith(userModel, "list", null, request), "cacheHelper.fetch called");
+            t.deepEqual(result, { docs: ["CACHED"] }, "cached result returned");
+            t.notOk(userModel.find.called, "database not queried");
           })
           //</editor-fold>
 
 
           //<editor-fold desc="Restore">
-              .then(function(){
+              .then(function () {
                 sandbox.restore();
                 delete mongoose.models.user;
                 delete mongoose.modelSchemas.user;
@@ -1044,30 +1311,167 @@ test('handler-helper.findHandler', function(t) {
         });
       })
 
-      //handler-helper.findHandler calls QueryHelper.createMongooseQuery
-      .then(function() {
-        return t.test('handler-helper.findHandler calls QueryHelper.createMongooseQuery', function (t) {
+      //handler-helper.listHandler removes MANY_MANY entries whose embedded documents didn't match the populate conditions
+      .then(function () {
+        return t.test('handler-helper.listHandler removes MANY_MANY entries whose embedded documents didn\'t match the populate conditions', function (t) {
           //<editor-fold desc="Arrange">
           var sandbox = sinon.sandbox.create();
           var Log = logger.bind("handler-helper");
-          var server = sandbox.spy();
+
+          var mongooseQuery1 = {
+            count: sandbox.spy(function () {
+              return Q.when(1)
+            })
+          };
+          var mongooseQuery2 = {
+            lean: function () {
+              return mongooseQuery1
+            }
+          };
           var queryHelperStub = sandbox.stub(require('../utilities/query-helper'));
-          var errorHelperStub = sandbox.stub(require('../utilities/error-helper'));
+          queryHelperStub.createMongooseQuery = function () {
+            return mongooseQuery2
+          };
+          var result = [{
+            _id: "user1",
+            groups: [
+              { _id: "link1", group: { _id: "group1", permissions: [{ permission: null }, { permission: { _id: "permission1" } }] } },
+              { _id: "link2", group: null }
+            ]
+          }];
+          queryHelperStub.paginate = function () {
+            return {
+              exec: function () {
+                return Q.when(result)
+              }
+            }
+          };
+
           var handlerHelper = proxyquire('../utilities/handler-helper', {
-            './query-helper': queryHelperStub,
-            './error-helper': errorHelperStub
+            './query-helper': queryHelperStub
           });
-          sandbox.stub(Log, 'error').callsFake(function(){});
+
+          var groupModel = {
+            routeOptions: {
+              associations: {
+                permissions: { type: "MANY_MANY", model: "permission", include: { model: { routeOptions: {} } } }
+              }
+            }
+          };
 
           var userSchema = new mongoose.Schema({});
+          userSchema.statics = {
+            routeOptions: {
+              associations: {
+                groups: { type: "MANY_MANY", model: "group", include: { model: groupModel } }
+              }
+            }
+          };
 
           var userModel = mongoose.model("user", userSchema);
+          userModel.find = sandbox.spy();
 
-          userModel.findOne = sandbox.spy(function (){
-            return "TEST";
-          });
-
-          var request = { query: {}, params: { _id: "TEST" } };
+          var request = { query: { $embed: ["groups.permissions"] } };
+          //</editor-fold>
+
+          //<editor-fold desc="Act">
+          var promise = handlerHelper.listHandler(userModel, request, Log);
+          //</editor-fold>
+
+          //<editor-fold desc="Assert">
+          return promise.then(function (result) {
+            t.deepEqual(result.docs[0].groups, [
+              { _id: "link1", group: { _id: "group1", permissions: [{ permission: { _id: "permission1" } }] } }
+            ], "unmatched entries removed at every level");
+          })
+          //</editor-fold>
+
+
+          //<editor-fold desc="Restore">
+              .then(function () {
+                sandbox.restore();
+                delete mongoose.models.user;
+                delete mongoose.modelSchemas.user;
+              });
+          //</editor-fold>
+        });
+      });
+
+});
+
+test('handler-helper.findHandler', function(t) {
+
+  return Q.when()
+
+  //handler-helper.findHandler calls model.findOne()
+      .then(function() {
+        return t.test('handler-helper.findHandler calls model.findOne()', function (t) {
+          //<editor-fold desc="Arrange">
+          var sandbox = sinon.sandbox.create();
+          var Log = logger.bind("handler-helper");
+          var server = sandbox.spy();
+          var queryHelperStub = sandbox.stub(require('../utilities/query-helper'));
+          var errorHelperStub = sandbox.stub(require('../utilities/error-helper'));
+          var handlerHelper = proxyquire('../utilities/handler-helper', {
+            './query-helper': queryHelperStub,
+            './error-helper': errorHelperStub
+          });
+          sandbox.stub(Log, 'error').callsFake(function(){});
+
+          var userSchema = new mongoose.Schema({});
+
+          var userModel = mongoose.model("user", userSchema);
+
+          userModel.findOne = sandbox.spy();
+
+          var request = { params: { _id: "TEST" }};
+          //</editor-fold>
+
+          //<editor-fold desc="Act">
+          var promise = handlerHelper.findHandler(userModel, "TEST", request, Log);
+          //</editor-fold>
+
+          //<editor-fold desc="Assert">
+          return promise.then(function(){
+            t.ok(userModel.findOne.calledWithExactly({ _id: "TEST" }), "findOne called");
+          })
+          //</editor-fold>
+
+
+          //<editor-fold desc="Restore">
+              .then(function(){
+                sandbox.restore();
+                delete mongoose.models.user;
+                delete mongoose.modelSchemas.user;
+              });
+          //</editor-fold>
+        });
+      })
+
+      //handler-helper.findHandler calls QueryHelper.createMongooseQuery
+      .then(function() {
+        return t.test('handler-helper.findHandler calls QueryHelper.createMongooseQuery', function (t) {
+          //<editor-fold desc="Arrange">
+          var sandbox = sinon.sandbox.create();
+          var Log = logger.bind("handler-helper");
+          var server = sandbox.spy();
+          var queryHelperStub = sandbox.stub(require('../utilities/query-helper'));
+          var errorHelperStub = sandbox.stub(require('../utilities/error-helper'));
+          var handlerHelper = proxyquire('../utilities/handler-helper', {
+            './query-helper': queryHelperStub,
+            './error-helper': errorHelperStub
+          });
+          sandbox.stub(Log, 'error').callsFake(function(){});
+
+          var userSchema = new mongoose.Schema({});
+
+          var userModel = mongoose.model("user", userSchema);
+
+          userModel.findOne = sandbox.spy(function (){
+            return "TEST";
+          });
+
+          var request = { query: {}, params: { _id: "TEST" } };
           //</editor-fold>
 
           //<editor-fold desc="Act">
@@ -2074,6 +2478,57 @@ test('handler-helper.createHandler', function(t) {
         });
       })
 
+      //handler-helper.createHandler returns documents in the same order as the payload
+      .then(function() {
+        return t.test('handler-helper.createHandler returns documents in the same order as the payload', function (t) {
+          //<editor-fold desc="Arrange">
+          var sandbox = sinon.sandbox.create();
+          var Log = logger.bind("handler-helper");
+          var queryHelperStub = sandbox.stub(require('../utilities/query-helper'));
+          queryHelperStub.createAttributesFilter = function(){ return "attributes" };
+          var handlerHelper = proxyquire('../utilities/handler-helper', {
+            './query-helper': queryHelperStub
+          });
+          sandbox.stub(Log, 'error').callsFake(function(){});
+
+          var userSchema = new mongoose.Schema({});
+
+          var userModel = mongoose.model("user", userSchema);
+          userModel.create = sandbox.spy(function(){ return Q.when([{ _id: "1" }, { _id: "2" }, { _id: "3" }]) });
+
+          var payload = [{ name: "1" }, { name: "2" }, { name: "3" }];
+
+          var findExec = function(){
+            return Q.when([{ _id: "3" }, { _id: "1" }, { _id: "2" }]);
+          };
+
+          userModel.find = sandbox.spy(function(){
+            return { where: function(){ return { select: function(){ return { lean: function(){ return { exec: findExec } } } } } } };
+          });
+
+          var request = { query: {}, payload: payload };
+          //</editor-fold>
+
+          //<editor-fold desc="Act">
+          var promise = handlerHelper.createHandler(userModel, request, Log);
+          //</editor-fold>
+
+          //<editor-fold desc="Assert">
+          return promise.then(function(result) {
+            t.deepEqual(result, [{ _id: "1" }, { _id: "2" }, { _id: "3" }], "returned documents in order");
+          })
+          //</editor-fold>
+
+          //<editor-fold desc="Restore">
+              .then(function(){
+                sandbox.restore();
+                delete mongoose.models.user;
+                delete mongoose.modelSchemas.user;
+              });
+          //</editor-fold>
+        });
+      })
+
       //handler-helper.createHandler throws a generic postprocessing error
       .then(function() {
         return t.test('handler-helper.createHandler throws a generic postprocessing error', function (t) {
@@ -2418,52 +2873,72 @@ test('handler-helper.createHandler', function(t) {
         });
       })
 
-});
-
-test('handler-helper.deleteOneHandler', function(t) {
-
-  return Q.when()
-
-      //handler-helper.deleteOneHandler calls pre processing if it exists
+      //handler-helper.createHandler creates the documents within a transaction if enabled
       .then(function() {
-        return t.test('handler-helper.deleteOneHandler calls pre processing if it exists', function (t) {
+        return t.test('handler-helper.createHandler creates the documents within a transaction if enabled', function (t) {
           //<editor-fold desc="Arrange">
           var sandbox = sinon.sandbox.create();
           var Log = logger.bind("handler-helper");
-          var server = sandbox.spy();
+          var queryHelperStub = sandbox.stub(require('../utilities/query-helper'));
+          queryHelperStub.createAttributesFilter = function(){ return "attributes" };
+          var transactionHelper = proxyquire('../utilities/transaction-helper', {
+            '../config': { enableTransactions: true }
+          });
           var handlerHelper = proxyquire('../utilities/handler-helper', {
+            './query-helper': queryHelperStub,
+            './transaction-helper': transactionHelper
           });
-          sandbox.stub(Log, 'error').callsFake(function(){});
+
+          var session = {
+            startTransaction: sandbox.spy(),
+            commitTransaction: sandbox.spy(function(){ return Q.when() }),
+            abortTransaction: sandbox.spy(function(){ return Q.when() }),
+            endSession: sandbox.spy()
+          };
 
           var userSchema = new mongoose.Schema({});
-          var preDeferred = Q.defer();
-          var preSpy = sandbox.spy(function() {
-            preDeferred.resolve() ;
+          var preSpy = sandbox.spy(function(payload, request) {
+            t.equals(request.mongooseSession, session, "session passed to create.pre");
+            return payload;
           });
           userSchema.statics = {
             routeOptions: {
-              delete: {
+              create: {
                 pre: preSpy
               }
             }
           };
 
           var userModel = mongoose.model("user", userSchema);
+          userModel.db = { startSession: sandbox.spy(function(){ return Q.when(session) }) };
+          userModel.create = sandbox.spy(function(){ return Q.when([{ _id: "TEST1" }, { _id: "TEST2" }]) });
+
+          var findQuery = {
+            where: function(){ return findQuery },
+            select: function(){ return findQuery },
+            lean: function(){ return findQuery },
+            session: sandbox.spy(function(){ return findQuery }),
+            exec: function(){ return Q.when([{ _id: "TEST1" }, { _id: "TEST2" }]) }
+          };
+          userModel.find = sandbox.spy(function(){ return findQuery });
 
-          sandbox.stub(userModel, 'findByIdAndRemove').callsFake(function(){
-            return Q.when("DELETED")
-          });
+          var request = { query: {}, payload: [{ field: "value1" }, { field: "value2" }] };
 
-          var request = { query: {} };
+          t.plan(8);
           //</editor-fold>
 
           //<editor-fold desc="Act">
-          handlerHelper.deleteOneHandler(userModel, "_id", false, request, Log);
+          var promise = handlerHelper.createHandler(userModel, request, Log);
           //</editor-fold>
 
           //<editor-fold desc="Assert">
-          return preDeferred.promise.then(function() {
-            t.ok(preSpy.calledWithExactly("_id", false, request, Log), "delete.pre called");
+          return promise.then(function(result) {
+            t.deepEqual(result, [{ _id: "TEST1" }, { _id: "TEST2" }], "documents returned");
+            t.ok(session.startTransaction.calledOnce, "transaction started");
+            t.ok(userModel.create.calledWithExactly([sinon.match.object, sinon.match.object], { session: session }), "documents created within the transaction");
+            t.ok(findQuery.session.calledWithExactly(session), "documents queried within the transaction");
+            t.ok(session.commitTransaction.calledOnce && session.endSession.calledOnce, "transaction committed");
+            t.notOk(request.mongooseSession, "session removed from the request");
           })
           //</editor-fold>
 
@@ -2477,35 +2952,51 @@ test('handler-helper.deleteOneHandler', function(t) {
         });
       })
 
-      //handler-helper.deleteOneHandler calls model.findByIdAndRemove
+      //handler-helper.createHandler aborts the transaction if an error occurs
       .then(function() {
-        return t.test('handler-helper.deleteOneHandler calls model.findByIdAndRemove', function (t) {
+        return t.test('handler-helper.createHandler aborts the transaction if an error occurs', function (t) {
           //<editor-fold desc="Arrange">
           var sandbox = sinon.sandbox.create();
           var Log = logger.bind("handler-helper");
-          var server = sandbox.spy();
+          var queryHelperStub = sandbox.stub(require('../utilities/query-helper'));
+          queryHelperStub.createAttributesFilter = function(){ return "attributes" };
+          var transactionHelper = proxyquire('../utilities/transaction-helper', {
+            '../config': { enableTransactions: true }
+          });
           var handlerHelper = proxyquire('../utilities/handler-helper', {
+            './query-helper': queryHelperStub,
+            './transaction-helper': transactionHelper
           });
           sandbox.stub(Log, 'error').callsFake(function(){});
 
+          var session = {
+            startTransaction: sandbox.spy(),
+            commitTransaction: sandbox.spy(function(){ return Q.when() }),
+            abortTransaction: sandbox.spy(function(){ return Q.when() }),
+            endSession: sandbox.spy()
+          };
+
           var userSchema = new mongoose.Schema({});
 
           var userModel = mongoose.model("user", userSchema);
-          var deferred = Q.defer();
-          sandbox.stub(userModel, 'findByIdAndRemove').callsFake(function(){
-            return deferred.resolve("DELETED")
-          });
+          userModel.db = { startSession: function(){ return Q.when(session) } };
+          userModel.create = sandbox.spy(function(){ return Q.reject({ code: 11000 }) });
 
-          var request = { query: {}, params: { _id: "TEST" } };
+          var request = { query: {}, payload: [{ field: "value1" }, { field: "value1" }] };
+
+          t.plan(4);
           //</editor-fold>
 
           //<editor-fold desc="Act">
-          handlerHelper.deleteOneHandler(userModel, "TEST", false, request, Log);
+          var promise = handlerHelper.createHandler(userModel, request, Log);
           //</editor-fold>
 
           //<editor-fold desc="Assert">
-          return deferred.promise.then(function() {
-            t.ok(userModel.findByIdAndRemove.calledWithExactly("TEST"), "model.findByIdAndRemove called");
+          return promise.catch(function(error) {
+            t.equals(error.message, "There was a duplicate key error.", "create error returned");
+            t.ok(session.abortTransaction.calledOnce, "transaction aborted");
+            t.notOk(session.commitTransaction.called, "transaction not committed");
+            t.ok(session.endSession.calledOnce, "session ended");
           })
           //</editor-fold>
 
@@ -2519,78 +3010,324 @@ test('handler-helper.deleteOneHandler', function(t) {
         });
       })
 
-      //handler-helper.deleteOneHandler calls model.findByIdAndUpdate when enableSoftDelete
+      //handler-helper.createHandler emits a created event for each document
       .then(function() {
-        return t.test('handler-helper.deleteOneHandler calls model.findByIdAndUpdate when enableSoftDelete', function (t) {
+        return t.test('handler-helper.createHandler emits a created event for each document', function (t) {
           //<editor-fold desc="Arrange">
           var sandbox = sinon.sandbox.create();
           var Log = logger.bind("handler-helper");
-          var server = sandbox.spy();
-          var config = { enableSoftDelete: true };
+          var queryHelperStub = sandbox.stub(require('../utilities/query-helper'));
+          queryHelperStub.createAttributesFilter = function(){ return "attributes" };
           var handlerHelper = proxyquire('../utilities/handler-helper', {
-            '../config': config
+            './query-helper': queryHelperStub
           });
-          sandbox.stub(Log, 'error').callsFake(function(){});
+          var events = require('../utilities/event-helper').events;
 
           var userSchema = new mongoose.Schema({});
 
           var userModel = mongoose.model("user", userSchema);
-          var deferred = Q.defer();
-          sandbox.stub(userModel, 'findByIdAndUpdate').callsFake(function(){
-            return deferred.resolve("DELETED")
+          userModel.create = sandbox.spy(function(){ return Q.when([{ _id: "TEST1" }, { _id: "TEST2" }]) });
+          userModel.find = sandbox.spy(function(){
+            return {
+              where: function(){
+                return {
+                  select: function(){
+                    return {
+                      lean: function(){
+                        return {
+                          exec: function(){
+                            return Q.when([{ _id: "TEST1" }, { _id: "TEST2" }]);
+                          }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
           });
 
-          var request = { query: {}, params: { _id: "TEST" } };
+          var listener = sandbox.spy();
+          events.on("user.created", listener);
+
+          var credentials = { user: { _id: "USER" } };
+          var request = { query: {}, payload: [{ field: "value1" }, { field: "value2" }], auth: { credentials: credentials } };
+
+          t.plan(3);
           //</editor-fold>
 
           //<editor-fold desc="Act">
-          handlerHelper.deleteOneHandler(userModel, "TEST", false, request, Log);
+          var promise = handlerHelper.createHandler(userModel, request, Log);
           //</editor-fold>
 
           //<editor-fold desc="Assert">
-          return deferred.promise.then(function() {
-              t.ok(userModel.findByIdAndUpdate.calledWithExactly("TEST", sinon.match({ isDeleted: true }), { new: true, runValidators: false }), "model.findByIdAndUpdate called");
-            })
-            //</editor-fold>
+          return promise.then(function(result) {
+            t.ok(listener.calledTwice, "event emitted for each document");
+            t.deepEqual(listener.args[0][0], {
+              event: "user.created",
+              model: "user",
+              credentials: credentials,
+              document: { _id: "TEST1" }
+            }, "event contains the document");
+            t.deepEqual(listener.args[1][0].document, { _id: "TEST2" }, "second event contains the second document");
+          })
+          //</editor-fold>
 
-            //<editor-fold desc="Restore">
-            .then(function(){
-              sandbox.restore();
-              delete mongoose.models.user;
-              delete mongoose.modelSchemas.user;
-            });
+          //<editor-fold desc="Restore">
+              .then(function(){
+                events.removeListener("user.created", listener);
+                sandbox.restore();
+                delete mongoose.models.user;
+                delete mongoose.modelSchemas.user;
+              });
           //</editor-fold>
         });
       })
 
-      //handler-helper.deleteOneHandler calls create.post if it exists
+      //handler-helper.createHandler emits events once the transaction is committed
       .then(function() {
-        return t.test('handler-helper.deleteOneHandler calls delete.post if it exists', function (t) {
+        return t.test('handler-helper.createHandler emits events once the transaction is committed', function (t) {
           //<editor-fold desc="Arrange">
           var sandbox = sinon.sandbox.create();
           var Log = logger.bind("handler-helper");
-          var server = sandbox.spy();
+          var queryHelperStub = sandbox.stub(require('../utilities/query-helper'));
+          queryHelperStub.createAttributesFilter = function(){ return "attributes" };
+          var transactionHelper = proxyquire('../utilities/transaction-helper', {
+            '../config': { enableTransactions: true }
+          });
           var handlerHelper = proxyquire('../utilities/handler-helper', {
+            './query-helper': queryHelperStub,
+            './transaction-helper': transactionHelper
           });
-          sandbox.stub(Log, 'error').callsFake(function(){});
+          var events = require('../utilities/event-helper').events;
+
+          var listener = sandbox.spy();
+          events.on("user.created", listener);
+
+          var session = {
+            startTransaction: sandbox.spy(),
+            commitTransaction: sandbox.spy(function(){
+              t.notOk(listener.called, "event not emitted before the commit");
+              return Q.when();
+            }),
+            abortTransaction: sandbox.spy(function(){ return Q.when() }),
+            endSession: sandbox.spy()
+          };
 
           var userSchema = new mongoose.Schema({});
-          var deferred = Q.defer();
-          var postSpy = sandbox.spy(function(){ return deferred.resolve({}) });
-          userSchema.statics = {
-            routeOptions: {
-              delete: {
-                post: postSpy
-              }
-            }
-          };
 
           var userModel = mongoose.model("user", userSchema);
-          sandbox.stub(userModel, 'findByIdAndRemove').callsFake(function(){
-            return Q.when("DELETED")
-          });
+          userModel.db = { startSession: function(){ return Q.when(session) } };
+          userModel.create = sandbox.spy(function(){ return Q.when([{ _id: "TEST1" }]) });
+
+          var findQuery = {
+            where: function(){ return findQuery },
+            select: function(){ return findQuery },
+            lean: function(){ return findQuery },
+            session: function(){ return findQuery },
+            exec: function(){ return Q.when([{ _id: "TEST1" }]) }
+          };
+          userModel.find = sandbox.spy(function(){ return findQuery });
 
-          var request = { query: {}, params: { _id: "TEST" } };
+          var request = { query: {}, payload: [{ field: "value1" }] };
+
+          t.plan(2);
+          //</editor-fold>
+
+          //<editor-fold desc="Act">
+          var promise = handlerHelper.createHandler(userModel, request, Log);
+          //</editor-fold>
+
+          //<editor-fold desc="Assert">
+          return promise.then(function(result) {
+            t.ok(listener.calledOnce, "event emitted after the commit");
+          })
+          //</editor-fold>
+
+          //<editor-fold desc="Restore">
+              .then(function(){
+                events.removeListener("user.created", listener);
+                sandbox.restore();
+                delete mongoose.models.user;
+                delete mongoose.modelSchemas.user;
+              });
+          //</editor-fold>
+        });
+      })
+
+});
+
+test('handler-helper.deleteOneHandler', function(t) {
+
+  return Q.when()
+
+      //handler-helper.deleteOneHandler calls pre processing if it exists
+      .then(function() {
+        return t.test('handler-helper.deleteOneHandler calls pre processing if it exists', function (t) {
+          //<editor-fold desc="Arrange">
+          var sandbox = sinon.sandbox.create();
+          var Log = logger.bind("handler-helper");
+          var server = sandbox.spy();
+          var handlerHelper = proxyquire('../utilities/handler-helper', {
+          });
+          sandbox.stub(Log, 'error').callsFake(function(){});
+
+          var userSchema = new mongoose.Schema({});
+          var preDeferred = Q.defer();
+          var preSpy = sandbox.spy(function() {
+            preDeferred.resolve() ;
+          });
+          userSchema.statics = {
+            routeOptions: {
+              delete: {
+                pre: preSpy
+              }
+            }
+          };
+
+          var userModel = mongoose.model("user", userSchema);
+
+          sandbox.stub(userModel, 'findByIdAndRemove').callsFake(function(){
+            return Q.when("DELETED")
+          });
+
+          var request = { query: {} };
+          //</editor-fold>
+
+          //<editor-fold desc="Act">
+          handlerHelper.deleteOneHandler(userModel, "_id", false, request, Log);
+          //</editor-fold>
+
+          //<editor-fold desc="Assert">
+          return preDeferred.promise.then(function() {
+            t.ok(preSpy.calledWithExactly("_id", false, request, Log), "delete.pre called");
+          })
+          //</editor-fold>
+
+          //<editor-fold desc="Restore">
+              .then(function(){
+                sandbox.restore();
+                delete mongoose.models.user;
+                delete mongoose.modelSchemas.user;
+              });
+          //</editor-fold>
+        });
+      })
+
+      //handler-helper.deleteOneHandler calls model.findByIdAndRemove
+      .then(function() {
+        return t.test('handler-helper.deleteOneHandler calls model.findByIdAndRemove', function (t) {
+          //<editor-fold desc="Arrange">
+          var sandbox = sinon.sandbox.create();
+          var Log = logger.bind("handler-helper");
+          var server = sandbox.spy();
+          var handlerHelper = proxyquire('../utilities/handler-helper', {
+          });
+          sandbox.stub(Log, 'error').callsFake(function(){});
+
+          var userSchema = new mongoose.Schema({});
+
+          var userModel = mongoose.model("user", userSchema);
+          var deferred = Q.defer();
+          sandbox.stub(userModel, 'findByIdAndRemove').callsFake(function(){
+            return deferred.resolve("DELETED")
+          });
+
+          var request = { query: {}, params: { _id: "TEST" } };
+          //</editor-fold>
+
+          //<editor-fold desc="Act">
+          handlerHelper.deleteOneHandler(userModel, "TEST", false, request, Log);
+          //</editor-fold>
+
+          //<editor-fold desc="Assert">
+          return deferred.promise.then(function() {
+            t.ok(userModel.findByIdAndRemove.calledWithExactly("TEST"), "model.findByIdAndRemove called");
+          })
+          //</editor-fold>
+
+          //<editor-fold desc="Restore">
+              .then(function(){
+                sandbox.restore();
+                delete mongoose.models.user;
+                delete mongoose.modelSchemas.user;
+              });
+          //</editor-fold>
+        });
+      })
+
+      //handler-helper.deleteOneHandler calls model.findByIdAndUpdate when enableSoftDelete
+      .then(function() {
+        return t.test('handler-helper.deleteOneHandler calls model.findByIdAndUpdate when enableSoftDelete', function (t) {
+          //<editor-fold desc="Arrange">
+          var sandbox = sinon.sandbox.create();
+          var Log = logger.bind("handler-helper");
+          var server = sandbox.spy();
+          var config = { enableSoftDelete: true };
+          var handlerHelper = proxyquire('../utilities/handler-helper', {
+            '../config': config
+          });
+          sandbox.stub(Log, 'error').callsFake(function(){});
+
+          var userSchema = new mongoose.Schema({});
+
+          var userModel = mongoose.model("user", userSchema);
+          var deferred = Q.defer();
+          sandbox.stub(userModel, 'findByIdAndUpdate').callsFake(function(){
+            return deferred.resolve("DELETED")
+          });
+
+          var request = { query: {}, params: { _id: "TEST" } };
+          //</editor-fold>
+
+          //<editor-fold desc="Act">
+          handlerHelper.deleteOneHandler(userModel, "TEST", false, request, Log);
+          //</editor-fold>
+
+          //<editor-fold desc="Assert">
+          return deferred.promise.then(function() {
+              t.ok(userModel.findByIdAndUpdate.calledWithExactly("TEST", sinon.match({ isDeleted: true }), { new: true, runValidators: false }), "model.findByIdAndUpdate called");
+            })
+            //</editor-fold>
+
+            //<editor-fold desc="Restore">
+            .then(function(){
+              sandbox.restore();
+              delete mongoose.models.user;
+              delete mongoose.modelSchemas.user;
+            });
+          //</editor-fold>
+        });
+      })
+
+      //handler-helper.deleteOneHandler calls create.post if it exists
+      .then(function() {
+        return t.test('handler-helper.deleteOneHandler calls delete.post if it exists', function (t) {
+          //<editor-fold desc="Arrange">
+          var sandbox = sinon.sandbox.create();
+          var Log = logger.bind("handler-helper");
+          var server = sandbox.spy();
+          var handlerHelper = proxyquire('../utilities/handler-helper', {
+          });
+          sandbox.stub(Log, 'error').callsFake(function(){});
+
+          var userSchema = new mongoose.Schema({});
+          var deferred = Q.defer();
+          var postSpy = sandbox.spy(function(){ return deferred.resolve({}) });
+          userSchema.statics = {
+            routeOptions: {
+              delete: {
+                post: postSpy
+              }
+            }
+          };
+
+          var userModel = mongoose.model("user", userSchema);
+          sandbox.stub(userModel, 'findByIdAndRemove').callsFake(function(){
+            return Q.when("DELETED")
+          });
+
+          var request = { query: {}, params: { _id: "TEST" } };
           //</editor-fold>
 
           //<editor-fold desc="Act">
@@ -2892,41 +3629,813 @@ test('handler-helper.deleteOneHandler', function(t) {
         });
       })
 
-      //handler-helper.deleteOneHandler throws a general processing error
+      //handler-helper.deleteOneHandler throws a conflict error for "restrict" rules
       .then(function() {
-        return t.test('handler-helper.deleteOneHandler throws a general processing error', function (t) {
+        return t.test('handler-helper.deleteOneHandler throws a conflict error for "restrict" rules', function (t) {
           //<editor-fold desc="Arrange">
           var sandbox = sinon.sandbox.create();
           var Log = logger.bind("handler-helper");
           var server = sandbox.spy();
-          var qStub = sandbox.stub(Q, 'when').callsFake(function(){ throw "ERROR" });
-
           var handlerHelper = proxyquire('../utilities/handler-helper', {
-            'q': qStub
+            '../config': { enableSoftDelete: false }
           });
-
           sandbox.stub(Log, 'error').callsFake(function(){});
 
           var userSchema = new mongoose.Schema({});
-
           var userModel = mongoose.model("user", userSchema);
+          userModel.find = sandbox.spy(function(){ return { select: function(){ return { lean: function(){ return Q.when([{ _id: "USER" }]) } } } } });
 
-          sandbox.stub(userModel, 'findByIdAndRemove').callsFake(function(){
-            return Q.when("DELETED")
+          var roleSchema = new mongoose.Schema({});
+          roleSchema.statics = {
+            routeOptions: {
+              associations: {
+                users: { type: "ONE_MANY", model: "user", foreignField: "role", onDelete: "restrict", include: { model: userModel } }
+              }
+            }
+          };
+          var roleModel = mongoose.model("role", roleSchema);
+          roleModel.findOne = sandbox.spy(function(){ return { lean: function(){ return Q.when({ _id: "TEST" }) } } });
+          roleModel.findByIdAndRemove = sandbox.spy();
+
+          var request = { query: {}, params: { _id: "TEST" } };
+          //</editor-fold>
+
+          //<editor-fold desc="Act">
+          var promise = handlerHelper.deleteOneHandler(roleModel, "TEST", true, request, Log);
+          //</editor-fold>
+
+          //<editor-fold desc="Assert">
+          return promise
+              .catch(function(error) {
+                t.ok(userModel.find.calledWithExactly({ role: "TEST" }), "references found");
+                t.equals(error.message, "The resource can't be deleted while it is referenced by: role.users (user: USER).", "threw a conflict error");
+                t.equals(error.type, "Conflict", "error type correct");
+                t.notOk(roleModel.findByIdAndRemove.called, "document not deleted");
+              })
+          //</editor-fold>
+
+          //<editor-fold desc="Restore">
+              .then(function(){
+                sandbox.restore();
+                delete mongoose.models.user;
+                delete mongoose.modelSchemas.user;
+                delete mongoose.models.role;
+                delete mongoose.modelSchemas.role;
+              });
+          //</editor-fold>
+        });
+      })
+
+      //handler-helper.deleteOneHandler sets references to null for "setNull" rules
+      .then(function() {
+        return t.test('handler-helper.deleteOneHandler sets references to null for "setNull" rules', function (t) {
+          //<editor-fold desc="Arrange">
+          var sandbox = sinon.sandbox.create();
+          var Log = logger.bind("handler-helper");
+          var server = sandbox.spy();
+          var handlerHelper = proxyquire('../utilities/handler-helper', {
+            '../config': { enableSoftDelete: false }
           });
+          sandbox.stub(Log, 'error').callsFake(function(){});
+
+          var userSchema = new mongoose.Schema({});
+          var userModel = mongoose.model("user", userSchema);
+          userModel.find = sandbox.spy(function(){ return { select: function(){ return { lean: function(){ return Q.when([{ _id: "USER" }]) } } } } });
+          userModel.update = sandbox.spy(function(){ return Q.when() });
+
+          var roleSchema = new mongoose.Schema({});
+          roleSchema.statics = {
+            routeOptions: {
+              associations: {
+                users: { type: "ONE_MANY", model: "user", foreignField: "role", onDelete: "setNull", include: { model: userModel } }
+              }
+            }
+          };
+          var roleModel = mongoose.model("role", roleSchema);
+          roleModel.findOne = sandbox.spy(function(){ return { lean: function(){ return Q.when({ _id: "TEST" }) } } });
+          roleModel.findByIdAndRemove = sandbox.spy(function(){ return Q.when("DELETED") });
 
           var request = { query: {}, params: { _id: "TEST" } };
           //</editor-fold>
 
           //<editor-fold desc="Act">
-          var promise = handlerHelper.deleteOneHandler(userModel, "TEST", false, request, Log);
+          var promise = handlerHelper.deleteOneHandler(roleModel, "TEST", true, request, Log);
+          //</editor-fold>
+
+          //<editor-fold desc="Assert">
+          return promise
+              .then(function(result) {
+                t.ok(roleModel.findByIdAndRemove.calledWithExactly("TEST"), "document deleted");
+                t.ok(userModel.update.calledWithExactly({ role: "TEST" }, { $set: { role: null } }, { multi: true }), "references set to null");
+                t.equal(result, true, "returned true");
+              })
+          //</editor-fold>
+
+          //<editor-fold desc="Restore">
+              .then(function(){
+                sandbox.restore();
+                delete mongoose.models.user;
+                delete mongoose.modelSchemas.user;
+                delete mongoose.models.role;
+                delete mongoose.modelSchemas.role;
+              });
+          //</editor-fold>
+        });
+      })
+
+      //handler-helper.deleteOneHandler deletes associated documents for "cascade" rules
+      .then(function() {
+        return t.test('handler-helper.deleteOneHandler deletes associated documents for "cascade" rules', function (t) {
+          //<editor-fold desc="Arrange">
+          var sandbox = sinon.sandbox.create();
+          var Log = logger.bind("handler-helper");
+          var server = sandbox.spy();
+          var handlerHelper = proxyquire('../utilities/handler-helper', {
+            '../config': { enableSoftDelete: false, embedAssociations: false }
+          });
+          sandbox.stub(Log, 'error').callsFake(function(){});
+
+          var groupSchema = new mongoose.Schema({});
+          var groupModel = mongoose.model("group", groupSchema);
+          groupModel.find = sandbox.spy(function(){ return { select: function(){ return { lean: function(){ return Q.when([{ _id: "GROUP" }]) } } } } });
+          groupModel.findByIdAndRemove = sandbox.spy(function(){ return Q.when("DELETED") });
+
+          var linkingModel = {
+            find: sandbox.spy(function(){ return { lean: function(){ return Q.when([{ user: "TEST", group: "GROUP" }]) } } }),
+            remove: sandbox.spy(function(){ return Q.when() })
+          };
+
+          var userSchema = new mongoose.Schema({});
+          userSchema.statics = {
+            routeOptions: {
+              associations: {
+                groups: { type: "MANY_MANY", model: "group", onDelete: "cascade", include: { model: groupModel, through: linkingModel } }
+              }
+            }
+          };
+          var userModel = mongoose.model("user", userSchema);
+          userModel.findOne = sandbox.spy(function(){ return { lean: function(){ return Q.when({ _id: "TEST" }) } } });
+          userModel.findByIdAndRemove = sandbox.spy(function(){ return Q.when("DELETED") });
+
+          var request = { query: {}, params: { _id: "TEST" } };
+          //</editor-fold>
+
+          //<editor-fold desc="Act">
+          var promise = handlerHelper.deleteOneHandler(userModel, "TEST", true, request, Log);
+          //</editor-fold>
+
+          //<editor-fold desc="Assert">
+          return promise
+              .then(function(result) {
+                t.ok(userModel.findByIdAndRemove.calledWithExactly("TEST"), "document deleted");
+                t.ok(linkingModel.remove.calledWithExactly({ user: "TEST" }), "links removed");
+                t.ok(groupModel.findByIdAndRemove.calledWithExactly("GROUP"), "associated document deleted");
+                t.equal(result, true, "returned true");
+              })
+          //</editor-fold>
+
+          //<editor-fold desc="Restore">
+              .then(function(){
+                sandbox.restore();
+                delete mongoose.models.user;
+                delete mongoose.modelSchemas.user;
+                delete mongoose.models.group;
+                delete mongoose.modelSchemas.group;
+              });
+          //</editor-fold>
+        });
+      })
+
+      //handler-helper.deleteOneHandler throws a general processing error
+      .then(function() {
+        return t.test('handler-helper.deleteOneHandler throws a general processing error', function (t) {
+          //<editor-fold desc="Arrange">
+          var sandbox = sinon.sandbox.create();
+          var Log = logger.bind("handler-helper");
+          var server = sandbox.spy();
+          var qStub = sandbox.stub(Q, 'when').callsFake(function(){ throw "ERROR" });
+
+          var handlerHelper = proxyquire('../utilities/handler-helper', {
+            'q': qStub
+          });
+
+          sandbox.stub(Log, 'error').callsFake(function(){});
+
+          var userSchema = new mongoose.Schema({});
+
+          var userModel = mongoose.model("user", userSchema);
+
+          sandbox.stub(userModel, 'findByIdAndRemove').callsFake(function(){
+            return Q.when("DELETED")
+          });
+
+          var request = { query: {}, params: { _id: "TEST" } };
+          //</editor-fold>
+
+          //<editor-fold desc="Act">
+          var promise = handlerHelper.deleteOneHandler(userModel, "TEST", false, request, Log);
+          //</editor-fold>
+
+          //<editor-fold desc="Assert">
+          return promise
+              .catch(function(error) {
+                t.equals(error.message, "There was an error processing the request.", "threw a general processing error");
+              })
+          //</editor-fold>
+
+          //<editor-fold desc="Restore">
+              .then(function(){
+                sandbox.restore();
+                delete mongoose.models.user;
+                delete mongoose.modelSchemas.user;
+              });
+          //</editor-fold>
+        });
+      });
+
+});
+
+test('handler-helper.restoreOneHandler', function(t) {
+
+  return Q.when()
+
+  //handler-helper.restoreOneHandler restores a soft deleted document
+      .then(function() {
+        return t.test('handler-helper.restoreOneHandler restores a soft deleted document', function (t) {
+          //<editor-fold desc="Arrange">
+          var sandbox = sinon.sandbox.create();
+          var Log = logger.bind("handler-helper");
+          var server = sandbox.spy();
+          var queryHelperStub = sandbox.stub(require('../utilities/query-helper'));
+          queryHelperStub.createAttributesFilter = function(){ return "attributes" };
+          var handlerHelper = proxyquire('../utilities/handler-helper', {
+            './query-helper': queryHelperStub
+          });
+          sandbox.stub(Log, 'error').callsFake(function(){});
+
+          var userSchema = new mongoose.Schema({});
+          userSchema.statics = {
+            routeOptions: {
+              restore: {
+                post: sandbox.spy(function(request, result){ return result })
+              }
+            }
+          };
+
+          var userModel = mongoose.model("user", userSchema);
+          userModel.findOneAndUpdate = sandbox.spy(function(){ return Q.when({ _id: "TEST" }) });
+          userModel.findOne = sandbox.spy(function(){ return { lean: function(){ return Q.when("RESTORED") } } });
+
+          var request = { query: {}, params: { _id: "TEST" } };
+          //</editor-fold>
+
+          //<editor-fold desc="Act">
+          var promise = handlerHelper.restoreOneHandler(userModel, "TEST", request, Log);
+          //</editor-fold>
+
+          //<editor-fold desc="Assert">
+          return promise.then(function(result) {
+            t.ok(userModel.findOneAndUpdate.calledWithExactly({ _id: "TEST", isDeleted: true }, { isDeleted: false, $unset: { deletedAt: 1, deletedBy: 1 } }, { new: true }), "model.findOneAndUpdate called");
+            t.ok(userModel.findOne.calledWithExactly({ _id: "TEST" }, "attributes"), "model.findOne called");
+            t.ok(userModel.routeOptions.restore.post.calledWithExactly(request, "RESTORED", Log), "restore.post called");
+            t.equal(result, "RESTORED", "returned the restored document");
+          })
+          //</editor-fold>
+
+          //<editor-fold desc="Restore">
+              .then(function(){
+                sandbox.restore();
+                delete mongoose.models.user;
+                delete mongoose.modelSchemas.user;
+              });
+          //</editor-fold>
+        });
+      })
+
+      //handler-helper.restoreOneHandler throws a not found error
+      .then(function() {
+        return t.test('handler-helper.restoreOneHandler throws a not found error', function (t) {
+          //<editor-fold desc="Arrange">
+          var sandbox = sinon.sandbox.create();
+          var Log = logger.bind("handler-helper");
+          var server = sandbox.spy();
+          var handlerHelper = proxyquire('../utilities/handler-helper', {
+          });
+          sandbox.stub(Log, 'error').callsFake(function(){});
+
+          var userSchema = new mongoose.Schema({});
+
+          var userModel = mongoose.model("user", userSchema);
+          userModel.findOneAndUpdate = sandbox.spy(function(){ return Q.when(null) });
+
+          var request = { query: {}, params: { _id: "TEST" } };
+          //</editor-fold>
+
+          //<editor-fold desc="Act">
+          var promise = handlerHelper.restoreOneHandler(userModel, "TEST", request, Log);
+          //</editor-fold>
+
+          //<editor-fold desc="Assert">
+          return promise
+              .catch(function(error) {
+                t.equals(error.message, "No deleted resource was found with that id.", "threw a not found error");
+                t.equals(error.type, "Not Found", "error type correct");
+              })
+          //</editor-fold>
+
+          //<editor-fold desc="Restore">
+              .then(function(){
+                sandbox.restore();
+                delete mongoose.models.user;
+                delete mongoose.modelSchemas.user;
+              });
+          //</editor-fold>
+        });
+      })
+
+      //handler-helper.restoreManyHandler restores each document
+      .then(function() {
+        return t.test('handler-helper.restoreManyHandler restores each document', function (t) {
+          //<editor-fold desc="Arrange">
+          var sandbox = sinon.sandbox.create();
+          var Log = logger.bind("handler-helper");
+          var server = sandbox.spy();
+          var queryHelperStub = sandbox.stub(require('../utilities/query-helper'));
+          var handlerHelper = proxyquire('../utilities/handler-helper', {
+            './query-helper': queryHelperStub
+          });
+          sandbox.stub(Log, 'error').callsFake(function(){});
+
+          var userSchema = new mongoose.Schema({});
+
+          var userModel = mongoose.model("user", userSchema);
+          userModel.findOneAndUpdate = sandbox.spy(function(conditions){ return Q.when({ _id: conditions._id }) });
+          userModel.findOne = sandbox.spy(function(){ return { lean: function(){ return Q.when("RESTORED") } } });
+
+          var request = { payload: ["TEST1", "TEST2"] };
+          //</editor-fold>
+
+          //<editor-fold desc="Act">
+          var promise = handlerHelper.restoreManyHandler(userModel, request, Log);
+          //</editor-fold>
+
+          //<editor-fold desc="Assert">
+          return promise.then(function(result) {
+            t.ok(userModel.findOneAndUpdate.calledWith({ _id: "TEST1", isDeleted: true }), "first document restored");
+            t.ok(userModel.findOneAndUpdate.calledWith({ _id: "TEST2", isDeleted: true }), "second document restored");
+            t.equal(result, true, "returned true");
+          })
+          //</editor-fold>
+
+          //<editor-fold desc="Restore">
+              .then(function(){
+                sandbox.restore();
+                delete mongoose.models.user;
+                delete mongoose.modelSchemas.user;
+              });
+          //</editor-fold>
+        });
+      });
+
+});
+
+test('handler-helper.addScopeHandler', function(t) {
+
+  return Q.when()
+
+  //handler-helper.addScopeHandler adds the scope values to the document scope
+      .then(function() {
+        return t.test('handler-helper.addScopeHandler adds the scope values to the document scope', function (t) {
+          //<editor-fold desc="Arrange">
+          var sandbox = sinon.sandbox.create();
+          var Log = logger.bind("handler-helper");
+          var handlerHelper = require('../utilities/handler-helper');
+          sandbox.stub(Log, 'error').callsFake(function(){});
+
+          var userSchema = new mongoose.Schema({});
+
+          var userModel = mongoose.model("user", userSchema);
+          userModel.findOneAndUpdate = sandbox.spy(function(){ return { select: function(){ return { lean: function(){ return Q.when({ _id: "TEST", scope: { readScope: ["Admin", "User"] } }) } } } } });
+
+          var request = { auth: { credentials: { scope: ["Admin", "User"] } }, params: { _id: "TEST", action: "read" } };
+          //</editor-fold>
+
+          //<editor-fold desc="Act">
+          var promise = handlerHelper.addScopeHandler(userModel, "TEST", "read", ["Admin", "User"], request, Log);
+          //</editor-fold>
+
+          //<editor-fold desc="Assert">
+          return promise.then(function(result) {
+            t.ok(userModel.findOneAndUpdate.calledWithExactly({ _id: "TEST" }, { $addToSet: { 'scope.readScope': { $each: ["Admin", "User"] } } }, { new: true }), "model.findOneAndUpdate called");
+            t.deepEqual(result, { rootScope: [], readScope: ["Admin", "User"], updateScope: [], deleteScope: [], associateScope: [] }, "returned the document scope");
+          })
+          //</editor-fold>
+
+          //<editor-fold desc="Restore">
+              .then(function(){
+                sandbox.restore();
+                delete mongoose.models.user;
+                delete mongoose.modelSchemas.user;
+              });
+          //</editor-fold>
+        });
+      })
+
+      //handler-helper.addScopeHandler throws a forbidden error for scope values the user doesn't hold
+      .then(function() {
+        return t.test('handler-helper.addScopeHandler throws a forbidden error for scope values the user doesn\'t hold', function (t) {
+          //<editor-fold desc="Arrange">
+          var sandbox = sinon.sandbox.create();
+          var Log = logger.bind("handler-helper");
+          var handlerHelper = require('../utilities/handler-helper');
+          sandbox.stub(Log, 'error').callsFake(function(){});
+
+          var userSchema = new mongoose.Schema({});
+
+          var userModel = mongoose.model("user", userSchema);
+          userModel.findOneAndUpdate = sandbox.spy();
+
+          var request = { auth: { credentials: { scope: ["User"] } }, params: { _id: "TEST", action: "update" } };
+          //</editor-fold>
+
+          //<editor-fold desc="Act">
+          var promise = handlerHelper.addScopeHandler(userModel, "TEST", "update", ["User", "Admin"], request, Log);
+          //</editor-fold>
+
+          //<editor-fold desc="Assert">
+          return promise
+              .catch(function(error) {
+                t.equals(error.message, "Insufficient scope to grant: Admin.", "threw a forbidden error");
+                t.equals(error.type, "Forbidden", "error type correct");
+                t.ok(userModel.findOneAndUpdate.notCalled, "document not updated");
+              })
+          //</editor-fold>
+
+          //<editor-fold desc="Restore">
+              .then(function(){
+                sandbox.restore();
+                delete mongoose.models.user;
+                delete mongoose.modelSchemas.user;
+              });
+          //</editor-fold>
+        });
+      })
+
+      //handler-helper.addScopeHandler throws a bad request error for invalid actions
+      .then(function() {
+        return t.test('handler-helper.addScopeHandler throws a bad request error for invalid actions', function (t) {
+          //<editor-fold desc="Arrange">
+          var sandbox = sinon.sandbox.create();
+          var Log = logger.bind("handler-helper");
+          var handlerHelper = require('../utilities/handler-helper');
+          sandbox.stub(Log, 'error').callsFake(function(){});
+
+          var userSchema = new mongoose.Schema({});
+
+          var userModel = mongoose.model("user", userSchema);
+
+          var request = { params: { _id: "TEST", action: "root" } };
+          //</editor-fold>
+
+          //<editor-fold desc="Act">
+          var promise = handlerHelper.addScopeHandler(userModel, "TEST", "root", ["Admin"], request, Log);
+          //</editor-fold>
+
+          //<editor-fold desc="Assert">
+          return promise
+              .catch(function(error) {
+                t.equals(error.message, "The action must be one of: read, update, delete, associate.", "threw a bad request error");
+                t.equals(error.type, "Bad Request", "error type correct");
+              })
+          //</editor-fold>
+
+          //<editor-fold desc="Restore">
+              .then(function(){
+                sandbox.restore();
+                delete mongoose.models.user;
+                delete mongoose.modelSchemas.user;
+              });
+          //</editor-fold>
+        });
+      });
+
+});
+
+test('handler-helper.removeScopeHandler', function(t) {
+
+  return Q.when()
+
+  //handler-helper.removeScopeHandler removes the scope value from the document scope
+      .then(function() {
+        return t.test('handler-helper.removeScopeHandler removes the scope value from the document scope', function (t) {
+          //<editor-fold desc="Arrange">
+          var sandbox = sinon.sandbox.create();
+          var Log = logger.bind("handler-helper");
+          var handlerHelper = require('../utilities/handler-helper');
+          sandbox.stub(Log, 'error').callsFake(function(){});
+
+          var userSchema = new mongoose.Schema({});
+
+          var userModel = mongoose.model("user", userSchema);
+          userModel.findOne = sandbox.spy(function(){ return { select: function(){ return { lean: function(){ return Q.when({ _id: "TEST", scope: { rootScope: ["Admin"], deleteScope: ["User"] } }) } } } } });
+          userModel.findOneAndUpdate = sandbox.spy(function(){ return { select: function(){ return { lean: function(){ return Q.when({ _id: "TEST", scope: { rootScope: ["Admin"] } }) } } } } });
+
+          var request = { auth: { credentials: { scope: [] } }, params: { _id: "TEST", action: "delete", scopeValue: "User" } };
+          //</editor-fold>
+
+          //<editor-fold desc="Act">
+          var promise = handlerHelper.removeScopeHandler(userModel, "TEST", "delete", "User", request, Log);
+          //</editor-fold>
+
+          //<editor-fold desc="Assert">
+          return promise.then(function(result) {
+            t.ok(userModel.findOneAndUpdate.calledWithExactly({ _id: "TEST" }, { $pull: { 'scope.deleteScope': "User" } }, { new: true }), "model.findOneAndUpdate called");
+            t.deepEqual(result, { rootScope: ["Admin"], readScope: [], updateScope: [], deleteScope: [], associateScope: [] }, "returned the document scope");
+          })
+          //</editor-fold>
+
+          //<editor-fold desc="Restore">
+              .then(function(){
+                sandbox.restore();
+                delete mongoose.models.user;
+                delete mongoose.modelSchemas.user;
+              });
+          //</editor-fold>
+        });
+      })
+
+      //handler-helper.removeScopeHandler throws a forbidden error for forbidden scope values the user doesn't hold
+      .then(function() {
+        return t.test('handler-helper.removeScopeHandler throws a forbidden error for forbidden scope values the user doesn\'t hold', function (t) {
+          //<editor-fold desc="Arrange">
+          var sandbox = sinon.sandbox.create();
+          var Log = logger.bind("handler-helper");
+          var handlerHelper = require('../utilities/handler-helper');
+          sandbox.stub(Log, 'error').callsFake(function(){});
+
+          var userSchema = new mongoose.Schema({});
+
+          var userModel = mongoose.model("user", userSchema);
+          userModel.findOne = sandbox.spy(function(){ return { select: function(){ return { lean: function(){ return Q.when({ _id: "TEST", scope: { readScope: ["User", "!Guest"] } }) } } } } });
+          userModel.findOneAndUpdate = sandbox.spy();
+
+          var request = { auth: { credentials: { scope: ["User"] } }, params: { _id: "TEST", action: "read", scopeValue: "!Guest" } };
+          //</editor-fold>
+
+          //<editor-fold desc="Act">
+          var promise = handlerHelper.removeScopeHandler(userModel, "TEST", "read", "!Guest", request, Log);
+          //</editor-fold>
+
+          //<editor-fold desc="Assert">
+          return promise
+              .catch(function(error) {
+                t.equals(error.message, "Insufficient scope to revoke: !Guest.", "threw a forbidden error");
+                t.equals(error.type, "Forbidden", "error type correct");
+                t.ok(userModel.findOneAndUpdate.notCalled, "document not updated");
+              })
+          //</editor-fold>
+
+          //<editor-fold desc="Restore">
+              .then(function(){
+                sandbox.restore();
+                delete mongoose.models.user;
+                delete mongoose.modelSchemas.user;
+              });
+          //</editor-fold>
+        });
+      })
+
+      //handler-helper.removeScopeHandler throws a bad request error for the last scope value of an action
+      .then(function() {
+        return t.test('handler-helper.removeScopeHandler throws a bad request error for the last scope value of an action', function (t) {
+          //<editor-fold desc="Arrange">
+          var sandbox = sinon.sandbox.create();
+          var Log = logger.bind("handler-helper");
+          var handlerHelper = require('../utilities/handler-helper');
+          sandbox.stub(Log, 'error').callsFake(function(){});
+
+          var userSchema = new mongoose.Schema({});
+
+          var userModel = mongoose.model("user", userSchema);
+          userModel.findOne = sandbox.spy(function(){ return { select: function(){ return { lean: function(){ return Q.when({ _id: "TEST", scope: { readScope: ["User"] } }) } } } } });
+          userModel.findOneAndUpdate = sandbox.spy();
+
+          var request = { auth: { credentials: { scope: ["User"] } }, params: { _id: "TEST", action: "read", scopeValue: "User" } };
+          //</editor-fold>
+
+          //<editor-fold desc="Act">
+          var promise = handlerHelper.removeScopeHandler(userModel, "TEST", "read", "User", request, Log);
+          //</editor-fold>
+
+          //<editor-fold desc="Assert">
+          return promise
+              .catch(function(error) {
+                t.equals(error.message, "The last scope value of an action can\'t be revoked, since every user would be authorized.", "threw a bad request error");
+                t.equals(error.type, "Bad Request", "error type correct");
+                t.ok(userModel.findOneAndUpdate.notCalled, "document not updated");
+              })
+          //</editor-fold>
+
+          //<editor-fold desc="Restore">
+              .then(function(){
+                sandbox.restore();
+                delete mongoose.models.user;
+                delete mongoose.modelSchemas.user;
+              });
+          //</editor-fold>
+        });
+      })
+
+      //handler-helper.removeScopeHandler throws a not found error
+      .then(function() {
+        return t.test('handler-helper.removeScopeHandler throws a not found error', function (t) {
+          //<editor-fold desc="Arrange">
+          var sandbox = sinon.sandbox.create();
+          var Log = logger.bind("handler-helper");
+          var handlerHelper = require('../utilities/handler-helper');
+          sandbox.stub(Log, 'error').callsFake(function(){});
+
+          var userSchema = new mongoose.Schema({});
+
+          var userModel = mongoose.model("user", userSchema);
+          userModel.findOne = sandbox.spy(function(){ return { select: function(){ return { lean: function(){ return Q.when(null) } } } } });
+          userModel.findOneAndUpdate = sandbox.spy();
+
+          var request = { params: { _id: "TEST", action: "read", scopeValue: "User" } };
+          //</editor-fold>
+
+          //<editor-fold desc="Act">
+          var promise = handlerHelper.removeScopeHandler(userModel, "TEST", "read", "User", request, Log);
+          //</editor-fold>
+
+          //<editor-fold desc="Assert">
+          return promise
+              .catch(function(error) {
+                t.equals(error.message, "No resource was found with that id.", "threw a not found error");
+                t.equals(error.type, "Not Found", "error type correct");
+              })
+          //</editor-fold>
+
+          //<editor-fold desc="Restore">
+              .then(function(){
+                sandbox.restore();
+                delete mongoose.models.user;
+                delete mongoose.modelSchemas.user;
+              });
+          //</editor-fold>
+        });
+      });
+
+});
+
+test('handler-helper.findRevisionHandler', function(t) {
+
+  return Q.when()
+
+  //handler-helper.findRevisionHandler returns the revision and its differences from the current document
+      .then(function() {
+        return t.test('handler-helper.findRevisionHandler returns the revision and its differences from the current document', function (t) {
+          //<editor-fold desc="Arrange">
+          var sandbox = sinon.sandbox.create();
+          var Log = logger.bind("handler-helper");
+          var handlerHelper = require('../utilities/handler-helper');
+          var revisionHelper = require('../utilities/revision-helper');
+          sandbox.stub(Log, 'error').callsFake(function(){});
+
+          var userSchema = new mongoose.Schema({
+            email: { type: Types.String },
+            password: { type: Types.String, exclude: true }
+          });
+          userSchema.statics = { routeOptions: { versioning: true } };
+
+          var userModel = mongoose.model("user", userSchema);
+          userModel.findOne = sandbox.spy(function(){ return { lean: function(){ return Q.when({ _id: "TEST", email: "new@test.com", password: "new" }) } } });
+
+          var revisionModel = revisionHelper.getRevisionModel(userModel);
+          revisionModel.findOne = sandbox.spy(function(){ return { lean: function(){ return Q.when({ document: "TEST", revision: 1, snapshot: { _id: "TEST", email: "old@test.com", password: "old" } }) } } });
+          //</editor-fold>
+
+          //<editor-fold desc="Act">
+          var promise = handlerHelper.findRevisionHandler(userModel, "TEST", 1, {}, Log);
+          //</editor-fold>
+
+          //<editor-fold desc="Assert">
+          return promise.then(function(result) {
+            t.ok(revisionModel.findOne.calledWithExactly({ document: "TEST", revision: 1 }), "revision queried");
+            t.deepEqual(result.snapshot, { _id: "TEST", email: "old@test.com" }, "excluded fields removed from the snapshot");
+            t.deepEqual(result.diff, [{ field: "email", revision: "old@test.com", current: "new@test.com" }], "differences returned");
+          })
+          //</editor-fold>
+
+          //<editor-fold desc="Restore">
+              .then(function(){
+                sandbox.restore();
+                delete mongoose.models.user;
+                delete mongoose.modelSchemas.user;
+                delete mongoose.models.user_revision;
+                delete mongoose.modelSchemas.user_revision;
+              });
+          //</editor-fold>
+        });
+      })
+
+      //handler-helper.findRevisionHandler throws a not found error
+      .then(function() {
+        return t.test('handler-helper.findRevisionHandler throws a not found error', function (t) {
+          //<editor-fold desc="Arrange">
+          var sandbox = sinon.sandbox.create();
+          var Log = logger.bind("handler-helper");
+          var handlerHelper = require('../utilities/handler-helper');
+          var revisionHelper = require('../utilities/revision-helper');
+          sandbox.stub(Log, 'error').callsFake(function(){});
+
+          var userSchema = new mongoose.Schema({});
+          userSchema.statics = { routeOptions: { versioning: true } };
+
+          var userModel = mongoose.model("user", userSchema);
+
+          var revisionModel = revisionHelper.getRevisionModel(userModel);
+          revisionModel.findOne = sandbox.spy(function(){ return { lean: function(){ return Q.when(null) } } });
+          //</editor-fold>
+
+          //<editor-fold desc="Act">
+          var promise = handlerHelper.findRevisionHandler(userModel, "TEST", 2, {}, Log);
+          //</editor-fold>
+
+          //<editor-fold desc="Assert">
+          return promise
+              .catch(function(error) {
+                t.equals(error.message, "No revision was found with that number.", "threw a not found error");
+                t.equals(error.type, "Not Found", "error type correct");
+              })
+          //</editor-fold>
+
+          //<editor-fold desc="Restore">
+              .then(function(){
+                sandbox.restore();
+                delete mongoose.models.user;
+                delete mongoose.modelSchemas.user;
+                delete mongoose.models.user_revision;
+                delete mongoose.modelSchemas.user_revision;
+              });
+          //</editor-fold>
+        });
+      });
+
+});
+
+test('handler-helper.revertHandler', function(t) {
+
+  return Q.when()
+
+  //handler-helper.revertHandler replaces the document with the revision snapshot
+      .then(function() {
+        return t.test('handler-helper.revertHandler replaces the document with the revision snapshot', function (t) {
+          //<editor-fold desc="Arrange">
+          var sandbox = sinon.sandbox.create();
+          var Log = logger.bind("handler-helper");
+          var queryHelperStub = sandbox.stub(require('../utilities/query-helper'));
+          queryHelperStub.createAttributesFilter = function(){ return "attributes" };
+          var handlerHelper = proxyquire('../utilities/handler-helper', {
+            './query-helper': queryHelperStub,
+            '../config': { enableUpdatedAt: false, enableMongooseRunValidators: false }
+          });
+          var revisionHelper = require('../utilities/revision-helper');
+          sandbox.stub(Log, 'error').callsFake(function(){});
+
+          var userSchema = new mongoose.Schema({});
+          userSchema.statics = { routeOptions: { versioning: true } };
+
+          var userModel = mongoose.model("user", userSchema);
+          var current = { _id: "TEST", __v: 2, email: "new@test.com", title: "Admin" };
+          var reverted = { _id: "TEST", __v: 2, email: "old@test.com" };
+          userModel.findOne = sandbox.spy(function(){ return { lean: function(){ return Q.when(current) } } });
+          userModel.findOneAndUpdate = sandbox.spy(function(){ current = reverted; return Q.when(reverted) });
+
+          var revisionModel = revisionHelper.getRevisionModel(userModel);
+          var latest = { document: "TEST", revision: 2, snapshot: { _id: "TEST", __v: 2, email: "new@test.com", title: "Admin" } };
+          revisionModel.findOne = sandbox.spy(function(){
+            return {
+              sort: function(){ return { lean: function(){ return Q.when(latest) } } },
+              lean: function(){ return Q.when({ document: "TEST", revision: 1, snapshot: { _id: "TEST", __v: 0, email: "old@test.com" } }) }
+            }
+          });
+          revisionModel.create = sandbox.spy(function(revision){ return Q.when(revision) });
+
+          var request = { params: { _id: "TEST", revision: 1 } };
+          //</editor-fold>
+
+          //<editor-fold desc="Act">
+          var promise = handlerHelper.revertHandler(userModel, "TEST", 1, request, Log);
           //</editor-fold>
 
           //<editor-fold desc="Assert">
-          return promise
-              .catch(function(error) {
-                t.equals(error.message, "There was an error processing the request.", "threw a general processing error");
-              })
+          return promise.then(function(result) {
+            t.ok(userModel.findOneAndUpdate.calledWithExactly({ '_id': "TEST" }, { email: "old@test.com", $unset: { title: 1 } }, { new: true, upsert: true, runValidators: false }), "document replaced");
+            t.equals(revisionModel.create.args[0][0].revision, 3, "revert stored as the next revision");
+            t.equals(revisionModel.create.args[0][0].action, "Revert", "revert action stored");
+            t.ok(userModel.findOne.calledWithExactly({ '_id': "TEST" }, "attributes"), "reverted document returned");
+          })
           //</editor-fold>
 
           //<editor-fold desc="Restore">
@@ -2934,6 +4443,8 @@ test('handler-helper.deleteOneHandler', function(t) {
                 sandbox.restore();
                 delete mongoose.models.user;
                 delete mongoose.modelSchemas.user;
+                delete mongoose.models.user_revision;
+                delete mongoose.modelSchemas.user_revision;
               });
           //</editor-fold>
         });
@@ -3046,6 +4557,57 @@ test('handler-helper.updateHandler', function(t) {
         });
       })
 
+      //handler-helper.updateHandler unsets fields removed by a JSON Patch
+      .then(function() {
+        return t.test('handler-helper.updateHandler unsets fields removed by a JSON Patch', function (t) {
+          //<editor-fold desc="Arrange">
+          var sandbox = sinon.sandbox.create();
+          var Log = logger.bind("handler-helper");
+          var server = sandbox.spy();
+          var queryHelperStub = sandbox.stub(require('../utilities/query-helper'));
+          var errorHelperStub = sandbox.stub(require('../utilities/error-helper'));
+          var handlerHelper = proxyquire('../utilities/handler-helper', {
+            './query-helper': queryHelperStub,
+            './error-helper': errorHelperStub
+          });
+          sandbox.stub(Log, 'error').callsFake(function(){});
+
+          var userSchema = new mongoose.Schema({});
+
+          var userModel = mongoose.model("user", userSchema);
+          var updateDeferred = Q.defer();
+          userModel.findByIdAndUpdate = sandbox.spy(function(){ return updateDeferred.resolve() });
+
+          var payload = { field: "value" };
+          var request = {
+            query: {},
+            params: { _id: "_id" },
+            payload: payload,
+            plugins: { 'rest-hapi': { patch: { unset: ["field", "nickname"] } } }
+          };
+          //</editor-fold>
+
+          //<editor-fold desc="Act">
+          handlerHelper.updateHandler(userModel, "_id", request, Log);
+          //</editor-fold>
+
+          //<editor-fold desc="Assert">
+          return updateDeferred.promise.then(function() {
+            t.ok(userModel.findByIdAndUpdate.calledWith("_id", sinon.match({ field: "value", $unset: { nickname: 1 } })), "removed fields unset");
+            t.notOk(userModel.findByIdAndUpdate.args[0][1].$unset.field, "updated fields not unset");
+          })
+          //</editor-fold>
+
+          //<editor-fold desc="Restore">
+              .then(function(){
+                sandbox.restore();
+                delete mongoose.models.user;
+                delete mongoose.modelSchemas.user;
+              });
+          //</editor-fold>
+        });
+      })
+
       //handler-helper.updateHandler calls model.findByIdAndUpdate with runValidators: true
       .then(function() {
         return t.test('handler-helper.updateHandler calls model.findByIdAndUpdate with runValidators: true', function (t) {
@@ -3297,6 +4859,65 @@ test('handler-helper.updateHandler', function(t) {
         });
       })
 
+      //handler-helper.updateHandler emits an updated event with the previous document
+      .then(function() {
+        return t.test('handler-helper.updateHandler emits an updated event with the previous document', function (t) {
+          //<editor-fold desc="Arrange">
+          var sandbox = sinon.sandbox.create();
+          var Log = logger.bind("handler-helper");
+          var queryHelperStub = sandbox.stub(require('../utilities/query-helper'));
+          queryHelperStub.createAttributesFilter = function(){ return "_id email" };
+          var handlerHelper = proxyquire('../utilities/handler-helper', {
+            './query-helper': queryHelperStub
+          });
+          var events = require('../utilities/event-helper').events;
+
+          var userSchema = new mongoose.Schema({});
+
+          var userModel = mongoose.model("user", userSchema);
+          userModel.findByIdAndUpdate = sandbox.spy(function(){
+            return Q.when({ _id: "_id", email: "old@user.com", password: "HASH" })
+          });
+          userModel.findOne = sandbox.spy(function(){
+            return {
+              lean: function(){
+                return Q.when({ _id: "_id", email: "new@user.com" });
+              }
+            };
+          });
+
+          var listener = sandbox.spy();
+          events.on("user.updated", listener);
+
+          var request = { query: {}, params: { _id: "_id" }, payload: { email: "new@user.com" } };
+
+          t.plan(4);
+          //</editor-fold>
+
+          //<editor-fold desc="Act">
+          var promise = handlerHelper.updateHandler(userModel, "_id", request, Log);
+          //</editor-fold>
+
+          //<editor-fold desc="Assert">
+          return promise.then(function(result) {
+            t.ok(listener.calledOnce, "event emitted");
+            t.equals(listener.args[0][0].event, "user.updated", "event name");
+            t.deepEqual(listener.args[0][0].document, { _id: "_id", email: "new@user.com" }, "event contains the document");
+            t.deepEqual(listener.args[0][0].previous, { _id: "_id", email: "old@user.com" }, "event contains the previous document without excluded fields");
+          })
+          //</editor-fold>
+
+          //<editor-fold desc="Restore">
+              .then(function(){
+                events.removeListener("user.updated", listener);
+                sandbox.restore();
+                delete mongoose.models.user;
+                delete mongoose.modelSchemas.user;
+              });
+          //</editor-fold>
+        });
+      })
+
       //handler-helper.updateHandler throws a generic postprocessing error
       .then(function() {
         return t.test('handler-helper.updateHandler throws a generic postprocessing error', function (t) {
@@ -3454,6 +5075,102 @@ test('handler-helper.updateHandler', function(t) {
         });
       })
 
+      //handler-helper.updateHandler only updates the verified version of the document
+      .then(function() {
+        return t.test('handler-helper.updateHandler only updates the verified version of the document', function (t) {
+          //<editor-fold desc="Arrange">
+          var sandbox = sinon.sandbox.create();
+          var Log = logger.bind("handler-helper");
+          var server = sandbox.spy();
+          var queryHelperStub = sandbox.stub(require('../utilities/query-helper'));
+          var errorHelperStub = sandbox.stub(require('../utilities/error-helper'));
+          var handlerHelper = proxyquire('../utilities/handler-helper', {
+            './query-helper': queryHelperStub,
+            './error-helper': errorHelperStub
+          });
+          sandbox.stub(Log, 'error').callsFake(function(){});
+
+          var userSchema = new mongoose.Schema({});
+          userSchema.statics = { routeOptions: { concurrencyControl: true } };
+
+          var userModel = mongoose.model("user", userSchema);
+          var updateDeferred = Q.defer();
+          userModel.findOneAndUpdate = sandbox.spy(function(){ return updateDeferred.resolve() });
+          userModel.findByIdAndUpdate = sandbox.spy();
+
+          var request = {
+            query: {},
+            params: { _id: "_id" },
+            payload: { field: "value" },
+            plugins: { 'rest-hapi': { version: 3 } }
+          };
+          //</editor-fold>
+
+          //<editor-fold desc="Act">
+          handlerHelper.updateHandler(userModel, "_id", request, Log);
+          //</editor-fold>
+
+          //<editor-fold desc="Assert">
+          return updateDeferred.promise.then(function() {
+            t.ok(userModel.findOneAndUpdate.calledWith({ _id: "_id", __v: 3 }, sinon.match({ field: "value", $inc: { __v: 1 } })), "model.findOneAndUpdate called with the version");
+            t.notOk(userModel.findByIdAndUpdate.called, "model.findByIdAndUpdate not called");
+          })
+          //</editor-fold>
+
+          //<editor-fold desc="Restore">
+              .then(function(){
+                sandbox.restore();
+                delete mongoose.models.user;
+                delete mongoose.modelSchemas.user;
+              });
+          //</editor-fold>
+        });
+      })
+
+      //handler-helper.updateHandler throws a precondition failed error
+      .then(function() {
+        return t.test('handler-helper.updateHandler throws a precondition failed error', function (t) {
+          //<editor-fold desc="Arrange">
+          var sandbox = sinon.sandbox.create();
+          var Log = logger.bind("handler-helper");
+          var server = sandbox.spy();
+          var queryHelperStub = sandbox.stub(require('../utilities/query-helper'));
+          queryHelperStub.createAttributesFilter = function(){ return "attributes" };
+          var handlerHelper = proxyquire('../utilities/handler-helper', {
+            './query-helper': queryHelperStub
+          });
+          sandbox.stub(Log, 'error').callsFake(function(){});
+
+          var userSchema = new mongoose.Schema({});
+          userSchema.statics = { routeOptions: { concurrencyControl: true } };
+
+          var userModel = mongoose.model("user", userSchema);
+          userModel.findOneAndUpdate = sandbox.spy(function(){ return Q.when() });
+
+          var request = { query: {}, params: { _id: "_id" }, payload: {}, plugins: { 'rest-hapi': { version: 3 } } };
+          //</editor-fold>
+
+          //<editor-fold desc="Act">
+          var promise = handlerHelper.updateHandler(userModel, "_id", request, Log);
+          //</editor-fold>
+
+          //<editor-fold desc="Assert">
+          return promise
+              .catch(function(error) {
+                t.equals(error.message, "The resource has been modified.", "threw a precondition failed error");
+              })
+          //</editor-fold>
+
+          //<editor-fold desc="Restore">
+              .then(function(){
+                sandbox.restore();
+                delete mongoose.models.user;
+                delete mongoose.modelSchemas.user;
+              });
+          //</editor-fold>
+        });
+      })
+
       //handler-helper.updateHandler throws an update error
       .then(function() {
         return t.test('handler-helper.updateHandler throws an update error', function (t) {
@@ -3642,6 +5359,122 @@ test('handler-helper.updateHandler', function(t) {
 
 });
 
+test('handler-helper.aggregateHandler', function(t) {
+
+  return Q.when()
+
+      //handler-helper.aggregateHandler calls pre and post processing and returns groups
+      .then(function () {
+        return t.test('handler-helper.aggregateHandler calls pre and post processing and returns groups', function (t) {
+          //<editor-fold desc="Arrange">
+          var sandbox = sinon.sandbox.create();
+          var Log = logger.bind("handler-helper");
+
+          var pipeline = [{ $match: {} }];
+          var groups = [{ group: { title: "TEST" }, count: 2 }];
+          var queryHelperStub = sandbox.stub(require('../utilities/query-helper'));
+          queryHelperStub.createAggregatePipeline = sandbox.spy(function () {
+            return pipeline
+          });
+          var handlerHelper = proxyquire('../utilities/handler-helper', {
+            './query-helper': queryHelperStub
+          });
+
+          var userSchema = new mongoose.Schema({});
+
+          var preSpy = sandbox.spy(function (query) {
+            return _.extend({ $groupBy: "title" }, query);
+          });
+          var postSpy = sandbox.spy(function (request, result) {
+            return result;
+          });
+          userSchema.statics = {
+            routeOptions: {
+              aggregate: {
+                pre: preSpy,
+                post: postSpy
+              }
+            }
+          };
+
+          var userModel = mongoose.model("user", userSchema);
+
+          userModel.aggregate = sandbox.spy(function () {
+            return { exec: function () { return Q.when(groups) } }
+          });
+
+          var request = { query: { $countBy: "status" } };
+          //</editor-fold>
+
+          //<editor-fold desc="Act">
+          var promise = handlerHelper.aggregateHandler(userModel, request, Log);
+          //</editor-fold>
+
+          //<editor-fold desc="Assert">
+          return promise.then(function (result) {
+            t.ok(preSpy.calledWithExactly({ $countBy: "status" }, request, Log), "pre called");
+            t.ok(queryHelperStub.createAggregatePipeline.calledWithExactly(userModel, { $groupBy: "title", $countBy: "status" }, Log), "createAggregatePipeline called with pre processed query");
+            t.ok(userModel.aggregate.calledWithExactly(pipeline), "aggregate called with pipeline");
+            t.ok(postSpy.calledWithExactly(request, groups, Log), "post called");
+            t.deepEqual(result, { docs: groups }, "returns groups");
+          })
+          //</editor-fold>
+
+          //<editor-fold desc="Restore">
+              .then(function () {
+                sandbox.restore();
+                delete mongoose.models.user;
+                delete mongoose.modelSchemas.user;
+              });
+          //</editor-fold>
+        });
+      })
+
+      //handler-helper.aggregateHandler throws query errors as preprocessing errors
+      .then(function () {
+        return t.test('handler-helper.aggregateHandler throws query errors as preprocessing errors', function (t) {
+          //<editor-fold desc="Arrange">
+          var sandbox = sinon.sandbox.create();
+          var Log = logger.bind("handler-helper");
+
+          var queryHelperStub = sandbox.stub(require('../utilities/query-helper'));
+          queryHelperStub.createAggregatePipeline = function () {
+            throw "'password' is not a queryable field.";
+          };
+          var handlerHelper = proxyquire('../utilities/handler-helper', {
+            './query-helper': queryHelperStub
+          });
+          sandbox.stub(Log, 'error').callsFake(function(){});
+
+          var userSchema = new mongoose.Schema({});
+
+          var userModel = mongoose.model("user", userSchema);
+          //</editor-fold>
+
+          //<editor-fold desc="Act">
+          var promise = handlerHelper.aggregateHandler(userModel, { query: { $sum: "password" } }, Log);
+          //</editor-fold>
+
+          //<editor-fold desc="Assert">
+          return promise
+              .catch(function (error) {
+                t.equals(error.message, "'password' is not a queryable field.", "threw the query error");
+                t.equals(error.type, "Bad Request", "threw a bad request error");
+              })
+              //</editor-fold>
+
+              //<editor-fold desc="Restore">
+              .then(function () {
+                sandbox.restore();
+                delete mongoose.models.user;
+                delete mongoose.modelSchemas.user;
+              });
+          //</editor-fold>
+        });
+      });
+
+});
+
 // test('handler-helper.addOne', function(t) {
 //
 //   return Q.when()
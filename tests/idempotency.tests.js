@@ -0,0 +1,369 @@
+'use strict';
+
+const test = require('blue-tape');
+const sinon = require('sinon');
+const logging = require('loggin');
+const Q = require('q');
+const Boom = require('boom');
+
+let Log = logging.getLogger("tests");
+Log.logLevel = "ERROR";
+Log = Log.bind("idempotency");
+
+const IdempotencyHelper = require('../utilities/idempotency-helper');
+
+const createMongoose = function(records) {
+  const IdempotencyKey = {
+    create: sinon.spy(function(record) {
+      const duplicate = records.filter(function(existing) {
+        return existing.key === record.key && existing.user === record.user;
+      })[0];
+      if (duplicate) {
+        return Q.reject({ code: 11000 });
+      }
+      record._id = "mock record";
+      return Q.when(record);
+    }),
+    findOne: sinon.spy(function(conditions) {
+      return {
+        lean: function() {
+          return Q.when(records.filter(function(existing) {
+            return existing.key === conditions.key && existing.user === conditions.user;
+          })[0] || null);
+        }
+      };
+    }),
+    findByIdAndUpdate: sinon.spy(function() { return Q.when() }),
+    findByIdAndRemove: sinon.spy(function() { return Q.when() })
+  };
+
+  return {
+    IdempotencyKey: IdempotencyKey,
+    modelNames: function() { return ["idempotencyKey"] },
+    model: function() { return IdempotencyKey }
+  };
+};
+
+const createRequest = function(key, payload) {
+  return {
+    method: "post",
+    path: "/user",
+    query: {},
+    payload: payload,
+    headers: key ? { 'idempotency-key': key } : {},
+    auth: { credentials: { user: { _id: "mock user" } } },
+    plugins: {}
+  };
+};
+
+const createReply = function() {
+  const response = {
+    code: sinon.spy(function() { return response }),
+    header: sinon.spy(function() { return response }),
+    takeover: sinon.spy(function() { return response })
+  };
+  const reply = sinon.spy(function() { return response });
+  reply.response = response;
+  return reply;
+};
+
+test('idempotency exists and has expected members', function (t) {
+  //<editor-fold desc="Arrange">
+  let idempotency = require('../policies/idempotency');
+
+  t.plan(4);
+  //</editor-fold>
+
+  //<editor-fold desc="Assert">
+  t.ok(idempotency, "idempotency exists.");
+  t.ok(idempotency.enforceIdempotency, "idempotency.enforceIdempotency exists.");
+  t.ok(idempotency.saveIdempotentResponse, "idempotency.saveIdempotentResponse exists.");
+  t.ok(idempotency.releaseIdempotencyKey, "idempotency.releaseIdempotencyKey exists.");
+  //</editor-fold>
+});
+
+test('idempotency-helper.getRequestHash', function (t) {
+  t.test('idempotency-helper.getRequestHash only matches identical requests.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(3);
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let hash = IdempotencyHelper.getRequestHash(createRequest("key", { email: "test@user.com" }));
+    let sameHash = IdempotencyHelper.getRequestHash(createRequest("key", { email: "test@user.com" }));
+    let payloadHash = IdempotencyHelper.getRequestHash(createRequest("key", { email: "other@user.com" }));
+    let pathRequest = createRequest("key", { email: "test@user.com" });
+    pathRequest.path = "/role";
+    let pathHash = IdempotencyHelper.getRequestHash(pathRequest);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.equals(hash, sameHash, "identical requests match");
+    t.notEquals(hash, payloadHash, "different payloads don't match");
+    t.notEquals(hash, pathHash, "different paths don't match");
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('idempotency.enforceIdempotencyForRoute', function (t) {
+  t.test('idempotency.enforceIdempotencyForRoute ignores requests without a key.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(2);
+
+    let idempotency = require('../policies/idempotency');
+    let mongoose = createMongoose([]);
+    let enforceIdempotency = idempotency.enforceIdempotency(mongoose, Log);
+    let next = sinon.spy();
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    enforceIdempotency(createRequest(null, {}), createReply(), next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.ok(next.calledWithExactly(null, true), "next called with correct args");
+    t.notOk(mongoose.IdempotencyKey.create.called, "key not stored");
+    //</editor-fold>
+  });
+
+  t.test('idempotency.enforceIdempotencyForRoute reserves new keys.', function (t) {
+    //<editor-fold desc="Arrange">
+    let idempotency = require('../policies/idempotency');
+    let mongoose = createMongoose([]);
+    let enforceIdempotency = idempotency.enforceIdempotency(mongoose, Log);
+    let next = sinon.spy();
+    let request = createRequest("mock key", { email: "test@user.com" });
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let promise = enforceIdempotency(request, createReply(), next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise.then(function() {
+      t.ok(next.calledWithExactly(null, true), "next called with correct args");
+      t.ok(mongoose.IdempotencyKey.create.calledWithMatch({
+        key: "mock key",
+        user: "mock user",
+        method: "POST",
+        endpoint: "/user",
+        requestHash: IdempotencyHelper.getRequestHash(request)
+      }), "key stored");
+      t.equals(request.plugins['rest-hapi'].idempotencyKey, "mock record", "record id stored");
+    });
+    //</editor-fold>
+  });
+
+  t.test('idempotency.enforceIdempotencyForRoute replays the stored response.', function (t) {
+    //<editor-fold desc="Arrange">
+    let idempotency = require('../policies/idempotency');
+    let request = createRequest("mock key", { email: "test@user.com" });
+    let mongoose = createMongoose([{
+      key: "mock key",
+      user: "mock user",
+      requestHash: IdempotencyHelper.getRequestHash(request),
+      statusCode: 201,
+      headers: { etag: '"0"' },
+      response: JSON.stringify({ _id: "mock _id", email: "test@user.com" })
+    }]);
+    let enforceIdempotency = idempotency.enforceIdempotency(mongoose, Log);
+    let reply = createReply();
+    let next = sinon.spy();
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let promise = enforceIdempotency(request, reply, next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise.then(function() {
+      t.ok(reply.calledWithExactly({ _id: "mock _id", email: "test@user.com" }), "stored response replied");
+      t.ok(reply.response.code.calledWithExactly(201), "stored status code replied");
+      t.ok(reply.response.header.calledWithExactly('etag', '"0"'), "stored headers replied");
+      t.ok(reply.response.header.calledWithExactly('Idempotent-Replayed', 'true'), "replay header added");
+      t.ok(reply.response.takeover.called, "response taken over");
+      t.ok(next.calledWithExactly(null, false), "remaining policies skipped");
+    });
+    //</editor-fold>
+  });
+
+  t.test('idempotency.enforceIdempotencyForRoute rejects keys used for a different request.', function (t) {
+    //<editor-fold desc="Arrange">
+    let idempotency = require('../policies/idempotency');
+    let mongoose = createMongoose([{
+      key: "mock key",
+      user: "mock user",
+      requestHash: IdempotencyHelper.getRequestHash(createRequest("mock key", { email: "test@user.com" })),
+      statusCode: 201,
+      response: null
+    }]);
+    let enforceIdempotency = idempotency.enforceIdempotency(mongoose, Log);
+    let reply = createReply();
+    let next = sinon.spy();
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let promise = enforceIdempotency(createRequest("mock key", { email: "other@user.com" }), reply, next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise.then(function() {
+      t.equals(next.args[0][0].output.statusCode, 422, "422 returned");
+      t.equals(next.args[0][0].message, "The Idempotency-Key has already been used for a different request.", "error message");
+      t.equals(next.args[0][1], false, "request stopped");
+      t.notOk(reply.called, "response not replayed");
+    });
+    //</editor-fold>
+  });
+
+  t.test('idempotency.enforceIdempotencyForRoute rejects keys of requests that are still being processed.', function (t) {
+    //<editor-fold desc="Arrange">
+    let idempotency = require('../policies/idempotency');
+    let request = createRequest("mock key", { email: "test@user.com" });
+    let mongoose = createMongoose([{
+      key: "mock key",
+      user: "mock user",
+      requestHash: IdempotencyHelper.getRequestHash(request),
+      statusCode: null,
+      response: null
+    }]);
+    let enforceIdempotency = idempotency.enforceIdempotency(mongoose, Log);
+    let next = sinon.spy();
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let promise = enforceIdempotency(request, createReply(), next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise.then(function() {
+      t.equals(next.args[0][0].output.statusCode, 409, "409 returned");
+      t.equals(next.args[0][0].message, "A request with the same Idempotency-Key is still being processed.", "error message");
+      t.equals(next.args[0][1], false, "request stopped");
+    });
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('idempotency.saveIdempotentResponseForRoute', function (t) {
+  t.test('idempotency.saveIdempotentResponseForRoute stores the response.', function (t) {
+    //<editor-fold desc="Arrange">
+    let idempotency = require('../policies/idempotency');
+    let mongoose = createMongoose([]);
+    let saveIdempotentResponse = idempotency.saveIdempotentResponse(mongoose, Log);
+    let next = sinon.spy();
+
+    let request = createRequest("mock key", {});
+    request.plugins['rest-hapi'] = { idempotencyKey: "mock record" };
+    request.response = { statusCode: 201, headers: { etag: '"0"' }, source: { _id: "mock _id" } };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let promise = saveIdempotentResponse(request, createReply(), next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise.then(function() {
+      t.ok(mongoose.IdempotencyKey.findByIdAndUpdate.calledWithExactly("mock record", {
+        statusCode: 201,
+        headers: { etag: '"0"' },
+        response: JSON.stringify({ _id: "mock _id" })
+      }), "response stored");
+      t.ok(next.calledWithExactly(null, true), "next called with correct args");
+    });
+    //</editor-fold>
+  });
+
+  t.test('idempotency.saveIdempotentResponseForRoute releases the key after a server error.', function (t) {
+    //<editor-fold desc="Arrange">
+    let idempotency = require('../policies/idempotency');
+    let mongoose = createMongoose([]);
+    let saveIdempotentResponse = idempotency.saveIdempotentResponse(mongoose, Log);
+    let next = sinon.spy();
+
+    let request = createRequest("mock key", {});
+    request.plugins['rest-hapi'] = { idempotencyKey: "mock record" };
+    request.response = Boom.badImplementation("error");
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let promise = saveIdempotentResponse(request, createReply(), next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise.then(function() {
+      t.ok(mongoose.IdempotencyKey.findByIdAndRemove.calledWithExactly("mock record"), "key removed");
+      t.notOk(mongoose.IdempotencyKey.findByIdAndUpdate.called, "response not stored");
+      t.ok(next.calledWithExactly(null, true), "next called with correct args");
+    });
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('idempotency.releaseIdempotencyKeyForRoute', function (t) {
+  t.test('idempotency.releaseIdempotencyKeyForRoute releases the key if the response wasn\'t stored.', function (t) {
+    //<editor-fold desc="Arrange">
+    let idempotency = require('../policies/idempotency');
+    let mongoose = createMongoose([]);
+    let enforceIdempotency = idempotency.enforceIdempotency(mongoose, Log);
+    let releaseIdempotencyKey = idempotency.releaseIdempotencyKey(mongoose, Log);
+    let next = sinon.spy();
+
+    let request = createRequest("mock key", {});
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    //EXPL: the key is reserved, then a later policy rejects the request so the response is never stored
+    let promise = enforceIdempotency(request, createReply(), next)
+        .then(function() {
+          request.response = Boom.forbidden("Insufficient document scope.");
+          return releaseIdempotencyKey(request, createReply(), next);
+        });
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise.then(function() {
+      t.ok(mongoose.IdempotencyKey.findByIdAndRemove.calledWithExactly("mock record"), "key removed");
+      t.notOk(request.plugins['rest-hapi'].idempotencyKey, "key cleared from the request");
+      t.ok(next.alwaysCalledWithExactly(null, true), "next called with correct args");
+    });
+    //</editor-fold>
+  });
+
+  t.test('idempotency.releaseIdempotencyKeyForRoute keeps the key if the response was stored.', function (t) {
+    //<editor-fold desc="Arrange">
+    let idempotency = require('../policies/idempotency');
+    let mongoose = createMongoose([]);
+    let saveIdempotentResponse = idempotency.saveIdempotentResponse(mongoose, Log);
+    let releaseIdempotencyKey = idempotency.releaseIdempotencyKey(mongoose, Log);
+    let next = sinon.spy();
+
+    let request = createRequest("mock key", {});
+    request.plugins['rest-hapi'] = { idempotencyKey: "mock record" };
+    request.response = { statusCode: 201, headers: {}, source: { _id: "mock _id" } };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let promise = saveIdempotentResponse(request, createReply(), next)
+        .then(function() {
+          return releaseIdempotencyKey(request, createReply(), next);
+        });
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise.then(function() {
+      t.ok(mongoose.IdempotencyKey.findByIdAndUpdate.calledOnce, "response stored");
+      t.notOk(mongoose.IdempotencyKey.findByIdAndRemove.called, "key not removed");
+      t.ok(next.alwaysCalledWithExactly(null, true), "next called with correct args");
+    });
+    //</editor-fold>
+  });
+
+  t.end();
+});
@@ -0,0 +1,513 @@
+'use strict';
+
+var test = require('blue-tape');
+var _ = require('lodash');
+var sinon = require('sinon');
+var rewire = require('rewire');
+var mongoose = require('mongoose');
+var Types = mongoose.Schema.Types;
+var Q = require('q');
+var Boom = require('boom');
+var logging = require('loggin');
+var Log = logging.getLogger("tests");
+Log.logLevel = "ERROR";
+Log = Log.bind("import-helper");
+
+test('import-helper exists and has expected members', function (t) {
+  //<editor-fold desc="Arrange">
+  var importHelper = require('../utilities/import-helper');
+
+  t.plan(5);
+  //</editor-fold>
+
+  //<editor-fold desc="Assert">
+  t.ok(importHelper, "import-helper exists.");
+  t.ok(importHelper.getImportFormat, "import-helper.getImportFormat exists.");
+  t.ok(importHelper.parseRecords, "import-helper.parseRecords exists.");
+  t.ok(importHelper.validateRecords, "import-helper.validateRecords exists.");
+  t.ok(importHelper.importHandler, "import-helper.importHandler exists.");
+  //</editor-fold>
+});
+
+test('import-helper.getImportFormat', function (t) {
+
+  t.test('import-helper.getImportFormat returns the format of the "Content-Type" header.', function (t) {
+    //<editor-fold desc="Arrange">
+    var importHelper = require('../utilities/import-helper');
+
+    t.plan(3);
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var csvResult = importHelper.getImportFormat({ 'content-type': 'text/csv; charset=utf-8' });
+    var ndjsonResult = importHelper.getImportFormat({ 'content-type': 'application/x-ndjson' });
+    var jsonResult = importHelper.getImportFormat({ 'content-type': 'application/json' });
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.equals(csvResult, "csv", "csv format returned");
+    t.equals(ndjsonResult, "ndjson", "ndjson format returned");
+    t.equals(jsonResult, null, "unsupported format returns null");
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('import-helper.parseRecords', function (t) {
+
+  t.test('import-helper.parseRecords parses CSV rows into nested records.', function (t) {
+    //<editor-fold desc="Arrange">
+    var importHelper = require('../utilities/import-helper');
+
+    t.plan(1);
+
+    var payload = Buffer.from('email,profile.city,tags,age\r\n' +
+        '"a,""b""@test.com","Paris, FR","[""x"",""y""]",30\r\n' +
+        'c@test.com,,,\r\n' +
+        '\r\n' +
+        'd@test.com,Rome\r\n');
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var result = importHelper.parseRecords(payload, "csv", Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEquals(result, [
+      { row: 1, data: { email: 'a,"b"@test.com', profile: { city: "Paris, FR" }, tags: ["x", "y"], age: "30" }, errors: [] },
+      { row: 2, data: { email: "c@test.com" }, errors: [] },
+      { row: 3, data: {}, errors: ["Expected 4 columns but found 2."] }
+    ], "records correct");
+    //</editor-fold>
+  });
+
+  t.test('import-helper.parseRecords parses NDJSON rows into records.', function (t) {
+    //<editor-fold desc="Arrange">
+    var importHelper = require('../utilities/import-helper');
+
+    t.plan(1);
+
+    var payload = Buffer.from('{"email":"a@test.com"}\n\n[1]\n{"email":\n');
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var result = importHelper.parseRecords(payload, "ndjson", Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEquals(result, [
+      { row: 1, data: { email: "a@test.com" }, errors: [] },
+      { row: 2, data: [1], errors: ["Row must be a JSON object."] },
+      { row: 3, data: {}, errors: ["Row is not valid JSON."] }
+    ], "records correct");
+    //</editor-fold>
+  });
+
+  t.test('import-helper.parseRecords throws an error for an unterminated CSV value.', function (t) {
+    //<editor-fold desc="Arrange">
+    var importHelper = require('../utilities/import-helper');
+
+    t.plan(1);
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    try {
+      importHelper.parseRecords(Buffer.from('email\r\n"a@test.com\r\n'), "csv", Log);
+      t.fail("error not thrown");
+    }
+    catch (error) {
+      //<editor-fold desc="Assert">
+      t.equals(error.type, "Bad Request", "bad request error thrown");
+      //</editor-fold>
+    }
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('import-helper.validateRecords', function (t) {
+
+  t.test('import-helper.validateRecords validates records against the create model.', function (t) {
+    //<editor-fold desc="Arrange">
+    var importHelper = require('../utilities/import-helper');
+
+    t.plan(1);
+
+    var userSchema = new mongoose.Schema({
+      email: {
+        type: Types.String,
+        required: true
+      },
+      age: {
+        type: Types.Number
+      }
+    });
+    userSchema.statics = {routeOptions: {}};
+    var userModel = mongoose.model("user", userSchema);
+
+    var records = [
+      { row: 1, data: { email: "a@test.com", age: "30" }, errors: [] },
+      { row: 2, data: { age: "old" }, errors: [] },
+      { row: 3, data: {}, errors: ["Row is not valid JSON."] }
+    ];
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var result = importHelper.validateRecords(userModel, records, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEquals(result, [
+      { row: 1, data: { email: "a@test.com", age: 30 }, errors: [] },
+      { row: 2, data: { age: "old" }, errors: ['"email" is required', '"age" must be a number'] },
+      { row: 3, data: {}, errors: ["Row is not valid JSON."] }
+    ], "records correct");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    delete mongoose.models.user;
+    delete mongoose.modelSchemas.user;
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('import-helper.importHandler', function (t) {
+
+  var createModel = function () {
+    var userSchema = new mongoose.Schema({
+      email: {
+        type: Types.String,
+        required: true
+      }
+    });
+    userSchema.statics = {routeOptions: {}};
+    var userModel = mongoose.model("user", userSchema);
+
+    var existingId = mongoose.Types.ObjectId();
+    userModel.find = sinon.spy(function () {
+      return {
+        select: function () {
+          return {
+            lean: function () {
+              return {
+                exec: function () {
+                  return Q.when([{ _id: existingId, email: "b@test.com" }])
+                }
+              }
+            }
+          }
+        }
+      }
+    });
+
+    return { userModel: userModel, existingId: existingId };
+  };
+
+  t.test('import-helper.importHandler creates rows in batches and updates rows that match the "upsertKey".', function (t) {
+    //<editor-fold desc="Arrange">
+    var importHelper = rewire('../utilities/import-helper');
+    importHelper.__set__("config", { importBatchSize: 2, enablePayloadValidation: true });
+
+    var models = createModel();
+    var createdIds = [mongoose.Types.ObjectId(), mongoose.Types.ObjectId(), mongoose.Types.ObjectId()];
+    var inject = sinon.spy(function (options) {
+      if (options.method === 'POST') {
+        return Q.when({ statusCode: 201, result: options.payload.map(function () {
+          return { _id: createdIds.shift() };
+        }) });
+      }
+      return Q.when({ statusCode: 200, result: {} });
+    });
+
+    var request = {
+      path: "/user/import",
+      query: { upsertKey: "email" },
+      headers: { 'content-type': 'application/x-ndjson' },
+      payload: Buffer.from('{"email":"a@test.com"}\n{"email":"b@test.com"}\n{}\n{"email":"c@test.com"}\n{"email":"d@test.com"}\n{"email":"a@test.com"}\n'),
+      auth: { credentials: { user: "TEST" } },
+      server: { inject: inject }
+    };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var promise = importHelper.importHandler(models.userModel, request, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise
+        .then(function (result) {
+          var firstBatch = inject.args[0][0].payload;
+          t.equals(inject.callCount, 3, "inject called for each batch and update");
+          t.deepEquals(inject.args[0][0], {
+            method: 'POST',
+            url: "/user",
+            payload: [{ _id: firstBatch[0]._id, email: "a@test.com" }, { _id: firstBatch[1]._id, email: "c@test.com" }],
+            headers: {},
+            credentials: { user: "TEST" }
+          }, "first batch created");
+          t.ok(mongoose.Types.ObjectId.isValid(firstBatch[0]._id), "_id assigned to created rows");
+          t.deepEquals(_.map(inject.args[1][0].payload, 'email'), ["d@test.com"], "second batch created");
+          t.deepEquals(inject.args[2][0], {
+            method: 'PUT',
+            url: "/user/" + models.existingId,
+            payload: { email: "b@test.com" },
+            headers: {},
+            credentials: { user: "TEST" }
+          }, "existing document updated");
+          t.deepEquals(result.counts, { created: 3, updated: 1, invalid: 2 }, "counts correct");
+          t.deepEquals(_.map(result.rows, 'status'), ["created", "updated", "invalid", "created", "created", "invalid"], "row statuses correct");
+          t.equals(result.rows[1]._id, models.existingId.toString(), "updated _id returned");
+          t.deepEquals(result.rows[5].errors, ['Duplicate "email" value: a@test.com'], "duplicate key reported");
+        })
+        //</editor-fold>
+
+        //<editor-fold desc="Restore">
+        .then(function () {
+          delete mongoose.models.user;
+          delete mongoose.modelSchemas.user;
+        });
+    //</editor-fold>
+  });
+
+  t.test('import-helper.importHandler reports failed batches.', function (t) {
+    //<editor-fold desc="Arrange">
+    var importHelper = require('../utilities/import-helper');
+
+    var models = createModel();
+    var inject = sinon.spy(function () {
+      return Q.when({ statusCode: 409, result: { message: "There was a duplicate key error." } });
+    });
+
+    var request = {
+      path: "/user/import",
+      query: {},
+      headers: { 'content-type': 'text/csv' },
+      payload: Buffer.from('email\r\na@test.com\r\n'),
+      auth: {},
+      server: { inject: inject }
+    };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var promise = importHelper.importHandler(models.userModel, request, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise
+        .then(function (result) {
+          t.notOk(models.userModel.find.called, "existing documents not queried");
+          t.deepEquals(result.rows, [{ row: 1, status: "failed", action: "create", errors: ["There was a duplicate key error."] }], "failure reported");
+        })
+        //</editor-fold>
+
+        //<editor-fold desc="Restore">
+        .then(function () {
+          delete mongoose.models.user;
+          delete mongoose.modelSchemas.user;
+        });
+    //</editor-fold>
+  });
+
+  t.test('import-helper.importHandler retries the rows of a failed batch one at a time.', function (t) {
+    //<editor-fold desc="Arrange">
+    var importHelper = require('../utilities/import-helper');
+
+    var models = createModel();
+    var inject = sinon.spy(function (options) {
+      if (options.payload.length > 1) {
+        return Q.when({ statusCode: 409, result: { message: "There was a duplicate key error." } });
+      }
+      if (options.payload[0].email === "c@test.com") {
+        return Q.when({ statusCode: 409, result: { message: "There was a duplicate key error." } });
+      }
+      return Q.when({ statusCode: 201, result: [{ _id: options.payload[0]._id }] });
+    });
+    //EXPL: the first row was created before the batch failed
+    models.userModel.find = sinon.spy(function (conditions) {
+      return {
+        select: function () {
+          return {
+            lean: function () {
+              return { exec: function () { return Q.when([{ _id: conditions._id.$in[0] }]) } }
+            }
+          }
+        }
+      }
+    });
+
+    var request = {
+      path: "/user/import",
+      query: {},
+      headers: { 'content-type': 'text/csv' },
+      payload: Buffer.from('email\r\na@test.com\r\nb@test.com\r\nc@test.com\r\n'),
+      auth: {},
+      server: { inject: inject }
+    };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var promise = importHelper.importHandler(models.userModel, request, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise
+        .then(function (result) {
+          t.equals(inject.callCount, 3, "remaining rows retried one at a time");
+          t.deepEquals(_.map(inject.args[1][0].payload, 'email'), ["b@test.com"], "created row not retried");
+          t.deepEquals(_.map(result.rows, 'status'), ["created", "created", "failed"], "row statuses correct");
+          t.deepEquals(result.rows[2].errors, ["There was a duplicate key error."], "error reported for the failed row");
+          t.deepEquals(result.counts, { created: 2, failed: 1 }, "counts correct");
+        })
+        //</editor-fold>
+
+        //<editor-fold desc="Restore">
+        .then(function () {
+          delete mongoose.models.user;
+          delete mongoose.modelSchemas.user;
+        });
+    //</editor-fold>
+  });
+
+  t.test('import-helper.importHandler forwards the authorization header when an "authStrategy" is set.', function (t) {
+    //<editor-fold desc="Arrange">
+    var Hapi = require('hapi');
+    var config = require('../config');
+    var importHelper = require('../utilities/import-helper');
+
+    var authStrategy = config.authStrategy;
+    config.authStrategy = "token";
+
+    var models = createModel();
+    var server = new Hapi.Server();
+    server.connection();
+    server.auth.scheme("token", function () {
+      return {
+        authenticate: function (request, reply) {
+          return reply(Boom.unauthorized());
+        }
+      };
+    });
+    server.auth.strategy("token", "token");
+    server.route({
+      method: 'POST',
+      path: '/user',
+      config: {
+        auth: "token",
+        handler: function (request, reply) {
+          return reply(request.payload.map(function (document) {
+            return { _id: document._id };
+          })).code(201);
+        },
+        validate: {
+          headers: require('../utilities/rest-helper-factory')(Log, mongoose, server).defaultHeadersValidation
+        }
+      }
+    });
+
+    var request = {
+      path: "/user/import",
+      query: {},
+      headers: { authorization: "Bearer token", 'content-type': 'text/csv' },
+      payload: Buffer.from('email\r\na@test.com\r\nb@test.com\r\n'),
+      auth: { credentials: { user: "TEST" } },
+      server: server
+    };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var promise = importHelper.importHandler(models.userModel, request, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise
+        .then(function (result) {
+          t.deepEquals(result.counts, { created: 2 }, "rows created");
+        })
+        //</editor-fold>
+
+        //<editor-fold desc="Restore">
+        .then(function () {
+          config.authStrategy = authStrategy;
+          delete mongoose.models.user;
+          delete mongoose.modelSchemas.user;
+        });
+    //</editor-fold>
+  });
+
+  t.test('import-helper.importHandler doesn\'t import rows for a dry run.', function (t) {
+    //<editor-fold desc="Arrange">
+    var importHelper = require('../utilities/import-helper');
+
+    var models = createModel();
+    var inject = sinon.spy();
+
+    var request = {
+      path: "/user/import",
+      query: { dryRun: true, upsertKey: "email" },
+      headers: { 'content-type': 'text/csv' },
+      payload: Buffer.from('email\r\na@test.com\r\nb@test.com\r\n'),
+      auth: {},
+      server: { inject: inject }
+    };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var promise = importHelper.importHandler(models.userModel, request, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise
+        .then(function (result) {
+          t.notOk(inject.called, "inject not called");
+          t.deepEquals(result, {
+            dryRun: true,
+            counts: { valid: 2 },
+            rows: [
+              { row: 1, status: "valid", action: "create" },
+              { row: 2, status: "valid", action: "update", _id: models.existingId.toString() }
+            ]
+          }, "report correct");
+        })
+        //</editor-fold>
+
+        //<editor-fold desc="Restore">
+        .then(function () {
+          delete mongoose.models.user;
+          delete mongoose.modelSchemas.user;
+        });
+    //</editor-fold>
+  });
+
+  t.test('import-helper.importHandler throws a bad request error for unsupported payloads.', function (t) {
+    //<editor-fold desc="Arrange">
+    var importHelper = require('../utilities/import-helper');
+
+    var request = {
+      path: "/user/import",
+      query: {},
+      headers: { 'content-type': 'application/json' },
+      payload: Buffer.from('[]')
+    };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var promise = importHelper.importHandler({}, request, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise
+        .then(function () {
+          t.fail("error not thrown");
+        })
+        .catch(function (error) {
+          t.deepEquals(error, { message: "The import payload must be CSV or NDJSON.", type: "Bad Request" }, "error thrown");
+        });
+    //</editor-fold>
+  });
+
+  t.end();
+});
@@ -24,7 +24,7 @@ test('joi-mongoose-helper exists and has expected members', function (t) {
   //<editor-fold desc="Arrange">
   var joiMongooseHelper = require('../utilities/joi-mongoose-helper');
 
-  t.plan(8);
+  t.plan(9);
   //</editor-fold>
 
   //<editor-fold desc="Assert">
@@ -34,6 +34,7 @@ test('joi-mongoose-helper exists and has expected members', function (t) {
   t.ok(joiMongooseHelper.generateJoiCreateModel, "joi-mongoose-helper.generateJoiCreateModel exists.");
   t.ok(joiMongooseHelper.generateJoiListQueryModel, "joi-mongoose-helper.generateJoiListQueryModel exists.");
   t.ok(joiMongooseHelper.generateJoiFindQueryModel, "joi-mongoose-helper.generateJoiFindQueryModel exists.");
+  t.ok(joiMongooseHelper.generateJoiAggregateQueryModel, "joi-mongoose-helper.generateJoiAggregateQueryModel exists.");
   t.ok(joiMongooseHelper.generateJoiFieldModel, "joi-mongoose-helper.generateJoiFieldModel exists.");
   t.ok(joiMongooseHelper.generateJoiModelFromFieldType, "joi-mongoose-helper.generateJoiModelFromFieldType exists.");
   //</editor-fold>
@@ -272,6 +273,46 @@ test('joi-mongoose-helper.generateJoiReadModel', function (t) {
     //</editor-fold>
   });
 
+  t.test('joi-mongoose-helper.generateJoiReadModel describes fields with a "readScope" and doesn\'t require them.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(3);
+
+    var joiMongooseHelper = require('../utilities/joi-mongoose-helper');
+
+    var userSchema = new mongoose.Schema({
+      salary: {
+        type: Types.Number,
+        description: "The yearly salary",
+        requireOnRead: true,
+        readScope: ['Admin', 'HR']
+      },
+      email: {
+        type: Types.String,
+        readScope: []
+      }
+    });
+
+    userSchema.statics = {routeOptions: {}};
+    var userModel = mongoose.model("user", userSchema);
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var readModel = joiMongooseHelper.generateJoiReadModel(userModel, Log);
+    var children = _.keyBy(readModel._inner.children, 'key');
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.equals(children.salary.schema._description, "The yearly salary. Requires the scope to read: Admin, HR", "salary description includes the scope");
+    t.notOk(children.email.schema._description, "empty scopes not described");
+    t.ok(Joi.validate({}, readModel).error === null, "salary field not required");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    delete mongoose.models.user;
+    delete mongoose.modelSchemas.user;
+    //</editor-fold>
+  });
+
   t.test('joi-mongoose-helper.generateJoiReadModel includes associations.', function (t) {
     //<editor-fold desc="Arrange">
     t.plan(19);
@@ -878,6 +919,43 @@ test('joi-mongoose-helper.generateJoiCreateModel', function (t) {
     //</editor-fold>
   });
 
+  t.test('joi-mongoose-helper.generateJoiCreateModel describes fields with a "writeScope".', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(2);
+
+    var joiMongooseHelper = require('../utilities/joi-mongoose-helper');
+
+    var userSchema = new mongoose.Schema({
+      role: {
+        type: Types.String,
+        writeScope: 'SuperAdmin'
+      },
+      salary: {
+        type: Types.Number,
+        readScope: ['Admin']
+      }
+    });
+
+    userSchema.statics = {routeOptions: {}};
+    var userModel = mongoose.model("user", userSchema);
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var createModel = joiMongooseHelper.generateJoiCreateModel(userModel, Log);
+    var children = _.keyBy(createModel._inner.children, 'key');
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.equals(children.role.schema._description, "Requires the scope to write: SuperAdmin", "role description includes the scope");
+    t.notOk(children.salary.schema._description, "read scopes not described");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    delete mongoose.models.user;
+    delete mongoose.modelSchemas.user;
+    //</editor-fold>
+  });
+
   t.test('joi-mongoose-helper.generateJoiCreateModel includes associations.', function (t) {
     //<editor-fold desc="Arrange">
     t.plan(5);
@@ -2010,6 +2088,119 @@ test('joi-mongoose-helper.generateJoiListQueryModel', function (t) {
     //</editor-fold>
   }));
 
+  t.test('joi-mongoose-helper.generateJoiListQueryModel returns queryModel that validates field operator queries', sinon.test(function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(7);
+
+    var queryHelperStub = this.stub(require('../utilities/query-helper'));
+    queryHelperStub.getQueryableFields = this.spy(function () {
+      return ["queryable"]
+    });
+    queryHelperStub.getReadableFields = this.spy(function () {
+      return ["readable"]
+    });
+    queryHelperStub.getSortableFields = this.spy(function () {
+      return ["sortable"]
+    });
+
+
+    var generateJoiModelFromFieldType = sinon.spy(function(test){
+      return Joi.number()
+    });
+    var joiMongooseHelper = rewire('../utilities/joi-mongoose-helper');
+    joiMongooseHelper.__set__("internals.generateJoiModelFromFieldType", generateJoiModelFromFieldType);
+    joiMongooseHelper.__set__("queryHelper", queryHelperStub);
+    joiMongooseHelper.__set__("config", { enableQueryValidation: true });
+
+
+
+    var userSchema = new mongoose.Schema({
+      queryable: {
+        type: Types.Number
+      }
+    });
+
+    userSchema.statics = {routeOptions: {}};
+
+    var userModel = mongoose.model("user", userSchema);
+
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var queryModel = joiMongooseHelper.generateJoiListQueryModel(userModel, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.ok(Joi.validate({ "queryable[$gt]": 30 }, queryModel).error === null, "queryable[$gt]: 30 allowed");
+    t.ok(Joi.validate({ "queryable[$lte]": "notanumber" }, queryModel).error !== null, "queryable[$lte]: 'notanumber' not allowed");
+    t.ok(Joi.validate({ "queryable[$nin]": [1, 2] }, queryModel).error === null, "queryable[$nin]: [1, 2] allowed");
+    t.ok(Joi.validate({ "queryable[$exists]": true }, queryModel).error === null, "queryable[$exists]: true allowed");
+    t.ok(Joi.validate({ "queryable[$regex]": "^1" }, queryModel).error === null, "queryable[$regex]: '^1' allowed");
+    t.ok(Joi.validate({ "queryable[$in]": 1 }, queryModel).error !== null, "queryable[$in] not allowed");
+    t.ok(Joi.validate({ "notafield[$gt]": 1 }, queryModel).error !== null, "notafield[$gt] not allowed");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    delete mongoose.models.user;
+    delete mongoose.modelSchemas.user;
+    //</editor-fold>
+  }));
+
+
+  t.test('joi-mongoose-helper.generateJoiListQueryModel returns queryModel that allows association queries', sinon.test(function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(3);
+
+    var queryHelperStub = this.stub(require('../utilities/query-helper'));
+    queryHelperStub.getQueryableFields = this.spy(function () {
+      return ["queryable"]
+    });
+    queryHelperStub.getReadableFields = this.spy(function () {
+      return ["readable"]
+    });
+    queryHelperStub.getSortableFields = this.spy(function () {
+      return ["sortable"]
+    });
+
+    var joiMongooseHelper = rewire('../utilities/joi-mongoose-helper');
+    joiMongooseHelper.__set__("queryHelper", queryHelperStub);
+    joiMongooseHelper.__set__("config", { enableQueryValidation: true });
+
+    var userSchema = new mongoose.Schema({
+      queryable: {
+        type: Types.Number
+      }
+    });
+
+    userSchema.statics = {
+      routeOptions: {
+        associations: {
+          role: {
+            type: "MANY_ONE",
+            model: "role"
+          }
+        }
+      }
+    };
+
+    var userModel = mongoose.model("user", userSchema);
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var queryModel = joiMongooseHelper.generateJoiListQueryModel(userModel, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.ok(Joi.validate({ "role.name": "Admin" }, queryModel).error === null, "role.name: 'Admin' allowed");
+    t.ok(Joi.validate({ "role.rank[$gt]": 2 }, queryModel).error === null, "role.rank[$gt]: 2 allowed");
+    t.ok(Joi.validate({ "group.name": "Admin" }, queryModel).error !== null, "group.name: 'Admin' not allowed");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    delete mongoose.models.user;
+    delete mongoose.modelSchemas.user;
+    //</editor-fold>
+  }));
 
   t.end();
 });
@@ -2244,5 +2435,59 @@ test('joi-mongoose-helper.generateJoiFindQueryModel', function (t) {
   }));
 
 
+  t.end();
+});
+
+test('joi-mongoose-helper.generateJoiAggregateQueryModel', function (t) {
+
+  t.test('joi-mongoose-helper.generateJoiAggregateQueryModel returns queryModel that validates aggregate parameters', sinon.test(function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(7);
+
+    var queryHelperStub = this.stub(require('../utilities/query-helper'));
+    queryHelperStub.getQueryableFields = this.spy(function () {
+      return ["queryable"]
+    });
+
+    var generateJoiModelFromFieldType = sinon.spy(function(test){
+      return Joi.number()
+    });
+    var joiMongooseHelper = rewire('../utilities/joi-mongoose-helper');
+    joiMongooseHelper.__set__("internals.generateJoiModelFromFieldType", generateJoiModelFromFieldType);
+    joiMongooseHelper.__set__("queryHelper", queryHelperStub);
+    joiMongooseHelper.__set__("config", { enableQueryValidation: true });
+
+    var userSchema = new mongoose.Schema({
+      queryable: {
+        type: Types.Number
+      }
+    });
+
+    userSchema.statics = {routeOptions: {}};
+
+    var userModel = mongoose.model("user", userSchema);
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var queryModel = joiMongooseHelper.generateJoiAggregateQueryModel(userModel, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.ok(Joi.validate({ $groupBy: ["queryable"] }, queryModel).error === null, "$groupBy: ['queryable'] allowed");
+    t.ok(Joi.validate({ $groupBy: ["notqueryable"] }, queryModel).error !== null, "$groupBy: ['notqueryable'] not allowed");
+    t.ok(Joi.validate({ $sum: "queryable", $avg: "queryable", $min: "queryable", $max: "queryable" }, queryModel).error === null,
+        "accumulator parameters allowed");
+    t.ok(Joi.validate({ $countBy: "queryable" }, queryModel).error === null, "$countBy: 'queryable' allowed");
+    t.ok(Joi.validate({ queryable: 3, "queryable[$gt]": 2 }, queryModel).error === null, "field queries allowed");
+    t.ok(Joi.validate({ $limit: 10 }, queryModel).error !== null, "$limit not allowed");
+    t.ok(Joi.validate({ $embed: "text" }, queryModel).error !== null, "$embed not allowed");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    delete mongoose.models.user;
+    delete mongoose.modelSchemas.user;
+    //</editor-fold>
+  }));
+
   t.end();
 });
@@ -175,6 +175,41 @@ test('model-helper.createModel', function(t) {
     //</editor-fold>
   }));
 
+  t.test('model-helper.createModel adds a tenantId property to multi-tenant models.', sinon.test(function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(2);
+
+    var modelHelper = rewire('../utilities/model-helper');
+    var config = {
+      multiTenant: true
+    };
+    modelHelper.__set__("config", config);
+
+    var mongooseStub = this.stub(mongoose);
+
+    let tenantId = {
+      tenantId: {
+        type: mongoose.Schema.Types.String,
+        index: true,
+        allowOnUpdate: false
+      }
+    };
+
+    var Schema = { add: this.spy(), statics: { collectionName: "user", routeOptions: {} } };
+    var excludedSchema = { add: this.spy(), statics: { collectionName: "auditLog", routeOptions: { multiTenant: false } } };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    modelHelper.createModel(Schema, mongooseStub);
+    modelHelper.createModel(excludedSchema, mongooseStub);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.ok(Schema.add.calledWithExactly(tenantId), "Schema.add called with tenantId");
+    t.notok(excludedSchema.add.called, "Schema.add not called for excluded models");
+    //</editor-fold>
+  }));
+
   t.end();
 });
 
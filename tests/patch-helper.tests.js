@@ -0,0 +1,371 @@
+'use strict';
+
+var test = require('blue-tape');
+var sinon = require('sinon');
+var Joi = require('joi');
+var mongoose = require('mongoose');
+var Types = mongoose.Schema.Types;
+var Q = require('q');
+var logging = require('loggin');
+var Log = logging.getLogger("tests");
+Log.logLevel = "ERROR";
+Log = Log.bind("patch-helper");
+
+test('patch-helper exists and has expected members', function (t) {
+  //<editor-fold desc="Arrange">
+  var patchHelper = require('../utilities/patch-helper');
+
+  t.plan(4);
+  //</editor-fold>
+
+  //<editor-fold desc="Assert">
+  t.ok(patchHelper, "patch-helper exists.");
+  t.ok(patchHelper.generateJoiPatchModel, "patch-helper.generateJoiPatchModel exists.");
+  t.ok(patchHelper.applyPatch, "patch-helper.applyPatch exists.");
+  t.ok(patchHelper.createUpdatePayload, "patch-helper.createUpdatePayload exists.");
+  //</editor-fold>
+});
+
+test('patch-helper.generateJoiPatchModel', function (t) {
+
+  t.test('patch-helper.generateJoiPatchModel validates JSON Patch operations.', function (t) {
+    //<editor-fold desc="Arrange">
+    var patchHelper = require('../utilities/patch-helper');
+
+    t.plan(6);
+
+    var userSchema = new mongoose.Schema({});
+    userSchema.statics = {routeOptions: {}};
+    var userModel = mongoose.model("user", userSchema);
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var patchModel = patchHelper.generateJoiPatchModel(userModel, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.equals(patchModel._flags.label, "userPatchModel", "label correct");
+    t.notOk(Joi.validate([
+      { op: "add", path: "/tags/-", value: "x" },
+      { op: "remove", path: "/nickname" },
+      { op: "move", from: "/a", path: "/b" },
+      { op: "test", path: "/email", value: null }
+    ], patchModel).error, "valid operations allowed");
+    t.ok(Joi.validate([], patchModel).error, "empty patch not allowed");
+    t.ok(Joi.validate([{ op: "merge", path: "/email" }], patchModel).error, "unknown operation not allowed");
+    t.ok(Joi.validate([{ op: "copy", path: "/email" }], patchModel).error, "copy without from not allowed");
+    t.ok(Joi.validate([{ op: "replace", path: "/email" }], patchModel).error, "replace without value not allowed");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    delete mongoose.models.user;
+    delete mongoose.modelSchemas.user;
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('patch-helper.applyPatch', function (t) {
+
+  t.test('patch-helper.applyPatch applies operations to nested objects and arrays.', function (t) {
+    //<editor-fold desc="Arrange">
+    var patchHelper = require('../utilities/patch-helper');
+
+    t.plan(2);
+
+    var document = {
+      email: "a@test.com",
+      nickname: "al",
+      profile: { city: "Paris", pets: ["cat", "dog"] },
+      "a/b~c": 1
+    };
+    var patch = [
+      { op: "replace", path: "/profile/city", value: "Rome" },
+      { op: "add", path: "/profile/pets/1", value: "fish" },
+      { op: "add", path: "/profile/pets/-", value: "bird" },
+      { op: "remove", path: "/nickname" },
+      { op: "move", from: "/profile/pets/0", path: "/pet" },
+      { op: "copy", from: "/profile", path: "/address" },
+      { op: "test", path: "/a~1b~0c", value: 1 },
+      { op: "add", path: "/a~1b~0c", value: 2 }
+    ];
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var result = patchHelper.applyPatch(document, patch);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEquals(result, {
+      email: "a@test.com",
+      profile: { city: "Rome", pets: ["fish", "dog", "bird"] },
+      "a/b~c": 2,
+      pet: "cat",
+      address: { city: "Rome", pets: ["fish", "dog", "bird"] }
+    }, "document patched");
+    t.deepEquals(document.profile, { city: "Paris", pets: ["cat", "dog"] }, "original document not modified");
+    //</editor-fold>
+  });
+
+  t.test('patch-helper.applyPatch throws a conflict error if a "test" operation fails.', function (t) {
+    //<editor-fold desc="Arrange">
+    var patchHelper = require('../utilities/patch-helper');
+    var errorHelper = require('../utilities/error-helper');
+
+    t.plan(2);
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    try {
+      patchHelper.applyPatch({ email: "a@test.com" }, [
+        { op: "replace", path: "/email", value: "b@test.com" },
+        { op: "test", path: "/email", value: "a@test.com" }
+      ]);
+    }
+    catch (error) {
+      //</editor-fold>
+
+      //<editor-fold desc="Assert">
+      t.equals(error.type, errorHelper.types.CONFLICT, "conflict error thrown");
+      t.equals(error.message, 'Patch operation 1 failed: the value at "/email" does not match.', "error message correct");
+      //</editor-fold>
+    }
+  });
+
+  t.test('patch-helper.applyPatch throws a bad request error for paths that don\'t exist.', function (t) {
+    //<editor-fold desc="Arrange">
+    var patchHelper = require('../utilities/patch-helper');
+    var errorHelper = require('../utilities/error-helper');
+
+    t.plan(4);
+
+    var document = { profile: { pets: ["cat"] } };
+    var patches = [
+      [{ op: "remove", path: "/nickname" }],
+      [{ op: "add", path: "/address/city", value: "Rome" }],
+      [{ op: "replace", path: "/profile/pets/1", value: "dog" }],
+      [{ op: "move", from: "/profile", path: "/profile/old" }]
+    ];
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    patches.forEach(function (patch) {
+      try {
+        patchHelper.applyPatch(document, patch);
+      }
+      catch (error) {
+        //</editor-fold>
+
+        //<editor-fold desc="Assert">
+        t.equals(error.type, errorHelper.types.BAD_REQUEST, "bad request error thrown for " + patch[0].op);
+        //</editor-fold>
+      }
+    });
+  });
+
+  t.end();
+});
+
+test('patch-helper.createUpdatePayload', function (t) {
+
+  var createModel = function (document) {
+    var userSchema = new mongoose.Schema({
+      email: {
+        type: Types.String,
+        required: true
+      },
+      nickname: {
+        type: Types.String
+      },
+      age: {
+        type: Types.Number
+      },
+      password: {
+        type: Types.String,
+        exclude: true
+      },
+      salary: {
+        type: Types.Number,
+        readScope: ['Admin']
+      }
+    });
+    userSchema.statics = {routeOptions: {}};
+    var userModel = mongoose.model("user", userSchema);
+
+    userModel.findOne = sinon.spy(function () {
+      return {
+        lean: function () {
+          return Q.when(document);
+        }
+      }
+    });
+
+    return userModel;
+  };
+
+  t.test('patch-helper.createUpdatePayload returns the changed fields and the removed fields.', function (t) {
+    //<editor-fold desc="Arrange">
+    var patchHelper = require('../utilities/patch-helper');
+
+    var _id = mongoose.Types.ObjectId();
+    var userModel = createModel({ _id: _id, email: "a@test.com", nickname: "al", age: 30, createdAt: new Date(0) });
+    var patch = [
+      { op: "replace", path: "/age", value: 31 },
+      { op: "replace", path: "/email", value: "a@test.com" },
+      { op: "remove", path: "/nickname" }
+    ];
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var promise = patchHelper.createUpdatePayload(userModel, _id, patch, {}, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise
+        .then(function (result) {
+          t.ok(userModel.findOne.calledWith({ '_id': _id }), "document found");
+          t.deepEquals(result, { payload: { age: 31 }, unset: ["nickname"] }, "update payload correct");
+        })
+        //</editor-fold>
+
+        //<editor-fold desc="Restore">
+        .then(function () {
+          delete mongoose.models.user;
+          delete mongoose.modelSchemas.user;
+        });
+    //</editor-fold>
+  });
+
+  t.test('patch-helper.createUpdatePayload validates the patched fields against the update model.', function (t) {
+    //<editor-fold desc="Arrange">
+    var patchHelper = require('../utilities/patch-helper');
+    var errorHelper = require('../utilities/error-helper');
+
+    var _id = mongoose.Types.ObjectId();
+    var userModel = createModel({ _id: _id, email: "a@test.com", createdAt: new Date(0) });
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var invalidPromise = patchHelper.createUpdatePayload(userModel, _id, [{ op: "add", path: "/age", value: "old" }], {}, Log);
+    var removePromise = patchHelper.createUpdatePayload(userModel, _id, [{ op: "remove", path: "/createdAt" }], {}, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return Q.allSettled([invalidPromise, removePromise])
+        .then(function (results) {
+          t.equals(results[0].reason.type, errorHelper.types.BAD_REQUEST, "invalid value rejected");
+          t.equals(results[1].reason.message, '"createdAt" is not allowed', "removing a field that can't be updated rejected");
+        })
+        //</editor-fold>
+
+        //<editor-fold desc="Restore">
+        .then(function () {
+          delete mongoose.models.user;
+          delete mongoose.modelSchemas.user;
+        });
+    //</editor-fold>
+  });
+
+  t.test('patch-helper.createUpdatePayload throws a not found error if the document doesn\'t exist.', function (t) {
+    //<editor-fold desc="Arrange">
+    var patchHelper = require('../utilities/patch-helper');
+    var errorHelper = require('../utilities/error-helper');
+
+    var userModel = createModel(null);
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var promise = patchHelper.createUpdatePayload(userModel, mongoose.Types.ObjectId(), [{ op: "remove", path: "/age" }], {}, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise
+        .catch(function (error) {
+          t.equals(error.type, errorHelper.types.NOT_FOUND, "not found error thrown");
+        })
+        //</editor-fold>
+
+        //<editor-fold desc="Restore">
+        .then(function () {
+          delete mongoose.models.user;
+          delete mongoose.modelSchemas.user;
+        });
+    //</editor-fold>
+  });
+
+  t.test('patch-helper.createUpdatePayload rejects operations on hidden fields.', function (t) {
+    //<editor-fold desc="Arrange">
+    var patchHelper = require('../utilities/patch-helper');
+    var errorHelper = require('../utilities/error-helper');
+
+    var _id = mongoose.Types.ObjectId();
+    var userModel = createModel({ _id: _id, email: "a@test.com", password: "hash", salary: 100 });
+    var request = { auth: { credentials: { scope: ['User'] } } };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var excludedPromise = patchHelper.createUpdatePayload(userModel, _id, [{ op: "test", path: "/password", value: "hash" }], request, Log);
+    var unreadablePromise = patchHelper.createUpdatePayload(userModel, _id, [{ op: "test", path: "/salary", value: 100 }], request, Log);
+    var fromPromise = patchHelper.createUpdatePayload(userModel, _id, [{ op: "copy", from: "/salary", path: "/age" }], request, Log);
+    var rootPromise = patchHelper.createUpdatePayload(userModel, _id, [{ op: "test", path: "", value: { _id: _id.toString(), email: "a@test.com" } }], request, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return Q.allSettled([excludedPromise, unreadablePromise, fromPromise, rootPromise])
+        .then(function (results) {
+          t.equals(results[0].reason.message, 'Patch operation 0 failed: the field "password" can\'t be patched.', "excluded field rejected");
+          t.equals(results[1].reason.type, errorHelper.types.FORBIDDEN, "unreadable field rejected");
+          t.equals(results[2].reason.message, "Insufficient scope to patch the fields: salary.", "unreadable \"from\" field rejected");
+          t.deepEquals(results[3].value, { payload: {}, unset: [] }, "hidden fields left out of the whole document");
+          t.equals(userModel.findOne.callCount, 1, "document not found for rejected patches");
+        })
+        //</editor-fold>
+
+        //<editor-fold desc="Restore">
+        .then(function () {
+          delete mongoose.models.user;
+          delete mongoose.modelSchemas.user;
+        });
+    //</editor-fold>
+  });
+
+  t.test('patch-helper.createUpdatePayload only finds documents the update filters of the request allow.', function (t) {
+    //<editor-fold desc="Arrange">
+    var patchHelper = require('../utilities/patch-helper');
+    var config = require('../config');
+
+    var multiTenant = config.multiTenant;
+    var enableDocumentScopes = config.enableDocumentScopes;
+    config.multiTenant = true;
+    config.enableDocumentScopes = false;
+
+    var _id = mongoose.Types.ObjectId();
+    var userModel = createModel(null);
+    var request = { auth: { credentials: { scope: ['User'], user: { tenantId: "T1" } } } };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var promise = patchHelper.createUpdatePayload(userModel, _id, [{ op: "test", path: "/age", value: 30 }], request, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise
+        .catch(function (error) {
+          t.ok(userModel.findOne.calledWith({ $and: [{ '_id': _id }, { tenantId: "T1" }] }), "tenant filter applied");
+          t.equals(error.message, "No resource was found with that id.", "documents of other tenants not found");
+        })
+        //</editor-fold>
+
+        //<editor-fold desc="Restore">
+        .then(function () {
+          config.multiTenant = multiTenant;
+          config.enableDocumentScopes = enableDocumentScopes;
+          delete mongoose.models.user;
+          delete mongoose.modelSchemas.user;
+        });
+    //</editor-fold>
+  });
+
+  t.end();
+});
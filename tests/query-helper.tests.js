@@ -20,7 +20,7 @@ test('query-helper exists and has expected members', function (t) {
   //<editor-fold desc="Arrange">
   var queryHelper = require('../utilities/query-helper');
 
-  t.plan(11);
+  t.plan(17);
   //</editor-fold>
 
   //<editor-fold desc="Assert">
@@ -33,8 +33,14 @@ test('query-helper exists and has expected members', function (t) {
   t.ok(queryHelper.setPage, "query-helper.setPage exists.");
   t.ok(queryHelper.paginate, "query-helper.setPage exists.");
   t.ok(queryHelper.populateEmbeddedDocs, "query-helper.populateEmbeddedDocs exists.");
+  t.ok(queryHelper.addPopulateMatch, "query-helper.addPopulateMatch exists.");
   t.ok(queryHelper.setSort, "query-helper.setSort exists.");
   t.ok(queryHelper.createAttributesFilter, "query-helper.createAttributesFilter exists.");
+  t.ok(queryHelper.setFieldOperators, "query-helper.setFieldOperators exists.");
+  t.ok(queryHelper.setCursor, "query-helper.setCursor exists.");
+  t.ok(queryHelper.createCursorPages, "query-helper.createCursorPages exists.");
+  t.ok(queryHelper.createAggregatePipeline, "query-helper.createAggregatePipeline exists.");
+  t.ok(queryHelper.setAssociationFilters, "query-helper.setAssociationFilters exists.");
   //</editor-fold>
 });
 
@@ -867,6 +873,37 @@ test('query-helper.populateEmbeddedDocs', function (t) {
   t.end();
 });
 
+test('query-helper.addPopulateMatch', function (t) {
+  t.test('query-helper.addPopulateMatch combines the conditions of each populateMatch function.', function (t) {
+    //<editor-fold desc="Arrange">
+    var queryHelper = require('../utilities/query-helper');
+
+    t.plan(3);
+
+    var userModel = { modelName: "user" };
+    var groupModel = { modelName: "group" };
+    var query = {};
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    queryHelper.addPopulateMatch(query, function(model) {
+      return model === userModel ? { tenantId: "TENANT" } : null;
+    });
+    queryHelper.addPopulateMatch(query, function(model) {
+      return { "scope.readScope": "User" };
+    });
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEqual(query.populateMatch(userModel), { $and: [{ tenantId: "TENANT" }, { "scope.readScope": "User" }] }, "conditions combined");
+    t.deepEqual(query.populateMatch(groupModel), { "scope.readScope": "User" }, "single condition returned");
+    t.equals(queryHelper.addPopulateMatch({}, function() { return null }).populateMatch(userModel), null, "null returned without conditions");
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
 test('query-helper.setSort', function (t) {
   t.test('query-helper.setSort calls the "sort" function with the "$sort" query parameter.', function (t) {
     //<editor-fold desc="Arrange">
@@ -1323,6 +1360,705 @@ test('query-helper.createMongooseQuery', function (t) {
   t.end();
 });
 
+test('query-helper.setFieldOperators', function (t) {
+
+  t.test('query-helper.setFieldOperators converts operator keys into mongoose format.', function (t) {
+    //<editor-fold desc="Arrange">
+    var queryHelper = require('../utilities/query-helper');
+
+    t.plan(6);
+
+    var userSchema = new mongoose.Schema({
+      age: {
+        type: Types.Number
+      },
+      email: {
+        type: Types.String
+      },
+      title: {
+        type: Types.String
+      }
+    });
+
+    userSchema.statics = {routeOptions: {}};
+    var userModel = mongoose.model("user", userSchema);
+
+    var query = {
+      "age[$gt]": "30",
+      "age[$lte]": "65",
+      "age[$nin]": "40,50",
+      "email[$regex]": "^test",
+      "title[$exists]": "false"
+    };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    queryHelper.setFieldOperators(query, userModel, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEqual(Object.keys(query).sort(), ["age", "email", "title"], "operator keys replaced with field keys");
+    t.equal(query.age.$gt, 30, "$gt value cast to a number");
+    t.equal(query.age.$lte, 65, "$lte value cast to a number");
+    t.deepEqual(query.age.$nin, [40, 50], "$nin values split and cast");
+    t.ok(_.isRegExp(query.email.$regex) && query.email.$regex.source === "^test", "$regex value converted to a RegExp");
+    t.equal(query.title.$exists, false, "$exists value cast to a boolean");
+    //</editor-fold>
+
+
+    //<editor-fold desc="Restore">
+    delete mongoose.models.user;
+    delete mongoose.modelSchemas.user;
+    //</editor-fold>
+  });
+
+  t.test('query-helper.setFieldOperators casts plain operator objects and leaves other objects alone.', function (t) {
+    //<editor-fold desc="Arrange">
+    var queryHelper = require('../utilities/query-helper');
+
+    t.plan(2);
+
+    var userSchema = new mongoose.Schema({
+      age: {
+        type: Types.Number
+      },
+      email: {
+        type: Types.String
+      }
+    });
+
+    userSchema.statics = {routeOptions: {}};
+    var userModel = mongoose.model("user", userSchema);
+
+    var query = {
+      age: { $gte: "21" },
+      email: { $in: ["test@user.com"] }
+    };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    queryHelper.setFieldOperators(query, userModel, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEqual(query.age, { $gte: 21 }, "operator object cast");
+    t.deepEqual(query.email, { $in: ["test@user.com"] }, "unsupported operator object untouched");
+    //</editor-fold>
+
+
+    //<editor-fold desc="Restore">
+    delete mongoose.models.user;
+    delete mongoose.modelSchemas.user;
+    //</editor-fold>
+  });
+
+  t.test('query-helper.setFieldOperators throws an error for invalid operator queries.', function (t) {
+    //<editor-fold desc="Arrange">
+    var queryHelper = require('../utilities/query-helper');
+
+    t.plan(3);
+
+    var userSchema = new mongoose.Schema({
+      age: {
+        type: Types.Number
+      },
+      password: {
+        type: Types.String,
+        queryable: false
+      }
+    });
+
+    userSchema.statics = {routeOptions: {}};
+    var userModel = mongoose.model("user", userSchema);
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.throws(function () {
+      queryHelper.setFieldOperators({ "age[$where]": "1" }, userModel, Log);
+    }, /Unsupported operator/, "unsupported operator throws");
+    t.throws(function () {
+      queryHelper.setFieldOperators({ "password[$regex]": "a" }, userModel, Log);
+    }, /not a queryable field/, "non-queryable field throws");
+    t.throws(function () {
+      queryHelper.setFieldOperators({ "age[$gt]": "notanumber" }, userModel, Log);
+    }, /Invalid value/, "invalid value throws");
+    //</editor-fold>
+
+
+    //<editor-fold desc="Restore">
+    delete mongoose.models.user;
+    delete mongoose.modelSchemas.user;
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('query-helper.setAssociationFilters', function (t) {
+
+  t.test('query-helper.setAssociationFilters resolves MANY_ONE and embedded MANY_MANY queries into "$where" filters.', function (t) {
+    //<editor-fold desc="Arrange">
+    var queryHelper = require('../utilities/query-helper');
+
+    t.plan(5);
+
+    var roleId = mongoose.Types.ObjectId();
+    var permissionId = mongoose.Types.ObjectId();
+
+    var roleSchema = new mongoose.Schema({
+      name: {
+        type: Types.String
+      }
+    });
+    roleSchema.statics = {routeOptions: {}};
+    var roleModel = mongoose.model("role", roleSchema);
+    roleModel.distinct = sinon.spy(function () {
+      return { exec: function () { return Promise.resolve([roleId]) } }
+    });
+
+    var permissionSchema = new mongoose.Schema({
+      name: {
+        type: Types.String
+      }
+    });
+    permissionSchema.statics = {routeOptions: {}};
+    var permissionModel = mongoose.model("permission", permissionSchema);
+    permissionModel.distinct = sinon.spy(function () {
+      return { exec: function () { return Promise.resolve([permissionId]) } }
+    });
+
+    var userSchema = new mongoose.Schema({
+      email: {
+        type: Types.String
+      },
+      profile: {
+        age: {
+          type: Types.Number
+        }
+      }
+    });
+    userSchema.statics = {
+      routeOptions: {
+        associations: {
+          role: {
+            type: "MANY_ONE",
+            model: "role",
+            include: { model: roleModel, as: "role" }
+          },
+          permissions: {
+            type: "MANY_MANY",
+            model: "permission",
+            embedAssociation: true,
+            include: { model: permissionModel, as: "permissions" }
+          }
+        }
+      }
+    };
+    var userModel = mongoose.model("user", userSchema);
+
+    var query = { "role.name": "Admin", "permissions.name[$ne]": "root", "profile.age": 30, $where: { email: "test" } };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var promise = queryHelper.setAssociationFilters(userModel, query, null, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    promise.then(function (result) {
+      t.equal(result, query, "query updated in place");
+      t.ok(roleModel.distinct.calledWith("_id", { name: "Admin" }), "role ids queried");
+      t.ok(permissionModel.distinct.calledWith("_id", { name: { $ne: "root" } }), "permission ids queried");
+      t.deepEqual(Object.keys(query).sort(), ["$where", "profile.age"], "association queries removed and nested fields kept");
+      t.deepEqual(query.$where, { $and: [{ email: "test" }, { role: { $in: [roleId] } }, { "permissions.permission": { $in: [permissionId] } }] },
+          "filters added to $where");
+    })
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+        .then(function () {
+          delete mongoose.models.user;
+          delete mongoose.modelSchemas.user;
+          delete mongoose.models.role;
+          delete mongoose.modelSchemas.role;
+          delete mongoose.models.permission;
+          delete mongoose.modelSchemas.permission;
+        });
+    //</editor-fold>
+  });
+
+  t.test('query-helper.setAssociationFilters resolves ONE_MANY and linking collection MANY_MANY queries into "_id" filters.', function (t) {
+    //<editor-fold desc="Arrange">
+    var queryHelper = require('../utilities/query-helper');
+
+    t.plan(4);
+
+    var userId = mongoose.Types.ObjectId();
+    var permissionId = mongoose.Types.ObjectId();
+    var linkedRoleId = mongoose.Types.ObjectId();
+
+    var userSchema = new mongoose.Schema({
+      email: {
+        type: Types.String
+      }
+    });
+    userSchema.statics = {routeOptions: {}};
+    var userModel = mongoose.model("user", userSchema);
+    userModel.distinct = sinon.spy(function () {
+      return { exec: function () { return Promise.resolve([userId]) } }
+    });
+
+    var permissionSchema = new mongoose.Schema({
+      name: {
+        type: Types.String
+      }
+    });
+    permissionSchema.statics = {routeOptions: {}};
+    var permissionModel = mongoose.model("permission", permissionSchema);
+    permissionModel.distinct = sinon.spy(function () {
+      return { exec: function () { return Promise.resolve([permissionId]) } }
+    });
+
+    var linkingModel = {
+      distinct: sinon.spy(function () {
+        return { exec: function () { return Promise.resolve([linkedRoleId]) } }
+      })
+    };
+
+    var roleSchema = new mongoose.Schema({
+      name: {
+        type: Types.String
+      }
+    });
+    roleSchema.statics = {
+      routeOptions: {
+        associations: {
+          users: {
+            type: "ONE_MANY",
+            model: "user",
+            foreignField: "role",
+            include: { model: userModel, as: "users" }
+          },
+          permissions: {
+            type: "MANY_MANY",
+            model: "permission",
+            embedAssociation: false,
+            include: { model: permissionModel, through: linkingModel, as: "permissions" }
+          }
+        }
+      }
+    };
+    var roleModel = mongoose.model("role", roleSchema);
+
+    var query = { "users.email": "test@user.com", "permissions.name": "root" };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var promise = queryHelper.setAssociationFilters(roleModel, query, null, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    promise.then(function (result) {
+      t.ok(userModel.distinct.calledWith("role", { email: "test@user.com" }), "foreign field values queried");
+      t.ok(permissionModel.distinct.calledWith("_id", { name: "root" }), "permission ids queried");
+      t.ok(linkingModel.distinct.calledWith("role", { permission: { $in: [permissionId] } }), "linking collection queried");
+      t.deepEqual(query.$where, { $and: [{ _id: { $in: [userId] } }, { _id: { $in: [linkedRoleId] } }] }, "filters added to $where");
+    })
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+        .then(function () {
+          delete mongoose.models.user;
+          delete mongoose.modelSchemas.user;
+          delete mongoose.models.role;
+          delete mongoose.modelSchemas.role;
+          delete mongoose.models.permission;
+          delete mongoose.modelSchemas.permission;
+        });
+    //</editor-fold>
+  });
+
+  t.test('query-helper.setAssociationFilters only matches the associated documents the read filter allows.', function (t) {
+    //<editor-fold desc="Arrange">
+    var queryHelper = require('../utilities/query-helper');
+
+    t.plan(3);
+
+    var visibleRoleId = mongoose.Types.ObjectId();
+    var hiddenRoleId = mongoose.Types.ObjectId();
+    var roles = [
+      { _id: visibleRoleId, name: "Admin", tenantId: "T1" },
+      { _id: hiddenRoleId, name: "Admin", tenantId: "T2" }
+    ];
+
+    var roleSchema = new mongoose.Schema({
+      name: {
+        type: Types.String
+      },
+      tenantId: {
+        type: Types.String
+      }
+    });
+    roleSchema.statics = {routeOptions: {}};
+    var roleModel = mongoose.model("role", roleSchema);
+    roleModel.distinct = sinon.spy(function (field, conditions) {
+      var childIds = roles.filter(function (role) {
+        return role.name === conditions.$and[0].name && role.tenantId === conditions.$and[1].tenantId;
+      }).map(function (role) {
+        return role[field];
+      });
+      return { exec: function () { return Promise.resolve(childIds) } }
+    });
+
+    var userSchema = new mongoose.Schema({});
+    userSchema.statics = {
+      routeOptions: {
+        associations: {
+          role: {
+            type: "MANY_ONE",
+            model: "role",
+            include: { model: roleModel, as: "role" }
+          }
+        }
+      }
+    };
+    var userModel = mongoose.model("user", userSchema);
+
+    var getReadFilter = sinon.spy(function () {
+      return { tenantId: "T1" };
+    });
+    var query = { "role.name": "Admin" };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var promise = queryHelper.setAssociationFilters(userModel, query, getReadFilter, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    promise.then(function () {
+      t.ok(getReadFilter.calledWith(roleModel), "read filter of the associated model used");
+      t.ok(roleModel.distinct.calledWith("_id", { $and: [{ name: "Admin" }, { tenantId: "T1" }] }), "role ids queried with the read filter");
+      t.deepEqual(query.$where, { $and: [{ role: { $in: [visibleRoleId] } }] }, "hidden roles excluded");
+    })
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+        .then(function () {
+          delete mongoose.models.user;
+          delete mongoose.modelSchemas.user;
+          delete mongoose.models.role;
+          delete mongoose.modelSchemas.role;
+        });
+    //</editor-fold>
+  });
+
+  t.test('query-helper.setAssociationFilters rejects associated fields that aren\'t queryable.', function (t) {
+    //<editor-fold desc="Arrange">
+    var queryHelper = require('../utilities/query-helper');
+
+    t.plan(1);
+
+    var roleSchema = new mongoose.Schema({
+      name: {
+        type: Types.String
+      },
+      secret: {
+        type: Types.String,
+        queryable: false
+      }
+    });
+    roleSchema.statics = {routeOptions: {}};
+    var roleModel = mongoose.model("role", roleSchema);
+
+    var userSchema = new mongoose.Schema({});
+    userSchema.statics = {
+      routeOptions: {
+        associations: {
+          role: {
+            type: "MANY_ONE",
+            model: "role",
+            include: { model: roleModel, as: "role" }
+          }
+        }
+      }
+    };
+    var userModel = mongoose.model("user", userSchema);
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var promise = queryHelper.setAssociationFilters(userModel, { "role.secret": "test" }, null, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    promise.catch(function (error) {
+      t.equal(error, "'role.secret' is not a queryable field.", "error thrown");
+    })
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+        .then(function () {
+          delete mongoose.models.user;
+          delete mongoose.modelSchemas.user;
+          delete mongoose.models.role;
+          delete mongoose.modelSchemas.role;
+        });
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('query-helper.setCursor', function (t) {
+
+  t.test('query-helper.setCursor adds "_id" to the sort and fetches an extra document.', function (t) {
+    //<editor-fold desc="Arrange">
+    var queryHelper = require('../utilities/query-helper');
+
+    t.plan(3);
+
+    var userSchema = new mongoose.Schema({
+      age: {
+        type: Types.Number
+      }
+    });
+
+    userSchema.statics = {routeOptions: {}};
+    var userModel = mongoose.model("user", userSchema);
+
+    var query = {$after: "", $limit: 10};
+    var mongooseQuery = userModel.find().sort('-age');
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    queryHelper.setCursor(query, mongooseQuery, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEqual(mongooseQuery.options.sort, {age: -1, _id: 1}, "sort includes _id");
+    t.equal(mongooseQuery.options.limit, 11, "limit increased by one");
+    t.deepEqual(mongooseQuery.getQuery(), {}, "no keyset condition for an empty cursor");
+    //</editor-fold>
+
+
+    //<editor-fold desc="Restore">
+    delete mongoose.models.user;
+    delete mongoose.modelSchemas.user;
+    //</editor-fold>
+  });
+
+  t.test('query-helper.setCursor creates a keyset condition from the cursor.', function (t) {
+    //<editor-fold desc="Arrange">
+    var queryHelper = require('../utilities/query-helper');
+
+    t.plan(4);
+
+    var userSchema = new mongoose.Schema({
+      age: {
+        type: Types.Number
+      }
+    });
+
+    userSchema.statics = {routeOptions: {}};
+    var userModel = mongoose.model("user", userSchema);
+
+    var query = {$after: "", $limit: 1};
+    var mongooseQuery = userModel.find().sort('age');
+    queryHelper.setCursor(query, mongooseQuery, Log);
+    var pages = queryHelper.createCursorPages(query, mongooseQuery, [{_id: "a", age: 30}, {_id: "b", age: 40}], Log).pages;
+
+    var afterQuery = {$after: pages.next, $limit: 1};
+    var afterMongooseQuery = userModel.find().sort('age');
+    var beforeQuery = {$before: pages.next, $limit: 1};
+    var beforeMongooseQuery = userModel.find().sort('age');
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    queryHelper.setCursor(afterQuery, afterMongooseQuery, Log);
+    queryHelper.setCursor(beforeQuery, beforeMongooseQuery, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEqual(afterMongooseQuery.getQuery(), {
+      $and: [{ $or: [{ $and: [{ age: { $gt: 30 } }] }, { $and: [{ age: 30 }, { _id: { $gt: "a" } }] }] }]
+    }, "$after condition created");
+    t.deepEqual(beforeMongooseQuery.options.sort, {age: -1, _id: -1}, "$before sort reversed");
+    t.deepEqual(beforeMongooseQuery.getQuery(), {
+      $and: [{ $or: [{ $and: [{ $or: [{ age: { $lt: 30 } }, { age: null }] }] }, { $and: [{ age: 30 }, { _id: { $lt: "a" } }] }] }]
+    }, "$before condition created");
+    t.throws(function () {
+      queryHelper.setCursor({$after: pages.next}, userModel.find().sort('-age'), Log);
+    }, /Invalid cursor/, "cursor rejected for a different sort");
+    //</editor-fold>
+
+
+    //<editor-fold desc="Restore">
+    delete mongoose.models.user;
+    delete mongoose.modelSchemas.user;
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('query-helper.createCursorPages', function (t) {
+
+  t.test('query-helper.createCursorPages trims the extra document and returns cursors.', function (t) {
+    //<editor-fold desc="Arrange">
+    var queryHelper = require('../utilities/query-helper');
+
+    t.plan(5);
+
+    var query = {$after: "cursor", $limit: 2};
+    var mongooseQuery = { options: { sort: { _id: 1 } } };
+    var docs = [{_id: "a"}, {_id: "b"}, {_id: "c"}];
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var result = queryHelper.createCursorPages(query, mongooseQuery, docs, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEqual(result.docs, [{_id: "a"}, {_id: "b"}], "extra document trimmed");
+    t.ok(result.pages.hasNext, "hasNext is true");
+    t.ok(result.pages.hasPrev, "hasPrev is true");
+    t.ok(result.pages.next, "next cursor returned");
+    t.ok(result.pages.previous, "previous cursor returned");
+    //</editor-fold>
+  });
+
+  t.test('query-helper.createCursorPages reverses "$before" results.', function (t) {
+    //<editor-fold desc="Arrange">
+    var queryHelper = require('../utilities/query-helper');
+
+    t.plan(4);
+
+    var query = {$before: "", $limit: 2};
+    var mongooseQuery = { options: { sort: { _id: -1 } } };
+    var docs = [{_id: "c"}, {_id: "b"}];
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var result = queryHelper.createCursorPages(query, mongooseQuery, docs, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEqual(result.docs, [{_id: "b"}, {_id: "c"}], "documents reversed");
+    t.notOk(result.pages.hasNext, "hasNext is false");
+    t.notOk(result.pages.hasPrev, "hasPrev is false");
+    t.equal(result.pages.next, null, "no next cursor");
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('query-helper.createAggregatePipeline', function (t) {
+
+  t.test('query-helper.createAggregatePipeline creates "$match", "$group", "$sort" and "$project" stages.', function (t) {
+    //<editor-fold desc="Arrange">
+    var queryHelper = rewire('../utilities/query-helper');
+    queryHelper.__set__("config", { enableSoftDelete: true });
+
+    t.plan(5);
+
+    var userSchema = new mongoose.Schema({
+      age: {
+        type: Types.Number
+      },
+      title: {
+        type: Types.String
+      },
+      profile: {
+        score: {
+          type: Types.Number
+        }
+      },
+      isDeleted: {
+        type: Types.Boolean
+      }
+    });
+
+    userSchema.statics = {routeOptions: {}};
+    var userModel = mongoose.model("user", userSchema);
+
+    var query = {
+      $groupBy: "title",
+      $sum: ["age", "profile.score"],
+      $max: "age",
+      "age[$gt]": "30"
+    };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var pipeline = queryHelper.createAggregatePipeline(userModel, query, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEqual(pipeline[0], { $match: { $and: [{ age: { $gt: 30 } }, { isDeleted: { $ne: true } }] } },
+        "$match stage filters the query and excludes soft deleted documents");
+    t.deepEqual(pipeline[1].$group._id, { g0: "$title" }, "documents grouped by field");
+    t.deepEqual(_.omit(pipeline[1].$group, "_id"),
+        { count: { $sum: 1 }, sum0: { $sum: "$age" }, sum1: { $sum: "$profile.score" }, max0: { $max: "$age" } },
+        "accumulators created for each field");
+    t.deepEqual(pipeline[2], { $sort: { count: -1 } }, "groups sorted by count");
+    t.deepEqual(pipeline[3].$project, { _id: 0, count: 1, group: { title: "$_id.g0" },
+          sum: { age: "$sum0", profile: { score: "$sum1" } }, max: { age: "$max0" } },
+        "accumulators mapped back to field paths");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    delete mongoose.models.user;
+    delete mongoose.modelSchemas.user;
+    //</editor-fold>
+  });
+
+  t.test('query-helper.createAggregatePipeline groups "$countBy" fields and rejects fields that aren\'t queryable.', function (t) {
+    //<editor-fold desc="Arrange">
+    var queryHelper = rewire('../utilities/query-helper');
+    queryHelper.__set__("config", { enableSoftDelete: false });
+
+    t.plan(3);
+
+    var userSchema = new mongoose.Schema({
+      title: {
+        type: Types.String
+      },
+      status: {
+        type: Types.String
+      },
+      password: {
+        type: Types.String,
+        queryable: false
+      }
+    });
+
+    userSchema.statics = {routeOptions: {}};
+    var userModel = mongoose.model("user", userSchema);
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var pipeline = queryHelper.createAggregatePipeline(userModel, { $groupBy: "title", $countBy: "status,title" }, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEqual(pipeline[0], { $match: {} }, "soft deleted documents not excluded");
+    t.deepEqual(pipeline[1].$group._id, { g0: "$title", g1: "$status" }, "$countBy fields merged into the group");
+    t.throws(function() {
+      queryHelper.createAggregatePipeline(userModel, { $sum: "password" }, Log);
+    }, /'password' is not a queryable field./, "non-queryable field rejected");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    delete mongoose.models.user;
+    delete mongoose.modelSchemas.user;
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
 test('query-helper.paginate', function (t) {
 
   t.test('query-helper.paginate calls correct methods.', function (t) {
@@ -1390,5 +2126,37 @@ test('query-helper.paginate', function (t) {
     //</editor-fold>
   });
 
+  t.test('query-helper.paginate calls setCursor if "$after" or "$before" exists.', function (t) {
+    //<editor-fold desc="Arrange">
+    var queryHelper = require('../utilities/query-helper');
+
+    var mongooseQuery = {};
+    sinon.stub(queryHelper, "setCursor").callsFake(function () {
+      return mongooseQuery
+    });
+    sinon.stub(queryHelper, "setSkip").callsFake(function () {
+      return mongooseQuery
+    });
+
+    t.plan(2);
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    queryHelper.paginate({$after: ""}, mongooseQuery, Log);
+    queryHelper.paginate({$before: "cursor", $skip: 1}, mongooseQuery, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.ok(queryHelper.setCursor.callCount === 2, "queryHelper.setCursor called twice");
+    t.ok(queryHelper.setSkip.notCalled, "queryHelper.setSkip not called");
+    //</editor-fold>
+
+
+    //<editor-fold desc="Restore">
+    queryHelper.setCursor.restore();
+    queryHelper.setSkip.restore();
+    //</editor-fold>
+  });
+
   t.end();
 });
@@ -0,0 +1,224 @@
+'use strict';
+
+const test = require('blue-tape');
+const sinon = require('sinon');
+const Q = require('q');
+
+const RateLimitHelper = require('../utilities/rate-limit-helper');
+const config = require('../config');
+
+const userModel = { modelName: "user", routeOptions: { rateLimit: { read: { limit: 5 } } } };
+const roleModel = { modelName: "role", routeOptions: {} };
+
+test('rate-limit-helper exists and has expected members', function (t) {
+  //<editor-fold desc="Arrange">
+  t.plan(7);
+  //</editor-fold>
+
+  //<editor-fold desc="Assert">
+  t.ok(RateLimitHelper, "rate-limit-helper exists.");
+  t.ok(RateLimitHelper.createMemoryStore, "rate-limit-helper.createMemoryStore exists.");
+  t.ok(RateLimitHelper.getStore, "rate-limit-helper.getStore exists.");
+  t.ok(RateLimitHelper.getOptions, "rate-limit-helper.getOptions exists.");
+  t.ok(RateLimitHelper.getKey, "rate-limit-helper.getKey exists.");
+  t.ok(RateLimitHelper.hit, "rate-limit-helper.hit exists.");
+  t.ok(RateLimitHelper.getHeaders, "rate-limit-helper.getHeaders exists.");
+  //</editor-fold>
+});
+
+test('rate-limit-helper.createMemoryStore', function (t) {
+  t.test('rate-limit-helper.createMemoryStore counts requests within fixed windows.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(4);
+
+    let clock = sinon.useFakeTimers(60000);
+    let store = RateLimitHelper.createMemoryStore();
+    let options = { limit: 2, window: 1000, strategy: 'fixed' };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    store.hit("a", options);
+    clock.tick(500);
+    store.hit("a", options);
+    let exceeded = store.hit("a", options);
+    let other = store.hit("b", options);
+    clock.tick(500);
+    let reset = store.hit("a", options);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEqual(exceeded, { count: 3, reset: 61000 }, "requests counted within the window");
+    t.equals(other.count, 1, "keys counted separately");
+    t.equals(reset.count, 1, "count reset after the window");
+    t.equals(reset.reset, 62000, "new window started");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    clock.restore();
+    //</editor-fold>
+  });
+
+  t.test('rate-limit-helper.createMemoryStore counts requests within a sliding window.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(3);
+
+    let clock = sinon.useFakeTimers(60000);
+    let store = RateLimitHelper.createMemoryStore();
+    let options = { limit: 2, window: 1000, strategy: 'sliding' };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    store.hit("a", options);
+    clock.tick(500);
+    store.hit("a", options);
+    let exceeded = store.hit("a", options);
+    clock.tick(500);
+    let allowed = store.hit("a", options);
+    let exceededAgain = store.hit("a", options);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEqual(exceeded, { count: 3, reset: 61000 }, "request rejected until the oldest request expires");
+    t.equals(allowed.count, 2, "request allowed once the oldest request expired");
+    t.deepEqual(exceededAgain, { count: 3, reset: 61500 }, "rejected requests not counted");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    clock.restore();
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('rate-limit-helper.getOptions', function (t) {
+  t.test('rate-limit-helper.getOptions applies the model and endpoint type options over the config.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(5);
+
+    config.rateLimit = { limit: 10, window: 1000, create: { limit: 2 }, delete: false };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let read = RateLimitHelper.getOptions(roleModel, "read");
+    let create = RateLimitHelper.getOptions(roleModel, "create");
+    let deleteOptions = RateLimitHelper.getOptions(roleModel, "delete");
+    let modelRead = RateLimitHelper.getOptions(userModel, "read");
+    let disabled = RateLimitHelper.getOptions({ modelName: "group", routeOptions: { rateLimit: false } }, "read");
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEqual(read, { limit: 10, window: 1000, strategy: 'fixed' }, "config options applied");
+    t.equals(create.limit, 2, "endpoint type options applied");
+    t.equals(deleteOptions, null, "endpoint type disabled");
+    t.deepEqual(modelRead, { limit: 5, window: 1000, strategy: 'fixed' }, "model options applied");
+    t.equals(disabled, null, "model disabled");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    config.rateLimit = false;
+    //</editor-fold>
+  });
+
+  t.test('rate-limit-helper.getOptions returns null if rate limiting is disabled.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(2);
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let disabled = RateLimitHelper.getOptions(roleModel, "read");
+    let enabledForModel = RateLimitHelper.getOptions(userModel, "read");
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.equals(disabled, null, "requests not limited");
+    t.deepEqual(enabledForModel, { limit: 5, window: 60000, strategy: 'fixed' }, "model options applied over the defaults");
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('rate-limit-helper.getKey', function (t) {
+  t.test('rate-limit-helper.getKey counts requests by user or IP address, per endpoint type.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(3);
+
+    let userRequest = { auth: { credentials: { user: { _id: "USER" } } }, info: { remoteAddress: "10.0.0.1" } };
+    let anonymousRequest = { auth: { credentials: null }, info: { remoteAddress: "10.0.0.1" } };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let userKey = RateLimitHelper.getKey(roleModel, "read", userRequest);
+    let anonymousKey = RateLimitHelper.getKey(roleModel, "create", anonymousRequest);
+    let modelKey = RateLimitHelper.getKey(userModel, "read", userRequest);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.equals(userKey, "rest-hapi:user:USER:read", "requests counted by user");
+    t.equals(anonymousKey, "rest-hapi:ip:10.0.0.1:create", "requests counted by IP address");
+    t.equals(modelKey, "rest-hapi:user:USER:user:read", "models with their own limits counted separately");
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('rate-limit-helper.hit', function (t) {
+  t.test('rate-limit-helper.hit returns the rate limit of the request.', function (t) {
+    //<editor-fold desc="Arrange">
+    config.rateLimitStore = {
+      hit: sinon.spy(function() {
+        return Q.when({ count: 6, reset: 61000 });
+      })
+    };
+    let request = { auth: {}, info: { remoteAddress: "10.0.0.1" } };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let promise = RateLimitHelper.hit(userModel, "read", request);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise.then(function(result) {
+      t.deepEqual(result, { limit: 5, remaining: 0, reset: 61000, exceeded: true }, "rate limit returned");
+      t.deepEqual(config.rateLimitStore.hit.args[0], ["rest-hapi:ip:10.0.0.1:user:read", { limit: 5, window: 60000, strategy: 'fixed' }],
+          "request counted by the store");
+    })
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+        .finally(function() {
+          config.rateLimitStore = null;
+        });
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('rate-limit-helper.getHeaders', function (t) {
+  t.test('rate-limit-helper.getHeaders includes "Retry-After" once the limit is exceeded.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(2);
+
+    let clock = sinon.useFakeTimers(60000);
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let allowed = RateLimitHelper.getHeaders({ limit: 5, remaining: 2, reset: 61500, exceeded: false });
+    let exceeded = RateLimitHelper.getHeaders({ limit: 5, remaining: 0, reset: 61500, exceeded: true });
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEqual(allowed, { 'X-RateLimit-Limit': 5, 'X-RateLimit-Remaining': 2, 'X-RateLimit-Reset': 62 }, "rate limit headers returned");
+    t.equals(exceeded['Retry-After'], 2, "retry delay returned in seconds");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    clock.restore();
+    //</editor-fold>
+  });
+
+  t.end();
+});
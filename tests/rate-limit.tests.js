@@ -0,0 +1,127 @@
+'use strict';
+
+const test = require('blue-tape');
+const sinon = require('sinon');
+const logging = require('loggin');
+const Q = require('q');
+const Boom = require('boom');
+
+let Log = logging.getLogger("tests");
+Log.logLevel = "ERROR";
+Log = Log.bind("rate-limit");
+
+const RateLimitHelper = require('../utilities/rate-limit-helper');
+const rateLimit = require('../policies/rate-limit');
+
+const model = { modelName: "user", routeOptions: {} };
+
+test('rate-limit exists and has expected members', function (t) {
+  //<editor-fold desc="Arrange">
+  t.plan(3);
+  //</editor-fold>
+
+  //<editor-fold desc="Assert">
+  t.ok(rateLimit, "rate-limit exists.");
+  t.ok(rateLimit.enforceRateLimit, "rate-limit.enforceRateLimit exists.");
+  t.ok(rateLimit.addRateLimitHeaders, "rate-limit.addRateLimitHeaders exists.");
+  //</editor-fold>
+});
+
+test('rate-limit.enforceRateLimitForModel', function (t) {
+  t.test('rate-limit.enforceRateLimitForModel returns a 429 once the limit is exceeded.', function (t) {
+    //<editor-fold desc="Arrange">
+    let hit = sinon.stub(RateLimitHelper, 'hit').callsFake(function() {
+      return Q.when({ limit: 5, remaining: 0, reset: 61000, exceeded: true });
+    });
+    let enforceRateLimitForModel = rateLimit.enforceRateLimit(model, "read", Log);
+    let next = sinon.spy();
+    let request = { plugins: {} };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let promise = enforceRateLimitForModel(request, sinon.spy(), next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise.then(function() {
+      t.deepEqual(hit.args[0], [model, "read", request], "request counted for the endpoint type");
+      t.equals(next.args[0][0].output.statusCode, 429, "too many requests error returned");
+      t.equals(next.args[0][1], false, "request not allowed");
+      t.equals(request.plugins['rest-hapi'].rateLimit.limit, 5, "rate limit stored for the response headers");
+    })
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+        .finally(function() {
+          hit.restore();
+        });
+    //</editor-fold>
+  });
+
+  t.test('rate-limit.enforceRateLimitForModel allows requests if the store fails.', function (t) {
+    //<editor-fold desc="Arrange">
+    let hit = sinon.stub(RateLimitHelper, 'hit').callsFake(function() {
+      return Q.reject(new Error("store error"));
+    });
+    let logger = { bind: function() { return logger }, error: sinon.spy() };
+    let enforceRateLimitForModel = rateLimit.enforceRateLimit(model, "read", logger);
+    let next = sinon.spy();
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let promise = enforceRateLimitForModel({ plugins: {} }, sinon.spy(), next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise.then(function() {
+      t.ok(next.calledWithExactly(null, true), "request allowed");
+      t.ok(logger.error.called, "error logged");
+    })
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+        .finally(function() {
+          hit.restore();
+        });
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('rate-limit.addRateLimitHeadersForModel', function (t) {
+  t.test('rate-limit.addRateLimitHeadersForModel adds the headers to responses and errors.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(3);
+
+    let clock = sinon.useFakeTimers(60000);
+    let addRateLimitHeadersForModel = rateLimit.addRateLimitHeaders(model, Log);
+    let response = { header: sinon.spy() };
+    let error = Boom.tooManyRequests();
+    let next = sinon.spy();
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    addRateLimitHeadersForModel({
+      response: response,
+      plugins: { 'rest-hapi': { rateLimit: { limit: 5, remaining: 4, reset: 61000, exceeded: false } } }
+    }, sinon.spy(), next);
+    addRateLimitHeadersForModel({
+      response: error,
+      plugins: { 'rest-hapi': { rateLimit: { limit: 5, remaining: 0, reset: 61000, exceeded: true } } }
+    }, sinon.spy(), next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.ok(response.header.calledWithExactly('X-RateLimit-Remaining', '4'), "headers added to the response");
+    t.equals(error.output.headers['Retry-After'], 1, "headers added to the error");
+    t.ok(next.alwaysCalledWithExactly(null, true), "next called with correct args");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    clock.restore();
+    //</editor-fold>
+  });
+
+  t.end();
+});
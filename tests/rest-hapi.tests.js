@@ -0,0 +1,78 @@
+'use strict';
+
+const test = require('blue-tape');
+const sinon = require('sinon');
+const mongoose = require('mongoose');
+const config = require('../config');
+
+test('rest-hapi.register', function (t) {
+
+  t.test('rest-hapi.register fails if transactions are enabled and mongoose doesn\'t support sessions.', function (t) {
+    //<editor-fold desc="Arrange">
+    const RestHapi = require('../rest-hapi');
+
+    t.plan(3);
+
+    const restHapiConfig = RestHapi.config;
+    const loglevel = config.loglevel;
+    RestHapi.config = { loglevel: 'FATAL', enableTransactions: true };
+
+    const server = { ext: sinon.spy() };
+    const connect = sinon.stub(mongoose, 'connect');
+    const next = sinon.spy();
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    RestHapi.register(server, { mongoose: mongoose }, next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.ok(next.calledOnce, "next called");
+    t.equals(next.args[0][0].message, "Transactions require mongoose 5.2 or higher and a MongoDB replica set. " +
+        "Upgrade mongoose or disable 'enableTransactions'.", "error returned");
+    t.ok(connect.notCalled, "database not connected");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    connect.restore();
+    config.enableTransactions = false;
+    config.loglevel = loglevel;
+    RestHapi.config = restHapiConfig;
+    //</editor-fold>
+  });
+
+  t.test('rest-hapi.register checks the bundled mongoose instance if one isn\'t provided.', function (t) {
+    //<editor-fold desc="Arrange">
+    const RestHapi = require('../rest-hapi');
+    const transactionHelper = require('../utilities/transaction-helper');
+
+    t.plan(2);
+
+    const restHapiConfig = RestHapi.config;
+    const loglevel = config.loglevel;
+    RestHapi.config = { loglevel: 'FATAL', enableTransactions: true };
+
+    const server = { ext: sinon.spy() };
+    const isSupported = sinon.stub(transactionHelper, 'isSupported').returns(false);
+    const next = sinon.spy();
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    RestHapi.register(server, {}, next);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.ok(isSupported.calledWithExactly(mongoose), "bundled mongoose instance checked");
+    t.ok(next.args[0][0] instanceof Error, "error returned");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    isSupported.restore();
+    config.enableTransactions = false;
+    config.loglevel = loglevel;
+    RestHapi.config = restHapiConfig;
+    //</editor-fold>
+  });
+
+  t.end();
+});
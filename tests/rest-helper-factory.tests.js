@@ -31,7 +31,7 @@ test('rest-helper-factory exists and has expected members', function (t) {
   var server = sinon.spy();
   var restHelperFactory = require('../utilities/rest-helper-factory')(Log, mongoose, server);
 
-  t.plan(13);
+  t.plan(17);
   //</editor-fold>
 
   //<editor-fold desc="Assert">
@@ -48,6 +48,10 @@ test('rest-helper-factory exists and has expected members', function (t) {
   t.ok(restHelperFactory.generateAssociationAddManyEndpoint, "rest-helper-factory.generateAssociationAddManyEndpoint exists.");
   t.ok(restHelperFactory.generateAssociationRemoveManyEndpoint, "rest-helper-factory.generateAssociationRemoveManyEndpoint exists.");
   t.ok(restHelperFactory.generateAssociationGetAllEndpoint, "rest-helper-factory.generateAssociationGetAllEndpoint exists.");
+  t.ok(restHelperFactory.generateAggregateEndpoint, "rest-helper-factory.generateAggregateEndpoint exists.");
+  t.ok(restHelperFactory.generateImportEndpoint, "rest-helper-factory.generateImportEndpoint exists.");
+  t.ok(restHelperFactory.generatePatchEndpoint, "rest-helper-factory.generatePatchEndpoint exists.");
+  t.ok(restHelperFactory.generateSubscribeEndpoint, "rest-helper-factory.generateSubscribeEndpoint exists.");
   //</editor-fold>
 });
 
@@ -146,7 +150,7 @@ test('rest-helper-factory.generateRoutes', function (t) {
     var server = sinon.spy();
     var restHelperFactory = require('../utilities/rest-helper-factory')(Log, mongoose, server);
 
-    t.plan(6);
+    t.plan(9);
 
     var userSchema = new mongoose.Schema();
     userSchema.statics = {
@@ -156,8 +160,11 @@ test('rest-helper-factory.generateRoutes', function (t) {
 
     sinon.stub(restHelperFactory, 'generateListEndpoint').callsFake(sinon.spy());
     sinon.stub(restHelperFactory, 'generateFindEndpoint').callsFake(sinon.spy());
+    sinon.stub(restHelperFactory, 'generateAggregateEndpoint').callsFake(sinon.spy());
     sinon.stub(restHelperFactory, 'generateCreateEndpoint').callsFake(sinon.spy());
+    sinon.stub(restHelperFactory, 'generateImportEndpoint').callsFake(sinon.spy());
     sinon.stub(restHelperFactory, 'generateUpdateEndpoint').callsFake(sinon.spy());
+    sinon.stub(restHelperFactory, 'generatePatchEndpoint').callsFake(sinon.spy());
     sinon.stub(restHelperFactory, 'generateDeleteOneEndpoint').callsFake(sinon.spy());
     sinon.stub(restHelperFactory, 'generateDeleteManyEndpoint').callsFake(sinon.spy());
     //</editor-fold>
@@ -169,8 +176,11 @@ test('rest-helper-factory.generateRoutes', function (t) {
     //<editor-fold desc="Assert">
     t.ok(restHelperFactory.generateListEndpoint.called, "generateListEndpoint called");
     t.ok(restHelperFactory.generateFindEndpoint.called, "generateFindEndpoint called");
+    t.ok(restHelperFactory.generateAggregateEndpoint.called, "generateAggregateEndpoint called");
     t.ok(restHelperFactory.generateCreateEndpoint.called, "generateCreateEndpoint called");
+    t.ok(restHelperFactory.generateImportEndpoint.called, "generateImportEndpoint called");
     t.ok(restHelperFactory.generateUpdateEndpoint.called, "generateUpdateEndpoint called");
+    t.ok(restHelperFactory.generatePatchEndpoint.called, "generatePatchEndpoint called");
     t.ok(restHelperFactory.generateDeleteOneEndpoint.called, "generateDeleteOneEndpoint called");
     t.ok(restHelperFactory.generateDeleteManyEndpoint.called, "generateDeleteManyEndpoint called");
     //</editor-fold>
@@ -178,8 +188,11 @@ test('rest-helper-factory.generateRoutes', function (t) {
     //<editor-fold desc="Restore">
     restHelperFactory.generateListEndpoint.restore();
     restHelperFactory.generateFindEndpoint.restore();
+    restHelperFactory.generateAggregateEndpoint.restore();
     restHelperFactory.generateCreateEndpoint.restore();
+    restHelperFactory.generateImportEndpoint.restore();
     restHelperFactory.generateUpdateEndpoint.restore();
+    restHelperFactory.generatePatchEndpoint.restore();
     restHelperFactory.generateDeleteOneEndpoint.restore();
     restHelperFactory.generateDeleteManyEndpoint.restore();
     delete mongoose.models.user;
@@ -192,7 +205,7 @@ test('rest-helper-factory.generateRoutes', function (t) {
     var server = sinon.spy();
     var restHelperFactory = require('../utilities/rest-helper-factory')(Log, mongoose, server);
 
-    t.plan(6);
+    t.plan(9);
 
     var userSchema = new mongoose.Schema();
     userSchema.statics = {
@@ -207,8 +220,11 @@ test('rest-helper-factory.generateRoutes', function (t) {
 
     sinon.stub(restHelperFactory, 'generateListEndpoint').callsFake(sinon.spy());
     sinon.stub(restHelperFactory, 'generateFindEndpoint').callsFake(sinon.spy());
+    sinon.stub(restHelperFactory, 'generateAggregateEndpoint').callsFake(sinon.spy());
     sinon.stub(restHelperFactory, 'generateCreateEndpoint').callsFake(sinon.spy());
+    sinon.stub(restHelperFactory, 'generateImportEndpoint').callsFake(sinon.spy());
     sinon.stub(restHelperFactory, 'generateUpdateEndpoint').callsFake(sinon.spy());
+    sinon.stub(restHelperFactory, 'generatePatchEndpoint').callsFake(sinon.spy());
     sinon.stub(restHelperFactory, 'generateDeleteOneEndpoint').callsFake(sinon.spy());
     sinon.stub(restHelperFactory, 'generateDeleteManyEndpoint').callsFake(sinon.spy());
     //</editor-fold>
@@ -220,8 +236,11 @@ test('rest-helper-factory.generateRoutes', function (t) {
     //<editor-fold desc="Assert">
     t.notOk(restHelperFactory.generateListEndpoint.called, "generateListEndpoint not called");
     t.notOk(restHelperFactory.generateFindEndpoint.called, "generateFindEndpoint not called");
+    t.notOk(restHelperFactory.generateAggregateEndpoint.called, "generateAggregateEndpoint not called");
     t.notOk(restHelperFactory.generateCreateEndpoint.called, "generateCreateEndpoint not called");
+    t.notOk(restHelperFactory.generateImportEndpoint.called, "generateImportEndpoint not called");
     t.notOk(restHelperFactory.generateUpdateEndpoint.called, "generateUpdateEndpoint not called");
+    t.notOk(restHelperFactory.generatePatchEndpoint.called, "generatePatchEndpoint not called");
     t.notOk(restHelperFactory.generateDeleteOneEndpoint.called, "generateDeleteOneEndpoint not called");
     t.notOk(restHelperFactory.generateDeleteManyEndpoint.called, "generateDeleteManyEndpoint not called");
     //</editor-fold>
@@ -229,8 +248,11 @@ test('rest-helper-factory.generateRoutes', function (t) {
     //<editor-fold desc="Restore">
     restHelperFactory.generateListEndpoint.restore();
     restHelperFactory.generateFindEndpoint.restore();
+    restHelperFactory.generateAggregateEndpoint.restore();
     restHelperFactory.generateCreateEndpoint.restore();
+    restHelperFactory.generateImportEndpoint.restore();
     restHelperFactory.generateUpdateEndpoint.restore();
+    restHelperFactory.generatePatchEndpoint.restore();
     restHelperFactory.generateDeleteOneEndpoint.restore();
     restHelperFactory.generateDeleteManyEndpoint.restore();
     delete mongoose.models.user;
@@ -272,8 +294,11 @@ test('rest-helper-factory.generateRoutes', function (t) {
 
     sinon.stub(restHelperFactory, 'generateListEndpoint').callsFake(sinon.spy());
     sinon.stub(restHelperFactory, 'generateFindEndpoint').callsFake(sinon.spy());
+    sinon.stub(restHelperFactory, 'generateAggregateEndpoint').callsFake(sinon.spy());
     sinon.stub(restHelperFactory, 'generateCreateEndpoint').callsFake(sinon.spy());
+    sinon.stub(restHelperFactory, 'generateImportEndpoint').callsFake(sinon.spy());
     sinon.stub(restHelperFactory, 'generateUpdateEndpoint').callsFake(sinon.spy());
+    sinon.stub(restHelperFactory, 'generatePatchEndpoint').callsFake(sinon.spy());
     sinon.stub(restHelperFactory, 'generateDeleteOneEndpoint').callsFake(sinon.spy());
     sinon.stub(restHelperFactory, 'generateDeleteManyEndpoint').callsFake(sinon.spy());
 
@@ -314,8 +339,11 @@ test('rest-helper-factory.generateRoutes', function (t) {
     //<editor-fold desc="Restore">
     restHelperFactory.generateListEndpoint.restore();
     restHelperFactory.generateFindEndpoint.restore();
+    restHelperFactory.generateAggregateEndpoint.restore();
     restHelperFactory.generateCreateEndpoint.restore();
+    restHelperFactory.generateImportEndpoint.restore();
     restHelperFactory.generateUpdateEndpoint.restore();
+    restHelperFactory.generatePatchEndpoint.restore();
     restHelperFactory.generateDeleteOneEndpoint.restore();
     restHelperFactory.generateDeleteManyEndpoint.restore();
 
@@ -354,8 +382,11 @@ test('rest-helper-factory.generateRoutes', function (t) {
 
     sinon.stub(restHelperFactory, 'generateListEndpoint').callsFake(sinon.spy());
     sinon.stub(restHelperFactory, 'generateFindEndpoint').callsFake(sinon.spy());
+    sinon.stub(restHelperFactory, 'generateAggregateEndpoint').callsFake(sinon.spy());
     sinon.stub(restHelperFactory, 'generateCreateEndpoint').callsFake(sinon.spy());
+    sinon.stub(restHelperFactory, 'generateImportEndpoint').callsFake(sinon.spy());
     sinon.stub(restHelperFactory, 'generateUpdateEndpoint').callsFake(sinon.spy());
+    sinon.stub(restHelperFactory, 'generatePatchEndpoint').callsFake(sinon.spy());
     sinon.stub(restHelperFactory, 'generateDeleteOneEndpoint').callsFake(sinon.spy());
     sinon.stub(restHelperFactory, 'generateDeleteManyEndpoint').callsFake(sinon.spy());
 
@@ -381,8 +412,11 @@ test('rest-helper-factory.generateRoutes', function (t) {
     //<editor-fold desc="Restore">
     restHelperFactory.generateListEndpoint.restore();
     restHelperFactory.generateFindEndpoint.restore();
+    restHelperFactory.generateAggregateEndpoint.restore();
     restHelperFactory.generateCreateEndpoint.restore();
+    restHelperFactory.generateImportEndpoint.restore();
     restHelperFactory.generateUpdateEndpoint.restore();
+    restHelperFactory.generatePatchEndpoint.restore();
     restHelperFactory.generateDeleteOneEndpoint.restore();
     restHelperFactory.generateDeleteManyEndpoint.restore();
 
@@ -418,8 +452,11 @@ test('rest-helper-factory.generateRoutes', function (t) {
 
     sinon.stub(restHelperFactory, 'generateListEndpoint').callsFake(sinon.spy());
     sinon.stub(restHelperFactory, 'generateFindEndpoint').callsFake(sinon.spy());
+    sinon.stub(restHelperFactory, 'generateAggregateEndpoint').callsFake(sinon.spy());
     sinon.stub(restHelperFactory, 'generateCreateEndpoint').callsFake(sinon.spy());
+    sinon.stub(restHelperFactory, 'generateImportEndpoint').callsFake(sinon.spy());
     sinon.stub(restHelperFactory, 'generateUpdateEndpoint').callsFake(sinon.spy());
+    sinon.stub(restHelperFactory, 'generatePatchEndpoint').callsFake(sinon.spy());
     sinon.stub(restHelperFactory, 'generateDeleteOneEndpoint').callsFake(sinon.spy());
     sinon.stub(restHelperFactory, 'generateDeleteManyEndpoint').callsFake(sinon.spy());
     //</editor-fold>
@@ -436,8 +473,11 @@ test('rest-helper-factory.generateRoutes', function (t) {
     //<editor-fold desc="Restore">
     restHelperFactory.generateListEndpoint.restore();
     restHelperFactory.generateFindEndpoint.restore();
+    restHelperFactory.generateAggregateEndpoint.restore();
     restHelperFactory.generateCreateEndpoint.restore();
+    restHelperFactory.generateImportEndpoint.restore();
     restHelperFactory.generateUpdateEndpoint.restore();
+    restHelperFactory.generatePatchEndpoint.restore();
     restHelperFactory.generateDeleteOneEndpoint.restore();
     restHelperFactory.generateDeleteManyEndpoint.restore();
     delete mongoose.models.user;
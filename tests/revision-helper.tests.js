@@ -0,0 +1,264 @@
+'use strict';
+
+var test = require('blue-tape');
+var sinon = require('sinon');
+var Q = require('q');
+var mongoose = require('mongoose');
+var Types = mongoose.Schema.Types;
+var logging = require('loggin');
+var Log = logging.getLogger("tests");
+Log.logLevel = "ERROR";
+Log = Log.bind("revision-helper");
+
+test('revision-helper exists and has expected members', function (t) {
+  //<editor-fold desc="Arrange">
+  var revisionHelper = require('../utilities/revision-helper');
+
+  t.plan(7);
+  //</editor-fold>
+
+  //<editor-fold desc="Assert">
+  t.ok(revisionHelper, "revision-helper exists.");
+  t.ok(revisionHelper.isEnabled, "revision-helper.isEnabled exists.");
+  t.ok(revisionHelper.getRevisionModel, "revision-helper.getRevisionModel exists.");
+  t.ok(revisionHelper.saveRevision, "revision-helper.saveRevision exists.");
+  t.ok(revisionHelper.filterSnapshot, "revision-helper.filterSnapshot exists.");
+  t.ok(revisionHelper.getDiff, "revision-helper.getDiff exists.");
+  t.ok(revisionHelper.generateJoiReadModel, "revision-helper.generateJoiReadModel exists.");
+  //</editor-fold>
+});
+
+test('revision-helper.getRevisionModel', function (t) {
+
+  t.test('revision-helper.getRevisionModel returns the revision model of a model.', function (t) {
+    //<editor-fold desc="Arrange">
+    var revisionHelper = require('../utilities/revision-helper');
+
+    t.plan(3);
+
+    var userSchema = new mongoose.Schema({});
+    userSchema.statics = {routeOptions: {versioning: true}};
+    var userModel = mongoose.model("user", userSchema);
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var result = revisionHelper.getRevisionModel(userModel);
+    var secondResult = revisionHelper.getRevisionModel(userModel);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.equals(result.modelName, "user_revision", "revision model named after the model");
+    t.equals(result.collection.name, "user_revision", "revisions stored in the model revision collection");
+    t.equals(secondResult, result, "revision model only created once");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    delete mongoose.models.user;
+    delete mongoose.modelSchemas.user;
+    delete mongoose.models.user_revision;
+    delete mongoose.modelSchemas.user_revision;
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('revision-helper.saveRevision', function (t) {
+
+  t.test('revision-helper.saveRevision does nothing if versioning isn\'t enabled.', function (t) {
+    //<editor-fold desc="Arrange">
+    var revisionHelper = require('../utilities/revision-helper');
+
+    var userSchema = new mongoose.Schema({});
+    userSchema.statics = {routeOptions: {}};
+    var userModel = mongoose.model("user", userSchema);
+    userModel.findOne = sinon.spy();
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var promise = revisionHelper.saveRevision(userModel, "TEST", "Update", {}, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise
+        .then(function (result) {
+          t.equals(result, null, "no revision stored");
+          t.notOk(userModel.findOne.called, "document not queried");
+        })
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+        .then(function () {
+          delete mongoose.models.user;
+          delete mongoose.modelSchemas.user;
+        });
+    //</editor-fold>
+  });
+
+  t.test('revision-helper.saveRevision stores the next revision of a document.', function (t) {
+    //<editor-fold desc="Arrange">
+    var revisionHelper = require('../utilities/revision-helper');
+
+    var userSchema = new mongoose.Schema({});
+    userSchema.statics = {routeOptions: {versioning: true}};
+    var userModel = mongoose.model("user", userSchema);
+    var document = { _id: "TEST", email: "new@test.com" };
+    userModel.findOne = sinon.spy(function () { return { lean: function () { return Q.when(document) } } });
+
+    var revisionModel = revisionHelper.getRevisionModel(userModel);
+    var latest = { document: "TEST", revision: 2, snapshot: { _id: "TEST", email: "old@test.com" } };
+    revisionModel.findOne = sinon.spy(function () { return { sort: function () { return { lean: function () { return Q.when(latest) } } } } });
+    revisionModel.create = sinon.spy(function (revision) { return Q.when(revision) });
+
+    var request = { auth: { credentials: { user: { _id: "USER" } } } };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var promise = revisionHelper.saveRevision(userModel, "TEST", "Update", request, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise
+        .then(function (result) {
+          t.ok(userModel.findOne.calledWithExactly({ '_id': "TEST" }), "document queried");
+          t.ok(revisionModel.findOne.calledWithExactly({ document: "TEST" }), "latest revision queried");
+          t.deepEquals(revisionModel.create.args[0][0], {
+            document: "TEST",
+            revision: 3,
+            action: "Update",
+            snapshot: document,
+            user: "USER"
+          }, "revision stored");
+        })
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+        .then(function () {
+          delete mongoose.models.user;
+          delete mongoose.modelSchemas.user;
+          delete mongoose.models.user_revision;
+          delete mongoose.modelSchemas.user_revision;
+        });
+    //</editor-fold>
+  });
+
+  t.test('revision-helper.saveRevision skips unchanged documents.', function (t) {
+    //<editor-fold desc="Arrange">
+    var revisionHelper = require('../utilities/revision-helper');
+
+    var userSchema = new mongoose.Schema({});
+    userSchema.statics = {routeOptions: {versioning: true}};
+    var userModel = mongoose.model("user", userSchema);
+    var document = { _id: "TEST", email: "test@test.com" };
+
+    var revisionModel = revisionHelper.getRevisionModel(userModel);
+    var latest = { document: "TEST", revision: 2, snapshot: { _id: "TEST", email: "test@test.com" } };
+    revisionModel.findOne = sinon.spy(function () { return { sort: function () { return { lean: function () { return Q.when(latest) } } } } });
+    revisionModel.create = sinon.spy(function (revision) { return Q.when(revision) });
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var promise = Q.all([
+      revisionHelper.saveRevision(userModel, document, "Add", {}, Log),
+      revisionHelper.saveRevision(userModel, document, "Delete", {}, Log)
+    ]);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise
+        .then(function (result) {
+          t.equals(result[0], null, "unchanged document skipped");
+          t.equals(revisionModel.create.callCount, 1, "only the delete stored");
+          t.equals(revisionModel.create.args[0][0].action, "Delete", "delete stored");
+        })
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+        .then(function () {
+          delete mongoose.models.user;
+          delete mongoose.modelSchemas.user;
+          delete mongoose.models.user_revision;
+          delete mongoose.modelSchemas.user_revision;
+        });
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('revision-helper.filterSnapshot', function (t) {
+
+  t.test('revision-helper.filterSnapshot removes excluded fields.', function (t) {
+    //<editor-fold desc="Arrange">
+    var revisionHelper = require('../utilities/revision-helper');
+
+    t.plan(1);
+
+    var userSchema = new mongoose.Schema({
+      email: { type: Types.String },
+      password: { type: Types.String, exclude: true }
+    });
+    userSchema.statics = {routeOptions: {versioning: true}};
+    var userModel = mongoose.model("user", userSchema);
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var result = revisionHelper.filterSnapshot(userModel, { _id: "TEST", email: "test@test.com", password: "secret" });
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEquals(result, { _id: "TEST", email: "test@test.com" }, "excluded fields removed");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    delete mongoose.models.user;
+    delete mongoose.modelSchemas.user;
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('revision-helper.getDiff', function (t) {
+
+  t.test('revision-helper.getDiff returns the fields that differ.', function (t) {
+    //<editor-fold desc="Arrange">
+    var revisionHelper = require('../utilities/revision-helper');
+
+    t.plan(1);
+
+    var _id = new mongoose.Types.ObjectId();
+    var snapshot = { _id: _id, email: "old@test.com", role: new mongoose.Types.ObjectId(_id.toString()), profile: { age: 30 } };
+    var current = { _id: _id, email: "new@test.com", role: _id, profile: { age: 30 }, title: "Admin" };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var result = revisionHelper.getDiff(snapshot, current);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEquals(result, [
+      { field: "email", revision: "old@test.com", current: "new@test.com" },
+      { field: "title", revision: undefined, current: "Admin" }
+    ], "differing fields returned");
+    //</editor-fold>
+  });
+
+  t.test('revision-helper.getDiff compares against an empty document if it no longer exists.', function (t) {
+    //<editor-fold desc="Arrange">
+    var revisionHelper = require('../utilities/revision-helper');
+
+    t.plan(1);
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var result = revisionHelper.getDiff({ _id: "TEST", email: "test@test.com" }, null);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEquals(result, [{ field: "email", revision: "test@test.com", current: undefined }], "all fields returned");
+    //</editor-fold>
+  });
+
+  t.end();
+});
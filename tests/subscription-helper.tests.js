@@ -0,0 +1,286 @@
+'use strict';
+
+const test = require('blue-tape');
+const sinon = require('sinon');
+const logging = require('loggin');
+const Q = require('q');
+const EventEmitter = require('events');
+
+let Log = logging.getLogger("tests");
+Log.logLevel = "ERROR";
+Log = Log.bind("subscription-helper");
+
+const SubscriptionHelper = require('../utilities/subscription-helper');
+const EventHelper = require('../utilities/event-helper');
+const handlerHelper = require('../utilities/handler-helper');
+
+const model = { modelName: "user" };
+
+const createRequest = function(query) {
+  return {
+    query: query || {},
+    headers: { accept: "text/event-stream" },
+    auth: { credentials: { scope: ["User"] } },
+    raw: { res: new EventEmitter() }
+  };
+};
+
+test('subscription-helper exists and has expected members', function (t) {
+  //<editor-fold desc="Arrange">
+  t.plan(6);
+  //</editor-fold>
+
+  //<editor-fold desc="Assert">
+  t.ok(SubscriptionHelper, "subscription-helper exists.");
+  t.ok(SubscriptionHelper.contentType, "subscription-helper.contentType exists.");
+  t.ok(SubscriptionHelper.subscribe, "subscription-helper.subscribe exists.");
+  t.ok(SubscriptionHelper.findMatchingDocument, "subscription-helper.findMatchingDocument exists.");
+  t.ok(SubscriptionHelper.handleEvent, "subscription-helper.handleEvent exists.");
+  t.ok(SubscriptionHelper.formatEvent, "subscription-helper.formatEvent exists.");
+  //</editor-fold>
+});
+
+test('subscription-helper.formatEvent', function (t) {
+  t.test('subscription-helper.formatEvent formats a server-sent event.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(1);
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let result = SubscriptionHelper.formatEvent("deleted", { _id: "TEST" });
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.equals(result, 'event: deleted\ndata: {"_id":"TEST"}\n\n', "event formatted");
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('subscription-helper.findMatchingDocument', function (t) {
+  t.test('subscription-helper.findMatchingDocument adds the document id to the request query.', function (t) {
+    //<editor-fold desc="Arrange">
+    let listHandler = sinon.stub(handlerHelper, 'listHandler').callsFake(function() {
+      return Q.when({ docs: [{ _id: "TEST" }] });
+    });
+    let request = createRequest({ status: "open", $where: '{"age":{"$gt":30}}' });
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let promise = SubscriptionHelper.findMatchingDocument(model, request, "TEST", Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise.then(function(result) {
+      let query = listHandler.args[0][1].query;
+      t.deepEqual(result, { _id: "TEST" }, "matching document returned");
+      t.deepEqual(query.$where, { $and: [{ age: { $gt: 30 } }, { _id: "TEST" }] }, "id added to the query");
+      t.equals(query.status, "open", "query kept");
+      t.deepEqual(listHandler.args[0][1].headers, {}, "export headers ignored");
+      t.equals(request.query.$where, '{"age":{"$gt":30}}', "request query not modified");
+    })
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+        .finally(function() {
+          listHandler.restore();
+        });
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('subscription-helper.handleEvent', function (t) {
+  t.test('subscription-helper.handleEvent sends documents that match the query.', function (t) {
+    //<editor-fold desc="Arrange">
+    let findMatchingDocument = sinon.stub(SubscriptionHelper, 'findMatchingDocument').callsFake(function() {
+      return Q.when({ _id: "TEST", email: "test@user.com" });
+    });
+    let sentIds = new Set();
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let promise = Q.all([
+      SubscriptionHelper.handleEvent(model, createRequest(), sentIds, { event: "user.created", document: { _id: "TEST" } }, Log),
+      SubscriptionHelper.handleEvent(model, createRequest(), sentIds, { event: "user.groups.added", document: { _id: "TEST" } }, Log)
+    ]);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise.then(function(result) {
+      t.deepEqual(result[0], { event: "created", data: { _id: "TEST", email: "test@user.com" } }, "created event sent");
+      t.equals(result[1].event, "updated", "association events sent as updates");
+      t.ok(sentIds.has("TEST"), "document tracked");
+    })
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+        .finally(function() {
+          findMatchingDocument.restore();
+        });
+    //</editor-fold>
+  });
+
+  t.test('subscription-helper.handleEvent sends "removed" for documents that no longer match the query.', function (t) {
+    //<editor-fold desc="Arrange">
+    let findMatchingDocument = sinon.stub(SubscriptionHelper, 'findMatchingDocument').callsFake(function() {
+      return Q.when(null);
+    });
+    let sentIds = new Set(["TEST1"]);
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let promise = Q.all([
+      SubscriptionHelper.handleEvent(model, createRequest(), sentIds, { event: "user.updated", document: { _id: "TEST1" } }, Log),
+      SubscriptionHelper.handleEvent(model, createRequest(), sentIds, { event: "user.updated", document: { _id: "TEST2" } }, Log)
+    ]);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise.then(function(result) {
+      t.deepEqual(result[0], { event: "removed", data: { _id: "TEST1" } }, "removed event sent");
+      t.equals(result[1], null, "documents that weren't sent ignored");
+      t.notOk(sentIds.has("TEST1"), "document no longer tracked");
+    })
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+        .finally(function() {
+          findMatchingDocument.restore();
+        });
+    //</editor-fold>
+  });
+
+  t.test('subscription-helper.handleEvent sends hard deletes of matching documents.', function (t) {
+    //<editor-fold desc="Arrange">
+    let findMatchingDocument = sinon.stub(SubscriptionHelper, 'findMatchingDocument');
+    let sentIds = new Set(["TEST1"]);
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let promise = Q.all([
+      SubscriptionHelper.handleEvent(model, createRequest(), sentIds, { event: "user.deleted", document: { _id: "TEST1" }, hardDelete: true }, Log),
+      SubscriptionHelper.handleEvent(model, createRequest(), sentIds, { event: "user.deleted", document: { _id: "TEST2" }, hardDelete: true }, Log)
+    ]);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise.then(function(result) {
+      t.deepEqual(result[0], { event: "deleted", data: { _id: "TEST1" } }, "deleted event sent");
+      t.equals(result[1], null, "documents that weren't sent ignored");
+      t.notOk(findMatchingDocument.called, "deleted documents not queried");
+    })
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+        .finally(function() {
+          findMatchingDocument.restore();
+        });
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('subscription-helper.subscribe', function (t) {
+  t.test('subscription-helper.subscribe streams the events of the model until the client disconnects.', function (t) {
+    //<editor-fold desc="Arrange">
+    let listHandler = sinon.stub(handlerHelper, 'listHandler').callsFake(function(model, request) {
+      return Q.when({ docs: [{ _id: "TEST2", email: "test@user.com" }] });
+    });
+    let request = createRequest({ $embed: "groups" });
+    let listenerCount = EventHelper.events.listenerCount(EventHelper.ALL_EVENTS);
+    let output = "";
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let promise = SubscriptionHelper.subscribe(model, request, Log)
+        .then(function(stream) {
+          stream.on('data', function(chunk) {
+            output += chunk;
+          });
+          EventHelper.emit({ modelName: "group" }, "created", { document: { _id: "TEST2" } }, {}, Log);
+          EventHelper.emit(model, "deleted", { document: { _id: "TEST1" }, hardDelete: true }, {}, Log);
+          EventHelper.emit(model, "created", { document: { _id: "TEST2" } }, {}, Log);
+          EventHelper.emit(model, "deleted", { document: { _id: "TEST2" }, hardDelete: true }, {}, Log);
+          return Q.delay(10);
+        })
+        .then(function() {
+          request.raw.res.emit('close');
+        });
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise.then(function() {
+      t.ok(listHandler.calledOnce, "only the document of the event queried");
+      t.deepEqual(listHandler.args[0][1].query.$where, { _id: "TEST2" }, "query limited to the document");
+      t.equals(output, ': subscribed\n\n' +
+          'event: created\ndata: {"_id":"TEST2","email":"test@user.com"}\n\n' +
+          'event: deleted\ndata: {"_id":"TEST2"}\n\n', "events sent in order");
+      t.equals(EventHelper.events.listenerCount(EventHelper.ALL_EVENTS), listenerCount, "listener removed");
+    })
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+        .finally(function() {
+          listHandler.restore();
+        });
+    //</editor-fold>
+  });
+
+  t.test('subscription-helper.subscribe shares a single event listener between subscriptions.', function (t) {
+    //<editor-fold desc="Arrange">
+    let listHandler = sinon.stub(handlerHelper, 'listHandler').callsFake(function() {
+      return Q.when({ docs: [{ _id: "TEST" }] });
+    });
+    let listenerCount = EventHelper.events.listenerCount(EventHelper.ALL_EVENTS);
+    let requests = [];
+    for (let i = 0; i < 20; i++) {
+      requests.push(createRequest());
+    }
+    let outputs = requests.map(function() { return ""; });
+    let subscribedListenerCount = null;
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let promise = Q.all(requests.map(function(request) {
+      return SubscriptionHelper.subscribe(model, request, Log);
+    }))
+        .then(function(streams) {
+          streams.forEach(function(stream, index) {
+            stream.on('data', function(chunk) {
+              outputs[index] += chunk;
+            });
+          });
+          subscribedListenerCount = EventHelper.events.listenerCount(EventHelper.ALL_EVENTS);
+          EventHelper.emit(model, "created", { document: { _id: "TEST" } }, {}, Log);
+          return Q.delay(10);
+        })
+        .then(function() {
+          requests.forEach(function(request) {
+            request.raw.res.emit('close');
+          });
+        });
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise.then(function() {
+      t.equals(subscribedListenerCount, listenerCount + 1, "one listener added");
+      t.ok(outputs.every(function(output) {
+        return output.indexOf('event: created') > -1;
+      }), "every subscription notified");
+      t.equals(EventHelper.events.listenerCount(EventHelper.ALL_EVENTS), listenerCount, "listener removed");
+    })
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+        .finally(function() {
+          listHandler.restore();
+        });
+    //</editor-fold>
+  });
+
+  t.end();
+});
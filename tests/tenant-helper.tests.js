@@ -0,0 +1,208 @@
+'use strict';
+
+const test = require('blue-tape');
+
+const TenantHelper = require('../utilities/tenant-helper');
+const config = require('../config');
+
+const userModel = { modelName: "user", routeOptions: {} };
+const auditLogModel = { modelName: "auditLog", routeOptions: { multiTenant: false } };
+
+const tenantRequest = { auth: { credentials: { scope: ['User'], user: { tenantId: "TENANT" } } } };
+const superTenantRequest = { auth: { credentials: { scope: ['superTenant'], user: { tenantId: "TENANT" } } } };
+
+test('tenant-helper exists and has expected members', function (t) {
+  //<editor-fold desc="Arrange">
+  t.plan(9);
+  //</editor-fold>
+
+  //<editor-fold desc="Assert">
+  t.ok(TenantHelper, "tenant-helper exists.");
+  t.ok(TenantHelper.isEnabled, "tenant-helper.isEnabled exists.");
+  t.ok(TenantHelper.isSuperTenant, "tenant-helper.isSuperTenant exists.");
+  t.ok(TenantHelper.getTenantId, "tenant-helper.getTenantId exists.");
+  t.ok(TenantHelper.getFilter, "tenant-helper.getFilter exists.");
+  t.ok(TenantHelper.addFilter, "tenant-helper.addFilter exists.");
+  t.ok(TenantHelper.getConditions, "tenant-helper.getConditions exists.");
+  t.ok(TenantHelper.isAuthorized, "tenant-helper.isAuthorized exists.");
+  t.ok(TenantHelper.setTenant, "tenant-helper.setTenant exists.");
+  //</editor-fold>
+});
+
+test('tenant-helper.getFilter', function (t) {
+  t.test('tenant-helper.getFilter returns the tenant of the request for multi-tenant models.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(5);
+
+    config.multiTenant = true;
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let filter = TenantHelper.getFilter(userModel, tenantRequest);
+    let excludedModel = TenantHelper.getFilter(auditLogModel, tenantRequest);
+    let superTenant = TenantHelper.getFilter(userModel, superTenantRequest);
+    let wrapper = TenantHelper.getFilter(userModel, { query: {} });
+    let noTenant = TenantHelper.getFilter(userModel, { auth: { credentials: { scope: [] } } });
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEqual(filter, { tenantId: "TENANT" }, "tenant filter returned");
+    t.equals(excludedModel, null, "models can opt out");
+    t.equals(superTenant, null, "super tenants access every tenant");
+    t.equals(wrapper, null, "wrapper calls access every tenant");
+    t.deepEqual(noTenant, { tenantId: null }, "users without a tenant only match documents without a tenant");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    config.multiTenant = false;
+    //</editor-fold>
+  });
+
+  t.test('tenant-helper.getFilter returns null if multi-tenancy is disabled.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(1);
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let filter = TenantHelper.getFilter(userModel, tenantRequest);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.equals(filter, null, "no filter returned");
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('tenant-helper.addFilter', function (t) {
+  t.test('tenant-helper.addFilter adds the tenant to the "$where" query and the embedded documents.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(3);
+
+    config.multiTenant = true;
+    let query = { $where: JSON.stringify({ firstName: "Bob" }) };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    TenantHelper.addFilter(userModel, query, tenantRequest);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEqual(query.$where, { $and: [{ firstName: "Bob" }, { tenantId: "TENANT" }] }, "tenant added to the query");
+    t.deepEqual(query.populateMatch(userModel), { tenantId: "TENANT" }, "tenant added to embedded documents");
+    t.equals(query.populateMatch(auditLogModel), null, "excluded models not filtered when embedded");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    config.multiTenant = false;
+    //</editor-fold>
+  });
+
+  t.test('tenant-helper.addFilter leaves the query unchanged for super tenants.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(1);
+
+    config.multiTenant = true;
+    let query = { $where: { firstName: "Bob" } };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    TenantHelper.addFilter(userModel, query, superTenantRequest);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEqual(query, { $where: { firstName: "Bob" } }, "query unchanged");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    config.multiTenant = false;
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('tenant-helper.getConditions', function (t) {
+  t.test('tenant-helper.getConditions adds the tenant to the conditions of a document.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(3);
+
+    config.multiTenant = true;
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let idConditions = TenantHelper.getConditions(userModel, "ID", null, tenantRequest);
+    let versionConditions = TenantHelper.getConditions(userModel, "ID", { _id: "ID", version: 2 }, tenantRequest);
+    let superTenant = TenantHelper.getConditions(userModel, "ID", null, superTenantRequest);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEqual(idConditions, { _id: "ID", tenantId: "TENANT" }, "tenant added to the id");
+    t.deepEqual(versionConditions, { _id: "ID", version: 2, tenantId: "TENANT" }, "tenant added to the existing conditions");
+    t.equals(superTenant, null, "existing conditions returned for super tenants");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    config.multiTenant = false;
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('tenant-helper.isAuthorized', function (t) {
+  t.test('tenant-helper.isAuthorized checks the tenant of a document.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(3);
+
+    config.multiTenant = true;
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    let sameTenant = TenantHelper.isAuthorized(userModel, { tenantId: "TENANT" }, tenantRequest);
+    let otherTenant = TenantHelper.isAuthorized(userModel, { tenantId: "OTHER" }, tenantRequest);
+    let superTenant = TenantHelper.isAuthorized(userModel, { tenantId: "OTHER" }, superTenantRequest);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.equals(sameTenant, true, "documents of the same tenant authorized");
+    t.equals(otherTenant, false, "documents of another tenant not authorized");
+    t.equals(superTenant, true, "super tenants authorized");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    config.multiTenant = false;
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('tenant-helper.setTenant', function (t) {
+  t.test('tenant-helper.setTenant stamps documents with the tenant of the request.', function (t) {
+    //<editor-fold desc="Arrange">
+    t.plan(2);
+
+    config.multiTenant = true;
+    let documents = [{ firstName: "Bob", tenantId: "OTHER" }];
+    let superTenantDocuments = [{ firstName: "Bob", tenantId: "OTHER" }];
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    TenantHelper.setTenant(userModel, documents, tenantRequest);
+    TenantHelper.setTenant(userModel, superTenantDocuments, superTenantRequest);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.equals(documents[0].tenantId, "TENANT", "tenant of the request set");
+    t.equals(superTenantDocuments[0].tenantId, "OTHER", "super tenants can set the tenant");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    config.multiTenant = false;
+    //</editor-fold>
+  });
+
+  t.end();
+});
@@ -0,0 +1,285 @@
+'use strict';
+
+var test = require('blue-tape');
+var sinon = require('sinon');
+var proxyquire = require('proxyquire');
+var Q = require('q');
+var logging = require('loggin');
+var Log = logging.getLogger("tests");
+Log.logLevel = "ERROR";
+Log = Log.bind("transaction-helper");
+
+//EXPL: a stand-in for the session of a MongoDB replica set
+var createSession = function () {
+  return {
+    startTransaction: sinon.spy(),
+    commitTransaction: sinon.spy(function () { return Q.when() }),
+    abortTransaction: sinon.spy(function () { return Q.when() }),
+    endSession: sinon.spy()
+  };
+};
+
+test('transaction-helper exists and has expected members', function (t) {
+  //<editor-fold desc="Arrange">
+  var transactionHelper = require('../utilities/transaction-helper');
+
+  t.plan(8);
+  //</editor-fold>
+
+  //<editor-fold desc="Assert">
+  t.ok(transactionHelper, "transaction-helper exists.");
+  t.ok(transactionHelper.isEnabled, "transaction-helper.isEnabled exists.");
+  t.ok(transactionHelper.isSupported, "transaction-helper.isSupported exists.");
+  t.ok(transactionHelper.needsTransaction, "transaction-helper.needsTransaction exists.");
+  t.ok(transactionHelper.getSession, "transaction-helper.getSession exists.");
+  t.ok(transactionHelper.setSession, "transaction-helper.setSession exists.");
+  t.ok(transactionHelper.all, "transaction-helper.all exists.");
+  t.ok(transactionHelper.withTransaction, "transaction-helper.withTransaction exists.");
+  //</editor-fold>
+});
+
+test('transaction-helper.isSupported', function (t) {
+
+  t.test('transaction-helper.isSupported checks that sessions are available.', function (t) {
+    //<editor-fold desc="Arrange">
+    var transactionHelper = require('../utilities/transaction-helper');
+
+    t.plan(3);
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var supported = transactionHelper.isSupported({ startSession: createSession });
+    var unsupported = transactionHelper.isSupported(require('mongoose'));
+    var missing = transactionHelper.isSupported(undefined);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.equals(supported, true, "sessions supported");
+    t.equals(unsupported, false, "sessions not supported by mongoose versions below 5.2");
+    t.equals(missing, false, "sessions not supported without a mongoose instance");
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('transaction-helper.setSession', function (t) {
+
+  t.test('transaction-helper.setSession only adds the session of a transaction.', function (t) {
+    //<editor-fold desc="Arrange">
+    var transactionHelper = require('../utilities/transaction-helper');
+
+    t.plan(2);
+
+    var session = createSession();
+    var query = { session: sinon.spy(function () { return query }) };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    transactionHelper.setSession(query, {});
+    var result = transactionHelper.setSession(query, { mongooseSession: session });
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.ok(query.session.calledOnce && query.session.calledWithExactly(session), "session added to the query");
+    t.equals(result, query, "query returned");
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('transaction-helper.all', function (t) {
+
+  t.test('transaction-helper.all runs tasks one at a time within a transaction.', function (t) {
+    //<editor-fold desc="Arrange">
+    var transactionHelper = require('../utilities/transaction-helper');
+
+    var running = 0;
+    var overlapped = false;
+    var createTask = function (value) {
+      return function () {
+        running++;
+        overlapped = overlapped || running > 1;
+        return Q.delay(5)
+            .then(function () {
+              running--;
+              return value;
+            });
+      };
+    };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var promise = transactionHelper.all({ mongooseSession: createSession() }, [createTask(1), createTask(2), createTask(3)]);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise.then(function (results) {
+      t.deepEqual(results, [1, 2, 3], "results returned in order");
+      t.notOk(overlapped, "tasks didn't overlap");
+    });
+    //</editor-fold>
+  });
+
+  t.test('transaction-helper.all runs tasks in parallel outside of a transaction.', function (t) {
+    //<editor-fold desc="Arrange">
+    var transactionHelper = require('../utilities/transaction-helper');
+
+    var task1 = sinon.spy(function () { return Q.delay(5).then(function () { return 1 }) });
+    var task2 = sinon.spy(function () { return 2 });
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var promise = transactionHelper.all({}, [task1, task2]);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.ok(task1.called && task2.called, "tasks started together");
+    return promise.then(function (results) {
+      t.deepEqual(results, [1, 2], "results returned");
+    });
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('transaction-helper.withTransaction', function (t) {
+
+  t.test('transaction-helper.withTransaction calls the handler directly if transactions aren\'t enabled.', function (t) {
+    //<editor-fold desc="Arrange">
+    var transactionHelper = proxyquire('../utilities/transaction-helper', {
+      '../config': { enableTransactions: false }
+    });
+
+    t.plan(2);
+
+    var model = { db: { startSession: sinon.spy() } };
+    var request = {};
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var result = transactionHelper.withTransaction(model, request, function () { return "RESULT" }, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.equals(result, "RESULT", "handler result returned");
+    t.notOk(model.db.startSession.called, "no session started");
+    //</editor-fold>
+  });
+
+  t.test('transaction-helper.withTransaction commits the transaction if the handler succeeds.', function (t) {
+    //<editor-fold desc="Arrange">
+    var transactionHelper = proxyquire('../utilities/transaction-helper', {
+      '../config': { enableTransactions: true }
+    });
+
+    var session = createSession();
+    var model = { db: { startSession: sinon.spy(function () { return Promise.resolve(session) }) } };
+    var request = {};
+    var handlerSession = null;
+    var nestedSession = null;
+
+    var handler = function () {
+      handlerSession = request.mongooseSession;
+      //EXPL: requests that are already part of a transaction join it
+      return transactionHelper.withTransaction(model, request, function () {
+        nestedSession = request.mongooseSession;
+        return Q.when("RESULT");
+      }, Log);
+    };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var promise = transactionHelper.withTransaction(model, request, handler, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise.then(function (result) {
+      t.equals(result, "RESULT", "handler result returned");
+      t.ok(model.db.startSession.calledOnce, "one session started");
+      t.equals(handlerSession, session, "session added to the request");
+      t.equals(nestedSession, session, "nested handler joined the transaction");
+      t.ok(session.startTransaction.calledOnce, "transaction started");
+      t.ok(session.commitTransaction.calledOnce, "transaction committed");
+      t.notOk(session.abortTransaction.called, "transaction not aborted");
+      t.ok(session.endSession.calledOnce, "session ended");
+      t.notOk(request.mongooseSession, "session removed from the request");
+    });
+    //</editor-fold>
+  });
+
+  t.test('transaction-helper.withTransaction aborts the transaction if the handler fails.', function (t) {
+    //<editor-fold desc="Arrange">
+    var transactionHelper = proxyquire('../utilities/transaction-helper', {
+      '../config': { enableTransactions: true }
+    });
+    var logStub = sinon.stub(Log, 'error').callsFake(function () {});
+
+    var session = createSession();
+    var model = { db: { startSession: function () { return Promise.resolve(session) } } };
+    var request = {};
+    var error = { message: "Not Found", type: "Not Found" };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var promise = transactionHelper.withTransaction(model, request, function () { return Q.reject(error) }, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise
+        .then(function () {
+          t.fail("transaction didn't fail");
+        })
+        .catch(function (result) {
+          t.equals(result, error, "handler error returned");
+          t.ok(session.abortTransaction.calledOnce, "transaction aborted");
+          t.notOk(session.commitTransaction.called, "transaction not committed");
+          t.ok(session.endSession.calledOnce, "session ended");
+        })
+        //</editor-fold>
+
+        //<editor-fold desc="Restore">
+        .then(function () {
+          logStub.restore();
+        });
+    //</editor-fold>
+  });
+
+  t.test('transaction-helper.withTransaction fails if sessions aren\'t supported.', function (t) {
+    //<editor-fold desc="Arrange">
+    var transactionHelper = proxyquire('../utilities/transaction-helper', {
+      '../config': { enableTransactions: true }
+    });
+    var logStub = sinon.stub(Log, 'error').callsFake(function () {});
+
+    var model = { db: {} };
+    var handler = sinon.spy();
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var promise = transactionHelper.withTransaction(model, {}, handler, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise
+        .then(function () {
+          t.fail("transaction didn't fail");
+        })
+        .catch(function (error) {
+          t.equals(error.message, "Transactions require mongoose 5.2 or higher and a MongoDB replica set.", "error returned");
+          t.equals(error.type, "Bad Implementation", "error type");
+          t.notOk(handler.called, "handler not called");
+        })
+        //</editor-fold>
+
+        //<editor-fold desc="Restore">
+        .then(function () {
+          logStub.restore();
+        });
+    //</editor-fold>
+  });
+
+  t.end();
+});
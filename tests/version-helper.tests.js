@@ -0,0 +1,385 @@
+'use strict';
+
+var test = require('tape');
+var sinon = require('sinon');
+var Joi = require('joi');
+var mongoose = require('mongoose');
+var Types = mongoose.Schema.Types;
+var logging = require('loggin');
+var Log = logging.getLogger("tests");
+Log.logLevel = "ERROR";
+Log = Log.bind("version-helper");
+
+test('version-helper exists and has expected members', function (t) {
+  //<editor-fold desc="Arrange">
+  var versionHelper = require('../utilities/version-helper');
+
+  t.plan(12);
+  //</editor-fold>
+
+  //<editor-fold desc="Assert">
+  t.ok(versionHelper, "version-helper exists.");
+  t.ok(versionHelper.getVersionField, "version-helper.getVersionField exists.");
+  t.ok(versionHelper.getVersion, "version-helper.getVersion exists.");
+  t.ok(versionHelper.getListVersion, "version-helper.getListVersion exists.");
+  t.ok(versionHelper.getExpectedVersions, "version-helper.getExpectedVersions exists.");
+  t.ok(versionHelper.matchesVersion, "version-helper.matchesVersion exists.");
+  t.ok(versionHelper.getVersionConditions, "version-helper.getVersionConditions exists.");
+  t.ok(versionHelper.addVersionUpdate, "version-helper.addVersionUpdate exists.");
+  t.ok(versionHelper.generateJoiHeadersModel, "version-helper.generateJoiHeadersModel exists.");
+  t.ok(versionHelper.generateJoiQueryModel, "version-helper.generateJoiQueryModel exists.");
+  t.ok(versionHelper.getResponseMessages, "version-helper.getResponseMessages exists.");
+  t.ok(versionHelper.updateVersion, "version-helper.updateVersion exists.");
+  //</editor-fold>
+});
+
+test('version-helper.getVersionField', function (t) {
+
+  t.test('version-helper.getVersionField returns the configured version field.', function (t) {
+    //<editor-fold desc="Arrange">
+    var versionHelper = require('../utilities/version-helper');
+
+    t.plan(3);
+
+    var userSchema = new mongoose.Schema({});
+    userSchema.statics = {routeOptions: {}};
+    var userModel = mongoose.model("user", userSchema);
+
+    var roleSchema = new mongoose.Schema({});
+    roleSchema.statics = {routeOptions: {concurrencyControl: true}};
+    var roleModel = mongoose.model("role", roleSchema);
+
+    var groupSchema = new mongoose.Schema({});
+    groupSchema.statics = {routeOptions: {concurrencyControl: {versionField: "updatedAt"}}};
+    var groupModel = mongoose.model("group", groupSchema);
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var userResult = versionHelper.getVersionField(userModel);
+    var roleResult = versionHelper.getVersionField(roleModel);
+    var groupResult = versionHelper.getVersionField(groupModel);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.equals(userResult, null, "null returned if concurrency control isn't enabled");
+    t.equals(roleResult, "__v", "version key returned by default");
+    t.equals(groupResult, "updatedAt", "custom version field returned");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    delete mongoose.models.user;
+    delete mongoose.modelSchemas.user;
+    delete mongoose.models.role;
+    delete mongoose.modelSchemas.role;
+    delete mongoose.models.group;
+    delete mongoose.modelSchemas.group;
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('version-helper.getVersion', function (t) {
+
+  t.test('version-helper.getVersion returns the document version as a string.', function (t) {
+    //<editor-fold desc="Arrange">
+    var versionHelper = require('../utilities/version-helper');
+
+    t.plan(3);
+
+    var userSchema = new mongoose.Schema({});
+    userSchema.statics = {routeOptions: {concurrencyControl: true}};
+    var userModel = mongoose.model("user", userSchema);
+
+    var roleSchema = new mongoose.Schema({ updatedAt: { type: Types.Date } });
+    roleSchema.statics = {routeOptions: {concurrencyControl: {versionField: "updatedAt"}}};
+    var roleModel = mongoose.model("role", roleSchema);
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var numberResult = versionHelper.getVersion(userModel, { __v: 3 });
+    var dateResult = versionHelper.getVersion(roleModel, { updatedAt: new Date(1000) });
+    var missingResult = versionHelper.getVersion(userModel, {});
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.equals(numberResult, "3", "number version returned");
+    t.equals(dateResult, "1000", "date version returned as a timestamp");
+    t.equals(missingResult, null, "null returned for missing versions");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    delete mongoose.models.user;
+    delete mongoose.modelSchemas.user;
+    delete mongoose.models.role;
+    delete mongoose.modelSchemas.role;
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('version-helper.getListVersion', function (t) {
+
+  t.test('version-helper.getListVersion changes when a document version changes.', function (t) {
+    //<editor-fold desc="Arrange">
+    var versionHelper = require('../utilities/version-helper');
+
+    t.plan(2);
+
+    var userSchema = new mongoose.Schema({});
+    userSchema.statics = {routeOptions: {concurrencyControl: true}};
+    var userModel = mongoose.model("user", userSchema);
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var result = versionHelper.getListVersion(userModel, [{ _id: "a", __v: 0 }, { _id: "b", __v: 1 }]);
+    var sameResult = versionHelper.getListVersion(userModel, [{ _id: "a", __v: 0 }, { _id: "b", __v: 1 }]);
+    var changedResult = versionHelper.getListVersion(userModel, [{ _id: "a", __v: 0 }, { _id: "b", __v: 2 }]);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.equals(result, sameResult, "same versions return the same value");
+    t.notEquals(result, changedResult, "changed versions return a different value");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    delete mongoose.models.user;
+    delete mongoose.modelSchemas.user;
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('version-helper.getExpectedVersions', function (t) {
+
+  t.test('version-helper.getExpectedVersions uses the "If-Match" header before the "$version" query parameter.', function (t) {
+    //<editor-fold desc="Arrange">
+    var versionHelper = require('../utilities/version-helper');
+
+    t.plan(4);
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var headerResult = versionHelper.getExpectedVersions({ headers: { 'if-match': '"3", W/"4", *' }, query: { $version: "5" } });
+    var queryResult = versionHelper.getExpectedVersions({ headers: {}, query: { $version: "5" } });
+    var noneResult = versionHelper.getExpectedVersions({ headers: {}, query: {} });
+    var noQueryResult = versionHelper.getExpectedVersions({ headers: {} });
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEquals(headerResult, ["3", null, "*"], "header versions returned without weak tags");
+    t.deepEquals(queryResult, ["5"], "query version returned");
+    t.equals(noneResult, null, "null returned without a version");
+    t.equals(noQueryResult, null, "null returned without a query");
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('version-helper.matchesVersion', function (t) {
+
+  t.test('version-helper.matchesVersion compares the document version to the expected versions.', function (t) {
+    //<editor-fold desc="Arrange">
+    var versionHelper = require('../utilities/version-helper');
+
+    t.plan(4);
+
+    var userSchema = new mongoose.Schema({});
+    userSchema.statics = {routeOptions: {concurrencyControl: true}};
+    var userModel = mongoose.model("user", userSchema);
+    var document = { __v: 3 };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var matchResult = versionHelper.matchesVersion(userModel, document, ["2", "3"]);
+    var mismatchResult = versionHelper.matchesVersion(userModel, document, ["2"]);
+    var anyResult = versionHelper.matchesVersion(userModel, document, ["*"]);
+    var weakResult = versionHelper.matchesVersion(userModel, document, [null]);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.ok(matchResult, "matching version passes");
+    t.notOk(mismatchResult, "mismatching version fails");
+    t.ok(anyResult, "any version passes");
+    t.notOk(weakResult, "weak tag fails");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    delete mongoose.models.user;
+    delete mongoose.modelSchemas.user;
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('version-helper.getVersionConditions', function (t) {
+
+  t.test('version-helper.getVersionConditions returns conditions with the verified version.', function (t) {
+    //<editor-fold desc="Arrange">
+    var versionHelper = require('../utilities/version-helper');
+
+    t.plan(3);
+
+    var userSchema = new mongoose.Schema({});
+    userSchema.statics = {routeOptions: {concurrencyControl: true}};
+    var userModel = mongoose.model("user", userSchema);
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var result = versionHelper.getVersionConditions(userModel, "_id", { plugins: { 'rest-hapi': { version: 3 } } });
+    var unverifiedResult = versionHelper.getVersionConditions(userModel, "_id", { plugins: {} });
+    var noPluginsResult = versionHelper.getVersionConditions(userModel, "_id", {});
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEquals(result, { '_id': "_id", __v: 3 }, "conditions returned");
+    t.equals(unverifiedResult, null, "null returned without a verified version");
+    t.equals(noPluginsResult, null, "null returned without plugins");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    delete mongoose.models.user;
+    delete mongoose.modelSchemas.user;
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('version-helper.addVersionUpdate', function (t) {
+
+  t.test('version-helper.addVersionUpdate increments the version key or sets a date version field.', function (t) {
+    //<editor-fold desc="Arrange">
+    var versionHelper = require('../utilities/version-helper');
+
+    t.plan(3);
+
+    var userSchema = new mongoose.Schema({});
+    userSchema.statics = {routeOptions: {concurrencyControl: true}};
+    var userModel = mongoose.model("user", userSchema);
+
+    var roleSchema = new mongoose.Schema({ updatedAt: { type: Types.Date } });
+    roleSchema.statics = {routeOptions: {concurrencyControl: {versionField: "updatedAt"}}};
+    var roleModel = mongoose.model("role", roleSchema);
+
+    var groupSchema = new mongoose.Schema({});
+    groupSchema.statics = {routeOptions: {}};
+    var groupModel = mongoose.model("group", groupSchema);
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var userResult = versionHelper.addVersionUpdate(userModel, { name: "test" });
+    var roleResult = versionHelper.addVersionUpdate(roleModel, { name: "test" });
+    var groupResult = versionHelper.addVersionUpdate(groupModel, { name: "test" });
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.deepEquals(userResult, { name: "test", $inc: { __v: 1 } }, "version key incremented");
+    t.ok(roleResult.updatedAt instanceof Date, "date version field set");
+    t.deepEquals(groupResult, { name: "test" }, "payload unchanged if concurrency control isn't enabled");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    delete mongoose.models.user;
+    delete mongoose.modelSchemas.user;
+    delete mongoose.models.role;
+    delete mongoose.modelSchemas.role;
+    delete mongoose.models.group;
+    delete mongoose.modelSchemas.group;
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('version-helper.generateJoiHeadersModel', function (t) {
+
+  t.test('version-helper.generateJoiHeadersModel adds the "If-Match" header if concurrency control is enabled.', function (t) {
+    //<editor-fold desc="Arrange">
+    var versionHelper = require('../utilities/version-helper');
+
+    t.plan(3);
+
+    var userSchema = new mongoose.Schema({});
+    userSchema.statics = {routeOptions: {concurrencyControl: true}};
+    var userModel = mongoose.model("user", userSchema);
+
+    var roleSchema = new mongoose.Schema({});
+    roleSchema.statics = {routeOptions: {}};
+    var roleModel = mongoose.model("role", roleSchema);
+
+    var headersValidation = Joi.object({ authorization: Joi.string().required() }).options({ allowUnknown: true });
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var userResult = versionHelper.generateJoiHeadersModel(userModel, headersValidation);
+    var roleResult = versionHelper.generateJoiHeadersModel(roleModel, headersValidation);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.notOk(Joi.validate({ authorization: "token", 'if-match': '"3"', other: "header" }, userResult).error, "headers valid");
+    t.ok(Joi.validate({ 'if-match': '"3"' }, userResult).error, "existing validation kept");
+    t.equals(roleResult, headersValidation, "headers validation unchanged if concurrency control isn't enabled");
+    //</editor-fold>
+
+    //<editor-fold desc="Restore">
+    delete mongoose.models.user;
+    delete mongoose.modelSchemas.user;
+    delete mongoose.models.role;
+    delete mongoose.modelSchemas.role;
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('version-helper.updateVersion', function (t) {
+
+  t.test('version-helper.updateVersion updates the document version if concurrency control is enabled.', function (t) {
+    //<editor-fold desc="Arrange">
+    var versionHelper = require('../utilities/version-helper');
+
+    t.plan(2);
+
+    var userSchema = new mongoose.Schema({});
+    userSchema.statics = {routeOptions: {concurrencyControl: true}};
+    var userModel = mongoose.model("user", userSchema);
+    userModel.findByIdAndUpdate = sinon.spy(function () {
+      return Promise.resolve({});
+    });
+
+    var roleSchema = new mongoose.Schema({});
+    roleSchema.statics = {routeOptions: {}};
+    var roleModel = mongoose.model("role", roleSchema);
+    roleModel.findByIdAndUpdate = sinon.spy();
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var promise = versionHelper.updateVersion(userModel, "_id", {}, Log);
+    versionHelper.updateVersion(roleModel, "_id", {}, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    promise
+        .then(function () {
+          t.ok(userModel.findByIdAndUpdate.calledWithExactly("_id", { $inc: { __v: 1 } }), "version updated");
+          t.notOk(roleModel.findByIdAndUpdate.called, "version not updated if concurrency control isn't enabled");
+        })
+        //</editor-fold>
+
+        //<editor-fold desc="Restore">
+        .then(function () {
+          delete mongoose.models.user;
+          delete mongoose.modelSchemas.user;
+          delete mongoose.models.role;
+          delete mongoose.modelSchemas.role;
+        });
+    //</editor-fold>
+  });
+
+  t.end();
+});
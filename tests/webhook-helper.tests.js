@@ -0,0 +1,412 @@
+'use strict';
+
+var test = require('blue-tape');
+var sinon = require('sinon');
+var proxyquire = require('proxyquire');
+var http = require('http');
+var crypto = require('crypto');
+var Q = require('q');
+var _ = require('lodash');
+var logging = require('loggin');
+var Log = logging.getLogger("tests");
+Log.logLevel = "ERROR";
+Log = Log.bind("webhook-helper");
+
+//EXPL: a local stand-in for the service receiving webhooks that responds with the given status codes in order
+var createReceiver = function (statusCodes) {
+  var receiver = {
+    requests: [],
+    server: null,
+    url: null
+  };
+
+  receiver.server = http.createServer(function (request, response) {
+    var body = "";
+    request.on('data', function (chunk) {
+      body += chunk;
+    });
+    request.on('end', function () {
+      receiver.requests.push({ headers: request.headers, body: body });
+      var statusCode = statusCodes[Math.min(receiver.requests.length, statusCodes.length) - 1];
+      response.writeHead(statusCode);
+      response.end(statusCode === 200 ? "OK" : "ERROR");
+    });
+  });
+
+  var deferred = Q.defer();
+  receiver.server.listen(0, '127.0.0.1', function () {
+    receiver.url = "http://127.0.0.1:" + receiver.server.address().port + "/hooks";
+    deferred.resolve(receiver);
+  });
+  return deferred.promise;
+};
+
+//EXPL: in-memory stand-ins for the webhook and webhookDelivery models
+var createMongoose = function (webhooks) {
+  var deliveries = [];
+  var count = 0;
+
+  var Webhook = {
+    find: sinon.spy(function () {
+      return { lean: function () { return Q.when(webhooks) } };
+    }),
+    findById: sinon.spy(function (_id) {
+      return { lean: function () { return Q.when(_.find(webhooks, { _id: _id }) || null) } };
+    })
+  };
+
+  var WebhookDelivery = {
+    create: sinon.spy(function (delivery) {
+      delivery = _.assignIn({ _id: "delivery" + (++count), attempts: 0, status: "pending" }, delivery);
+      deliveries.push(delivery);
+      return Q.when(delivery);
+    }),
+    findById: sinon.spy(function (_id) {
+      return { lean: function () { return Q.when(_.find(deliveries, { _id: _id }) || null) } };
+    }),
+    findByIdAndUpdate: sinon.spy(function (_id, update) {
+      var delivery = _.find(deliveries, { _id: _id });
+      _.assignIn(delivery, update);
+      return { lean: function () { return Q.when(_.clone(delivery)) } };
+    })
+  };
+
+  return {
+    deliveries: deliveries,
+    model: function (name) {
+      return name === 'webhook' ? Webhook : WebhookDelivery;
+    }
+  };
+};
+
+test('webhook-helper exists and has expected members', function (t) {
+  //<editor-fold desc="Arrange">
+  var webhookHelper = require('../utilities/webhook-helper');
+
+  t.plan(12);
+  //</editor-fold>
+
+  //<editor-fold desc="Assert">
+  t.ok(webhookHelper, "webhook-helper exists.");
+  t.ok(webhookHelper.subscribe, "webhook-helper.subscribe exists.");
+  t.ok(webhookHelper.handleEvent, "webhook-helper.handleEvent exists.");
+  t.ok(webhookHelper.matchesEvent, "webhook-helper.matchesEvent exists.");
+  t.ok(webhookHelper.matchesTenant, "webhook-helper.matchesTenant exists.");
+  t.ok(webhookHelper.createPayload, "webhook-helper.createPayload exists.");
+  t.ok(webhookHelper.getSignature, "webhook-helper.getSignature exists.");
+  t.ok(webhookHelper.deliver, "webhook-helper.deliver exists.");
+  t.ok(webhookHelper.attempt, "webhook-helper.attempt exists.");
+  t.ok(webhookHelper.retry, "webhook-helper.retry exists.");
+  t.ok(webhookHelper.redeliver, "webhook-helper.redeliver exists.");
+  t.ok(webhookHelper.post, "webhook-helper.post exists.");
+  //</editor-fold>
+});
+
+test('webhook-helper.matchesEvent', function (t) {
+
+  t.test('webhook-helper.matchesEvent matches names, wildcards and "*".', function (t) {
+    //<editor-fold desc="Arrange">
+    var webhookHelper = require('../utilities/webhook-helper');
+
+    t.plan(5);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.ok(webhookHelper.matchesEvent({ events: ["user.created"] }, "user.created"), "name matched");
+    t.notOk(webhookHelper.matchesEvent({ events: ["user.created"] }, "user.updated"), "other name not matched");
+    t.ok(webhookHelper.matchesEvent({ events: ["user.*"] }, "user.groups.added"), "wildcard matched");
+    t.notOk(webhookHelper.matchesEvent({ events: ["user.*"] }, "userRole.created"), "wildcard prefix only matches whole names");
+    t.ok(webhookHelper.matchesEvent({ events: ["*"] }, "group.deleted"), "all events matched");
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('webhook-helper.createPayload', function (t) {
+
+  t.test('webhook-helper.createPayload replaces the credentials with the user id and the documents with their _id.', function (t) {
+    //<editor-fold desc="Arrange">
+    var webhookHelper = require('../utilities/webhook-helper');
+
+    t.plan(6);
+
+    var event = {
+      event: "user.updated",
+      model: "user",
+      credentials: { user: { _id: "USER" }, token: "TOKEN" },
+      document: { _id: "TEST", email: "new@user.com" },
+      previous: { _id: "TEST", email: "old@user.com" }
+    };
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var payload = webhookHelper.createPayload(event);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    t.ok(payload.id, "payload has an id");
+    t.equals(payload.event, "user.updated", "event included");
+    t.equals(payload.user, "USER", "user id included");
+    t.deepEqual(payload.data, { _id: "TEST" }, "document _id included");
+    t.equals(JSON.stringify(payload).indexOf("TOKEN"), -1, "credentials not included");
+    t.equals(JSON.stringify(payload).indexOf("@user.com"), -1, "document fields not included");
+    //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('webhook-helper.handleEvent', function (t) {
+
+  t.test('webhook-helper.handleEvent delivers signed events to matching webhooks.', function (t) {
+    //<editor-fold desc="Arrange">
+    var webhookHelper = require('../utilities/webhook-helper');
+    var receiver = null;
+    var mongoose = null;
+    //</editor-fold>
+
+    return createReceiver([200])
+        .then(function (result) {
+          receiver = result;
+          mongoose = createMongoose([
+            { _id: "webhook1", url: receiver.url, secret: "SECRET", events: ["user.*"], isActive: true },
+            { _id: "webhook2", url: receiver.url, secret: "SECRET", events: ["group.created"], isActive: true }
+          ]);
+
+          //<editor-fold desc="Act">
+          return webhookHelper.handleEvent(mongoose, {
+            event: "user.created",
+            model: "user",
+            credentials: null,
+            document: { _id: "TEST" }
+          }, Log);
+          //</editor-fold>
+        })
+        .then(function (deliveries) {
+          //<editor-fold desc="Assert">
+          var request = receiver.requests[0];
+          var signature = "sha256=" + crypto.createHmac('sha256', "SECRET").update(request.body).digest('hex');
+
+          t.equals(receiver.requests.length, 1, "only the matching webhook received the event");
+          t.equals(request.headers['x-rest-hapi-event'], "user.created", "event header sent");
+          t.equals(request.headers['x-rest-hapi-delivery'], "delivery1", "delivery header sent");
+          t.equals(request.headers['x-rest-hapi-signature'], signature, "body signed with the webhook secret");
+          t.deepEqual(JSON.parse(request.body).data, { _id: "TEST" }, "event data sent");
+          t.equals(deliveries[0].status, "succeeded", "delivery logged as succeeded");
+          t.equals(deliveries[0].statusCode, 200, "status code logged");
+          t.equals(deliveries[0].attempts, 1, "attempt logged");
+          //</editor-fold>
+        })
+        //<editor-fold desc="Restore">
+        .finally(function () {
+          receiver.server.close();
+        });
+        //</editor-fold>
+  });
+
+  t.test('webhook-helper.handleEvent only delivers the events of other tenants to webhooks without a tenant.', function (t) {
+    //<editor-fold desc="Arrange">
+    var webhookHelper = require('../utilities/webhook-helper');
+    var config = require('../config');
+    var receiver = null;
+    var mongoose = null;
+    var multiTenant = config.multiTenant;
+    config.multiTenant = true;
+    //</editor-fold>
+
+    return createReceiver([200])
+        .then(function (result) {
+          receiver = result;
+          mongoose = createMongoose([
+            { _id: "webhookA", url: receiver.url + "/A", secret: "SECRET", events: ["*"], isActive: true, tenantId: "A" },
+            { _id: "webhookB", url: receiver.url + "/B", secret: "SECRET", events: ["*"], isActive: true, tenantId: "B" },
+            { _id: "webhookAll", url: receiver.url + "/all", secret: "SECRET", events: ["*"], isActive: true, tenantId: null }
+          ]);
+
+          //<editor-fold desc="Act">
+          return webhookHelper.handleEvent(mongoose, {
+            event: "user.created",
+            model: "user",
+            credentials: null,
+            document: { _id: "TEST", tenantId: "A" }
+          }, Log);
+          //</editor-fold>
+        })
+        .then(function (deliveries) {
+          //<editor-fold desc="Assert">
+          var webhookIds = _.map(mongoose.deliveries, 'webhook').sort();
+
+          t.equals(deliveries.length, 2, "event delivered twice");
+          t.deepEqual(webhookIds, ["webhookA", "webhookAll"], "event not delivered to the webhook of another tenant");
+          t.equals(_.find(mongoose.deliveries, { webhook: "webhookA" }).tenantId, "A", "delivery given the tenant of the webhook");
+          t.equals(receiver.requests.length, 2, "event sent twice");
+          //</editor-fold>
+        })
+        //<editor-fold desc="Restore">
+        .finally(function () {
+          config.multiTenant = multiTenant;
+          receiver.server.close();
+        });
+        //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('webhook-helper.attempt', function (t) {
+
+  t.test('webhook-helper.attempt retries failed deliveries with an increasing delay.', function (t) {
+    //<editor-fold desc="Arrange">
+    var webhookHelper = proxyquire('../utilities/webhook-helper', {
+      '../config': { webhookMaxAttempts: 3, webhookRetryDelay: 10 }
+    });
+    var receiver = null;
+    var mongoose = null;
+    var webhook = null;
+    //</editor-fold>
+
+    return createReceiver([500, 500, 200])
+        .then(function (result) {
+          receiver = result;
+          webhook = { _id: "webhook1", url: receiver.url, secret: "SECRET", events: ["*"], isActive: true };
+          mongoose = createMongoose([webhook]);
+
+          //<editor-fold desc="Act">
+          return webhookHelper.deliver(mongoose, webhook, { event: "user.deleted" }, null, Log);
+          //</editor-fold>
+        })
+        .then(function (delivery) {
+          //<editor-fold desc="Assert">
+          t.equals(delivery.status, "pending", "delivery pending after the first failure");
+          t.equals(delivery.statusCode, 500, "failed status code logged");
+          t.ok(delivery.nextAttempt, "next attempt logged");
+          //</editor-fold>
+
+          return Q.delay(200);
+        })
+        .then(function () {
+          //<editor-fold desc="Assert">
+          var delivery = mongoose.deliveries[0];
+          var attempts = mongoose.model('webhookDelivery').findByIdAndUpdate.args.map(function (args) {
+            return args[1];
+          });
+
+          t.equals(receiver.requests.length, 3, "delivery attempted until it succeeded");
+          t.equals(receiver.requests[0].body, receiver.requests[2].body, "same payload retried");
+          t.equals(delivery.status, "succeeded", "delivery logged as succeeded");
+          t.equals(delivery.attempts, 3, "attempts logged");
+          t.ok(attempts[1].nextAttempt - attempts[0].nextAttempt >= 10, "delay increased after each attempt");
+          //</editor-fold>
+        })
+        //<editor-fold desc="Restore">
+        .finally(function () {
+          receiver.server.close();
+        });
+        //</editor-fold>
+  });
+
+  t.test('webhook-helper.attempt fails deliveries after the last attempt.', function (t) {
+    //<editor-fold desc="Arrange">
+    var webhookHelper = proxyquire('../utilities/webhook-helper', {
+      '../config': { webhookMaxAttempts: 1 }
+    });
+    var logStub = sinon.stub(Log, 'error').callsFake(function () {});
+    var receiver = null;
+    //</editor-fold>
+
+    return createReceiver([500])
+        .then(function (result) {
+          receiver = result;
+          var webhook = { _id: "webhook1", url: receiver.url, secret: "SECRET", events: ["*"], isActive: true };
+
+          //<editor-fold desc="Act">
+          return webhookHelper.deliver(createMongoose([webhook]), webhook, { event: "user.deleted" }, null, Log);
+          //</editor-fold>
+        })
+        .then(function (delivery) {
+          //<editor-fold desc="Assert">
+          t.equals(delivery.status, "failed", "delivery logged as failed");
+          t.equals(delivery.nextAttempt, null, "no retry scheduled");
+          t.ok(logStub.called, "failure logged");
+          //</editor-fold>
+        })
+        //<editor-fold desc="Restore">
+        .finally(function () {
+          logStub.restore();
+          receiver.server.close();
+        });
+        //</editor-fold>
+  });
+
+  t.end();
+});
+
+test('webhook-helper.redeliver', function (t) {
+
+  t.test('webhook-helper.redeliver sends the payload again as a new delivery.', function (t) {
+    //<editor-fold desc="Arrange">
+    var webhookHelper = require('../utilities/webhook-helper');
+    var receiver = null;
+    var mongoose = null;
+    //</editor-fold>
+
+    return createReceiver([200])
+        .then(function (result) {
+          receiver = result;
+          var webhook = { _id: "webhook1", url: receiver.url, secret: "SECRET", events: ["*"], isActive: true };
+          mongoose = createMongoose([webhook]);
+          mongoose.deliveries.push({
+            _id: "failed1", webhook: "webhook1", event: "user.created", payload: { id: "EVENT", event: "user.created" },
+            attempts: 5, status: "failed"
+          });
+
+          //<editor-fold desc="Act">
+          return webhookHelper.redeliver(mongoose, "failed1", null, Log);
+          //</editor-fold>
+        })
+        .then(function (delivery) {
+          //<editor-fold desc="Assert">
+          t.equals(delivery.redeliveryOf, "failed1", "new delivery references the original");
+          t.equals(delivery.status, "succeeded", "redelivery succeeded");
+          t.equals(JSON.parse(receiver.requests[0].body).id, "EVENT", "original payload sent");
+          t.equals(mongoose.deliveries[0].status, "failed", "original delivery unchanged");
+          //</editor-fold>
+        })
+        //<editor-fold desc="Restore">
+        .finally(function () {
+          receiver.server.close();
+        });
+        //</editor-fold>
+  });
+
+  t.test('webhook-helper.redeliver returns a not found error for missing deliveries.', function (t) {
+    //<editor-fold desc="Arrange">
+    var webhookHelper = require('../utilities/webhook-helper');
+    var logStub = sinon.stub(Log, 'error').callsFake(function () {});
+    //</editor-fold>
+
+    //<editor-fold desc="Act">
+    var promise = webhookHelper.redeliver(createMongoose([]), "missing", null, Log);
+    //</editor-fold>
+
+    //<editor-fold desc="Assert">
+    return promise
+        .then(function () {
+          t.fail("redelivery didn't fail");
+        })
+        .catch(function (error) {
+          t.equals(error.message, "No delivery was found with that id.", "error message");
+          t.equals(error.type, "Not Found", "error type");
+        })
+        //</editor-fold>
+
+        //<editor-fold desc="Restore">
+        .then(function () {
+          logStub.restore();
+        });
+        //</editor-fold>
+  });
+
+  t.end();
+});
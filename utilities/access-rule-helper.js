@@ -0,0 +1,417 @@
+'use strict';
+
+var _ = require('lodash');
+var authHelper = require('./auth-helper');
+var QueryHelper = require('./query-helper');
+var config = require('../config');
+
+//EXPL: the actions that access rules can be defined for, along with the "root" rules that apply to every action
+var actions = ['read', 'update', 'delete', 'associate'];
+
+//EXPL: thrown when a rule references a credential or param that doesn't exist, since the rule can't match
+var unresolvedReference = {};
+
+module.exports = {
+
+  /**
+   * Get the actions that the creator of a document is authorized for through the "authorizeDocumentCreator"
+   * options. The routeOptions properties take precedence over the config properties.
+   * @param model: A mongoose model, or an object with the "routeOptions" of a model.
+   * @returns {Array}: A list of actions, Ex: ["root", "read"].
+   */
+  getCreatorActions: function (model) {
+    var routeOptions = model && model.routeOptions ? model.routeOptions : {};
+
+    return ['root'].concat(actions).filter(function (action) {
+      var option = 'authorizeDocumentCreator' + (action === 'root' ? '' : 'To' + _.upperFirst(action));
+      return routeOptions[option] === undefined ? !!config[option] : !!routeOptions[option];
+    });
+  },
+
+  /**
+   * Get the access rules of a model for an action, which include the "root" rules and, if the action has any rules,
+   * the document creator rules. The creator rules only widen the rules of the model, so they aren't added to actions
+   * without rules, where the creator is authorized as an alternative to the document scope instead
+   * (see "getCreatorFilter").
+   * @param model: A mongoose model.
+   * @param action: "read", "update", "delete", or "associate".
+   * @returns {Array}: A list of rules. A user must match at least one of them to perform the action.
+   */
+  getRules: function (model, action) {
+    var accessRules = model && model.routeOptions ? model.routeOptions.accessRules || {} : {};
+    var rules = [].concat(accessRules.root || [], accessRules[action] || []);
+
+    var creatorActions = this.getCreatorActions(model);
+    var scopeTypes = ['root', action].filter(function (creatorAction) {
+      return creatorActions.indexOf(creatorAction) > -1;
+    });
+
+    if (!_.isEmpty(rules) && !_.isEmpty(scopeTypes)) {
+      rules.push({ createdBy: { $credentials: config.userIdKey } });
+
+      //EXPL: documents created before the creator was recorded in "createdBy" authorize their creator through the
+      //"user-{_id}" value of their document scope
+      if (config.enableDocumentScopes) {
+        scopeTypes.forEach(function (scopeType) {
+          var rule = { createdBy: null };
+          rule['scope.' + scopeType + 'Scope'] = { $in: { $credentials: 'scope' } };
+          rules.push(rule);
+        });
+      }
+    }
+
+    return rules;
+  },
+
+  /**
+   * Get the conditions that authorize the creator of a document for an action through the "authorizeDocumentCreator"
+   * options. Documents that match them are authorized regardless of their document scope.
+   * @param model: A mongoose model.
+   * @param action: "read", "update", "delete", or "associate".
+   * @param request: The Hapi request object, or a container for the wrapper query/payload.
+   * @returns {object}: The conditions, or null if the creator isn't authorized for the action or the request doesn't
+   * have a user _id.
+   */
+  getCreatorFilter: function (model, action, request) {
+    var creatorActions = this.getCreatorActions(model);
+
+    if (creatorActions.indexOf('root') < 0 && creatorActions.indexOf(action) < 0) {
+      return null;
+    }
+
+    var userId = request && request.auth ? _.get(request.auth.credentials, config.userIdKey) : null;
+
+    return userId === undefined || userId === null ? null : { createdBy: userId };
+  },
+
+  /**
+   * Add the creator conditions of a request as an alternative to the conditions of a document scope query.
+   * @param model: A mongoose model.
+   * @param action: "read", "update", "delete", or "associate".
+   * @param scopeQuery: The document scope query.
+   * @param request: The Hapi request object, or a container for the wrapper query/payload.
+   * @returns {object}: The updated query.
+   */
+  addCreatorFilter: function (model, action, scopeQuery, request) {
+    var filter = this.getCreatorFilter(model, action, request);
+
+    return filter ? { $or: [scopeQuery, filter] } : scopeQuery;
+  },
+
+  /**
+   * Check if a document is authorized for a request through the "authorizeDocumentCreator" options.
+   * @param model: A mongoose model.
+   * @param action: "read", "update", "delete", or "associate".
+   * @param document: A lean document.
+   * @param request: The Hapi request object, or a container for the wrapper query/payload.
+   * @returns {boolean}
+   */
+  isCreator: function (model, action, document, request) {
+    var filter = this.getCreatorFilter(model, action, request);
+
+    return !!filter && matchConditions(document, filter);
+  },
+
+  /**
+   * Check if any actions of a model are restricted by access rules.
+   * @param model: A mongoose model.
+   * @returns {boolean}
+   */
+  isEnabled: function (model) {
+    var self = this;
+
+    return actions.some(function (action) {
+      return !_.isEmpty(self.getRules(model, action));
+    });
+  },
+
+  /**
+   * Compile the access rules of a model for an action into the conditions that documents must match for a request
+   * to perform the action on them. References to the credentials and params of the request are replaced with their
+   * values.
+   * @param model: A mongoose model.
+   * @param action: "read", "update", "delete", or "associate".
+   * @param request: The Hapi request object, or a container for the wrapper query/payload.
+   * @returns {object}: The conditions, or null if the request can perform the action on every document.
+   */
+  getFilter: function (model, action, request) {
+    var rules = this.getRules(model, action);
+
+    //EXPL: calls made through the mongoose wrapper methods aren't restricted
+    if (_.isEmpty(rules) || !request || !request.auth) {
+      return null;
+    }
+
+    var conditions = [];
+    for (var i = 0; i < rules.length; i++) {
+      var resolvedRule = resolveRule(rules[i], request);
+
+      if (resolvedRule === true) {
+        return null;
+      }
+      if (resolvedRule) {
+        conditions.push(resolvedRule);
+      }
+    }
+
+    //EXPL: none of the rules apply to the user, so no documents match
+    if (_.isEmpty(conditions)) {
+      return { _id: { $in: [] } };
+    }
+
+    return conditions.length === 1 ? conditions[0] : { $or: conditions };
+  },
+
+  /**
+   * Check if a request can perform an action on a document.
+   * @param model: A mongoose model.
+   * @param action: "read", "update", "delete", or "associate".
+   * @param document: A lean document.
+   * @param request: The Hapi request object, or a container for the wrapper query/payload.
+   * @returns {boolean}
+   */
+  isAuthorized: function (model, action, document, request) {
+    var filter = this.getFilter(model, action, request);
+
+    return !filter || matchConditions(document, filter);
+  },
+
+  /**
+   * Add the "read" access rules of a request to the "$where" parameter of a query, and to the documents embedded
+   * through "$embed".
+   * @param model: A mongoose model.
+   * @param query: The rest-hapi query.
+   * @param request: The Hapi request object, or a container for the wrapper query.
+   * @returns {object}: The updated query.
+   */
+  addFilter: function (model, query, request) {
+    var self = this;
+    var filter = self.getFilter(model, 'read', request);
+
+    if (request && request.auth && query.$embed) {
+      QueryHelper.addPopulateMatch(query, function (embeddedModel) {
+        return self.getFilter(embeddedModel, 'read', request);
+      });
+    }
+
+    if (filter) {
+      if (typeof query.$where === 'string') {
+        query.$where = JSON.parse(query.$where);
+      }
+      query.$where = _.isEmpty(query.$where) ? filter : { $and: [query.$where, filter] };
+    }
+
+    return query;
+  }
+};
+
+/**
+ * Resolve the references of a rule for a request.
+ * @param rule: An access rule.
+ * @param request: The Hapi request object.
+ * @returns {*}: The conditions of the rule, true if the rule matches every document, or false if it can't match any.
+ */
+function resolveRule(rule, request) {
+  if (!_.isPlainObject(rule)) {
+    throw new Error("Access rules must be objects.");
+  }
+
+  var credentials = request.auth.credentials;
+
+  //EXPL: rules with a "$scope" only apply to users with the scope
+  if (rule.$scope !== undefined && !(credentials && authHelper.hasScope(credentials.scope, [].concat(rule.$scope)))) {
+    return false;
+  }
+
+  var conditions;
+  try {
+    conditions = resolveValue(_.omit(rule, '$scope'), request);
+  }
+  catch (error) {
+    if (error === unresolvedReference) {
+      return false;
+    }
+    throw error;
+  }
+
+  return _.isEmpty(conditions) ? true : conditions;
+}
+
+/**
+ * Replace the "$credentials" and "$params" references within a value with the values of the request.
+ * @param value: A rule, condition, or operand.
+ * @param request: The Hapi request object.
+ * @returns {*}: The resolved value.
+ */
+function resolveValue(value, request) {
+  if (_.isArray(value)) {
+    return value.map(function (item) {
+      return resolveValue(item, request);
+    });
+  }
+
+  if (!_.isPlainObject(value)) {
+    return value;
+  }
+
+  var keys = Object.keys(value);
+  if (keys.length === 1 && (keys[0] === '$credentials' || keys[0] === '$params')) {
+    var source = keys[0] === '$credentials' ? request.auth.credentials : request.params;
+    var resolved = _.get(source, value[keys[0]]);
+
+    if (resolved === undefined || resolved === null) {
+      throw unresolvedReference;
+    }
+    return resolved;
+  }
+
+  return _.mapValues(value, function (item) {
+    return resolveValue(item, request);
+  });
+}
+
+/**
+ * Check if a document matches the conditions of a compiled rule. This mirrors the mongo query for the supported
+ * operators.
+ * @param document: A lean document.
+ * @param conditions: The conditions.
+ * @returns {boolean}
+ */
+function matchConditions(document, conditions) {
+  return _.every(conditions, function (condition, key) {
+    switch (key) {
+      case '$and':
+        return condition.every(function (item) {
+          return matchConditions(document, item);
+        });
+      case '$or':
+        return condition.some(function (item) {
+          return matchConditions(document, item);
+        });
+      case '$nor':
+        return !condition.some(function (item) {
+          return matchConditions(document, item);
+        });
+    }
+
+    if (key[0] === '$') {
+      throw new Error("Unsupported access rule operator: " + key);
+    }
+
+    return matchValue(_.get(document, key), condition);
+  });
+}
+
+/**
+ * Check if the value of a document field matches a condition.
+ * @param value: The field value.
+ * @param condition: A value to compare to, or an object of operators.
+ * @returns {boolean}
+ */
+function matchValue(value, condition) {
+  var isOperatorObject = _.isPlainObject(condition) && !_.isEmpty(condition) &&
+      Object.keys(condition).every(function (key) {
+        return key[0] === '$';
+      });
+
+  if (!isOperatorObject) {
+    return isEqual(value, condition);
+  }
+
+  return _.every(condition, function (operand, operator) {
+    switch (operator) {
+      case '$eq':
+        return isEqual(value, operand);
+      case '$ne':
+        return !isEqual(value, operand);
+      case '$in':
+        return [].concat(operand).some(function (item) {
+          return isEqual(value, item);
+        });
+      case '$nin':
+        return ![].concat(operand).some(function (item) {
+          return isEqual(value, item);
+        });
+      case '$gt':
+      case '$gte':
+      case '$lt':
+      case '$lte':
+        return compare(value, operand, operator);
+      case '$exists':
+        return (value !== undefined && value !== null) === !!operand;
+      default:
+        throw new Error("Unsupported access rule operator: " + operator);
+    }
+  });
+}
+
+/**
+ * Check if a field value equals a value. Like mongo, array fields match if any of their items are equal.
+ * @param value: The field value.
+ * @param expected: The value to compare to.
+ * @returns {boolean}
+ */
+function isEqual(value, expected) {
+  if (expected === null || expected === undefined) {
+    return value === null || value === undefined;
+  }
+
+  if (_.isArray(value) && !_.isArray(expected)) {
+    return value.some(function (item) {
+      return isEqual(item, expected);
+    });
+  }
+
+  return _.isEqual(normalize(value), normalize(expected));
+}
+
+/**
+ * Compare a field value with a value through a comparison operator.
+ * @param value: The field value.
+ * @param operand: The value to compare to.
+ * @param operator: "$gt", "$gte", "$lt", or "$lte".
+ * @returns {boolean}
+ */
+function compare(value, operand, operator) {
+  if (_.isArray(value)) {
+    return value.some(function (item) {
+      return compare(item, operand, operator);
+    });
+  }
+
+  if (value === null || value === undefined) {
+    return false;
+  }
+
+  value = normalize(value);
+  operand = normalize(operand);
+
+  switch (operator) {
+    case '$gt':
+      return value > operand;
+    case '$gte':
+      return value >= operand;
+    case '$lt':
+      return value < operand;
+    default:
+      return value <= operand;
+  }
+}
+
+/**
+ * Convert ObjectIds to strings and dates to numbers so that they can be compared with the values of the request.
+ * @param value: A value.
+ * @returns {*}
+ */
+function normalize(value) {
+  if (_.isArray(value)) {
+    return value.map(normalize);
+  }
+  if (value && typeof value.toHexString === 'function') {
+    return value.toHexString();
+  }
+  if (_.isDate(value)) {
+    return value.getTime();
+  }
+  return value;
+}
@@ -7,7 +7,7 @@ module.exports = {
   /**
    * Generates the proper scope for an endpoint based on the model routeOptions
    * @param model: A mongoose model
-   * @param type: The scope CRUD type. Valid values are 'create', 'read', 'update', 'delete', and 'associate'.
+   * @param type: The scope CRUD type. Valid values are 'create', 'read', 'update', 'delete', 'restore', 'associate', and 'share'.
    * @param Log: A logging object
    * @returns {Array}: A list of authorization scopes for the endpoint.
    */
@@ -34,9 +34,15 @@ module.exports = {
       case 'delete':
         additionalScope = routeScope.deleteScope;
         break;
+      case 'restore':
+        additionalScope = routeScope.restoreScope;
+        break;
       case 'associate':
         additionalScope = routeScope.associateScope;
         break;
+      case 'share':
+        additionalScope = routeScope.shareScope;
+        break;
       default:
         if (routeScope[type]) {
           scope = routeScope[type];
@@ -84,7 +90,9 @@ module.exports = {
     scope.readScope = ["read", "read" + modelName, "!-read", "!-read" + modelName];
     scope.updateScope = ["update", "update" + modelName, "!-update", "!-update" + modelName];
     scope.deleteScope = ["delete", "delete" + modelName, "!-delete", "!-delete" + modelName];
+    scope.restoreScope = ["restore", "restore" + modelName, "!-restore", "!-restore" + modelName];
     scope.associateScope = ["associate", "associate" + modelName, "!-associate", "!-associate" + modelName];
+    scope.shareScope = ["share", "share" + modelName, "!-share", "!-share" + modelName];
 
     const associations = model.routeOptions.associations;
 
@@ -111,5 +119,92 @@ module.exports = {
     }
 
     model.routeOptions.routeScope = scope;
+  },
+
+  /**
+   * Checks if a user scope satisfies an endpoint scope, following the same rules as route authorization: the user
+   * scope can't contain any forbidden ("!") values, must contain every required ("+") value, and must contain at
+   * least one of the remaining values (if any).
+   * @param userScope: The scope of the user.
+   * @param scope: The endpoint scope.
+   * @param Log: A logging object
+   * @returns {boolean}
+   */
+  hasScope: function(userScope, scope, Log) {
+    userScope = userScope || [];
+    if (!_.isArray(userScope)) {
+      userScope = [userScope];
+    }
+
+    const forbiddenScope = [];
+    const requiredScope = [];
+    const generalScope = [];
+
+    scope.forEach(function(scopeValue) {
+      if (scopeValue[0] === '!') {
+        forbiddenScope.push(scopeValue.substr(1));
+      }
+      else if (scopeValue[0] === '+') {
+        requiredScope.push(scopeValue.substr(1));
+      }
+      else {
+        generalScope.push(scopeValue);
+      }
+    });
+
+    if (!_.isEmpty(_.intersection(userScope, forbiddenScope))) {
+      return false;
+    }
+
+    if (!_.isEmpty(_.difference(requiredScope, userScope))) {
+      return false;
+    }
+
+    return _.isEmpty(generalScope) || !_.isEmpty(_.intersection(userScope, generalScope));
+  },
+
+  /**
+   * Creates a mongo query that matches the documents a user scope is authorized for through their document scope.
+   * The query mirrors the logic of the "enforce-document-scope" policy.
+   * @param action: The action scope to combine with the document root scope, Ex: "read".
+   * @param userScope: The scope of the user.
+   * @param Log: A logging object.
+   * @returns {object}: A mongo query.
+   */
+  createDocumentScopeQuery: function(action, userScope, Log) {
+    userScope = userScope || [];
+    const scopeFields = ['scope.rootScope', 'scope.' + action + 'Scope'];
+
+    //EXPL: documents with no applicable document scope
+    const noScopeQuery = {};
+    scopeFields.forEach(function(field) {
+      noScopeQuery[field + '.0'] = { $exists: false };
+    });
+
+    const forbiddenScope = userScope.map(function(scopeValue) {
+      return '!' + scopeValue;
+    });
+    const requiredScope = userScope.map(function(scopeValue) {
+      return '+' + scopeValue;
+    });
+
+    const scopeQuery = { $and: [] };
+    scopeFields.forEach(function(field) {
+      let forbiddenQuery = {};
+      forbiddenQuery[field] = { $nin: forbiddenScope };
+      let requiredQuery = {};
+      requiredQuery[field] = { $elemMatch: { $regex: /^\+/, $nin: requiredScope } };
+      scopeQuery.$and.push(forbiddenQuery);
+      scopeQuery.$and.push({ $nor: [requiredQuery] });
+    });
+    scopeQuery.$and.push({
+      $or: scopeFields.map(function(field) {
+        let generalQuery = {};
+        generalQuery[field] = { $in: userScope };
+        return generalQuery;
+      })
+    });
+
+    return { $or: [noScopeQuery, scopeQuery] };
   }
 };
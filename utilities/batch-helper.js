@@ -0,0 +1,172 @@
+'use strict';
+
+var _ = require('lodash');
+var Q = require('q');
+var qs = require('qs');
+var Boom = require('boom');
+
+//EXPL: matches references to earlier results, Ex: "{{0._id}}" or "{{2.docs.0.name}}"
+var REFERENCE_PATTERN = /\{\{\s*(\d+)((?:\.[^.{}\s]+)*)\s*\}\}/g;
+
+module.exports = {
+
+  /**
+   * Replaces the references to the results of earlier operations within a value. A string that consists of a single
+   * reference is replaced with the referenced value itself, so that non-string values (Ex: arrays) can be referenced.
+   * @param value: The value containing the references. Can be a string, array, or object.
+   * @param results: The results of the operations executed so far.
+   * @returns {*}: The value with its references replaced.
+   */
+  resolveReferences: function (value, results) {
+    var self = this;
+
+    if (_.isString(value)) {
+      var getReference = function (index, path) {
+        var result = results[index];
+
+        if (!result || result.statusCode >= 400) {
+          throw "Operation " + index + " can't be referenced since it hasn't succeeded.";
+        }
+
+        var referencedValue = path ? _.get(result.result, path.slice(1)) : result.result;
+        if (referencedValue === undefined) {
+          throw "The reference \"" + index + path + "\" doesn't exist.";
+        }
+
+        return referencedValue;
+      };
+
+      var match = new RegExp('^' + REFERENCE_PATTERN.source + '$').exec(value);
+      if (match) {
+        return getReference(parseInt(match[1]), match[2]);
+      }
+
+      return value.replace(REFERENCE_PATTERN, function (reference, index, path) {
+        var referencedValue = getReference(parseInt(index), path);
+        return _.isObject(referencedValue) ? JSON.stringify(referencedValue) : referencedValue.toString();
+      });
+    }
+    else if (_.isArray(value)) {
+      return value.map(function (item) {
+        return self.resolveReferences(item, results);
+      });
+    }
+    else if (_.isPlainObject(value)) {
+      return _.mapValues(value, function (item) {
+        return self.resolveReferences(item, results);
+      });
+    }
+
+    return value;
+  },
+
+  /**
+   * Executes a list of operations in order by injecting them into the connection of the batch request. Each
+   * operation is made with the credentials of the batch request.
+   * @param request: The Hapi request object of the batch request.
+   * @param operations: A list of operations, each with a "method", "path", and optional "payload" and "query".
+   * @param stopOnError: Flag used to stop executing operations after the first one that fails.
+   * @param Log: A logging object.
+   * @returns {object}: A promise for the list of results, each with a "statusCode" and "result".
+   */
+  executeBatch: function (request, operations, stopOnError, Log) {
+    var self = this;
+    var results = [];
+
+    var promise_chain = Q.when();
+
+    operations.forEach(function (operation) {
+      promise_chain = promise_chain
+          .then(function (stopped) {
+            if (stopped) {
+              return true;
+            }
+
+            return self.executeOperation(request, operation, results, Log)
+                .then(function (result) {
+                  results.push(result);
+                  return stopOnError && result.statusCode >= 400;
+                });
+          });
+    });
+
+    return promise_chain
+        .then(function () {
+          return results;
+        });
+  },
+
+  /**
+   * Executes a single operation of a batch.
+   * @param request: The Hapi request object of the batch request.
+   * @param operation: The operation.
+   * @param results: The results of the operations executed so far.
+   * @param Log: A logging object.
+   * @returns {object}: A promise for the result of the operation.
+   */
+  executeOperation: function (request, operation, results, Log) {
+    var injectOptions = {};
+
+    try {
+      var path = this.resolveReferences(operation.path, results);
+      var query = this.resolveReferences(operation.query || {}, results);
+      var payload = this.resolveReferences(operation.payload, results);
+
+      if (path.split('?')[0] === request.path) {
+        throw "Batch requests can't be nested.";
+      }
+
+      var url = path;
+      //EXPL: arrays are sent as repeated keys and objects (Ex: "$where") as JSON, as rest-hapi expects them
+      var queryString = qs.stringify(_.mapValues(query, function (queryValue) {
+        return _.isPlainObject(queryValue) ? JSON.stringify(queryValue) : queryValue;
+      }), { arrayFormat: 'repeat' });
+      if (queryString) {
+        url = url + (path.indexOf('?') >= 0 ? '&' : '?') + queryString;
+      }
+
+      injectOptions = {
+        method: operation.method.toUpperCase(),
+        url: url,
+        payload: payload,
+        headers: _.pick(request.headers, ['authorization']),
+        credentials: request.auth.credentials || undefined,
+        artifacts: request.auth.artifacts || undefined,
+        //EXPL: operations are rate limited by the address of the batch request for requests without a user
+        remoteAddress: request.info ? request.info.remoteAddress : undefined
+      };
+    }
+    catch (error) {
+      var message = "There was an error processing the operation.";
+      if (_.isString(error)) {
+        message = error;
+      }
+      else {
+        Log.error(error);
+      }
+      var response = Boom.badRequest(message);
+      return Q.when({ statusCode: response.output.statusCode, result: response.output.payload });
+    }
+
+    Log.debug("Batch operation: %s %s", injectOptions.method, injectOptions.url);
+
+    return Q.when(request.connection.inject(injectOptions))
+        .then(function (response) {
+          //EXPL: the serialized response is used so that references resolve to the values the client would receive
+          var result = null;
+          if (response.payload) {
+            try {
+              result = JSON.parse(response.payload);
+            }
+            catch (error) {
+              result = response.payload;
+            }
+          }
+
+          return {
+            statusCode: response.statusCode,
+            result: result
+          };
+        });
+  }
+};
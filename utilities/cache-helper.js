@@ -0,0 +1,395 @@
+'use strict';
+
+var _ = require('lodash');
+var Q = require('q');
+var crypto = require('crypto');
+var TenantHelper = require('./tenant-helper');
+var AccessRuleHelper = require('./access-rule-helper');
+var config = require('../config');
+
+//EXPL: the default store, created when it's first used
+var memoryStore = null;
+
+//EXPL: incremented each time a model is invalidated, so that results read before a write aren't cached after it
+var generations = {};
+
+//EXPL: models written within a transaction are invalidated again once it's committed, keyed by session
+var pendingInvalidations = new WeakMap();
+
+module.exports = {
+
+  /**
+   * Create an in-memory store that keeps the most recently used entries. Stores set through "config.cacheStore" must
+   * implement the same methods, and may return promises from them.
+   * @param maxEntries: The maximum number of entries kept.
+   * @returns {object}: A store with the following methods:
+   * - get(key): returns the cached value, or undefined
+   * - set(key, value, options): caches a value. "options.ttl" is the time in milliseconds before the value expires
+   * and "options.tags" is a list of the names of the models the value depends on
+   * - invalidate(tags): removes the values that depend on any of the given model names
+   */
+  createMemoryStore: function (maxEntries) {
+    //EXPL: Maps iterate in insertion order, so the first entry is the least recently used
+    var entries = new Map();
+
+    return {
+      get: function (key) {
+        var entry = entries.get(key);
+        if (!entry) {
+          return undefined;
+        }
+
+        entries.delete(key);
+        if (entry.expires && entry.expires <= Date.now()) {
+          return undefined;
+        }
+        entries.set(key, entry);
+
+        return entry.value;
+      },
+
+      set: function (key, value, options) {
+        options = options || {};
+
+        entries.delete(key);
+        entries.set(key, {
+          value: value,
+          tags: options.tags || [],
+          expires: options.ttl ? Date.now() + options.ttl : null
+        });
+
+        while (entries.size > maxEntries) {
+          entries.delete(entries.keys().next().value);
+        }
+      },
+
+      invalidate: function (tags) {
+        entries.forEach(function (entry, key) {
+          if (!_.isEmpty(_.intersection(entry.tags, tags))) {
+            entries.delete(key);
+          }
+        });
+      }
+    };
+  },
+
+  /**
+   * Get the store of cached results, which is either "config.cacheStore" or an in-memory store.
+   * @returns {object}
+   */
+  getStore: function () {
+    if (config.cacheStore) {
+      return config.cacheStore;
+    }
+    if (!memoryStore) {
+      memoryStore = this.createMemoryStore(config.cacheMaxEntries);
+    }
+    return memoryStore;
+  },
+
+  /**
+   * Check if the results of a model are cached through "routeOptions.cache".
+   * @param model: A mongoose model.
+   * @returns {boolean}
+   */
+  isEnabled: function (model) {
+    return !!(model.routeOptions && model.routeOptions.cache);
+  },
+
+  /**
+   * Get the time in milliseconds that the results of a model are cached for.
+   * @param model: A mongoose model.
+   * @returns {number}
+   */
+  getTTL: function (model) {
+    var cache = model.routeOptions.cache;
+    return _.isObject(cache) && cache.ttl !== undefined ? cache.ttl : config.cacheTTL;
+  },
+
+  /**
+   * Get the names of the models that a result depends on. Along with the model itself, this includes the models of
+   * the associations reached through "$embed" and association queries (Ex: "role.name=Admin").
+   * @param model: A mongoose model.
+   * @param query: The request query.
+   * @returns {Array}: A list of model names.
+   */
+  getTags: function (model, query) {
+    var tags = [model].concat(getAssociatedModels(model, query)).map(function (associatedModel) {
+      return associatedModel.modelName;
+    });
+
+    return _.uniq(tags);
+  },
+
+  /**
+   * Get the cache key of a request, based on the normalized query and the scope, tenant, and access rule conditions
+   * of the user. The user's _id is included if the result can depend on the user in other ways, Ex: through the
+   * middleware functions of the model.
+   * @param model: A mongoose model.
+   * @param type: The type of request, Ex: "list" or "find".
+   * @param _id: The id of the document for "find" requests.
+   * @param request: The Hapi request object.
+   * @returns {string}: The key, or null if the result depends on a user without an _id and shouldn't be cached.
+   */
+  getKey: function (model, type, _id, request) {
+    var credentials = request.auth ? request.auth.credentials : null;
+    var scope = credentials && credentials.scope ? [].concat(credentials.scope).sort() : [];
+    var userId = null;
+
+    if (credentials && isUserSpecific(model, type, request.query)) {
+      userId = getUserId(credentials);
+      //EXPL: the result can't be shared safely without a user _id
+      if (!userId) {
+        return null;
+      }
+    }
+
+    var data = JSON.stringify(normalize({
+      _id: _id ? _id.toString() : null,
+      query: request.query || {},
+      scope: scope,
+      tenant: config.multiTenant ? TenantHelper.getTenantId(request) : null,
+      user: userId,
+      //EXPL: access rules can depend on the user's credentials rather than their scope
+      access: [model].concat(getAssociatedModels(model, request.query)).map(function (associatedModel) {
+        return AccessRuleHelper.getFilter(associatedModel, 'read', request);
+      })
+    }));
+
+    return "rest-hapi:" + model.modelName + ":" + type + ":" + crypto.createHash('sha1').update(data).digest('hex');
+  },
+
+  /**
+   * Return the cached result of a request, or get the result and cache it. Store errors are logged so that requests
+   * fall back to the database.
+   * @param model: A mongoose model.
+   * @param type: The type of request, Ex: "list" or "find".
+   * @param _id: The id of the document for "find" requests.
+   * @param request: The Hapi request object.
+   * @param getResult: A function that returns a promise for the result.
+   * @param Log: A logging object.
+   * @returns {object}: A promise for the result.
+   */
+  fetch: function (model, type, _id, request, getResult, Log) {
+    var self = this;
+    var store = self.getStore();
+    var key = self.getKey(model, type, _id, request);
+
+    if (!key) {
+      return getResult();
+    }
+
+    var tags = self.getTags(model, request.query);
+    var generation = getGeneration(tags);
+
+    return Q.fcall(function () {
+      return store.get(key);
+    })
+        .catch(function (error) {
+          Log.error("There was an error reading from the cache:", error);
+          return undefined;
+        })
+        .then(function (cached) {
+          if (cached !== undefined && cached !== null) {
+            return JSON.parse(cached);
+          }
+
+          return getResult()
+              .then(function (result) {
+                if (generation === getGeneration(tags)) {
+                  callStore(function () {
+                    return store.set(key, JSON.stringify(result), { ttl: self.getTTL(model), tags: tags });
+                  }, "There was an error writing to the cache:", Log);
+                }
+                return result;
+              });
+        });
+  },
+
+  /**
+   * Remove the cached results that depend on the given models. Models written within a transaction are invalidated
+   * again once it's committed.
+   * @param models: A mongoose model or a list of models.
+   * @param request: The Hapi request object, or a container for the wrapper payload.
+   * @param Log: A logging object.
+   */
+  invalidate: function (models, request, Log) {
+    var tags = _.uniq(_.compact([].concat(models)).map(function (model) {
+      return model.modelName;
+    }));
+
+    var session = request ? request.mongooseSession : null;
+    if (session) {
+      pendingInvalidations.set(session, _.union(pendingInvalidations.get(session) || [], tags));
+    }
+
+    invalidateTags(tags, Log);
+  },
+
+  /**
+   * Invalidate the models written within a committed transaction.
+   * @param session: The mongoose session of the transaction.
+   * @param Log: A logging object.
+   */
+  flush: function (session, Log) {
+    var tags = pendingInvalidations.get(session) || [];
+    pendingInvalidations.delete(session);
+
+    if (!_.isEmpty(tags)) {
+      invalidateTags(tags, Log);
+    }
+  },
+
+  /**
+   * Drop the models written within an aborted transaction.
+   * @param session: The mongoose session of the transaction.
+   */
+  discard: function (session) {
+    pendingInvalidations.delete(session);
+  }
+};
+
+/**
+ * Get the models of the associations reached through the "$embed" and association query (Ex: "role.name=Admin")
+ * paths of a query, including linking models.
+ * @param model: A mongoose model.
+ * @param query: The request query.
+ * @returns {Array}: A list of mongoose models.
+ */
+function getAssociatedModels(model, query) {
+  var models = [];
+  query = query || {};
+
+  var embeds = query.$embed || [];
+  if (!_.isArray(embeds)) {
+    embeds = embeds.split(",");
+  }
+
+  var paths = embeds.concat(Object.keys(query).filter(function (key) {
+    return key[0] !== "$" && key.indexOf(".") > 0;
+  }));
+
+  paths.forEach(function (path) {
+    var current = model;
+    path.split(".").forEach(function (name) {
+      var associations = current && current.routeOptions ? current.routeOptions.associations : null;
+      var association = associations ? associations[name] : null;
+      if (!association || !association.include) {
+        current = null;
+        return;
+      }
+
+      current = association.include.model;
+      models.push(current);
+      if (association.include.through) {
+        models.push(association.include.through);
+      }
+    });
+  });
+
+  return models;
+}
+
+/**
+ * Remove the cached results that depend on the given model names.
+ * @param tags: A list of model names.
+ * @param Log: A logging object.
+ * @private
+ */
+function invalidateTags(tags, Log) {
+  tags.forEach(function (tag) {
+    generations[tag] = (generations[tag] || 0) + 1;
+  });
+
+  //EXPL: nothing has been cached if the default store hasn't been created
+  var store = config.cacheStore || memoryStore;
+  if (!store) {
+    return;
+  }
+
+  callStore(function () {
+    return store.invalidate(tags);
+  }, "There was an error invalidating the cache:", Log);
+}
+
+/**
+ * Call a method of the store and log any errors. The method is called immediately so that writes to the in-memory
+ * store are applied before any other request is handled.
+ * @param method: A function that calls the store.
+ * @param message: The message logged with an error.
+ * @param Log: A logging object.
+ * @private
+ */
+function callStore(method, message, Log) {
+  try {
+    Q.when(method())
+        .catch(function (error) {
+          Log.error(message, error);
+        });
+  }
+  catch (error) {
+    Log.error(message, error);
+  }
+}
+
+/**
+ * Get a number that changes whenever any of the given models are invalidated.
+ * @param tags: A list of model names.
+ * @returns {number}
+ * @private
+ */
+function getGeneration(tags) {
+  return tags.reduce(function (sum, tag) {
+    return sum + (generations[tag] || 0);
+  }, 0);
+}
+
+/**
+ * Check if the result of a request can depend on the user beyond the conditions included in the cache key. This is
+ * the case if the model has middleware functions for the request, or if the query has functions that are dropped
+ * from the key, Ex: a "populateMatch" function.
+ * @param model: A mongoose model.
+ * @param type: The type of request, Ex: "list" or "find".
+ * @param query: The request query.
+ * @returns {boolean}
+ * @private
+ */
+function isUserSpecific(model, type, query) {
+  var middleware = model.routeOptions ? model.routeOptions[type] : null;
+
+  if (middleware && (middleware.pre || middleware.post)) {
+    return true;
+  }
+
+  return _.some(query, _.isFunction);
+}
+
+/**
+ * Get the _id of the user of a request.
+ * @param credentials: The credentials of the request.
+ * @returns {string}: The _id, or null if the credentials don't include one.
+ * @private
+ */
+function getUserId(credentials) {
+  var userId = _.get(credentials, config.userIdKey);
+  return userId ? userId.toString() : null;
+}
+
+/**
+ * Sort the keys of an object so that equivalent queries produce the same cache key.
+ * @param value: The value to normalize.
+ * @returns {*}
+ * @private
+ */
+function normalize(value) {
+  if (_.isArray(value)) {
+    return value.map(normalize);
+  }
+  if (_.isPlainObject(value)) {
+    return Object.keys(value).sort().reduce(function (result, key) {
+      result[key] = normalize(value[key]);
+      return result;
+    }, {});
+  }
+  return value;
+}
@@ -9,10 +9,12 @@ module.exports = {
    */
   types: {
     BAD_REQUEST: "Bad Request",
+    FORBIDDEN: "Forbidden",
     BAD_IMPLEMENTATION: "Bad Implementation",
     NOT_FOUND: "Not Found",
     GATEWAY_TIMEOUT: "Gateway Timeout",
-    CONFLICT: "Conflict"
+    CONFLICT: "Conflict",
+    PRECONDITION_FAILED: "Precondition Failed"
   },
 
   /**
@@ -53,9 +55,15 @@ module.exports = {
           case this.types.BAD_REQUEST:
             response = Boom.badRequest(error.message);
             break;
+          case this.types.FORBIDDEN:
+            response = Boom.forbidden(error.message);
+            break;
           case this.types.CONFLICT:
             response = Boom.conflict(error.message);
             break;
+          case this.types.PRECONDITION_FAILED:
+            response = Boom.preconditionFailed(error.message);
+            break;
           default:
             response = Boom.badRequest(error.message);
         }
@@ -0,0 +1,114 @@
+'use strict';
+
+var _ = require('lodash');
+var EventEmitter = require('events');
+
+var events = new EventEmitter();
+
+//EXPL: listeners for this event receive every event, Ex: to deliver webhooks
+var ALL_EVENTS = "*";
+
+//EXPL: events for writes within a transaction are held until the transaction is committed, keyed by session
+var pendingEvents = new WeakMap();
+
+module.exports = {
+
+  /**
+   * The emitter exposed as "restHapi.events".
+   */
+  events: events,
+
+  /**
+   * The name of the event that receives every event.
+   */
+  ALL_EVENTS: ALL_EVENTS,
+
+  /**
+   * Get the name of the event for an action on a model, Ex: "user.created" or "user.groups.added".
+   * @param model: A mongoose model.
+   * @param action: The action, Ex: "created" or "groups.added".
+   * @returns {string}
+   */
+  getEventName: function (model, action) {
+    return model.modelName + "." + action;
+  },
+
+  /**
+   * Check if anything is listening for an event, so that extra work for the event can be skipped.
+   * @param model: A mongoose model.
+   * @param action: The action, Ex: "created" or "groups.added".
+   * @returns {boolean}
+   */
+  hasListeners: function (model, action) {
+    return events.listenerCount(this.getEventName(model, action)) + events.listenerCount(ALL_EVENTS) > 0;
+  },
+
+  /**
+   * Emit an event for a successful write. Each event carries the event name, the model name, and the credentials of
+   * the request along with the given data. If the request is part of a transaction the event is emitted once the
+   * transaction is committed.
+   * @param model: A mongoose model.
+   * @param action: The action, Ex: "created" or "groups.added".
+   * @param data: The event data, Ex: { document: {...}, previous: {...} }.
+   * @param request: The Hapi request object, or a container for the wrapper payload.
+   * @param Log: A logging object.
+   */
+  emit: function (model, action, data, request, Log) {
+    var name = this.getEventName(model, action);
+
+    var event = _.assignIn({
+      event: name,
+      model: model.modelName,
+      credentials: request && request.auth ? request.auth.credentials : null
+    }, data);
+
+    var session = request ? request.mongooseSession : null;
+    if (session) {
+      if (!pendingEvents.has(session)) {
+        pendingEvents.set(session, []);
+      }
+      pendingEvents.get(session).push({ event: event, Log: Log });
+      return;
+    }
+
+    _emit(event, Log);
+  },
+
+  /**
+   * Emit the events held for a committed transaction.
+   * @param session: The mongoose session of the transaction.
+   */
+  flush: function (session) {
+    var pending = pendingEvents.get(session) || [];
+    pendingEvents.delete(session);
+
+    pending.forEach(function (item) {
+      _emit(item.event, item.Log);
+    });
+  },
+
+  /**
+   * Drop the events held for an aborted transaction.
+   * @param session: The mongoose session of the transaction.
+   */
+  discard: function (session) {
+    pendingEvents.delete(session);
+  }
+};
+
+/**
+ * Emit an event. Errors thrown by listeners are logged rather than failing the request.
+ * @param event: The event data.
+ * @param Log: A logging object.
+ * @private
+ */
+function _emit(event, Log) {
+  [event.event, ALL_EVENTS].forEach(function (name) {
+    try {
+      events.emit(name, event);
+    }
+    catch (error) {
+      Log.error("There was an error handling the " + event.event + " event:", error);
+    }
+  });
+}
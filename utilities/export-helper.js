@@ -0,0 +1,275 @@
+'use strict';
+
+var _ = require('lodash');
+var Stream = require('stream');
+var QueryHelper = require('./query-helper');
+
+//EXPL: the supported export formats and their content types
+var contentTypes = {
+  csv: 'text/csv',
+  ndjson: 'application/x-ndjson'
+};
+
+module.exports = {
+
+  contentTypes: contentTypes,
+
+  /**
+   * Determine the export format of a list request. The "$format" query parameter takes priority over the
+   * "Accept" header.
+   * @param query: The incoming request query.
+   * @param headers: The incoming request headers.
+   * @returns {string}: "csv", "ndjson", or null for a regular JSON response.
+   */
+  getExportFormat: function (query, headers) {
+    if (query.$count) {
+      return null;
+    }
+
+    if (query.$format) {
+      return contentTypes[query.$format] ? query.$format : null;
+    }
+
+    var accept = headers && headers.accept ? headers.accept.split(",") : [];
+    for (var i = 0; i < accept.length; i++) {
+      var mediaType = accept[i].split(";")[0].trim().toLowerCase();
+      for (var format in contentTypes) {
+        if (contentTypes[format] === mediaType) {
+          return format;
+        }
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Get a list of the fields that can be exported for a model. Fields with "exclude" set to true or "allowOnRead"
+   * set to false are omitted.
+   * @param model: A mongoose model object.
+   * @param Log: A logging object.
+   * @returns {Array}: A list of fields.
+   */
+  getExportFields: function (model, Log) {
+    var fields = model.schema.paths;
+
+    return QueryHelper.getReadableFields(model, Log).filter(function (fieldName) {
+      return fields[fieldName].options.allowOnRead !== false;
+    });
+  },
+
+  /**
+   * Get the dotted CSV columns for a list query based on the "$select" and "$embed" parameters. Embedded
+   * associations are replaced by the columns of the associated model.
+   * @param model: A mongoose model object.
+   * @param query: The incoming request query.
+   * @param Log: A logging object.
+   * @returns {Array}: A list of columns.
+   */
+  getColumns: function (model, query, Log) {
+    var select = query.$select || [];
+    if (!Array.isArray(select)) {
+      select = select.split(",");
+    }
+
+    var embeds = query.$embed || [];
+    if (!Array.isArray(embeds)) {
+      embeds = embeds.split(",");
+    }
+
+    var exportFields = this.getExportFields(model, Log);
+    var fields = _.isEmpty(select) ? exportFields : _.intersection(select, exportFields);
+
+    //EXPL: top level MANY_MANY associations are always flattened in CSV exports
+    return createColumns(model, fields, embeds, true, Log);
+  },
+
+  /**
+   * Create a stream that formats the results of a mongoose query as CSV or NDJSON. Documents are read through a
+   * mongoose cursor so that results are never fully loaded into memory.
+   * @param model: A mongoose model object.
+   * @param mongooseQuery: A mongoose query.
+   * @param format: The export format, "csv" or "ndjson".
+   * @param columns: The CSV columns.
+   * @param formatDocument: A function that is applied to each document before it is exported.
+   * @param Log: A logging object.
+   * @returns {*}: A readable stream.
+   */
+  createExportStream: function (model, mongooseQuery, format, columns, formatDocument, Log) {
+    var exportStream = new Stream.Transform({
+      writableObjectMode: true,
+      transform: function (document, encoding, callback) {
+        try {
+          document = removeUnreadableFields(model, formatDocument(document), Log);
+          if (format === 'csv') {
+            callback(null, createCsvRow(columns.map(function (column) {
+              return getColumnValue(document, column.split("."));
+            })));
+          }
+          else {
+            callback(null, JSON.stringify(document) + "\n");
+          }
+        }
+        catch (error) {
+          Log.error(error);
+          callback(error);
+        }
+      }
+    });
+
+    if (format === 'csv') {
+      exportStream.push(createCsvRow(columns));
+    }
+
+    var cursor = mongooseQuery.cursor();
+    cursor.on('error', function (error) {
+      Log.error(error);
+      exportStream.emit('error', error);
+    });
+
+    return cursor.pipe(exportStream);
+  }
+};
+
+/**
+ * Create the CSV columns for a model, replacing embedded associations with the columns of the associated model.
+ * @param model: A mongoose model object.
+ * @param fields: The exported fields of the model.
+ * @param embeds: The "$embed" paths relative to the model.
+ * @param flatten: If true, MANY_MANY association columns skip the linking model data.
+ * @param Log: A logging object.
+ * @returns {Array}: A list of columns.
+ */
+function createColumns(model, fields, embeds, flatten, Log) {
+  var associations = model.routeOptions ? model.routeOptions.associations : {};
+  var nestedEmbeds = {};
+
+  embeds.forEach(function (embed) {
+    var path = embed.split(".");
+    var associationName = path.shift();
+    if (associations && associations[associationName]) {
+      nestedEmbeds[associationName] = nestedEmbeds[associationName] || [];
+      if (path.length > 0) {
+        nestedEmbeds[associationName].push(path.join("."));
+      }
+    }
+  });
+
+  var columns = fields.filter(function (fieldName) {
+    return !nestedEmbeds[fieldName];
+  });
+
+  for (var associationName in nestedEmbeds) {
+    var association = associations[associationName];
+    var childModel = association.include.model;
+    var prefix = associationName + ".";
+    if (association.type === "MANY_MANY" && !flatten) {
+      prefix = prefix + association.model + ".";
+    }
+
+    var childFields = module.exports.getExportFields(childModel, Log);
+    createColumns(childModel, childFields, nestedEmbeds[associationName], false, Log).forEach(function (column) {
+      columns.push(prefix + column);
+    });
+  }
+
+  return columns;
+}
+
+/**
+ * Get the value of a dotted column from a document. Arrays along the path are mapped to an array of values.
+ * @param document: The document.
+ * @param path: The column path.
+ * @returns {*}: The column value.
+ */
+function getColumnValue(document, path) {
+  if (Array.isArray(document)) {
+    return document.map(function (item) {
+      return getColumnValue(item, path);
+    });
+  }
+
+  if (path.length === 0 || document === null || document === undefined) {
+    return document;
+  }
+
+  return getColumnValue(document[path[0]], path.slice(1));
+}
+
+/**
+ * Create an escaped CSV row.
+ * @param values: The row values.
+ * @returns {string}: The CSV row.
+ */
+function createCsvRow(values) {
+  return values.map(function (value) {
+    var cell = "";
+    if (value === null || value === undefined) {
+      cell = "";
+    }
+    else if (_.isDate(value)) {
+      cell = value.toISOString();
+    }
+    else if (_.isObject(value) && !value._bsontype) {
+      cell = JSON.stringify(value);
+    }
+    else {
+      cell = value.toString();
+    }
+
+    if (/[",\r\n]/.test(cell)) {
+      cell = '"' + cell.replace(/"/g, '""') + '"';
+    }
+    return cell;
+  }).join(",") + "\r\n";
+}
+
+/**
+ * Remove the fields with "allowOnRead" set to false from a document and its embedded documents.
+ * @param model: A mongoose model object.
+ * @param document: The document.
+ * @param Log: A logging object.
+ * @returns {*}: The document.
+ */
+function removeUnreadableFields(model, document, Log) {
+  if (Array.isArray(document)) {
+    return document.map(function (item) {
+      return removeUnreadableFields(model, item, Log);
+    });
+  }
+
+  if (!_.isPlainObject(document)) {
+    return document;
+  }
+
+  var fields = model.schema.paths;
+  for (var fieldName in fields) {
+    if (fields[fieldName].options.allowOnRead === false) {
+      _.unset(document, fieldName);
+    }
+  }
+
+  var associations = model.routeOptions ? model.routeOptions.associations : null;
+  for (var associationName in associations) {
+    var association = associations[associationName];
+    var data = document[associationName];
+    if (!data || !association.include || !association.include.model) {
+      continue;
+    }
+    if (association.type === "MANY_MANY" && Array.isArray(data)) {
+      data.forEach(function (item) {
+        if (_.isPlainObject(item) && _.isPlainObject(item[association.model])) {
+          item[association.model] = removeUnreadableFields(association.include.model, item[association.model], Log);
+        }
+        else {
+          removeUnreadableFields(association.include.model, item, Log);
+        }
+      });
+    }
+    else {
+      document[associationName] = removeUnreadableFields(association.include.model, data, Log);
+    }
+  }
+
+  return document;
+}
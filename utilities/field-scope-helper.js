@@ -0,0 +1,143 @@
+'use strict';
+
+var _ = require('lodash');
+var authHelper = require('./auth-helper');
+
+module.exports = {
+
+  /**
+   * Get the scope required to read or write a field through the "readScope" and "writeScope" field properties.
+   * @param field: A field from the schema tree of a model.
+   * @param action: "read" or "write".
+   * @returns {Array}: The scope, or null if the field isn't restricted.
+   */
+  getFieldScope: function (field, action) {
+    var scope = _.isObject(field) ? field[action + "Scope"] : null;
+
+    //EXPL: nested objects (Ex: the document "scope" field) can have sub-fields with the same names
+    if ((!_.isString(scope) && !_.isArray(scope)) || _.isEmpty(scope)) {
+      return null;
+    }
+
+    return [].concat(scope);
+  },
+
+  /**
+   * Check if any fields of a model have a "readScope" or "writeScope".
+   * @param model: A mongoose model.
+   * @returns {boolean}
+   */
+  hasFieldScopes: function (model) {
+    var self = this;
+    var fields = model && model.schema ? model.schema.tree : {};
+
+    return _.some(fields, function (field) {
+      return !!self.getFieldScope(field, "read") || !!self.getFieldScope(field, "write");
+    });
+  },
+
+  /**
+   * Check if the responses of a model can include restricted fields, either from the model itself or from the
+   * models that can be embedded through its associations.
+   * @param model: A mongoose model.
+   * @returns {boolean}
+   */
+  isEnabled: function (model) {
+    return hasEmbeddedFieldScopes(this, model, []);
+  },
+
+  /**
+   * Get the fields of a model that the user making a request isn't allowed to read or write.
+   * @param model: A mongoose model.
+   * @param action: "read" or "write".
+   * @param request: The Hapi request object, or a container for the wrapper query/payload.
+   * @returns {Array}: A list of field names.
+   */
+  getUnauthorizedFields: function (model, action, request) {
+    var self = this;
+
+    //EXPL: calls made through the mongoose wrapper methods can access every field
+    if (!request || !request.auth) {
+      return [];
+    }
+
+    var credentials = request.auth.credentials;
+    var userScope = credentials ? credentials.scope : [];
+    var fields = model && model.schema ? model.schema.tree : {};
+
+    return Object.keys(fields).filter(function (fieldName) {
+      var scope = self.getFieldScope(fields[fieldName], action);
+      return !!scope && !authHelper.hasScope(userScope, scope);
+    });
+  },
+
+  /**
+   * Remove the fields that the user making a request isn't allowed to read from a document, including the
+   * documents embedded through its associations. The document itself isn't modified so that cached results stay
+   * intact.
+   * @param model: A mongoose model.
+   * @param document: A document of the model.
+   * @param request: The Hapi request object, or a container for the wrapper query.
+   * @returns {object}: The filtered document.
+   */
+  filterDocument: function (model, document, request) {
+    var self = this;
+
+    if (!_.isPlainObject(document) || !model) {
+      return document;
+    }
+
+    var result = _.omit(document, self.getUnauthorizedFields(model, "read", request));
+    var associations = model.routeOptions ? model.routeOptions.associations : null;
+
+    for (var associationName in associations) {
+      var association = associations[associationName];
+      var associatedModel = association.include ? association.include.model : null;
+
+      if (!associatedModel || !_.isObject(result[associationName])) {
+        continue;
+      }
+
+      if (_.isArray(result[associationName])) {
+        result[associationName] = result[associationName].map(function (embed) {
+          //EXPL: unflattened MANY_MANY embeds wrap the associated document along with the linking model data
+          if (association.type === "MANY_MANY" && _.isPlainObject(embed) && _.isPlainObject(embed[association.model])) {
+            embed = _.clone(embed);
+            embed[association.model] = self.filterDocument(associatedModel, embed[association.model], request);
+            return embed;
+          }
+          return self.filterDocument(associatedModel, embed, request);
+        });
+      }
+      else {
+        result[associationName] = self.filterDocument(associatedModel, result[associationName], request);
+      }
+    }
+
+    return result;
+  }
+};
+
+/**
+ * Check if a model or any of the models associated with it have restricted fields.
+ * @param fieldScopeHelper: The field scope helper.
+ * @param model: A mongoose model.
+ * @param checkedModels: The models that have already been checked.
+ * @returns {boolean}
+ */
+function hasEmbeddedFieldScopes(fieldScopeHelper, model, checkedModels) {
+  if (!model || checkedModels.indexOf(model) > -1) {
+    return false;
+  }
+  checkedModels.push(model);
+
+  if (fieldScopeHelper.hasFieldScopes(model)) {
+    return true;
+  }
+
+  var associations = model.routeOptions ? model.routeOptions.associations : null;
+
+  return _.some(associations, function (association) {
+    return !!association.include && hasEmbeddedFieldScopes(fieldScopeHelper, association.include.model, checkedModels);
+  });
+}
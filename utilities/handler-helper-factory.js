@@ -1,9 +1,16 @@
 'use strict';
 
 var Boom = require('boom');
+var Joi = require('joi');
 var Q = require('q');
 var extend = require('util')._extend;
 var handlerHelper = require('./handler-helper');
+var ExportHelper = require('./export-helper');
+var ImportHelper = require('./import-helper');
+var PatchHelper = require('./patch-helper');
+var BatchHelper = require('./batch-helper');
+var WebhookHelper = require('./webhook-helper');
+var SubscriptionHelper = require('./subscription-helper');
 var errorHelper = require('./error-helper');
 let config = require("../config");
 
@@ -76,6 +83,15 @@ module.exports = function (_mongoose, _server) {
      */
     generateDeleteHandler: generateDeleteHandler,
 
+    /**
+     * Handles incoming POST requests to /RESOURCE/{_id}/restore and /RESOURCE/restore
+     * @param model: A mongoose model.
+     * @param options: Options object.
+     * @param Log: A logging object.
+     * @returns {Function} A handler function
+     */
+    generateRestoreHandler: generateRestoreHandler,
+
     /**
      * Handles incoming UPDATE requests to /RESOURCE/{_id}
      * @param model: A mongoose model.
@@ -85,6 +101,15 @@ module.exports = function (_mongoose, _server) {
      */
     generateUpdateHandler: generateUpdateHandler,
 
+    /**
+     * Handles incoming PATCH requests to /RESOURCE/{_id}
+     * @param model: A mongoose model.
+     * @param options: Options object.
+     * @param Log: A logging object.
+     * @returns {Function} A handler function
+     */
+    generatePatchHandler: generatePatchHandler,
+
     /**
      * Handles incoming PUT requests to /OWNER_RESOURCE/{ownerId}/CHILD_RESOURCE/{childId}
      * @param ownerModel: A mongoose model.
@@ -133,7 +158,120 @@ module.exports = function (_mongoose, _server) {
      * @param Log: A logging object.
      * @returns {Function} A handler function
      */
-    generateAssociationGetAllHandler: generateAssociationGetAllHandler
+    generateAssociationGetAllHandler: generateAssociationGetAllHandler,
+
+    /**
+     * Handles incoming GET requests to /RESOURCE/aggregate
+     * @param model: A mongoose model.
+     * @param options: Options object.
+     * @param Log: A logging object.
+     * @returns {Function} A handler function
+     */
+    generateAggregateHandler: generateAggregateHandler,
+
+    /**
+     * Handles incoming GET requests to /RESOURCE/subscribe
+     * @param model: A mongoose model.
+     * @param options: Options object.
+     * @param Log: A logging object.
+     * @returns {Function} A handler function
+     */
+    generateSubscribeHandler: generateSubscribeHandler,
+
+    /**
+     * Handles incoming POST requests to /RESOURCE/import
+     * @param model: A mongoose model.
+     * @param options: Options object.
+     * @param Log: A logging object.
+     * @returns {Function} A handler function
+     */
+    generateImportHandler: generateImportHandler,
+
+    /**
+     * Handles incoming GET requests to /RESOURCE/{_id}/revisions
+     * @param model: A mongoose model.
+     * @param options: Options object.
+     * @param Log: A logging object.
+     * @returns {Function} A handler function
+     */
+    generateListRevisionsHandler: generateListRevisionsHandler,
+
+    /**
+     * Handles incoming GET requests to /RESOURCE/{_id}/revisions/{revision}
+     * @param model: A mongoose model.
+     * @param options: Options object.
+     * @param Log: A logging object.
+     * @returns {Function} A handler function
+     */
+    generateFindRevisionHandler: generateFindRevisionHandler,
+
+    /**
+     * Handles incoming POST requests to /RESOURCE/{_id}/revisions/{revision}/revert
+     * @param model: A mongoose model.
+     * @param options: Options object.
+     * @param Log: A logging object.
+     * @returns {Function} A handler function
+     */
+    generateRevertHandler: generateRevertHandler,
+
+    /**
+     * Handles incoming GET requests to /RESOURCE/{_id}/scope
+     * @param model: A mongoose model.
+     * @param options: Options object.
+     * @param Log: A logging object.
+     * @returns {Function} A handler function
+     */
+    generateFindScopeHandler: generateFindScopeHandler,
+
+    /**
+     * Handles incoming POST requests to /RESOURCE/{_id}/scope/{action}
+     * @param model: A mongoose model.
+     * @param options: Options object.
+     * @param Log: A logging object.
+     * @returns {Function} A handler function
+     */
+    generateAddScopeHandler: generateAddScopeHandler,
+
+    /**
+     * Handles incoming DELETE requests to /RESOURCE/{_id}/scope/{action}/{scopeValue}
+     * @param model: A mongoose model.
+     * @param options: Options object.
+     * @param Log: A logging object.
+     * @returns {Function} A handler function
+     */
+    generateRemoveScopeHandler: generateRemoveScopeHandler,
+
+    /**
+     * Handles incoming POST requests to /batch
+     * @param options: Options object.
+     * @param Log: A logging object.
+     * @returns {Function} A handler function
+     */
+    generateBatchHandler: generateBatchHandler,
+
+    /**
+     * Handles incoming POST requests to /webhookDelivery/{_id}/redeliver
+     * @param options: Options object.
+     * @param Log: A logging object.
+     * @returns {Function} A handler function
+     */
+    generateRedeliverHandler: generateRedeliverHandler,
+
+    /**
+     * Handles the "onPreResponse" event for routes that support exports.
+     * @param Log: A logging object.
+     * @returns {Function} A route extension function
+     */
+    generateExportResponseHandler: generateExportResponseHandler,
+
+    /**
+     * Handles the "onPostAuth" event for PATCH requests to /RESOURCE/{_id} by replacing the JSON Patch
+     * operations with the equivalent update payload.
+     * @param model: A mongoose model.
+     * @param Log: A logging object.
+     * @returns {Function} A route extension function
+     */
+    generatePatchPayloadHandler: generatePatchPayloadHandler
   };
 
 };
@@ -152,8 +290,13 @@ function generateListHandler(model, options, Log) {
     try {
       Log.log("params(%s), query(%s), payload(%s)", JSON.stringify(request.params), JSON.stringify(request.query), JSON.stringify(request.payload));
 
+      var format = ExportHelper.getExportFormat(request.query, request.headers);
+
       handlerHelper.listHandler(model, request, Log)
           .then(function(result) {
+            if (format) {
+              return replyWithExport(request, reply, result, format);
+            }
             const pageData = result.pageData;
             delete result.pageData;
             return reply(result).code(200);
@@ -299,6 +442,48 @@ function generateDeleteHandler(model, options, Log) {
   }
 }
 
+/**
+ * Handles incoming POST requests to /RESOURCE/{_id}/restore and /RESOURCE/restore
+ * @param model: A mongoose model.
+ * @param options: Options object.
+ * @param Log: A logging object.
+ * @returns {Function} A handler function
+ */
+function generateRestoreHandler(model, options, Log) {
+  options = options || {};
+
+  return function (request, reply) {
+    try {
+      Log.log("params(%s), query(%s), payload(%s)", JSON.stringify(request.params), JSON.stringify(request.query), JSON.stringify(request.payload));
+
+      if (request.params._id) {
+        handlerHelper.restoreOneHandler(model, request.params._id, request, Log)
+            .then(function(result) {
+              return reply(result).code(200);
+            })
+            .catch(function(error) {
+              var response = errorHelper.formatResponse(error, Log);
+              return reply(response);
+            });
+      }
+      else {
+        handlerHelper.restoreManyHandler(model, request, Log)
+            .then(function(result) {
+              return reply().code(204);
+            })
+            .catch(function(error) {
+              var response = errorHelper.formatResponse(error, Log);
+              return reply(response);
+            });
+      }
+    }
+    catch(error) {
+      Log.error("error: ", error);
+      return reply(Boom.badRequest("There was an error processing the request.", error));
+    }
+  }
+}
+
 /**
  * Handles incoming PUT requests to /OWNER_RESOURCE/{ownerId}/CHILD_RESOURCE/{childId}
  * @param ownerModel: A mongoose model.
@@ -450,8 +635,13 @@ function generateAssociationGetAllHandler(ownerModel, association, options, Log)
     try {
       Log.log(getAllMethodName + " + params(%s), query(%s), payload(%s)", JSON.stringify(request.params), JSON.stringify(request.query), JSON.stringify(request.payload));
 
+      var format = ExportHelper.getExportFormat(request.query, request.headers);
+
       handlerHelper.getAllHandler(ownerModel, request.params.ownerId, childModel, associationName, request, Log)
           .then(function(result) {
+            if (format) {
+              return replyWithExport(request, reply, result, format);
+            }
             return reply(result).code(200);
           })
           .catch(function(error) {
@@ -464,4 +654,442 @@ function generateAssociationGetAllHandler(ownerModel, association, options, Log)
       reply(Boom.badRequest("There was an error processing the request.", error));
     }
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Handles incoming GET requests to /RESOURCE/aggregate
+ * @param model: A mongoose model.
+ * @param options: Options object.
+ * @param Log: A logging object.
+ * @returns {Function} A handler function
+ */
+function generateAggregateHandler(model, options, Log) {
+  options = options || {};
+
+  return function (request, reply) {
+    try {
+      Log.log("params(%s), query(%s), payload(%s)", JSON.stringify(request.params), JSON.stringify(request.query), JSON.stringify(request.payload));
+
+      handlerHelper.aggregateHandler(model, request, Log)
+          .then(function(result) {
+            return reply(result).code(200);
+          })
+          .catch(function(error) {
+            var response = errorHelper.formatResponse(error, Log);
+            return reply(response);
+          })
+    }
+    catch(error) {
+      Log.error("error: ", error);
+      return reply(Boom.badRequest("There was an error processing the request.", error));
+    }
+  }
+}
+
+/**
+ * Handles incoming GET requests to /RESOURCE/subscribe
+ * @param model: A mongoose model.
+ * @param options: Options object.
+ * @param Log: A logging object.
+ * @returns {Function} A handler function
+ */
+function generateSubscribeHandler(model, options, Log) {
+  options = options || {};
+
+  return function (request, reply) {
+    try {
+      Log.log("params(%s), query(%s), payload(%s)", JSON.stringify(request.params), JSON.stringify(request.query), JSON.stringify(request.payload));
+
+      SubscriptionHelper.subscribe(model, request, Log)
+          .then(function(stream) {
+            //EXPL: compressed responses are buffered, so events are sent uncompressed
+            return reply(stream).code(200)
+                .type(SubscriptionHelper.contentType)
+                .header('cache-control', 'no-cache')
+                .header('content-encoding', 'identity');
+          })
+          .catch(function(error) {
+            var response = errorHelper.formatResponse(error, Log);
+            return reply(response);
+          })
+    }
+    catch(error) {
+      Log.error("error: ", error);
+      return reply(Boom.badRequest("There was an error processing the request.", error));
+    }
+  }
+}
+
+/**
+ * Handles incoming POST requests to /RESOURCE/import
+ * @param model: A mongoose model.
+ * @param options: Options object.
+ * @param Log: A logging object.
+ * @returns {Function} A handler function
+ */
+function generateImportHandler(model, options, Log) {
+  options = options || {};
+
+  return function (request, reply) {
+    try {
+      Log.log("params(%s), query(%s)", JSON.stringify(request.params), JSON.stringify(request.query));
+
+      ImportHelper.importHandler(model, request, Log)
+          .then(function(result) {
+            return reply(result).code(200);
+          })
+          .catch(function(error) {
+            var response = errorHelper.formatResponse(error, Log);
+            return reply(response);
+          })
+    }
+    catch(error) {
+      Log.error("error: ", error);
+      return reply(Boom.badRequest("There was an error processing the request.", error));
+    }
+  }
+}
+
+/**
+ * Handles incoming GET requests to /RESOURCE/{_id}/revisions
+ * @param model: A mongoose model.
+ * @param options: Options object.
+ * @param Log: A logging object.
+ * @returns {Function} A handler function
+ */
+function generateListRevisionsHandler(model, options, Log) {
+  options = options || {};
+
+  return function (request, reply) {
+    try {
+      Log.log("params(%s), query(%s), payload(%s)", JSON.stringify(request.params), JSON.stringify(request.query), JSON.stringify(request.payload));
+
+      handlerHelper.listRevisionsHandler(model, request.params._id, request, Log)
+          .then(function(result) {
+            return reply(result).code(200);
+          })
+          .catch(function(error) {
+            var response = errorHelper.formatResponse(error, Log);
+            return reply(response);
+          })
+    }
+    catch(error) {
+      Log.error("error: ", error);
+      return reply(Boom.badRequest("There was an error processing the request.", error));
+    }
+  }
+}
+
+/**
+ * Handles incoming GET requests to /RESOURCE/{_id}/revisions/{revision}
+ * @param model: A mongoose model.
+ * @param options: Options object.
+ * @param Log: A logging object.
+ * @returns {Function} A handler function
+ */
+function generateFindRevisionHandler(model, options, Log) {
+  options = options || {};
+
+  return function (request, reply) {
+    try {
+      Log.log("params(%s), query(%s), payload(%s)", JSON.stringify(request.params), JSON.stringify(request.query), JSON.stringify(request.payload));
+
+      handlerHelper.findRevisionHandler(model, request.params._id, request.params.revision, request, Log)
+          .then(function(result) {
+            return reply(result).code(200);
+          })
+          .catch(function(error) {
+            var response = errorHelper.formatResponse(error, Log);
+            return reply(response);
+          })
+    }
+    catch(error) {
+      Log.error("error: ", error);
+      return reply(Boom.badRequest("There was an error processing the request.", error));
+    }
+  }
+}
+
+/**
+ * Handles incoming POST requests to /RESOURCE/{_id}/revisions/{revision}/revert
+ * @param model: A mongoose model.
+ * @param options: Options object.
+ * @param Log: A logging object.
+ * @returns {Function} A handler function
+ */
+function generateRevertHandler(model, options, Log) {
+  options = options || {};
+
+  return function (request, reply) {
+    try {
+      Log.log("params(%s), query(%s), payload(%s)", JSON.stringify(request.params), JSON.stringify(request.query), JSON.stringify(request.payload));
+
+      handlerHelper.revertHandler(model, request.params._id, request.params.revision, request, Log)
+          .then(function(result) {
+            return reply(result).code(200);
+          })
+          .catch(function(error) {
+            var response = errorHelper.formatResponse(error, Log);
+            return reply(response);
+          })
+    }
+    catch(error) {
+      Log.error("error: ", error);
+      return reply(Boom.badRequest("There was an error processing the request.", error));
+    }
+  }
+}
+
+/**
+ * Handles incoming GET requests to /RESOURCE/{_id}/scope
+ * @param model: A mongoose model.
+ * @param options: Options object.
+ * @param Log: A logging object.
+ * @returns {Function} A handler function
+ */
+function generateFindScopeHandler(model, options, Log) {
+  options = options || {};
+
+  return function (request, reply) {
+    try {
+      Log.log("params(%s), query(%s), payload(%s)", JSON.stringify(request.params), JSON.stringify(request.query), JSON.stringify(request.payload));
+
+      handlerHelper.findScopeHandler(model, request.params._id, request, Log)
+          .then(function(result) {
+            return reply(result).code(200);
+          })
+          .catch(function(error) {
+            var response = errorHelper.formatResponse(error, Log);
+            return reply(response);
+          })
+    }
+    catch(error) {
+      Log.error("error: ", error);
+      return reply(Boom.badRequest("There was an error processing the request.", error));
+    }
+  }
+}
+
+/**
+ * Handles incoming POST requests to /RESOURCE/{_id}/scope/{action}
+ * @param model: A mongoose model.
+ * @param options: Options object.
+ * @param Log: A logging object.
+ * @returns {Function} A handler function
+ */
+function generateAddScopeHandler(model, options, Log) {
+  options = options || {};
+
+  return function (request, reply) {
+    try {
+      Log.log("params(%s), query(%s), payload(%s)", JSON.stringify(request.params), JSON.stringify(request.query), JSON.stringify(request.payload));
+
+      handlerHelper.addScopeHandler(model, request.params._id, request.params.action, request.payload, request, Log)
+          .then(function(result) {
+            return reply(result).code(200);
+          })
+          .catch(function(error) {
+            var response = errorHelper.formatResponse(error, Log);
+            return reply(response);
+          })
+    }
+    catch(error) {
+      Log.error("error: ", error);
+      return reply(Boom.badRequest("There was an error processing the request.", error));
+    }
+  }
+}
+
+/**
+ * Handles incoming DELETE requests to /RESOURCE/{_id}/scope/{action}/{scopeValue}
+ * @param model: A mongoose model.
+ * @param options: Options object.
+ * @param Log: A logging object.
+ * @returns {Function} A handler function
+ */
+function generateRemoveScopeHandler(model, options, Log) {
+  options = options || {};
+
+  return function (request, reply) {
+    try {
+      Log.log("params(%s), query(%s), payload(%s)", JSON.stringify(request.params), JSON.stringify(request.query), JSON.stringify(request.payload));
+
+      handlerHelper.removeScopeHandler(model, request.params._id, request.params.action, request.params.scopeValue, request, Log)
+          .then(function(result) {
+            return reply(result).code(200);
+          })
+          .catch(function(error) {
+            var response = errorHelper.formatResponse(error, Log);
+            return reply(response);
+          })
+    }
+    catch(error) {
+      Log.error("error: ", error);
+      return reply(Boom.badRequest("There was an error processing the request.", error));
+    }
+  }
+}
+
+/**
+ * Handles incoming POST requests to /batch
+ * @param options: Options object.
+ * @param Log: A logging object.
+ * @returns {Function} A handler function
+ */
+function generateBatchHandler(options, Log) {
+  options = options || {};
+
+  return function (request, reply) {
+    try {
+      Log.log("params(%s), query(%s), payload(%s)", JSON.stringify(request.params), JSON.stringify(request.query), JSON.stringify(request.payload));
+
+      BatchHelper.executeBatch(request, request.payload, request.query.stopOnError, Log)
+          .then(function(result) {
+            return reply(result).code(200);
+          })
+          .catch(function(error) {
+            var response = errorHelper.formatResponse(error, Log);
+            return reply(response);
+          })
+    }
+    catch(error) {
+      Log.error("error: ", error);
+      return reply(Boom.badRequest("There was an error processing the request.", error));
+    }
+  }
+}
+
+/**
+ * Handles incoming POST requests to /webhookDelivery/{_id}/redeliver
+ * @param options: Options object.
+ * @param Log: A logging object.
+ * @returns {Function} A handler function
+ */
+function generateRedeliverHandler(options, Log) {
+  options = options || {};
+
+  return function (request, reply) {
+    try {
+      Log.log("params(%s), query(%s), payload(%s)", JSON.stringify(request.params), JSON.stringify(request.query), JSON.stringify(request.payload));
+
+      WebhookHelper.redeliver(mongoose, request.params._id, request, Log)
+          .then(function(result) {
+            return reply(result).code(200);
+          })
+          .catch(function(error) {
+            var response = errorHelper.formatResponse(error, Log);
+            return reply(response);
+          })
+    }
+    catch(error) {
+      Log.error("error: ", error);
+      return reply(Boom.badRequest("There was an error processing the request.", error));
+    }
+  }
+}
+
+/**
+ * Handles the "onPreResponse" event for routes that support exports.
+ * @param Log: A logging object.
+ * @returns {Function} A route extension function
+ */
+function generateExportResponseHandler(Log) {
+  return function (request, reply) {
+    const exportData = request.plugins['rest-hapi'];
+    if (!exportData || !exportData.exportStream || request.response.isBoom) {
+      return reply.continue();
+    }
+
+    Log.log("streaming %s export", exportData.exportFormat);
+    return reply(exportData.exportStream).type(ExportHelper.contentTypes[exportData.exportFormat]).code(200);
+  }
+}
+
+/**
+ * Handles incoming PATCH requests to /RESOURCE/{_id}
+ * @param model: A mongoose model.
+ * @param options: Options object.
+ * @param Log: A logging object.
+ * @returns {Function} A handler function
+ */
+function generatePatchHandler(model, options, Log) {
+  options = options || {};
+
+  var updateHandler = generateUpdateHandler(model, options, Log);
+
+  return function (request, reply) {
+    var patch = request.plugins['rest-hapi'] ? request.plugins['rest-hapi'].patch : null;
+    if (patch && patch.error) {
+      return reply(errorHelper.formatResponse(patch.error, Log));
+    }
+
+    return updateHandler(request, reply);
+  }
+}
+
+/**
+ * Handles the "onPostAuth" event for PATCH requests to /RESOURCE/{_id}
+ * @param model: A mongoose model.
+ * @param Log: A logging object.
+ * @returns {Function} A route extension function
+ */
+function generatePatchPayloadHandler(model, Log) {
+  var patchModel = PatchHelper.generateJoiPatchModel(model, Log);
+
+  return function (request, reply) {
+    try {
+      Log.log("params(%s), patch(%s)", JSON.stringify(request.params), JSON.stringify(request.payload));
+
+      //EXPL: invalid ids are rejected by the route's params validation
+      if (!/^[0-9a-fA-F]{24}$/.test(request.params._id)) {
+        return reply.continue();
+      }
+
+      var result = Joi.validate(request.payload, patchModel);
+      if (result.error) {
+        return reply(Boom.badRequest(result.error.message));
+      }
+
+      var patch = { operations: result.value, unset: [] };
+      request.plugins['rest-hapi'] = extend(request.plugins['rest-hapi'] || {}, { patch: patch });
+
+      //EXPL: the patch is applied before validation so that the patched values are validated against the update
+      //model and the update policies and handler run as they do for PUT requests
+      PatchHelper.createUpdatePayload(model, request.params._id, result.value, request, Log)
+          .then(function(update) {
+            request.payload = update.payload;
+            patch.unset = update.unset;
+            return reply.continue();
+          })
+          .catch(function(error) {
+            //EXPL: errors are returned by the handler so that a failed "test" operation can't reveal
+            //document values before the update policies run
+            request.payload = {};
+            patch.error = error;
+            return reply.continue();
+          })
+    }
+    catch(error) {
+      Log.error("error: ", error);
+      return reply(Boom.badRequest("There was an error processing the request.", error));
+    }
+  }
+}
+
+/**
+ * Replies to an export request.
+ * @param request: The Hapi request object.
+ * @param reply: The Hapi reply function.
+ * @param exportStream: The export stream.
+ * @param format: The export format.
+ * @returns {*}
+ */
+function replyWithExport(request, reply, exportStream, format) {
+  //EXPL: hapi can't validate a streamed response, so the stream replaces the (empty) validated response
+  //in the "onPreResponse" event
+  request.plugins['rest-hapi'] = extend(request.plugins['rest-hapi'] || {}, {
+    exportStream: exportStream,
+    exportFormat: format
+  });
+  return reply({ docs: [] }).code(200);
+}
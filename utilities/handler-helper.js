@@ -1,6 +1,16 @@
 'use strict';
 
 var QueryHelper = require('./query-helper');
+var ExportHelper = require('./export-helper');
+var VersionHelper = require('./version-helper');
+var RevisionHelper = require('./revision-helper');
+var TransactionHelper = require('./transaction-helper');
+var EventHelper = require('./event-helper');
+var CacheHelper = require('./cache-helper');
+var TenantHelper = require('./tenant-helper');
+var FieldScopeHelper = require('./field-scope-helper');
+var AccessRuleHelper = require('./access-rule-helper');
+var authHelper = require('./auth-helper');
 var JoiMongooseHelper = require('./joi-mongoose-helper');
 var Joi = require('joi');
 var Q = require('q');
@@ -10,6 +20,9 @@ var extend = require('util')._extend;
 var config = require('../config');
 var _ = require('lodash');
 
+//EXPL: the actions that can be granted through the document sharing endpoints
+var shareableActions = ['read', 'update', 'delete', 'associate'];
+
 //TODO: add a "clean" method that clears out all soft-deleted docs
 //TODO: add an optional TTL config setting that determines how long soft-deleted docs remain in the system
 //TODO: possibly remove "MANY_ONE" association and make it implied
@@ -41,6 +54,14 @@ module.exports = {
 
   deleteManyHandler: _deleteManyHandler,
 
+  restoreOne: _restoreOne,
+
+  restoreOneHandler: _restoreOneHandler,
+
+  restoreMany: _restoreMany,
+
+  restoreManyHandler: _restoreManyHandler,
+
   addOne: _addOne,
 
   addOneHandler: _addOneHandler,
@@ -59,7 +80,35 @@ module.exports = {
 
   getAll: _getAll,
 
-  getAllHandler: _getAllHandler
+  getAllHandler: _getAllHandler,
+
+  aggregate: _aggregate,
+
+  aggregateHandler: _aggregateHandler,
+
+  listRevisions: _listRevisions,
+
+  listRevisionsHandler: _listRevisionsHandler,
+
+  findRevision: _findRevision,
+
+  findRevisionHandler: _findRevisionHandler,
+
+  revert: _revert,
+
+  revertHandler: _revertHandler,
+
+  findScope: _findScope,
+
+  findScopeHandler: _findScopeHandler,
+
+  addScope: _addScope,
+
+  addScopeHandler: _addScopeHandler,
+
+  removeScope: _removeScope,
+
+  removeScopeHandler: _removeScopeHandler
 
 };
 
@@ -85,6 +134,23 @@ function _list(model, query, Log) {
  * @private
  */
 function _listHandler(model, request, Log) {
+  //EXPL: exports are streamed, so they aren't cached
+  if (CacheHelper.isEnabled(model) && !ExportHelper.getExportFormat(request.query || {}, request.headers)) {
+    return CacheHelper.fetch(model, "list", null, request, function() {
+      return _listDocuments(model, request, Log);
+    }, Log);
+  }
+  return _listDocuments(model, request, Log);
+}
+/**
+ * Queries a list of model documents.
+ * @param model: A mongoose model.
+ * @param request: The Hapi request object, or a container for the wrapper query.
+ * @param Log: A logging object.
+ * @returns {object} A promise for the resulting model documents or the count of the query results.
+ * @private
+ */
+function _listDocuments(model, request, Log) {
   let query = extend({}, request.query);
   let logError = false;
   try {
@@ -97,7 +163,32 @@ function _listHandler(model, request, Log) {
     }
 
     return promise
+        .then(function (query) {
+          //EXPL: queries on the fields of associated documents are resolved before the mongoose query is created
+          return Q.when(QueryHelper.setAssociationFilters(model, query, function(childModel) {
+            return _getReadFilter(childModel, request);
+          }, Log)).thenResolve(query);
+        })
         .then(function (query){
+          //EXPL: only the documents of the tenant of the request are listed
+          TenantHelper.addFilter(model, query, request);
+
+          //EXPL: only the documents the access rules allow the user to read are listed
+          AccessRuleHelper.addFilter(model, query, request);
+
+          //EXPL: soft deleted documents are only listed if requested, either through the parameters or an explicit
+          //"isDeleted" query, as with aggregates
+          if (config.enableSoftDelete) {
+            if (query.$onlyDeleted) {
+              query.isDeleted = true;
+            }
+            else if (!query.$includeDeleted && query.isDeleted === undefined) {
+              query.isDeleted = { $ne: true };
+            }
+          }
+          delete query.$includeDeleted;
+          delete query.$onlyDeleted;
+
           var mongooseQuery = {};
           var count = "";
           var flatten = false;
@@ -105,6 +196,8 @@ function _listHandler(model, request, Log) {
             flatten = true;
           }
           delete query.$flatten;
+          var format = ExportHelper.getExportFormat(query, request.headers);
+          delete query.$format;
           if (query.$count) {
             mongooseQuery = model.count();
             mongooseQuery = QueryHelper.createMongooseQuery(model, query, mongooseQuery, Log).lean();
@@ -115,6 +208,21 @@ function _listHandler(model, request, Log) {
                 })
           }
 
+          //EXPL: exported results are streamed directly from a database cursor
+          if (format) {
+            var columns = ExportHelper.getColumns(model, query, Log);
+            delete query.$after;
+            delete query.$before;
+            mongooseQuery = model.find();
+            mongooseQuery = QueryHelper.createMongooseQuery(model, query, mongooseQuery, Log).lean();
+            mongooseQuery = QueryHelper.paginate(query, mongooseQuery, Log);
+            return ExportHelper.createExportStream(model, mongooseQuery, format, columns, function (data) {
+              //EXPL: MANY_MANY associations are always flattened in CSV exports. Streamed exports skip the response
+              //policies, so the fields the user can't read are removed here.
+              return FieldScopeHelper.filterDocument(model, formatListDocument(model, data, flatten || format === 'csv', Log), request);
+            }, Log);
+          }
+
           mongooseQuery = model.find();
           mongooseQuery = QueryHelper.createMongooseQuery(model, query, mongooseQuery, Log).lean();
           return mongooseQuery.count()
@@ -125,6 +233,13 @@ function _listHandler(model, request, Log) {
               })
               .then(function (result) {
 
+                //EXPL: cursor pagination fetches an extra document that must be trimmed from the result
+                var cursorPages = null;
+                if (query.$after !== undefined || query.$before !== undefined) {
+                  cursorPages = QueryHelper.createCursorPages(query, mongooseQuery, result, Log);
+                  result = cursorPages.docs;
+                }
+
                 var promise = {};
                 if (model.routeOptions && model.routeOptions.list && model.routeOptions.list.post) {
                   promise = Q.fcall(model.routeOptions.list.post, request, result, Log);
@@ -136,38 +251,15 @@ function _listHandler(model, request, Log) {
                 return promise
                     .then(function (result) {
                       result = result.map(function (data) {
-                        var result = data;
-                        if (model.routeOptions) {
-                          var associations = model.routeOptions.associations;
-                          for (var associationKey in associations) {
-                            var association = associations[associationKey];
-                            if (association.type === "ONE_MANY" && data[associationKey]) {//EXPL: we have to manually populate the return value for virtual (e.g. ONE_MANY) associations
-                              if (data[associationKey].toJSON) {//TODO: look into .toJSON and see why it appears sometimes and not other times
-                                result[associationKey] = data[associationKey].toJSON();
-                              }
-                              else {
-                                result[associationKey] = data[associationKey];
-                              }
-                            }
-                            if (association.type === "MANY_MANY" && flatten === true) {//EXPL: remove additional fields and return a flattened array
-                              if (result[associationKey]) {
-                                result[associationKey] = result[associationKey].map(function(object) {
-                                  object = object[association.model];
-                                  return object;
-                                })
-                              }
-                            }
-                          }
-                        }
-
-                        if (config.enableSoftDelete && config.filterDeletedEmbeds) {//EXPL: remove soft deleted documents from populated properties
-                          filterDeletedEmbeds(result, {}, "", 0, Log);
-                        }
-
+                        var result = formatListDocument(model, data, flatten, Log);
                         Log.log("Result: %s", JSON.stringify(result));
                         return result
                       });
 
+                      if (cursorPages) {
+                        return { docs: result, pages: cursorPages.pages, items: { limit: query.$limit, total: count } };
+                      }
+
                       const pages = {
                           current: query.$page || 1,
                           prev: 0,
@@ -273,6 +365,23 @@ function _find(model, _id, query, Log) {
  * @private
  */
 function _findHandler(model, _id, request, Log) {
+  if (CacheHelper.isEnabled(model)) {
+    return CacheHelper.fetch(model, "find", _id, request, function() {
+      return _findDocument(model, _id, request, Log);
+    }, Log);
+  }
+  return _findDocument(model, _id, request, Log);
+}
+/**
+ * Queries a model document.
+ * @param model: A mongoose model.
+ * @param _id: The document id.
+ * @param request: The Hapi request object, or a container for the wrapper query.
+ * @param Log: A logging object.
+ * @returns {object} A promise for the resulting model document.
+ * @private
+ */
+function _findDocument(model, _id, request, Log) {
   let query = extend({}, request.query);
   let logError = false;
   try {
@@ -290,6 +399,8 @@ function _findHandler(model, _id, request, Log) {
             flatten = true;
           }
           delete query.$flatten;
+          TenantHelper.addFilter(model, query, request);
+          AccessRuleHelper.addFilter(model, query, request);
           var mongooseQuery = model.findOne({ '_id': _id });
           mongooseQuery = QueryHelper.createMongooseQuery(model, query, mongooseQuery, Log).lean();
           return mongooseQuery.exec()
@@ -304,6 +415,7 @@ function _findHandler(model, _id, request, Log) {
 
                   return promise
                       .then(function(data) {
+                        filterUnmatchedEmbeds(model, result, Log);
                         if (model.routeOptions) {
                           var associations = model.routeOptions.associations;
                           for (var associationKey in associations) {
@@ -415,6 +527,12 @@ function _create(model, payload, Log) {
  * @private
  */
 function _createHandler(model, request, Log) {
+  if (TransactionHelper.needsTransaction(request)) {
+    return TransactionHelper.withTransaction(model, request, function() {
+      return _createHandler(model, request, Log);
+    }, Log);
+  }
+
   let payload = null;
 
   let logError = false;
@@ -429,6 +547,9 @@ function _createHandler(model, request, Log) {
       payload = request.payload.map(function(item) { return _.isObject(item) ? _.assignIn({}, item) : item});
     }
 
+    //EXPL: documents are created within the tenant of the request
+    TenantHelper.setTenant(model, payload, request);
+
     var promises =  [];
     if (model.routeOptions && model.routeOptions.create && model.routeOptions.create.pre){
       payload.forEach(function(document) {
@@ -447,7 +568,26 @@ function _createHandler(model, request, Log) {
             });
           }
 
-          return model.create(payload)
+          var session = TransactionHelper.getSession(request);
+
+          return (session ? model.create(payload, { session: session }) : model.create(payload))
+              .then(function (data) {
+                CacheHelper.invalidate(model, request, Log);
+
+                if (!RevisionHelper.isEnabled(model)) {
+                  return data;
+                }
+
+                //EXPL: store the first revision of each document
+                return TransactionHelper.all(request, data.map(function(document) {
+                  return function() {
+                    return RevisionHelper.saveRevision(model, document, "Create", request, Log);
+                  };
+                }))
+                    .then(function() {
+                      return data;
+                    });
+              })
               .then(function (data) {
 
                 //EXPL: rather than returning the raw "create" data, we filter the data through a separate query
@@ -457,9 +597,18 @@ function _createHandler(model, request, Log) {
                   return item._id;
                 });
 
-                return model.find().where({'_id': { $in: data } }).select(attributes).lean().exec()
+                var query = model.find().where({'_id': { $in: data } }).select(attributes).lean();
+                return TransactionHelper.setSession(query, request).exec()
                     .then(function(result) {
 
+                      //EXPL: return the documents in the same order as the payload
+                      var order = data.map(function(_id) {
+                        return _id.toString();
+                      });
+                      result = _.sortBy(result, function(document) {
+                        return order.indexOf(document._id.toString());
+                      });
+
                       //TODO: include eventLogs
 
                       var promises = [];
@@ -474,6 +623,10 @@ function _createHandler(model, request, Log) {
 
                       return Q.all(promises)
                           .then(function (result) {
+                            result.forEach(function(document) {
+                              EventHelper.emit(model, "created", { document: document }, request, Log);
+                            });
+
                             if (isArray) {
                               return result;
                             }
@@ -585,14 +738,46 @@ function _updateHandler(model, _id, request, Log) {
             payload.updatedAt = new Date();
           }
 
+          //EXPL: fields removed by a JSON Patch are unset rather than set to null
+          var patch = request.plugins && request.plugins['rest-hapi'] ? request.plugins['rest-hapi'].patch : null;
+          if (patch && !_.isEmpty(patch.unset)) {
+            payload.$unset = {};
+            patch.unset.forEach(function (fieldName) {
+              if (!_.has(payload, fieldName)) {
+                payload.$unset[fieldName] = 1;
+              }
+            });
+          }
+
+          VersionHelper.addVersionUpdate(model, payload);
+
+          //EXPL: if the request version was verified, the update only succeeds if the document still has that version.
+          //The document must also belong to the tenant of the request.
+          var versionConditions = VersionHelper.getVersionConditions(model, _id, request);
+          versionConditions = TenantHelper.getConditions(model, _id, versionConditions, request);
+          if (versionConditions) {
+            promise = model.findOneAndUpdate(versionConditions, payload, { runValidators: config.enableMongooseRunValidators });
+          }
+          else {
+            promise = model.findByIdAndUpdate(_id, payload, { runValidators: config.enableMongooseRunValidators });
+          }
+
           //TODO: support eventLogs and log all property updates in one document rather than one document per property update
-          return model.findByIdAndUpdate(_id, payload, { runValidators: config.enableMongooseRunValidators })
+          return promise
               .then(function (result) {
                 if (result) {
+                  CacheHelper.invalidate(model, request, Log);
+
                   //TODO: log all updated/added associations
                   var attributes = QueryHelper.createAttributesFilter({}, model, Log);
 
-                  return model.findOne({'_id': result._id}, attributes).lean()
+                  //EXPL: the update returns the document as it was before the update
+                  var previous = result;
+
+                  return RevisionHelper.saveRevision(model, result._id, "Update", request, Log)
+                      .then(function () {
+                        return model.findOne({'_id': result._id}, attributes).lean();
+                      })
                       .then(function (result) {
 
                         if (model.routeOptions && model.routeOptions.update && model.routeOptions.update.post) {
@@ -604,6 +789,12 @@ function _updateHandler(model, _id, request, Log) {
 
                         return promise
                             .then(function (result) {
+                              if (EventHelper.hasListeners(model, "updated")) {
+                                EventHelper.emit(model, "updated", {
+                                  document: result,
+                                  previous: _filterDocument(model, previous, Log)
+                                }, request, Log);
+                              }
                               return result;
                             })
                             .catch(function (error) {
@@ -620,6 +811,14 @@ function _updateHandler(model, _id, request, Log) {
                             });
                       })
                 }
+                else if (versionConditions) {
+                  const message = "The resource has been modified.";
+                  if (!logError) {
+                    Log.error(message);
+                    logError = true;
+                  }
+                  errorHelper.handleError(message, message, errorHelper.types.PRECONDITION_FAILED, Log);
+                }
                 else {
                   const message = "No resource was found with that id.";
                   if (!logError) {
@@ -703,6 +902,13 @@ function _deleteOne(model, _id, hardDelete, Log) {
  */
 //TODO: only update "deleteAt" the first time a document is deleted
 function _deleteOneHandler(model, _id, hardDelete, request, Log) {
+  //EXPL: "cascade" and "setNull" delete rules modify other documents, so they are applied within a transaction if enabled
+  if (!_.isEmpty(_getDeleteRules(model)) && TransactionHelper.needsTransaction(request)) {
+    return TransactionHelper.withTransaction(model, request, function() {
+      return _deleteOneHandler(model, _id, hardDelete, request, Log);
+    }, Log);
+  }
+
   let logError = false;
   try {
     var promise = {};
@@ -713,8 +919,36 @@ function _deleteOneHandler(model, _id, hardDelete, request, Log) {
       promise = Q.when();
     }
 
+    var document = null;
+
     return promise
         .then(function () {
+          //EXPL: documents with association "onDelete" rules can't be deleted while a "restrict" rule applies
+          if (_.isEmpty(_getDeleteRules(model))) {
+            return;
+          }
+
+          return Q.when(TransactionHelper.setSession(model.findOne(_.assign({ '_id': _id }, TenantHelper.getFilter(model, request))).lean(), request))
+              .then(function (result) {
+                document = result;
+                return document ? _checkDeleteRules(model, document, Log) : [];
+              })
+              .then(function (restrictions) {
+                if (!_.isEmpty(restrictions)) {
+                  const message = "The resource can't be deleted while it is referenced by: " + restrictions.join(", ") + ".";
+                  if (!logError) {
+                    Log.error(message);
+                    logError = true;
+                  }
+                  errorHelper.handleError(message, message, errorHelper.types.CONFLICT, Log);
+                }
+              });
+        })
+        .then(function () {
+          //EXPL: if the request version was verified, the delete only succeeds if the document still has that version.
+          //The document must also belong to the tenant of the request.
+          var versionConditions = VersionHelper.getVersionConditions(model, _id, request);
+          versionConditions = TenantHelper.getConditions(model, _id, versionConditions, request);
           if (config.enableSoftDelete && !hardDelete) {
             let payload = { isDeleted: true };
             if (config.enableDeletedAt) {
@@ -726,41 +960,72 @@ function _deleteOneHandler(model, _id, hardDelete, request, Log) {
                 payload.deletedBy = deletedBy;
               }
             }
-            promise = model.findByIdAndUpdate(_id, payload, { new: true, runValidators: config.enableMongooseRunValidators });
+            if (versionConditions) {
+              promise = model.findOneAndUpdate(versionConditions, payload, { new: true, runValidators: config.enableMongooseRunValidators });
+            }
+            else {
+              promise = model.findByIdAndUpdate(_id, payload, { new: true, runValidators: config.enableMongooseRunValidators });
+            }
+          }
+          else if (versionConditions) {
+            promise = model.findOneAndRemove(versionConditions);
           }
           else {
             promise = model.findByIdAndRemove(_id);
           }
-          return promise
-              .then(function (deleted) {//TODO: clean up associations/set rules for ON DELETE CASCADE/etc.
+          return TransactionHelper.setSession(promise, request)
+              .then(function (deleted) {
                 if (deleted) {
-                  //TODO: add eventLogs
+                  CacheHelper.invalidate(model, request, Log);
 
-                  var promise = {};
-                  if (model.routeOptions && model.routeOptions.delete && model.routeOptions.delete.post) {
-                    promise = Q.fcall(model.routeOptions.delete.post, hardDelete, deleted, request, Log);
-                  }
-                  else {
-                    promise = Q.when();
-                  }
+                  //TODO: add eventLogs
 
-                  return promise
+                  return RevisionHelper.saveRevision(model, deleted, "Delete", request, Log)
                       .then(function () {
-                        return true;
+                        //EXPL: apply the "cascade" and "setNull" rules of the document associations
+                        return document ? _applyDeleteRules(model, document, hardDelete, request, Log) : Q.when();
                       })
-                      .catch(function (error) {
-                        let message = "There was a postprocessing error deleting the resource.";
-                        if (_.isString(error)) {
-                          message = error;
+                      .then(function () {
+                        var promise = {};
+                        if (model.routeOptions && model.routeOptions.delete && model.routeOptions.delete.post) {
+                          promise = Q.fcall(model.routeOptions.delete.post, hardDelete, deleted, request, Log);
                         }
-                        if (!logError) {
-                          Log.error(message);
-                          logError = true;
-                          delete error.type;
+                        else {
+                          promise = Q.when();
                         }
-                        errorHelper.handleError(error, message, errorHelper.types.BAD_REQUEST, Log);
+
+                        return promise
+                            .then(function () {
+                              if (EventHelper.hasListeners(model, "deleted")) {
+                                EventHelper.emit(model, "deleted", {
+                                  document: _filterDocument(model, deleted, Log),
+                                  hardDelete: !(config.enableSoftDelete && !hardDelete)
+                                }, request, Log);
+                              }
+                              return true;
+                            })
+                            .catch(function (error) {
+                              let message = "There was a postprocessing error deleting the resource.";
+                              if (_.isString(error)) {
+                                message = error;
+                              }
+                              if (!logError) {
+                                Log.error(message);
+                                logError = true;
+                                delete error.type;
+                              }
+                              errorHelper.handleError(error, message, errorHelper.types.BAD_REQUEST, Log);
+                            });
                       });
                 }
+                else if (versionConditions) {
+                  const message = "The resource has been modified.";
+                  if (!logError) {
+                    Log.error(message);
+                    logError = true;
+                  }
+                  errorHelper.handleError(message, message, errorHelper.types.PRECONDITION_FAILED, Log);
+                }
                 else {
                   const message = "No resource was found with that id.";
                   if (!logError) {
@@ -833,20 +1098,53 @@ function _deleteMany(model, payload, Log) {
 //TODO: prevent Q.all from catching first error and returning early. Catch individual errors and return a list
 //TODO(cont) of ids that failed
 function _deleteManyHandler(model, request, Log) {
+  if (TransactionHelper.needsTransaction(request)) {
+    return TransactionHelper.withTransaction(model, request, function() {
+      return _deleteManyHandler(model, request, Log);
+    }, Log);
+  }
+
   //EXPL: make a copy of the payload so that request.payload remains unchanged
   let payload = request.payload.map(function(item) { return _.isObject(item) ? _.assignIn({}, item) : item});
   try {
-    let promises = [];
-    payload.forEach(function(arg) {
-      if (JoiMongooseHelper.isObjectId(arg)) {
-        promises.push(_deleteOneHandler(model, arg, false, request, Log));
-      }
-      else {
-        promises.push(_deleteOneHandler(model, arg._id, arg.hardDelete, request, Log));
-      }
-    });
+    let promise = {};
+    //EXPL: check the "restrict" rules of every document before any of them are deleted
+    if (_.isEmpty(_getDeleteRules(model))) {
+      promise = Q.when();
+    }
+    else {
+      const ids = payload.map(function(arg) { return JoiMongooseHelper.isObjectId(arg) ? arg : arg._id });
+      promise = Q.when(TransactionHelper.setSession(model.find(_.assign({ '_id': { $in: ids } }, TenantHelper.getFilter(model, request))).lean(), request))
+          .then(function(documents) {
+            return Q.all(documents.map(function(document) {
+              return _checkDeleteRules(model, document, Log);
+            }));
+          })
+          .then(function(restrictions) {
+            restrictions = _.flatten(restrictions);
+            if (!_.isEmpty(restrictions)) {
+              const message = "The resources can't be deleted while they are referenced by: " + restrictions.join(", ") + ".";
+              Log.error(message);
+              errorHelper.handleError(message, message, errorHelper.types.CONFLICT, Log);
+            }
+          });
+    }
 
-    return Q.all(promises)
+    return promise
+        .then(function() {
+          let tasks = payload.map(function(arg) {
+            return function() {
+              if (JoiMongooseHelper.isObjectId(arg)) {
+                return _deleteOneHandler(model, arg, false, request, Log);
+              }
+              else {
+                return _deleteOneHandler(model, arg._id, arg.hardDelete, request, Log);
+              }
+            };
+          });
+
+          return TransactionHelper.all(request, tasks);
+        })
         .then(function(result) {
           return true;
         })
@@ -869,72 +1167,260 @@ function _deleteManyHandler(model, request, Log) {
 
 
 /**
- * AddOne function exposed as a mongoose wrapper.
- * @param ownerModel: The model that is being added to.
- * @param ownerId: The id of the owner document.
- * @param childModel: The model that is being added.
- * @param childId: The id of the child document.
- * @param associationName: The name of the association from the ownerModel's perspective.
- * @param payload: An object containing an extra linking-model fields.
- * @param Log: A logging object
- * @returns {object} A promise returning true if the add succeeds.
+ * RestoreOne function exposed as a mongoose wrapper.
+ * @param model: A mongoose model.
+ * @param _id: The document id.
+ * @param Log: A logging object.
+ * @returns {object} A promise for the restored document.
  * @private
  */
-function _addOne(ownerModel, ownerId, childModel, childId, associationName, payload, Log) {
-  let request = { params: { ownerId: ownerId, childId: childId }, payload: payload };
-  return _addOneHandler(ownerModel, ownerId, childModel, childId, associationName, request, Log);
+function _restoreOne(model, _id, Log) {
+  let request = { params: { _id: _id } };
+  return _restoreOneHandler(model, _id, request, Log);
 }
 /**
- * Adds an association to a document
- * @param ownerModel: The model that is being added to.
- * @param ownerId: The id of the owner document.
- * @param childModel: The model that is being added.
- * @param childId: The id of the child document.
- * @param associationName: The name of the association from the ownerModel's perspective.
+ * Restores a soft deleted document.
+ * @param model: A mongoose model.
+ * @param _id: The document id.
  * @param request: The Hapi request object, or a container for the wrapper payload.
- * @param Log: A logging object
- * @returns {object} A promise returning true if the add succeeds.
+ * @param Log: A logging object.
+ * @returns {object} A promise for the restored document.
  * @private
  */
-function _addOneHandler(ownerModel, ownerId, childModel, childId, associationName, request, Log) {
-  let payload = extend({}, request.payload);
+function _restoreOneHandler(model, _id, request, Log) {
   let logError = false;
   try {
-    return ownerModel.findOne({ '_id': ownerId }).select(associationName)
-        .then(function (ownerObject) {
-          if (ownerObject) {
-            if (!payload) {
-              payload = {};
-            }
-            payload.childId = childId;
-            payload = [payload];
+    var promise = {};
+    if (model.routeOptions && model.routeOptions.restore && model.routeOptions.restore.pre) {
+      promise = Q.fcall(model.routeOptions.restore.pre, _id, request, Log);
+    }
+    else {
+      promise = Q.when();
+    }
 
-            var promise =  {};
-            if (ownerModel.routeOptions && ownerModel.routeOptions.add && ownerModel.routeOptions.add[associationName]
-                && ownerModel.routeOptions.add[associationName].pre) {
-              promise = Q.fcall(ownerModel.routeOptions.add[associationName].pre, payload, request, Log);
-            }
-            else {
-              promise = Q.when(payload);
-            }
+    return promise
+        .then(function () {
+          let payload = { isDeleted: false, $unset: { deletedAt: 1, deletedBy: 1 } };
 
-            return promise
-                .then(function (payload) {
+          VersionHelper.addVersionUpdate(model, payload);
 
-                  return _setAssociation(ownerModel, ownerObject, childModel, childId, associationName, payload, Log)
-                      .then(function() {
-                        return true;
+          //EXPL: only soft deleted documents can be restored
+          return model.findOneAndUpdate(_.assign({ '_id': _id, isDeleted: true }, TenantHelper.getFilter(model, request)), payload, { new: true })
+              .then(function (restored) {
+                if (restored) {
+                  CacheHelper.invalidate(model, request, Log);
+
+                  //TODO: add eventLogs
+                  var attributes = QueryHelper.createAttributesFilter({}, model, Log);
+
+                  return RevisionHelper.saveRevision(model, restored, "Restore", request, Log)
+                      .then(function () {
+                        return model.findOne({ '_id': restored._id }, attributes).lean();
                       })
-                      .catch(function (error) {
-                        const message = "There was a database error while setting the association.";
-                        if (!logError) {
-                          Log.error(message);
-                          logError = true;
-                          delete error.type;
+                      .then(function (result) {
+                        var promise = {};
+                        if (model.routeOptions && model.routeOptions.restore && model.routeOptions.restore.post) {
+                          promise = Q.fcall(model.routeOptions.restore.post, request, result, Log);
                         }
-                        errorHelper.handleError(error, message, errorHelper.types.GATEWAY_TIMEOUT, Log);
-                      });
-                })
+                        else {
+                          promise = Q.when(result);
+                        }
+
+                        return promise
+                            .then(function (result) {
+                              EventHelper.emit(model, "restored", { document: result }, request, Log);
+                              return result;
+                            })
+                            .catch(function (error) {
+                              let message = "There was a postprocessing error restoring the resource.";
+                              if (_.isString(error)) {
+                                message = error;
+                              }
+                              if (!logError) {
+                                Log.error(message);
+                                logError = true;
+                                delete error.type;
+                              }
+                              errorHelper.handleError(error, message, errorHelper.types.BAD_REQUEST, Log);
+                            });
+                      });
+                }
+                else {
+                  const message = "No deleted resource was found with that id.";
+                  if (!logError) {
+                    Log.error(message);
+                    logError = true;
+                  }
+                  errorHelper.handleError(message, message, errorHelper.types.NOT_FOUND, Log);
+                }
+              })
+              .catch(function (error) {
+                const message = "There was an error restoring the resource.";
+                if (!logError) {
+                  Log.error(message);
+                  logError = true;
+                  delete error.type;
+                }
+                errorHelper.handleError(error, message, errorHelper.types.BAD_IMPLEMENTATION, Log);
+              });
+        })
+        .catch(function (error) {
+          let message = "There was a preprocessing error restoring the resource.";
+          if (_.isString(error)) {
+            message = error;
+          }
+          if (!logError) {
+            Log.error(message);
+            logError = true;
+            delete error.type;
+          }
+          errorHelper.handleError(error, message, errorHelper.types.BAD_REQUEST, Log);
+        });
+  }
+  catch(error) {
+    const message = "There was an error processing the request.";
+    if (!logError) {
+      Log.error(message);
+      logError = true;
+      delete error.type;
+    }
+    try {
+      errorHelper.handleError(error, message, errorHelper.types.BAD_REQUEST, Log)
+    }
+    catch(error) {
+      return Q.reject(error);
+    }
+  }
+}
+
+
+/**
+ * RestoreMany function exposed as a mongoose wrapper.
+ * @param model: A mongoose model.
+ * @param payload: An array of ids.
+ * @param Log: A logging object.
+ * @returns {object} A promise returning true if the restore succeeds.
+ * @private
+ */
+function _restoreMany(model, payload, Log) {
+  let request = { payload: payload };
+  return _restoreManyHandler(model, request, Log);
+}
+/**
+ * Restores multiple soft deleted documents.
+ * @param model: A mongoose model.
+ * @param request: The Hapi request object, or a container for the wrapper payload.
+ * @param Log: A logging object.
+ * @returns {object} A promise returning true if the restore succeeds.
+ * @private
+ */
+function _restoreManyHandler(model, request, Log) {
+  try {
+    let promises = request.payload.map(function(_id) {
+      return _restoreOneHandler(model, _id, request, Log);
+    });
+
+    return Q.all(promises)
+        .then(function(result) {
+          return true;
+        });
+  }
+  catch(error) {
+    const message = "There was an error processing the request.";
+    Log.error(message);
+    try {
+      errorHelper.handleError(error, message, errorHelper.types.BAD_REQUEST, Log)
+    }
+    catch(error) {
+      return Q.reject(error);
+    }
+  }
+}
+
+
+/**
+ * AddOne function exposed as a mongoose wrapper.
+ * @param ownerModel: The model that is being added to.
+ * @param ownerId: The id of the owner document.
+ * @param childModel: The model that is being added.
+ * @param childId: The id of the child document.
+ * @param associationName: The name of the association from the ownerModel's perspective.
+ * @param payload: An object containing an extra linking-model fields.
+ * @param Log: A logging object
+ * @returns {object} A promise returning true if the add succeeds.
+ * @private
+ */
+function _addOne(ownerModel, ownerId, childModel, childId, associationName, payload, Log) {
+  let request = { params: { ownerId: ownerId, childId: childId }, payload: payload };
+  return _addOneHandler(ownerModel, ownerId, childModel, childId, associationName, request, Log);
+}
+/**
+ * Adds an association to a document
+ * @param ownerModel: The model that is being added to.
+ * @param ownerId: The id of the owner document.
+ * @param childModel: The model that is being added.
+ * @param childId: The id of the child document.
+ * @param associationName: The name of the association from the ownerModel's perspective.
+ * @param request: The Hapi request object, or a container for the wrapper payload.
+ * @param Log: A logging object
+ * @returns {object} A promise returning true if the add succeeds.
+ * @private
+ */
+function _addOneHandler(ownerModel, ownerId, childModel, childId, associationName, request, Log) {
+  if (TransactionHelper.needsTransaction(request)) {
+    return TransactionHelper.withTransaction(ownerModel, request, function() {
+      return _addOneHandler(ownerModel, ownerId, childModel, childId, associationName, request, Log);
+    }, Log);
+  }
+
+  let payload = extend({}, request.payload);
+  let logError = false;
+  try {
+    return TransactionHelper.setSession(ownerModel.findOne(_.assign({ '_id': ownerId }, TenantHelper.getFilter(ownerModel, request))).select(associationName), request)
+        .then(function (ownerObject) {
+          if (ownerObject) {
+            if (!payload) {
+              payload = {};
+            }
+            payload.childId = childId;
+            payload = [payload];
+
+            var promise =  {};
+            if (ownerModel.routeOptions && ownerModel.routeOptions.add && ownerModel.routeOptions.add[associationName]
+                && ownerModel.routeOptions.add[associationName].pre) {
+              promise = Q.fcall(ownerModel.routeOptions.add[associationName].pre, payload, request, Log);
+            }
+            else {
+              promise = Q.when(payload);
+            }
+
+            return promise
+                .then(function (payload) {
+
+                  return _setAssociation(ownerModel, ownerObject, childModel, childId, associationName, payload, request, Log)
+                      .then(function() {
+                        return VersionHelper.updateVersion(ownerModel, ownerId, request, Log);
+                      })
+                      .then(function() {
+                        _invalidateAssociation(ownerModel, childModel, associationName, request, Log);
+                        return _saveAssociationRevisions(ownerModel, ownerId, childModel, [childId], "Add", request, Log);
+                      })
+                      .then(function() {
+                        return _emitAssociationEvent(ownerModel, ownerId, childModel, [childId], associationName, "added", request, Log);
+                      })
+                      .then(function() {
+                        return true;
+                      })
+                      .catch(function (error) {
+                        const message = "There was a database error while setting the association.";
+                        if (!logError) {
+                          Log.error(message);
+                          logError = true;
+                          delete error.type;
+                        }
+                        errorHelper.handleError(error, message, errorHelper.types.GATEWAY_TIMEOUT, Log);
+                      });
+                })
                 .catch(function (error) {
                   let message = "There was a preprocessing error while setting the association.";
                   if (_.isString(error)) {
@@ -1003,9 +1489,15 @@ function _removeOne(ownerModel, ownerId, childModel, childId, associationName, L
  * @private
  */
 function _removeOneHandler(ownerModel, ownerId, childModel, childId, associationName, request, Log) {
+  if (TransactionHelper.needsTransaction(request)) {
+    return TransactionHelper.withTransaction(ownerModel, request, function() {
+      return _removeOneHandler(ownerModel, ownerId, childModel, childId, associationName, request, Log);
+    }, Log);
+  }
+
   let logError = false;
   try {
-    return ownerModel.findOne({ '_id': ownerId }).select(associationName)
+    return TransactionHelper.setSession(ownerModel.findOne(_.assign({ '_id': ownerId }, TenantHelper.getFilter(ownerModel, request))).select(associationName), request)
         .then(function (ownerObject) {
           if (ownerObject) {
 
@@ -1021,7 +1513,17 @@ function _removeOneHandler(ownerModel, ownerId, childModel, childId, association
             return promise
                 .then(function () {
 
-                  return _removeAssociation(ownerModel, ownerObject, childModel, childId, associationName, Log)
+                  return _removeAssociation(ownerModel, ownerObject, childModel, childId, associationName, request, Log)
+                      .then(function() {
+                        return VersionHelper.updateVersion(ownerModel, ownerId, request, Log);
+                      })
+                      .then(function() {
+                        _invalidateAssociation(ownerModel, childModel, associationName, request, Log);
+                        return _saveAssociationRevisions(ownerModel, ownerId, childModel, [childId], "Remove", request, Log);
+                      })
+                      .then(function() {
+                        return _emitAssociationEvent(ownerModel, ownerId, childModel, [childId], associationName, "removed", request, Log);
+                      })
                       .then(function() {
                         return true;
                       })
@@ -1102,6 +1604,12 @@ function _addMany(ownerModel, ownerId, childModel, associationName, payload, Log
  * @private
  */
 function _addManyHandler(ownerModel, ownerId, childModel, associationName, request, Log) {
+  if (TransactionHelper.needsTransaction(request)) {
+    return TransactionHelper.withTransaction(ownerModel, request, function() {
+      return _addManyHandler(ownerModel, ownerId, childModel, associationName, request, Log);
+    }, Log);
+  }
+
   //EXPL: make a copy of the payload so that request.payload remains unchanged
   let payload = request.payload.map(function(item) { return _.isObject(item) ? _.assignIn({}, item) : item});
   let logError = false;
@@ -1109,7 +1617,7 @@ function _addManyHandler(ownerModel, ownerId, childModel, associationName, reque
     if (_.isEmpty(request.payload)) {
       throw "Payload is empty."
     }
-    return ownerModel.findOne({ '_id': ownerId }).select(associationName)
+    return TransactionHelper.setSession(ownerModel.findOne(_.assign({ '_id': ownerId }, TenantHelper.getFilter(ownerModel, request))).select(associationName), request)
         .then(function (ownerObject) {
           if (ownerObject) {
 
@@ -1139,7 +1647,7 @@ function _addManyHandler(ownerModel, ownerId, childModel, associationName, reque
                   childIds.forEach(function(childId) {
                     var promise_link = function() {
                       var deferred = Q.defer();
-                      _setAssociation(ownerModel, ownerObject, childModel, childId, associationName, payload, Log)
+                      _setAssociation(ownerModel, ownerObject, childModel, childId, associationName, payload, request, Log)
                           .then(function(result) {
                             deferred.resolve(result);
                           })
@@ -1157,6 +1665,16 @@ function _addManyHandler(ownerModel, ownerId, childModel, associationName, reque
                   });
 
                   return promise_chain
+                      .then(function() {
+                        return VersionHelper.updateVersion(ownerModel, ownerId, request, Log);
+                      })
+                      .then(function() {
+                        _invalidateAssociation(ownerModel, childModel, associationName, request, Log);
+                        return _saveAssociationRevisions(ownerModel, ownerId, childModel, childIds, "Add", request, Log);
+                      })
+                      .then(function() {
+                        return _emitAssociationEvent(ownerModel, ownerId, childModel, childIds, associationName, "added", request, Log);
+                      })
                       .then(function() {
                         return true;
                       })
@@ -1240,6 +1758,12 @@ function _removeMany(ownerModel, ownerId, childModel, associationName, payload,
  * @private
  */
 function _removeManyHandler(ownerModel, ownerId, childModel, associationName, request, Log) {
+  if (TransactionHelper.needsTransaction(request)) {
+    return TransactionHelper.withTransaction(ownerModel, request, function() {
+      return _removeManyHandler(ownerModel, ownerId, childModel, associationName, request, Log);
+    }, Log);
+  }
+
   //EXPL: make a copy of the payload so that request.payload remains unchanged
   let payload = request.payload.map(function(item) { return _.isObject(item) ? _.assignIn({}, item) : item});
   let logError = false;
@@ -1247,7 +1771,7 @@ function _removeManyHandler(ownerModel, ownerId, childModel, associationName, re
     if (_.isEmpty(request.payload)) {
       throw "Payload is empty."
     }
-    return ownerModel.findOne({ '_id': ownerId }).select(associationName)
+    return TransactionHelper.setSession(ownerModel.findOne(_.assign({ '_id': ownerId }, TenantHelper.getFilter(ownerModel, request))).select(associationName), request)
         .then(function (ownerObject) {
           if (ownerObject) {
 
@@ -1269,7 +1793,7 @@ function _removeManyHandler(ownerModel, ownerId, childModel, associationName, re
                   childIds.forEach(function (childId) {
                     var promise_link = function () {
                       var deferred = Q.defer();
-                      _removeAssociation(ownerModel, ownerObject, childModel, childId, associationName, Log)
+                      _removeAssociation(ownerModel, ownerObject, childModel, childId, associationName, request, Log)
                           .then(function (result) {
                             deferred.resolve(result);
                           })
@@ -1287,6 +1811,16 @@ function _removeManyHandler(ownerModel, ownerId, childModel, associationName, re
                   });
 
                   return promise_chain
+                      .then(function () {
+                        return VersionHelper.updateVersion(ownerModel, ownerId, request, Log);
+                      })
+                      .then(function () {
+                        _invalidateAssociation(ownerModel, childModel, associationName, request, Log);
+                        return _saveAssociationRevisions(ownerModel, ownerId, childModel, childIds, "Remove", request, Log);
+                      })
+                      .then(function () {
+                        return _emitAssociationEvent(ownerModel, ownerId, childModel, childIds, associationName, "removed", request, Log);
+                      })
                       .then(function () {
                         return true;
                       })
@@ -1387,7 +1921,7 @@ function _getAllHandler(ownerModel, ownerId, childModel, associationName, reques
     //EXPL: In order to allow for fully querying against the association data, we first embed the
     //associations to get a list of _ids and extra fields. We then leverage _list
     //to perform the full query.  Finally the extra fields (if they exist) are added to the final result
-    var mongooseQuery = ownerModel.findOne({ '_id': ownerId });
+    var mongooseQuery = ownerModel.findOne(_.assign({ '_id': ownerId }, TenantHelper.getFilter(ownerModel, request)));
     mongooseQuery = QueryHelper.createMongooseQuery(ownerModel, ownerRequest.query, mongooseQuery, Log);
     return mongooseQuery.exec()
         .then(function (result) {
@@ -1434,7 +1968,10 @@ function _getAllHandler(ownerModel, ownerId, childModel, associationName, reques
 
           var promise = _listHandler(childModel, request, Log);
 
-          if (many_many && association.linkingModel) {//EXPL: we have to manually insert the extra fields into the result
+          //EXPL: exported results are streamed, so the extra fields are only inserted into JSON results
+          var exporting = !!ExportHelper.getExportFormat(query, request.headers);
+
+          if (many_many && association.linkingModel && !exporting) {//EXPL: we have to manually insert the extra fields into the result
             var extraFieldData = result;
             return promise
                 .then(function(result) {
@@ -1517,41 +2054,710 @@ function _getAllHandler(ownerModel, ownerId, childModel, associationName, reques
 
 
 /**
- * Create an association instance between two resources
- * @param ownerModel
- * @param ownerObject
- * @param childModel
- * @param childId
- * @param associationName
- * @param payload
- * @param Log
- * @returns {*|promise}
+ * Aggregate function exposed as a mongoose wrapper.
+ * @param model: A mongoose model.
+ * @param query: rest-hapi query parameters to be converted to an aggregation pipeline.
+ * @param Log: A logging object.
+ * @returns {object} A promise for the resulting groups.
  * @private
  */
-function _setAssociation(ownerModel, ownerObject, childModel, childId, associationName, payload, Log) {
-  var deferred = Q.defer();
-
-  childModel.findOne({ '_id': childId })
-      .then(function (childObject) {
-        if (childObject) {
-          var promise = {};
-          var association = ownerModel.routeOptions.associations[associationName];
-          var extraFields = false;
-          if (association.type === "ONE_MANY") {//EXPL: one-many associations are virtual, so only update the child reference
-            childObject[association.foreignField] = ownerObject._id;
-            promise = childObject.save();
-          }
-          else if (association.type === "MANY_MANY") {
-            //EXPL: the payload is an array of Ids. No extra fields
-            if (typeof payload[0] === 'string' || payload[0] instanceof String || payload[0]._bsontype === "ObjectID") {
-              payload = {};
+function _aggregate(model, query, Log) {
+  let request = { query: query };
+  return _aggregateHandler(model, request, Log);
+}
+/**
+ * Groups model documents and computes counts and totals for each group.
+ * @param model: A mongoose model.
+ * @param request: The Hapi request object, or a container for the wrapper query.
+ * @param Log: A logging object.
+ * @returns {object} A promise for the resulting groups.
+ * @private
+ */
+function _aggregateHandler(model, request, Log) {
+  let query = extend({}, request.query);
+  let logError = false;
+  try {
+    var promise = {};
+    if (model.routeOptions && model.routeOptions.aggregate && model.routeOptions.aggregate.pre) {
+      promise = Q.fcall(model.routeOptions.aggregate.pre, query, request, Log);
+    }
+    else {
+      promise = Q.when(query);
+    }
 
-              extraFields = false;
-            }
-            else {
-              payload = payload.filter(function(object) {//EXPL: the payload contains extra fields
-                return object.childId.toString() === childObject._id.toString();
-              });
+    return promise
+        .then(function (query) {
+          //EXPL: queries on the fields of associated documents are resolved before the mongoose query is created
+          return Q.when(QueryHelper.setAssociationFilters(model, query, function(childModel) {
+            return _getReadFilter(childModel, request);
+          }, Log)).thenResolve(query);
+        })
+        .then(function (query){
+          TenantHelper.addFilter(model, query, request);
+          AccessRuleHelper.addFilter(model, query, request);
+          var pipeline = QueryHelper.createAggregatePipeline(model, query, Log);
+          Log.log("Pipeline: %s", JSON.stringify(pipeline));
+          return model.aggregate(pipeline).exec()
+              .then(function (result) {
+                var promise = {};
+                if (model.routeOptions && model.routeOptions.aggregate && model.routeOptions.aggregate.post) {
+                  promise = Q.fcall(model.routeOptions.aggregate.post, request, result, Log);
+                }
+                else {
+                  promise = Q.when(result);
+                }
+
+                return promise
+                    .then(function (result) {
+                      Log.log("Result: %s", JSON.stringify(result));
+                      return { docs: result };
+                    })
+                    .catch(function (error) {
+                      let message = "There was a postprocessing error.";
+                      if (_.isString(error)) {
+                        message = error;
+                      }
+                      if (!logError) {
+                        Log.error(message);
+                        logError = true;
+                        delete error.type;
+                      }
+                      errorHelper.handleError(error, message, errorHelper.types.BAD_REQUEST, Log);
+                    })
+              })
+              .catch(function (error) {
+                const message = "There was an error accessing the database.";
+                if (!logError) {
+                  Log.error(message);
+                  logError = true;
+                  delete error.type;
+                }
+                errorHelper.handleError(error, message, errorHelper.types.BAD_IMPLEMENTATION, Log);
+              });
+        })
+        .catch(function (error) {
+          let message = "There was a preprocessing error.";
+          if (_.isString(error)) {
+            message = error;
+          }
+          if (!logError) {
+            Log.error(message);
+            logError = true;
+            delete error.type;
+          }
+          errorHelper.handleError(error, message, errorHelper.types.BAD_REQUEST, Log);
+        });
+  }
+  catch(error) {
+    const message = "There was an error processing the request.";
+    if (!logError) {
+      Log.error(message);
+      logError = true;
+      delete error.type;
+    }
+    try {
+      errorHelper.handleError(error, message, errorHelper.types.BAD_REQUEST, Log)
+    }
+    catch(error) {
+      return Q.reject(error);
+    }
+  }
+}
+
+
+/**
+ * ListRevisions function exposed as a mongoose wrapper.
+ * @param model: A mongoose model.
+ * @param _id: The document id.
+ * @param Log: A logging object.
+ * @returns {object} A promise for the revisions of the document.
+ * @private
+ */
+function _listRevisions(model, _id, Log) {
+  let request = { params: { _id: _id } };
+  return _listRevisionsHandler(model, _id, request, Log);
+}
+/**
+ * Lists the revisions of a document, without their snapshots.
+ * @param model: A mongoose model.
+ * @param _id: The document id.
+ * @param request: The Hapi request object, or a container for the wrapper params.
+ * @param Log: A logging object.
+ * @returns {object} A promise for the revisions of the document.
+ * @private
+ */
+function _listRevisionsHandler(model, _id, request, Log) {
+  let logError = false;
+  try {
+    const RevisionModel = RevisionHelper.getRevisionModel(model);
+
+    return Q.when(RevisionModel.find(_.assign({ document: _id }, _getRevisionFilter(model, request))).select('-snapshot').sort({ revision: 1 }).lean())
+        .then(function (result) {
+          if (_.isEmpty(result)) {
+            const message = "No revisions were found for that id.";
+            if (!logError) {
+              Log.error(message);
+              logError = true;
+            }
+            errorHelper.handleError(message, message, errorHelper.types.NOT_FOUND, Log);
+          }
+
+          return result;
+        })
+        .catch(function (error) {
+          const message = "There was an error accessing the database.";
+          if (!logError) {
+            Log.error(message);
+            logError = true;
+            delete error.type;
+          }
+          errorHelper.handleError(error, message, errorHelper.types.BAD_IMPLEMENTATION, Log);
+        });
+  }
+  catch(error) {
+    const message = "There was an error processing the request.";
+    if (!logError) {
+      Log.error(message);
+      logError = true;
+      delete error.type;
+    }
+    try {
+      errorHelper.handleError(error, message, errorHelper.types.BAD_REQUEST, Log)
+    }
+    catch(error) {
+      return Q.reject(error);
+    }
+  }
+}
+
+
+/**
+ * FindRevision function exposed as a mongoose wrapper.
+ * @param model: A mongoose model.
+ * @param _id: The document id.
+ * @param revision: The revision number.
+ * @param Log: A logging object.
+ * @returns {object} A promise for the revision along with its differences from the current document.
+ * @private
+ */
+function _findRevision(model, _id, revision, Log) {
+  let request = { params: { _id: _id, revision: revision } };
+  return _findRevisionHandler(model, _id, revision, request, Log);
+}
+/**
+ * Finds a revision of a document and compares its snapshot with the current version of the document.
+ * @param model: A mongoose model.
+ * @param _id: The document id.
+ * @param revision: The revision number.
+ * @param request: The Hapi request object, or a container for the wrapper params.
+ * @param Log: A logging object.
+ * @returns {object} A promise for the revision along with its differences from the current document.
+ * @private
+ */
+function _findRevisionHandler(model, _id, revision, request, Log) {
+  let logError = false;
+  try {
+    const RevisionModel = RevisionHelper.getRevisionModel(model);
+
+    return Q.when(RevisionModel.findOne(_.assign({ document: _id, revision: revision }, _getRevisionFilter(model, request))).lean())
+        .then(function (result) {
+          if (!result) {
+            const message = "No revision was found with that number.";
+            if (!logError) {
+              Log.error(message);
+              logError = true;
+            }
+            errorHelper.handleError(message, message, errorHelper.types.NOT_FOUND, Log);
+          }
+
+          return Q.when(model.findOne({ '_id': _id }).lean())
+              .then(function (current) {
+                result.snapshot = RevisionHelper.filterSnapshot(model, result.snapshot);
+                result.diff = RevisionHelper.getDiff(result.snapshot, RevisionHelper.filterSnapshot(model, current));
+                return result;
+              });
+        })
+        .catch(function (error) {
+          const message = "There was an error accessing the database.";
+          if (!logError) {
+            Log.error(message);
+            logError = true;
+            delete error.type;
+          }
+          errorHelper.handleError(error, message, errorHelper.types.BAD_IMPLEMENTATION, Log);
+        });
+  }
+  catch(error) {
+    const message = "There was an error processing the request.";
+    if (!logError) {
+      Log.error(message);
+      logError = true;
+      delete error.type;
+    }
+    try {
+      errorHelper.handleError(error, message, errorHelper.types.BAD_REQUEST, Log)
+    }
+    catch(error) {
+      return Q.reject(error);
+    }
+  }
+}
+
+
+/**
+ * Revert function exposed as a mongoose wrapper.
+ * @param model: A mongoose model.
+ * @param _id: The document id.
+ * @param revision: The revision number.
+ * @param Log: A logging object.
+ * @returns {object} A promise for the reverted document.
+ * @private
+ */
+function _revert(model, _id, revision, Log) {
+  let request = { params: { _id: _id, revision: revision } };
+  return _revertHandler(model, _id, revision, request, Log);
+}
+/**
+ * Reverts a document to the snapshot of one of its revisions. The revert is stored as a new revision.
+ * @param model: A mongoose model.
+ * @param _id: The document id.
+ * @param revision: The revision number.
+ * @param request: The Hapi request object, or a container for the wrapper params.
+ * @param Log: A logging object.
+ * @returns {object} A promise for the reverted document.
+ * @private
+ */
+function _revertHandler(model, _id, revision, request, Log) {
+  let logError = false;
+  try {
+    const RevisionModel = RevisionHelper.getRevisionModel(model);
+
+    return Q.all([
+      RevisionModel.findOne(_.assign({ document: _id, revision: revision }, _getRevisionFilter(model, request))).lean(),
+      model.findOne(_.assign({ '_id': _id }, TenantHelper.getFilter(model, request))).lean()
+    ])
+        .then(function (result) {
+          const revision = result[0];
+          const current = result[1] || {};
+          const previous = result[1];
+
+          if (!revision) {
+            const message = "No revision was found with that number.";
+            if (!logError) {
+              Log.error(message);
+              logError = true;
+            }
+            errorHelper.handleError(message, message, errorHelper.types.NOT_FOUND, Log);
+          }
+
+          //EXPL: the revert can't change the fields that the user isn't allowed to write
+          const unwritableFields = _.intersection(_.map(RevisionHelper.getDiff(revision.snapshot, result[1]), 'field'),
+              FieldScopeHelper.getUnauthorizedFields(model, "write", request));
+          if (!_.isEmpty(unwritableFields)) {
+            const message = "Insufficient scope to write the fields: " + unwritableFields.join(", ") + ".";
+            if (!logError) {
+              Log.error(message);
+              logError = true;
+            }
+            errorHelper.handleError(message, message, errorHelper.types.FORBIDDEN, Log);
+          }
+
+          //EXPL: the snapshot replaces the current document, so any fields it doesn't contain are removed
+          const ignoredFields = ['_id', model.schema.options.versionKey || "__v"];
+          let payload = _.omit(revision.snapshot, ignoredFields);
+          let unset = _.difference(Object.keys(current), Object.keys(revision.snapshot), ignoredFields);
+          if (!_.isEmpty(unset)) {
+            payload.$unset = {};
+            unset.forEach(function (fieldName) {
+              payload.$unset[fieldName] = 1;
+            });
+          }
+
+          if (config.enableUpdatedAt) {
+            payload.updatedAt = new Date();
+          }
+
+          VersionHelper.addVersionUpdate(model, payload);
+
+          //EXPL: if the request version was verified, the revert only succeeds if the document still has that version.
+          //Otherwise a hard deleted document is recreated.
+          let versionConditions = VersionHelper.getVersionConditions(model, _id, request);
+          let promise = {};
+          if (versionConditions) {
+            promise = model.findOneAndUpdate(TenantHelper.getConditions(model, _id, versionConditions, request), payload, { new: true, runValidators: config.enableMongooseRunValidators });
+          }
+          else {
+            promise = model.findOneAndUpdate(_.assign({ '_id': _id }, TenantHelper.getFilter(model, request)), payload, { new: true, upsert: true, runValidators: config.enableMongooseRunValidators });
+          }
+
+          return promise
+              .then(function (reverted) {
+                if (!reverted) {
+                  const message = "The resource has been modified.";
+                  if (!logError) {
+                    Log.error(message);
+                    logError = true;
+                  }
+                  errorHelper.handleError(message, message, errorHelper.types.PRECONDITION_FAILED, Log);
+                }
+
+                CacheHelper.invalidate(model, request, Log);
+
+                const attributes = QueryHelper.createAttributesFilter({}, model, Log);
+
+                return RevisionHelper.saveRevision(model, reverted, "Revert", request, Log)
+                    .then(function () {
+                      return model.findOne({ '_id': _id }, attributes).lean();
+                    })
+                    .then(function (result) {
+                      if (EventHelper.hasListeners(model, "reverted")) {
+                        EventHelper.emit(model, "reverted", {
+                          document: result,
+                          previous: _filterDocument(model, previous, Log)
+                        }, request, Log);
+                      }
+                      return result;
+                    });
+              });
+        })
+        .catch(function (error) {
+          let message = "";
+          let type = "";
+          if (error.code === 11000) {
+            message = "There was a duplicate key error.";
+            type = errorHelper.types.CONFLICT;
+          }
+          else {
+            message = "There was an error reverting the resource.";
+            type = errorHelper.types.BAD_IMPLEMENTATION;
+          }
+          if (!logError) {
+            Log.error(message);
+            logError = true;
+            delete error.type;
+          }
+          errorHelper.handleError(error, message, type, Log);
+        });
+  }
+  catch(error) {
+    const message = "There was an error processing the request.";
+    if (!logError) {
+      Log.error(message);
+      logError = true;
+      delete error.type;
+    }
+    try {
+      errorHelper.handleError(error, message, errorHelper.types.BAD_REQUEST, Log)
+    }
+    catch(error) {
+      return Q.reject(error);
+    }
+  }
+}
+
+
+/**
+ * FindScope function exposed as a mongoose wrapper.
+ * @param model: A mongoose model.
+ * @param _id: The document id.
+ * @param Log: A logging object.
+ * @returns {object} A promise for the document scope.
+ * @private
+ */
+function _findScope(model, _id, Log) {
+  let request = { params: { _id: _id } };
+  return _findScopeHandler(model, _id, request, Log);
+}
+/**
+ * Finds the document scope of a document.
+ * @param model: A mongoose model.
+ * @param _id: The document id.
+ * @param request: The Hapi request object, or a container for the wrapper params.
+ * @param Log: A logging object.
+ * @returns {object} A promise for the document scope.
+ * @private
+ */
+function _findScopeHandler(model, _id, request, Log) {
+  let logError = false;
+  try {
+    return Q.when(model.findOne(_.assign({ '_id': _id }, TenantHelper.getFilter(model, request))).select('scope').lean())
+        .then(function (result) {
+          if (!result) {
+            const message = "No resource was found with that id.";
+            if (!logError) {
+              Log.error(message);
+              logError = true;
+            }
+            errorHelper.handleError(message, message, errorHelper.types.NOT_FOUND, Log);
+          }
+
+          return _formatDocumentScope(result.scope);
+        })
+        .catch(function (error) {
+          const message = "There was an error accessing the database.";
+          if (!logError) {
+            Log.error(message);
+            logError = true;
+            delete error.type;
+          }
+          errorHelper.handleError(error, message, errorHelper.types.BAD_IMPLEMENTATION, Log);
+        });
+  }
+  catch(error) {
+    const message = "There was an error processing the request.";
+    if (!logError) {
+      Log.error(message);
+      logError = true;
+      delete error.type;
+    }
+    try {
+      errorHelper.handleError(error, message, errorHelper.types.BAD_REQUEST, Log)
+    }
+    catch(error) {
+      return Q.reject(error);
+    }
+  }
+}
+
+
+/**
+ * AddScope function exposed as a mongoose wrapper.
+ * @param model: A mongoose model.
+ * @param _id: The document id.
+ * @param action: The action to grant: "read", "update", "delete", or "associate".
+ * @param scope: A list of scope values to grant the action to.
+ * @param Log: A logging object.
+ * @returns {object} A promise for the updated document scope.
+ * @private
+ */
+function _addScope(model, _id, action, scope, Log) {
+  let request = { params: { _id: _id, action: action }, payload: scope };
+  return _addScopeHandler(model, _id, action, scope, request, Log);
+}
+/**
+ * Grants an action on a document to a list of scope values by adding them to the document scope.
+ * @param model: A mongoose model.
+ * @param _id: The document id.
+ * @param action: The action to grant: "read", "update", "delete", or "associate".
+ * @param scope: A list of scope values to grant the action to.
+ * @param request: The Hapi request object, or a container for the wrapper params/payload.
+ * @param Log: A logging object.
+ * @returns {object} A promise for the updated document scope.
+ * @private
+ */
+function _addScopeHandler(model, _id, action, scope, request, Log) {
+  let logError = false;
+  try {
+    scope = [].concat(scope || []);
+
+    if (shareableActions.indexOf(action) < 0) {
+      const message = "The action must be one of: " + shareableActions.join(", ") + ".";
+      Log.error(message);
+      logError = true;
+      errorHelper.handleError(message, message, errorHelper.types.BAD_REQUEST, Log);
+    }
+
+    //EXPL: users can only grant the scope values they hold
+    const credentials = request.auth ? request.auth.credentials : null;
+    if (credentials) {
+      const unheldScope = _.difference(scope, [].concat(credentials.scope || []));
+      if (!_.isEmpty(unheldScope)) {
+        const message = "Insufficient scope to grant: " + unheldScope.join(", ") + ".";
+        Log.error(message);
+        logError = true;
+        errorHelper.handleError(message, message, errorHelper.types.FORBIDDEN, Log);
+      }
+    }
+
+    let update = { $addToSet: {} };
+    update.$addToSet['scope.' + action + 'Scope'] = { $each: scope };
+
+    return _updateDocumentScope(model, _id, update, request, Log)
+        .then(function (result) {
+          if (!result) {
+            const message = "No resource was found with that id.";
+            if (!logError) {
+              Log.error(message);
+              logError = true;
+            }
+            errorHelper.handleError(message, message, errorHelper.types.NOT_FOUND, Log);
+          }
+
+          return _formatDocumentScope(result.scope);
+        })
+        .catch(function (error) {
+          const message = "There was an error sharing the resource.";
+          if (!logError) {
+            Log.error(message);
+            logError = true;
+            delete error.type;
+          }
+          errorHelper.handleError(error, message, errorHelper.types.BAD_IMPLEMENTATION, Log);
+        });
+  }
+  catch(error) {
+    const message = "There was an error processing the request.";
+    if (!logError) {
+      Log.error(message);
+      logError = true;
+      delete error.type;
+    }
+    try {
+      errorHelper.handleError(error, message, errorHelper.types.BAD_REQUEST, Log)
+    }
+    catch(error) {
+      return Q.reject(error);
+    }
+  }
+}
+
+
+/**
+ * RemoveScope function exposed as a mongoose wrapper.
+ * @param model: A mongoose model.
+ * @param _id: The document id.
+ * @param action: The action to revoke: "read", "update", "delete", or "associate".
+ * @param scopeValue: The scope value to revoke the action from.
+ * @param Log: A logging object.
+ * @returns {object} A promise for the updated document scope.
+ * @private
+ */
+function _removeScope(model, _id, action, scopeValue, Log) {
+  let request = { params: { _id: _id, action: action, scopeValue: scopeValue } };
+  return _removeScopeHandler(model, _id, action, scopeValue, request, Log);
+}
+/**
+ * Revokes an action on a document from a scope value by removing it from the document scope. Users can only revoke
+ * forbidden ("!") and required ("+") values they hold, and the last value can't be revoked since an empty document
+ * scope authorizes every user.
+ * @param model: A mongoose model.
+ * @param _id: The document id.
+ * @param action: The action to revoke: "read", "update", "delete", or "associate".
+ * @param scopeValue: The scope value to revoke the action from.
+ * @param request: The Hapi request object, or a container for the wrapper params.
+ * @param Log: A logging object.
+ * @returns {object} A promise for the updated document scope.
+ * @private
+ */
+function _removeScopeHandler(model, _id, action, scopeValue, request, Log) {
+  let logError = false;
+  try {
+    if (shareableActions.indexOf(action) < 0) {
+      const message = "The action must be one of: " + shareableActions.join(", ") + ".";
+      Log.error(message);
+      logError = true;
+      errorHelper.handleError(message, message, errorHelper.types.BAD_REQUEST, Log);
+    }
+
+    //EXPL: removing a forbidden or required value loosens the document scope, so users can only revoke the ones they hold
+    const credentials = request.auth ? request.auth.credentials : null;
+    if (credentials && (scopeValue[0] === '!' || scopeValue[0] === '+') &&
+        [].concat(credentials.scope || []).indexOf(scopeValue) < 0) {
+      const message = "Insufficient scope to revoke: " + scopeValue + ".";
+      Log.error(message);
+      logError = true;
+      errorHelper.handleError(message, message, errorHelper.types.FORBIDDEN, Log);
+    }
+
+    let update = { $pull: {} };
+    update.$pull['scope.' + action + 'Scope'] = scopeValue;
+
+    return Q.when(model.findOne(_.assign({ '_id': _id }, TenantHelper.getFilter(model, request))).select('scope').lean())
+        .then(function (result) {
+          if (!result) {
+            return null;
+          }
+
+          const documentScope = _formatDocumentScope(result.scope);
+          const actionScope = documentScope[action + 'Scope'];
+
+          if (actionScope.indexOf(scopeValue) >= 0 && _.isEmpty(documentScope.rootScope) &&
+              _.isEmpty(_.without(actionScope, scopeValue))) {
+            const message = "The last scope value of an action can't be revoked, since every user would be authorized.";
+            Log.error(message);
+            logError = true;
+            errorHelper.handleError(message, message, errorHelper.types.BAD_REQUEST, Log);
+          }
+
+          return _updateDocumentScope(model, _id, update, request, Log);
+        })
+        .then(function (result) {
+          if (!result) {
+            const message = "No resource was found with that id.";
+            if (!logError) {
+              Log.error(message);
+              logError = true;
+            }
+            errorHelper.handleError(message, message, errorHelper.types.NOT_FOUND, Log);
+          }
+
+          return _formatDocumentScope(result.scope);
+        })
+        .catch(function (error) {
+          const message = "There was an error unsharing the resource.";
+          if (!logError) {
+            Log.error(message);
+            logError = true;
+            delete error.type;
+          }
+          errorHelper.handleError(error, message, errorHelper.types.BAD_IMPLEMENTATION, Log);
+        });
+  }
+  catch(error) {
+    const message = "There was an error processing the request.";
+    if (!logError) {
+      Log.error(message);
+      logError = true;
+      delete error.type;
+    }
+    try {
+      errorHelper.handleError(error, message, errorHelper.types.BAD_REQUEST, Log)
+    }
+    catch(error) {
+      return Q.reject(error);
+    }
+  }
+}
+
+
+/**
+ * Create an association instance between two resources
+ * @param ownerModel
+ * @param ownerObject
+ * @param childModel
+ * @param childId
+ * @param associationName
+ * @param payload
+ * @param request
+ * @param Log
+ * @returns {*|promise}
+ * @private
+ */
+function _setAssociation(ownerModel, ownerObject, childModel, childId, associationName, payload, request, Log) {
+  var deferred = Q.defer();
+
+  //EXPL: documents can't be associated with the documents of another tenant
+  TransactionHelper.setSession(childModel.findOne(_.assign({ '_id': childId }, TenantHelper.getFilter(childModel, request))), request)
+      .then(function (childObject) {
+        if (childObject) {
+          var promise = {};
+          var association = ownerModel.routeOptions.associations[associationName];
+          var extraFields = false;
+          if (association.type === "ONE_MANY") {//EXPL: one-many associations are virtual, so only update the child reference
+            childObject[association.foreignField] = ownerObject._id;
+            promise = childObject.save();
+          }
+          else if (association.type === "MANY_MANY") {
+            //EXPL: the payload is an array of Ids. No extra fields
+            if (typeof payload[0] === 'string' || payload[0] instanceof String || payload[0]._bsontype === "ObjectID") {
+              payload = {};
+
+              extraFields = false;
+            }
+            else {
+              payload = payload.filter(function(object) {//EXPL: the payload contains extra fields
+                return object.childId.toString() === childObject._id.toString();
+              });
 
               payload = payload[0];
 
@@ -1573,7 +2779,7 @@ function _setAssociation(ownerModel, ownerObject, childModel, childId, associati
               payload[ownerModel.modelName] = ownerObject._id;
               payload[childModel.modelName] = childObject._id;
 
-              promise = linkingModel.findOneAndUpdate(query, payload, { new: true, upsert: true, runValidators: config.enableMongooseRunValidators });
+              promise = TransactionHelper.setSession(linkingModel.findOneAndUpdate(query, payload, { new: true, upsert: true, runValidators: config.enableMongooseRunValidators }), request);
             }
             else {
               payload[childModel.modelName] = childObject._id;
@@ -1632,9 +2838,13 @@ function _setAssociation(ownerModel, ownerObject, childModel, childId, associati
                 childObject[childAssociationName][duplicateIndex] = payload;
               }
 
-              promise = Q.all([
-                ownerModel.findByIdAndUpdate(ownerObject._id, ownerObject, { runValidators: config.enableMongooseRunValidators }),
-                childModel.findByIdAndUpdate(childObject._id, childObject, { runValidators: config.enableMongooseRunValidators })
+              promise = TransactionHelper.all(request, [
+                function() {
+                  return TransactionHelper.setSession(ownerModel.findByIdAndUpdate(ownerObject._id, ownerObject, { runValidators: config.enableMongooseRunValidators }), request);
+                },
+                function() {
+                  return TransactionHelper.setSession(childModel.findByIdAndUpdate(childObject._id, childObject, { runValidators: config.enableMongooseRunValidators }), request);
+                }
               ]);
             }
 
@@ -1652,7 +2862,7 @@ function _setAssociation(ownerModel, ownerObject, childModel, childId, associati
               ownerObject[associationName].push(childId);
             }
 
-            promise = Q.all([ownerModel.findByIdAndUpdate(ownerObject._id, ownerObject, { runValidators: config.enableMongooseRunValidators })]);
+            promise = Q.all([TransactionHelper.setSession(ownerModel.findByIdAndUpdate(ownerObject._id, ownerObject, { runValidators: config.enableMongooseRunValidators }), request)]);
           }
           else {
             deferred.reject(new Error("Association type incorrectly defined."));
@@ -1685,22 +2895,20 @@ function _setAssociation(ownerModel, ownerObject, childModel, childId, associati
 
 /**
  * Remove an association instance between two resources
- * @param request
- * @param server
  * @param ownerModel
  * @param ownerObject
  * @param childModel
  * @param childId
  * @param associationName
- * @param options
+ * @param request
  * @param Log
  * @returns {*|promise}
  * @private
  */
-function _removeAssociation(ownerModel, ownerObject, childModel, childId, associationName, Log) {
+function _removeAssociation(ownerModel, ownerObject, childModel, childId, associationName, request, Log) {
   var deferred = Q.defer();
 
-  childModel.findOne({ '_id': childId })
+  TransactionHelper.setSession(childModel.findOne({ '_id': childId }), request)
       .then(function (childObject) {
         if (childObject) {
           var promise = {};
@@ -1724,7 +2932,7 @@ function _removeAssociation(ownerModel, ownerObject, childModel, childId, associ
               query[ownerModel.modelName] = ownerObject._id;
               query[childModel.modelName] = childObject._id;
 
-              promise = linkingModel.findOneAndRemove(query);
+              promise = TransactionHelper.setSession(linkingModel.findOneAndRemove(query), request);
             }
             else {
               //EXPL: remove the associated child from the owner
@@ -1760,9 +2968,13 @@ function _removeAssociation(ownerModel, ownerObject, childModel, childId, associ
                 childObject[childAssociationName].splice(index, 1);
               }
 
-              promise = Q.all([
-                ownerModel.findByIdAndUpdate(ownerObject._id, ownerObject, { runValidators: config.enableMongooseRunValidators }),
-                childModel.findByIdAndUpdate(childObject._id, childObject, { runValidators: config.enableMongooseRunValidators })
+              promise = TransactionHelper.all(request, [
+                function() {
+                  return TransactionHelper.setSession(ownerModel.findByIdAndUpdate(ownerObject._id, ownerObject, { runValidators: config.enableMongooseRunValidators }), request);
+                },
+                function() {
+                  return TransactionHelper.setSession(childModel.findByIdAndUpdate(childObject._id, childObject, { runValidators: config.enableMongooseRunValidators }), request);
+                }
               ]);
             }
           }
@@ -1779,7 +2991,7 @@ function _removeAssociation(ownerModel, ownerObject, childModel, childId, associ
               ownerObject[associationName].splice(index, 1);
             }
 
-            promise = Q.all([ownerModel.findByIdAndUpdate(ownerObject._id, ownerObject, { runValidators: config.enableMongooseRunValidators })]);
+            promise = Q.all([TransactionHelper.setSession(ownerModel.findByIdAndUpdate(ownerObject._id, ownerObject, { runValidators: config.enableMongooseRunValidators }), request)]);
           }
           else {
             deferred.reject(new Error("Association type incorrectly defined."));
@@ -1809,6 +3021,529 @@ function _removeAssociation(ownerModel, ownerObject, childModel, childId, associ
 }
 
 
+/**
+ * Store the revisions of the documents modified by an association change. Child documents are only stored if
+ * they changed, Ex: the foreign key of a ONE_MANY association.
+ * @param ownerModel: The model that is being modified.
+ * @param ownerId: The id of the owner document.
+ * @param childModel: The model of the associated documents.
+ * @param childIds: The ids of the associated documents.
+ * @param action: Either "Add" or "Remove".
+ * @param request: The Hapi request object, or a container for the wrapper payload.
+ * @param Log: A logging object.
+ * @returns {*|promise}
+ * @private
+ */
+function _saveAssociationRevisions(ownerModel, ownerId, childModel, childIds, action, request, Log) {
+  return RevisionHelper.saveRevision(ownerModel, ownerId, action, request, Log)
+      .then(function () {
+        return TransactionHelper.all(request, childIds.map(function (childId) {
+          return function () {
+            return RevisionHelper.saveRevision(childModel, childId, action, request, Log);
+          };
+        }));
+      });
+}
+
+
+/**
+ * Convert a document returned by mongoose into a plain object without the fields that are excluded from responses.
+ * @param model: A mongoose model.
+ * @param document: The document.
+ * @param Log: A logging object.
+ * @returns {object}: The filtered document, or null if there is no document.
+ * @private
+ */
+function _filterDocument(model, document, Log) {
+  if (!document) {
+    return null;
+  }
+
+  var attributes = QueryHelper.createAttributesFilter({}, model, Log);
+  document = _.isFunction(document.toObject) ? document.toObject() : document;
+
+  return _.pick(document, attributes.split(" "));
+}
+
+
+/**
+ * Get the conditions that the documents of a model must match to be listed by a request, which include the soft
+ * delete, tenant, document scope, and access rule filters.
+ * @param model: A mongoose model.
+ * @param request: The Hapi request object, or a container for the wrapper query.
+ * @returns {object}: The conditions, or null if the request can read every document.
+ * @private
+ */
+function _getReadFilter(model, request) {
+  let filters = [];
+
+  if (config.enableSoftDelete) {
+    filters.push({ isDeleted: { $ne: true } });
+  }
+
+  filters.push(TenantHelper.getFilter(model, request));
+
+  if (config.enableDocumentScopes && request && request.auth && request.auth.credentials) {
+    const scopeQuery = authHelper.createDocumentScopeQuery('read', request.auth.credentials.scope);
+    filters.push(AccessRuleHelper.addCreatorFilter(model, 'read', scopeQuery, request));
+  }
+
+  filters.push(AccessRuleHelper.getFilter(model, 'read', request));
+
+  filters = filters.filter(function(filter) {
+    return !!filter;
+  });
+
+  if (_.isEmpty(filters)) {
+    return null;
+  }
+  return filters.length === 1 ? filters[0] : { $and: filters };
+}
+
+/**
+ * Applies an update to the document scope of a document.
+ * @param model: A mongoose model.
+ * @param _id: The document id.
+ * @param update: The mongo update for the "scope" field.
+ * @param request: The Hapi request object, or a container for the wrapper params.
+ * @param Log: A logging object.
+ * @returns {object} A promise for the updated document, or null if it wasn't found.
+ * @private
+ */
+function _updateDocumentScope(model, _id, update, request, Log) {
+  VersionHelper.addVersionUpdate(model, update);
+
+  return Q.when(model.findOneAndUpdate(_.assign({ '_id': _id }, TenantHelper.getFilter(model, request)), update, { new: true }).select('scope').lean())
+      .then(function (result) {
+        if (result) {
+          //EXPL: the documents a user can access have changed
+          CacheHelper.invalidate(model, request, Log);
+        }
+        return result;
+      });
+}
+
+/**
+ * Includes every action of a document scope, even if they are empty.
+ * @param scope: The document scope.
+ * @returns {object}
+ * @private
+ */
+function _formatDocumentScope(scope) {
+  scope = scope || {};
+  return {
+    rootScope: scope.rootScope || [],
+    readScope: scope.readScope || [],
+    updateScope: scope.updateScope || [],
+    deleteScope: scope.deleteScope || [],
+    associateScope: scope.associateScope || []
+  };
+}
+
+/**
+ * Get the conditions that the revisions of a document must match to be accessed by a request. Revisions are matched
+ * by the tenant of their snapshot, so the revisions of hard deleted documents remain separated.
+ * @param model: A mongoose model.
+ * @param request: The Hapi request object, or a container for the wrapper params.
+ * @returns {object}: The conditions, or null if the request can access every revision.
+ * @private
+ */
+function _getRevisionFilter(model, request) {
+  var filter = TenantHelper.getFilter(model, request);
+  if (!filter) {
+    return null;
+  }
+
+  return _.mapKeys(filter, function(value, key) {
+    return 'snapshot.' + key;
+  });
+}
+
+
+/**
+ * Remove the cached results that depend on either side of an association.
+ * @param ownerModel: The model that is being added to or removed from.
+ * @param childModel: The model that is being added or removed.
+ * @param associationName: The name of the association from the ownerModel's perspective.
+ * @param request: The Hapi request object, or a container for the wrapper payload.
+ * @param Log: A logging object.
+ * @private
+ */
+function _invalidateAssociation(ownerModel, childModel, associationName, request, Log) {
+  var association = _.get(ownerModel, ['routeOptions', 'associations', associationName]);
+  var through = association && association.include ? association.include.through : null;
+  CacheHelper.invalidate([ownerModel, childModel, through], request, Log);
+}
+
+
+/**
+ * Emit an association event for the owner document, Ex: "user.groups.added". The owner document is only queried if
+ * something is listening for the event, and errors are logged rather than failing the request.
+ * @param ownerModel: The model that is being added to or removed from.
+ * @param ownerId: The id of the owner document.
+ * @param childModel: The model that is being added or removed.
+ * @param childIds: The ids of the child documents.
+ * @param associationName: The name of the association from the ownerModel's perspective.
+ * @param action: Either "added" or "removed".
+ * @param request: The Hapi request object, or a container for the wrapper payload.
+ * @param Log: A logging object.
+ * @returns {object}: A promise that resolves once the event is emitted.
+ * @private
+ */
+function _emitAssociationEvent(ownerModel, ownerId, childModel, childIds, associationName, action, request, Log) {
+  action = associationName + "." + action;
+
+  if (!EventHelper.hasListeners(ownerModel, action)) {
+    return Q.when();
+  }
+
+  var attributes = QueryHelper.createAttributesFilter({}, ownerModel, Log);
+
+  return Q.when(TransactionHelper.setSession(ownerModel.findOne({ '_id': ownerId }, attributes).lean(), request))
+      .then(function (document) {
+        EventHelper.emit(ownerModel, action, {
+          document: document,
+          association: associationName,
+          childModel: childModel.modelName,
+          childIds: childIds
+        }, request, Log);
+      })
+      .catch(function (error) {
+        Log.error("There was an error emitting the " + EventHelper.getEventName(ownerModel, action) + " event:", error);
+      });
+}
+
+
+/**
+ * Get the associations of a model that define an "onDelete" rule.
+ * @param model: A mongoose model.
+ * @returns {object}: The associations with an "onDelete" rule, keyed by association name.
+ * @private
+ */
+function _getDeleteRules(model) {
+  var associations = model.routeOptions ? model.routeOptions.associations : null;
+
+  //EXPL: MANY_ONE associations reference the parent document, so deleting the child doesn't affect them
+  return _.pickBy(associations, function(association) {
+    return association.onDelete && association.type !== "MANY_ONE";
+  });
+}
+
+
+/**
+ * Find the ids of the documents associated with a document that haven't been soft deleted.
+ * @param model: A mongoose model.
+ * @param document: The lean document.
+ * @param associationName: The name of the association.
+ * @param Log: A logging object.
+ * @returns {object}: A promise for the list of associated ids.
+ * @private
+ */
+function _findAssociatedIds(model, document, associationName, Log) {
+  var association = model.routeOptions.associations[associationName];
+  var childModel = association.include.model;
+  var notDeleted = config.enableSoftDelete ? { isDeleted: { $ne: true } } : {};
+  var promise = {};
+
+  if (association.type === "ONE_MANY") {
+    var query = {};
+    query[association.foreignField] = document._id;
+    return Q.when(childModel.find(_.assign(query, notDeleted)).select('_id').lean())
+        .then(function(children) {
+          return _.map(children, '_id');
+        });
+  }
+  else if (association.type === "MANY_MANY") {
+    var embedAssociation = association.embedAssociation === undefined ? config.embedAssociations : association.embedAssociation;
+    if (!embedAssociation) {
+      var linkQuery = {};
+      linkQuery[model.modelName] = document._id;
+      promise = Q.when(association.include.through.find(linkQuery).lean())
+          .then(function(links) {
+            return _.map(links, childModel.modelName);
+          });
+    }
+    else {
+      promise = Q.when(_.map(document[associationName], childModel.modelName));
+    }
+  }
+  else if (association.type === "ONE_ONE") {
+    promise = Q.when(document[associationName] ? [document[associationName]] : []);
+  }
+  else {
+    promise = Q.when(document[associationName] || []);
+  }
+
+  return promise
+      .then(function(childIds) {
+        childIds = _.compact(childIds);
+        if (_.isEmpty(childIds)) {
+          return [];
+        }
+        return Q.when(childModel.find(_.assign({ '_id': { $in: childIds } }, notDeleted)).select('_id').lean())
+            .then(function(children) {
+              return _.map(children, '_id');
+            });
+      });
+}
+
+
+/**
+ * Find the references that restrict the deletion of a document, including those of documents that would be
+ * deleted through a "cascade" rule.
+ * @param model: A mongoose model.
+ * @param document: The lean document.
+ * @param Log: A logging object.
+ * @param checked: The documents that have already been checked.
+ * @returns {object}: A promise for a list of descriptions of the restricting references.
+ * @private
+ */
+function _checkDeleteRules(model, document, Log, checked) {
+  checked = checked || {};
+  checked[model.modelName + document._id] = true;
+
+  var promises = _.map(_getDeleteRules(model), function(association, associationName) {
+    var childModel = association.include.model;
+
+    if (association.onDelete !== "restrict" && association.onDelete !== "cascade") {
+      return Q.when([]);
+    }
+
+    return _findAssociatedIds(model, document, associationName, Log)
+        .then(function(childIds) {
+          if (association.onDelete === "restrict") {
+            if (_.isEmpty(childIds)) {
+              return [];
+            }
+            return [model.modelName + "." + associationName + " (" + childModel.modelName + ": " + childIds.join(", ") + ")"];
+          }
+
+          childIds = childIds.filter(function(childId) {
+            return !checked[childModel.modelName + childId];
+          });
+          if (_.isEmpty(childIds) || _.isEmpty(_getDeleteRules(childModel))) {
+            return [];
+          }
+
+          return Q.when(childModel.find({ '_id': { $in: childIds } }).lean())
+              .then(function(children) {
+                return Q.all(children.map(function(child) {
+                  return _checkDeleteRules(childModel, child, Log, checked);
+                }));
+              })
+              .then(_.flatten);
+        });
+  });
+
+  return Q.all(promises)
+      .then(_.flatten);
+}
+
+
+/**
+ * Apply the "cascade" and "setNull" rules of a deleted document to its associated documents.
+ * @param model: A mongoose model.
+ * @param document: The lean document, as it was before it was deleted.
+ * @param hardDelete: Flag used to determine a soft or hard delete.
+ * @param request: The Hapi request object, or a container for the wrapper payload.
+ * @param Log: A logging object.
+ * @returns {object}: A promise that resolves once the rules are applied.
+ * @private
+ */
+function _applyDeleteRules(model, document, hardDelete, request, Log) {
+  var tasks = _.map(_getDeleteRules(model), function(association, associationName) {
+    var childModel = association.include.model;
+
+    return function() {
+      if (association.onDelete !== "cascade" && association.onDelete !== "setNull") {
+        return Q.when();
+      }
+
+      return _findAssociatedIds(model, document, associationName, Log)
+          .then(function(childIds) {
+            return _removeDeleteReferences(model, document, hardDelete, association, associationName, request, Log)
+                .then(function() {
+                  if (association.onDelete !== "cascade") {
+                    return;
+                  }
+
+                  //EXPL: associated documents are deleted one at a time so that their own rules and middleware apply
+                  return childIds.reduce(function(promise, childId) {
+                    return promise
+                        .then(function() {
+                          let childRequest = { payload: request.payload, mongooseSession: TransactionHelper.getSession(request) };
+                          return _deleteOneHandler(childModel, childId, hardDelete, childRequest, Log);
+                        })
+                        .catch(function(error) {
+                          //EXPL: the document may have already been deleted through another rule
+                          if (error.type !== errorHelper.types.NOT_FOUND) {
+                            throw error;
+                          }
+                        });
+                  }, Q.when());
+                });
+          });
+    };
+  });
+
+  return TransactionHelper.all(request, tasks);
+}
+
+
+/**
+ * Remove the references between a deleted document and its associated documents.
+ * @param model: A mongoose model.
+ * @param document: The lean document, as it was before it was deleted.
+ * @param hardDelete: Flag used to determine a soft or hard delete.
+ * @param association: The association.
+ * @param associationName: The name of the association.
+ * @param request: The Hapi request object, or a container for the wrapper payload.
+ * @param Log: A logging object.
+ * @returns {object}: A promise that resolves once the references are removed.
+ * @private
+ */
+function _removeDeleteReferences(model, document, hardDelete, association, associationName, request, Log) {
+  var childModel = association.include.model;
+  var tasks = [];
+  var query = {};
+  var update = {};
+
+  if (association.type === "ONE_MANY") {
+    //EXPL: cascaded children are deleted, so only "setNull" rules update the child references
+    if (association.onDelete === "setNull") {
+      query[association.foreignField] = document._id;
+      update[association.foreignField] = null;
+      tasks.push(function() { return TransactionHelper.setSession(childModel.update(query, { $set: update }, { multi: true }), request); });
+    }
+  }
+  else if (association.type === "MANY_MANY") {
+    var embedAssociation = association.embedAssociation === undefined ? config.embedAssociations : association.embedAssociation;
+    if (!embedAssociation) {
+      query[model.modelName] = document._id;
+      tasks.push(function() { return TransactionHelper.setSession(association.include.through.remove(query), request); });
+    }
+    else {
+      //EXPL: remove the deleted document from the associated documents
+      _.forEach(childModel.routeOptions ? childModel.routeOptions.associations : {}, function(childAssociation, childAssociationName) {
+        if (childAssociation.type === "MANY_MANY" && childAssociation.model === model.modelName) {
+          var childQuery = {};
+          var childUpdate = {};
+          childQuery[childAssociationName + "." + model.modelName] = document._id;
+          childUpdate[childAssociationName] = {};
+          childUpdate[childAssociationName][model.modelName] = document._id;
+          tasks.push(function() { return TransactionHelper.setSession(childModel.update(childQuery, { $pull: childUpdate }, { multi: true }), request); });
+        }
+      });
+
+      if (!hardDelete) {
+        update[associationName] = [];
+        tasks.push(function() { return TransactionHelper.setSession(model.update({ '_id': document._id }, { $set: update }), request); });
+      }
+    }
+  }
+  else if (association.type === "ONE_ONE" && association.onDelete === "setNull") {
+    //EXPL: clear the references to the deleted document from the associated documents
+    _.forEach(childModel.routeOptions ? childModel.routeOptions.associations : {}, function(childAssociation, childAssociationName) {
+      if (childAssociation.type === "ONE_ONE" && childAssociation.model === model.modelName) {
+        var childQuery = {};
+        var childUpdate = {};
+        childQuery[childAssociationName] = document._id;
+        childUpdate[childAssociationName] = null;
+        tasks.push(function() { return TransactionHelper.setSession(childModel.update(childQuery, { $set: childUpdate }, { multi: true }), request); });
+      }
+    });
+  }
+
+  return TransactionHelper.all(request, tasks)
+      .then(function(result) {
+        CacheHelper.invalidate([model, childModel, association.include.through], request, Log);
+        return result;
+      });
+}
+
+
+/**
+ * Formats a document returned from a list query.
+ * @param model: A mongoose model.
+ * @param data: The lean document.
+ * @param flatten: If true, MANY_MANY associations are returned as a flattened array.
+ * @param Log: A logging object.
+ * @returns {object}: The formatted document.
+ * @private
+ */
+function formatListDocument(model, data, flatten, Log) {
+  var result = data;
+  filterUnmatchedEmbeds(model, result, Log);
+  if (model.routeOptions) {
+    var associations = model.routeOptions.associations;
+    for (var associationKey in associations) {
+      var association = associations[associationKey];
+      if (association.type === "ONE_MANY" && data[associationKey]) {//EXPL: we have to manually populate the return value for virtual (e.g. ONE_MANY) associations
+        if (data[associationKey].toJSON) {//TODO: look into .toJSON and see why it appears sometimes and not other times
+          result[associationKey] = data[associationKey].toJSON();
+        }
+        else {
+          result[associationKey] = data[associationKey];
+        }
+      }
+      if (association.type === "MANY_MANY" && flatten === true) {//EXPL: remove additional fields and return a flattened array
+        if (result[associationKey]) {
+          result[associationKey] = result[associationKey].map(function(object) {
+            object = object[association.model];
+            return object;
+          })
+        }
+      }
+    }
+  }
+
+  if (config.enableSoftDelete && config.filterDeletedEmbeds) {//EXPL: remove soft deleted documents from populated properties
+    filterDeletedEmbeds(result, {}, "", 0, Log);
+  }
+
+  return result;
+}
+
+
+/**
+ * Removes the MANY_MANY entries of a document whose associated document was populated as null because it didn't
+ * match the populate conditions of the query (Ex: the tenant or document scope of the request).
+ * @param model: A mongoose model.
+ * @param result: The lean document.
+ * @param Log: A logging object.
+ * @returns {object}: The updated document.
+ * @private
+ */
+function filterUnmatchedEmbeds(model, result, Log) {
+  var associations = model.routeOptions ? model.routeOptions.associations : null;
+  for (var associationKey in associations) {
+    var association = associations[associationKey];
+    var embeddedDocs = result[associationKey];
+    if (!embeddedDocs) {
+      continue;
+    }
+
+    if (association.type === "MANY_MANY" && _.isArray(embeddedDocs)) {
+      result[associationKey] = embeddedDocs.filter(function(object) {
+        return !_.isPlainObject(object) || object[association.model] !== null;
+      });
+      embeddedDocs = result[associationKey].map(function(object) {
+        return _.isPlainObject(object) ? object[association.model] : null;
+      });
+    }
+
+    //EXPL: remove the unmatched entries of nested embeds
+    [].concat(embeddedDocs).forEach(function(document) {
+      if (_.isPlainObject(document) && association.include && association.include.model) {
+        filterUnmatchedEmbeds(association.include.model, document, Log);
+      }
+    });
+  }
+
+  return result;
+}
+
+
 /**
  * This function is called after embedded associations have been populated so that any associations
  * that have been soft deleted are removed.
@@ -0,0 +1,84 @@
+'use strict';
+
+var _ = require('lodash');
+var crypto = require('crypto');
+var config = require('../config');
+
+module.exports = {
+
+  /**
+   * Get the model that stores the responses of idempotent requests, creating it if it doesn't exist yet.
+   * @param mongoose: The mongoose instance.
+   * @returns {*}: The idempotency key model.
+   */
+  getIdempotencyModel: function (mongoose) {
+    var modelName = "idempotencyKey";
+
+    if (mongoose.modelNames().indexOf(modelName) >= 0) {
+      return mongoose.model(modelName);
+    }
+
+    var schema = require('../models/idempotency-key.model')(mongoose);
+    return mongoose.model(modelName, schema);
+  },
+
+  /**
+   * Get the value of the "Idempotency-Key" header of a request.
+   * @param request: The Hapi request object.
+   * @returns {string}: The key, or null if the header isn't included.
+   */
+  getKey: function (request) {
+    var key = request.headers ? request.headers['idempotency-key'] : null;
+    return _.isString(key) && key.trim() ? key.trim() : null;
+  },
+
+  /**
+   * Get the id of the user making a request, used so that users can't replay each other's responses.
+   * @param request: The Hapi request object.
+   * @returns {string}: The user id, or null if the request isn't authenticated.
+   */
+  getUser: function (request) {
+    var userId = request.auth && request.auth.credentials ? _.get(request.auth.credentials, config.userIdKey) : null;
+    return userId ? userId.toString() : null;
+  },
+
+  /**
+   * Create a hash of the method, path, query, and payload of a request. A key that is reused with a different hash
+   * belongs to a different request.
+   * @param request: The Hapi request object.
+   * @returns {string}: The hash.
+   */
+  getRequestHash: function (request) {
+    var hash = crypto.createHash('sha256');
+
+    hash.update(JSON.stringify({
+      method: request.method,
+      path: request.path,
+      query: request.query || {},
+      payload: request.payload === undefined ? null : request.payload
+    }));
+
+    return hash.digest('hex');
+  },
+
+  /**
+   * Get the status code, headers, and payload of a response so that they can be stored and replayed.
+   * @param response: The Hapi response, or a Boom error.
+   * @returns {{statusCode: number, headers: object, response: string}}
+   */
+  serializeResponse: function (response) {
+    if (response.isBoom) {
+      return {
+        statusCode: response.output.statusCode,
+        headers: response.output.headers,
+        response: JSON.stringify(response.output.payload)
+      };
+    }
+
+    return {
+      statusCode: response.statusCode,
+      headers: response.headers,
+      response: response.source === null || response.source === undefined ? null : JSON.stringify(response.source)
+    };
+  }
+};
@@ -0,0 +1,483 @@
+'use strict';
+
+var _ = require('lodash');
+var Joi = require('joi');
+var Q = require('q');
+var mongoose = require('mongoose');
+var JoiMongooseHelper = require('./joi-mongoose-helper');
+var ExportHelper = require('./export-helper');
+var TenantHelper = require('./tenant-helper');
+var errorHelper = require('./error-helper');
+var config = require('../config');
+
+module.exports = {
+
+  /**
+   * Determine the format of an import payload based on its "Content-Type" header.
+   * @param headers: The incoming request headers.
+   * @returns {string}: "csv", "ndjson", or null if the content type isn't supported.
+   */
+  getImportFormat: function (headers) {
+    var contentType = headers && headers['content-type'] ? headers['content-type'].split(";")[0].trim().toLowerCase() : "";
+
+    for (var format in ExportHelper.contentTypes) {
+      if (ExportHelper.contentTypes[format] === contentType) {
+        return format;
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Parse the rows of an import payload into records. CSV columns with dotted names are converted into nested
+   * properties, and cells that contain a JSON array or object are parsed.
+   * @param payload: The import payload.
+   * @param format: The import format, "csv" or "ndjson".
+   * @param Log: A logging object.
+   * @returns {Array}: A list of records, each with a "row" number and the row "data" or "errors".
+   */
+  parseRecords: function (payload, format, Log) {
+    var text = payload.toString().replace(/^\uFEFF/, "");
+
+    if (format === 'csv') {
+      var rows = parseCsv(text);
+      var columns = rows.shift() || [];
+
+      return rows.map(function (row, index) {
+        var record = { row: index + 1, data: {}, errors: [] };
+        if (row.length !== columns.length) {
+          record.errors.push("Expected " + columns.length + " columns but found " + row.length + ".");
+          return record;
+        }
+        columns.forEach(function (column, columnIndex) {
+          var value = parseCell(row[columnIndex]);
+          if (value !== undefined) {
+            _.set(record.data, column, value);
+          }
+        });
+        return record;
+      });
+    }
+    else {
+      return text.split(/\r?\n/)
+          .filter(function (line) {
+            return line.trim() !== "";
+          })
+          .map(function (line, index) {
+            var record = { row: index + 1, data: {}, errors: [] };
+            try {
+              record.data = JSON.parse(line);
+              if (!_.isPlainObject(record.data)) {
+                record.errors.push("Row must be a JSON object.");
+              }
+            }
+            catch (error) {
+              record.errors.push("Row is not valid JSON.");
+            }
+            return record;
+          });
+    }
+  },
+
+  /**
+   * Validate each record against the create model. The validated (and converted) values replace the record data.
+   * @param model: A mongoose model.
+   * @param records: The parsed records.
+   * @param Log: A logging object.
+   * @returns {Array}: The validated records.
+   */
+  validateRecords: function (model, records, Log) {
+    var createModel = JoiMongooseHelper.generateJoiCreateModel(model, Log);
+
+    if (!config.enablePayloadValidation) {
+      createModel = Joi.alternatives().try(createModel, Joi.any());
+    }
+
+    records.forEach(function (record) {
+      if (!_.isEmpty(record.errors)) {
+        return;
+      }
+      var result = Joi.validate(record.data, createModel, { abortEarly: false });
+      if (result.error) {
+        record.errors = result.error.details.map(function (detail) {
+          return detail.message;
+        });
+      }
+      else {
+        record.data = result.value;
+      }
+    });
+
+    return records;
+  },
+
+  /**
+   * Handles an import request. Rows are parsed and validated, then valid rows are created in batches through the
+   * create endpoint of the model so that all of its policies and middleware run. Rows that match an existing
+   * document by the "upsertKey" field are updated through the update endpoint instead.
+   * @param model: A mongoose model.
+   * @param request: The Hapi request object.
+   * @param Log: A logging object.
+   * @returns {object}: A promise for the import report.
+   */
+  importHandler: function (model, request, Log) {
+    var self = this;
+    var query = request.query || {};
+    var dryRun = query.dryRun === true;
+    var upsertKey = query.upsertKey;
+    var path = request.path.replace(/\/import$/, "");
+
+    return Q.fcall(function () {
+      var format = self.getImportFormat(request.headers);
+      if (!format) {
+        throw { message: "The import payload must be CSV or NDJSON.", type: errorHelper.types.BAD_REQUEST };
+      }
+
+      var records = self.parseRecords(request.payload, format, Log);
+      if (_.isEmpty(records)) {
+        throw { message: "The import payload has no rows.", type: errorHelper.types.BAD_REQUEST };
+      }
+
+      self.validateRecords(model, records, Log);
+
+      return findUpsertTargets(model, records, upsertKey, request, Log)
+          .then(function () {
+            var validRecords = records.filter(function (record) {
+              return _.isEmpty(record.errors);
+            });
+
+            if (dryRun) {
+              validRecords.forEach(function (record) {
+                record.status = "valid";
+              });
+              return records;
+            }
+
+            var newRecords = validRecords.filter(function (record) {
+              return record.action === "create";
+            });
+            var existingRecords = validRecords.filter(function (record) {
+              return record.action === "update";
+            });
+
+            return createRecords(model, request, path, newRecords, Log)
+                .then(function () {
+                  return updateRecords(request, path, existingRecords, Log);
+                })
+                .thenResolve(records);
+          });
+    })
+        .then(function (records) {
+          var rows = records.map(function (record) {
+            var row = { row: record.row, status: record.status || "invalid" };
+            if (record.action) {
+              row.action = record.action;
+            }
+            if (record._id) {
+              row._id = record._id.toString();
+            }
+            if (!_.isEmpty(record.errors)) {
+              row.errors = record.errors;
+            }
+            return row;
+          });
+
+          return { dryRun: dryRun, counts: _.countBy(rows, 'status'), rows: rows };
+        })
+        .catch(function (error) {
+          errorHelper.handleError(error, "There was an error importing the resources.", errorHelper.types.BAD_IMPLEMENTATION, Log);
+        });
+  }
+};
+
+/**
+ * Parse CSV text into rows of cells.
+ * @param text: The CSV text.
+ * @returns {Array}: A list of rows.
+ */
+function parseCsv(text) {
+  var rows = [];
+  var row = [];
+  var cell = "";
+  var quoted = false;
+
+  for (var i = 0; i < text.length; i++) {
+    var character = text[i];
+    if (quoted) {
+      if (character === '"' && text[i + 1] === '"') {
+        cell = cell + '"';
+        i++;
+      }
+      else if (character === '"') {
+        quoted = false;
+      }
+      else {
+        cell = cell + character;
+      }
+    }
+    else if (character === '"') {
+      quoted = true;
+    }
+    else if (character === ",") {
+      row.push(cell);
+      cell = "";
+    }
+    else if (character === "\n" || character === "\r") {
+      if (character === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    }
+    else {
+      cell = cell + character;
+    }
+  }
+
+  if (quoted) {
+    throw { message: "The CSV payload has an unterminated quoted value.", type: errorHelper.types.BAD_REQUEST };
+  }
+
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  //EXPL: skip blank lines
+  return rows.filter(function (row) {
+    return row.length > 1 || row[0] !== "";
+  });
+}
+
+/**
+ * Convert a CSV cell into a record value. Empty cells are omitted and JSON arrays/objects are parsed.
+ * @param cell: The cell text.
+ * @returns {*}: The value.
+ */
+function parseCell(cell) {
+  if (cell === "") {
+    return undefined;
+  }
+
+  if (/^[\[{]/.test(cell)) {
+    try {
+      return JSON.parse(cell);
+    }
+    catch (error) {
+      return cell;
+    }
+  }
+
+  return cell;
+}
+
+/**
+ * Find the documents that records should update based on the "upsertKey" field. Matching records are given the
+ * "_id" of the existing document.
+ * @param model: A mongoose model.
+ * @param records: The validated records.
+ * @param upsertKey: The field used to match records to existing documents.
+ * @param request: The Hapi request object.
+ * @param Log: A logging object.
+ * @returns {object}: A promise for the records.
+ */
+function findUpsertTargets(model, records, upsertKey, request, Log) {
+  var validRecords = records.filter(function (record) {
+    return _.isEmpty(record.errors);
+  });
+
+  validRecords.forEach(function (record) {
+    record.action = "create";
+  });
+
+  if (!upsertKey) {
+    return Q.when(records);
+  }
+
+  var keyedRecords = {};
+  validRecords.forEach(function (record) {
+    var key = _.get(record.data, upsertKey);
+    if (key === undefined || key === null) {
+      return;
+    }
+    key = key.toString();
+    //EXPL: a key can only be imported once, otherwise later rows would overwrite earlier ones
+    if (keyedRecords[key]) {
+      record.errors.push('Duplicate "' + upsertKey + '" value: ' + key);
+      delete record.action;
+      return;
+    }
+    keyedRecords[key] = record;
+  });
+
+  //EXPL: only the documents of the tenant of the request are updated
+  var conditions = _.assign({}, TenantHelper.getFilter(model, request));
+  conditions[upsertKey] = { $in: Object.keys(keyedRecords) };
+
+  return model.find(conditions).select("_id " + upsertKey).lean().exec()
+      .then(function (documents) {
+        documents.forEach(function (document) {
+          var record = keyedRecords[_.get(document, upsertKey).toString()];
+          if (record) {
+            record._id = document._id;
+            record.action = "update";
+          }
+        });
+        return records;
+      });
+}
+
+/**
+ * Create records in batches through the create endpoint. If a batch fails, the rows of the batch that weren't
+ * created are retried one at a time so that errors are reported for the rows that caused them.
+ * @param model: A mongoose model.
+ * @param request: The Hapi request object.
+ * @param path: The path of the create endpoint.
+ * @param records: The records to create.
+ * @param Log: A logging object.
+ * @returns {object}: A promise for the records.
+ */
+function createRecords(model, request, path, records, Log) {
+  var batches = _.chunk(records, config.importBatchSize);
+
+  //EXPL: records are given an "_id" up front so that the rows of a failed batch that were created can be found
+  if (model.schema.paths._id && model.schema.paths._id.instance === 'ObjectID') {
+    records.forEach(function (record) {
+      if (record.data._id === undefined) {
+        record.data._id = new mongoose.Types.ObjectId().toString();
+      }
+    });
+  }
+
+  return batches.reduce(function (promise, batch) {
+    return promise
+        .then(function () {
+          return createBatch(request, path, batch, Log);
+        })
+        .then(function (message) {
+          if (!message || batch.length === 1) {
+            return;
+          }
+
+          Log.debug("import batch failed, retrying its rows one at a time: %s", message);
+          return findCreatedRecords(model, batch, Log)
+              .then(function (remainingRecords) {
+                return remainingRecords.reduce(function (promise, record) {
+                  return promise
+                      .then(function () {
+                        return createBatch(request, path, [record], Log);
+                      });
+                }, Q.when());
+              });
+        });
+  }, Q.when())
+      .thenResolve(records);
+}
+
+/**
+ * Create a batch of records through the create endpoint. The records of a successful batch are marked as created,
+ * while the records of a failed batch with a single row are marked as failed.
+ * @param request: The Hapi request object.
+ * @param path: The path of the create endpoint.
+ * @param batch: The records to create.
+ * @param Log: A logging object.
+ * @returns {object}: A promise for the error message of a failed batch, or null.
+ */
+function createBatch(request, path, batch, Log) {
+  return Q.when(request.server.inject({
+    method: 'POST',
+    url: path,
+    payload: batch.map(function (record) {
+      return record.data;
+    }),
+    headers: _.pick(request.headers, ['authorization']),
+    credentials: request.auth.credentials || undefined
+  }))
+      .then(function (response) {
+        if (response.statusCode === 201) {
+          batch.forEach(function (record, index) {
+            record.status = "created";
+            record._id = response.result[index]._id;
+          });
+          return null;
+        }
+
+        if (batch.length === 1) {
+          Log.error("import row failed: %s", response.result.message);
+          batch[0].status = "failed";
+          batch[0].errors.push(response.result.message);
+        }
+        return response.result.message;
+      });
+}
+
+/**
+ * Mark the records of a failed batch that were created before the batch failed.
+ * @param model: A mongoose model.
+ * @param batch: The records of the failed batch.
+ * @param Log: A logging object.
+ * @returns {object}: A promise for the records that weren't created.
+ */
+function findCreatedRecords(model, batch, Log) {
+  var ids = batch.filter(function (record) {
+    return record.data._id !== undefined;
+  }).map(function (record) {
+    return record.data._id;
+  });
+
+  if (_.isEmpty(ids)) {
+    return Q.when(batch);
+  }
+
+  return Q.when(model.find({ _id: { $in: ids } }).select("_id").lean().exec())
+      .then(function (documents) {
+        var createdIds = documents.map(function (document) {
+          return document._id.toString();
+        });
+        return batch.filter(function (record) {
+          if (record.data._id !== undefined && createdIds.indexOf(record.data._id.toString()) > -1) {
+            record.status = "created";
+            record._id = record.data._id;
+            return false;
+          }
+          return true;
+        });
+      });
+}
+
+/**
+ * Update records one at a time through the update endpoint.
+ * @param request: The Hapi request object.
+ * @param path: The path of the create endpoint.
+ * @param records: The records to update.
+ * @param Log: A logging object.
+ * @returns {object}: A promise for the records.
+ */
+function updateRecords(request, path, records, Log) {
+  return records.reduce(function (promise, record) {
+    return promise
+        .then(function () {
+          return request.server.inject({
+            method: 'PUT',
+            url: path + "/" + record._id,
+            payload: record.data,
+            headers: _.pick(request.headers, ['authorization']),
+            credentials: request.auth.credentials || undefined
+          });
+        })
+        .then(function (response) {
+          if (response.statusCode === 200) {
+            record.status = "updated";
+          }
+          else {
+            Log.error("import update failed: %s", response.result.message);
+            record.status = "failed";
+            record.errors.push(response.result.message);
+          }
+        });
+  }, Q.when())
+      .thenResolve(records);
+}
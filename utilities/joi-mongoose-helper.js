@@ -6,6 +6,7 @@ var _ = require('lodash');
 var assert = require('assert');
 var validationHelper = require("./validation-helper");
 var queryHelper = require('./query-helper');
+var fieldScopeHelper = require('./field-scope-helper');
 var config = require("../config");
 var mongoose = require('mongoose');
 
@@ -43,7 +44,8 @@ internals.generateJoiReadModel = function (model, Log) {
     else if (field.allowOnRead !== false && field.exclude !== true && isAssociation < 0 && internals.isValidField(fieldName, field, model)) {
       var attributeReadModel = internals.generateJoiFieldModel(model, field, fieldName, "read", Log);
 
-      if (field.requireOnRead === true) {
+      //EXPL: fields with a "readScope" are removed from the responses of users without the scope
+      if (field.requireOnRead === true && !fieldScopeHelper.getFieldScope(field, "read")) {
         attributeReadModel = attributeReadModel.required();
       }
 
@@ -202,7 +204,16 @@ internals.generateJoiListQueryModel = function (model, Log) {
     $page: Joi.number().integer().min(0).optional()
         .description('The number of records to skip based on the $limit parameter. This is typically used in pagination.'),
     $limit: Joi.number().integer().min(0).optional()
-        .description('The maximum number of records to return. This is typically used in pagination.')
+        .description('The maximum number of records to return. This is typically used in pagination.'),
+    $after: Joi.string().allow('').optional()
+        .description('A cursor returned as "pages.next" by a previous request. Returns the records after the cursor. ' +
+            'An empty value starts from the first record. This is used in cursor pagination.'),
+    $before: Joi.string().allow('').optional()
+        .description('A cursor returned as "pages.previous" by a previous request. Returns the records before the cursor. ' +
+            'An empty value starts from the last record. This is used in cursor pagination.'),
+    $format: Joi.string().valid('json', 'csv', 'ndjson').optional()
+        .description('The format of the response. "csv" and "ndjson" stream the matching records as a file. ' +
+            'The format can also be requested through the "Accept" header.')
   };
 
   var queryableFields = queryHelper.getQueryableFields(model, Log);
@@ -239,8 +250,9 @@ internals.generateJoiListQueryModel = function (model, Log) {
     _.each(queryableFields, function (fieldName) {
       const joiModel = internals.generateJoiModelFromFieldType(model.schema.paths[fieldName].options, Log);
       queryModel[fieldName] = Joi.alternatives().try(Joi.array().items(joiModel)
-          .description('Match values for the ' + fieldName + ' property.'), joiModel);
-    })
+          .description('Match values for the ' + fieldName + ' property. Operator queries are also supported, ' +
+              'Ex: ' + fieldName + '[$gt]=value. Valid operators include: $gt, $gte, $lt, $lte, $ne, $nin, $exists, $regex'), joiModel);
+    });
   }
 
   var associations = model.routeOptions ? model.routeOptions.associations : null;
@@ -251,7 +263,14 @@ internals.generateJoiListQueryModel = function (model, Log) {
         .description('Set to true to flatten embedded arrays, i.e. remove linking-model data.');
   }
 
-  queryModel = Joi.object(queryModel);
+  queryModel = Joi.object(queryModel).nand('$after', '$before');
+
+  //EXPL: field operator queries, Ex: "age[$gt]=30"
+  _.each(queryableFields, function (fieldName) {
+    queryModel = internals.addFieldOperatorPatterns(queryModel, model, fieldName, Log);
+  });
+
+  queryModel = internals.addAssociationQueryPatterns(queryModel, model, Log);
 
   if (!config.enableQueryValidation) {
     queryModel = queryModel.unknown();
@@ -260,6 +279,43 @@ internals.generateJoiListQueryModel = function (model, Log) {
   return queryModel;
 };
 
+/**
+ * Adds key patterns to a query model that validate field operator queries, Ex: "age[$gt]=30".
+ * @param queryModel: A Joi object.
+ * @param model: A mongoose model object.
+ * @param fieldName: The name of the queryable field.
+ * @param Log: A logging object.
+ * @returns {*}: The updated Joi object.
+ */
+internals.addFieldOperatorPatterns = function (queryModel, model, fieldName, Log) {
+  const joiModel = internals.generateJoiModelFromFieldType(model.schema.paths[fieldName].options, Log);
+  const field = _.escapeRegExp(fieldName);
+
+  return queryModel
+      .pattern(new RegExp('^' + field + '\\[\\$(gt|gte|lt|lte|ne)\\]$'), joiModel)
+      .pattern(new RegExp('^' + field + '\\[\\$nin\\]$'), Joi.alternatives().try(Joi.array().items(joiModel), joiModel))
+      .pattern(new RegExp('^' + field + '\\[\\$exists\\]$'), Joi.boolean())
+      .pattern(new RegExp('^' + field + '\\[\\$regex\\]$'), Joi.string());
+};
+
+/**
+ * Adds key patterns to a query model that allow queries on the fields of associated documents, Ex: "role.name=Admin".
+ * The associated fields are validated when the query is resolved.
+ * @param queryModel: A Joi object.
+ * @param model: A mongoose model object.
+ * @param Log: A logging object.
+ * @returns {*}: The updated Joi object.
+ */
+internals.addAssociationQueryPatterns = function (queryModel, model, Log) {
+  const associations = model.routeOptions ? model.routeOptions.associations : null;
+
+  _.each(associations, function (association, associationName) {
+    queryModel = queryModel.pattern(new RegExp('^' + _.escapeRegExp(associationName) + '\\.'), Joi.any());
+  });
+
+  return queryModel;
+};
+
 /**
  * Generates a Joi object that validates a request query for the find function
  * @param model: A mongoose model object.
@@ -294,6 +350,69 @@ internals.generateJoiFindQueryModel = function (model, Log) {
   return queryModel;
 };
 
+/**
+ * Generates a Joi object that validates a request query for the aggregate function
+ * @param model: A mongoose model object.
+ * @param Log: A logging object.
+ * @returns {*}: A Joi object
+ */
+internals.generateJoiAggregateQueryModel = function (model, Log) {
+
+  var queryModel = {};
+
+  var queryableFields = queryHelper.getQueryableFields(model, Log);
+
+  if (queryableFields) {
+    var fieldList = queryableFields.toString().replace(/,/g,', ');
+    var fieldsModel = function(description) {
+      return Joi.alternatives().try(Joi.array().items(Joi.string().valid(queryableFields))
+          .description(description + ' Valid values include: ' + fieldList), Joi.string());
+    };
+
+    queryModel.$groupBy = fieldsModel('A set of fields to group the results by.');
+    queryModel.$countBy = fieldsModel('A set of fields to count distinct values of. Each distinct combination of values ' +
+        'is returned as a group with its "count".');
+    queryModel.$sum = fieldsModel('A set of numeric fields to sum for each group.');
+    queryModel.$avg = fieldsModel('A set of numeric fields to average for each group.');
+    queryModel.$min = fieldsModel('A set of fields to return the minimum value of for each group.');
+    queryModel.$max = fieldsModel('A set of fields to return the maximum value of for each group.');
+    queryModel.$text = Joi.any()
+        .description('A full text search parameter. Only documents that match the search are aggregated.');
+    queryModel.$term = Joi.any()
+        .description('A regex search parameter. Only documents that match the search are aggregated. This can be refined ' +
+            'using the `$searchFields` parameter.');
+    queryModel.$searchFields = Joi.alternatives().try(Joi.array().items(Joi.string().valid(queryableFields))
+        .description('A set of fields to apply the `$term` search parameter to. Valid values include: ' + fieldList), Joi.string().valid(queryableFields));
+    queryModel.$exclude = Joi.alternatives().try(Joi.array().items(internals.joiObjectId())
+        .description('A list of objectIds to exclude from the aggregation.'), internals.joiObjectId());
+    if (config.enableWhereQueries) {
+      queryModel.$where = Joi.any().optional()
+          .description('An optional field for raw mongoose queries.');
+    }
+
+    _.each(queryableFields, function (fieldName) {
+      const joiModel = internals.generateJoiModelFromFieldType(model.schema.paths[fieldName].options, Log);
+      queryModel[fieldName] = Joi.alternatives().try(Joi.array().items(joiModel)
+          .description('Match values for the ' + fieldName + ' property. Operator queries are also supported, ' +
+              'Ex: ' + fieldName + '[$gt]=value. Valid operators include: $gt, $gte, $lt, $lte, $ne, $nin, $exists, $regex'), joiModel);
+    });
+  }
+
+  queryModel = Joi.object(queryModel);
+
+  _.each(queryableFields, function (fieldName) {
+    queryModel = internals.addFieldOperatorPatterns(queryModel, model, fieldName, Log);
+  });
+
+  queryModel = internals.addAssociationQueryPatterns(queryModel, model, Log);
+
+  if (!config.enableQueryValidation) {
+    queryModel = queryModel.unknown();
+  }
+
+  return queryModel;
+};
+
 /**
  * Generates a Joi object for a model field
  * @param model: A mongoose model object
@@ -374,7 +493,27 @@ internals.generateJoiFieldModel = function (model, field, fieldName, modelType,
     fieldModel = internals.generateJoiModelFromFieldType(field, Log);
   }
 
-  return fieldModel
+  return internals.describeFieldScope(fieldModel, field, modelType);
+};
+
+/**
+ * Adds the scope required to read ("readScope") or write ("writeScope") a field to its description.
+ * @param fieldModel: The Joi object of the field.
+ * @param field: A field from a mongoose model.
+ * @param modelType: The type of model being generated, either 'read', 'create', or 'update'.
+ * @returns {*}: A Joi object.
+ */
+internals.describeFieldScope = function (fieldModel, field, modelType) {
+  var action = modelType === "read" ? "read" : "write";
+  var scope = fieldScopeHelper.getFieldScope(field, action);
+
+  if (!scope) {
+    return fieldModel;
+  }
+
+  var description = fieldModel._description ? fieldModel._description + ". " : "";
+
+  return fieldModel.description(description + "Requires the scope to " + action + ": " + scope.join(", "));
 };
 
 /**
@@ -570,6 +709,8 @@ module.exports = {
 
   generateJoiFindQueryModel: internals.generateJoiFindQueryModel,
 
+  generateJoiAggregateQueryModel: internals.generateJoiAggregateQueryModel,
+
   generateJoiFieldModel: internals.generateJoiFieldModel,
 
   generateJoiModelFromFieldType: internals.generateJoiModelFromFieldType,
@@ -58,6 +58,13 @@ module.exports = function (mongoose, Log, config) {
       schemas[schema.statics.collectionName] = schema;
     }
 
+    if (config.enableWebhooks) {
+      schema = require('../models/webhook.model')(mongoose);
+      schemas[schema.statics.collectionName] = schema;
+      schema = require('../models/webhook-delivery.model')(mongoose);
+      schemas[schema.statics.collectionName] = schema;
+    }
+
     var extendedSchemas = {};
 
     for (var schemaKey in schemas) {
@@ -2,6 +2,7 @@
 
 let config = require("../config");
 const _ = require('lodash');
+const AccessRuleHelper = require('./access-rule-helper');
 
 //TODO: allow "unique" field to be rest-hapi specific if soft deletes are enabled (i.e. implement a unique constraint based on the required field and the "isDeleted" flag)
 //TODO: correctly label "model" and "schema" files and objects throughout project
@@ -49,7 +50,8 @@ internals.createModel = function(Schema, mongoose) {
       };
       Schema.add(deletedAt);
     }
-    if (config.enableCreatedBy) {
+    //EXPL: the "authorizeDocumentCreator" options authorize the creator through the "createdBy" property
+    if (config.enableCreatedBy || !_.isEmpty(AccessRuleHelper.getCreatorActions(Schema.statics))) {
       let createdBy = {
         createdBy: {
           type: Types.ObjectId,
@@ -115,6 +117,16 @@ internals.createModel = function(Schema, mongoose) {
       };
       Schema.add(scope);
     }
+    if (config.multiTenant && !(Schema.statics.routeOptions && Schema.statics.routeOptions.multiTenant === false)) {
+      let tenantId = {
+        tenantId: {
+          type: Types.String,
+          index: true,
+          allowOnUpdate: false
+        }
+      };
+      Schema.add(tenantId);
+    }
   }
   return mongoose.model(Schema.statics.collectionName, Schema);
 };
@@ -344,6 +356,9 @@ internals.associateModels = function (Schema, models) {
   if (Schema.statics.routeOptions) {
     for (var associationKey in Schema.statics.routeOptions.associations) {
       var association = Schema.statics.routeOptions.associations[associationKey];
+      if (association.onDelete && ["cascade", "restrict", "setNull"].indexOf(association.onDelete) < 0) {
+        throw "unknown onDelete rule: " + association.onDelete;
+      }
       if (!association.include) {
         association.include = {};
       }
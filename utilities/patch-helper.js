@@ -0,0 +1,372 @@
+'use strict';
+
+var _ = require('lodash');
+var Joi = require('joi');
+var Q = require('q');
+var JoiMongooseHelper = require('./joi-mongoose-helper');
+var TenantHelper = require('./tenant-helper');
+var AccessRuleHelper = require('./access-rule-helper');
+var FieldScopeHelper = require('./field-scope-helper');
+var authHelper = require('./auth-helper');
+var errorHelper = require('./error-helper');
+var config = require('../config');
+
+//EXPL: the RFC 6902 operations
+var operations = ["add", "remove", "replace", "move", "copy", "test"];
+
+module.exports = {
+
+  operations: operations,
+
+  /**
+   * Generates a Joi model for a list of JSON Patch (RFC 6902) operations.
+   * @param model: A mongoose model.
+   * @param Log: A logging object.
+   * @returns {*}: A Joi array model.
+   */
+  generateJoiPatchModel: function (model, Log) {
+    var modelName = model.collectionDisplayName || model.modelName;
+
+    var operationModel = Joi.object({
+      op: Joi.string().valid(operations).required(),
+      path: Joi.string().allow('').required(),
+      from: Joi.string().allow('')
+          .when('op', { is: Joi.valid("move", "copy"), then: Joi.required(), otherwise: Joi.forbidden() }),
+      value: Joi.any()
+          .when('op', { is: Joi.valid("add", "replace", "test"), then: Joi.required(), otherwise: Joi.forbidden() })
+    }).label(modelName + "PatchOperationModel");
+
+    return Joi.array().items(operationModel).min(1).label(modelName + "PatchModel");
+  },
+
+  /**
+   * Applies a list of JSON Patch operations to a document. The document is not modified.
+   * @param document: The document to patch.
+   * @param patch: A list of JSON Patch operations.
+   * @returns {*}: The patched document.
+   */
+  applyPatch: function (document, patch) {
+    //EXPL: operations are applied to a JSON copy so that values can be compared with the (JSON) patch values
+    var result = JSON.parse(JSON.stringify(document));
+
+    patch.forEach(function (operation, index) {
+      result = applyOperation(result, operation, index);
+    });
+
+    return result;
+  },
+
+  /**
+   * Applies a JSON Patch to the current version of a document and creates the equivalent update payload. Top level
+   * fields that changed are validated against the update model and returned as the payload, and fields that were
+   * removed are listed separately since they must be unset. Since the patch is applied before the update policies
+   * run, the document is only found if the tenant, access rule, and document scope filters of the request allow it
+   * to be updated, and operations on fields the user can't read are rejected.
+   * @param model: A mongoose model.
+   * @param _id: The document id.
+   * @param patch: A list of JSON Patch operations.
+   * @param request: The Hapi request object.
+   * @param Log: A logging object.
+   * @returns {object}: A promise for an object with the "payload" and the "unset" fields.
+   */
+  createUpdatePayload: function (model, _id, patch, request, Log) {
+    var self = this;
+    var hiddenFields = [];
+
+    return Q.fcall(function () {
+      hiddenFields = checkHiddenFields(model, patch, request);
+
+      return model.findOne(getUpdateConditions(model, _id, request)).lean();
+    })
+        .then(function (document) {
+          if (!document) {
+            throw { message: "No resource was found with that id.", type: errorHelper.types.NOT_FOUND };
+          }
+
+          //EXPL: hidden fields are left out so that operations on the whole document can't reveal them
+          var original = JSON.parse(JSON.stringify(_.omit(document, hiddenFields)));
+          var patched = self.applyPatch(original, patch);
+
+          if (!_.isPlainObject(patched)) {
+            throw { message: "The patched resource must be an object.", type: errorHelper.types.BAD_REQUEST };
+          }
+
+          var payload = {};
+          for (var fieldName in patched) {
+            if (!_.isEqual(patched[fieldName], original[fieldName])) {
+              payload[fieldName] = patched[fieldName];
+            }
+          }
+
+          var unset = Object.keys(original).filter(function (fieldName) {
+            return !_.has(patched, fieldName);
+          });
+
+          if (config.enablePayloadValidation) {
+            //EXPL: removed fields are included with their original values so that fields which can't be updated
+            //can't be removed either
+            var result = Joi.validate(_.assign(_.pick(original, unset), payload), JoiMongooseHelper.generateJoiUpdateModel(model, Log));
+            if (result.error) {
+              throw { message: result.error.message, type: errorHelper.types.BAD_REQUEST };
+            }
+            payload = _.omit(result.value, unset);
+          }
+
+          return { payload: payload, unset: unset };
+        })
+        .catch(function (error) {
+          errorHelper.handleError(error, "There was an error patching the resource.", errorHelper.types.BAD_IMPLEMENTATION, Log);
+        });
+  }
+};
+
+/**
+ * Rejects the operations of a patch on fields that are excluded from responses (Ex: passwords) or that the user can't
+ * read, since operations such as "test" would reveal their values.
+ * @param model: A mongoose model.
+ * @param patch: A list of JSON Patch operations.
+ * @param request: The Hapi request object.
+ * @returns {Array}: The names of the hidden fields.
+ */
+function checkHiddenFields(model, patch, request) {
+  var fields = model.schema.tree;
+  var excludedFields = Object.keys(fields).filter(function (fieldName) {
+    return !!fields[fieldName] && (fields[fieldName].exclude === true || fields[fieldName].allowOnRead === false);
+  });
+  var unreadableFields = FieldScopeHelper.getUnauthorizedFields(model, "read", request);
+
+  patch.forEach(function (operation, index) {
+    [operation.path, operation.from].forEach(function (pointer) {
+      if (pointer === undefined) {
+        return;
+      }
+      var fieldName = parsePointer(pointer, index)[0];
+      if (unreadableFields.indexOf(fieldName) > -1) {
+        throw { message: "Insufficient scope to patch the fields: " + fieldName + ".", type: errorHelper.types.FORBIDDEN };
+      }
+      if (excludedFields.indexOf(fieldName) > -1) {
+        throw patchError("the field \"" + fieldName + "\" can't be patched", index);
+      }
+    });
+  });
+
+  return excludedFields.concat(unreadableFields);
+}
+
+/**
+ * Creates the conditions that a document must match to be patched by a request, which mirror the update policies.
+ * @param model: A mongoose model.
+ * @param _id: The document id.
+ * @param request: The Hapi request object.
+ * @returns {object}: The conditions.
+ */
+function getUpdateConditions(model, _id, request) {
+  var filters = [
+    TenantHelper.getFilter(model, request),
+    AccessRuleHelper.getFilter(model, 'update', request)
+  ];
+
+  if (config.enableDocumentScopes && request && request.auth && request.auth.credentials) {
+    var scopeQuery = authHelper.createDocumentScopeQuery('update', request.auth.credentials.scope);
+    filters.push(AccessRuleHelper.addCreatorFilter(model, 'update', scopeQuery, request));
+  }
+
+  filters = filters.filter(function (filter) {
+    return !!filter;
+  });
+
+  return _.isEmpty(filters) ? { '_id': _id } : { $and: [{ '_id': _id }].concat(filters) };
+}
+
+/**
+ * Applies a single JSON Patch operation.
+ * @param document: The (JSON) document.
+ * @param operation: The operation.
+ * @param index: The index of the operation in the patch.
+ * @returns {*}: The patched document.
+ */
+function applyOperation(document, operation, index) {
+  var path = parsePointer(operation.path, index);
+
+  switch (operation.op) {
+    case "add":
+      return addValue(document, path, _.cloneDeep(operation.value), index);
+    case "remove":
+      return removeValue(document, path, index);
+    case "replace":
+      return addValue(removeValue(document, path, index), path, _.cloneDeep(operation.value), index);
+    case "move":
+      var from = parsePointer(operation.from, index);
+      if (_.isEqual(from, path.slice(0, from.length)) && from.length < path.length) {
+        throw patchError("a value can't be moved into one of its children", index);
+      }
+      var value = getValue(document, from, index);
+      return addValue(removeValue(document, from, index), path, value, index);
+    case "copy":
+      return addValue(document, path, _.cloneDeep(getValue(document, parsePointer(operation.from, index), index)), index);
+    case "test":
+      if (!_.isEqual(getValue(document, path, index), operation.value)) {
+        throw {
+          message: "Patch operation " + index + " failed: the value at \"" + operation.path + "\" does not match.",
+          type: errorHelper.types.CONFLICT
+        };
+      }
+      return document;
+    default:
+      throw patchError("unsupported operation \"" + operation.op + "\"", index);
+  }
+}
+
+/**
+ * Parses a JSON Pointer (RFC 6901) into a list of keys.
+ * @param pointer: The JSON Pointer.
+ * @param index: The index of the operation in the patch.
+ * @returns {Array}: The list of keys.
+ */
+function parsePointer(pointer, index) {
+  if (pointer === "") {
+    return [];
+  }
+
+  if (!_.isString(pointer) || pointer[0] !== "/") {
+    throw patchError("invalid path \"" + pointer + "\"", index);
+  }
+
+  return pointer.substring(1).split("/").map(function (key) {
+    return key.replace(/~1/g, "/").replace(/~0/g, "~");
+  });
+}
+
+/**
+ * Finds the parent of the value at a path.
+ * @param document: The (JSON) document.
+ * @param path: The list of keys.
+ * @param index: The index of the operation in the patch.
+ * @returns {*}: The parent object or array.
+ */
+function getParent(document, path, index) {
+  var parent = document;
+
+  path.slice(0, -1).forEach(function (key) {
+    parent = getChild(parent, key, index);
+  });
+
+  if (!_.isObject(parent)) {
+    throw patchError("path \"/" + path.join("/") + "\" does not exist", index);
+  }
+
+  return parent;
+}
+
+/**
+ * Gets the child of an object or array.
+ * @param parent: The parent object or array.
+ * @param key: The child key.
+ * @param index: The index of the operation in the patch.
+ * @returns {*}: The child value.
+ */
+function getChild(parent, key, index) {
+  if (Array.isArray(parent)) {
+    var arrayIndex = parseArrayIndex(key, parent.length - 1, index);
+    return parent[arrayIndex];
+  }
+
+  if (!_.isPlainObject(parent) || !_.has(parent, key)) {
+    throw patchError("path segment \"" + key + "\" does not exist", index);
+  }
+
+  return parent[key];
+}
+
+/**
+ * Gets the value at a path.
+ * @param document: The (JSON) document.
+ * @param path: The list of keys.
+ * @param index: The index of the operation in the patch.
+ * @returns {*}: The value.
+ */
+function getValue(document, path, index) {
+  if (path.length === 0) {
+    return document;
+  }
+
+  return getChild(getParent(document, path, index), _.last(path), index);
+}
+
+/**
+ * Adds a value at a path. Values added to an array are inserted, and "-" appends to the end of the array.
+ * @param document: The (JSON) document.
+ * @param path: The list of keys.
+ * @param value: The value to add.
+ * @param index: The index of the operation in the patch.
+ * @returns {*}: The patched document.
+ */
+function addValue(document, path, value, index) {
+  if (path.length === 0) {
+    return value;
+  }
+
+  var parent = getParent(document, path, index);
+  var key = _.last(path);
+
+  if (Array.isArray(parent)) {
+    var arrayIndex = key === "-" ? parent.length : parseArrayIndex(key, parent.length, index);
+    parent.splice(arrayIndex, 0, value);
+  }
+  else {
+    parent[key] = value;
+  }
+
+  return document;
+}
+
+/**
+ * Removes the value at a path.
+ * @param document: The (JSON) document.
+ * @param path: The list of keys.
+ * @param index: The index of the operation in the patch.
+ * @returns {*}: The patched document.
+ */
+function removeValue(document, path, index) {
+  if (path.length === 0) {
+    return undefined;
+  }
+
+  var parent = getParent(document, path, index);
+  var key = _.last(path);
+
+  if (Array.isArray(parent)) {
+    parent.splice(parseArrayIndex(key, parent.length - 1, index), 1);
+  }
+  else {
+    getChild(parent, key, index);
+    delete parent[key];
+  }
+
+  return document;
+}
+
+/**
+ * Parses an array index from a path segment.
+ * @param key: The path segment.
+ * @param max: The largest valid index.
+ * @param index: The index of the operation in the patch.
+ * @returns {number}: The array index.
+ */
+function parseArrayIndex(key, max, index) {
+  if (!/^(0|[1-9][0-9]*)$/.test(key) || parseInt(key) > max) {
+    throw patchError("invalid array index \"" + key + "\"", index);
+  }
+
+  return parseInt(key);
+}
+
+/**
+ * Creates a bad request error for an invalid patch operation.
+ * @param message: The error message.
+ * @param index: The index of the operation in the patch.
+ * @returns {object}: A rest-hapi error.
+ */
+function patchError(message, index) {
+  return { message: "Patch operation " + index + " failed: " + message + ".", type: errorHelper.types.BAD_REQUEST };
+}
@@ -5,6 +5,7 @@ var assert = require("assert");
 var validationHelper = require("./validation-helper");
 var qs = require('qs');
 var extend = require('util')._extend;
+var Q = require('q');
 let globals = require('../components/globals');
 let config = require("../config");
 
@@ -32,6 +33,13 @@ let config = require("../config");
 //TODO: support field queries for "null" and "undefined"
 //TODO: consider switching to using aggregation pipeline (or support both methods and give the option)
 
+//EXPL: the query parameters that define the "$group" stage of an aggregate query
+var aggregateParameters = ['$groupBy', '$countBy', '$sum', '$avg', '$min', '$max'];
+
+//EXPL: the operators that can be applied to a field query, Ex: "age[$gt]=30"
+var fieldOperators = ['$gt', '$gte', '$lt', '$lte', '$ne', '$nin', '$exists', '$regex'];
+var fieldOperatorPattern = /^([^\[\]]+)\[(\$[a-zA-Z]+)\]$/;
+
 module.exports = {
   /**
    * Create a mongoose query based off of the request query
@@ -104,6 +112,9 @@ module.exports = {
       delete query.$where;
     }
 
+    //EXPL: handle field operator queries, Ex: "age[$gt]=30"
+    this.setFieldOperators(query, model, Log);
+
     //EXPL: Support single (string) inputs or multiple "or'd" inputs (arrays) for field queries
     for (var fieldQueryKey in query) {
       var fieldQuery = query[fieldQueryKey];
@@ -129,11 +140,81 @@ module.exports = {
     delete whereQuery.$limit;
     delete whereQuery.$skip;
     delete whereQuery.$page;
+    delete whereQuery.$after;
+    delete whereQuery.$before;
 
     mongooseQuery.where(whereQuery);
     return mongooseQuery;
   },
 
+  /**
+   * Create a mongo aggregation pipeline based off of the request query. The "$match" stage is created through
+   * "createMongooseQuery" and the "$group" stage is defined by the "$groupBy", "$countBy", "$sum", "$avg", "$min"
+   * and "$max" query parameters.
+   * @param model: A mongoose model object.
+   * @param query: The incoming request query.
+   * @param Log: A logging object.
+   * @returns {Array}: An aggregation pipeline.
+   */
+  createAggregatePipeline: function (model, query, Log) {
+    validationHelper.validateModel(model, Log);
+
+    var queryableFields = this.getQueryableFields(model, Log);
+    var filterQuery = _.omit(query, aggregateParameters);
+    var fields = {};
+
+    aggregateParameters.forEach(function(parameter) {
+      fields[parameter] = query[parameter] || [];
+      if (!Array.isArray(fields[parameter])) {
+        fields[parameter] = fields[parameter].split(",");
+      }
+      fields[parameter].forEach(function(fieldName) {
+        if (queryableFields.indexOf(fieldName) < 0) {
+          throw "'" + fieldName + "' is not a queryable field.";
+        }
+      });
+    });
+
+    //EXPL: soft deleted documents are excluded unless explicitly queried
+    var excludeDeleted = config.enableSoftDelete && filterQuery.isDeleted === undefined;
+
+    var mongooseQuery = this.createMongooseQuery(model, filterQuery, model.find(), Log);
+    var match = mongooseQuery.cast(model);
+
+    if (excludeDeleted) {
+      match = { $and: [match, { isDeleted: { $ne: true } }] };
+    }
+
+    //EXPL: field names can't contain "." in a "$group" stage, so each field is given an alias, which is
+    //then mapped back to the field path in the "$project" stage
+    var groupId = {};
+    var group = { count: { $sum: 1 } };
+    var projection = { _id: 0, count: 1 };
+
+    _.uniq(fields.$groupBy.concat(fields.$countBy)).forEach(function(fieldName, index) {
+      groupId['g' + index] = '$' + fieldName;
+      _.set(projection, ['group'].concat(fieldName.split('.')), '$_id.g' + index);
+    });
+
+    ['$sum', '$avg', '$min', '$max'].forEach(function(accumulator) {
+      var name = accumulator.substr(1);
+      fields[accumulator].forEach(function(fieldName, index) {
+        group[name + index] = {};
+        group[name + index][accumulator] = '$' + fieldName;
+        _.set(projection, [name].concat(fieldName.split('.')), '$' + name + index);
+      });
+    });
+
+    group._id = _.isEmpty(groupId) ? null : groupId;
+
+    return [
+      { $match: match },
+      { $group: group },
+      { $sort: { count: -1 } },
+      { $project: projection }
+    ];
+  },
+
   /**
    * Get a list of fields that can be returned as part of a query result.
    * @param model: A mongoose model object.
@@ -233,7 +314,10 @@ module.exports = {
    * @returns {*}: The updated mongoose query.
    */
   paginate: function(query, mongooseQuery, Log) {
-    if (query.$page) {
+    if (query.$after !== undefined || query.$before !== undefined) {
+      return this.setCursor(query, mongooseQuery, Log);
+    }
+    else if (query.$page) {
       mongooseQuery = this.setPage(query, mongooseQuery, Log);
     }
     else {
@@ -288,6 +372,89 @@ module.exports = {
     return mongooseQuery;
   },
 
+  /**
+   * Set a keyset condition for the mongoose query based on the "$after" or "$before" cursor. A cursor encodes the
+   * values of the active sort fields (plus "_id") for a document, and an empty cursor starts from the beginning
+   * ("$after") or the end ("$before") of the results.
+   * @param query: The incoming request query.
+   * @param mongooseQuery: A mongoose query.
+   * @param Log: A logging object.
+   * @returns {*}: The updated mongoose query.
+   */
+  setCursor: function (query, mongooseQuery, Log) {
+    var sort = getCursorSort(mongooseQuery);
+    var reverse = query.$before !== undefined;
+    var cursor = reverse ? query.$before : query.$after;
+    var sortFields = Object.keys(sort);
+
+    //EXPL: the cursor values are read from the returned documents, so the sort fields must be selected
+    mongooseQuery.select(sortFields.join(' '));
+
+    //EXPL: "$before" queries walk backwards through the results and are reversed in "createCursorPages"
+    var querySort = {};
+    sortFields.forEach(function(field) {
+      querySort[field] = reverse ? -sort[field] : sort[field];
+    });
+    delete mongooseQuery.options.sort;
+    mongooseQuery.sort(querySort);
+
+    if (cursor) {
+      mongooseQuery.and([createKeysetFilter(querySort, decodeCursor(cursor, sort))]);
+    }
+
+    //EXPL: fetch an extra document to determine if there are more results
+    if (query.$limit) {
+      mongooseQuery.limit(query.$limit + 1);
+    }
+
+    return mongooseQuery;
+  },
+
+  /**
+   * Trims the results of a cursor query and creates the cursor pagination data.
+   * @param query: The incoming request query.
+   * @param mongooseQuery: A mongoose query updated by "setCursor".
+   * @param docs: The query results.
+   * @param Log: A logging object.
+   * @returns {{docs: Array, pages: {next: string, previous: string, hasNext: boolean, hasPrev: boolean}}}
+   */
+  createCursorPages: function (query, mongooseQuery, docs, Log) {
+    var reverse = query.$before !== undefined;
+    var cursor = reverse ? query.$before : query.$after;
+    var querySort = mongooseQuery.options.sort;
+
+    var sort = {};
+    Object.keys(querySort).forEach(function(field) {
+      sort[field] = reverse ? -querySort[field] : querySort[field];
+    });
+
+    var hasMore = query.$limit ? docs.length > query.$limit : false;
+    if (hasMore) {
+      docs = docs.slice(0, query.$limit);
+    }
+    if (reverse) {
+      docs = docs.reverse();
+    }
+
+    var pages = {
+      next: null,
+      previous: null,
+      hasNext: reverse ? !!cursor : hasMore,
+      hasPrev: reverse ? hasMore : !!cursor
+    };
+
+    if (docs.length > 0) {
+      if (pages.hasNext) {
+        pages.next = encodeCursor(sort, docs[docs.length - 1]);
+      }
+      if (pages.hasPrev) {
+        pages.previous = encodeCursor(sort, docs[0]);
+      }
+    }
+
+    return { docs: docs, pages: pages };
+  },
+
   /**
    * Set the list of objectIds to exclude.
    * @param query: The incoming request query.
@@ -355,10 +522,116 @@ module.exports = {
     delete query.$term;
   },
 
+  /**
+   * Converts field operator queries (Ex: "age[$gt]=30" or { age: { $gt: 30 } }) into mongoose format, casting
+   * the operator values to the field's mongoose type.
+   * @param query: The incoming request query.
+   * @param model: A mongoose model object.
+   * @param Log: A logging object.
+   */
+  setFieldOperators: function(query, model, Log) {
+    var queryableFields = this.getQueryableFields(model, Log);
+    var fieldQueryKeys = Object.keys(query);
+
+    for (var i = 0; i < fieldQueryKeys.length; i++) {
+      var fieldQueryKey = fieldQueryKeys[i];
+      var match = fieldQueryKey.match(fieldOperatorPattern);
+      var fieldName = null;
+      var operators = {};
+
+      if (match) {
+        fieldName = match[1];
+        operators[match[2]] = query[fieldQueryKey];
+        delete query[fieldQueryKey];
+        if (fieldOperators.indexOf(match[2]) < 0) {
+          throw "Unsupported operator '" + match[2] + "' for field '" + fieldName + "'.";
+        }
+      }
+      //EXPL: plain operator objects (Ex: passed through the wrapper methods) are only handled if every key is a supported operator
+      else if (queryableFields.indexOf(fieldQueryKey) > -1 && _.isPlainObject(query[fieldQueryKey]) &&
+          !_.isEmpty(query[fieldQueryKey]) && _.difference(Object.keys(query[fieldQueryKey]), fieldOperators).length === 0) {
+        fieldName = fieldQueryKey;
+        operators = query[fieldQueryKey];
+        query[fieldQueryKey] = {};
+      }
+
+      if (!fieldName) {
+        continue;
+      }
+
+      if (queryableFields.indexOf(fieldName) < 0) {
+        throw "'" + fieldName + "' is not a queryable field.";
+      }
+
+      //EXPL: merge with any existing query for the field
+      var fieldQuery = query[fieldName];
+      if (fieldQuery === undefined) {
+        fieldQuery = {};
+      }
+      else if (!_.isPlainObject(fieldQuery)) {
+        var values = Array.isArray(fieldQuery) ? fieldQuery : tryParseJSON(fieldQuery);
+        fieldQuery = Array.isArray(values) ? { $in: values } : { $eq: fieldQuery };
+      }
+
+      for (var operator in operators) {
+        fieldQuery[operator] = castOperatorValue(model, fieldName, operator, operators[operator], Log);
+      }
+
+      query[fieldName] = fieldQuery;
+    }
+  },
+
+  /**
+   * Resolves queries on the fields of associated documents (Ex: "role.name=Admin") into "_id" filters that are
+   * added to the "$where" parameter. Resolving the filters before the mongoose query is created keeps pagination
+   * and "$count" results correct.
+   * @param model: A mongoose model object.
+   * @param query: The incoming request query. Association queries are replaced by the resolved filters.
+   * @param getReadFilter: An optional function that returns the conditions the documents of an associated model must
+   * match to be read by the request, so that documents can't be filtered by associated data the user can't read.
+   * @param Log: A logging object.
+   * @returns {object}: A promise for the updated query.
+   */
+  setAssociationFilters: function(model, query, getReadFilter, Log) {
+    var associations = model.routeOptions ? model.routeOptions.associations : null;
+    var associationQueries = {};
+
+    Object.keys(query).forEach(function(fieldQueryKey) {
+      var fieldName = fieldQueryKey.replace(/\[\$[a-zA-Z]+\]$/, "");
+      var separatorIndex = fieldName.indexOf(".");
+      var associationName = fieldName.substr(0, separatorIndex);
+
+      //EXPL: nested fields of the model itself are handled as normal field queries
+      if (!associations || fieldName[0] === "$" || separatorIndex < 0 || !associations[associationName] || model.schema.paths[fieldName]) {
+        return;
+      }
+
+      associationQueries[associationName] = associationQueries[associationName] || {};
+      associationQueries[associationName][fieldQueryKey.substr(separatorIndex + 1)] = query[fieldQueryKey];
+      delete query[fieldQueryKey];
+    });
+
+    var associationNames = Object.keys(associationQueries);
+
+    return Q.all(associationNames.map(function(associationName) {
+      return createAssociationFilter(model, associations[associationName], associationName, associationQueries[associationName], getReadFilter, Log);
+    }))
+        .then(function(filters) {
+          if (!_.isEmpty(filters)) {
+            if (typeof query.$where === 'string') {
+              query.$where = JSON.parse(query.$where);
+            }
+            query.$where = { $and: (query.$where ? [query.$where] : []).concat(filters) };
+          }
+          return query;
+        });
+  },
+
   /**
    * Converts the query "$embed" parameter into a mongoose populate object.
    * Relies heavily on the recursive "nestPopulate" method.
-   * @param query: The incoming request query.
+   * @param query: The incoming request query. An optional "populateMatch" function can return the conditions that the
+   * embedded documents of a model must match.
    * @param mongooseQuery: A mongoose query.
    * @param attributesFilter: A filter that lists the fields to be returned.
    * Must be updated to include the newly embedded fields.
@@ -384,9 +657,35 @@ module.exports = {
       delete query.$embed;
       delete query.populateSelect;
     }
+    delete query.populateMatch;
     return { mongooseQuery: mongooseQuery, attributesFilter: attributesFilter };
   },
 
+  /**
+   * Adds a function that returns the conditions the embedded documents of a model must match to the
+   * "populateMatch" function of a query. The conditions of any existing function are also applied.
+   * @param query: The incoming request query.
+   * @param populateMatch: A function that takes a mongoose model and returns the conditions for its embedded
+   * documents, or null if the documents aren't filtered.
+   * @returns {*}: The updated query.
+   */
+  addPopulateMatch: function (query, populateMatch) {
+    var existingMatch = query.populateMatch;
+
+    query.populateMatch = function (model) {
+      var matches = [existingMatch ? existingMatch(model) : null, populateMatch(model)].filter(function (match) {
+        return !_.isEmpty(match);
+      });
+
+      if (matches.length > 1) {
+        return { $and: matches };
+      }
+      return matches[0] || null;
+    };
+
+    return query;
+  },
+
   /**
    * Set the sort priority for the mongoose query.
    * @param query: The incoming request query.
@@ -532,10 +831,12 @@ function nestPopulate(query, populate, index, embeds, associations, model, Log)
 
     if (!embedAssociation && association.type === "MANY_MANY" && !inserted) {
       populate.model = association.include.through.modelName;
+      setPopulateMatch(query, populate, null);
     }
 
     else {
       populate.model = association.model;
+      setPopulateMatch(query, populate, association.include.model);
     }
 
 
@@ -546,11 +847,32 @@ function nestPopulate(query, populate, index, embeds, associations, model, Log)
     populate.path = populatePath;
     populate.select = select;
     populate.model = association.model;
+    setPopulateMatch(query, populate, association.include.model);
 
     return populate;
   }
 }
 
+/**
+ * Sets the conditions that the populated documents of a model must match through the "populateMatch" function of
+ * the query (Ex: the tenant of the request).
+ * @param query: The incoming request query.
+ * @param populate: The populate object of the current embed.
+ * @param model: The populated model, or null for linking models.
+ * @returns {*}: The updated populate object.
+ */
+function setPopulateMatch(query, populate, model) {
+  //EXPL: the populate object is shared with the nested embed, so a match from the nested level must be removed
+  var match = query.populateMatch && model ? query.populateMatch(model) : null;
+  if (match) {
+    populate.match = match;
+  }
+  else {
+    delete populate.match;
+  }
+  return populate;
+}
+
 /**
  * Creates an association object from a model property if the property is a reference id
  * @param model
@@ -571,6 +893,244 @@ function getReference(model, embed, Log) {
   }
 }
 
+/**
+ * Creates a filter for the documents of a model based on a query against one of its associations.
+ * Ex: a query of { name: "Admin" } for a user's "role" association creates the filter { role: { $in: [ADMIN_ROLE_ID] } }
+ * @param model: A mongoose model object.
+ * @param association: The association object.
+ * @param associationName: The name of the association.
+ * @param childQuery: The query against the associated model.
+ * @param getReadFilter: An optional function that returns the read conditions of an associated model.
+ * @param Log: A logging object.
+ * @returns {object}: A promise for the filter.
+ */
+function createAssociationFilter(model, association, associationName, childQuery, getReadFilter, Log) {
+  var childModel = association.include.model;
+
+  //EXPL: resolve any queries against the associations of the child model first
+  return module.exports.setAssociationFilters(childModel, childQuery, getReadFilter, Log)
+      .then(function(childQuery) {
+        var queryableFields = module.exports.getQueryableFields(childModel, Log);
+        Object.keys(childQuery).forEach(function(fieldQueryKey) {
+          var fieldName = fieldQueryKey.replace(/\[\$[a-zA-Z]+\]$/, "");
+          if (fieldName !== "$where" && queryableFields.indexOf(fieldName) < 0) {
+            throw "'" + associationName + "." + fieldName + "' is not a queryable field.";
+          }
+        });
+
+        var filter = {};
+        var conditions = module.exports.createMongooseQuery(childModel, childQuery, childModel.find(), Log).getQuery();
+
+        //EXPL: only the child documents the user can read are matched
+        var readFilter = getReadFilter ? getReadFilter(childModel) : null;
+        if (readFilter) {
+          conditions = _.isEmpty(conditions) ? readFilter : { $and: [conditions, readFilter] };
+        }
+
+        switch (association.type) {
+          case "ONE_ONE":
+          case "MANY_ONE":
+          case "_MANY":
+            return childModel.distinct("_id", conditions).exec()
+                .then(function(childIds) {
+                  filter[associationName] = { $in: childIds };
+                  return filter;
+                });
+          case "ONE_MANY":
+            return childModel.distinct(association.foreignField, conditions).exec()
+                .then(function(ownerIds) {
+                  filter._id = { $in: ownerIds };
+                  return filter;
+                });
+          case "MANY_MANY":
+            var embedAssociation = association.embedAssociation === undefined ? config.embedAssociations : association.embedAssociation;
+            return childModel.distinct("_id", conditions).exec()
+                .then(function(childIds) {
+                  if (embedAssociation) {
+                    filter[associationName + "." + association.model] = { $in: childIds };
+                    return filter;
+                  }
+                  //EXPL: non-embedded associations are stored in a linking collection
+                  var linkingQuery = {};
+                  linkingQuery[association.model] = { $in: childIds };
+                  return association.include.through.distinct(model.modelName, linkingQuery).exec()
+                      .then(function(ownerIds) {
+                        filter._id = { $in: ownerIds };
+                        return filter;
+                      });
+                });
+          default:
+            throw "Unsupported association type for '" + associationName + "'.";
+        }
+      });
+}
+
+/**
+ * Casts the value of a field operator query to the field's mongoose type.
+ * @param model: A mongoose model object.
+ * @param fieldName: The name of the field being queried.
+ * @param operator: The query operator, Ex: "$gt".
+ * @param value: The raw operator value.
+ * @param Log: A logging object.
+ * @returns {*}: The cast value.
+ */
+function castOperatorValue(model, fieldName, operator, value, Log) {
+  switch (operator) {
+    case '$exists':
+      if (value === true || value === 'true') {
+        return true;
+      }
+      else if (value === false || value === 'false') {
+        return false;
+      }
+      throw "Invalid value for '" + fieldName + "[$exists]', expected true or false.";
+    case '$regex':
+      if (_.isRegExp(value)) {
+        return value;
+      }
+      try {
+        return new RegExp(value);
+      }
+      catch (e) {
+        throw "Invalid value for '" + fieldName + "[$regex]', expected a regular expression.";
+      }
+    case '$nin':
+      if (!Array.isArray(value)) {
+        value = tryParseJSON(value) || (typeof value === 'string' ? value.split(",") : [value]);
+      }
+      return value.map(function(item) {
+        return castFieldValue(model, fieldName, operator, item, Log);
+      });
+    default:
+      return castFieldValue(model, fieldName, operator, value, Log);
+  }
+}
+
+/**
+ * Casts a single value to the field's mongoose type.
+ * @param model: A mongoose model object.
+ * @param fieldName: The name of the field being queried.
+ * @param operator: The query operator, Ex: "$gt".
+ * @param value: The raw value.
+ * @param Log: A logging object.
+ * @returns {*}: The cast value.
+ */
+function castFieldValue(model, fieldName, operator, value, Log) {
+  var schemaType = model.schema.paths[fieldName];
+  //EXPL: array fields are cast using the type of their items
+  var caster = schemaType.caster && typeof schemaType.caster.cast === 'function' ? schemaType.caster : schemaType;
+
+  if (value === null || typeof caster.cast !== 'function') {
+    return value;
+  }
+
+  try {
+    return caster.cast(value);
+  }
+  catch (e) {
+    throw "Invalid value for '" + fieldName + "[" + operator + "]': " + value;
+  }
+}
+
+/**
+ * Returns the sort used for cursor pagination, which always ends with "_id" to guarantee a unique ordering.
+ * @param mongooseQuery: A mongoose query.
+ * @returns {object}: The sort object, Ex: { age: -1, _id: 1 }.
+ */
+function getCursorSort(mongooseQuery) {
+  var sort = {};
+  var querySort = mongooseQuery.options.sort || {};
+
+  for (var field in querySort) {
+    sort[field] = (querySort[field] === -1 || querySort[field] === 'desc' || querySort[field] === 'descending') ? -1 : 1;
+  }
+  if (!sort._id) {
+    sort._id = 1;
+  }
+
+  return sort;
+}
+
+/**
+ * Creates an opaque cursor from the sort field values of a document.
+ * @param sort: The cursor sort object.
+ * @param doc: The document.
+ * @returns {string}: A base64 encoded cursor.
+ */
+function encodeCursor(sort, doc) {
+  var values = Object.keys(sort).map(function(field) {
+    var value = _.get(doc, field);
+    return value === undefined ? null : value;
+  });
+
+  return Buffer.from(JSON.stringify({ s: sort, v: values })).toString('base64');
+}
+
+/**
+ * Decodes a cursor created by "encodeCursor".
+ * @param cursor: The base64 encoded cursor.
+ * @param sort: The cursor sort object for the current query.
+ * @returns {Array}: The sort field values.
+ */
+function decodeCursor(cursor, sort) {
+  var decoded = tryParseJSON(Buffer.from(cursor, 'base64').toString());
+
+  //EXPL: a cursor is only valid for the sort it was created with
+  if (!decoded || !_.isArray(decoded.v) || !_.isEqual(decoded.s, sort)) {
+    throw "Invalid cursor.";
+  }
+
+  return decoded.v;
+}
+
+/**
+ * Creates a filter that matches the documents following the cursor values for the given sort, Ex:
+ * { $or: [{ age: { $gt: 30 } }, { age: 30, _id: { $gt: '...' } }] }
+ * @param sort: The sort object for the query.
+ * @param values: The sort field values of the cursor.
+ * @returns {object}: A mongo filter.
+ */
+function createKeysetFilter(sort, values) {
+  var fields = Object.keys(sort);
+  var clauses = [];
+
+  fields.forEach(function(field, index) {
+    var clause = [];
+    for (var i = 0; i < index; i++) {
+      var equality = {};
+      equality[fields[i]] = values[i];
+      clause.push(equality);
+    }
+
+    var value = values[index];
+    var condition = {};
+    if (sort[field] === 1) {
+      //EXPL: null values sort first
+      condition[field] = value === null ? { $ne: null } : { $gt: value };
+    }
+    else if (field === '_id') {
+      condition[field] = { $lt: value };
+    }
+    else if (value !== null) {
+      //EXPL: null values sort last
+      var lessThan = {};
+      var missing = {};
+      lessThan[field] = { $lt: value };
+      missing[field] = null;
+      condition = { $or: [lessThan, missing] };
+    }
+    else {
+      //EXPL: nothing sorts after null when descending
+      return;
+    }
+    clause.push(condition);
+
+    clauses.push({ $and: clause });
+  });
+
+  return { $or: clauses };
+}
+
 function tryParseJSON(jsonString) {
   try {
     var o = JSON.parse(jsonString);
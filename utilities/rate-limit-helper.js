@@ -0,0 +1,194 @@
+'use strict';
+
+var _ = require('lodash');
+var Q = require('q');
+var config = require('../config');
+
+//EXPL: the options used when rate limiting is enabled with "true"
+var defaultOptions = {
+  limit: 100,
+  window: 60000,
+  strategy: 'fixed'
+};
+
+var optionKeys = Object.keys(defaultOptions);
+
+//EXPL: the default store, created when it's first used
+var memoryStore = null;
+
+module.exports = {
+
+  /**
+   * Create an in-memory store that counts requests. Stores set through "config.rateLimitStore" must implement the
+   * same method, and may return a promise from it.
+   * @returns {object}: A store with the following method:
+   * - hit(key, options): counts a request for the key and returns { count, reset }, where "count" is the number of
+   * requests made within the current window (including the one being counted) and "reset" is the time in
+   * milliseconds at which a request is next allowed. "options" includes the "limit", "window", and "strategy".
+   */
+  createMemoryStore: function () {
+    var entries = new Map();
+    var nextSweep = 0;
+
+    return {
+      hit: function (key, options) {
+        var now = Date.now();
+
+        //EXPL: expired entries are removed once per window so that the store doesn't grow with each new client
+        if (now >= nextSweep) {
+          entries.forEach(function (entry, entryKey) {
+            if (entry.expires <= now) {
+              entries.delete(entryKey);
+            }
+          });
+          nextSweep = now + options.window;
+        }
+
+        var entry = entries.get(key);
+
+        if (options.strategy === 'sliding') {
+          //EXPL: the times of the allowed requests within the last window are kept
+          var times = (entry && entry.times ? entry.times : []).filter(function (time) {
+            return time > now - options.window;
+          });
+
+          var count = times.length + 1;
+          if (count <= options.limit) {
+            times.push(now);
+          }
+
+          entries.set(key, { times: times, expires: (_.last(times) || now) + options.window });
+
+          //EXPL: another request is allowed once the oldest request in the window expires
+          return {
+            count: count,
+            reset: (times[0] || now) + options.window
+          };
+        }
+
+        if (!entry || !entry.start || entry.expires <= now) {
+          entry = { start: now, count: 0, expires: now + options.window };
+          entries.set(key, entry);
+        }
+
+        entry.count++;
+
+        return {
+          count: entry.count,
+          reset: entry.expires
+        };
+      }
+    };
+  },
+
+  /**
+   * Get the store used to count requests, which is either "config.rateLimitStore" or an in-memory store.
+   * @returns {object}
+   */
+  getStore: function () {
+    if (config.rateLimitStore) {
+      return config.rateLimitStore;
+    }
+    if (!memoryStore) {
+      memoryStore = this.createMemoryStore();
+    }
+    return memoryStore;
+  },
+
+  /**
+   * Get the rate limit options of an endpoint. "routeOptions.rateLimit" is applied over "config.rateLimit", and
+   * the options for the type of endpoint (Ex: "rateLimit.read") are applied over the rest.
+   * @param model: A mongoose model.
+   * @param type: The type of endpoint: "create", "read", "update", "delete", or "associate".
+   * @returns {object}: The "limit", "window", and "strategy" of the endpoint, or null if it isn't rate limited.
+   */
+  getOptions: function (model, type) {
+    var options = null;
+    var routeOptions = model.routeOptions || {};
+
+    [config.rateLimit, routeOptions.rateLimit].forEach(function (rateLimit) {
+      if (rateLimit === undefined) {
+        return;
+      }
+      if (!rateLimit || rateLimit[type] === false) {
+        options = null;
+        return;
+      }
+
+      options = options || _.clone(defaultOptions);
+      if (_.isObject(rateLimit)) {
+        _.assign(options, _.pick(rateLimit, optionKeys), _.pick(rateLimit[type] || {}, optionKeys));
+      }
+    });
+
+    return options;
+  },
+
+  /**
+   * Get the key that requests are counted by. Requests are counted per user, identified by "config.userIdKey", or
+   * per IP address for requests without a user. Each type of endpoint is counted separately, and models with their
+   * own "routeOptions.rateLimit" are counted separately from the rest.
+   * @param model: A mongoose model.
+   * @param type: The type of endpoint.
+   * @param request: The Hapi request object.
+   * @returns {string}
+   */
+  getKey: function (model, type, request) {
+    var credentials = request.auth ? request.auth.credentials : null;
+    var userId = credentials ? _.get(credentials, config.userIdKey) : null;
+    var client = userId ? "user:" + userId : "ip:" + request.info.remoteAddress;
+
+    var routeOptions = model.routeOptions || {};
+    var bucket = routeOptions.rateLimit ? model.modelName + ":" + type : type;
+
+    return "rest-hapi:" + client + ":" + bucket;
+  },
+
+  /**
+   * Count a request against the rate limit of its endpoint.
+   * @param model: A mongoose model.
+   * @param type: The type of endpoint.
+   * @param request: The Hapi request object.
+   * @returns {object}: A promise for the rate limit of the request ({ limit, remaining, reset, exceeded }), where
+   * "reset" is the time in milliseconds at which a request is next allowed, or null if it isn't rate limited.
+   */
+  hit: function (model, type, request) {
+    var options = this.getOptions(model, type);
+
+    if (!options) {
+      return Q.when(null);
+    }
+
+    var store = this.getStore();
+    var key = this.getKey(model, type, request);
+
+    return Q.when(store.hit(key, options))
+        .then(function (result) {
+          return {
+            limit: options.limit,
+            remaining: Math.max(options.limit - result.count, 0),
+            reset: result.reset,
+            exceeded: result.count > options.limit
+          };
+        });
+  },
+
+  /**
+   * Get the response headers for the rate limit of a request.
+   * @param rateLimit: The rate limit returned by "hit".
+   * @returns {object}
+   */
+  getHeaders: function (rateLimit) {
+    var headers = {
+      'X-RateLimit-Limit': rateLimit.limit,
+      'X-RateLimit-Remaining': rateLimit.remaining,
+      'X-RateLimit-Reset': Math.ceil(rateLimit.reset / 1000)
+    };
+
+    if (rateLimit.exceeded) {
+      headers['Retry-After'] = Math.max(Math.ceil((rateLimit.reset - Date.now()) / 1000), 1);
+    }
+
+    return headers;
+  }
+};
@@ -6,12 +6,23 @@ var _ = require('lodash');
 var assert = require('assert');
 var joiMongooseHelper = require('./joi-mongoose-helper');
 var queryHelper = require('./query-helper');
+var exportHelper = require('./export-helper');
+var patchHelper = require('./patch-helper');
+var versionHelper = require('./version-helper');
+var revisionHelper = require('./revision-helper');
 var validationHelper = require("./validation-helper");
 var authHelper = require('./auth-helper');
+var rateLimitHelper = require('./rate-limit-helper');
+var tenantHelper = require('./tenant-helper');
+var fieldScopeHelper = require('./field-scope-helper');
+var accessRuleHelper = require('./access-rule-helper');
 var chalk = require('chalk');
 var config = require("../config");
 var restHapiPolicies = require("./policy-generator");
 
+//EXPL: the actions that can be granted through the document sharing endpoints
+var shareableActions = ['read', 'update', 'delete', 'associate'];
+
 //TODO: remove "options"?
 //TODO: change model "alias" to "routeAlias" (or remove the option)
 
@@ -51,14 +62,26 @@ module.exports = function (logger, mongoose, server) {
         if (model.routeOptions.allowRead !== false) {
           this.generateListEndpoint(server, model, options, Log);
           this.generateFindEndpoint(server, model, options, Log);
+          if (model.routeOptions.allowAggregate !== false) {
+            this.generateAggregateEndpoint(server, model, options, Log);
+          }
+          if (config.enableSubscriptions && model.routeOptions.allowSubscribe !== false) {
+            this.generateSubscribeEndpoint(server, model, options, Log);
+          }
         }
 
         if (model.routeOptions.allowCreate !== false) {
           this.generateCreateEndpoint(server, model, options, Log);
+          if (model.routeOptions.allowImport !== false) {
+            this.generateImportEndpoint(server, model, options, Log);
+          }
         }
 
         if (model.routeOptions.allowUpdate !== false) {
           this.generateUpdateEndpoint(server, model, options, Log);
+          if (model.routeOptions.allowPatch !== false) {
+            this.generatePatchEndpoint(server, model, options, Log);
+          }
         }
 
         if (model.routeOptions.allowDelete !== false) {
@@ -66,6 +89,28 @@ module.exports = function (logger, mongoose, server) {
           this.generateDeleteManyEndpoint(server, model, options, Log);
         }
 
+        if (config.enableSoftDelete && model.routeOptions.allowRestore !== false) {
+          this.generateRestoreOneEndpoint(server, model, options, Log);
+          this.generateRestoreManyEndpoint(server, model, options, Log);
+        }
+
+        if (model.routeOptions.versioning) {
+          if (model.routeOptions.allowRead !== false) {
+            this.generateListRevisionsEndpoint(server, model, options, Log);
+            this.generateFindRevisionEndpoint(server, model, options, Log);
+          }
+          if (model.routeOptions.allowUpdate !== false) {
+            this.generateRevertEndpoint(server, model, options, Log);
+          }
+        }
+
+        //EXPL: document scopes are only enforced for authenticated requests
+        if (config.enableDocumentScopes && config.authStrategy && model.routeOptions.allowShare !== false) {
+          this.generateFindScopeEndpoint(server, model, options, Log);
+          this.generateAddScopeEndpoint(server, model, options, Log);
+          this.generateRemoveScopeEndpoint(server, model, options, Log);
+        }
+
         if (model.routeOptions.associations) {
           for (var associationName in model.routeOptions.associations) {
             var association = model.routeOptions.associations[associationName];
@@ -132,6 +177,15 @@ module.exports = function (logger, mongoose, server) {
 
       var queryModel = joiMongooseHelper.generateJoiListQueryModel(model, Log);
 
+      if (config.enableSoftDelete) {
+        queryModel = queryModel.keys({
+          $includeDeleted: Joi.boolean()
+              .description('Set to true to include soft deleted documents. Requires the restore scope of the model.'),
+          $onlyDeleted: Joi.boolean()
+              .description('Set to true to only return soft deleted documents. Requires the restore scope of the model.')
+        }).nand('$includeDeleted', '$onlyDeleted');
+      }
+
       var readModel = joiMongooseHelper.generateJoiReadModel(model, Log);
 
       if (!config.enableResponseValidation) {
@@ -166,11 +220,33 @@ module.exports = function (logger, mongoose, server) {
         policies = (policies.rootPolicies || []).concat(policies.readPolicies || []);
       }
 
+      if (tenantHelper.isEnabled(model)) {
+        policies.push(restHapiPolicies.enforceTenant(model, Log));
+      }
+
+      if (config.enableSoftDelete && auth) {
+        policies.push(restHapiPolicies.enforceRestoreScope(model, Log));
+      }
+
       if (config.enableDocumentScopes && auth) {
         policies.push(restHapiPolicies.enforceDocumentScopePre(model, Log));
         policies.push(restHapiPolicies.enforceDocumentScopePost(model, Log));
       }
+
+      if (versionHelper.getVersionField(model)) {
+        policies.push(restHapiPolicies.addVersionHeader(model, Log));
+      }
       
+      if (fieldScopeHelper.isEnabled(model)) {
+        policies.push(restHapiPolicies.enforceFieldScopePre(model, Log));
+        policies.push(restHapiPolicies.enforceFieldScopePost(model, Log));
+      }
+
+      if (rateLimitHelper.getOptions(model, 'read')) {
+        policies.push(restHapiPolicies.enforceRateLimit(model, 'read', Log));
+        policies.push(restHapiPolicies.addRateLimitHeaders(model, Log));
+      }
+
       server.route({
         method: 'GET',
         path: '/' + resourceAliasForRoute,
@@ -180,6 +256,9 @@ module.exports = function (logger, mongoose, server) {
           description: 'Get a list of ' + collectionName + 's',
           tags: ['api', collectionName],
           cors: config.cors,
+          ext: {
+            onPreResponse: { method: HandlerHelper.generateExportResponseHandler(Log) }
+          },
           validate: {
             query: queryModel,
             headers: headersValidation
@@ -187,6 +266,7 @@ module.exports = function (logger, mongoose, server) {
           plugins: {
             'model': model,
             'hapi-swagger': {
+              produces: ['application/json'].concat(_.values(exportHelper.contentTypes)),
               responseMessages: [
                 {code: 200, message: 'The resource(s) was/were found successfully.'},
                 {code: 400, message: 'The request was malformed.'},
@@ -275,11 +355,33 @@ module.exports = function (logger, mongoose, server) {
         policies = (policies.rootPolicies || []).concat(policies.readPolicies || []);
       }
 
+      if (tenantHelper.isEnabled(model)) {
+        policies.push(restHapiPolicies.enforceTenant(model, Log));
+      }
+
+      if (accessRuleHelper.isEnabled(model)) {
+        policies.push(restHapiPolicies.enforceAccessRules(model, Log));
+      }
+
       if (config.enableDocumentScopes && auth) {
         policies.push(restHapiPolicies.enforceDocumentScopePre(model, Log));
         policies.push(restHapiPolicies.enforceDocumentScopePost(model, Log));
       }
 
+      if (versionHelper.getVersionField(model)) {
+        policies.push(restHapiPolicies.addVersionHeader(model, Log));
+      }
+
+      if (fieldScopeHelper.isEnabled(model)) {
+        policies.push(restHapiPolicies.enforceFieldScopePre(model, Log));
+        policies.push(restHapiPolicies.enforceFieldScopePost(model, Log));
+      }
+
+      if (rateLimitHelper.getOptions(model, 'read')) {
+        policies.push(restHapiPolicies.enforceRateLimit(model, 'read', Log));
+        policies.push(restHapiPolicies.addRateLimitHeaders(model, Log));
+      }
+
       server.route({
         method: 'GET',
         path: '/' + resourceAliasForRoute + '/{_id}',
@@ -322,23 +424,23 @@ module.exports = function (logger, mongoose, server) {
     },
 
     /**
-     * Creates an endpoint for POST /RESOURCE
+     * Creates an endpoint for GET /RESOURCE/aggregate
      * @param server: A Hapi server.
      * @param model: A mongoose model.
      * @param options: Options object.
      * @param Log: A logging object.
      */
-    generateCreateEndpoint: function (server, model, options, Log) {
+    generateAggregateEndpoint: function (server, model, options, Log) {
       validationHelper.validateModel(model, Log);
 
       var collectionName = model.collectionDisplayName || model.modelName;
-      Log = Log.bind(chalk.yellow("Create"));
+      Log = Log.bind(chalk.yellow("Aggregate"));
+      options = options || {};
+
       if (config.logRoutes) {
-        Log.note("Generating Create endpoint for " + collectionName);
+        Log.note("Generating Aggregate endpoint for " + collectionName);
       }
 
-      options = options || {};
-
       var resourceAliasForRoute;
 
       if (model.routeOptions) {
@@ -348,40 +450,32 @@ module.exports = function (logger, mongoose, server) {
         resourceAliasForRoute = model.modelName;
       }
 
-      var handler = HandlerHelper.generateCreateHandler(model, options, Log);
-
-      var createModel = joiMongooseHelper.generateJoiCreateModel(model, Log);
-
-      if (!config.enablePayloadValidation) {
-        var label =  createModel._flags.label;
-        createModel = Joi.alternatives().try(createModel, Joi.any()).label(label);
-      }
-
-      //EXPL: support bulk creates
-      createModel = Joi.alternatives().try(Joi.array().items(createModel), createModel);
-
-      var readModel = joiMongooseHelper.generateJoiReadModel(model, Log);
-      var label =  readModel._flags.label;
+      var handler = HandlerHelper.generateAggregateHandler(model, options, Log);
 
-      readModel = Joi.alternatives().try(Joi.array().items(readModel), readModel).label(label);
+      var queryModel = joiMongooseHelper.generateJoiAggregateQueryModel(model, Log);
 
-      if (!config.enableResponseValidation) {
-        readModel = Joi.alternatives().try(readModel, Joi.any()).label(label);
-      }
+      var groupModel = Joi.object({
+        group: Joi.object(),
+        count: Joi.number(),
+        sum: Joi.object(),
+        avg: Joi.object(),
+        min: Joi.object(),
+        max: Joi.object()
+      }).label(collectionName + "GroupModel");
 
       var auth = false;
 
-      if (config.authStrategy && model.routeOptions.createAuth !== false) {
+      if (config.authStrategy && model.routeOptions.readAuth !== false) {
         auth = {
           strategy: config.authStrategy
         };
 
-        var scope = authHelper.generateScopeForEndpoint(model, 'create', Log);
+        var scope = authHelper.generateScopeForEndpoint(model, 'read', Log);
 
         if (!_.isEmpty(scope)) {
           auth.scope = scope;
           if (config.logScopes) {
-            Log.debug("Scope for POST/" + resourceAliasForRoute + ":", scope);
+            Log.debug("Scope for GET/" + resourceAliasForRoute + '/aggregate' + ":", scope);
           }
         }
       }
@@ -393,67 +487,49 @@ module.exports = function (logger, mongoose, server) {
 
       if (model.routeOptions.policies && config.enablePolicies) {
         policies = model.routeOptions.policies;
-        policies = (policies.rootPolicies || []).concat(policies.createPolicies || []);
+        policies = (policies.rootPolicies || []).concat(policies.readPolicies || []);
       }
 
-      if (config.enableDocumentScopes && auth) {
-        var authorizeDocumentCreator = model.routeOptions.authorizeDocumentCreator === undefined ? config.authorizeDocumentCreator : model.routeOptions.authorizeDocumentCreator;
-        var authorizeDocumentCreatorToRead = model.routeOptions.authorizeDocumentCreatorToRead === undefined ? config.authorizeDocumentCreatorToRead : model.routeOptions.authorizeDocumentCreatorToRead;
-        var authorizeDocumentCreatorToUpdate = model.routeOptions.authorizeDocumentCreatorToUpdate === undefined ? config.authorizeDocumentCreatorToUpdate : model.routeOptions.authorizeDocumentCreatorToUpdate;
-        var authorizeDocumentCreatorToDelete = model.routeOptions.authorizeDocumentCreatorToDelete === undefined ? config.authorizeDocumentCreatorToDelete : model.routeOptions.authorizeDocumentCreatorToDelete;
-        var authorizeDocumentCreatorToAssociate = model.routeOptions.authorizeDocumentCreatorToAssociate === undefined ? config.authorizeDocumentCreatorToAssociate : model.routeOptions.authorizeDocumentCreatorToAssociate;
-
-        if (authorizeDocumentCreator) {
-          policies.push(restHapiPolicies.authorizeDocumentCreator(model, Log));
-        }
-        if (authorizeDocumentCreatorToRead) {
-          policies.push(restHapiPolicies.authorizeDocumentCreatorToRead(model, Log));
-        }
-        if (authorizeDocumentCreatorToUpdate) {
-          policies.push(restHapiPolicies.authorizeDocumentCreatorToUpdate(model, Log));
-        }
-        if (authorizeDocumentCreatorToDelete) {
-          policies.push(restHapiPolicies.authorizeDocumentCreatorToDelete(model, Log));
-        }
-        if (authorizeDocumentCreatorToAssociate) {
-          policies.push(restHapiPolicies.authorizeDocumentCreatorToAssociate(model, Log));
-        }
+      if (tenantHelper.isEnabled(model)) {
+        policies.push(restHapiPolicies.enforceTenant(model, Log));
+      }
 
-        if (model.routeOptions.documentScope) {
-          policies.push(restHapiPolicies.addDocumentScope(model, Log));
-        }
+      if (config.enableSoftDelete && auth) {
+        policies.push(restHapiPolicies.enforceRestoreScope(model, Log));
       }
 
-      if (config.enableCreatedBy) {
-        policies.push(restHapiPolicies.addCreatedBy(model, Log));
+      //EXPL: aggregate results don't contain documents, so document scopes are only enforced before the query
+      if (config.enableDocumentScopes && auth) {
+        policies.push(restHapiPolicies.enforceDocumentScopePre(model, Log));
       }
 
-      if (config.enableDuplicateFields) {
-        policies.push(restHapiPolicies.populateDuplicateFields(model, mongoose, Log));
+      if (fieldScopeHelper.isEnabled(model)) {
+        policies.push(restHapiPolicies.enforceFieldScopePre(model, Log));
       }
 
-      if (config.enableAuditLog) {
-        policies.push(restHapiPolicies.logCreate(mongoose, model, Log));
+      if (rateLimitHelper.getOptions(model, 'read')) {
+        policies.push(restHapiPolicies.enforceRateLimit(model, 'read', Log));
+        policies.push(restHapiPolicies.addRateLimitHeaders(model, Log));
       }
 
       server.route({
-        method: 'POST',
-        path: '/' + resourceAliasForRoute,
+        method: 'GET',
+        path: '/' + resourceAliasForRoute + '/aggregate',
         config: {
           handler: handler,
           auth: auth,
-          cors: config.cors,
-          description: 'Create one or more new ' + collectionName + 's',
+          description: 'Get grouped counts and totals for ' + collectionName + 's',
           tags: ['api', collectionName],
+          cors: config.cors,
           validate: {
-            payload: createModel,
+            query: queryModel,
             headers: headersValidation
           },
           plugins: {
             'model': model,
             'hapi-swagger': {
               responseMessages: [
-                {code: 201, message: 'The resource was created successfully.'},
+                {code: 200, message: 'The resource(s) was/were aggregated successfully.'},
                 {code: 400, message: 'The request was malformed.'},
                 {
                   code: 401,
@@ -467,30 +543,32 @@ module.exports = function (logger, mongoose, server) {
           },
           response: {
             failAction: config.enableResponseFail ? 'error' : 'log',
-            schema: readModel
+            schema: Joi.object({
+              docs: Joi.array().items(groupModel).label(collectionName + "GroupArrayModel")
+            }).label(collectionName + "AggregateModel")
           }
         }
       });
     },
 
     /**
-     * Creates an endpoint for DELETE /RESOURCE/{_id}
+     * Creates an endpoint for GET /RESOURCE/subscribe
      * @param server: A Hapi server.
      * @param model: A mongoose model.
      * @param options: Options object.
      * @param Log: A logging object.
      */
-    generateDeleteOneEndpoint: function (server, model, options, Log) {
+    generateSubscribeEndpoint: function (server, model, options, Log) {
       validationHelper.validateModel(model, Log);
 
       var collectionName = model.collectionDisplayName || model.modelName;
-      Log = Log.bind(chalk.yellow("DeleteOne"));
+      Log = Log.bind(chalk.yellow("Subscribe"));
+      options = options || {};
+
       if (config.logRoutes) {
-        Log.note("Generating Delete One endpoint for " + collectionName);
+        Log.note("Generating Subscribe endpoint for " + collectionName);
       }
 
-      options = options || {};
-
       var resourceAliasForRoute;
 
       if (model.routeOptions) {
@@ -500,30 +578,38 @@ module.exports = function (logger, mongoose, server) {
         resourceAliasForRoute = model.modelName;
       }
 
-      var handler = HandlerHelper.generateDeleteHandler(model, options, Log);
+      var handler = HandlerHelper.generateSubscribeHandler(model, options, Log);
 
-      var payloadModel = null;
-      if (config.enableSoftDelete) {
-        payloadModel = Joi.object({ hardDelete: Joi.bool() }).allow(null);
+      //EXPL: subscriptions accept the list query parameters that select documents
+      var queryModel = joiMongooseHelper.generateJoiListQueryModel(model, Log);
+      var paginationKeys = ['$skip', '$page', '$limit', '$after', '$before', '$format'];
+      if (_.find(queryModel._inner.children, { key: '$count' })) {
+        paginationKeys.push('$count');
+      }
+      queryModel = queryModel.forbiddenKeys(paginationKeys);
 
-        if (!config.enablePayloadValidation) {
-          payloadModel = Joi.alternatives().try(payloadModel, Joi.any());
-        }
+      if (config.enableSoftDelete) {
+        queryModel = queryModel.keys({
+          $includeDeleted: Joi.boolean()
+              .description('Set to true to include soft deleted documents. Requires the restore scope of the model.'),
+          $onlyDeleted: Joi.boolean()
+              .description('Set to true to only include soft deleted documents. Requires the restore scope of the model.')
+        }).nand('$includeDeleted', '$onlyDeleted');
       }
 
       var auth = false;
 
-      if (config.authStrategy && model.routeOptions.deleteAuth !== false) {
+      if (config.authStrategy && model.routeOptions.readAuth !== false) {
         auth = {
           strategy: config.authStrategy
         };
 
-        var scope = authHelper.generateScopeForEndpoint(model, 'delete', Log);
+        var scope = authHelper.generateScopeForEndpoint(model, 'read', Log);
 
         if (!_.isEmpty(scope)) {
           auth.scope = scope;
           if (config.logScopes) {
-            Log.debug("Scope for DELETE/" + resourceAliasForRoute + "/{_id}" + ":", scope);
+            Log.debug("Scope for GET/" + resourceAliasForRoute + '/subscribe' + ":", scope);
           }
         }
       }
@@ -535,79 +621,79 @@ module.exports = function (logger, mongoose, server) {
 
       if (model.routeOptions.policies && config.enablePolicies) {
         policies = model.routeOptions.policies;
-        policies = (policies.rootPolicies || []).concat(policies.deletePolicies || []);
+        policies = (policies.rootPolicies || []).concat(policies.readPolicies || []);
+      }
+
+      if (tenantHelper.isEnabled(model)) {
+        policies.push(restHapiPolicies.enforceTenant(model, Log));
+      }
+
+      if (config.enableSoftDelete && auth) {
+        policies.push(restHapiPolicies.enforceRestoreScope(model, Log));
       }
 
+      //EXPL: notifications are sent after the response starts, so document scopes are only enforced before the query
       if (config.enableDocumentScopes && auth) {
         policies.push(restHapiPolicies.enforceDocumentScopePre(model, Log));
-        policies.push(restHapiPolicies.enforceDocumentScopePost(model, Log));
       }
 
-      if (config.enableDeletedBy && config.enableSoftDelete) {
-        policies.push(restHapiPolicies.addDeletedBy(model, Log));
+      if (fieldScopeHelper.isEnabled(model)) {
+        policies.push(restHapiPolicies.enforceFieldScopePre(model, Log));
       }
 
-      if (config.enableAuditLog) {
-        policies.push(restHapiPolicies.logDelete(mongoose, model, Log));
+      if (rateLimitHelper.getOptions(model, 'read')) {
+        policies.push(restHapiPolicies.enforceRateLimit(model, 'read', Log));
+        policies.push(restHapiPolicies.addRateLimitHeaders(model, Log));
       }
 
       server.route({
-        method: 'DELETE',
-        path: '/' + resourceAliasForRoute + "/{_id}",
+        method: 'GET',
+        path: '/' + resourceAliasForRoute + '/subscribe',
         config: {
           handler: handler,
           auth: auth,
-          cors: config.cors,
-          description: 'Delete a ' + collectionName,
+          description: 'Subscribe to changes of ' + collectionName + 's',
           tags: ['api', collectionName],
+          cors: config.cors,
           validate: {
-            params: {
-              _id: Joi.objectId().required()
-            },
-            payload: payloadModel,
+            query: queryModel,
             headers: headersValidation
           },
           plugins: {
             'model': model,
             'hapi-swagger': {
+              produces: ['text/event-stream'],
               responseMessages: [
-                {code: 200, message: 'The resource was deleted successfully.'},
+                {code: 200, message: 'The subscription was started successfully.'},
                 {code: 400, message: 'The request was malformed.'},
                 {
                   code: 401,
                   message: 'The authentication header was missing/malformed, or the token has expired.'
                 },
-                {code: 404, message: 'There was no resource found with that ID.'},
                 {code: 500, message: 'There was an unknown error.'},
                 {code: 503, message: 'There was a problem with the database.'}
               ]
             },
             'policies': policies
-          },
-          response: {
-            //TODO: add a response schema if needed
-            // failAction: config.enableResponseFail ? 'error' : 'log',
-            //schema: model.readModel ? model.readModel : Joi.object().unknown().optional()
           }
         }
       });
     },
 
     /**
-     * Creates an endpoint for DELETE /RESOURCE/
+     * Creates an endpoint for POST /RESOURCE
      * @param server: A Hapi server.
      * @param model: A mongoose model.
      * @param options: Options object.
      * @param Log: A logging object.
      */
-    //TODO: handle partial deletes (return list of ids that failed/were not found)
-    generateDeleteManyEndpoint: function (server, model, options, Log) {
+    generateCreateEndpoint: function (server, model, options, Log) {
       validationHelper.validateModel(model, Log);
 
       var collectionName = model.collectionDisplayName || model.modelName;
-      Log = Log.bind(chalk.yellow("DeleteMany"));
+      Log = Log.bind(chalk.yellow("Create"));
       if (config.logRoutes) {
-        Log.note("Generating Delete Many endpoint for " + collectionName);
+        Log.note("Generating Create endpoint for " + collectionName);
       }
 
       options = options || {};
@@ -621,34 +707,40 @@ module.exports = function (logger, mongoose, server) {
         resourceAliasForRoute = model.modelName;
       }
 
-      var handler = HandlerHelper.generateDeleteHandler(model, options, Log);
+      var handler = HandlerHelper.generateCreateHandler(model, options, Log);
 
-      var payloadModel = null;
-      if (config.enableSoftDelete) {
-        payloadModel = Joi.alternatives().try(Joi.array().items(Joi.object({ _id: Joi.objectId(), hardDelete: Joi.bool().default(false) })), Joi.array().items(Joi.objectId()));
-      }
-      else {
-        payloadModel = Joi.array().items(Joi.objectId());
-      }
+      var createModel = joiMongooseHelper.generateJoiCreateModel(model, Log);
 
       if (!config.enablePayloadValidation) {
-        payloadModel = Joi.alternatives().try(payloadModel, Joi.any());
+        var label =  createModel._flags.label;
+        createModel = Joi.alternatives().try(createModel, Joi.any()).label(label);
       }
 
+      //EXPL: support bulk creates
+      createModel = Joi.alternatives().try(Joi.array().items(createModel), createModel);
+
+      var readModel = joiMongooseHelper.generateJoiReadModel(model, Log);
+      var label =  readModel._flags.label;
+
+      readModel = Joi.alternatives().try(Joi.array().items(readModel), readModel).label(label);
+
+      if (!config.enableResponseValidation) {
+        readModel = Joi.alternatives().try(readModel, Joi.any()).label(label);
+      }
 
       var auth = false;
 
-      if (config.authStrategy && model.routeOptions.deleteAuth !== false) {
+      if (config.authStrategy && model.routeOptions.createAuth !== false) {
         auth = {
           strategy: config.authStrategy
         };
 
-        var scope = authHelper.generateScopeForEndpoint(model, 'delete', Log);
+        var scope = authHelper.generateScopeForEndpoint(model, 'create', Log);
 
         if (!_.isEmpty(scope)) {
           auth.scope = scope;
           if (config.logScopes) {
-            Log.debug("Scope for DELETE/" + resourceAliasForRoute + ":", scope);
+            Log.debug("Scope for POST/" + resourceAliasForRoute + ":", scope);
           }
         }
       }
@@ -660,7 +752,1598 @@ module.exports = function (logger, mongoose, server) {
 
       if (model.routeOptions.policies && config.enablePolicies) {
         policies = model.routeOptions.policies;
-        policies = (policies.rootPolicies || []).concat(policies.deletePolicies || []);
+        policies = (policies.rootPolicies || []).concat(policies.createPolicies || []);
+      }
+
+      if (tenantHelper.isEnabled(model)) {
+        policies.push(restHapiPolicies.enforceTenant(model, Log));
+      }
+
+      //EXPL: the creator of a document is authorized through the access rules of the model
+      if (auth) {
+        accessRuleHelper.getCreatorActions(model).forEach(function(action) {
+          var policyName = 'authorizeDocumentCreator' + (action === 'root' ? '' : 'To' + _.upperFirst(action));
+          policies.push(restHapiPolicies[policyName](model, Log));
+        });
+      }
+
+      if (config.enableDocumentScopes && auth) {
+        if (model.routeOptions.documentScope) {
+          policies.push(restHapiPolicies.addDocumentScope(model, Log));
+        }
+      }
+
+      if (config.enableCreatedBy) {
+        policies.push(restHapiPolicies.addCreatedBy(model, Log));
+      }
+
+      if (config.enableDuplicateFields) {
+        policies.push(restHapiPolicies.populateDuplicateFields(model, mongoose, Log));
+      }
+
+      if (config.enableAuditLog) {
+        policies.push(restHapiPolicies.logCreate(mongoose, model, Log));
+      }
+
+      if (fieldScopeHelper.isEnabled(model)) {
+        policies.push(restHapiPolicies.enforceFieldScopePre(model, Log));
+        policies.push(restHapiPolicies.enforceFieldScopePost(model, Log));
+      }
+
+      if (config.enableIdempotencyKeys) {
+        policies.push(restHapiPolicies.enforceIdempotency(mongoose, Log));
+        policies.push(restHapiPolicies.saveIdempotentResponse(mongoose, Log));
+        policies.push(restHapiPolicies.releaseIdempotencyKey(mongoose, Log));
+      }
+
+      if (rateLimitHelper.getOptions(model, 'create')) {
+        policies.push(restHapiPolicies.enforceRateLimit(model, 'create', Log));
+        policies.push(restHapiPolicies.addRateLimitHeaders(model, Log));
+      }
+
+      server.route({
+        method: 'POST',
+        path: '/' + resourceAliasForRoute,
+        config: {
+          handler: handler,
+          auth: auth,
+          cors: config.cors,
+          description: 'Create one or more new ' + collectionName + 's',
+          tags: ['api', collectionName],
+          validate: {
+            payload: createModel,
+            headers: headersValidation
+          },
+          plugins: {
+            'model': model,
+            'hapi-swagger': {
+              responseMessages: [
+                {code: 201, message: 'The resource was created successfully.'},
+                {code: 400, message: 'The request was malformed.'},
+                {
+                  code: 401,
+                  message: 'The authentication header was missing/malformed, or the token has expired.'
+                },
+                {code: 500, message: 'There was an unknown error.'},
+                {code: 503, message: 'There was a problem with the database.'}
+              ]
+            },
+            'policies': policies
+          },
+          response: {
+            failAction: config.enableResponseFail ? 'error' : 'log',
+            schema: readModel
+          }
+        }
+      });
+    },
+
+    /**
+     * Creates an endpoint for POST /RESOURCE/import
+     * @param server: A Hapi server.
+     * @param model: A mongoose model.
+     * @param options: Options object.
+     * @param Log: A logging object.
+     */
+    generateImportEndpoint: function (server, model, options, Log) {
+      validationHelper.validateModel(model, Log);
+
+      var collectionName = model.collectionDisplayName || model.modelName;
+      Log = Log.bind(chalk.yellow("Import"));
+      if (config.logRoutes) {
+        Log.note("Generating Import endpoint for " + collectionName);
+      }
+
+      options = options || {};
+
+      var resourceAliasForRoute;
+
+      if (model.routeOptions) {
+        resourceAliasForRoute = model.routeOptions.alias || model.modelName;
+      }
+      else {
+        resourceAliasForRoute = model.modelName;
+      }
+
+      var handler = HandlerHelper.generateImportHandler(model, options, Log);
+
+      var queryableFields = queryHelper.getQueryableFields(model, Log);
+
+      var queryModel = Joi.object({
+        dryRun: Joi.boolean().optional()
+            .description('If set to true, the rows are validated and reported without being imported.'),
+        upsertKey: Joi.string().valid(queryableFields).optional()
+            .description('A field used to match rows to existing documents. Matching documents are updated rather than ' +
+                'created. Valid values include: ' + queryableFields.toString().replace(/,/g,', '))
+      });
+
+      var reportModel = Joi.object({
+        dryRun: Joi.boolean(),
+        counts: Joi.object(),
+        rows: Joi.array().items(Joi.object({
+          row: Joi.number(),
+          status: Joi.string(),
+          action: Joi.string(),
+          _id: Joi.objectId(),
+          errors: Joi.array().items(Joi.string())
+        }).label(collectionName + "ImportRowModel")).label(collectionName + "ImportRowArrayModel")
+      }).label(collectionName + "ImportModel");
+
+      var auth = false;
+
+      if (config.authStrategy && model.routeOptions.createAuth !== false) {
+        auth = {
+          strategy: config.authStrategy
+        };
+
+        var scope = authHelper.generateScopeForEndpoint(model, 'create', Log);
+
+        if (!_.isEmpty(scope)) {
+          auth.scope = scope;
+          if (config.logScopes) {
+            Log.debug("Scope for POST/" + resourceAliasForRoute + '/import' + ":", scope);
+          }
+        }
+      }
+      else {
+        headersValidation = null;
+      }
+
+      //EXPL: only idempotency policies are added since each row is imported through the create (or update)
+      //endpoint, which enforces its own policies
+      var policies = [];
+
+      if (tenantHelper.isEnabled(model)) {
+        policies.push(restHapiPolicies.enforceTenant(model, Log));
+      }
+
+      if (config.enableIdempotencyKeys) {
+        policies.push(restHapiPolicies.enforceIdempotency(mongoose, Log));
+        policies.push(restHapiPolicies.saveIdempotentResponse(mongoose, Log));
+        policies.push(restHapiPolicies.releaseIdempotencyKey(mongoose, Log));
+      }
+
+      if (rateLimitHelper.getOptions(model, 'create')) {
+        policies.push(restHapiPolicies.enforceRateLimit(model, 'create', Log));
+        policies.push(restHapiPolicies.addRateLimitHeaders(model, Log));
+      }
+
+      server.route({
+        method: 'POST',
+        path: '/' + resourceAliasForRoute + '/import',
+        config: {
+          handler: handler,
+          auth: auth,
+          cors: config.cors,
+          description: 'Import ' + collectionName + 's from a CSV or NDJSON file',
+          tags: ['api', collectionName],
+          payload: {
+            parse: false,
+            allow: _.values(exportHelper.contentTypes)
+          },
+          validate: {
+            query: queryModel,
+            headers: headersValidation
+          },
+          plugins: {
+            'model': model,
+            'policies': policies,
+            'hapi-swagger': {
+              consumes: _.values(exportHelper.contentTypes),
+              responseMessages: [
+                {code: 200, message: 'The import was processed successfully.'},
+                {code: 400, message: 'The request was malformed.'},
+                {
+                  code: 401,
+                  message: 'The authentication header was missing/malformed, or the token has expired.'
+                },
+                {code: 415, message: 'The payload was not CSV or NDJSON.'},
+                {code: 500, message: 'There was an unknown error.'},
+                {code: 503, message: 'There was a problem with the database.'}
+              ]
+            }
+          },
+          response: {
+            failAction: config.enableResponseFail ? 'error' : 'log',
+            schema: reportModel
+          }
+        }
+      });
+    },
+
+    /**
+     * Creates an endpoint for DELETE /RESOURCE/{_id}
+     * @param server: A Hapi server.
+     * @param model: A mongoose model.
+     * @param options: Options object.
+     * @param Log: A logging object.
+     */
+    generateDeleteOneEndpoint: function (server, model, options, Log) {
+      validationHelper.validateModel(model, Log);
+
+      var collectionName = model.collectionDisplayName || model.modelName;
+      Log = Log.bind(chalk.yellow("DeleteOne"));
+      if (config.logRoutes) {
+        Log.note("Generating Delete One endpoint for " + collectionName);
+      }
+
+      options = options || {};
+
+      var resourceAliasForRoute;
+
+      if (model.routeOptions) {
+        resourceAliasForRoute = model.routeOptions.alias || model.modelName;
+      }
+      else {
+        resourceAliasForRoute = model.modelName;
+      }
+
+      var handler = HandlerHelper.generateDeleteHandler(model, options, Log);
+
+      var payloadModel = null;
+      if (config.enableSoftDelete) {
+        payloadModel = Joi.object({ hardDelete: Joi.bool() }).allow(null);
+
+        if (!config.enablePayloadValidation) {
+          payloadModel = Joi.alternatives().try(payloadModel, Joi.any());
+        }
+      }
+
+      var auth = false;
+
+      if (config.authStrategy && model.routeOptions.deleteAuth !== false) {
+        auth = {
+          strategy: config.authStrategy
+        };
+
+        var scope = authHelper.generateScopeForEndpoint(model, 'delete', Log);
+
+        if (!_.isEmpty(scope)) {
+          auth.scope = scope;
+          if (config.logScopes) {
+            Log.debug("Scope for DELETE/" + resourceAliasForRoute + "/{_id}" + ":", scope);
+          }
+        }
+      }
+      else {
+        headersValidation = null;
+      }
+
+      var policies = [];
+
+      if (model.routeOptions.policies && config.enablePolicies) {
+        policies = model.routeOptions.policies;
+        policies = (policies.rootPolicies || []).concat(policies.deletePolicies || []);
+      }
+
+      if (tenantHelper.isEnabled(model)) {
+        policies.push(restHapiPolicies.enforceTenant(model, Log));
+      }
+
+      if (accessRuleHelper.isEnabled(model)) {
+        policies.push(restHapiPolicies.enforceAccessRules(model, Log));
+      }
+
+      if (config.enableDocumentScopes && auth) {
+        policies.push(restHapiPolicies.enforceDocumentScopePre(model, Log));
+        policies.push(restHapiPolicies.enforceDocumentScopePost(model, Log));
+      }
+
+      if (versionHelper.getVersionField(model)) {
+        policies.push(restHapiPolicies.enforceVersion(model, Log));
+      }
+
+      if (config.enableDeletedBy && config.enableSoftDelete) {
+        policies.push(restHapiPolicies.addDeletedBy(model, Log));
+      }
+
+      if (config.enableAuditLog) {
+        policies.push(restHapiPolicies.logDelete(mongoose, model, Log));
+      }
+
+      if (rateLimitHelper.getOptions(model, 'delete')) {
+        policies.push(restHapiPolicies.enforceRateLimit(model, 'delete', Log));
+        policies.push(restHapiPolicies.addRateLimitHeaders(model, Log));
+      }
+
+      server.route({
+        method: 'DELETE',
+        path: '/' + resourceAliasForRoute + "/{_id}",
+        config: {
+          handler: handler,
+          auth: auth,
+          cors: config.cors,
+          description: 'Delete a ' + collectionName,
+          tags: ['api', collectionName],
+          validate: {
+            params: {
+              _id: Joi.objectId().required()
+            },
+            payload: payloadModel,
+            query: versionHelper.generateJoiQueryModel(model),
+            headers: versionHelper.generateJoiHeadersModel(model, headersValidation)
+          },
+          plugins: {
+            'model': model,
+            'hapi-swagger': {
+              responseMessages: [
+                {code: 200, message: 'The resource was deleted successfully.'},
+                {code: 400, message: 'The request was malformed.'},
+                {
+                  code: 401,
+                  message: 'The authentication header was missing/malformed, or the token has expired.'
+                },
+                {code: 404, message: 'There was no resource found with that ID.'},
+                {code: 409, message: 'The resource is referenced by documents that restrict its deletion.'},
+                {code: 500, message: 'There was an unknown error.'},
+                {code: 503, message: 'There was a problem with the database.'}
+              ].concat(versionHelper.getResponseMessages(model))
+            },
+            'policies': policies
+          },
+          response: {
+            //TODO: add a response schema if needed
+            // failAction: config.enableResponseFail ? 'error' : 'log',
+            //schema: model.readModel ? model.readModel : Joi.object().unknown().optional()
+          }
+        }
+      });
+    },
+
+    /**
+     * Creates an endpoint for DELETE /RESOURCE/
+     * @param server: A Hapi server.
+     * @param model: A mongoose model.
+     * @param options: Options object.
+     * @param Log: A logging object.
+     */
+    //TODO: handle partial deletes (return list of ids that failed/were not found)
+    generateDeleteManyEndpoint: function (server, model, options, Log) {
+      validationHelper.validateModel(model, Log);
+
+      var collectionName = model.collectionDisplayName || model.modelName;
+      Log = Log.bind(chalk.yellow("DeleteMany"));
+      if (config.logRoutes) {
+        Log.note("Generating Delete Many endpoint for " + collectionName);
+      }
+
+      options = options || {};
+
+      var resourceAliasForRoute;
+
+      if (model.routeOptions) {
+        resourceAliasForRoute = model.routeOptions.alias || model.modelName;
+      }
+      else {
+        resourceAliasForRoute = model.modelName;
+      }
+
+      var handler = HandlerHelper.generateDeleteHandler(model, options, Log);
+
+      var payloadModel = null;
+      if (config.enableSoftDelete) {
+        payloadModel = Joi.alternatives().try(Joi.array().items(Joi.object({ _id: Joi.objectId(), hardDelete: Joi.bool().default(false) })), Joi.array().items(Joi.objectId()));
+      }
+      else {
+        payloadModel = Joi.array().items(Joi.objectId());
+      }
+
+      if (!config.enablePayloadValidation) {
+        payloadModel = Joi.alternatives().try(payloadModel, Joi.any());
+      }
+
+
+      var auth = false;
+
+      if (config.authStrategy && model.routeOptions.deleteAuth !== false) {
+        auth = {
+          strategy: config.authStrategy
+        };
+
+        var scope = authHelper.generateScopeForEndpoint(model, 'delete', Log);
+
+        if (!_.isEmpty(scope)) {
+          auth.scope = scope;
+          if (config.logScopes) {
+            Log.debug("Scope for DELETE/" + resourceAliasForRoute + ":", scope);
+          }
+        }
+      }
+      else {
+        headersValidation = null;
+      }
+
+      var policies = [];
+
+      if (model.routeOptions.policies && config.enablePolicies) {
+        policies = model.routeOptions.policies;
+        policies = (policies.rootPolicies || []).concat(policies.deletePolicies || []);
+      }
+
+      if (tenantHelper.isEnabled(model)) {
+        policies.push(restHapiPolicies.enforceTenant(model, Log));
+      }
+
+      if (accessRuleHelper.isEnabled(model)) {
+        policies.push(restHapiPolicies.enforceAccessRules(model, Log));
+      }
+
+      if (config.enableDocumentScopes && auth) {
+        policies.push(restHapiPolicies.enforceDocumentScopePre(model, Log));
+        policies.push(restHapiPolicies.enforceDocumentScopePost(model, Log));
+      }
+
+      if (config.enableDeletedBy && config.enableSoftDelete) {
+        policies.push(restHapiPolicies.addDeletedBy(model, Log));
+      }
+
+      if (config.enableAuditLog) {
+        policies.push(restHapiPolicies.logDelete(mongoose, model, Log));
+      }
+
+      if (rateLimitHelper.getOptions(model, 'delete')) {
+        policies.push(restHapiPolicies.enforceRateLimit(model, 'delete', Log));
+        policies.push(restHapiPolicies.addRateLimitHeaders(model, Log));
+      }
+
+      server.route({
+        method: 'DELETE',
+        path: '/' + resourceAliasForRoute,
+        config: {
+          handler: handler,
+          auth: auth,
+          cors: config.cors,
+          description: 'Delete multiple ' + collectionName + 's',
+          tags: ['api', collectionName],
+          validate: {
+            payload: payloadModel,
+            headers: headersValidation
+          },
+          plugins: {
+            'model': model,
+            'hapi-swagger': {
+              responseMessages: [
+                {code: 200, message: 'The resource was deleted successfully.'},
+                {code: 400, message: 'The request was malformed.'},
+                {
+                  code: 401,
+                  message: 'The authentication header was missing/malformed, or the token has expired.'
+                },
+                {code: 404, message: 'There was no resource found with that ID.'},
+                {code: 409, message: 'The resource is referenced by documents that restrict its deletion.'},
+                {code: 500, message: 'There was an unknown error.'},
+                {code: 503, message: 'There was a problem with the database.'}
+              ]
+            },
+            'policies': policies
+          },
+          response: {
+            //TODO: add a response schema if needed
+            // failAction: config.enableResponseFail ? 'error' : 'log',
+            //schema: model.readModel ? model.readModel : Joi.object().unknown().optional()
+          }
+        }
+      });
+    },
+
+    /**
+     * Creates an endpoint for POST /RESOURCE/{_id}/restore
+     * @param server: A Hapi server.
+     * @param model: A mongoose model.
+     * @param options: Options object.
+     * @param Log: A logging object.
+     */
+    generateRestoreOneEndpoint: function (server, model, options, Log) {
+      validationHelper.validateModel(model, Log);
+
+      var collectionName = model.collectionDisplayName || model.modelName;
+      Log = Log.bind(chalk.yellow("RestoreOne"));
+      if (config.logRoutes) {
+        Log.note("Generating Restore One endpoint for " + collectionName);
+      }
+
+      options = options || {};
+
+      var resourceAliasForRoute;
+
+      if (model.routeOptions) {
+        resourceAliasForRoute = model.routeOptions.alias || model.modelName;
+      }
+      else {
+        resourceAliasForRoute = model.modelName;
+      }
+
+      var handler = HandlerHelper.generateRestoreHandler(model, options, Log);
+
+      var readModel = joiMongooseHelper.generateJoiReadModel(model, Log);
+
+      if (!config.enableResponseValidation) {
+        var label = readModel._flags.label;
+        readModel = Joi.alternatives().try(readModel, Joi.any()).label(label);
+      }
+
+      var auth = false;
+
+      if (config.authStrategy && model.routeOptions.restoreAuth !== false) {
+        auth = {
+          strategy: config.authStrategy
+        };
+
+        var scope = authHelper.generateScopeForEndpoint(model, 'restore', Log);
+
+        if (!_.isEmpty(scope)) {
+          auth.scope = scope;
+          if (config.logScopes) {
+            Log.debug("Scope for POST/" + resourceAliasForRoute + "/{_id}/restore" + ":", scope);
+          }
+        }
+      }
+      else {
+        headersValidation = null;
+      }
+
+      var policies = [];
+
+      if (model.routeOptions.policies && config.enablePolicies) {
+        policies = model.routeOptions.policies;
+        policies = (policies.rootPolicies || []).concat(policies.restorePolicies || []);
+      }
+
+      if (tenantHelper.isEnabled(model)) {
+        policies.push(restHapiPolicies.enforceTenant(model, Log));
+      }
+
+      if (accessRuleHelper.isEnabled(model)) {
+        policies.push(restHapiPolicies.enforceAccessRules(model, Log));
+      }
+
+      if (config.enableDocumentScopes && auth) {
+        policies.push(restHapiPolicies.enforceDocumentScopePre(model, Log));
+        policies.push(restHapiPolicies.enforceDocumentScopePost(model, Log));
+      }
+
+      if (config.enableAuditLog) {
+        policies.push(restHapiPolicies.logRestore(mongoose, model, Log));
+      }
+
+      if (fieldScopeHelper.isEnabled(model)) {
+        policies.push(restHapiPolicies.enforceFieldScopePost(model, Log));
+      }
+
+      if (config.enableIdempotencyKeys) {
+        policies.push(restHapiPolicies.enforceIdempotency(mongoose, Log));
+        policies.push(restHapiPolicies.saveIdempotentResponse(mongoose, Log));
+        policies.push(restHapiPolicies.releaseIdempotencyKey(mongoose, Log));
+      }
+
+      if (rateLimitHelper.getOptions(model, 'restore')) {
+        policies.push(restHapiPolicies.enforceRateLimit(model, 'restore', Log));
+        policies.push(restHapiPolicies.addRateLimitHeaders(model, Log));
+      }
+
+      server.route({
+        method: 'POST',
+        path: '/' + resourceAliasForRoute + "/{_id}/restore",
+        config: {
+          handler: handler,
+          auth: auth,
+          cors: config.cors,
+          description: 'Restore a deleted ' + collectionName,
+          tags: ['api', collectionName],
+          validate: {
+            params: {
+              _id: Joi.objectId().required()
+            },
+            headers: headersValidation
+          },
+          plugins: {
+            'model': model,
+            'hapi-swagger': {
+              responseMessages: [
+                {code: 200, message: 'The resource was restored successfully.'},
+                {code: 400, message: 'The request was malformed.'},
+                {
+                  code: 401,
+                  message: 'The authentication header was missing/malformed, or the token has expired.'
+                },
+                {code: 404, message: 'There was no deleted resource found with that ID.'},
+                {code: 500, message: 'There was an unknown error.'},
+                {code: 503, message: 'There was a problem with the database.'}
+              ]
+            },
+            'policies': policies
+          },
+          response: {
+            failAction: config.enableResponseFail ? 'error' : 'log',
+            schema: readModel
+          }
+        }
+      });
+    },
+
+    /**
+     * Creates an endpoint for POST /RESOURCE/restore
+     * @param server: A Hapi server.
+     * @param model: A mongoose model.
+     * @param options: Options object.
+     * @param Log: A logging object.
+     */
+    generateRestoreManyEndpoint: function (server, model, options, Log) {
+      validationHelper.validateModel(model, Log);
+
+      var collectionName = model.collectionDisplayName || model.modelName;
+      Log = Log.bind(chalk.yellow("RestoreMany"));
+      if (config.logRoutes) {
+        Log.note("Generating Restore Many endpoint for " + collectionName);
+      }
+
+      options = options || {};
+
+      var resourceAliasForRoute;
+
+      if (model.routeOptions) {
+        resourceAliasForRoute = model.routeOptions.alias || model.modelName;
+      }
+      else {
+        resourceAliasForRoute = model.modelName;
+      }
+
+      var handler = HandlerHelper.generateRestoreHandler(model, options, Log);
+
+      var payloadModel = Joi.array().items(Joi.objectId()).min(1);
+
+      if (!config.enablePayloadValidation) {
+        payloadModel = Joi.alternatives().try(payloadModel, Joi.any());
+      }
+
+      var auth = false;
+
+      if (config.authStrategy && model.routeOptions.restoreAuth !== false) {
+        auth = {
+          strategy: config.authStrategy
+        };
+
+        var scope = authHelper.generateScopeForEndpoint(model, 'restore', Log);
+
+        if (!_.isEmpty(scope)) {
+          auth.scope = scope;
+          if (config.logScopes) {
+            Log.debug("Scope for POST/" + resourceAliasForRoute + "/restore" + ":", scope);
+          }
+        }
+      }
+      else {
+        headersValidation = null;
+      }
+
+      var policies = [];
+
+      if (model.routeOptions.policies && config.enablePolicies) {
+        policies = model.routeOptions.policies;
+        policies = (policies.rootPolicies || []).concat(policies.restorePolicies || []);
+      }
+
+      if (tenantHelper.isEnabled(model)) {
+        policies.push(restHapiPolicies.enforceTenant(model, Log));
+      }
+
+      if (accessRuleHelper.isEnabled(model)) {
+        policies.push(restHapiPolicies.enforceAccessRules(model, Log));
+      }
+
+      if (config.enableDocumentScopes && auth) {
+        policies.push(restHapiPolicies.enforceDocumentScopePre(model, Log));
+        policies.push(restHapiPolicies.enforceDocumentScopePost(model, Log));
+      }
+
+      if (config.enableAuditLog) {
+        policies.push(restHapiPolicies.logRestore(mongoose, model, Log));
+      }
+
+      if (config.enableIdempotencyKeys) {
+        policies.push(restHapiPolicies.enforceIdempotency(mongoose, Log));
+        policies.push(restHapiPolicies.saveIdempotentResponse(mongoose, Log));
+        policies.push(restHapiPolicies.releaseIdempotencyKey(mongoose, Log));
+      }
+
+      if (rateLimitHelper.getOptions(model, 'restore')) {
+        policies.push(restHapiPolicies.enforceRateLimit(model, 'restore', Log));
+        policies.push(restHapiPolicies.addRateLimitHeaders(model, Log));
+      }
+
+      server.route({
+        method: 'POST',
+        path: '/' + resourceAliasForRoute + "/restore",
+        config: {
+          handler: handler,
+          auth: auth,
+          cors: config.cors,
+          description: 'Restore multiple deleted ' + collectionName + 's',
+          tags: ['api', collectionName],
+          validate: {
+            payload: payloadModel,
+            headers: headersValidation
+          },
+          plugins: {
+            'model': model,
+            'hapi-swagger': {
+              responseMessages: [
+                {code: 204, message: 'The resources were restored successfully.'},
+                {code: 400, message: 'The request was malformed.'},
+                {
+                  code: 401,
+                  message: 'The authentication header was missing/malformed, or the token has expired.'
+                },
+                {code: 404, message: 'There was no deleted resource found with that ID.'},
+                {code: 500, message: 'There was an unknown error.'},
+                {code: 503, message: 'There was a problem with the database.'}
+              ]
+            },
+            'policies': policies
+          }
+        }
+      });
+    },
+
+    /**
+     * Creates an endpoint for GET /RESOURCE/{_id}/revisions
+     * @param server: A Hapi server.
+     * @param model: A mongoose model.
+     * @param options: Options object.
+     * @param Log: A logging object.
+     */
+    generateListRevisionsEndpoint: function (server, model, options, Log) {
+      validationHelper.validateModel(model, Log);
+
+      var collectionName = model.collectionDisplayName || model.modelName;
+      Log = Log.bind(chalk.yellow("ListRevisions"));
+      if (config.logRoutes) {
+        Log.note("Generating List Revisions endpoint for " + collectionName);
+      }
+
+      options = options || {};
+
+      var resourceAliasForRoute;
+
+      if (model.routeOptions) {
+        resourceAliasForRoute = model.routeOptions.alias || model.modelName;
+      }
+      else {
+        resourceAliasForRoute = model.modelName;
+      }
+
+      var handler = HandlerHelper.generateListRevisionsHandler(model, options, Log);
+
+      var readModel = revisionHelper.generateJoiReadModel(model, false);
+      var label = readModel._flags.label;
+      readModel = Joi.array().items(readModel).label(label.replace(/Model$/, "ListModel"));
+
+      if (!config.enableResponseValidation) {
+        label = readModel._flags.label;
+        readModel = Joi.alternatives().try(readModel, Joi.any()).label(label);
+      }
+
+      var auth = false;
+
+      if (config.authStrategy && model.routeOptions.readAuth !== false) {
+        auth = {
+          strategy: config.authStrategy
+        };
+
+        var scope = authHelper.generateScopeForEndpoint(model, 'read', Log);
+
+        if (!_.isEmpty(scope)) {
+          auth.scope = scope;
+          if (config.logScopes) {
+            Log.debug("Scope for GET/" + resourceAliasForRoute + '/{_id}/revisions' + ":", scope);
+          }
+        }
+      }
+      else {
+        headersValidation = null;
+      }
+
+      var policies = [];
+
+      if (model.routeOptions.policies && config.enablePolicies) {
+        policies = model.routeOptions.policies;
+        policies = (policies.rootPolicies || []).concat(policies.readPolicies || []);
+      }
+
+      if (tenantHelper.isEnabled(model)) {
+        policies.push(restHapiPolicies.enforceTenant(model, Log));
+      }
+
+      if (accessRuleHelper.isEnabled(model)) {
+        policies.push(restHapiPolicies.enforceAccessRules(model, Log));
+      }
+
+      if (config.enableDocumentScopes && auth) {
+        policies.push(restHapiPolicies.enforceDocumentScopePre(model, Log));
+      }
+
+      if (rateLimitHelper.getOptions(model, 'read')) {
+        policies.push(restHapiPolicies.enforceRateLimit(model, 'read', Log));
+        policies.push(restHapiPolicies.addRateLimitHeaders(model, Log));
+      }
+
+      server.route({
+        method: 'GET',
+        path: '/' + resourceAliasForRoute + '/{_id}/revisions',
+        config: {
+          handler: handler,
+          auth: auth,
+          description: 'Get the revision history of a ' + collectionName,
+          tags: ['api', collectionName],
+          cors: config.cors,
+          validate: {
+            params: {
+              _id: Joi.objectId().required()
+            },
+            headers: headersValidation
+          },
+          plugins: {
+            'model': model,
+            'hapi-swagger': {
+              responseMessages: [
+                {code: 200, message: 'The revisions were found successfully.'},
+                {code: 400, message: 'The request was malformed.'},
+                {
+                  code: 401,
+                  message: 'The authentication header was missing/malformed, or the token has expired.'
+                },
+                {code: 404, message: 'There were no revisions found for that ID.'},
+                {code: 500, message: 'There was an unknown error.'},
+                {code: 503, message: 'There was a problem with the database.'}
+              ]
+            },
+            'policies': policies
+          },
+          response: {
+            failAction: config.enableResponseFail ? 'error' : 'log',
+            schema: readModel
+          }
+        }
+      });
+    },
+
+    /**
+     * Creates an endpoint for GET /RESOURCE/{_id}/revisions/{revision}
+     * @param server: A Hapi server.
+     * @param model: A mongoose model.
+     * @param options: Options object.
+     * @param Log: A logging object.
+     */
+    generateFindRevisionEndpoint: function (server, model, options, Log) {
+      validationHelper.validateModel(model, Log);
+
+      var collectionName = model.collectionDisplayName || model.modelName;
+      Log = Log.bind(chalk.yellow("FindRevision"));
+      if (config.logRoutes) {
+        Log.note("Generating Find Revision endpoint for " + collectionName);
+      }
+
+      options = options || {};
+
+      var resourceAliasForRoute;
+
+      if (model.routeOptions) {
+        resourceAliasForRoute = model.routeOptions.alias || model.modelName;
+      }
+      else {
+        resourceAliasForRoute = model.modelName;
+      }
+
+      var handler = HandlerHelper.generateFindRevisionHandler(model, options, Log);
+
+      var readModel = revisionHelper.generateJoiReadModel(model, true);
+
+      if (!config.enableResponseValidation) {
+        var label = readModel._flags.label;
+        readModel = Joi.alternatives().try(readModel, Joi.any()).label(label);
+      }
+
+      var auth = false;
+
+      if (config.authStrategy && model.routeOptions.readAuth !== false) {
+        auth = {
+          strategy: config.authStrategy
+        };
+
+        var scope = authHelper.generateScopeForEndpoint(model, 'read', Log);
+
+        if (!_.isEmpty(scope)) {
+          auth.scope = scope;
+          if (config.logScopes) {
+            Log.debug("Scope for GET/" + resourceAliasForRoute + '/{_id}/revisions/{revision}' + ":", scope);
+          }
+        }
+      }
+      else {
+        headersValidation = null;
+      }
+
+      var policies = [];
+
+      if (model.routeOptions.policies && config.enablePolicies) {
+        policies = model.routeOptions.policies;
+        policies = (policies.rootPolicies || []).concat(policies.readPolicies || []);
+      }
+
+      if (tenantHelper.isEnabled(model)) {
+        policies.push(restHapiPolicies.enforceTenant(model, Log));
+      }
+
+      if (accessRuleHelper.isEnabled(model)) {
+        policies.push(restHapiPolicies.enforceAccessRules(model, Log));
+      }
+
+      if (config.enableDocumentScopes && auth) {
+        policies.push(restHapiPolicies.enforceDocumentScopePre(model, Log));
+      }
+
+      if (fieldScopeHelper.isEnabled(model)) {
+        policies.push(restHapiPolicies.enforceFieldScopePost(model, Log));
+      }
+
+      if (rateLimitHelper.getOptions(model, 'read')) {
+        policies.push(restHapiPolicies.enforceRateLimit(model, 'read', Log));
+        policies.push(restHapiPolicies.addRateLimitHeaders(model, Log));
+      }
+
+      server.route({
+        method: 'GET',
+        path: '/' + resourceAliasForRoute + '/{_id}/revisions/{revision}',
+        config: {
+          handler: handler,
+          auth: auth,
+          description: 'Get a revision of a ' + collectionName + ' and its differences from the current version',
+          tags: ['api', collectionName],
+          cors: config.cors,
+          validate: {
+            params: {
+              _id: Joi.objectId().required(),
+              revision: Joi.number().integer().min(1).required()
+            },
+            headers: headersValidation
+          },
+          plugins: {
+            'model': model,
+            'hapi-swagger': {
+              responseMessages: [
+                {code: 200, message: 'The revision was found successfully.'},
+                {code: 400, message: 'The request was malformed.'},
+                {
+                  code: 401,
+                  message: 'The authentication header was missing/malformed, or the token has expired.'
+                },
+                {code: 404, message: 'There was no revision found with that number.'},
+                {code: 500, message: 'There was an unknown error.'},
+                {code: 503, message: 'There was a problem with the database.'}
+              ]
+            },
+            'policies': policies
+          },
+          response: {
+            failAction: config.enableResponseFail ? 'error' : 'log',
+            schema: readModel
+          }
+        }
+      });
+    },
+
+    /**
+     * Creates an endpoint for POST /RESOURCE/{_id}/revisions/{revision}/revert
+     * @param server: A Hapi server.
+     * @param model: A mongoose model.
+     * @param options: Options object.
+     * @param Log: A logging object.
+     */
+    generateRevertEndpoint: function (server, model, options, Log) {
+      validationHelper.validateModel(model, Log);
+
+      var collectionName = model.collectionDisplayName || model.modelName;
+      Log = Log.bind(chalk.yellow("Revert"));
+      if (config.logRoutes) {
+        Log.note("Generating Revert endpoint for " + collectionName);
+      }
+
+      options = options || {};
+
+      var resourceAliasForRoute;
+
+      if (model.routeOptions) {
+        resourceAliasForRoute = model.routeOptions.alias || model.modelName;
+      }
+      else {
+        resourceAliasForRoute = model.modelName;
+      }
+
+      var handler = HandlerHelper.generateRevertHandler(model, options, Log);
+
+      var readModel = joiMongooseHelper.generateJoiReadModel(model, Log);
+
+      if (!config.enableResponseValidation) {
+        var label = readModel._flags.label;
+        readModel = Joi.alternatives().try(readModel, Joi.any()).label(label);
+      }
+
+      var auth = false;
+
+      if (config.authStrategy && model.routeOptions.updateAuth !== false) {
+        auth = {
+          strategy: config.authStrategy
+        };
+
+        var scope = authHelper.generateScopeForEndpoint(model, 'update', Log);
+
+        if (!_.isEmpty(scope)) {
+          auth.scope = scope;
+          if (config.logScopes) {
+            Log.debug("Scope for POST/" + resourceAliasForRoute + '/{_id}/revisions/{revision}/revert' + ":", scope);
+          }
+        }
+      }
+      else {
+        headersValidation = null;
+      }
+
+      var policies = [];
+
+      if (model.routeOptions.policies && config.enablePolicies) {
+        policies = model.routeOptions.policies;
+        policies = (policies.rootPolicies || []).concat(policies.updatePolicies || []);
+      }
+
+      if (tenantHelper.isEnabled(model)) {
+        policies.push(restHapiPolicies.enforceTenant(model, Log));
+      }
+
+      if (accessRuleHelper.isEnabled(model)) {
+        policies.push(restHapiPolicies.enforceAccessRules(model, Log));
+      }
+
+      if (config.enableDocumentScopes && auth) {
+        policies.push(restHapiPolicies.enforceDocumentScopePre(model, Log));
+      }
+
+      if (versionHelper.getVersionField(model)) {
+        policies.push(restHapiPolicies.enforceVersion(model, Log));
+        policies.push(restHapiPolicies.addVersionHeader(model, Log));
+      }
+
+      if (config.enableAuditLog) {
+        policies.push(restHapiPolicies.logRevert(mongoose, model, Log));
+      }
+
+      if (fieldScopeHelper.isEnabled(model)) {
+        policies.push(restHapiPolicies.enforceFieldScopePost(model, Log));
+      }
+
+      if (config.enableIdempotencyKeys) {
+        policies.push(restHapiPolicies.enforceIdempotency(mongoose, Log));
+        policies.push(restHapiPolicies.saveIdempotentResponse(mongoose, Log));
+        policies.push(restHapiPolicies.releaseIdempotencyKey(mongoose, Log));
+      }
+
+      if (rateLimitHelper.getOptions(model, 'update')) {
+        policies.push(restHapiPolicies.enforceRateLimit(model, 'update', Log));
+        policies.push(restHapiPolicies.addRateLimitHeaders(model, Log));
+      }
+
+      server.route({
+        method: 'POST',
+        path: '/' + resourceAliasForRoute + '/{_id}/revisions/{revision}/revert',
+        config: {
+          handler: handler,
+          auth: auth,
+          cors: config.cors,
+          description: 'Revert a ' + collectionName + ' to one of its revisions',
+          tags: ['api', collectionName],
+          validate: {
+            params: {
+              _id: Joi.objectId().required(),
+              revision: Joi.number().integer().min(1).required()
+            },
+            query: versionHelper.generateJoiQueryModel(model),
+            headers: versionHelper.generateJoiHeadersModel(model, headersValidation)
+          },
+          plugins: {
+            'model': model,
+            'hapi-swagger': {
+              responseMessages: [
+                {code: 200, message: 'The resource was reverted successfully.'},
+                {code: 400, message: 'The request was malformed.'},
+                {
+                  code: 401,
+                  message: 'The authentication header was missing/malformed, or the token has expired.'
+                },
+                {code: 404, message: 'There was no revision found with that number.'},
+                {code: 500, message: 'There was an unknown error.'},
+                {code: 503, message: 'There was a problem with the database.'}
+              ].concat(versionHelper.getResponseMessages(model))
+            },
+            'policies': policies
+          },
+          response: {
+            failAction: config.enableResponseFail ? 'error' : 'log',
+            schema: readModel
+          }
+        }
+      });
+    },
+
+    /**
+     * Creates an endpoint for GET /RESOURCE/{_id}/scope
+     * @param server: A Hapi server.
+     * @param model: A mongoose model.
+     * @param options: Options object.
+     * @param Log: A logging object.
+     */
+    generateFindScopeEndpoint: function (server, model, options, Log) {
+      validationHelper.validateModel(model, Log);
+
+      var collectionName = model.collectionDisplayName || model.modelName;
+      Log = Log.bind(chalk.yellow("Find Scope"));
+      if (config.logRoutes) {
+        Log.note("Generating Find Scope endpoint for " + collectionName);
+      }
+
+      options = options || {};
+
+      var resourceAliasForRoute;
+
+      if (model.routeOptions) {
+        resourceAliasForRoute = model.routeOptions.alias || model.modelName;
+      }
+      else {
+        resourceAliasForRoute = model.modelName;
+      }
+
+      var handler = HandlerHelper.generateFindScopeHandler(model, options, Log);
+
+      var scopeModel = generateJoiScopeModel(collectionName);
+
+      if (!config.enableResponseValidation) {
+        var label = scopeModel._flags.label;
+        scopeModel = Joi.alternatives().try(scopeModel, Joi.any()).label(label);
+      }
+
+      var auth = false;
+
+      if (config.authStrategy && model.routeOptions.shareAuth !== false) {
+        auth = {
+          strategy: config.authStrategy
+        };
+
+        var scope = authHelper.generateScopeForEndpoint(model, 'share', Log);
+
+        if (!_.isEmpty(scope)) {
+          auth.scope = scope;
+          if (config.logScopes) {
+            Log.debug("Scope for GET/" + resourceAliasForRoute + '/{_id}/scope' + ":", scope);
+          }
+        }
+      }
+      else {
+        headersValidation = null;
+      }
+
+      var policies = [];
+
+      if (model.routeOptions.policies && config.enablePolicies) {
+        policies = model.routeOptions.policies;
+        policies = (policies.rootPolicies || []).concat(policies.sharePolicies || []);
+      }
+
+      if (tenantHelper.isEnabled(model)) {
+        policies.push(restHapiPolicies.enforceTenant(model, Log));
+      }
+
+      if (accessRuleHelper.isEnabled(model)) {
+        policies.push(restHapiPolicies.enforceAccessRules(model, Log));
+      }
+
+      if (config.enableDocumentScopes && auth) {
+        policies.push(restHapiPolicies.enforceDocumentScopePre(model, Log));
+      }
+
+      if (rateLimitHelper.getOptions(model, 'read')) {
+        policies.push(restHapiPolicies.enforceRateLimit(model, 'read', Log));
+        policies.push(restHapiPolicies.addRateLimitHeaders(model, Log));
+      }
+
+      server.route({
+        method: 'GET',
+        path: '/' + resourceAliasForRoute + '/{_id}/scope',
+        config: {
+          handler: handler,
+          auth: auth,
+          cors: config.cors,
+          description: 'Get the document scope of a ' + collectionName,
+          tags: ['api', collectionName],
+          validate: {
+            params: {
+              _id: Joi.objectId().required()
+            },
+            headers: headersValidation
+          },
+          plugins: {
+            'model': model,
+            'hapi-swagger': {
+              responseMessages: [
+                {code: 200, message: "The resource's document scope was retrieved successfully."},
+                {code: 400, message: 'The request was malformed.'},
+                {
+                  code: 401,
+                  message: 'The authentication header was missing/malformed, or the token has expired.'
+                },
+                {code: 403, message: 'The user does not have the scope to share the resource.'},
+                {code: 404, message: 'There was no resource found with that ID.'},
+                {code: 500, message: 'There was an unknown error.'},
+                {code: 503, message: 'There was a problem with the database.'}
+              ]
+            },
+            'policies': policies
+          },
+          response: {
+            failAction: config.enableResponseFail ? 'error' : 'log',
+            schema: scopeModel
+          }
+        }
+      });
+    },
+
+    /**
+     * Creates an endpoint for POST /RESOURCE/{_id}/scope/{action}
+     * @param server: A Hapi server.
+     * @param model: A mongoose model.
+     * @param options: Options object.
+     * @param Log: A logging object.
+     */
+    generateAddScopeEndpoint: function (server, model, options, Log) {
+      validationHelper.validateModel(model, Log);
+
+      var collectionName = model.collectionDisplayName || model.modelName;
+      Log = Log.bind(chalk.yellow("Add Scope"));
+      if (config.logRoutes) {
+        Log.note("Generating Add Scope endpoint for " + collectionName);
+      }
+
+      options = options || {};
+
+      var resourceAliasForRoute;
+
+      if (model.routeOptions) {
+        resourceAliasForRoute = model.routeOptions.alias || model.modelName;
+      }
+      else {
+        resourceAliasForRoute = model.modelName;
+      }
+
+      var handler = HandlerHelper.generateAddScopeHandler(model, options, Log);
+
+      var scopeModel = generateJoiScopeModel(collectionName);
+
+      if (!config.enableResponseValidation) {
+        var label = scopeModel._flags.label;
+        scopeModel = Joi.alternatives().try(scopeModel, Joi.any()).label(label);
+      }
+
+      var auth = false;
+
+      if (config.authStrategy && model.routeOptions.shareAuth !== false) {
+        auth = {
+          strategy: config.authStrategy
+        };
+
+        var scope = authHelper.generateScopeForEndpoint(model, 'share', Log);
+
+        if (!_.isEmpty(scope)) {
+          auth.scope = scope;
+          if (config.logScopes) {
+            Log.debug("Scope for POST/" + resourceAliasForRoute + '/{_id}/scope/{action}' + ":", scope);
+          }
+        }
+      }
+      else {
+        headersValidation = null;
+      }
+
+      var policies = [];
+
+      if (model.routeOptions.policies && config.enablePolicies) {
+        policies = model.routeOptions.policies;
+        policies = (policies.rootPolicies || []).concat(policies.sharePolicies || []);
+      }
+
+      if (tenantHelper.isEnabled(model)) {
+        policies.push(restHapiPolicies.enforceTenant(model, Log));
+      }
+
+      if (accessRuleHelper.isEnabled(model)) {
+        policies.push(restHapiPolicies.enforceAccessRules(model, Log));
+      }
+
+      if (config.enableDocumentScopes && auth) {
+        policies.push(restHapiPolicies.enforceDocumentScopePre(model, Log));
+      }
+
+      if (config.enableAuditLog) {
+        policies.push(restHapiPolicies.logShare(mongoose, model, Log));
+      }
+
+      if (rateLimitHelper.getOptions(model, 'update')) {
+        policies.push(restHapiPolicies.enforceRateLimit(model, 'update', Log));
+        policies.push(restHapiPolicies.addRateLimitHeaders(model, Log));
+      }
+
+      server.route({
+        method: 'POST',
+        path: '/' + resourceAliasForRoute + '/{_id}/scope/{action}',
+        config: {
+          handler: handler,
+          auth: auth,
+          cors: config.cors,
+          description: 'Grant an action on a ' + collectionName + ' to a list of scope values',
+          tags: ['api', collectionName],
+          validate: {
+            params: {
+              _id: Joi.objectId().required(),
+              action: Joi.string().valid(shareableActions).required()
+            },
+            payload: Joi.array().items(Joi.string()).min(1).required().label(collectionName + "ScopeValuesModel"),
+            headers: headersValidation
+          },
+          plugins: {
+            'model': model,
+            'hapi-swagger': {
+              responseMessages: [
+                {code: 200, message: "The resource was shared successfully."},
+                {code: 400, message: 'The request was malformed.'},
+                {
+                  code: 401,
+                  message: 'The authentication header was missing/malformed, or the token has expired.'
+                },
+                {code: 403, message: 'The user does not have the scope to share the resource.'},
+                {code: 404, message: 'There was no resource found with that ID.'},
+                {code: 500, message: 'There was an unknown error.'},
+                {code: 503, message: 'There was a problem with the database.'}
+              ]
+            },
+            'policies': policies
+          },
+          response: {
+            failAction: config.enableResponseFail ? 'error' : 'log',
+            schema: scopeModel
+          }
+        }
+      });
+    },
+
+    /**
+     * Creates an endpoint for DELETE /RESOURCE/{_id}/scope/{action}/{scopeValue}
+     * @param server: A Hapi server.
+     * @param model: A mongoose model.
+     * @param options: Options object.
+     * @param Log: A logging object.
+     */
+    generateRemoveScopeEndpoint: function (server, model, options, Log) {
+      validationHelper.validateModel(model, Log);
+
+      var collectionName = model.collectionDisplayName || model.modelName;
+      Log = Log.bind(chalk.yellow("Remove Scope"));
+      if (config.logRoutes) {
+        Log.note("Generating Remove Scope endpoint for " + collectionName);
+      }
+
+      options = options || {};
+
+      var resourceAliasForRoute;
+
+      if (model.routeOptions) {
+        resourceAliasForRoute = model.routeOptions.alias || model.modelName;
+      }
+      else {
+        resourceAliasForRoute = model.modelName;
+      }
+
+      var handler = HandlerHelper.generateRemoveScopeHandler(model, options, Log);
+
+      var scopeModel = generateJoiScopeModel(collectionName);
+
+      if (!config.enableResponseValidation) {
+        var label = scopeModel._flags.label;
+        scopeModel = Joi.alternatives().try(scopeModel, Joi.any()).label(label);
+      }
+
+      var auth = false;
+
+      if (config.authStrategy && model.routeOptions.shareAuth !== false) {
+        auth = {
+          strategy: config.authStrategy
+        };
+
+        var scope = authHelper.generateScopeForEndpoint(model, 'share', Log);
+
+        if (!_.isEmpty(scope)) {
+          auth.scope = scope;
+          if (config.logScopes) {
+            Log.debug("Scope for DELETE/" + resourceAliasForRoute + '/{_id}/scope/{action}/{scopeValue}' + ":", scope);
+          }
+        }
+      }
+      else {
+        headersValidation = null;
+      }
+
+      var policies = [];
+
+      if (model.routeOptions.policies && config.enablePolicies) {
+        policies = model.routeOptions.policies;
+        policies = (policies.rootPolicies || []).concat(policies.sharePolicies || []);
+      }
+
+      if (tenantHelper.isEnabled(model)) {
+        policies.push(restHapiPolicies.enforceTenant(model, Log));
+      }
+
+      if (accessRuleHelper.isEnabled(model)) {
+        policies.push(restHapiPolicies.enforceAccessRules(model, Log));
+      }
+
+      if (config.enableDocumentScopes && auth) {
+        policies.push(restHapiPolicies.enforceDocumentScopePre(model, Log));
+      }
+
+      if (config.enableAuditLog) {
+        policies.push(restHapiPolicies.logShare(mongoose, model, Log));
+      }
+
+      if (rateLimitHelper.getOptions(model, 'update')) {
+        policies.push(restHapiPolicies.enforceRateLimit(model, 'update', Log));
+        policies.push(restHapiPolicies.addRateLimitHeaders(model, Log));
+      }
+
+      server.route({
+        method: 'DELETE',
+        path: '/' + resourceAliasForRoute + '/{_id}/scope/{action}/{scopeValue}',
+        config: {
+          handler: handler,
+          auth: auth,
+          cors: config.cors,
+          description: 'Revoke an action on a ' + collectionName + ' from a scope value',
+          tags: ['api', collectionName],
+          validate: {
+            params: {
+              _id: Joi.objectId().required(),
+              action: Joi.string().valid(shareableActions).required(),
+              scopeValue: Joi.string().required()
+            },
+            headers: headersValidation
+          },
+          plugins: {
+            'model': model,
+            'hapi-swagger': {
+              responseMessages: [
+                {code: 200, message: "The resource was unshared successfully."},
+                {code: 400, message: 'The request was malformed.'},
+                {
+                  code: 401,
+                  message: 'The authentication header was missing/malformed, or the token has expired.'
+                },
+                {code: 403, message: 'The user does not have the scope to share the resource.'},
+                {code: 404, message: 'There was no resource found with that ID.'},
+                {code: 500, message: 'There was an unknown error.'},
+                {code: 503, message: 'There was a problem with the database.'}
+              ]
+            },
+            'policies': policies
+          },
+          response: {
+            failAction: config.enableResponseFail ? 'error' : 'log',
+            schema: scopeModel
+          }
+        }
+      });
+    },
+
+    /**
+     * Creates an endpoint for PUT /RESOURCE/{_id}
+     * @param server: A Hapi server.
+     * @param model: A mongoose model.
+     * @param options: Options object.
+     * @param Log: A logging object.
+     */
+    generateUpdateEndpoint: function (server, model, options, Log) {
+      validationHelper.validateModel(model, Log);
+
+      var collectionName = model.collectionDisplayName || model.modelName;
+      Log = Log.bind(chalk.yellow("Update"));
+      if (config.logRoutes) {
+        Log.note("Generating Update endpoint for " + collectionName);
+      }
+
+      options = options || {};
+
+      var resourceAliasForRoute;
+
+      if (model.routeOptions) {
+        resourceAliasForRoute = model.routeOptions.alias || model.modelName;
+      }
+      else {
+        resourceAliasForRoute = model.modelName;
+      }
+
+      var handler = HandlerHelper.generateUpdateHandler(model, options, Log);
+
+      var updateModel = joiMongooseHelper.generateJoiUpdateModel(model, Log);
+
+      if (!config.enablePayloadValidation) {
+        var label =  updateModel._flags.label;
+        updateModel = Joi.alternatives().try(updateModel, Joi.any()).label(label);
+      }
+
+      var readModel = joiMongooseHelper.generateJoiReadModel(model, Log);
+
+      if (!config.enableResponseValidation) {
+        var label =  readModel._flags.label;
+        readModel = Joi.alternatives().try(readModel, Joi.any()).label(label);
+      }
+
+      var auth = false;
+
+      if (config.authStrategy && model.routeOptions.updateAuth !== false) {
+        auth = {
+          strategy: config.authStrategy
+        };
+
+        var scope = authHelper.generateScopeForEndpoint(model, 'update', Log);
+
+        if (!_.isEmpty(scope)) {
+          auth.scope = scope;
+          if (config.logScopes) {
+            Log.debug("Scope for PUT/" + resourceAliasForRoute + '/{_id}' + ":", scope);
+          }
+        }
+      }
+      else {
+        headersValidation = null;
+      }
+
+      var policies = [];
+
+      if (model.routeOptions.policies && config.enablePolicies) {
+        policies = model.routeOptions.policies;
+        policies = (policies.rootPolicies || []).concat(policies.updatePolicies || []);
+      }
+
+      if (tenantHelper.isEnabled(model)) {
+        policies.push(restHapiPolicies.enforceTenant(model, Log));
+      }
+
+      if (accessRuleHelper.isEnabled(model)) {
+        policies.push(restHapiPolicies.enforceAccessRules(model, Log));
       }
 
       if (config.enableDocumentScopes && auth) {
@@ -668,32 +2351,58 @@ module.exports = function (logger, mongoose, server) {
         policies.push(restHapiPolicies.enforceDocumentScopePost(model, Log));
       }
 
-      if (config.enableDeletedBy && config.enableSoftDelete) {
-        policies.push(restHapiPolicies.addDeletedBy(model, Log));
+      if (versionHelper.getVersionField(model)) {
+        policies.push(restHapiPolicies.enforceVersion(model, Log));
+        policies.push(restHapiPolicies.addVersionHeader(model, Log));
+      }
+
+      if (config.enableUpdatedBy) {
+        policies.push(restHapiPolicies.addUpdatedBy(model, Log));
+      }
+
+      if (config.enableDuplicateFields) {
+        policies.push(restHapiPolicies.populateDuplicateFields(model, mongoose, Log));
+        if (config.trackDuplicatedFields) {
+          policies.push(restHapiPolicies.trackDuplicatedFields(model, mongoose, Log));
+        }
       }
 
       if (config.enableAuditLog) {
-        policies.push(restHapiPolicies.logDelete(mongoose, model, Log));
+        policies.push(restHapiPolicies.logUpdate(mongoose, model, Log));
+      }
+
+      if (fieldScopeHelper.isEnabled(model)) {
+        policies.push(restHapiPolicies.enforceFieldScopePre(model, Log));
+        policies.push(restHapiPolicies.enforceFieldScopePost(model, Log));
+      }
+
+      if (rateLimitHelper.getOptions(model, 'update')) {
+        policies.push(restHapiPolicies.enforceRateLimit(model, 'update', Log));
+        policies.push(restHapiPolicies.addRateLimitHeaders(model, Log));
       }
 
       server.route({
-        method: 'DELETE',
-        path: '/' + resourceAliasForRoute,
+        method: 'PUT',
+        path: '/' + resourceAliasForRoute + '/{_id}',
         config: {
           handler: handler,
           auth: auth,
           cors: config.cors,
-          description: 'Delete multiple ' + collectionName + 's',
+          description: 'Update a ' + collectionName,
           tags: ['api', collectionName],
           validate: {
-            payload: payloadModel,
-            headers: headersValidation
+            params: {
+              _id: Joi.objectId().required()
+            },
+            payload: updateModel,
+            query: versionHelper.generateJoiQueryModel(model),
+            headers: versionHelper.generateJoiHeadersModel(model, headersValidation)
           },
           plugins: {
             'model': model,
             'hapi-swagger': {
               responseMessages: [
-                {code: 200, message: 'The resource was deleted successfully.'},
+                {code: 200, message: 'The resource was updated successfully.'},
                 {code: 400, message: 'The request was malformed.'},
                 {
                   code: 401,
@@ -702,33 +2411,32 @@ module.exports = function (logger, mongoose, server) {
                 {code: 404, message: 'There was no resource found with that ID.'},
                 {code: 500, message: 'There was an unknown error.'},
                 {code: 503, message: 'There was a problem with the database.'}
-              ]
+              ].concat(versionHelper.getResponseMessages(model))
             },
             'policies': policies
           },
           response: {
-            //TODO: add a response schema if needed
-            // failAction: config.enableResponseFail ? 'error' : 'log',
-            //schema: model.readModel ? model.readModel : Joi.object().unknown().optional()
+            failAction: config.enableResponseFail ? 'error' : 'log',
+            schema: readModel
           }
         }
       });
     },
 
     /**
-     * Creates an endpoint for PUT /RESOURCE/{_id}
+     * Creates an endpoint for PATCH /RESOURCE/{_id}
      * @param server: A Hapi server.
      * @param model: A mongoose model.
      * @param options: Options object.
      * @param Log: A logging object.
      */
-    generateUpdateEndpoint: function (server, model, options, Log) {
+    generatePatchEndpoint: function (server, model, options, Log) {
       validationHelper.validateModel(model, Log);
 
       var collectionName = model.collectionDisplayName || model.modelName;
-      Log = Log.bind(chalk.yellow("Update"));
+      Log = Log.bind(chalk.yellow("Patch"));
       if (config.logRoutes) {
-        Log.note("Generating Update endpoint for " + collectionName);
+        Log.note("Generating Patch endpoint for " + collectionName);
       }
 
       options = options || {};
@@ -742,7 +2450,9 @@ module.exports = function (logger, mongoose, server) {
         resourceAliasForRoute = model.modelName;
       }
 
-      var handler = HandlerHelper.generateUpdateHandler(model, options, Log);
+      var handler = HandlerHelper.generatePatchHandler(model, options, Log);
+
+      var patchModel = patchHelper.generateJoiPatchModel(model, Log);
 
       var updateModel = joiMongooseHelper.generateJoiUpdateModel(model, Log);
 
@@ -770,7 +2480,7 @@ module.exports = function (logger, mongoose, server) {
         if (!_.isEmpty(scope)) {
           auth.scope = scope;
           if (config.logScopes) {
-            Log.debug("Scope for PUT/" + resourceAliasForRoute + '/{_id}' + ":", scope);
+            Log.debug("Scope for PATCH/" + resourceAliasForRoute + '/{_id}' + ":", scope);
           }
         }
       }
@@ -785,11 +2495,24 @@ module.exports = function (logger, mongoose, server) {
         policies = (policies.rootPolicies || []).concat(policies.updatePolicies || []);
       }
 
+      if (tenantHelper.isEnabled(model)) {
+        policies.push(restHapiPolicies.enforceTenant(model, Log));
+      }
+
+      if (accessRuleHelper.isEnabled(model)) {
+        policies.push(restHapiPolicies.enforceAccessRules(model, Log));
+      }
+
       if (config.enableDocumentScopes && auth) {
         policies.push(restHapiPolicies.enforceDocumentScopePre(model, Log));
         policies.push(restHapiPolicies.enforceDocumentScopePost(model, Log));
       }
 
+      if (versionHelper.getVersionField(model)) {
+        policies.push(restHapiPolicies.enforceVersion(model, Log));
+        policies.push(restHapiPolicies.addVersionHeader(model, Log));
+      }
+
       if (config.enableUpdatedBy) {
         policies.push(restHapiPolicies.addUpdatedBy(model, Log));
       }
@@ -805,36 +2528,53 @@ module.exports = function (logger, mongoose, server) {
         policies.push(restHapiPolicies.logUpdate(mongoose, model, Log));
       }
 
+      if (fieldScopeHelper.isEnabled(model)) {
+        policies.push(restHapiPolicies.enforceFieldScopePre(model, Log));
+        policies.push(restHapiPolicies.enforceFieldScopePost(model, Log));
+      }
+
+      if (rateLimitHelper.getOptions(model, 'update')) {
+        policies.push(restHapiPolicies.enforceRateLimit(model, 'update', Log));
+        policies.push(restHapiPolicies.addRateLimitHeaders(model, Log));
+      }
+
       server.route({
-        method: 'PUT',
+        method: 'PATCH',
         path: '/' + resourceAliasForRoute + '/{_id}',
         config: {
           handler: handler,
           auth: auth,
           cors: config.cors,
-          description: 'Update a ' + collectionName,
+          description: 'Patch a ' + collectionName + ' with JSON Patch operations',
           tags: ['api', collectionName],
           validate: {
             params: {
               _id: Joi.objectId().required()
             },
-            payload: updateModel,
-            headers: headersValidation
+            //EXPL: the operations are replaced by the (validated) patched fields in the "onPostAuth" event
+            payload: Joi.alternatives().try(patchModel, updateModel).label(patchModel._flags.label),
+            query: versionHelper.generateJoiQueryModel(model),
+            headers: versionHelper.generateJoiHeadersModel(model, headersValidation)
+          },
+          ext: {
+            onPostAuth: { method: HandlerHelper.generatePatchPayloadHandler(model, Log) }
           },
           plugins: {
             'model': model,
             'hapi-swagger': {
+              consumes: ['application/json', 'application/json-patch+json'],
               responseMessages: [
-                {code: 200, message: 'The resource was updated successfully.'},
+                {code: 200, message: 'The resource was patched successfully.'},
                 {code: 400, message: 'The request was malformed.'},
                 {
                   code: 401,
                   message: 'The authentication header was missing/malformed, or the token has expired.'
                 },
                 {code: 404, message: 'There was no resource found with that ID.'},
+                {code: 409, message: 'A "test" operation failed.'},
                 {code: 500, message: 'There was an unknown error.'},
                 {code: 503, message: 'There was a problem with the database.'}
-              ]
+              ].concat(versionHelper.getResponseMessages(model))
             },
             'policies': policies
           },
@@ -922,15 +2662,36 @@ module.exports = function (logger, mongoose, server) {
         policies = (policies.rootPolicies || []).concat(policies.associatePolicies || []);
       }
 
+      if (tenantHelper.isEnabled(ownerModel)) {
+        policies.push(restHapiPolicies.enforceTenant(ownerModel, Log));
+      }
+
+      if (accessRuleHelper.isEnabled(ownerModel)) {
+        policies.push(restHapiPolicies.enforceAccessRules(ownerModel, Log));
+      }
+
+      if (tenantHelper.isEnabled(childModel)) {
+        policies.push(restHapiPolicies.enforceTenantAssociation(childModel, Log));
+      }
+
       if (config.enableDocumentScopes && auth) {
         policies.push(restHapiPolicies.enforceDocumentScopePre(ownerModel, Log));
         policies.push(restHapiPolicies.enforceDocumentScopePost(ownerModel, Log));
       }
 
+      if (versionHelper.getVersionField(ownerModel)) {
+        policies.push(restHapiPolicies.enforceVersion(ownerModel, Log));
+      }
+
       if (config.enableAuditLog) {
         policies.push(restHapiPolicies.logAdd(mongoose, ownerModel, childModel, association.type, Log));
       }
 
+      if (rateLimitHelper.getOptions(ownerModel, 'associate')) {
+        policies.push(restHapiPolicies.enforceRateLimit(ownerModel, 'associate', Log));
+        policies.push(restHapiPolicies.addRateLimitHeaders(ownerModel, Log));
+      }
+
       server.route({
         method: 'PUT',
         path: '/' + ownerAlias + '/{ownerId}/' + childAlias + "/{childId}",
@@ -946,7 +2707,8 @@ module.exports = function (logger, mongoose, server) {
               childId: Joi.objectId().required()
             },
             payload: payloadValidation,
-            headers: headersValidation
+            query: versionHelper.generateJoiQueryModel(ownerModel),
+            headers: versionHelper.generateJoiHeadersModel(ownerModel, headersValidation)
           },
           plugins: {
             'ownerModel': ownerModel,
@@ -962,7 +2724,7 @@ module.exports = function (logger, mongoose, server) {
                 {code: 404, message: 'There was no resource found with that ID.'},
                 {code: 500, message: 'There was an unknown error.'},
                 {code: 503, message: 'There was a problem with the database.'}
-              ]
+              ].concat(versionHelper.getResponseMessages(ownerModel))
             },
             'policies': policies
           },
@@ -1035,15 +2797,32 @@ module.exports = function (logger, mongoose, server) {
         policies = (policies.rootPolicies || []).concat(policies.associatePolicies || []);
       }
 
+      if (tenantHelper.isEnabled(ownerModel)) {
+        policies.push(restHapiPolicies.enforceTenant(ownerModel, Log));
+      }
+
+      if (accessRuleHelper.isEnabled(ownerModel)) {
+        policies.push(restHapiPolicies.enforceAccessRules(ownerModel, Log));
+      }
+
       if (config.enableDocumentScopes && auth) {
         policies.push(restHapiPolicies.enforceDocumentScopePre(ownerModel, Log));
         policies.push(restHapiPolicies.enforceDocumentScopePost(ownerModel, Log));
       }
 
+      if (versionHelper.getVersionField(ownerModel)) {
+        policies.push(restHapiPolicies.enforceVersion(ownerModel, Log));
+      }
+
       if (config.enableAuditLog) {
         policies.push(restHapiPolicies.logRemove(mongoose, ownerModel, childModel, association.type, Log));
       }
 
+      if (rateLimitHelper.getOptions(ownerModel, 'associate')) {
+        policies.push(restHapiPolicies.enforceRateLimit(ownerModel, 'associate', Log));
+        policies.push(restHapiPolicies.addRateLimitHeaders(ownerModel, Log));
+      }
+
       server.route({
         method: 'DELETE',
         path: '/' + ownerAlias + '/{ownerId}/' + childAlias + "/{childId}",
@@ -1058,7 +2837,8 @@ module.exports = function (logger, mongoose, server) {
               ownerId: Joi.objectId().required(),
               childId: Joi.objectId().required()
             },
-            headers: headersValidation
+            query: versionHelper.generateJoiQueryModel(ownerModel),
+            headers: versionHelper.generateJoiHeadersModel(ownerModel, headersValidation)
           },
           plugins: {
             'ownerModel': ownerModel,
@@ -1071,7 +2851,7 @@ module.exports = function (logger, mongoose, server) {
                 {code: 404, message: 'There was no resource found with that ID.'},
                 {code: 500, message: 'There was an unknown error.'},
                 {code: 503, message: 'There was a problem with the database.'}
-              ]
+              ].concat(versionHelper.getResponseMessages(ownerModel))
             },
             'policies': policies
           },
@@ -1169,15 +2949,42 @@ module.exports = function (logger, mongoose, server) {
         policies = (policies.rootPolicies || []).concat(policies.associatePolicies || []);
       }
 
+      if (tenantHelper.isEnabled(ownerModel)) {
+        policies.push(restHapiPolicies.enforceTenant(ownerModel, Log));
+      }
+
+      if (accessRuleHelper.isEnabled(ownerModel)) {
+        policies.push(restHapiPolicies.enforceAccessRules(ownerModel, Log));
+      }
+
+      if (tenantHelper.isEnabled(childModel)) {
+        policies.push(restHapiPolicies.enforceTenantAssociation(childModel, Log));
+      }
+
       if (config.enableDocumentScopes && auth) {
         policies.push(restHapiPolicies.enforceDocumentScopePre(ownerModel, Log));
         policies.push(restHapiPolicies.enforceDocumentScopePost(ownerModel, Log));
       }
 
+      if (versionHelper.getVersionField(ownerModel)) {
+        policies.push(restHapiPolicies.enforceVersion(ownerModel, Log));
+      }
+
       if (config.enableAuditLog) {
         policies.push(restHapiPolicies.logAdd(mongoose, ownerModel, childModel, association.type, Log));
       }
 
+      if (config.enableIdempotencyKeys) {
+        policies.push(restHapiPolicies.enforceIdempotency(mongoose, Log));
+        policies.push(restHapiPolicies.saveIdempotentResponse(mongoose, Log));
+        policies.push(restHapiPolicies.releaseIdempotencyKey(mongoose, Log));
+      }
+
+      if (rateLimitHelper.getOptions(ownerModel, 'associate')) {
+        policies.push(restHapiPolicies.enforceRateLimit(ownerModel, 'associate', Log));
+        policies.push(restHapiPolicies.addRateLimitHeaders(ownerModel, Log));
+      }
+
       server.route({
         method: 'POST',
         path: '/' + ownerAlias + '/{ownerId}/' + childAlias,
@@ -1192,7 +2999,8 @@ module.exports = function (logger, mongoose, server) {
               ownerId: Joi.objectId().required()
             },
             payload: payloadValidation,
-            headers: headersValidation
+            query: versionHelper.generateJoiQueryModel(ownerModel),
+            headers: versionHelper.generateJoiHeadersModel(ownerModel, headersValidation)
           },
           plugins: {
             'ownerModel': ownerModel,
@@ -1205,7 +3013,7 @@ module.exports = function (logger, mongoose, server) {
                 {code: 404, message: 'There was no resource found with that ID.'},
                 {code: 500, message: 'There was an unknown error.'},
                 {code: 503, message: 'There was a problem with the database.'}
-              ]
+              ].concat(versionHelper.getResponseMessages(ownerModel))
             },
             'policies': policies
           },
@@ -1282,15 +3090,32 @@ module.exports = function (logger, mongoose, server) {
         policies = (policies.rootPolicies || []).concat(policies.associatePolicies || []);
       }
 
+      if (tenantHelper.isEnabled(ownerModel)) {
+        policies.push(restHapiPolicies.enforceTenant(ownerModel, Log));
+      }
+
+      if (accessRuleHelper.isEnabled(ownerModel)) {
+        policies.push(restHapiPolicies.enforceAccessRules(ownerModel, Log));
+      }
+
       if (config.enableDocumentScopes && auth) {
         policies.push(restHapiPolicies.enforceDocumentScopePre(ownerModel, Log));
         policies.push(restHapiPolicies.enforceDocumentScopePost(ownerModel, Log));
       }
 
+      if (versionHelper.getVersionField(ownerModel)) {
+        policies.push(restHapiPolicies.enforceVersion(ownerModel, Log));
+      }
+
       if (config.enableAuditLog) {
         policies.push(restHapiPolicies.logRemove(mongoose, ownerModel, childModel, association.type, Log));
       }
 
+      if (rateLimitHelper.getOptions(ownerModel, 'associate')) {
+        policies.push(restHapiPolicies.enforceRateLimit(ownerModel, 'associate', Log));
+        policies.push(restHapiPolicies.addRateLimitHeaders(ownerModel, Log));
+      }
+
       server.route({
         method: 'DELETE',
         path: '/' + ownerAlias + '/{ownerId}/' + childAlias,
@@ -1305,7 +3130,8 @@ module.exports = function (logger, mongoose, server) {
               ownerId: Joi.objectId().required()
             },
             payload: payloadValidation,
-            headers: headersValidation
+            query: versionHelper.generateJoiQueryModel(ownerModel),
+            headers: versionHelper.generateJoiHeadersModel(ownerModel, headersValidation)
           },
           plugins: {
             'ownerModel': ownerModel,
@@ -1318,7 +3144,7 @@ module.exports = function (logger, mongoose, server) {
                 {code: 404, message: 'There was no resource found with that ID.'},
                 {code: 500, message: 'There was an unknown error.'},
                 {code: 503, message: 'There was a problem with the database.'}
-              ]
+              ].concat(versionHelper.getResponseMessages(ownerModel))
             },
             'policies': policies
           },
@@ -1407,11 +3233,29 @@ module.exports = function (logger, mongoose, server) {
         policies = (policies.rootPolicies || []).concat(policies.readPolicies || []);
       }
 
+      if (tenantHelper.isEnabled(ownerModel)) {
+        policies.push(restHapiPolicies.enforceTenant(ownerModel, Log));
+      }
+
+      if (accessRuleHelper.isEnabled(ownerModel)) {
+        policies.push(restHapiPolicies.enforceAccessRules(ownerModel, Log));
+      }
+
       if (config.enableDocumentScopes && auth) {
         policies.push(restHapiPolicies.enforceDocumentScopePre(ownerModel, Log));
         policies.push(restHapiPolicies.enforceDocumentScopePost(ownerModel, Log));
       }
 
+      if (fieldScopeHelper.isEnabled(childModel)) {
+        policies.push(restHapiPolicies.enforceFieldScopePre(childModel, Log));
+        policies.push(restHapiPolicies.enforceFieldScopePost(childModel, Log));
+      }
+
+      if (rateLimitHelper.getOptions(ownerModel, 'read')) {
+        policies.push(restHapiPolicies.enforceRateLimit(ownerModel, 'read', Log));
+        policies.push(restHapiPolicies.addRateLimitHeaders(ownerModel, Log));
+      }
+
       server.route({
         method: 'GET',
         path: '/' + ownerAlias + '/{ownerId}/' + childAlias,
@@ -1421,6 +3265,9 @@ module.exports = function (logger, mongoose, server) {
           cors: config.cors,
           description: 'Get all of the ' + associationName + ' for a ' + ownerModelName,
           tags: ['api', associationName, ownerModelName],
+          ext: {
+            onPreResponse: { method: HandlerHelper.generateExportResponseHandler(Log) }
+          },
           validate: {
             query: queryModel,
             params: {
@@ -1432,6 +3279,7 @@ module.exports = function (logger, mongoose, server) {
             'ownerModel': ownerModel,
             'association': association,
             'hapi-swagger': {
+              produces: ['application/json'].concat(_.values(exportHelper.contentTypes)),
               responseMessages: [
                 {code: 200, message: 'The association was set successfully.'},
                 {code: 400, message: 'The request was malformed.'},
@@ -1451,6 +3299,221 @@ module.exports = function (logger, mongoose, server) {
           }
         }
       });
+    },
+
+    /**
+     * Creates an endpoint for POST /batch
+     * @param server: A Hapi server.
+     * @param options: Options object.
+     * @param Log: A logging object.
+     */
+    generateBatchEndpoint: function (server, options, Log) {
+      Log = Log.bind(chalk.yellow("Batch"));
+      if (config.logRoutes) {
+        Log.note("Generating Batch endpoint");
+      }
+
+      options = options || {};
+
+      var handler = HandlerHelper.generateBatchHandler(options, Log);
+
+      var operationModel = Joi.object({
+        method: Joi.string().valid('GET', 'POST', 'PUT', 'PATCH', 'DELETE').insensitive().required()
+            .description('The http method of the request.'),
+        path: Joi.string().regex(/^\//).required()
+            .description('The path of the request, Ex: "/user/{{0._id}}". Values from the results of earlier ' +
+                'requests can be referenced by their index and path within double braces.'),
+        payload: Joi.any()
+            .description('The payload of the request.'),
+        query: Joi.object().unknown()
+            .description('The query parameters of the request.')
+      }).label("BatchOperationModel");
+
+      var payloadModel = Joi.array().items(operationModel).min(1).max(config.batchLimit).label("BatchModel");
+
+      var queryModel = Joi.object({
+        stopOnError: Joi.boolean().default(false)
+            .description('Stop executing requests after the first one that fails.')
+      });
+
+      var auth = false;
+
+      if (config.authStrategy) {
+        auth = {
+          strategy: config.authStrategy
+        };
+      }
+      else {
+        headersValidation = null;
+      }
+
+      var policies = [];
+
+
+      if (config.enableIdempotencyKeys) {
+        policies.push(restHapiPolicies.enforceIdempotency(mongoose, Log));
+        policies.push(restHapiPolicies.saveIdempotentResponse(mongoose, Log));
+        policies.push(restHapiPolicies.releaseIdempotencyKey(mongoose, Log));
+      }
+
+      server.route({
+        method: 'POST',
+        path: '/batch',
+        config: {
+          handler: handler,
+          auth: auth,
+          cors: config.cors,
+          description: 'Execute multiple requests in order',
+          notes: 'Each request is made with the credentials of the batch request and responds with its own ' +
+          'status code and result.',
+          tags: ['api', 'batch'],
+          validate: {
+            payload: payloadModel,
+            query: queryModel,
+            headers: headersValidation
+          },
+          plugins: {
+            'policies': policies,
+            'hapi-swagger': {
+              responseMessages: [
+                {code: 200, message: 'The requests were executed. Each result includes its own status code.'},
+                {code: 400, message: 'The request was malformed.'},
+                {
+                  code: 401,
+                  message: 'The authentication header was missing/malformed, or the token has expired.'
+                },
+                {code: 500, message: 'There was an unknown error.'}
+              ]
+            }
+          },
+          response: {
+            failAction: config.enableResponseFail ? 'error' : 'log',
+            schema: Joi.array().items(Joi.object({
+              statusCode: Joi.number(),
+              result: Joi.any()
+            })).label("BatchResultModel")
+          }
+        }
+      });
+    },
+
+    /**
+     * Creates an endpoint for POST /webhookDelivery/{_id}/redeliver
+     * @param server: A Hapi server.
+     * @param model: The webhookDelivery model.
+     * @param options: Options object.
+     * @param Log: A logging object.
+     */
+    generateRedeliverEndpoint: function (server, model, options, Log) {
+      validationHelper.validateModel(model, Log);
+
+      var collectionName = model.collectionDisplayName || model.modelName;
+      Log = Log.bind(chalk.yellow("Redeliver"));
+      if (config.logRoutes) {
+        Log.note("Generating Redeliver endpoint for " + collectionName);
+      }
+
+      options = options || {};
+
+      var handler = HandlerHelper.generateRedeliverHandler(options, Log);
+
+      var readModel = joiMongooseHelper.generateJoiReadModel(model, Log);
+
+      if (!config.enableResponseValidation) {
+        var label = readModel._flags.label;
+        readModel = Joi.alternatives().try(readModel, Joi.any()).label(label);
+      }
+
+      var auth = false;
+
+      if (config.authStrategy) {
+        auth = {
+          strategy: config.authStrategy
+        };
+
+        var scope = authHelper.generateScopeForEndpoint(model, 'create', Log);
+
+        if (!_.isEmpty(scope)) {
+          auth.scope = scope;
+          if (config.logScopes) {
+            Log.debug("Scope for POST/" + model.modelName + "/{_id}/redeliver" + ":", scope);
+          }
+        }
+      }
+      else {
+        headersValidation = null;
+      }
+
+      var policies = [];
+
+      if (tenantHelper.isEnabled(model)) {
+        policies.push(restHapiPolicies.enforceTenant(model, Log));
+      }
+
+      if (config.enableIdempotencyKeys) {
+        policies.push(restHapiPolicies.enforceIdempotency(mongoose, Log));
+        policies.push(restHapiPolicies.saveIdempotentResponse(mongoose, Log));
+        policies.push(restHapiPolicies.releaseIdempotencyKey(mongoose, Log));
+      }
+
+      if (rateLimitHelper.getOptions(model, 'create')) {
+        policies.push(restHapiPolicies.enforceRateLimit(model, 'create', Log));
+        policies.push(restHapiPolicies.addRateLimitHeaders(model, Log));
+      }
+
+      server.route({
+        method: 'POST',
+        path: '/' + model.modelName + '/{_id}/redeliver',
+        config: {
+          handler: handler,
+          auth: auth,
+          cors: config.cors,
+          description: 'Redeliver a webhook delivery',
+          notes: 'The payload of the delivery is sent again and logged as a new delivery.',
+          tags: ['api', collectionName],
+          validate: {
+            params: {
+              _id: Joi.objectId().required()
+            },
+            headers: headersValidation
+          },
+          plugins: {
+            'model': model,
+            'policies': policies,
+            'hapi-swagger': {
+              responseMessages: [
+                {code: 200, message: 'The delivery was attempted. The response includes the result of the attempt.'},
+                {code: 400, message: 'The request was malformed.'},
+                {
+                  code: 401,
+                  message: 'The authentication header was missing/malformed, or the token has expired.'
+                },
+                {code: 404, message: 'There was no delivery or webhook found with that ID.'},
+                {code: 500, message: 'There was an unknown error.'}
+              ]
+            }
+          },
+          response: {
+            failAction: config.enableResponseFail ? 'error' : 'log',
+            schema: readModel
+          }
+        }
+      });
     }
   }
 };
+
+/**
+ * Generates the response model for the document sharing endpoints.
+ * @param collectionName: The display name of the model.
+ * @returns {object}: A Joi object.
+ */
+function generateJoiScopeModel(collectionName) {
+  return Joi.object({
+    rootScope: Joi.array().items(Joi.string()),
+    readScope: Joi.array().items(Joi.string()),
+    updateScope: Joi.array().items(Joi.string()),
+    deleteScope: Joi.array().items(Joi.string()),
+    associateScope: Joi.array().items(Joi.string())
+  }).label(collectionName + "ScopeModel");
+}
@@ -0,0 +1,189 @@
+'use strict';
+
+var _ = require('lodash');
+var Joi = require('joi');
+var Q = require('q');
+var joiMongooseHelper = require('./joi-mongoose-helper');
+var TransactionHelper = require('./transaction-helper');
+var config = require('../config');
+
+module.exports = {
+
+  /**
+   * Check if revisions are stored for the documents of a model.
+   * @param model: A mongoose model.
+   * @returns {boolean}
+   */
+  isEnabled: function (model) {
+    return !!(model && model.routeOptions && model.routeOptions.versioning);
+  },
+
+  /**
+   * Get the model that stores the revisions of a versioned model, creating it if it doesn't exist yet.
+   * @param model: A mongoose model.
+   * @returns {*}: The revision model.
+   */
+  getRevisionModel: function (model) {
+    var mongoose = model.base;
+    var revisionModelName = model.modelName + "_revision";
+
+    if (mongoose.modelNames().indexOf(revisionModelName) >= 0) {
+      return mongoose.model(revisionModelName);
+    }
+
+    var schema = require('../models/revision.model')(mongoose, model.modelName);
+    return mongoose.model(revisionModelName, schema);
+  },
+
+  /**
+   * Store a snapshot of a document as its next revision. Nothing is stored if the model isn't versioned or if the
+   * document hasn't changed since its last revision.
+   * @param model: A mongoose model.
+   * @param document: The document, or the id of the document to take the snapshot of.
+   * @param action: The action that produced the revision, Ex: "Update".
+   * @param request: The Hapi request object, or a container for the wrapper payload.
+   * @param Log: A logging object.
+   * @returns {object}: A promise for the stored revision, or null if no revision was stored.
+   */
+  saveRevision: function (model, document, action, request, Log) {
+    if (!this.isEnabled(model)) {
+      return Q.when(null);
+    }
+
+    var self = this;
+    var RevisionModel = this.getRevisionModel(model);
+    var promise = {};
+
+    if (_.isObject(document) && document._id) {
+      promise = Q.when(document.toObject ? document.toObject() : document);
+    }
+    else {
+      promise = Q.when(TransactionHelper.setSession(model.findOne({ '_id': document }).lean(), request));
+    }
+
+    return promise
+        .then(function (snapshot) {
+          if (!snapshot) {
+            return null;
+          }
+
+          var latestQuery = RevisionModel.findOne({ document: snapshot._id }).sort({ revision: -1 }).lean();
+          return Q.when(TransactionHelper.setSession(latestQuery, request))
+              .then(function (latest) {
+                //EXPL: a hard deleted document is recorded even though its snapshot hasn't changed
+                if (latest && action !== "Delete" && _.isEmpty(self.getDiff(latest.snapshot, snapshot))) {
+                  return null;
+                }
+
+                var credentials = request && request.auth ? request.auth.credentials : null;
+                var userId = credentials ? _.get(credentials, config.userIdKey) : null;
+
+                var revision = {
+                  document: snapshot._id,
+                  revision: latest ? latest.revision + 1 : 1,
+                  action: action,
+                  snapshot: snapshot,
+                  user: userId || null
+                };
+
+                //EXPL: documents can only be created within a transaction when passed as an array
+                var session = TransactionHelper.getSession(request);
+                if (session) {
+                  return Q.when(RevisionModel.create([revision], { session: session }))
+                      .then(function (revisions) {
+                        return revisions[0];
+                      });
+                }
+
+                return RevisionModel.create(revision);
+              });
+        });
+  },
+
+  /**
+   * Remove the fields that are excluded from responses (Ex: passwords) from a revision snapshot.
+   * @param model: A mongoose model.
+   * @param snapshot: The revision snapshot.
+   * @returns {object}: The filtered snapshot.
+   */
+  filterSnapshot: function (model, snapshot) {
+    if (!snapshot) {
+      return snapshot;
+    }
+
+    var fields = model.schema.paths;
+    var excludedFields = Object.keys(fields).filter(function (fieldName) {
+      return fields[fieldName].options.exclude;
+    });
+
+    return _.omit(snapshot, excludedFields);
+  },
+
+  /**
+   * Compare the fields of a revision snapshot with the current version of the document.
+   * @param snapshot: The revision snapshot.
+   * @param current: The current document, or null if it no longer exists.
+   * @returns {Array}: A list of the fields that differ along with their revision and current values.
+   */
+  getDiff: function (snapshot, current) {
+    snapshot = snapshot || {};
+    current = current || {};
+
+    //EXPL: compare the JSON representations so that ObjectIds and dates are compared by value
+    var normalize = function (value) {
+      return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    };
+
+    var fields = _.without(_.union(Object.keys(snapshot), Object.keys(current)), '_id');
+
+    return fields
+        .filter(function (field) {
+          return !_.isEqual(normalize(snapshot[field]), normalize(current[field]));
+        })
+        .map(function (field) {
+          return {
+            field: field,
+            revision: snapshot[field],
+            current: current[field]
+          };
+        });
+  },
+
+  /**
+   * Generates the response validation for a document revision.
+   * @param model: A mongoose model.
+   * @param includeSnapshot: Flag used to include the snapshot and its differences from the current document.
+   * @returns {*}: A Joi object.
+   */
+  generateJoiReadModel: function (model, includeSnapshot) {
+    var collectionName = model.collectionDisplayName || model.modelName;
+    var label = collectionName[0].toUpperCase() + collectionName.slice(1) + "Revision";
+
+    var revisionModel = Joi.object({
+      _id: joiMongooseHelper.joiObjectId(),
+      document: joiMongooseHelper.joiObjectId(),
+      revision: Joi.number(),
+      action: Joi.string(),
+      user: joiMongooseHelper.joiObjectId().allow(null),
+      date: Joi.date(),
+      __v: Joi.number()
+    });
+
+    if (includeSnapshot) {
+      revisionModel = revisionModel.keys({
+        snapshot: Joi.object().unknown(),
+        diff: Joi.array().items(Joi.object({
+          field: Joi.string(),
+          revision: Joi.any(),
+          current: Joi.any()
+        }))
+      });
+      label = label + "DiffModel";
+    }
+    else {
+      label = label + "Model";
+    }
+
+    return revisionModel.label(label);
+  }
+};
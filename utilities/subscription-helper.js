@@ -0,0 +1,201 @@
+'use strict';
+
+var _ = require('lodash');
+var Q = require('q');
+var Stream = require('stream');
+var EventHelper = require('./event-helper');
+var FieldScopeHelper = require('./field-scope-helper');
+var handlerHelper = require('./handler-helper');
+var config = require('../config');
+
+//EXPL: the listeners of the active subscriptions, by model name. A single event listener delivers the events to
+//them, rather than one listener per connection.
+var subscribers = {};
+var eventListener = null;
+
+module.exports = {
+
+  /**
+   * The content type of subscription responses.
+   */
+  contentType: 'text/event-stream',
+
+  /**
+   * Subscribe to changes of the documents that match the query of a request. Every lifecycle event for the model is
+   * checked against the query and pushed to the returned stream as a server-sent event:
+   * - created/updated/restored/reverted: the document, if it matches the query
+   * - deleted: the _id of a document that was sent to the subscription
+   * - removed: the _id of a document that was sent to the subscription and no longer matches the query
+   * The subscription ends when the client disconnects.
+   * @param model: A mongoose model.
+   * @param request: The Hapi request object.
+   * @param Log: A logging object.
+   * @returns {object}: A promise for a readable stream of server-sent events.
+   */
+  subscribe: function (model, request, Log) {
+    var self = this;
+
+    var stream = new Stream.PassThrough();
+    //EXPL: only the ids of the documents sent to the subscription are kept, so that removals can be matched
+    var sentIds = new Set();
+    //EXPL: events are handled one at a time so that notifications are sent in order
+    var pending = Q.when();
+
+    var listener = function (event) {
+      pending = pending
+          .then(function () {
+            return self.handleEvent(model, request, sentIds, event, Log);
+          })
+          .then(function (notification) {
+            if (notification) {
+              stream.write(self.formatEvent(notification.event, notification.data));
+            }
+          })
+          .catch(function (error) {
+            Log.error("There was an error handling the " + event.event + " event for a subscription:", error);
+          });
+    };
+
+    var heartbeat = setInterval(function () {
+      stream.write(": heartbeat\n\n");
+    }, config.subscriptionHeartbeat);
+
+    var unsubscribe = _.once(function () {
+      removeSubscriber(model.modelName, listener);
+      clearInterval(heartbeat);
+      stream.end();
+    });
+
+    addSubscriber(model.modelName, listener);
+
+    if (request.raw && request.raw.res) {
+      request.raw.res.on('close', unsubscribe);
+    }
+    stream.on('close', unsubscribe);
+
+    //EXPL: the first write sends the response headers
+    stream.write(": subscribed\n\n");
+
+    return Q.when(stream);
+  },
+
+  /**
+   * Find the document of an event if it matches the query of a request. The query is limited to the _id of the
+   * document, so only that document is loaded.
+   * @param model: A mongoose model.
+   * @param request: The Hapi request object.
+   * @param _id: The id of the document.
+   * @param Log: A logging object.
+   * @returns {object}: A promise for the document, or null if it doesn't match.
+   */
+  findMatchingDocument: function (model, request, _id, Log) {
+    var query = _.assignIn({}, request.query);
+
+    var where = query.$where || {};
+    if (typeof where === 'string') {
+      where = JSON.parse(where);
+    }
+    query.$where = _.isEmpty(where) ? { _id: _id } : { $and: [where, { _id: _id }] };
+
+    return handlerHelper.listHandler(model, _.create(request, { query: query, headers: {} }), Log)
+        .then(function (result) {
+          return result.docs[0] || null;
+        });
+  },
+
+  /**
+   * Determine the notification a subscription should receive for a lifecycle event.
+   * @param model: A mongoose model.
+   * @param request: The Hapi request object of the subscription.
+   * @param sentIds: A Set of the ids of the documents that were sent to the subscription.
+   * @param event: The lifecycle event.
+   * @param Log: A logging object.
+   * @returns {object}: A promise for the notification ({ event, data }), or null if nothing should be sent.
+   */
+  handleEvent: function (model, request, sentIds, event, Log) {
+    var self = this;
+
+    if (!event.document) {
+      return Q.when(null);
+    }
+
+    var _id = event.document._id.toString();
+    var action = event.event.substr(model.modelName.length + 1);
+
+    //EXPL: hard deleted documents can't be queried, so only subscriptions that were sent them are notified
+    if (action === "deleted" && event.hardDelete !== false) {
+      if (!sentIds.delete(_id)) {
+        return Q.when(null);
+      }
+      return Q.when({ event: "deleted", data: { _id: _id } });
+    }
+
+    return self.findMatchingDocument(model, request, _id, Log)
+        .then(function (document) {
+          if (document) {
+            sentIds.add(_id);
+            //EXPL: association events change the owner document
+            if (["created", "updated", "restored", "reverted", "deleted"].indexOf(action) < 0) {
+              action = "updated";
+            }
+            return { event: action, data: FieldScopeHelper.filterDocument(model, document, request) };
+          }
+
+          if (!sentIds.delete(_id)) {
+            return null;
+          }
+          return { event: action === "deleted" ? "deleted" : "removed", data: { _id: _id } };
+        });
+  },
+
+  /**
+   * Format a server-sent event.
+   * @param event: The event name.
+   * @param data: The event data.
+   * @returns {string}
+   */
+  formatEvent: function (event, data) {
+    return "event: " + event + "\ndata: " + JSON.stringify(data) + "\n\n";
+  }
+};
+
+/**
+ * Add the listener of a subscription. The event listener is added along with the first subscription.
+ * @param modelName: The name of the model.
+ * @param listener: A function that handles the events of the model.
+ * @private
+ */
+function addSubscriber(modelName, listener) {
+  subscribers[modelName] = subscribers[modelName] || new Set();
+  subscribers[modelName].add(listener);
+
+  if (!eventListener) {
+    eventListener = function (event) {
+      //EXPL: copied since subscriptions can end while the event is delivered
+      Array.from(subscribers[event.model] || []).forEach(function (subscriber) {
+        subscriber(event);
+      });
+    };
+    EventHelper.events.on(EventHelper.ALL_EVENTS, eventListener);
+  }
+}
+
+/**
+ * Remove the listener of a subscription. The event listener is removed along with the last subscription.
+ * @param modelName: The name of the model.
+ * @param listener: The listener of the subscription.
+ * @private
+ */
+function removeSubscriber(modelName, listener) {
+  if (subscribers[modelName]) {
+    subscribers[modelName].delete(listener);
+    if (subscribers[modelName].size === 0) {
+      delete subscribers[modelName];
+    }
+  }
+
+  if (eventListener && _.isEmpty(subscribers)) {
+    EventHelper.events.removeListener(EventHelper.ALL_EVENTS, eventListener);
+    eventListener = null;
+  }
+}
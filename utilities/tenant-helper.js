@@ -0,0 +1,146 @@
+'use strict';
+
+var _ = require('lodash');
+var authHelper = require('./auth-helper');
+var QueryHelper = require('./query-helper');
+var config = require('../config');
+
+module.exports = {
+
+  /**
+   * Check if the documents of a model are separated by tenant.
+   * @param model: A mongoose model.
+   * @returns {boolean}
+   */
+  isEnabled: function (model) {
+    return !!config.multiTenant && !!model && !!model.routeOptions && model.routeOptions.multiTenant !== false;
+  },
+
+  /**
+   * Check if a request can access the documents of every tenant, either because it is made through the mongoose
+   * wrapper methods or because the user has the "config.superTenantScope".
+   * @param request: The Hapi request object, or a container for the wrapper query/payload.
+   * @returns {boolean}
+   */
+  isSuperTenant: function (request) {
+    if (!request || !request.auth) {
+      return true;
+    }
+
+    var credentials = request.auth.credentials;
+    var superTenantScope = [].concat(config.superTenantScope || []);
+
+    return !!credentials && !_.isEmpty(superTenantScope) &&
+        authHelper.hasScope(credentials.scope, superTenantScope);
+  },
+
+  /**
+   * Get the tenant of the user making a request through "config.tenantIdKey".
+   * @param request: The Hapi request object.
+   * @returns {string}: The tenant id, or null if the user doesn't have a tenant.
+   */
+  getTenantId: function (request) {
+    var credentials = request && request.auth ? request.auth.credentials : null;
+    var tenantId = credentials ? _.get(credentials, config.tenantIdKey) : null;
+
+    return tenantId === undefined || tenantId === null ? null : tenantId.toString();
+  },
+
+  /**
+   * Get the conditions that the documents of a model must match to be accessed by a request.
+   * @param model: A mongoose model.
+   * @param request: The Hapi request object, or a container for the wrapper query/payload.
+   * @returns {object}: The conditions, or null if the request can access every document.
+   */
+  getFilter: function (model, request) {
+    if (!this.isEnabled(model) || this.isSuperTenant(request)) {
+      return null;
+    }
+
+    return { tenantId: this.getTenantId(request) };
+  },
+
+  /**
+   * Add the tenant conditions of a request to the "$where" parameter of a query, and to the documents embedded
+   * through "$embed".
+   * @param model: A mongoose model.
+   * @param query: The rest-hapi query.
+   * @param request: The Hapi request object, or a container for the wrapper query.
+   * @returns {object}: The updated query.
+   */
+  addFilter: function (model, query, request) {
+    var self = this;
+    var filter = self.getFilter(model, request);
+
+    if (config.multiTenant && !self.isSuperTenant(request)) {
+      QueryHelper.addPopulateMatch(query, function (embeddedModel) {
+        return self.getFilter(embeddedModel, request);
+      });
+    }
+
+    if (filter) {
+      if (typeof query.$where === 'string') {
+        query.$where = JSON.parse(query.$where);
+      }
+      query.$where = _.isEmpty(query.$where) ? filter : { $and: [query.$where, filter] };
+    }
+
+    return query;
+  },
+
+  /**
+   * Add the tenant conditions of a request to the conditions of a query for a single document.
+   * @param model: A mongoose model.
+   * @param _id: The document id.
+   * @param conditions: Any existing conditions for the document (Ex: a version), or null.
+   * @param request: The Hapi request object, or a container for the wrapper payload.
+   * @returns {object}: The updated conditions, or the existing conditions if the request can access every document.
+   */
+  getConditions: function (model, _id, conditions, request) {
+    var filter = this.getFilter(model, request);
+
+    if (!filter) {
+      return conditions;
+    }
+
+    return _.assign({}, conditions || { '_id': _id }, filter);
+  },
+
+  /**
+   * Check if a document belongs to the tenant of a request.
+   * @param model: A mongoose model.
+   * @param document: The document.
+   * @param request: The Hapi request object, or a container for the wrapper payload.
+   * @returns {boolean}
+   */
+  isAuthorized: function (model, document, request) {
+    var filter = this.getFilter(model, request);
+
+    if (!filter) {
+      return true;
+    }
+
+    var tenantId = document.tenantId === undefined || document.tenantId === null ? null : document.tenantId.toString();
+    return tenantId === filter.tenantId;
+  },
+
+  /**
+   * Stamp documents being created with the tenant of the request. Super tenants can set the tenant of a document
+   * through its "tenantId" property.
+   * @param model: A mongoose model.
+   * @param documents: A list of documents being created.
+   * @param request: The Hapi request object, or a container for the wrapper payload.
+   * @returns {Array}: The documents.
+   */
+  setTenant: function (model, documents, request) {
+    var filter = this.getFilter(model, request);
+
+    if (filter) {
+      documents.forEach(function (document) {
+        document.tenantId = filter.tenantId;
+      });
+    }
+
+    return documents;
+  }
+};
@@ -0,0 +1,149 @@
+'use strict';
+
+var _ = require('lodash');
+var Q = require('q');
+var errorHelper = require('./error-helper');
+var EventHelper = require('./event-helper');
+var CacheHelper = require('./cache-helper');
+var config = require('../config');
+
+module.exports = {
+
+  /**
+   * Check if handlers that write multiple documents are wrapped in transactions.
+   * @returns {boolean}
+   */
+  isEnabled: function () {
+    return !!config.enableTransactions;
+  },
+
+  /**
+   * Check if a mongoose instance supports sessions, which transactions require (mongoose 5.2+).
+   * @param mongoose: The mongoose instance or connection.
+   * @returns {boolean}
+   */
+  isSupported: function (mongoose) {
+    return !!mongoose && _.isFunction(mongoose.startSession);
+  },
+
+  /**
+   * Check if a handler should start a transaction for a request, Ex: the request isn't already part of one.
+   * @param request: The Hapi request object, or a container for the wrapper payload.
+   * @returns {boolean}
+   */
+  needsTransaction: function (request) {
+    return this.isEnabled() && !this.getSession(request);
+  },
+
+  /**
+   * Get the mongoose session of the transaction a request is part of.
+   * @param request: The Hapi request object, or a container for the wrapper payload.
+   * @returns {*}: The session, or null if the request isn't part of a transaction.
+   */
+  getSession: function (request) {
+    return (request && request.mongooseSession) || null;
+  },
+
+  /**
+   * Add the session of the current transaction to a mongoose query so that it joins the transaction.
+   * @param query: A mongoose query.
+   * @param request: The Hapi request object, or a container for the wrapper payload.
+   * @returns {*}: The query.
+   */
+  setSession: function (query, request) {
+    var session = this.getSession(request);
+    return session ? query.session(session) : query;
+  },
+
+  /**
+   * Run a list of tasks. Tasks that are part of a transaction are run one at a time since operations can't be
+   * run in parallel within a single session.
+   * @param request: The Hapi request object, or a container for the wrapper payload.
+   * @param tasks: A list of functions that return promises.
+   * @returns {object}: A promise for the list of results.
+   */
+  all: function (request, tasks) {
+    if (!this.getSession(request)) {
+      return Q.all(tasks.map(function (task) {
+        return task();
+      }));
+    }
+
+    var results = [];
+    return tasks.reduce(function (promise, task) {
+      return promise
+          .then(function () {
+            return task();
+          })
+          .then(function (result) {
+            results.push(result);
+          });
+    }, Q.when())
+        .then(function () {
+          return results;
+        });
+  },
+
+  /**
+   * Run a handler within a transaction. The transaction is committed if the handler succeeds and aborted if it
+   * fails. The session is stored as "request.mongooseSession" so that middleware functions can join the
+   * transaction. Events for the writes are held until the transaction is committed. If transactions aren't
+   * enabled, or the request is already part of a transaction, the handler is simply called.
+   * @param model: A mongoose model.
+   * @param request: The Hapi request object, or a container for the wrapper payload.
+   * @param handler: A function that returns a promise.
+   * @param Log: A logging object.
+   * @returns {object}: A promise for the result of the handler.
+   */
+  withTransaction: function (model, request, handler, Log) {
+    if (!this.needsTransaction(request)) {
+      return handler();
+    }
+
+    var connection = model.db || model.base;
+    if (!this.isSupported(connection)) {
+      const message = "Transactions require mongoose 5.2 or higher and a MongoDB replica set.";
+      Log.error(message);
+      return Q.reject({ message: message, type: errorHelper.types.BAD_IMPLEMENTATION });
+    }
+
+    var session = null;
+
+    return Q.when(connection.startSession())
+        .then(function (result) {
+          session = result;
+          session.startTransaction();
+          request.mongooseSession = session;
+
+          return Q.fcall(handler)
+              .then(function (result) {
+                return Q.when(session.commitTransaction())
+                    .then(function () {
+                      CacheHelper.flush(session, Log);
+                      EventHelper.flush(session);
+                      return result;
+                    });
+              })
+              .catch(function (error) {
+                Log.debug("Aborting transaction.");
+                EventHelper.discard(session);
+                CacheHelper.discard(session);
+                return Q.when(session.abortTransaction())
+                    .catch(function (abortError) {
+                      Log.error(abortError);
+                    })
+                    .then(function () {
+                      errorHelper.handleError(error, "There was an error processing the transaction.", errorHelper.types.BAD_IMPLEMENTATION, Log);
+                    });
+              });
+        })
+        .finally(function () {
+          if (request.mongooseSession === session) {
+            delete request.mongooseSession;
+          }
+          if (session) {
+            session.endSession();
+          }
+        });
+  }
+};
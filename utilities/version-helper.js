@@ -0,0 +1,215 @@
+'use strict';
+
+var _ = require('lodash');
+var Joi = require('joi');
+var Q = require('q');
+var crypto = require('crypto');
+var TransactionHelper = require('./transaction-helper');
+
+module.exports = {
+
+  /**
+   * Get the field used to version the documents of a model, or null if concurrency control isn't enabled. The
+   * mongoose version key ("__v") is used by default.
+   * @param model: A mongoose model.
+   * @returns {string}: The version field.
+   */
+  getVersionField: function (model) {
+    var concurrencyControl = model.routeOptions ? model.routeOptions.concurrencyControl : null;
+
+    if (!concurrencyControl) {
+      return null;
+    }
+
+    return concurrencyControl.versionField || model.schema.options.versionKey || "__v";
+  },
+
+  /**
+   * Get the version of a document as a string.
+   * @param model: A mongoose model.
+   * @param document: The document.
+   * @returns {string}: The version, or null if the document isn't versioned.
+   */
+  getVersion: function (model, document) {
+    var version = document ? _.get(document, this.getVersionField(model)) : null;
+
+    if (version === undefined || version === null) {
+      return null;
+    }
+
+    //EXPL: date versions (Ex: "updatedAt") are represented by their timestamp
+    if (_.isDate(version)) {
+      return version.getTime().toString();
+    }
+
+    return version.toString();
+  },
+
+  /**
+   * Create a weak ETag for a list of documents based on their ids and versions.
+   * @param model: A mongoose model.
+   * @param documents: The documents.
+   * @returns {string}: The ETag value.
+   */
+  getListVersion: function (model, documents) {
+    var self = this;
+    var hash = crypto.createHash('sha1');
+
+    documents.forEach(function (document) {
+      hash.update(document._id + ":" + self.getVersion(model, document) + ";");
+    });
+
+    return hash.digest('hex');
+  },
+
+  /**
+   * Get the versions a request expects its target document to have, from either the "If-Match" header or the
+   * "$version" query parameter.
+   * @param request: The Hapi request object.
+   * @returns {Array}: A list of versions ("*" matches any version), or null if no version is expected.
+   */
+  getExpectedVersions: function (request) {
+    var ifMatch = request.headers ? request.headers['if-match'] : null;
+
+    if (ifMatch) {
+      return ifMatch.split(",").map(function (tag) {
+        tag = tag.trim();
+        //EXPL: weak tags can't be used as a precondition
+        if (tag.indexOf('W/') === 0) {
+          return null;
+        }
+        return tag.replace(/^"(.*)"$/, "$1");
+      });
+    }
+
+    if (request.query && request.query.$version !== undefined) {
+      return [request.query.$version.toString()];
+    }
+
+    return null;
+  },
+
+  /**
+   * Check if a document matches one of the expected versions.
+   * @param model: A mongoose model.
+   * @param document: The document.
+   * @param expectedVersions: The expected versions.
+   * @returns {boolean}
+   */
+  matchesVersion: function (model, document, expectedVersions) {
+    var version = this.getVersion(model, document);
+
+    return expectedVersions.some(function (expectedVersion) {
+      return expectedVersion === "*" || (expectedVersion !== null && expectedVersion === version);
+    });
+  },
+
+  /**
+   * Get the conditions that ensure a document is only modified if it still has the version that was verified
+   * for the request.
+   * @param model: A mongoose model.
+   * @param _id: The document id.
+   * @param request: The Hapi request object.
+   * @returns {object}: The query conditions, or null if the request has no verified version.
+   */
+  getVersionConditions: function (model, _id, request) {
+    var versionField = this.getVersionField(model);
+    var plugins = request && request.plugins ? request.plugins['rest-hapi'] : null;
+
+    if (!versionField || !plugins || plugins.version === undefined) {
+      return null;
+    }
+
+    var conditions = { '_id': _id };
+    conditions[versionField] = plugins.version;
+    return conditions;
+  },
+
+  /**
+   * Add the version change to an update payload.
+   * @param model: A mongoose model.
+   * @param payload: The update payload.
+   * @returns {object}: The update payload.
+   */
+  addVersionUpdate: function (model, payload) {
+    var versionField = this.getVersionField(model);
+
+    if (!versionField) {
+      return payload;
+    }
+
+    if (versionField === (model.schema.options.versionKey || "__v")) {
+      payload.$inc = payload.$inc || {};
+      payload.$inc[versionField] = 1;
+    }
+    else if (!payload[versionField]) {
+      payload[versionField] = new Date();
+    }
+
+    return payload;
+  },
+
+  /**
+   * Add the "If-Match" header to the headers validation of a route that honors document versions.
+   * @param model: A mongoose model.
+   * @param headersValidation: The headers validation of the route.
+   * @returns {*}: The headers validation.
+   */
+  generateJoiHeadersModel: function (model, headersValidation) {
+    if (!this.getVersionField(model)) {
+      return headersValidation;
+    }
+
+    return (headersValidation || Joi.object().options({ allowUnknown: true })).keys({
+      'if-match': Joi.string()
+          .description('The "ETag" of the document version that is expected. If the document has been modified ' +
+              'since, the request fails with a 412 error.')
+    });
+  },
+
+  /**
+   * Generates the query validation of a route that honors document versions.
+   * @param model: A mongoose model.
+   * @returns {*}: A Joi object, or null if document versions aren't enabled.
+   */
+  generateJoiQueryModel: function (model) {
+    if (!this.getVersionField(model)) {
+      return null;
+    }
+
+    return Joi.object({
+      $version: Joi.string()
+          .description('The document version that is expected, as an alternative to the "If-Match" header.')
+    });
+  },
+
+  /**
+   * Get the Swagger response messages of a route that honors document versions.
+   * @param model: A mongoose model.
+   * @returns {Array}: A list of response messages.
+   */
+  getResponseMessages: function (model) {
+    if (!this.getVersionField(model)) {
+      return [];
+    }
+
+    return [{ code: 412, message: 'The resource has been modified since the expected version.' }];
+  },
+
+  /**
+   * Update the version of a document that was modified indirectly, Ex: through an association.
+   * @param model: A mongoose model.
+   * @param _id: The document id.
+   * @param request: The Hapi request object, or a container for the wrapper payload.
+   * @param Log: A logging object.
+   * @returns {object}: A promise that resolves when the version is updated.
+   */
+  updateVersion: function (model, _id, request, Log) {
+    if (!this.getVersionField(model)) {
+      return Q.when();
+    }
+
+    var query = model.findByIdAndUpdate(_id, this.addVersionUpdate(model, {}));
+    return Q.when(TransactionHelper.setSession(query, request));
+  }
+};
@@ -0,0 +1,362 @@
+'use strict';
+
+var _ = require('lodash');
+var Q = require('q');
+var crypto = require('crypto');
+var http = require('http');
+var https = require('https');
+var url = require('url');
+var EventHelper = require('./event-helper');
+var TenantHelper = require('./tenant-helper');
+var errorHelper = require('./error-helper');
+var config = require('../config');
+
+//EXPL: the listener that delivers events to webhooks, kept so that it's only added once
+var eventListener = null;
+
+module.exports = {
+
+  /**
+   * Deliver lifecycle events to the webhooks with a matching "events" filter.
+   * @param mongoose: The mongoose instance.
+   * @param Log: A logging object.
+   */
+  subscribe: function (mongoose, Log) {
+    var self = this;
+
+    if (eventListener) {
+      EventHelper.events.removeListener(EventHelper.ALL_EVENTS, eventListener);
+    }
+
+    eventListener = function (event) {
+      self.handleEvent(mongoose, event, Log);
+    };
+
+    EventHelper.events.on(EventHelper.ALL_EVENTS, eventListener);
+  },
+
+  /**
+   * Create a delivery of an event for each active webhook that matches it, including its tenant. Errors are logged
+   * rather than thrown since the write that triggered the event has already succeeded.
+   * @param mongoose: The mongoose instance.
+   * @param event: The lifecycle event.
+   * @param Log: A logging object.
+   * @returns {object}: A promise for the list of deliveries after their first attempt.
+   */
+  handleEvent: function (mongoose, event, Log) {
+    var self = this;
+    var Webhook = mongoose.model('webhook');
+
+    var conditions = { isActive: true };
+    if (config.enableSoftDelete) {
+      conditions.isDeleted = { $ne: true };
+    }
+
+    return Q.when(Webhook.find(conditions).lean())
+        .then(function (webhooks) {
+          webhooks = webhooks.filter(function (webhook) {
+            return self.matchesEvent(webhook, event.event) && self.matchesTenant(webhook, event);
+          });
+
+          if (_.isEmpty(webhooks)) {
+            return [];
+          }
+
+          var payload = self.createPayload(event);
+
+          return Q.all(webhooks.map(function (webhook) {
+            return self.deliver(mongoose, webhook, payload, null, Log);
+          }));
+        })
+        .catch(function (error) {
+          Log.error("There was an error delivering the " + event.event + " event to webhooks:", error);
+          return [];
+        });
+  },
+
+  /**
+   * Check if an event matches the "events" filter of a webhook. Filters can be an event name, a prefix ending with a
+   * wildcard (Ex: "user.*"), or "*" for every event.
+   * @param webhook: The webhook document.
+   * @param eventName: The name of the event, Ex: "user.created".
+   * @returns {boolean}
+   */
+  matchesEvent: function (webhook, eventName) {
+    return (webhook.events || []).some(function (filter) {
+      if (filter === "*") {
+        return true;
+      }
+      if (_.endsWith(filter, ".*")) {
+        return _.startsWith(eventName, filter.slice(0, -1));
+      }
+      return filter === eventName;
+    });
+  },
+
+  /**
+   * Check if an event belongs to the tenant of a webhook when "config.multiTenant" is enabled. Webhooks without a
+   * tenant, such as those created by super tenants, receive the events of every tenant, while webhooks with a tenant
+   * only receive the events of documents of the same tenant.
+   * @param webhook: The webhook document.
+   * @param event: The lifecycle event.
+   * @returns {boolean}
+   */
+  matchesTenant: function (webhook, event) {
+    if (!config.multiTenant || webhook.tenantId === undefined || webhook.tenantId === null) {
+      return true;
+    }
+
+    var tenantId = event.document ? event.document.tenantId : null;
+
+    return tenantId !== undefined && tenantId !== null && tenantId.toString() === webhook.tenantId.toString();
+  },
+
+  /**
+   * Create the payload delivered for an event. Credentials are replaced by the user id so that they aren't sent to
+   * other services. Documents are replaced by their _id, since webhooks receive the events of every document
+   * regardless of the read authorization of their owner. Receivers can fetch the documents through the API.
+   * @param event: The lifecycle event.
+   * @returns {object}: The JSON payload.
+   */
+  createPayload: function (event) {
+    var userId = event.credentials ? _.get(event.credentials, config.userIdKey) : null;
+
+    var data = _.omit(event, ['event', 'model', 'credentials', 'document', 'previous']);
+    data._id = event.document ? event.document._id : null;
+
+    var payload = {
+      id: crypto.randomBytes(12).toString('hex'),
+      event: event.event,
+      model: event.model,
+      date: new Date(),
+      user: userId || null,
+      data: data
+    };
+
+    //EXPL: store the payload as it is sent so that redeliveries are identical
+    return JSON.parse(JSON.stringify(payload));
+  },
+
+  /**
+   * Get the signature of a delivery, sent in the "X-Rest-Hapi-Signature" header.
+   * @param secret: The secret of the webhook.
+   * @param body: The request body.
+   * @returns {string}: The HMAC-SHA256 hex digest prefixed with "sha256=".
+   */
+  getSignature: function (secret, body) {
+    return "sha256=" + crypto.createHmac('sha256', secret).update(body).digest('hex');
+  },
+
+  /**
+   * Log a delivery of a payload to a webhook and make the first attempt. The delivery is given the tenant of the
+   * webhook.
+   * @param mongoose: The mongoose instance.
+   * @param webhook: The webhook document.
+   * @param payload: The JSON payload.
+   * @param redeliveryOf: The id of the delivery being redelivered, or null.
+   * @param Log: A logging object.
+   * @returns {object}: A promise for the delivery after its first attempt.
+   */
+  deliver: function (mongoose, webhook, payload, redeliveryOf, Log) {
+    var self = this;
+    var WebhookDelivery = mongoose.model('webhookDelivery');
+
+    return Q.when(WebhookDelivery.create({
+      webhook: webhook._id,
+      event: payload.event,
+      payload: payload,
+      redeliveryOf: redeliveryOf,
+      tenantId: webhook.tenantId
+    }))
+        .then(function (delivery) {
+          delivery = _.isFunction(delivery.toObject) ? delivery.toObject() : delivery;
+          return self.attempt(mongoose, webhook, delivery, Log);
+        });
+  },
+
+  /**
+   * Send a delivery to a webhook and log the result. Failed attempts are retried with an exponential backoff until
+   * "config.webhookMaxAttempts" is reached.
+   * @param mongoose: The mongoose instance.
+   * @param webhook: The webhook document.
+   * @param delivery: The delivery document.
+   * @param Log: A logging object.
+   * @returns {object}: A promise for the updated delivery.
+   */
+  attempt: function (mongoose, webhook, delivery, Log) {
+    var self = this;
+    var WebhookDelivery = mongoose.model('webhookDelivery');
+
+    var body = JSON.stringify(delivery.payload);
+    var attempts = delivery.attempts + 1;
+    var delay = config.webhookRetryDelay * Math.pow(2, attempts - 1);
+
+    var headers = {
+      'Content-Type': 'application/json',
+      'X-Rest-Hapi-Event': delivery.event,
+      'X-Rest-Hapi-Delivery': delivery._id.toString(),
+      'X-Rest-Hapi-Signature': self.getSignature(webhook.secret, body)
+    };
+
+    return self.post(webhook.url, body, headers)
+        .then(function (response) {
+          return {
+            attempts: attempts,
+            statusCode: response.statusCode,
+            responseMessage: response.body ? _.truncate(response.body, { length: 1000 }) : null,
+            succeeded: response.statusCode >= 200 && response.statusCode < 300
+          };
+        }, function (error) {
+          return {
+            attempts: attempts,
+            statusCode: null,
+            responseMessage: error.message,
+            succeeded: false
+          };
+        })
+        .then(function (result) {
+          var update = _.omit(result, 'succeeded');
+          update.nextAttempt = null;
+
+          if (result.succeeded) {
+            update.status = "succeeded";
+          }
+          else if (attempts < config.webhookMaxAttempts) {
+            update.status = "pending";
+            update.nextAttempt = new Date(Date.now() + delay);
+          }
+          else {
+            update.status = "failed";
+            Log.error("Delivery " + delivery._id + " of the " + delivery.event + " event to " + webhook.url + " failed.");
+          }
+
+          return Q.when(WebhookDelivery.findByIdAndUpdate(delivery._id, update, { new: true }).lean())
+              .then(function (result) {
+                if (update.status === "pending") {
+                  var timer = setTimeout(function () {
+                    self.retry(mongoose, webhook._id, _.assignIn({}, delivery, update), Log);
+                  }, delay);
+                  //EXPL: pending retries shouldn't keep the process running
+                  timer.unref();
+                }
+
+                return result;
+              });
+        })
+        .catch(function (error) {
+          Log.error("There was an error logging delivery " + delivery._id + ":", error);
+          return null;
+        });
+  },
+
+  /**
+   * Retry a failed delivery, unless the webhook has been removed or deactivated since.
+   * @param mongoose: The mongoose instance.
+   * @param webhookId: The id of the webhook.
+   * @param delivery: The delivery document.
+   * @param Log: A logging object.
+   * @returns {object}: A promise for the updated delivery.
+   */
+  retry: function (mongoose, webhookId, delivery, Log) {
+    var self = this;
+    var Webhook = mongoose.model('webhook');
+    var WebhookDelivery = mongoose.model('webhookDelivery');
+
+    return Q.when(Webhook.findById(webhookId).lean())
+        .then(function (webhook) {
+          if (webhook && webhook.isActive && !webhook.isDeleted) {
+            return self.attempt(mongoose, webhook, delivery, Log);
+          }
+
+          var update = {
+            status: "failed",
+            nextAttempt: null,
+            responseMessage: "The webhook is no longer active."
+          };
+          return WebhookDelivery.findByIdAndUpdate(delivery._id, update, { new: true }).lean();
+        })
+        .catch(function (error) {
+          Log.error("There was an error retrying delivery " + delivery._id + ":", error);
+          return null;
+        });
+  },
+
+  /**
+   * Deliver the payload of an earlier delivery again. The redelivery is logged as a new delivery.
+   * @param mongoose: The mongoose instance.
+   * @param _id: The id of the delivery.
+   * @param request: The Hapi request object, used to only redeliver deliveries of the user's tenant, or null.
+   * @param Log: A logging object.
+   * @returns {object}: A promise for the new delivery after its first attempt.
+   */
+  redeliver: function (mongoose, _id, request, Log) {
+    var self = this;
+    var Webhook = mongoose.model('webhook');
+    var WebhookDelivery = mongoose.model('webhookDelivery');
+
+    var conditions = TenantHelper.getConditions(WebhookDelivery, _id, null, request);
+    var query = conditions ? WebhookDelivery.findOne(conditions) : WebhookDelivery.findById(_id);
+
+    return Q.when(query.lean())
+        .then(function (delivery) {
+          if (!delivery) {
+            const message = "No delivery was found with that id.";
+            errorHelper.handleError(message, message, errorHelper.types.NOT_FOUND, Log);
+          }
+
+          return Q.when(Webhook.findById(delivery.webhook).lean())
+              .then(function (webhook) {
+                if (!webhook) {
+                  const message = "The webhook of the delivery no longer exists.";
+                  errorHelper.handleError(message, message, errorHelper.types.NOT_FOUND, Log);
+                }
+
+                return self.deliver(mongoose, webhook, delivery.payload, delivery._id, Log);
+              });
+        })
+        .catch(function (error) {
+          errorHelper.handleError(error, "There was an error redelivering the webhook.", errorHelper.types.BAD_IMPLEMENTATION, Log);
+        });
+  },
+
+  /**
+   * Send a POST request.
+   * @param targetUrl: The url of the request.
+   * @param body: The request body.
+   * @param headers: The request headers.
+   * @returns {object}: A promise for the status code and body of the response.
+   */
+  post: function (targetUrl, body, headers) {
+    var deferred = Q.defer();
+
+    var options = url.parse(targetUrl);
+    options.method = 'POST';
+    options.headers = _.assignIn({ 'Content-Length': Buffer.byteLength(body) }, headers);
+
+    var client = options.protocol === 'https:' ? https : http;
+
+    var request = client.request(options, function (response) {
+      var chunks = [];
+      response.setEncoding('utf8');
+      response.on('data', function (chunk) {
+        chunks.push(chunk);
+      });
+      response.on('end', function () {
+        deferred.resolve({ statusCode: response.statusCode, body: chunks.join('') });
+      });
+    });
+
+    request.setTimeout(config.webhookTimeout, function () {
+      request.abort();
+      deferred.reject(new Error("The request timed out."));
+    });
+    request.on('error', function (error) {
+      deferred.reject(error);
+    });
+
+    request.write(body);
+    request.end();
+
+    return deferred.promise;
+  }
+};